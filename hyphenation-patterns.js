@@ -0,0 +1,5073 @@
+// Hyphenation patterns for the bundled, offline hyphenator in script.js
+// TeX patterns for Frank Liang's algorithm, from the hyph-utf8 collection (https://ctan.org/pkg/hyph-utf8),
+// where each language's patterns keep their authors' copyright and license terms.
+// leftMin and rightMin are the fewest letters kept before and after a break.
+const HYPHENATION_PATTERNS = {
+    en: {
+        name: 'English (US)',
+        source: 'hyph-en-us',
+        leftMin: 2,
+        rightMin: 3,
+        exceptions: `
+            as-so-ciate as-so-ciates dec-li-na-tion oblig-a-tory phil-an-thropic present presents project projects
+            reci-procity re-cog-ni-zance ref-or-ma-tion ret-ri-bu-tion ta-ble
+        `,
+        patterns: `
+            .ach4 .ad4der .af1t .al3t .am5at .an5c .ang4 .ani5m .ant4 .an3te .anti5s .ar5s .ar4tie .ar4ty .as3c .as1p
+            .as1s .aster5 .atom5 .au1d .av4i .awn4 .ba4g .ba5na .bas4e .ber4 .be5ra .be3sm .be5sto .bri2 .but4ti .cam4pe
+            .can5c .capa5b .car5ol .ca4t .ce4la .ch4 .chill5i .ci2 .cit5r .co3e .co4r .cor5ner .con5gr .de4moi .de3o
+            .de3ra .de3ri .de5riva .des4c .dictio5 .do4t .du4c .dumb5 .dri5v4 .earth5 .eas3i .eb4 .eer4 .eg2 .el5d .el3em
+            .enam3 .en3g .en3s .eq5ui5t .er4ri .es3 .eu3 .eu4ler .eye5 .eth1y6l1 .ev2 .ever5si5b .fes3 .for5mer .ga2
+            .ga4s1om1 .ge2 .gen3t4 .ge5og .ge4ome .ge5ot1 .gi5a .gi4b .go4r .hand5i .han5k .he2 .hero5i .he3roe .hes3
+            .het3 .he3mo1 .he3p6a .hi3b .hi3er .hon5ey .hon3o .hov5 .id4l .idol3 .im3m .im5pin .in1 .in3ci .ine2 .in2k
+            .in3s .in5u2t .ir5r .is4i .ju3r .la4cy .la4m .lat5er .lath5 .le2 .leg5e .len4 .lep5 .lev1 .le6ices .li4g
+            .lig5a .li2n .li3o .li4t .mag5a5 .mal5o .man5a .mar5ti .me2 .mer3c .me5ter .met4ala .me4ga1l .mis1 .mist5i
+            .mi1s4ers .mim5i2c1 .mon3e .mo3ro .mu5ta .muta5b .ni4c .ne6o3f .noe1th .non1e2m .od2 .odd5 .of5te .or5ato
+            .or3c .or1d .or3t .os3 .os4tl .oth3 .out3 .ped5al .pe5te .pe5tit .pi4e .pio5n .pi2t .pre3m .pre1am .poly1s
+            .post1am .ra4c .ran4t .ratio5na .rav5en1o .ree2 .re1e4c .re5mit .res2 .re5stat .ri4g .rit5u .ro4q .ros5t
+            .row5d .ru4d .sci3e .self5 .sell5 .se2n .se5rie .semi5 .sem4ic .semid6 .semip4 .semir4 .sem6is4 .semiv4 .sh2
+            .si2 .sing4 .st4 .sta5bl .sy2 .sph6in1 .spin1o .ta4 .ta5pes1tr .te4 .ten5an .te3legr .th2 .ti2 .til4 .tim5o5
+            .ting4 .tin5k .ton4a .to4p .top5i .to6pog .tou5s .to2q .trib5ut .un1a .un3at5t .un3ce .under5 .un1e .un5err5
+            .un5k .un5o .un3u .up3 .ure3 .us5a .ven4de .ve5ra .vi2c3ar .wil5i .we2b1l .ye4 .kil2n3i .ko6r1te1 4ab. a5bal
+            a5ban abe2 ab5erd abi5a ab5it5ab ab5lat ab5o5liz a5bolic 4abr ab5rog ab3ul a4car ac5ard ac5aro a2cabl a5ceou
+            ac1er a5chet 4a2ci a3cie ac1in a3cio ac5rob act5if ac3ul ac4um a2d ad4din ad5er. 2adi a3dia ad3ica adi4er
+            a3dio a3dit a5diu ad4le ad3ow ad5ran ad4su 4adu a3duc ad5um ae4r aeri4e a2f aff4 af6fish a4gab aga4n ag5ell
+            age4o 4ageu ag1i 4ag4l ag1n a2go 3agog ag3oni a5guer ag5ul a4gy a3ha a3he ah4l a3ho ai2 a5ia a3ic. ai5ly a4i4n
+            ain5in ain5o ait5en a1j ak1en al5ab al3ad a4lar 4aldi 2ale al3end a4lenti a5le5o al1i al4ia. ali4e al5lev
+            4allic 4alm a5log. a4ly. 4alys 5a5lyst 5alyt 3alyz 4ama am5ab am3ag ama5ra am5asc a4matis a4m5ato am5era
+            am1en3ta5b am3ic am5if am5ily am1in ami4no a2mo a5mon amor5i amp5en a2n an3age 3analy anal6ys a3nar an3arc
+            anar4i a3nati 4and ande4s an3dis an1dl an4dow a5nee a3nen an5est. a3neu 2ang ang5ie an1gl a4n1ic a3nies an3i3f
+            an4ime a5nimi a5nine an3io a3nip an3ish an3it a3niu an4kli 5anniz ano4 an5ot anoth5 ano5a2c an2sa an4sco an4sn
+            an2sp ans3po an4st an4sur ans5gr ans3v antal4 an4tie anti1d an3ti1n2 anti1re 4anto an2tr an4tw an3ua an3ul
+            a5nur 4ao apar4 ap5at ap5ero a4pe5able a3pher 4aphi a4pilla ap5illar ap3in ap3ita a3pitu a2pl apoc5 ap5ola
+            apor5i apos3t aps5es a3pu aque5 2a2r ar3act a5rade ar5adis ar3al a5ramete aran4g ara3p ar4at a5ratio ar5ativ
+            a5rau ar5av4 araw4 arbal4 ar4chan ar3che5t ar5dine ar4dr ar5eas a3ree ar3ent a5ress ar4fi ar4fl ar1i ar5ial
+            ar3ian a3riet ar4im ar5inat ar3io ar2iz ar2mi ar5o5d a5roni a3roo ar2p ar3q arre4 ar2range ar4sa ar2sh 4as.
+            as4ab as3ant ashi4 a5sia. a3sib a3sic 5a5si4t ask3i as4l a4soc as5ph as4sh as3ten as1tr asur5a as5ymptot a2ta
+            at3abl at5ac at3alo at5ap ate5c at5ech at3ego at3en. at3era ater5n a5terna at3est at5ev 4ath ath5em a5then
+            ath3er1o1s at4ho ath5om 4ati. a5tia at5i5b at1ic at3if ation5ar at3itu a4tog a2tom at5omiz a4top a4tos a1tr
+            at5rop at4sk at4tag at5te at6tes. at4th a2tu at5ua at5ue at3ul at3ura a2ty au4b augh3 augh4tl au3gu au4l2
+            au5li5f aun5d au3r au5sib aut5en au1th a2va av3ag a5van ave4no av3era av5ern av5ery av1i avi4er av3ig av3iou
+            av5oc a1vor 3away aw3i aw4ly aws4 ax4ic ax4id ay5al aye4 ays4 azi4er azz5i 5ba. bad5ger ba4ge bal1a ban5dag
+            ban4e ban3i barbi5 bari4a ba6r1onie bas4si 1bat ba1thy ba4z back2er. 2b1b b2be b3ber bbi4na bbi4t 4b1d 4be.
+            beak4 beat3 4be2d be3da be3de be3di be3gi be5gu 1bel be1li be3lo 4be5m be5nig be5nu 4bes4 be3sp be5str 3bet
+            bet5iz be5tr be3tw be3w be5yo be2vie 2bf 4b3h bi2b bi4d bi5d2if 3bie bi5en bi4er 2b3if 1bil bi3liz bil2lab
+            bina5r4 bin4d bi5net bi3ogr bi5ou bio5m bi1orb bio1rh bi2t 3bi3tio b1i3tive bi3tr 3bit5ua b5itz b1j bk4 b2l2
+            blath5 blan2d1 b4le. blen4 5blesp b3lis blin2d1 b4lo blon2d2 blun4t 4b1m 4b3n bne5g 3bod bod3i bo4e bol3ic
+            bom4bi bon4a bon5at 3boo 5bor. 4b1ora bor5d 5bore 5bori bor1no5 5bos4 b5ota both5 bo4to bo2t1u1l bound3 4bp
+            4brit broth3 brus4q 2b5s2 bsor4 2bt bt4l b4to b3tr buf4fer bu4ga bu3li bumi4 bu4n bunt4i bu3re bus5ie bus6i2er
+            bus6i2es buss4e buss4ing 5bust 4buta 3butio b5uto but2ed. but4ted b1v 4b5w 5by. bys4 1ca cab3in ca1bl cach4
+            ca5den cad5e1m 4cag4 2c5ah ca3lat cal4la call5in 4calo can5d can4e can4ic can5is can3iz can4ty cany4 ca5per
+            car5om cast5er cas5tig 4casy ca4th 4cativ cat1a1s2 cav5al c3c ccha5 cci4a ccompa5 ccon4 ccou3t 2ce. 4ced.
+            4ceden 3cei 5cel. 3cell 1cen 3cenc 2cen4e 4ceni 3cent 3cep ce5ram 4cesa 3cessi ces5si5b ces5t cet4 c5e4ta cew4
+            2ch 4ch. 4ch3ab 5chanic ch5a5nis che2 cheap3 4ched che5lo 3chemi ch5ene ch3er. ch3ers 4ch1in 5chine. ch5iness
+            5chini 5chio 3chit chi2z chie5vo 3cho2 ch4ti 4chs. chs3hu 1ci 3cia ci2a5b cia5r ci5c 4cier 5cific. 4cii ci4la
+            3cili 2cim 2cin c4ina 3cinat cin3em c1ing c5ing. 5cino cin2q cion4 4cipe ci3ph 4cipic 4cista 4cisti 2c1it
+            cit3iz 5ciz cig3a3r ck1 ck3i 1c4l4 4clar c5laratio 5clare cle4m cle4ar 4clic clim4 cly4 c5n 1co co5ag coe2
+            2cog co4gr coi4 co3inc col5i 5colo col3or com5er con4a c4one con3g con5t co3pa cop3ic co4pl co6ph1o3n 4corb
+            coro3n cos4e cov1 cove4 cow5a coz5e co5zi cous2ti c1q cras5t 5crat. 5cratic cre3at 5cred 4c3reta cre4v cri2
+            cri5f c4rin cris4 5criti cri3tie cro4pl crop5o cros4e croc1o1d cro5e2co cru4d 4c3s2 2c1t cta4b ct5ang c5tant
+            c2te c3ter c4ticu ctim3i ctu4r c4tw c2tro3me6c cud5 c4uf c4ui cu5ity 5culi cul4tis 3cultu cu2ma c3ume cu4mi
+            3cun cu3pi cu5py cur5a4b 1cu2r1ance cu5ria 1cus cuss4i 3c4ut cu4tie 4c5utiv 4cutr 1cy cze4 1d2a 5da. 2d3a4b
+            dach4 4daf 2dag da2m2 dan3g dard5 dark5 4dary 3dat 4dativ 4dato data1b 5dav4 dav5e 5day 2d3alone d1b d5c d1d4
+            dd5a5b d2d5ib 2de. deaf5 de4als. deb5it de4bon decan4 de4cil de5com de5clar1 de2c5lina 2d1ed 4dee. de5if
+            deli4e del5i5q de5lo d4em 5dem. 3demic dem5ic. de5mil de4mons demor5 de2mos 1den de4nar de3no denti5f de3nu
+            de1p de3pa depi4 de2pu d3eq d4erh 5derm dern5iz der5s des2 d2es. de1sc de2s5o des3ti de3str de4su des3ic de1t
+            de2to de2tic de1v dev3il 4dey de3fin3iti 4d1f d4ga d3ge4t dg1i d2gy d1h2 5di. 1d4i3a dia5b di4cam dic1aid
+            d4ice 3dict 3did 5di3en d1if dif5fra di3ge di4lato d1in 1dina 3dine. 5dini di5niz 1dio dio5g di4pl dir2 di1re
+            di2ren di2rer dirt5i dis1 5disi d4is3t d2iti 1di1v 3di1methy d1j d5k2 4d5la 3dle. 3dled 3dles. 4dless 2d1lead
+            2d3lo 4d5lu 2dly 2d1li2e d1m 4d1n4 1do 3do. do5de 5doe 2d5of d4og do4la doli4 do5lor dom5iz do3nat doni4 doo3d
+            dop4p d4or 3dos 4d5out do4v 3dox 3do5word d1p 1dr drag5on 4drai dre4 drea5r 5dren dren1a5l dri4b dril4
+            drif2t1a d1ri3pleg5 dro4p 4drow drom3e5d 5drupli 4dry 2d1s2 ds4p d4sw d4sy d2th d3tab 1du d1u1a du2al. du2c
+            d1uca duc5er 4duct. 4ducts du5el du4g d3ule dum4be du4n 4dup du4pe du1op1o1l d1v d1w d2y 5dyn dy4se dys5p
+            e1a4b e3act ead1 ead5ie ea4ge ea5ger ea4l eal5er eal3ou eam3er e5and ea4n3ies ear3a ear4c ear5es ear4ic ear4il
+            ear5k ear2t eart3e ea5sp e3ass east3 ea2t eat5en eath3i e5atif e4a3tu ea2v eav3en eav5i eav5o 2e1b e4bel.
+            e4bels e4ben e4bit e3br e4cad ecan5c ecca5 e1ce ec5essa ec2i e4cib ec5ificat ec5ifie ec5ify ec3im eci4t e5cite
+            e4clam e4clus e2col e4comm e4compe e4conc e2cor ec3ora eco5ro e1cr e4crem ec4tan ec4te e1cu e4cul ec3ula
+            e3chas 2e2da 4ed3d e4d1er ede4s 4edi e3dia ed3ib ed3ica ed3im ed1it edi5z 4edo e4dol edon2 e4dri e4dul ed5ulo
+            ed1uling edg1l ee2c eed3i ee2f eel3i ee4ly ee2m ee4na ee4p1 ee2s4 eest4 ee4ty e5ex e1f e4f3ere 1eff e4fic
+            5efici efil4 e3fine ef5i5nite 3efit efor5es e4fuse. 4egal eger4 eg5ib eg4ic eg5ing e5git5 eg5n e4go. e4gos
+            eg1ul e5gur 5egy e1h4 eher4 ei2 e5ic ei5d eig2 ei5gl e3imb e3inf e1ing e5inst eir4d eit3e ei3th e5ity e1j
+            e4jud ej5udi eki4n ek4la e1la e4la. e4lac elan4d el5ativ e4law elaxa4 e3lea el5ebra 5elec e4led el3ega e5len
+            e4l1er e1les el2f el2i e3libe e4l5ic. el3ica e3lier el5igib e5lim e4l3ing e3lio e2lis el5ish e3liv3 eli2t1is
+            4ella el4lab ello4 e5loc el5og el3op. e1loa el2sh el4ta e5lud el5ug e4mac e4mag e5man em5ana em5b e1me e2mel
+            e4met em3ica emi4e em5igra em1in2 em5ine em3i3ni e4mis em5ish e5miss em3iz 5emniz emo4g emoni5o em3pi e4mul
+            em5ula emu3n e3my en5amo e4nant ench4er en3dic en1dix e5nea e5nee en3em en5ero en5esi en5est en3etr e3new
+            en5ics e5nie e5nil e3nio en3ish en3it e5niu 5eniz 4enn 4eno eno4g e4nos en3ov en4sw ent5age 4enthes en3ua
+            en5uf e3ny. 4en3z e5of eo2g eo3grap e4oi4 e3ol eop3ar e1or eo3re eo5rol eos4 e4ot eo4to e5out e5ow e2pa e3pai
+            ep5anc e5pel e3pent ep5etitio ephe4 e4pli e1po e4prec ep5reca e4pred ep3reh e3pro e4prob ep4sh ep5ti5b e4put
+            ep5uta 1e6p3i3neph1 e1q equi3l e4q3ui3s er1a era4b 4erand er3ar 4erati. 2erb er4bl er3ch er4che 2ere. e3real
+            ere5co ere3in er5el. er3emo er5ena er5ence 4erene er3ent ere4q er5ess er3est eret4 er1h er1i e1ria4 e2r3i4an.
+            5erick e3rien eri4er er3ine e1rio 4erit er4iu eri4v e4riva er3m4 er4nis 4ernit 5erniz er3no 2ero er5ob e5roc
+            ero4r er1ou er1s er3set ert3er 4ertl er3tw 4eru eru4t 5erwau e1s4a e4sage. e4sages es2c e2sca es5can e3scr
+            es5cu e1s2e e2sec es5ecr es5enc e4sert. e4serts e4serva 4esh e3sha esh5en e1si e2sic e2sid es5iden es5igna
+            e2s5im es4i4n esis4te esi4u e5skin es4mi e2sol es3olu e2son es5ona e1sp es3per es5pira es4pre e3spac6i 2ess
+            es4si4b estan4 es3tig es5tim 4es2to e3ston 2estr e5stro estruc5 e2sur es5urr es4w eta4b eten4d e3teo ethod3
+            eth1y6l1ene et1ic e5tide etin4 eti4no e5tir e5titio et5itiv 4etn et5ona e3tra e3tre et3ric et5rif et3rog
+            et5ros et3ua et5ym et5z 4eu e5un e3up eu3ro eus4 eute4 euti5l eu5tr 5eu2clid1 eva2p5 e2vas ev5ast e5vea ev3ell
+            evel3o e5veng even4i ev1er e5verb e1vi ev3id evi4l e4vin evi4v e5voc e5vu e1wa e4wag e5wee e3wh ewil5 ew3ing
+            e3wit 1exp 5eyc 5eye. eys4 1fa fa3bl fab3r fa4ce 4fag fain4 fall5e 4fa4ma fam5is 5far far5th fa3ta fa3the
+            4fato fault5 4f5b 4fd 4fe. feas4 feath3 fe4b feb1rua 4feca 5fect 2fed fe3li fe4mo fen2d fend5e fer1 5ferr
+            fermi1o fev4 4f1f f4fes f4fie f5fin. f2f5is f4fly f2fy 4fh 1fi fi3a 2f3ic. 4f3ical f3ican 4ficate f3icen
+            fi3cer fic4i 5ficia 5ficie 4fics fi3cu 3fich fi5del fight5 fil5i fill5in 4fily 2fin 5fina fin2d5 fi2ne f1in3g
+            fin4n fis4ti fit5ted. f4l2 f5less flin4 flo3re flow2er. f2ly5 fla1g6el 3fluor 4fm 4fn 1fo 5fon fon4de fon4t
+            fo2r fo5rat for5ay fore5t for4i fort5a fos5 4f5p fra4t f5rea fres5c fri2 fril4 frol5 2f3s 2ft f4to f2ty 3fu
+            fu5el 4fug fu4min fu5ne fu3ri fusi4 fus4s 4futa 1fy 1ga gaf4 5gal. 3gali ga3lo 2gam ga5met g5amo gan5is ga3niz
+            gani5za 4gano gar5n4 gass4 gath3 4gativ 4gaz g3b gd4 2ge. 2ged geez4 gel4in ge5lis ge5liz 4gely 1gen ge4nat
+            ge5niz 4geno 4geny gen2cy. 1geo ge3om ge3o1d g4ery 5gesi geth5 4geto ge4ty get2ic. ge4v 4g1g2 g2ge g3ger gglu5
+            ggo4 gh3in gh5out gh4to ght1we 5gi. 1gi4a gia5r g1ic 5gicia g4ico gien5 5gies. gil4 g3imen 3g4in. gin5ge
+            5g4ins 5gio 3gir gir4l g3isl gi4u 5giv 3giz gl2 gla4 glad5i 5glas 1gle g1lead gli4b g3lig 4g1lish 3glo glo3r
+            5glo5bin g1m g4my gn4a g4na. 1g2nac gnet4t gnet1ism g1ni g2nin g4nio g1no g4non gno5mo g2n1or. g2noresp 1go
+            3go. gob5 5goe 3g4o4g go3is gon2 4g3o3na gondo5 go3ni 2g1o4n3i1za 5goo go5riz gor5ou 5gos. gov1 g3p 1gr 4grada
+            g4rai gran2 5graph. g5rapher graph5er. 5graphic 4graphy 4gray gre4n 4gress. 4grit griev1 g4ro gruf4 gs2 g5ste
+            gth3 gu4a 3guard 2gue 5gui5t 3gun 3gus 4gu4t g1utan g3w 1gy 2g5y3n gy5ra h3ab4l hach4 hae4m hae4t h5agu ha3la
+            hala3m ha4m han4ci han4cy 5hand. han4g hang5er hang5o h5a5niz han4k han4te hap3l hap5t ha2p3ar5r ha3ran ha5ras
+            har2d hard3e har4le harp5en har5ter has5s haun4 5haz haz3a hair1s hatch1 h1b 1head 3hear he4can h5ecat h4ed
+            he5do5 he3l4i hel4lis hel4ly h5elo hem4p he2n hena4 hen5at heo5r hep5 h4era hera3p her4ba here5a h3ern h5erou
+            h3ery h1es he2s5p he4t het4ed heu4 hex2a3 h1f h1h hi5an hi4co high5 h4il2 himer4 h4ina hion4e hi4p h3i5pel1a4
+            hir4l hi3ro hir4p hir4r his3el his4s hith5er hite3sid hi2v 4hk 4h1l4 hlan4 h2lo hlo3ri 4h1m hmet4 2h1n hnau3z
+            h5odiz h5ods ho4g hoge4 hol5ar 3hol4e ho4ma home3 hon4a ho5ny 3hood hoon4 hor5at ho5ris ho6r1ic. hort3e ho5ru
+            hos4e ho5sen hos1p 1hous house3 hov5el 4h5p 4hr4 hree5 hro5niz hro3po 4h1s2 h4sh h4tar ht1en ht5es h2t1eou
+            h4ty hu4g hu4min hun5ke hun4t hus3t4 hu4t h1w h4wart hy3pe hy3ph hypo1tha hy2s 2i1a i2al iam4 iam5ete i2an
+            4ianc ian3i 4ian4t ia5pe iass4 i4ativ ia4tric i4atu ibe4 ib3era ib5ert ib5ia ib3in ib5it. ib5ite i1bl ib3li
+            i5bo i1br i2b5ri i5bun 4icam 5icap 4icar i4car. i4cara icas5 i4cay iccu4 4iceo 4ich 2ici i5cid ic5ina i2cip
+            ic3ipa i4cly i2c5oc 4i1cr 5icra i4cry ic4te ictu2 ic4t3ua ic3ula ic4um ic5uo i3cur 2id i4dai id5anc id5d
+            ide3al ide4s i2di id5ian idi4ar i5die id3io idi5ou id4ios id1it id5iu i3dle i4dom id3ow i4dr i2du id5uo 2ie4
+            ied4e 5ie5ga ield3 ien5a4 ien4e i5enn i3enti i1er. i3esc i1est i3et 4if. if5ero iff5en if4fr 4ific. i3fie i3fl
+            4ift ifac1et 2ig iga5b ig3era ight3i 4igi i3gib ig3il ig3in ig3it i4g4l i2go ig3or ig5ot i5gre igu5i ig1ur
+            ign4it ignit1er i3h 4i5i4 i3j i4jk 4ik i1la il3a4b i4lade i2l5am ila5ra i3leg il1er ilev4 il5f il1i il3ia
+            il2ib il3io il4ist 2ilit il2iz ill5ab 4iln il3oq il4ty il5ur il3v i4mag im3age ima5ry imenta5r 4imet im1i
+            im5ida imi5le i5mini 4imit im4ni i3mon i2mu im3ula im3ped3a 2in. i4n3au 4inav incel4 in3cer 4ind in5dling 2ine
+            i3nee iner4ar i5ness 4inga 4inge in5gen 4ingi in5gling 4ingo 4ingu 2ini i5ni. i4nia in3io in1is i5nite.
+            i5nitely. 5initio in3ity 4ink 4inl 2inn 2i1no i4no4c ino4s i4not 2ins in3se insur5a 2int. 2in4th in1u i5nus
+            4iny infra1s2 2io 4io. ioge4 io2gr i1ol io4m ion3at ion4ery ion3i io5ph ior3i i4os io5th i5oti io4to i4our 2ip
+            ipe4 iphras4 ip3i ip4ic ip4re4 ip3ul i3qua iq5uef iq3uid iq3ui3t 4ir i1ra ira4b i4rac ird5e ire4de i4ref
+            i4rel4 i4res ir5gi ir1i iri5de ir4is iri3tu 5i5r2iz ir4min iro4g 5iron. ir5ul irre6v3oc 2is. is5ag is3ar isas5
+            2is1c is3ch 4ise is3er 3isf is5han is3hon ish5op is3ib isi4d i5sis is5itiv 4is4k islan4 4isms i2so iso5mer
+            is1p is2pi is4py 4is1s is4sal issen4 is4ses is4ta. is1te is1ti ist4ly 4istral i2su is5us 4ita. ita4bi i4tag
+            4ita5m i3tan i3tat 2ite it3era i5teri it4es i1tesima 2ith ith5i2l i1ti 4itia 4i2tic it3ica 5i5tick it3ig
+            it5ill i2tim 2itio 4itis i4tism itin5er5ar i2t5o5m 4iton i4tram it5ry 4itt it3uat i5tud it3ul 4itz. i1u 2iv
+            iv3ell iv3en. i4v3er. i4vers. iv5il. iv5io iv1it i5vore iv3o3ro i4v3ot 4i5w ix4o 4iy 4izar izi4 5izont 5ja
+            jac4q ja4p japan1e2s janu3a 1je jer5s je1re1m 4jestie 4jesty jew3 jo4p 5judg 3ka. k3ab k5ag kais4 kal4 k1b
+            k2ed 1kee ke4g ke5li 1ke6ling k3en4d k1er kes4 k3est. ke4ty k3f kh4 k1i 5ki. 5k2ic k4ill kilo5 k4im k4in.
+            kin4de k5iness 1ki5netic kin4g ki4p kis4 k5ish kk4 k1l 4kley 4kly k1m k5nes 1k2no ko5r kosh4 k3ou 1kovian
+            kro5n 4k1s2 k4sc ks4l k4sy k3sha k5t k1w lab3ic l4abo laci4 la4c3i5e l4ade la3dy lag4n lam3o 3land lan4dl
+            lan5et lan4te lar4g lar3i lar5ce1n las4e la5tan 4lateli 4lativ 4lav la4v4a lai6n3ess 2l1b lbin4 4l1c2 lce4
+            l3ci l3chai l3chil6d1 2ld l2de ld4ere ld4eri ldi4 ld5is l3dr l4dri le2a lead6er. lea4s1a le4bi left5 5leg.
+            5legg le3g6en2dre le4mat lem5atic 4len. 3lenc 5lene. 1lent 1le1noid le3ph le4pr lera5b ler4e 3lerg 3l4eri
+            l4ero les2 le5sco 5lesq 3less 5less. l3eva lev4er. lev4era lev4ers 3ley 4leye 1lec3ta6b 2lf l5fr 4l1g4 l5ga
+            lgar3 l4ges lgo3 2l3h li4ag li2am liar5iz li4as li4ato li5bi 5licio li4cor 4lics 4lict. l4icu l3icy l3ida
+            lid5er 3lidi lif3er l4iff li4fl 5ligate 3ligh li4gra 3lik 4l4i4l lim4bl lim3i li4mo l4im4p l4ina 1l4ine lin3ea
+            lin3i link5er li5og 4l4iq lis4p l1it l2it. 5litica l5i5tics lith1o5g liv3er l1iz 4lj lka3 l3kal lka4t l1l
+            l4law l2le l5lea l3lec l3leg l3lel l3le4n l3le4t ll2i l2lin4 l5lina l2l3ish ll4o lloqui5 ll5out l5low ll1fl
+            2lm l5met lm3ing l4mod lmon4 l5mo3nell 2l1n2 3lo. lob5al lo1bot1o1 lo4ci 4lof 3logic l5ogo 3logu lo2ges.
+            lom3er 5long lon4i l3o3niz lood5 5lope. lop3i l3opm lora4 lo4rato lo5rie lor5ou 5los. los5et 5losophiz
+            5losophy los4t lo4ta loun5d 2lout 4lov load4ed. load6er. 2lp lpa5b l3pha l5phi lp5ing l3pit l4pl l5pr 4l1r
+            2l1s2 l4sc l2se l4sie 4lt lt5ag ltane5 l1te lten4 ltera4 l3tea lth3i lth5i2ly l5ties. ltis4 l1tr ltu2 ltur3a
+            lu5a lu3br luch4 lu3ci lu3en lue1p luf4 lu5id lu4ma 5lumi l5umn. 5lumnia 1lum5bia. lu3o luo3r 4lup luss4
+            lus3te 1lut 1lunk3er l5ven l5vet4 2l1w 1ly 4lya 4lyb ly5me ly3no 2lys4 l5yse ly5styr 3lyg1a1mi 1ma 2mab ma2ca
+            ma5chine ma4cl mag5in 5magn 2mah maid5 4mald ma3lig ma5lin mal4li mal4ty ma1la1p 5mania man5is man3iz m2an.
+            man3u1sc 4map 5maph1ro1 ma5rine. ma5riz mar4ly mar3v mar1gin1 ma5sce mas4e mas1t 5mate math3 ma3tis 4matiza
+            4m1b mba4t5 m5bil m4b3ing mbi4v 4m5c 4me. 2med 4med. 5media me3die medi2c med3i3cin medio6c1 m5e5dy me2g
+            me3gran3 mel5on mel4t me2m mem1o3 1men men4a men5ac men4de 4mene men4i mens4 mensu5 3ment men4te m2en. me5on
+            m5ersa 2mes 3mesti me4ta met3al me1te me5thi m4etr 5metric me5trie me3try me4v 4m1f 2mh 5mi. mi3a mid4a
+            3mi3da5b mid4g mig4 3milia m5i5lie 3milita m4ill mil2l1ag mil5li5li min4a 3mind m5inee m4ingl min5gli m5ingly
+            min4t m4inu mi1n2ut1er mi1n2ut1est mi6n3is. miot4 m2is mis4er. mis5l mis4ti m5istry 4mith m2iz 4mk 4m1l m1m
+            mma5ry m3ma1b 4m1n mn4a m4nin mn4o 1mo 4mocr 5moc1ra1t 5mocratiz mo2d1 mo4go mois2 moi5se 4mok mo5lest mol1e5c
+            mo3me mon5et mon4ey1l mon5ge moni3a mon4ism mon4ist mo3niz monol4 mono3ch mo4no1en mono1s6 mo3ny. mo2r 4mora.
+            moro6n5is mos2 mo5sey mo3sp moth3 moth4et2 m5ouf 3mous m1ou3sin mo2v mo5e2las 4m1p mpara5 mpa5rab mpar5i m3pet
+            mphas4 m2pi mpi4a mp5ies m4p1in m5pir mp5is mpo3ri mpos5ite m4pous mpov5 mp4tr m2py 4m3r 4m1s2 m4sh m5shack2
+            m5si 4mt 1mu mula5r4 5mult multi3 mul2ti5u 3mum mun2 4mup mu4u mu2dro 4mw 1na 2n1a2b n4abu 4nac. na4ca n5act
+            nag5er. nak4 na4li na5lia 4nalt na5mit n2an nanci4 nan4it nank4 nar3c n3ar4chs. 4nare nar3i nar4l n5arm n4as
+            nas4c nas5ti n2at na3tal nato5miz n2au nau3se 3naut nav4e 4n1b4 ncar5 n4ces. n3cha n5cheo n3ch2es1t n5chil
+            n3chis nc1in nc4it ncour5a n1cr n1cu n4dai n5dan n1de nd5est. ndi4b n5d2if n1dit n3diz n1dieck n5duc ndu4r
+            nd2we nd3thr 2ne. n3ear ne2b neb3u ne3back ne2c 5neck 2ned ne4gat neg5ativ 5nege ne4la nel5iz ne5mi ne4mo 1nen
+            4nene 3neo ne4po ne2q n1er nera5b n4erar n2ere n4er5i ner4r 1nes 2nes. 4nesp 2nest 4nesw 2ne1ski 3netic ne4v
+            n5eve ne4w n3f nfi6n3ites n4gab n3gel nge4n4e nge5nes n5gere n3geri ng5ha ng1ho n3gib ng1in n5git n4gla ngov4
+            ng5sh ng1spr n1gu n4gum n2gy 4n1h4 nha4 nhab3 nhe4 3n4ia ni3an 4n5i4an. ni4ap ni3ba ni4bl ni4d ni5di ni4er
+            ni2fi ni5ficat n5igr nik4 n1im ni3miz n1in 5nine. nin4g ni4o 5nis. nis4ta n2it n4ith 3nitio n3itor ni3tr n1j
+            4nk2 n5kero n3ket nk3in n1kl nk3rup 4n1l n5less n5m nme4 nmet4 4n1n2 nne4 nni3al nni4v nob4l no3ble n5ocl
+            5noc3er1os 4n3o2d 3noe 4nog noge4 nois5i no5l4i 5nologis 3nomic n5o5miz n1o1mist no4mo no3my nom1a6l nom5e1no
+            no4n non4ag non5i n5oniz non1i4so non1eq 4nop 5nop5o5li 5nop1oly. nor5ab no4rary 4nosc nos4e nos5t no5ta 1nou
+            3noun nov3el3 no1vemb nowl3 n1p4 npi4 npre4c n1q n1r nru4 2n1s2 ns5ab nsati4 ns4c ns5ceiv n2se n4s3es nsid1
+            nsig4 n2sl ns3m ns4moo n4soc ns4pe n5spi nsta5bl n1t nta4b nter3s nt2i n5tib nti4er nti2f n3tine n4t3ing nti4p
+            ntrol5li ntre1p nt4s ntu3me nu1a nu4d nu5en nuf4fe n3uin 3nu3it n4um nu1me n5umi 3nu4n n3uo nu3tr n1v2 n1w4
+            nym4 nyp4 4nz n3za 4oa oad3 o5a5les oard3 oas4e oast5e oat5i ob3a3b o5bar obe4l o1bi o2bin ob5ing o3br ob3ul
+            obli2g1 o1ce och4 o3chet o3chas ocif3 o4cil o4clam o4cod oc3rac oc5ratiz ocre3 5ocrit octor5a oc3ula o5cure
+            od5ded od3ic odi3o odit1ic o2do4 odor3 od5uct. od5ucts odel3li o4el o5eng o3er oerst2 oe4ta o3ev o2fi of5ite
+            ofit4t o2g5a5r og5ativ o4gato o1ge o5gene o5geo o4ger o3gie 1o1gis og3it o4gl o5g2ly 3ogniz o4gro ogu5i 1ogy
+            2ogyn o1h2 ohab5 oi2 oic3es oi3der oiff4 oig4 oi5let o3ing oint5er o5ism oi5son oist5en oi3ter o5j 2ok o3ken
+            oke1st ok5ie o1la o4lan olass4 ol2d old1e ol3er o3lesc o3les3ter o3let ol4fi ol2i o3lia o3lice ol5id. o3li4f
+            o5lil ol3ing o5lio o5lis. ol3ish o5lite o5litio o5liv oli3gop1o1 olli4e ol5ogiz olo4r o1lo3n4om ol5pl ol2t
+            ol3ub ol3ume ol3un o5lus ol2v o2ly om5ah oma5l om5atiz om2be om4bl o2me om3ena om5erse o4met om5etry o3mecha6
+            o3mia om3ic. om3ica o5mid om1in o5mini 5ommend omo4ge o4mon om3pi ompro5 o2n on1a on4ac o3nan on1c 3oncil 2ond
+            on5do o3nen on5est on4gu on1ic o3nio on1is o5niu on3key on4odi on3omy onom1ic o3norma o3no2t1o3n o3nou on3s
+            onspi4 onspir5a onsu4 onten4 on3t4i ontif5 on5um onva5 oo2 ood5e ood5i oo4k oop3i o3ord oost5 o2pa ope5d op1er
+            3opera 4operag 2oph o5phan o5pher op3ing o3pit op1ism. o5pon o4posi o1pr op1u opy5 o1q o1ra o5ra. o4r3ag
+            or5aliz or5ange ore5a o5real or3ei ore5sh or5est. orew4 or4gu 4o5ria or3ica o5ril or1in o1rio or3ity o3riu
+            or2mi orn2e o5rof or3oug or5pe 3orrh or4se ors5en orst4 or3thi or3thy or4tho3ni4t orth1ri or4ty or5tively
+            o5rum o1ry os3al os2c os4ce o3scop 4oscopi o5scr os4i4e os5itiv os3ito os3ity osi4u os4l o2so os4pa os4po
+            o4s3pher os2ta o5stati os5til os5tit o4tan otele4g ot3er. ot5ers o4tes o5test1er o5tes3tor 4oth oth5esi
+            oth3e1o1s oth3i4 ot3ic. ot5ica o3tice o3tif o3tis oto5s ou2 ou3bl ou3ba3do ouch5i ou5et ou4l ounc5er oun2d
+            ou5v ov4en over4ne over3s ov4ert o3vis oviti4 o6v3i4an. o5v4ol ow3der ow3el ow5est ow1i own5i o4wo oy1a
+            oxi6d1ic 1pa pa4ca pa4ce pac4t p4ad 5pagan p3agat p4ai pain4 p4al pal6mat pan4a pan3el pan4ty pa3ny pa1p pa4pu
+            para5bl par5age parag6ra4 par4a1le param4 para3me par5di 3pare par5el p4a4ri par4is pa2te pa5ter 5pathic
+            pa5thy pa4tric pav4 3pay 4p1b pd4 4pe. 3pe4a pear4l pe2c 2p2ed 3pede 3pedi pedia4 ped4ic p4ee pee4d pee2v1
+            pek4 pe4la peli4e pe4nan p4enc pen4th pe5on p4era. pera5bl p4erag p4eri peri5st per4mal perme5 p4ern per3o
+            per3ti pe5ru per1v pe2t pe5ten pe5tiz 4pf 4pg 4ph. phar5i phe3no ph4er ph4es. ph1ic 5phie ph5ing 5phisti 3phiz
+            phi2l3ant phi5lat1e3l ph2l 3phob 3phone 5phoni pho4r 4phs ph3t 5phu 1phy pi3a pian4 pi4cie pi4cy pi2c1a3d p4id
+            p5ida pi3de 5pidi 3piec pi3en pi4grap pi3lo pi2n p4in. pind4 p4ino 3pi1o pion4 p3ith pi5tha pi2tu 2p3k2 1p2l2
+            3plan plas5t pli3a pli5er 4plig pli4n pli5nar pli2c1ab ploi4 plu4m plum4b 4p1m 2p3n po4c 5pod. po5em po3et5
+            5po4g poin2 5point poin3ca poly5t poly1e po3lyph1ono 1pole. po4ni po4p 1p4or po4ry 1pos pos1s p4ot po4ta 5poun
+            4p1p ppa5ra p2pe p4ped p5pel p3pen p3per p3pet ppo5site pr2 pray4e 5preci pre5co pre3em pref5ac pre4la pre3r
+            p3rese 3press pres2pli pre5ten pre3v 1prema3c pre1neu 5pri4e prin4t3 pri4s pris3o p3roca pro2cess proc3i3ty.
+            prof5it pro3l pros3e pro1t pro2g1e 2p1s2 p2se 3pseu2d pseu3d6o3d2 pseu3d6o3f2 ps4h p4sib 2p1t pt5a4b p2te p2th
+            pti3m ptu4r p4tw pto3mat4 p5trol3 pub3 pu5bes5c pue4 puf4 pul3c pu4m pu2n pur4r 5pus pu2t 5pute put3er pu3tr
+            put4ted put4tin p3w qu2 qua5v quain2t1e qu6a3si3 quasir6 quasis6 2que. 3quer 3quet quin5tes5s qui3v4ar 2rab
+            ra3bi r1abolic 3rab1o1loi rach4e ra3chu r5acl raf5fi raf4t r2ai ra4lo ram3et 3ra4m5e1triz r2amen r2ami ra3mou
+            rane5o ran4ge r4ani ra5no ra5n2has rap3er 3raphy rar5c rare4 rar5ef 4raril r2as ration4 rau4t ra5vai rav3el
+            ra5zie r3a3dig radi1o6g ra1or r1b r4bab r4bag rbi2 rbi4f r2bin r5bine rb5ing. r3bin1ge rb4o r1c r2ce rcen4
+            r3cha rch4er r4ci4b rc4it rcum3 r4dal rd2i rdi4a rdi4er rdin4 rd3ing 2re. re1al re3an re5arr 5reav re4aw
+            r5ebrat rec5oll rec5ompe re4cre re2c3i1pr rec5t6ang 2r2ed re1de re3dis red5it re4fac re2fe re5fer. re3fi re4fy
+            reg3is re5it re1li re5lu r4en4ta ren4te re1o re5pin re4posi re1pu r1er4 r4eri rero4 re5ru r4es. re4spi ress5ib
+            res2t re5stal re3str re4ter re4ti4z re3tri re4t1ribu reu2 re5uti rev2 re4val rev3el r5ev5er. re5vers re5vert
+            re5vil rev5olu re4wh r1f rfu4 r4fy rg2 rg3er r3get r3gic rgi4n rg3ing r5gis r5git r1gl rgo4n r3gu rh4 4rh.
+            4rhal ri3a ria4b ri4ag r3ial. r4ib rib3a ric5as r4ice 4rici 5ricid ri4cie r4ico rid5er ri3enc ri3ent ri1er
+            ri5et rig5an 5rigi ril3iz 5riman rim5i 3rimo rim4pe r2ina 5rina. rin4d rin4e rin4g ri1o 5riph riph5e ri2pl
+            rip5lic r4iq r2is r4is. ris4c r3ish ris4p ri3ta3b r5ited. rit5er. rit5ers rit3ic ri2tu rit5ur riv5el riv3et
+            riv3i riv1o1l r3j r3ket rk4le rk4lin 6rk. rk1ho r1krau 6rks. r1l rle4 r2led r5le5qu r4lig r4lis rl5ish r3lo4
+            r1m rma5c r2me r3men rm5ers rm3ing r4ming. r4mio r3mit r4my r4nar r3nel r4ner r5net r3ney r5nic r1nis4 r3nit
+            r3niv rno4 r4nou r3nu rob3l ro1bot1 r2oc ro3cr ro4e ro5e2las ro5epide1 ro1fe ro5fil rok2 ro5ker 5role. rom5ete
+            ro3mesh rom4i rom4p ron4al ron4e ro5n4is ron4ta 1room 5root ro3pel rop3ic ror3i ro5ro ros5per ros4s ro4the
+            ro4ty ro1tron ro4va rov5el rox5 r1p r4pea r5pent rp5er. r3pet rp4h4 rp3ing r3po r3pau5li r1r4 rre4c rre4f
+            r4reo rre4st rri4o rri4v rron4 rros4 rrys4 4rs2 r1sa rsa5ti rs4c r2se r3sec rse4cr rs5er. rse1rad1i rs3es
+            rse5v2 r1sh r5sha r1si r4si4b rson3 r1sp r5sw rtach4 r4tag r3teb rten4d rte5o r1ti rt5ib rti4d r4tier r3tig
+            rtil3i rtil4l r4tily r4tist r4tiv r3tri rtroph4 r1treu rt4sh r1thou ru3a ru3e4l ru3en ru4gl ru3in rum3pl ru2n
+            runk5 run4ty r5usc ruti5n rv4e rvel4i r3ven rv5er. r5vest r3vey r1veil r3vic rvi4v r3vo r1w ry4c 5rynge ry3t
+            rz1sc sa2 2s1ab 5sack sac3ri s3act 5sai salar4 sal4m sa5lo sal4t sales3c sales5w 3sanc san4de s1ap 5sa3par5il
+            sa5ta 5sa3tio sat3u sau4 sa5vor 5saw 4s5b scan4t5 sca4p sca6p1er scav5 sca2t1ol s4ced 4scei s4ces sch2 s4cho
+            s4chitz schro1ding1 3s4cie 5scin4d 1sci2utt scle5 s4cli scof4 4scopy scour5a s1cu scrap4er. scy4th1 4s5d 4se.
+            se4a seas4 sea5w se2c3o 3sect 4s4ed se4d4e s5edl se2g seg3r 5sei se1le 5self 5selv 4seme se3mes1t se4mol
+            sem1a1ph se1mi6t5ic sen5at 4senc sen4d s5ened sen5g s5enin 4sentd 4sentl sep3a3 sep3temb 4s1er. s4erl ser4o
+            4servo s1e4s se5sh ses5t 5se5um 5sev sev3en sew4i 5sex 4s3f 2s3g s2h 2sh. sh1er 5shev sh1in sh3io 3ship shiv5
+            sho4 sh5old shon3 shor4 short5 shoe1st 4shw si1b s5icc 3side. 5sides side5st side5sw sid2ed. 5sidi si5diz
+            4signa sil4e 4sily 2s1in s2ina 5sine. s3ing 1sio 5sion sion5a si2r sir5a si5resid 1sis 3sitio 5siu 1siv 5siz
+            sk2 4ske s3ket sk5ine sk5ing sky1sc s1l2 s3lat s2le slith5 3slova1kia 2s1m s3ma small3 sman3 smel4 s5men
+            5smith smol5d4 s1n4 1so so4ce soft3 so4lab sol3d2 so3lic 5solv so2lute 3som 3s4on. sona4 son4g s4op 5sophic
+            s5ophiz s5ophy sor5c sor5d 4sov so5vi 3s2og1a1my 2spa 5spai spa4n 3s2pace 1s2pacin spen4d 2s5peo 2sper spe3cio
+            s2phe 3spher spher1o spho5 spil4 sp5ing 4spio spi2c1il s4ply s4pon spor4 sports3c sports3w 4spot spokes5w
+            squal4l s3qui3to s1r 2ss s1sa ssas3 s2s1a3chu1 s2s5c s3sel s5seng s4ses. s5set s1si s4sie ssi4er ss5ily
+            s2s3i4an. s5sign5a3b s4sl ss4li s4sn sspend4 ss2t ssur5a ss5w ss3hat 2st. s2tag s2tal stam4i 1s2tamp 5stand
+            s2t1ant5shi s4ta4p 5stat. sta1ti star3tli s4ted stern5i s5tero ste2w stew5a s3the st2i s4ti. s5tia s1tic
+            5stick s4tie s3tif st3ing 5stir s1tle 5stock stom3a 5stone s4top 3store 1stor1ab st4r s4trad 5stratu strat1a1g
+            s4tray s4trid strib5ut 4stry 4st3w s2ty styl1is st5b st5scr stu1pi4d1 1su su1al su4b3 su2g3 su5is suit3 s4ul
+            su2m sum3i su2n su2r su2per1e6 4sv sw2 4swo swimm6 s4y 4syc 3syl syn5o 1sync sy5rin 1syth3i2 1ta 3ta. 2tab
+            ta5bles 5taboliz 5tab1o1lism 4taci ta5do 4taf4 tai5lo ta2l ta5la tal5en tal3i 4talk talk1a5 tal4lis ta5log
+            ta5mo t1a1min tan4de tanta3 ta5per ta5pl t6ap6ath tar4a 4tarc 4tare ta3riz 5tar2rh tas4e ta5sy 4tatic ta4tur
+            taun4 tav4 2taw tax4is ta3gon. 2t1b 4tc t4ch tch5et tch1c tch3i1er t1cr 4t1d 4te. tead4i 4teat teach4er. tece4
+            5tect 2t1ed te5di 1tee teg4 te5ger te5gi 3tel. teli4 5tels tele2g tele1r6o te2ma2 tem3at 3tenan 3tenc 3tend
+            4tenes 1tent ten4tag 1teo te4p te5pe ter3c 5ter3d 1teri ter5ies ter3is teri5za ter2ic. 5ternit ter5v 3ter1gei
+            4tes. 4tess t3ess. t3ess2es teth5e 3teu 3tex 4tey 2t1f 4t1g 2th. than4 tha4l1am th2e 4thea th3eas the5at
+            the3is 3thet th5ic. th5ica 4thil 5think 4thl th5ode 5thodic tho3don 4thoo thor5it tho5riz th1o5gen1i tho1k2er
+            2ths thy4l1an thy3sc 1tia ti4ab ti4ato 2t3i4an. 2ti2b 4tick t4ico t4ic1u 5tidi 3tien tif2 ti5fy 2tig 5tigu
+            till5in 1tim 4timp tim5ul 2t1in t2ina 3tine. 3tini ti2n3o1m 1tio ti5oc tion5ee 5tiq ti3sa 3tise tis4m ti5so
+            tis4p 5tistica ti3tl ti4u 1tiv tiv4a 1tiz ti3za ti3zen 2tl t5la tlan4 3tle. 3tled 3tles. t5let. t5lo t1li2er
+            4t1m tme4 2t1n2 1to to3b to5crat 4todo 2tof to2gr to5ic to2ma tom4b to3my ton4ali to3nat 4tono 4tony to2ra
+            to3rie tor5iz tos2 5tour 4tout to3war tolo2gy tot3ic 4t1p 1tra tra3b tra5ch traci4 trac4it trac4te tras4
+            tra5ven trav5es5 tra1vers travers3a3b trai3tor1 tre5f tre4m trem5i treach1e 5tria tr4ial. tri5ces 5tricia
+            4trics 2trim tri4v tro5mi tron5i 4trony tro5phe tro1p2is 3trop1o5les 3trop1o5lis t1ro1pol3it tro3sp tro3v
+            3tro1le1um trof4ic. tro3fit tru5i trus4 4t1s2 t4sc tsch3ie tsh4 t4sw 4t3t2 t4tes t5to ttu4 ttrib1ut1 1tu tu1a
+            tu3ar tu4bi tud2 4tue 4tuf4 5tu3i 3tum tu4nis 2t3up. 3ture 5turi tur3is tur5o tu5ry turn3ar 3tus 4tv tw4 4t1wa
+            twis4 4two t1wh 1ty 4tya 2tyl type3 ty5ph ty2p5al 4tz tz4e 4uab uac4 ua5na uan4i uar5ant uar2d uar3i uar3t
+            u1at uav4 ua3drati uad1ratu ub4e u4bel u3ber u4bero u1b4i u4b5ing u3ble. u3ca uci4b uc4it ucle3 u3cr u3cu u4cy
+            ud5d ud3er ud5est udev4 u1dic ud3ied ud3ies ud5is u5dit u4don u5do3ny ud4si u4du u4ene uens4 uen4te uer4il
+            uea1m 3ufa u3fl ugh3en ug5in 2ui2 uil5iz ui4n u1ing uir4m uita4 uiv3 uiv4er. u5j 4uk u1la ula5b u5lati ulch4
+            5ulche ul3der ul4e u1len ul4gi ul2i u5lia ul3ing ul5ish ul4lar ul4li4b ul4lis 4ul3m u1l4o 4uls uls5es ul1ti
+            ultra3 4ultu u3lu ul5ul ul5v um5ab um4bi um4bly u1mi u4m3ing umor5o um2p unat4 u2ne un4er u1ni un4im u2nin
+            un5ish uni3v un3s4 un4sw unt3ab un4ter. un4tes unu4 un5y un5z u4ors u5os u1ou u1pe uper5s u5pia up3ing u3pl
+            up3p upport5 upt5ib uptu4 u1ra 4ura. u4rag u4ras u2r1al. ur4be urc4 ur1d ure5at ur4fer ur4fr u3rif uri4fic
+            ur1in u3rio u1rit ur3iz uri4al. ur2l url5ing. ur4no uros4 ur4pe ur4pi urs5er ur5tes ur3the urti4 ur4tie u3ru
+            2us u5sad u5san us4ap usc2 us3ci use5a us2er. u5sia u3sic us4lin us1p us5sl us5tere us1tr u2su usur4 uta4b
+            u3tat 4ute. 4utel 4uten uten4i 4u1t2i uti5liz u3tine ut3ing ution5a u4tis 5u5tiz u4t1l ut5of uto5g uto5matic
+            u5ton u4tou uts4 u3u uu4m u1v2 uxu3 uz4e 1va 5va. 2v1a4b vac5il vac3u vag4 va4ge va6guer va5lie val5o val1u
+            va5mo va5niz va5pi var5ied 3vat v1ativ vaude3v 4ve. 4ved veg3 v3el. vel3li ve4lo v4ely ven3om v5enue v4erd
+            5vere. v4erel 1verely. v3eren ver5enc v4eres v1er1eig ver3ie vermi4n 3verse ver3th v4e2s 4ves. ves4te ves1tite
+            ve4te vet3er ve4ty vi5ali 5vian 5vide. 5vided 4v3iden 5vides 5vidi v3if vi5gn vik4 2vil 5vilit v3i3liz v1in
+            4vi4na v2inc vin5d 4ving vio3l v3io4r vi1ou vi4p vi5ro vis3it vi3so vi3su 4viti vit3r 4vity 3viv vi1vip3a3r
+            5vo. voi4 v1oir5du1 voice1p 3vok vo4la v5ole 5volt 3volv vom5i vor5ab vori4 vo4ry vo4ta 4votee 4vv4 v4y w5abl
+            2wac wa5ger wag5o wait5 w5al. wam4 war4t was4t waste3w6a2 wa1te wa5ver wave1g4 w1b wea5rie weath3 wed4n weet3
+            wee5v week1n wel4l w1er west3 w3ev whi4 wi2 wil2 will5in win4de win4g wir4 3wise with3 wiz5 wide5sp w4k wl4es
+            wl3in w4no 1wo2 wom1 wo5ven wo4k1en w5p wra4 wrap3aro wri4 writa4 writ6er. w3sh ws4l ws4pe w5s4t 4wt wy4 w3c
+            x1a xac5e x4ago xam3 x4ap xas5 x3c2 x1e xe4cuto x2ed xer4i xe5ro x1h xhi2 xhil5 xhu4 x3i xi5a xi5c xi5di x4ime
+            xi5miz x3o x4ob x3p xpan4d xpecto5 xpe3d x1t2 x3ti x1u xu3a xx4 x1q xquis3 y5ac 3yar4 y5at y1b y1c y2ce yc5er
+            y3ch ych4e y5che3d ycom4 ycot4 y1d y5ee y1er y4erf yes4 yes5ter1y ye4t y5gi 4y3h y1i y3la ylla5bl y3lo y5lu
+            ymbol5 yme4 ym5e5try ympa3 yn3chr yn5d yn5g yn5ic 5ynx y1o4 yo5d y4o5g yom4 yo5net y4ons y4os y4ped yper5 yp3i
+            y3po y4poc yp2ta y5pu yra5m yr5ia y3ro yr4r ys4c y3s2e ys3ica ys3io 3ysis y4so yss4 ys1t ys3ta y1stro ysur4
+            y3thin yt3ic y1w za1 z5a2b zar2 4zb 2ze ze4n ze4p z1er ze3ro zet4 2z1i z4il z4is z3ian. 5zl 4zm 1zo zo4m zo5ol
+            z3o1phr zte4 4z1z2 z4zy z2z3w
+        `
+    },
+    de: {
+        name: 'German (1996 spelling)',
+        source: 'hyph-de-1996',
+        leftMin: 2,
+        rightMin: 2,
+        exceptions: '',
+        patterns: `
+            .ab3a .abb2 .ab5erk .ab5er4r .abi2 .ab3it .ab3l .ab5le .ab3ol .ab3or .ab3sa .ab5so .ab3u .ach4sa .achse4
+            .ach4sp .achts4 .ack4e .ae2 .aer6schl .ago3 .ag4r .ag2u .ai2s .ak6t5en6de. .ak6t5en6den .ak6t5en6des .al4bl
+            .alb3r .al4bra .alb6rec .ale3u4 .ali3 .al5l6en .alle4r5 .al4lin .allo3 .all3s .al4mau .al4pl .al5s4e .al4t5ak
+            .al6t5ang .alt6an6l .altan6s .al4tei .al4t5e4l .al6t5er6f .al6t5er6p .alter6s5 .al4t3h .al4ti .al4tor .al4t5ra
+            .al4tri .al4tro .alt3s4 .al4t3u .al4u .alu3s .ampe4 .am5sta .amt4s3 .ana3c .an3ae .an5alg .ana3t .anden6ke
+            .an3e .ang4a .an5g4li .ang4r .angs4 .angst5 .ani4s .anis5c .ank2 .anla6gentec .an3n4a .an3o2 .an4ora .ans2
+            .ansch4 .an4si. .an5sp .an4tag .anti5s .anz2 .an5zw .apfel5 .app6le. .are3n .ar4m5ac .ar4mar .ar4mau .ar4mei
+            .ar4mun .ar4sc .arsch5l .ar4tan .ar4tau .ar4t5ei .arter4 .ar6t5erh .ar6t5erk .ar4t3r .arz2 .arzt3 .as2b .asbe4
+            .asie4 .as4ko .as2p .as4ta. .as5tar .as4zen .ata3 .ate4m3 .at4h .aue4n3 .au2f3 .auf5s4 .auge4 .au2s3
+            .aussen6dung. .auto6ren. .auto6rin .ax2 .ärm4s .är6schl .ät2h .ät2s .bahner6 .ba4ran .bau5chi .bauer6f .bau3f4
+            .beige4 .bei6ge. .be3n4a .be3n4e .be3r4a .ber4e .ber4ga .berg5ab .berg5ar .berg5ast .ber6g5e6b .ber6gin
+            .ber4g5l .ber4g5o .ber4g5r .berg5s .ber4t5r .be3s4a .be6t5raum .bi2e .bi2o .bi4os .bi4t3a .bi4t3r .blau3
+            .blei5s4 .boge4 .bogen5 .bogens6 .bor4d5i .bo4s3k .bre4a .brecher6 .bre6cherk .brid4 .briefen6 .brie6f5end
+            .bruch5s .brut5s .bu6cher .buchse6 .bue5be .bu4ser .buster6 .buß3 .bü3be .by2t .ce4ra .ch2 .ch4a .char6me.
+            .char6mes .ch4i .chi5er .dab2 .da6ch5en .da3la .dan4c .da2r .dar5in .dar4m3 .dar3u .da4te. .da4tes .daue4
+            .de4al .de3ch .de6ck5eri .dein4 .de5ins .de5int .de6m5ents .de3na .den4ka .den4kl .den4ko .den4kr .denta4
+            .de3od .de5ran .de4rei .de5r4en .de5skr .des4pe .de4spo .des5se .de3st .des4ti .de3xa .di2a .di5ae4r .di3ä4r
+            .di2e .die5ne .dien4s .dienst5a6d .dienst5r .di5s4ti .do4mo .dorf3 .dor6fer .do4tr .drah6t5en .drucker6zeu
+            .due3b .du6schr .dü3b .dy2s3 .ebe4r .echo3 .eck5erk .ede4l .eh4e .ehe3i4 .ehein4 .ehe3n .ehre4 .eh4r5er
+            .eichs4 .eich5ste .eide4r5 .ei3e2 .eier3 .eigener6 .ei4lau .ein3a .ei4nat .eine4 .ei4n5eb .ei6n5en6g .eins4p
+            .eins6tem .einzel6lig .eisen5 .ei4spe .eis3s4 .ei4s3t .ei6ste .ei4s3u .ei4tr .ek5lam .ek3li .ek3s .el4a
+            .el4b3i .el4bl .elb5s .el4fei .elfens6 .el4fl .en1 .en4d3a .en4d5ei .en4d5er4 .en5der. .en6dost .en4d3r .end3s
+            .en4due .en4dü .en4g3l .eng5sta .enk2 .enn4st .en4t3a .en4tä .en4t5ei .en4tem .en5thalp .en4thi .en4t5io
+            .en4toe .en4t3r .en5trep .en5trop .ent3s4 .epi3c .ep3o4d .er6b5aen .er4b5än .er4b5ei .er4b5er .er6brecht
+            .er4bu .er6d5achs .er4dan .er4dar .er4d5ei .er4del .erden6k .er4d5ep .er4d5er .er6d5ess .ere5ch .er3ei .er3er
+            .erfolgsauto6 .er3in .erk2 .er3lö .ern4s .er3o4b .er3oe .ers2 .er6stab .er6st5ein .er6ster6 .erst5eri
+            .erst5ers .er6stim .er6stritt. .er6stritten. .er4z5el .erzen4 .er6z5eng .er4z5er .es3p .es4s3t .es3ta4 .es3te
+            .es5tra .est5ri .et2h .et2s .eu1 .euch4 .eu3g2 .eur4 .eu3t .eve4r .ex3em .fahrzeugin6 .fan4gl .fang5s
+            .faus6t5r .fe3la .felden5 .fel4d5r .fel6lau .fel4s5a .fel4sp .fel4s5t .fen2 .fer4n5o .fe4st .fest5r .fi3d
+            .fi5est .fi4le. .fi4len .film5a .fil4s3 .fin4s .fi2r .flu4g3 .flus6s5en .former6 .for5tu .fra4s .fs2 .fu4sc
+            .fus4st .ga4me. .ga4mes .gan4ga .gang5sc .garnen6 .gar6n5end .ga2s .gas3e .gas3s .gas5tein .gas6tras .ga2t
+            .geb2 .gebe4a .gege4n5 .gel4b5r .ge3lu .ge3na .gen6aug .ge3ne .gene5cke .gen4ei .ge3nu .ger4a .ger4e .ge3ro
+            .ge3ru .ge3sa .ges4e .ges4i .ges4p .ge5stak .ge7stei .ge3t4u .gi2u .gla4s5c .gol6der .gs2 .gu3ru .hafe4
+            .haf6ter .haft5s4 .hal4br .han4a .han4f .hang5s .ha5sche .hauser6w .hau4su .haut3 .hau4to .he2r .he5rae5
+            .her6b5ra .he5rer .he3ri .he6r5inn .he5ros .he4sp .hete3 .he3xa .hi2n .hin3a .hin3u .hi2p .hi4s .hitze5
+            .ho4f5en .hof3s4 .ho4la .ho4met .ho3ra .hor4t5r .höch4s .hu4fer .hu3la .hund4 .hu3s4a .ia2 .ibe3 .ima4ge .imm4
+            .immen4 .in1 .ind2 .ine2 .in3eg .in3i .ink4 .inse4l5 .in5skr .inu3 .io2d3 .ioni5e .ire3 .is2a .isar3 .it2h
+            .joni3 .jor3 .kabe4 .ka4b5l .ka3la .kal4ta .kal4t5r .ka4t5i4o .ke3ra .ker4bl .ker4na .ke3ro .ke2t .ki2e .ko5be
+            .ko4ter .kraf4 .kraft5 .ks2 .kue3b .ku4ran .kü3b .la5ert .lage4n5 .la3ho .lan4d5a .lan6de6mi .lan4dr .lan4gl
+            .lan4g5r .lang5s .lan3t .lase4 .las4t5r .le4ar .leder5 .le4gas .lei4bl .lei4br .leider6 .lei6derf .lei4tr
+            .le3n4i .len4k5a .len4kl .len4kr .les3t .le3th .lich6ter6sc .li2f .li5gn .lin4kl .li3o .li4ve. .lo4g5in .lo4sc
+            .losch5 .lo4sk .loss4 .los3t .lo3th .lo4tr .lo5ver .lus4t5e .luster6 .lu5t4h .ly2s3 .ma5lae .mal5e4c .ma5len
+            .mal4z5a .man3d .mani4e .man5t .mas4s5u .ma4st .ma4ß3u .mat4c .mate3 .märz3 .md2 .mee4ru .mel4a .me3no
+            .men6schl .men6schw .me3n4u .me3nü .me4sa .mes4sp .mes4st .me4to .met6tend .mi2e .mie4t5r .mi2f .mil4z3
+            .mi4s3a .mi6scha .mi6schei .mi6sch5l .mi6schn .mi6scho .mi6sch5r .mi6sch5w .mi2t .mi4t3a .mit3e .mit5in .mm2
+            .mo2i .mo4nau .mon6dru .möbe4 .musiker6fo .nabe4 .nae4s5c .na4ha .nah5ei .namens5 .na4mes .nas4s5c .na3t4h
+            .na3to .nä4s3c .nebe4n .nebens6 .neider6 .nei6d5err .nere3 .ner4f .ne3ro .ne2s .neuer6b .nich6t5e .ni4e .nie5r
+            .ni2l .nil3a .no6tentr .no4t3h .no4top .not3r .nude4 .nul6ler .nus2 .nu4t3r .oa3s .obe4n .obe6r5ei .ob6ers
+            .ob3i4t .ob3l .obs4k .ob4sta .oe2 .oh4r5ei .oh4rer .oper4 .orge4 .orgi3 .ort4s5a .ort4s5e .ort4st .os4t3a4
+            .ost5e4c .os4t5ei .os6t5en6de .os6teng .oste6r5e .os4tes .os4ti .osto4 .ost5om .ost5ran .ost5ri .ot3a .ou4te
+            .ozo2 .ölk2 .pa3b2 .pa4nen .par4ka .par4k5l .par5th .pas6sers .paulet6 .pe4c .pe3la .pel4za .pel4zw .pe3na
+            .peri3 .pes4t5e .pf2 .pf4u .ph2 .po4lei .po4p3l .postei6 .prach4 .pu5ert .ra5ch6e .ra4d5ei .ra4der .ra3el
+            .ran4d5r .ran6g5e6b .ran4gl .rar4s .rau5f4r .rau4m3 .rau6schl .rau6schw .rau4se .re4b3l .re5cha .re5chr
+            .rei4bl .re5insz .reise5i .rei4st .reli5e .ren4n5a .re3sk .rester6 .res6t5ers .re5stit .rest5re .re3un .ri4as
+            .ri3so .ro2a .roe4s .roes5c .ro4h3a .roher4 .ro6h5erz .rom4a .roset6te. .rost5e6c .ro4tan .ro4tau .rot5ei
+            .ro4t3r .rö2s .rös3c .rue3b .rue6ck5er6 .ruh4r3 .ru4m3e .rump6f5en .runder6 .rü3b .rü6ck5er6 .sa3br .sa4fe
+            .sali5e .sami3 .san6dac .sau3c .sch4 .scha4c .schaf6t5end .scheiner6 .sco2 .se2a .se2e .see3i .seein4 .see5r
+            .se4ha .seh5ere .se4hi .se4h3o .sen4f .senf5l .senf5r .sen4kr .se5no .sen3s .se3ro .se3r4u .se2t .sex3p .sha2
+            .si2e .siege6s5 .si5err .si3es .silbe4 .si4te .sit6zer .ski3e .ski3s4 .sli2 .so3n4a .sour4 .spani5er.
+            .spiege6lei .st2 .st4a .sta4ge .stau6be6cken. .st4e .ste4h5a .ste4i .steiner6k .ster6na .sto4n .sto4re .st4r
+            .stro6ma .su6cherf .su6cher6g .sue3b .sumpf5l .ta3c .tage4s5 .ta5lar .tan4k5a .tan4k5l .tan4ko .tan6z5er
+            .ta3ra .tart4 .ta4tab .ta4t3h .ta4top .ta4tor .ta4tri .ta4t3u .tau4f5o .tau6schl .te2e .te2f .tehe5 .tei4l5a
+            .tei4l5ä .teiler6s .tei6l5ersc .tei4l5i .teils4 .te5in. .te5le .telle4 .te3ra .te4st .test5ae .test5ä .te6ste
+            .test5ei .tester6h .test5r .te4te .te3xa .texter6 .tex4tr .ti2a .tie6f5ern .ti4me. .ti4mes .ti2s .tischen6
+            .tisch5end .tisch5l .tisch5w .tit2 .tit4a .tite4 .tode4 .to4der .todes5 .to4nar .to4nat .tonen4 .to6n5eng
+            .toner6n .toner6z .to4nin .tons4 .to4pan .top3e .to4pl .to4pr .tor5an .to4rei .to4th .to4t3r .to2w .tow3e
+            .tra4de .trag5s .tri5es .trost5 .tsa3 .ts4c .tse3 .ts4u3 .tu4e .tu5end .tu3ri .tur4m3 .ub2 .ue2 .ue4b .ufe2
+            .ufer3 .uh3l .ul2b3 .ult4 .um1 .ume2 .umo2 .ums2 .una2 .unab3 .un3dr .une2 .unen4t5 .un3er .un3g2 .unge5n4
+            .uni4t .unk2 .un3s4t .ur3a4d .ur3af .ur3a4m .ur4anb .uran6fa .ur6anfo .ur4anh .ur4anp .ur3at .ur3c .ur3e
+            .ur4e3t .ur4i .ur3o4m .ur3o4p .uro3s .ur3s2 .ut3r .ves3t .vi3d .vol6lerw .wah4l3 .wah4n3 .wanderer6 .ware4
+            .waren5 .wa2s .we4b5ei .weg3s4 .weh4r5u .weine4 .wei6neb .weines6 .we6ing .wei4ta .welter6k .welt5s .wer6k5er6
+            .wer4k5r .wer4tr .wese4 .wetterer6 .wi2e .win6d5er5 .winte4 .wo2r2 .worten6 .wort5end .xan3 .xe1 .ya2l .zeit5r
+            .zeit5s4 .zel4l5a .zelle4 .zel6leb .zel4li .zel4th .ze3ro .zi4e .zie4l5u .zin4ka .zin4s5c .zin4st .zi6schl
+            .zol6lers .zuch4 .zu5ende. .zu4gei .zu6g5end .zu4glo .zu4g5ra .zug5st .zurue4 .zurü4 .zwe2 .zweigen6
+            .zwei6g5end a1ab a2aba aa2be a3ace a3achs a1ae2 aa2gr aags2 a3akt aal3ac aal3an aal3ec aa4lei aale3s aalf2
+            aal5la aa2l3o aal3ö aals4t aal5ste a1am 2a1an a3an. a2anä aan3e a1a2q aa2r3a aa3re aa4r3ei aa4r5ers 3aarg4
+            aar3in aa4rit aa4r3oe aar3ö aarp2 aar3t aar3z 3aase a3ass aa2su aata2 aa2t3h aa2t3r aat2s3 aatsche6 a1au a1ä2
+            2abah abais4 ab4ak 2abal ab3alt ab2am 2aban 2abas 4abat abat4t5a ab3auf ab1ä 2abäd 2abär ab2äu abbe4p 4abbine
+            abb5rig 1abd abda3c 2abe. 2abec ab3eic abe3id ab3eil abein4s abein4t 4a3b4el abe4l5ac abel5a4d 4aben. abe4nin
+            a4berd aber4ka ab3erz aber4zi aber4zo aber4zö 2abes abes4p ab5esse abes4t 2a3bet 1abf 1abg 1abh 4abil ab3inf
+            ab3inh ab3ins ab3iso abi3s4t 1abk ab1l a2bla ab3lag 3ablas 3ablau a4bläu 4ab4le. 3a4bled a4bleg 3ablei 4a3blem
+            4ab4ler 5ablesu 4ablet a4bleu a4blin a4bloe ab4log a2blö 1abn ab2o 2abod 2aboe 2abol a2bon abor5ang abo5rato
+            abor3s 2abot 2ab2ö ab1r a4b3rec ab3rie ab4rot 2abrö 3abruf 1abs 2abs. 4absaer 4absap 4absar 4absär ab3sc ab3se
+            2absf ab3so 4ab4sof abs2p 4abspi abs4pr 4abst. ab3sta ab3sti ab4s5tro 3abtei abtes3 2abu a4bueb ab4ug a2bum
+            a4bunt ab3usu a2büb 1abw 2aby 1abz ab5zun 2ac. 2aca 1ac1c a3cee a3cem a3cen 2ach. ach3ab ach5aen ach3ak
+            ach5all ach3an a5chari ach5art ach3as ach3au ach3än 2achb a3che a4ch5e4ck ach5e4he ach5eic ach5ein ach5eis
+            a4ch3ep ach5erbe. ach5erben ach5erbes ach5erfu ach5erfü ach5erke ach5erkl ach5er6kr a4ch5erl a6cherne a4chero
+            ach5eroe a4ch5erö acher6öf a4ch5erw a4ch5erz ache5str ach5eta a4ch3eu 2achf achgene6r 2achh 4achi a3chi.
+            ach3i4d a3chig ach5ind a3chip ach3ir 2achk 2ach3l ach5le 2ach3m ach5mi ach3n 2acho a3cho. ach3o4b ach5ord
+            ach5org ach5o4ri a3chov ach3öf 2achp 2ach3r 4achs. 4achsc 4achses 4achso 4achsp achst4 ach5stre ach3su ach5sze
+            ach4tak ach6tant acht5erfu 4achtg ach4t5in 4achtk ach6traeume. ach6traeumen. ach6träume. ach6träumen. ach6trit
+            4achtsc achts6tu ach4t5um ach3u4f ach3uh a3chus 2achv 2ach3w a1ci acin3 4ack. a4ckeg 4a3cken a4ckerd 4ackes
+            a4ck3in 2ackl 4acks acksau6s ack5sta acksta6g ack5sti 2a1cl a3co acon4n ac2p acre2 2acu 2ad. 4ada. ad4ab.
+            ad4abr a2dad a2dae ad2ag a2d3a2k ad3ang 3adap ada4rer a6d5ar6ten 4adas a4daut 1a2dä ad3än ad1c 2a3de. ade4al
+            ad5eben 2a3dec ade3e adelei6n adel6spo 3adelu 2aden ade4nat adenes4 adenk4r aden4se ade3o2 2adep ade5ram
+            a4derg a4derig ader4sa a5deru 2ades ade5s4p ades4s ade5sta ade5stel ade5str 2adf adgas3 2adh adie4s5c
+            adie6s5el ad3inf 1adj 2admu a2dob ado3c ado4n3a adon3e a2dop ad4o3s adot2 2adp 2adq adrat5s4 a2dre 3adres
+            ad4ret 4adro ad3rot ad3rue ad3run ad3rü 2ads2 3adsor ad5stu 2ad2t1 adte2 ad4tel adto2 adt3re a2düb 1adv 2ae.
+            aea2 aeap2 ae2bl 3aebte aech4sa ae3chu 2aeck aeck5sp ae2da ae4ders aede3s4 ae4d3ia aedi4e ae2dr 2ae1e aee2k3
+            ae2f3l ae2fr aefts3 2aeg ae2ga aeg3an ae4gent ae2gl ae2gr aeg3ri aeg5sta aeg5s4tr 3aegy ae2ha 4aehe ae4hei
+            ae4hel ae4h3in aeh6lein 4aehm 3aehnl 2aehr aeh4rei 2aehs 2aeht 2aei ae3im a3ein ae5isch. ae5ischl ae5ischs
+            ae5i6sch5w ae3isk a3eiw ae2kr a3el. ael4bl a3elh ae4lia aelk3s4 a5ella. ael4lak a3ello ael4pl a3els. a3el4sa
+            a3elsb ael6schl a3elsf a3elsg a3elsh a3elsk a3elsl a3elso ael4st a5elsta a3elsv ael3te aelte5i 4aemm aemte4
+            2aen. 2aene aene4n3 aen2f3 4aenge 2aeni aen3k4e aen4kl aenne4 aenner5 2aens aen4s3a aen4s3c aen4sp ae3nu 2aenz
+            ae2o3p2 5aepfel a3e2pi 1ae2q 2aer. aer3a2 3aera. ae3r4af ae4rap ae4rat aerauto6 aerb3l aer4ble 2aerd ae4r3ei
+            ae4r3e4l aere4m ae4r5emi ae4r5erf ae4r5erh aerer4k aer5ersa ae4rese aeri4e ae4r5ing 4aerk aer4mau aer4m5in
+            aer6munt ae3ro 3aerod ae4rop ae4ror aero3s 2aers a3ersa aer4seh aers5er 4aert aert6er aert4s3 ae4rue 2aerw
+            a3erwä aer6z5en6t aer6z5err 2aes4e ae3se3i aese5rei aese5ri ae3s4kr ae2sp 2aess aes4s3c aess5erwe aes4so ae4st
+            aes3te aestein6 3aesth aeß5erk aeß5erw ae4t3a aeta4b aet4eb aete3e aeteo4 aet5erbl ae2th 4aeto ae4tob ae4t3op
+            ae4t3ra ae4t3ri ae4t3ro aet4sen aet4ste aet4sti aet4str aett3s4 ae2u aeu4eri 2aeuf 3aeugi 5aeugle 4aeul 2aeum
+            4aeur aeu5re 4aeus. aeu6scha aeu6schr aeu6schw aeu4sp ae2vi a1e2x 2afa a4f3aen a2f3a2n a2fap a2f3au 2afä
+            a2f3än 2afe a2f3ec a2f3ef a4f5einh a4f5einr afel3e a4fentl a2f3e2p afe4re afe2s a4f3ese a2fex aff4a 3affär
+            af4fei 3affek af4flu aff2r 2afi afi2e afie3i afi6kanz afi4kat afi4k3l a4f3ins afi2t 2afl af3lae af3lau af3lä
+            2afo a4fober a2f3oc a2fop a4ford a4f3ort afo3s a2f3o2v 2afra af3rae a3frag af3rat af3rä af3rie a3fris 2af2ro
+            af3roe af3rö af3run af1s af3sa af2si afs4ke af4soc afs2t af4t3ak aft5anz af4t3au af4tei af4t3e4l af4t5ent
+            aft5erfa aft5int af4toe af4t3op af2tö aft5rad af4t5res af4t5ric aft4sei aft4sel aft4spi aft6stic af4tur 2afu
+            a2f3um a2f3ur 2afü 2aga ag3a2d a2g3au ag3ärm agd3an ag4d3ar ag4del ag4det ag4din ag4dre ag4dro 4age. ageb2
+            age3id age5ind age5inf age5inh age5in4s 2agel agel5d agelei6s a4gelem age4len age4ler 4a5gen. age4nas agend4
+            age4n5e4b a6generg agens4p 5a4gent. agenta6bl 5a6genten a4gentf age4rad age4r5af age4ral age4r5ap age6rauf
+            agerei6g ager6eign agerer6f age4s5am age4s5an age4sau ages5ka age4s5oe age4sö ages6sen age3u 3aggr a2g3i2d
+            ag3ill a2g3im ag3inn ag3ins agi3oe agi4os 2agl ag4lan ag3lat a2gli a2glö a2glu ag2n2 a2gnä 3agog ag3opf agori4
+            ago2s3 a4g3rad a2gre a2gri ag3rie ag3rin a4g3rum ag2sa ag3s4ah ag2se agsen4t5 ag4s3in ag5span ag5s6port.
+            ag5s6porta ags5taet ag4stät ag5stel ags4top ag5stras 2agt aguet4 a4gund 2a1h2a ah3ang a1hä ahdi3 a1he a4hein
+            ahein6se a4h3er4h aher4ku a4h3er4w ahe3s a1hi ahin5d ah2l3a2 ahl3än ah4l3e4b ahl3ec ah4l3ei ah4lel ahlenk4
+            ah5lenz ah4l5erd ahl5erf ahl5erg ah4l5er4h ah4l5erz ahli4n3 ah2l3o2 ah2lö ahl3sa ahl4sal ahl5se ahls4pa ahl3sz
+            ah4m3ae ah4m3ar ah2m3ä ahme3e ahme3i ahmen5e ahmen7sc ahme3s4 ah3mu ah2n3a2 ah4nas ah2n3ä ah3nee ah4nef
+            ahner6e ahn5er4h ahn5erk ah6nerle ahner4n ah4n5erp ah6n5ersa ah6n5er6sc ah4n3eu ah4nin ah2no ahns2 ahn3sa
+            a3hom a3hop 3a2hor ah3ost a3hot a1hö ahr3a ahra4b ahra4g ah3rai ahr5eig ahren6se ahren6s5o ahr6ere ahrer6lau
+            ahre4s ah3ri ahr4tae ahr4t5ei ahr4t3h ahr4tin ahr4t5ri ahr4tro ah2ta ah4t3e4l aht5ero ahte4s ah4t5ese ah4t3ex
+            ah4tis aht3re ah4t3ri aht3s2 ah4t3um a1hu ah3w a1hy ai1a2 a3ia. aian3 aidi2 ai3dr aid2s ai1e2 aien3 aien4de
+            ai3er3 aif2 ai3fr aig2 ai5gel a3ik. ai4k3er ai4lar ai4l5auf ai4lei ail5er4l ailge3 a3im. a3imp 2ain ai3nac
+            ai3nal aind2 a3indu ai4neb ainen4 ai5ner a3info ains4p a4inv ai1o 3airb 3airl airo3 air2s ai2sa ais3ac a5isch.
+            ai4schi a5ischs aiser5a ais4o ai3spr aiss2 ais4se. ais4sem ais4ses ais3t ai3s4tr ai3ti ait4r a3iv. a3ivl a3ivs
+            a2jat 2ak. 2a3ka. aka3b4r a4kade 2akae a3kal 2akam 2akan 3a4kanl 2akar aka4tak aka4tan aka4t5er aka4t3r akat3s
+            3a2kaz 2akä 2akb 2akc 1akd 2a1ke a2kef ak3eis 3a2k3em ake2n aken3e a2keo 2akf 2akh 2a1ki ak3ins aki3p 1akk
+            4akko. 2akl a3klec ak4lin 2akm 3a2kne3 2ako ako3c akoni4e 3akox 2akp 2akra 2akre 2akri ak2ro3 a2k3ru a2k3rü
+            2aks ak3sh ak3sta ak3ste ak4t3a4b ak4tag ak4t3ar ak4t3au 2aktb akter5a 2aktg ak2th 4aktik aktionsche6 4aktis
+            2aktm ak4t3ob ak4toe ak2tö ak4t3re ak4t3ro ak4tru 4aktsi 4aktsp 4aktst 4aktun 2aktw 2akul 2akun 2akur aku2s3
+            2akw 1akz 2a3la. al3abb 4alabo a4l3abt a3lad. al3add al3adm al3aen al3af 2alai ala3kl al3akr al3ame alami3
+            al3ana a3lanc 4al4and a4l5ande al5angel al5angr alang5s ala3ni al3ank al3anm al3ann al3ans al3anz al3app
+            a3lar. al3arb al3arg a3lari al3arr al3art a3las. alaska5 al3asp a3lat. ala4tan al5attr alat3z al3au a3l4au.
+            alauto6r a3lay a1lä a2l3än al3ärm al3äu alb5aer al4bär 3albb 4albe. alb5eink al4b5erh al6b5er6sti al4b5er4w
+            al4b5eta alb5ins al4ble al4bon alb5rae al4b3rä alb5rin alb5ros alb4spe 3album al1c alda3c al2dä 5aldehy
+            ald5enkl al4d5ere al4d5erh al4d5erl al4d5ern al4d5erw al4d5ese ald5inn al4d3ot al4drä al4dro ald3s4t al4duf
+            2ale al3e4be alebran6 a2l3ef al3eie a4l3eig a4l3ein a4l5eise al3ele al3elf 3a4lema a4lemb ale4mis 3a4l3emo
+            al3emp alende6r5 a4l5endr a4l5ends a4l5endu a4l5engl alen5in alent6ei al5enth alen6z5ei al3e4po a4l5erfo
+            al4erg alergene6 a4l5erhe a4l5er4hö aler4kl aler4kr a4l5erlä a4l5er4mi aler5oe a4l3erö 3alerr a4l5erse
+            a4l5er4tr 5alerwa 5a4l5erwä a4l5erze a4l3e4s4k a4less a4l3e4th a4l3eur al3exi al3ext a1lé al5gas algene6r
+            3algor alg2r alig4h al3imm al3imp a4l3in4q alin6stin al3int al3inv ali3o al3ira al3irr ali3sp ali5str a4l5ital
+            al4k5enz alk5erd al4k3lä al4klö al4klu al4kne al4kof 3alkoh al4k3rü alk3sa alk3se alks4i alk3sp alk3st al5lad
+            all5ank all5ano all5ans all5anz al4l3a4r alla4s al4lass al4laus 3allee all5eim all5erfa all5er6mu all5ermü
+            al6lersa al4l5er4z al3les al4lev 3allgä 3allia al4l3id alli5er. alli5ers. all5ink al4l5oef alloe6se all5ora
+            al4l3öf al4l5ö4se all6s5amt all4sin all4sph al4lum alm5aus almo6de. al3n2 2alo. alo2b al3obe al3obl al3obr
+            al3obs al3oe4d al3oer a2lof 2a3log alo4g3a alo4gn alo4gr alo5is. a3lop al3ope al3opf a4l3orc al3ort 2alos
+            al2ov alo2w a2lö al3ö2d al3ör 3alpe. 6alphas alp3st als5aer alsau4g alsch5s al3s2e als4pac al5s6temp al3sti
+            alt5alg al4t5ana al4t4an4b al4t5ans al4tap alt5auf alt5eic al4t5eig alt5ein al4t5eis alt5elt alter6fol
+            al4t5eti al4teu al4tid al4tir alt5ita al4toe alt5ort al2tö al4t5rat alt5ric alt5rit alt5roc alt5ros al4trus
+            a1lu a2lum al3umb 3alumi a2lur a4l3use alu3ta a3lüg 2aly al4z3ap al4z3ar al4zet 2am. ama3a am3a4ba ama3d 4amae
+            am3aep ama5ers ama5ge 3a4malg am4an am5ang aman6the aman4tr am3apf amas5z a2maz 2amä 3ambiv 2amc 2amd 4ame.
+            am3ein ame5len a4memo4 ame4n amen3e amen3i amen4s5e amen4su amen6tarb am2er amer4a amera5u a4m3erf ame3r4u
+            a4m3erz a4mesh ames4p a4me3st 2a3met a2mex 2amf 2amg ami4kan ami4kl ami4kn ami4n5an amine4 ami3o amis4tr 4amix
+            2amk 2aml 4amm. am4maa amm5aba am4m3ac am4mal amm5ang am4map am4mar amm5ass am4m3au amm3ei amme4la amme4n
+            am6m5es6sen am4m3id 4amml am4m3oe am2m3ö 4amms am4munt ammu4t3 a2m3oc amo2k amotte5s am2pf amp4f3a4 amp6ferr
+            ampf5la ampf3o ampf3r amps2 3ampul 2am2s am3sau am5sche am3se ams3en am3so am3spa am3spi am3s4tr am3su am2t3a
+            amta4b am4tän am4t5eig am4t3el 4amtem amter4 am4t5erb am6t5erei am4t5erf am4t5erg am4t5erh am4t5eri am4t5erk
+            am4t5erl am4t5ern am4t5err am4t5ers am4t5ert am4t5erz am4t3ex am2th am5tig amt5int am4tis am4tit amto2 amt3ob
+            am4toe am4t3op am4tou am2tö am4t5rat amt5rei amt5ric am4tro 3amts. 3amtsd am2tu amt3ur 2amtv 2amu a2m3uf
+            3a2mul a1mü 2amv 2amw a1na a3na. ana2a a2nab 4anac ana5che anadi5er. an3aes an3aeu ana4l5in an5al4ph anal5sk
+            3analy ana3m an4and an3a4no an3ant 2anar a4narb an4are an4arr a3nas ana4se a3nat. ana4ta ana4t3r a3nats 3anäm
+            an3är 3a2n3äs an3äu 1anb 4anban 4anbas 4anbib 2anbo 2anbu 2anbü anche4n5 an3cht 2and. 4andaa 4andab 3an3d4ac
+            and5achs 4andal and5amm 4andan and5anz an4d5arm an4d5ass 4andat an4d5att 4andaw 2andd 4ande. an4d3ei and5elfe
+            an6den6ga and5ente. ander5ei anderer6le and5erhö ande4sa ande6spo andes5ta an4d3ex 2andf 2andg andi4e ando3s
+            and5ott and5rai an4drau an4drec an4d5res 2ands and4sam and4seh and6s5ein and6spar and6spas and6spat and4sph
+            an4düb 2andw andy3s4 an3e2c a3n4ei. 3aneig a3neip an3e2k ane2l an3elf an3e4mi 3a4nemo ane2n anen3e anen4ze
+            anen4zy aner4nä a4n3eru a4n5erz. an3eth a2n3e2v 1anf 2anf. 4anfab an4f3ak an5fes 2anfi anfi4n anfin5i anf5rau
+            2anfs an3f2u 4anfun 4ang. 4anga. 3angab ang5art 4angas ang2ä an3gäh an4gäs 4ange. 5angebo 5angeho 5angehö
+            ang5eig ang5eis 3angek an4g5erf an4gerg ang5er6he an4g5erk an4g5er4p ang5ertr an6g5erwa an4g5erz 3angez 4angie
+            ang4lok angmi4 ang3n 3angol ang5rad ang5ras an4grau 5angrif 4angs. ang5sat ang6st. ang5sti ang3t2 1anh 4anhau
+            4anher 4anhex 2anhu 2anhü 2ani 4ani. 4anie aniel4l ani5els ani5ers. anie3s ani4ka ani4ki ani4kr 3a2nim an3i4on
+            a4niso ani5sta 4ank. an4kag ank5alt ank5anz 4anken ank5erfa 4anki an4kid an4k5las an4klö an4k3ob 4ankon
+            ank5ori an4k3öf an4k5ras an4kro ank5rue an4krü 4anks ank3s4k ank3s4p ankt2 an4küb 3ankün 1anl 4anlad 4anlan
+            4anman 3anmel 3anmie 3anmu 4anmun anna4ge 3annah 3annä an4nef annens4 anne4s 3annex ann4spa 2annt 3anod an3ode
+            anoe4d an3ofe 2anog a3nol ano4l3a an3oma ano4m5en an3opf an3opi an3or ano5rak 3a4nord a4no4ri anor3t4 a3nos
+            an4ou a3nov a1nö an3ö2d 1anp 4anpaa 4anpag 2anpo 1anr 4anrad 2anrö an3s4ab an4s5aem an4s3al ansa4m an4s5ame
+            an4s5amt an5s4au 3ansäs ansch4l an4seu 3ansic ansicht6 an4sim an4spo ans5pon 3anspr 5anstal an4stem an4s5ura
+            ans2z an3tac an4t5a4go ant5ang ant5ans an4t3ar anta4re 3antá 3antei anteri4 antes3 ant5e4ta 5anthro 3antib
+            5antilo ant5inst 3antiq 5antise 3antr ant5räu 2ants 3antw a1nu anu5ell a3nup a3nur a1nü 1anw 2anwi any3l4
+            an4z5aep an4z3an an4z5art an4zau an4zäp 2anzb an4z3e4d 5anzeig anz5elf anze4n 4anzes anze4t anz5eta 2anzg
+            2anzh an4z3i4d anzi4n an4z5inf an4z5ins anz5int 2anzk 2anzm an4zol 2anzr 2anzs 2anzt 5anzuen 3anzün an4zwä
+            an4zwi 2ao a1oe2 a1of ao2fe ao1i a3okt a2om a1op ao2pe a1or a3orm aor5te a1os ao2sk aos2p aos3t a3ot. ao3t2s
+            2a1ö2 2ap. ap2a apa3b2 a2ped a3pel apen3 ape4ra a2pev 2apf. ap2fa 4apfe. 3apfel 4apfen 2apfs 2aph aph5aer
+            aph3är aph5ers a2ph3t 2a1pi api2e apie5l apie3s 2apl a3pla a3plä ap3li ap2n ap2o 2apol apo3p2 a5posi apo5sta
+            apos5te apo5str a2pot 3appar ap4pei ap2p3f ap4pre ap4p3ru a1pr ap4san ap4sin ap2s3p apst3o apst3r apt2 a4que.
+            2ar. a1ra a3ra. ar4a3a ar3abb ar3abt ar3adr arad4s 2arae ar3aer ar3aes araffi4 a5rafo arafor4 ar3agg arag4l
+            ar4ah ara3i 4aral ara3le ar3all ar3ang a4ranr ar3ans a4ranw a4r3anz ar5apos a4r3app 2arat ar3atl ar3atm ar3au
+            arauto6r ar3ax 2a1rä ar3äs ar4bab 4arbe. 4arbef 3arbei ar4b5eig ar4b5eim ar4b5ein 6arbeitr 4arben arb5erl
+            4arbi ar4b3le 2arbs2 arb3sk 2arbt2 2arbu 1ar1c 4archl 4archr ar4d5anz ard5arm ar4d3ed arde4n ar4dob ar4dop
+            ar4dro ards2 2are. a2rea are5aler a2reb are5ba 2arec a2re3e2 a2ref ar3eff areg2 ar3ehr a4r3eid ar3eig areim5
+            a4rein 2arem ar3emb a4remi 4aren. a4renah arens4 aren6sem a4r5entn aren4zy a2reo 4a5rer. are3r4a arerau5
+            a4r5erei a4rer4fo a6rergeb a4reri a4r3erk a4r3erl a4r3ert a4r3erz arer4zi 2ares a4r3es4k ares4p a4r3es4s
+            are5sta are5str 2aret are5the a2reu a2rev arfs3a arf4s3p ar3fu 2arg. ar4g3e4c arge6l5er ar2g3n 4argo ar5gre
+            a1r2i 2ari. 2aria arie4n3 ari5er. ari5erbu ari5erd ari5erg ari5erh ari5erp ari5ers. ari5ersc 4arif arif3t
+            ar3imp 2arin arin5it arin3s4 a4r3int ar3inw 2a3rio a3rir 4arisc ari4su a4rith 2a3riu 3arkad ar4k3ak ar4kal
+            ark5aue ar4käh ar4k5erh ar4k5er4l arker4n ar6k5erne ar6k5er6sc ar4k5erw ar4kid ar4k5inn ark4lö ar4kne ar4koa
+            ark5rin ark3sa ark5she ark5spe arks4t ark5stu ark4ta arkt5a4g ark4tel ark4t5ex ark4top ark4tre arku2 ar4k3um
+            ar4küb arlang5 ar4les arlichter6 arlich6ters arl2s arma3l ar4m5ans ar4m5anz arm5art 5armatu arm3au ar4meb
+            arme4e ar4m3e4g arm5ein 5armeni ar4meo ar4mep ar5mes ar4m3op 2armö arms2 ar4mum 3armut 2arn ar4nan ar4nap
+            arn4au. arnte4 a1ro ar3ob. 4aroc aro6ckeng ar3o4di 2aroe ar3oem 2arof ar3ofe ar3off aro2i 2arok 2arol ar3o4no
+            ar3o4pe ar3opf 2a2r3or aros5t 2arot arot5an aro4to a4roun aro2w a2rox 2arö ar3öm 2arr. arr5ach 5array 2arrä
+            ar4r3e4b ar3rei ar6r5ei6sen arre4n arren5e 4arri ar4r3or 2arrs 2arrt 2ar3s2a ar3sä ar6schab ar6sch5ac ar5sche
+            arsch5erl arsch5lä arseri4 arsex3 ar3s4ha ar3si 2arsk ar4ska ar3sp ar3sta ar3stä ars5tät ar5stel ar5stern
+            ars6t5ers ar3str ar3su ars4ue3 artal4s5 ar4t3am ar4tang art5att art5auf art5elf arter6fo arter5k arter6la
+            3arthr 4artie 3artig art5int ar4t5iso ar4t3ob ar4t5ram art5ren art5rie ar4t5rol art5ske a1ru arude4 aruder5
+            a2r3uh a3rumm ar3ums 2arü a3rüc a3rüm arwa4s 2ary ar4z3ae ar3zan ar4z3au ar2zä ar3zäh arze2 arz5elf arz5ente
+            arzer4 ar4z5erl 2arzi 3arzn 3arzt arz4th arz4ti arzt5ra arz4tri ar2zw asa5chi as3aeh as3aet 4asaf as4ai
+            asal4t5e as3amp asa5ne a2sap asa4ro asa2s as3asc a5sau. asau4f as3aug as3ät a2sca as5cham a5scher. ascher6g
+            a3schi asch5mi asch5ru 4ascht a4schwu a4schwü a2sco 2ase a2sec a2s3ef as3eie as5elef a3sen. ase4na4 asene4s
+            ase6n5esc asenk4 ase4n3o a6sen6sem asens4p aser3a aser5eig ase4ren as4erh as4es as3eva a2sex asex3p 2asf
+            a3s4hen a3s4hig 3asiat a2s3i2k as3imp as3ind asing3 as3inn as3int asi4s3a a2sk as5kla aslan4 a3slip a2so2b
+            as3oe aso2f as3ofe a3sol a3som a2s3o2p as3orc as3org as3ori as3pan aspek6t5o aspi5en as3pik as3pio a4spir
+            as4ple as4por as4pul as5s4abl as4s5amt as4scr ass5eins assens6k assens6p as5s4er asser5a asse6r5ec asse6reis
+            5assess 3assim as3ski as4soe as4s5ora 3assoz as2sö as4spo as2st ass4tie ass4top ass4tue as4sur a4st. a3s4tad
+            ast4af ast5ans ast5ant as3tap asta3s as5tatt ast5auf ast5einl a4ste4n ast5ents as3ter as6t5er6ho as6t5er6hö
+            aster5oe aste4s as4t5ese as4tex as2th 3asthm asti4e asti4ka a2sto as3toc ast5orc as4t5rap as4trau ast5raum
+            as4tre as5tren as6t5ritt ast5roll as4tru ast6ruk 2astu as4tud as2ty asu2s3 aswa4s as2y 2asy. a2syl 3a4symm
+            aße2 aßen3 2at. 2ata a2t3aa at5a4ben a4t3abl at3abr at3aer ata3la at3apf ata3ra at3arb at3art ata3s2 at3atl
+            at3att a4t3auf ata3un a4t3aus at3är 2atb 2ate. ate4au a2teb a3teh ateien6d atei3f atei3s 3a4teli 4atell
+            atel6l5erk 3a4temg a4teml a5tempe a4tems 2aten aten6t5ank aten6t5ri ate5ral aterer5 ate4ro 2ates ates4sa
+            at4eur ath4a a4t3hee at5herd a4thin ath5in. at3hir 3athl a4t3hoc at3hof a2th3r 2at2i at3idi ati4kab ati6k5er6w
+            ati4kl ati4s3a ati4s3e at4isl a4tiso ativ3a ati4vat ativen6d ati6v5er6f ati6v5er6s 4atle 4at5mus at2o a2t3o2b
+            at3oef at3oel a4t3oer at3o2f a2tom ato4man ato4min 3atomk a3tomo 3atoms at5opfe a4tops 2ator ato4ra a4t3orc
+            ato4rei atorgene6 ato3s ato2w3 a2t3ör at5raet at5raeu a4t3rau a4t3rav at3rän a4t3rät a4t3räu at3rec a4trep
+            at5ring at3roh at3rol a4t3rom 4atron a4troo 3a4trop a4t3rot at3rue at3ruh at3rut a2t3rü 2ats at6schma at6schme
+            ats3e4h atse4l at4set at4s3in at2so ats3pr at4stoe at4stop at4stö at4stur 3attac at4t3ad at4tah att5akt
+            atta3s4 at4t3au at4t3ec 4attel attens4 4atter at6t5ertr at4thu at3ti at4t3o4b att3o4f 5attrak at4t5ras att5rat
+            att5räu att5ros att3s4 2atu atu3et atu2n atu4rei atu4rer atur3z atus3e atwa3r 2atz at2za at2zä at4z3e4c
+            at4z3e4d at4z3eh atz5eig atz5ela atz5elt at4z3em atzen5e atz5erb atz5erf atz5erg atz5erh atz5erke atz5erkl
+            atz5erkr atz5erl atz5ero atz5erp atz5ersc atz5ert atz5erw at4z3e4t at4z3in at2zo atz3op at2zw a2u 2au3a2 au1ä
+            2aub au4b3ab aube4e aub5ele aube4n auben6se auberin6s au4b5eul au4b5ins au4b5lae aub5las au4blä aub5rin
+            aub4spo aub4spr au4b3um 2auc auch5e4c au6ch5en6t au6ch5erke auch5sti 2aud au1e 4aueb aue2d au3eg auene4
+            auens4t auere4 au5erel au5erent aue4r3o aue2s aufa4c auf5akt au4f3ar auf3ei aufen4s 5aufent auf5erf auf5erh
+            au4f5er5i auf5er6kr auf5erla auf5ind 3auflö 3aufn 4aufo auf3re 5aufruf auf3t2 4auft. 5aufträ au4fum 3aufzü
+            4augeh augene4 4auger 5auges. 2augl 4augr augs4t aug5str 3augus au1h auh4a 2a3uhr 2au1i aui2n 2auj au4kle
+            auk5te au4l3at aul3e4c aule4s aul5ese aul4les au3lü 2aum au4mad au4maeh au4mäh aume4n aum5ents aume4r
+            au4m5er5i au4m5ern au4m5ers au4m5erz aumgene6 au4m3id au4mind au4m5ins au4mis au4m3o4r au4m5ott aum3p2 au4ms2
+            au4mum au4mun 2aun aun4ac aun5alg au3nas aun4aus aun3d aun2e au4n5er4d aun5erze a4unf au4nio aunk2 au2no au3nu
+            au1o 2aup2 au3pf aupt5er au1r aur4a auran4 aurant5 aur2h au3ru au4s3ah ausan6ne. au4sap au4sas au4s3au 4ausc
+            au6schan ausche6f au6sch5lag au6schli au6schmi au6sch5wi au4scr 3ausd 4ause. ause4e3 aus5ehr aus5ele aus5elf
+            au4s5erb au4s5erf aus5er5in au4s5erk au4s5erl aus5erpr au4s5erw 3ausgl au4s3in au4sis aus5kr 2auso au4s3or
+            au4spic 3ausrü auss2 5aussag aus4se. aus3sz au5stae au5stal au5stat aus5tauf 4auste. au5stein au5stel 4austem
+            4austen 4austes 5austrag au5s6tras au4s5tür 3auswu 3auszü auße4 außer3 aut5aeu au4t3äu aut5ein au4t3e4l
+            au4t5ero au4ters au4tev aut3ex au4thy 2auti 3auto auto6renk auto6renp auto6rens auto6rent au4torg auto6rinn
+            aut5rau aut5rin aut5rue au4trü auts2 aut3sk aut3z 2auu auve4 2auw 2aux 2auz a1ü av2an avari4e a2va3t4 a2v3ex
+            2avi avie6rer a2vl 2avo a2vr 2avy 2aw awi3e a2wr a1x ax2am ax2at ax3emp ax3erw 3a2xio 2a1ya a2y3ak ay4ere
+            ay2es a3yeu ayma2 ay3of ayou2 ays2 aysi3e ay3t ay2u az2a a3zad 3a2zal aza3s2 az2o 2a3zu az4ur 2az2w azz3a2
+            az4z3en4 az4z3in az2z3w ä1a2 äap2 ä2bl äbni2 äb2s äbte3 ä1ce1 ä3che äche3e äche4n3 ä3chi ä2chr äch4s3a äch4s3o
+            äch4sp äch4st ä3chu ä1ck ä3cke. ä3ckes äck3sp ä2da ädel3a ädel3e ädel3i äde3s2 ä2d3ia ädi2e ä2d1r äd2s äd3te
+            ädte3e ädte3i ädtein4 ädte3s 2ä1e äe2j äe2k3 ä2eri äe2x äfermi4 3äffc äf2fl äfig3s äf1l äf1r äf2ro äf3te
+            äft2s3 ä2g1a 1ä2gä ägd2 ägdi3 ä4g3ent äge4ra äger5as äge6rend ägeren6g ägerer6k äge6rers ägerin6d ä2g1l ä2g3ne
+            äg2ni ä2g1r ägs2c äg3sta äg5stel äg3s4tr 1ä2gy 2äh. äh1a 2ä1he ä2h3ei ä2h3e2l ähe2n äher6gebn ä1hi äh3in
+            äh4l3a äh4l5e4be ähl5ein ähl5ins 2ähm äh3na äh3ne 3ähnl ähr3a ähre2 äh4r3ei äh4r3el ähr5sa 2ähs2 äh3stu 2äht
+            ä1hu äh3w 2äi ä1im ä3is. ä5isch. ä4ische ä5i4schl ä5ischs ä5i4sch5w ä3isk ä1k ä2kle äk2li ä2kr ä1la äl3an
+            äl2bl äl1c äl2l3a älle3s äl2pl äl4schl äl3te älte3i ältein4 ä1lu 2äma äma3t 2äml ämon2 ämoni5e ämte2 äm2th
+            2ämtl 2än. ä1na ändes4 än2dr 2äne äne2n3 äne3p äne3s än2f3 änge4ra ängerin6s än2gl än2gr 2äni 2änk än3k4e
+            änke3i än2kl än2kr änne4 änner3 2äns än2s3a än2s3c än2sp ä1nu 2änz ä1on äo3s äos4e 2äpfc 3äpfel äp2pl äp2pr
+            äp2s3c 1ä2q ä2r1a2 3ära. är2af ärana3 ärauto4 är1ä är4b3le är1c 2ärd ärde4n ärde4s 2äre ä2r3ei ä2r3e2l äre2m
+            ä4r3emi äre2n ären3a ä4r5ener ä4r3erf ä4r3erh ä4r3er4k ä4r3erz ä4rese är2gl ä1ri äri2e ä4r3ind ä4r3ing är3ins
+            ä4r3int ärm5arm är4m3au ärme3e4 är4m5ent är4m5erz ärme5sz är4m3in är4mof är3o2b är3of är3o2p är3or ä1rö ärp2
+            är4seb är4s3eh ärs3er är2sz ärt2s3 ä1ru ärz3au ärzen4t ärzer3 ärz3te äsche5i äsche5s4 2ä3se äse3e äse3g
+            äs4e3i2 äsein4 äse3la äsen4s äse3re äse4ren äse5r4i äse3u2 ä3s2kr äs1p 2äss äs2s3c äss5erkr äss5erwe äs2so2
+            äs4spr äs4ste äs3te ästein4 3ästh äs2tr ä4ßent äß3erk äß3ers äß3erw ä2t3a2 ätab3o 2äte ät4eb äte5be äte3e2
+            ätein4n ät3eis ät3emp äte2n äteo2 ät3e4pi äter4bl ätergene6 ätes4p ä2th ät3id ät3ob ät3op ät1r ät2sa ät2sä
+            ät4schl äts3en ätsi2 äts3p ät2st äts3tä äts3te ät2su ät2t3a ät4tei ätte4n3 ät2tr ätt3s2 ät3v ät2za ät2zw
+            äu2b3l äu2br äu1c äude3 äuder4 äu1e äuel3 äu4eri 2ä2uf 1äug äu2gl 2äul 2äum äu2ma äum3p äum2s äum3sc ä2un
+            äun2e äu3nu 2äu3r äu5re3i äurein4 äure3s 2äus. äu4scha äu4schä äu6sch5ei äu6schel äusch5erz äu4schi äu4schl
+            äu4schm äu4schn äu4sch5o äu4schr äu4schü äu4schw ä3usd ä5useff äu3s4e3i ä3usg ä3usk ä3usn äus4s3c ä3usst 1äuß
+            äu2tr ä2vi 1äx âte2 á1 1b ba2b3a ba4b3er4 2babg 2b3a2br 2babs 5bach. bach5en 5bachh bach3s b5achse bach7ter
+            ba4ck5er4 backs4 bad3a ba4dab ba4dan ba4dar 4b3adel ba4dent 2b3adl 2b3adm ba2dr ba2du b2ae 2b3aeh 4b3aerz
+            4b3aeug bae5us. 2b1a2f 2b3ahl bah4n5e4b bah6nene bah6n5ent bai3d ba2k3a ba4k3er ba2k3i bak3l ba2k3n ba4k3ra
+            ba4kre ba3la ba4lab ba4l3ak ba4lar ba4las ba4lau bale4a ba4lei baler4 ba4l5erk bal5ins balk4a balke4 bal4lan
+            bal4l5au bal4l5eh bal4l5ei bal6lerg balo3 bal4tr 2b1am bama2 bam3az 3b2amb ba2me ban2a ba4n3ae b2and ban4dab
+            ban4d5al ban4d5an ban4dar ban4dec ban6delf ban6d5en6de. ban6d5en6den ban6d5en6des ban6d5erf ban6d5erk
+            ban6d5erz ban4dob ban4dr ban4du ban4k3a ban6kerf ban6k5erw ban4kl ban4k3n ban4kop ban4kor ban4k3r ban4ku 2banl
+            b3anna 2b3ans 2banw 2b3app ba4r3ab ba4rad bar5akt ba4rar bar5ast ba4r3at ba4rau bar5ein bar4en barer5ei
+            barer4t bari3e bar5in4s bark4l bar2s bar4ta bar4tel b3arti ba4rue bar3zw bas2a ba4seb ba4seli4 bas4i b3asia
+            bas4sa bas4s5ei bassin4 bas4sp bas4st bas5te bas3ti bas4tr ba4t5ent 2b3atl batro4 ba4tru bat4tak baub2
+            bauchar6m bau6ch5el bau6ch5er bau3eb bauen4s bauer6fo bauer4g bauer4l bauer4n bauer6tr bauer4w bau3fa b3aufg
+            bau3f4r 4b3aufs 4b3auft 4b3aufw baug2 bau5kl bau3l bau4m5ac bau6m5ant bau6m5ast bau6m5ent ba4u3n b3ausb
+            4b3ausf bau3s4k b3ausl bau3s4p b3ausr 4b3auss bau3s4t b1a2x ba3yo b2ä1c b2äd 2b1äh b2äl b2är bären5 bärk2
+            2b3ärz b2äs 2bäug bä3us. 2bb b3ba bbau3 bbauer4 b3be bbens4 bbe3ra bbin4g bb2lo bb2lö bblu2 bb2r bbran4 b3bru
+            bbru4c b3brü bb2s 2b1c b3ch2 2bd2 b3da bdän3 b3de bde3s bdi2e bdome4 3be. bea2n bea4ten beat4m b3ebb beben3
+            bebens4 beb2l 3be1c be2ce becher5e 4b3echt be3cke 4b5e4cke. bed2 4b3e4del bedi2 2b3edl be3e2h bee2l be3ela
+            be3en be3erd bee4r5ei bee6r5es bee4r3i be5ertr be5erzi bee4ta be3eti bee4t3r be3eu bef2 be3fe befen4 2b3eff
+            befi4l be3g2 3beh be4he. beh3ri beh2u b2ei beib2 bei5bl bei3d4r 4b3eier bei3f2 bei3g2 beige4o be3imm be3imp
+            bei6ner6k be5in4fo bein6fra 4b3eing be5in6hal be5in4hi bein6spe bei3s4a bei5sc beisch4 bei3sp bei3s4t beit4s5e
+            beit4s5o beit4s5t beiz4w 3bek be3ke b2el bel5achs bela4n be4l5ano be4l5ant be4lanz bel5bi 4b3el4bl bel3d4
+            be5le. be3lec 3belei be5lei. be5leie be4l5ein be4l3en bel5er5e bel5erh bel5erk bel5ern be4l3e4t bel3f 3belgr
+            beli6ef bel5inn belle4n5 bel5oef be4l3om be4l3or be4l3öf bel5öse 3belp2 bel3sk bels4p bel5stern bel3sz belti4
+            2b3emp 4b3emul b2en 3bena be5nabe be4nat ben3au be2nä 3benb benden4 ben6dens ben6d5es6s 4bendl 4bendm 4bendp
+            be3ne. ben3ec benei4l be3nen be4n5end be4n5ent be3ner be4nerf 6benergi be5nergr be4n5erl be4n5ers ben5ert
+            be4nerw be4ness ben3f beng2 be4nid be4nik benim4 ben5inn be4n3is 3benk2 ben3n be4nob be4n3or ben4san ben4s5au
+            ben4sek ben4s5el bens5end ben6sere ben6spar bens5trae bens5trau bens5trä 5bensz 4b3entb 4b3entd 4benteu
+            4b3entf 4b3ents 4bentw ben3un 3benv 3benz be1o2 be1p2 be4pit 4b3epoc b2er be3ra. ber3aa ber5abe ber5abl
+            ber3a4c ber5adm be5raeu ber3af ber3a4k ber5all ber5amm ber5anz be4rar bera4s ber5asc ber5ass be4rato
+            berbeste5cke berd4 be4r5eck ber5eig ber6eini be4r5eiw ber3el bere4m ber5emi be3ren ber5end be4r5en5e be4reng
+            ber5ens berer6fa ber5ersa ber5e4sc be4r3e4t berf4 ber4g5af berg5an. berg5ass. ber6g5en6t berger4 ber6g5erf
+            ber4g5li ber4gn bergs4t ber4hab ber3i4d berin6sp berin6st berin4v be4ri4o ber5iss berk2 ber4ken ber5n4a
+            ber3n4e ber3ni b3ernt ber3o4b ber3oe ber3of be4r3oh ber5ost ber3ö berr2 bers4k ber5stau b2e1s be3s4an besch4
+            be4s3ep be4s3er bes5esk be4s3id be3s4la bes4pe bes4po bes3sa bess4t b5esst. bes3sz be6stang beste4 be4ster4
+            bes6t5erh bes6t5erk bes6t5ern be4stol bes4t5o4r bes5tos be4s5trä be4s5tur be4sum be4sur be3s4ze be4t5ant
+            4b3etap beta5sp bet5auf bete4s3 bet4o bet4tis bett3r be3uh be3um be3un be3ur b2ew 2b1e2x1 3bez 2b1f2 b3fa
+            bfal4li bfang5s b3fä b3fe bfin4s b3fr b3fu b3fü 2bg2 b3ga bga6send bge1 bge3ne bges4 b3gl 2b1h b3ha b3hä b2i
+            bi3ab bi3ak bi2ar bi3as bib2 bi3ba bibe4 bibel3 biber3 bi2c bid2 bi3dj biens4 bie4r3a4 bieres4 bie4st bie4t3a4
+            4bieti bie4tr biet4s3 bi3f bi4ke. bi4kes bi3k2l bi4kre bi3ku 3bil bi4l5ang bi4lant bi4lau bil4da bil4deb
+            bil4del bil4d5in bil4d3r bild3s bi4lei 4b3illu bi2lu 2b3imb 2b3imp bi3na 4b3indi bing3a bi4n3ok 4b5insas
+            2b3int 2b3inv bio1 biob2 bi2o3d bi3oef bi3re biri3e 2b3irr bisa2 bi4s3ei bi3si bi2s3p bis5sau bis4s3c bi2st
+            bi3sta b4i3tr bit3s2 bi3z 2bj bjek4t5o4 2b1k2 bk4an b3ko b3kr bl2 2bl. bla3b2 2b3lac blade5s 4b3laed 4b3laen
+            blaes5c 3b4laet 2b3lak 2b3lam b4lanc b3lang bla4s3p 6blassens blas6serk 4blassu bl4at b3late 3b4latt blat4t5r
+            bl4au blau4c 4b5laus blaus4t b3laut 2b3law b3lay 2b3läd 2b3län bläs3c 3b2lät b2le2a 2b3leh ble4i b4lei. b4leib
+            bleich6a 4b3leid blei3f 4bleih ble5imp blein4 ble5int blei5sc blei7sch 4bleit blei5ta b2lem ble4mei ble6m5ent
+            ble4mer blem3p4 ble2n b4len. b4lend 4blenk b2leo b4les. 4blese 4blesu ble3sz b2let b3li. 4b3lich 4blief b4lier
+            2blig bl4in b4lind 4bling blings5 blin4k5a b4linz 4blis. b4liss b2lit b3lite 3b2lo. b2loc 4b3loch bloch5s
+            blo6ckent blo2g 3b2loi blo4id b3lok b2lon 2blos blues5s 2b3lun blu4t3a4 blu4th blu4tin blut3o blut5sc 2b1m
+            b3me bmen4s 2b1n2 b3na bnas2 b3ne b3nu bo2a2 bo3ab3 boabi4 bo3as b1ob bo2b3l bo2br bobs2 bo3ch4 bo3d2s body3
+            bo2e boe4bl boe3i boei4g bo3en b1of boh4r5ei bo3is bo4l3an bo4l3au bol3c bol5erl boli4e bo4l3in bo4lit 2bolu
+            bol3za bombe4 3bon. bo3nat bon4d3e bo4n3er 3bons 3boo boo2l boo4t3i boo4to b1op bo2pe 3bor. bor3ae bor3al
+            bo5rant bo4r3as bor4d5an bor4dr bo4rei bo4rig bo4r3in bor2s b3ort. bor4ter bor6t5rat bose3s bos3t 3b2ot bot4e
+            bote4r3 bo3th bot4se bot4so bots3p bot4s3t bot3t bo4xel boy1 bö2bl 2b1öf bö2is b1öl 2b1p2 bpa2g b3po 2bq br2
+            2br. b2ra. bra3a 2b3rad 4b3raed b2rah bra5i4sc b2rak b2ram4 bran6dent bran6derk bran4d5r 4b3rat. brater4
+            bra6terd bra6terg 4b3ratg bra4t3h bra4t3r 5b4raun bra5unte 2b3räd 2b3re. 6brecherc brech5s 6b5rechte 6brechtl
+            2bred 2bref 2b3reg b3reic 4breif brei6t5ei brei4t5r b3reiz 2brek breli3 b2rem brem4sc brem6sei brem4s5t b4ren.
+            4b3rent 2breo 2b3rep b2re3r b4res. b3rese 4b3rest b2ret bret6t5en 2b3reu b2rev bri4da 4brieb brie4fa brie6f5er
+            4b3riem b4rien b4riga b4rigi 4brigk bri6kans bri4ker bri4ku b2ril b4rina 4b3rind b2rio b4risc 4briss 4b3ritt
+            b2roe 2b3roh 2b3rol bro4m3a 3b2ron b2ros 4b3rost bro4ta brot5ei bro4ter bro4t3h bro4t3o bro4t3r brotz4 2b3rou
+            b2rö b2ruc bru4chu 4b3rueb 2bruf br4un 4b3rund bru3n4e brus4 brust3 bru4ter bru4t3h 2b3rüb 3brüc 2b1s b2s3ad
+            b4s3aer b2sak b4s3all bs3amb b4s3amt b4sanf b4s3ant b4s3anz b2sap b2sar b3sau bsau4m bsau4r b2s3är bsch2
+            b4s5chec b4schef b5schu b2sco bs2cu bsde3s4 b2s3e2b b4s3ehr b4s3ein bse2n bsen3e bs3erd bs3er3e b4s3erf
+            b4s3erg bs5e4r5in bs3erk b4s3erl bs3err b4s3ers bs3ert b5serv bs3erw bs3erz bse2t bs3eth bset6z5er6 b2s3eu
+            b2sex2 b4s3ide b2s3im bs3ind bs3inf bs5inte b2sk b2so2b bs3off b2s3op bso2r bs3orc b4s3ori bs5ort. bs5orts
+            bs2öf bs2pe b4speri bs2ph b3spit bsprun4 bs5rei bs3s2 bs2t bst5a4be b4stade bst3ak b4st3al bstands5 bst5ank
+            bst5ann bst5art bs4t3as b4s5tauc bst5au4f5 bst5aus bs5teil bst5einb bst5eis bst3e4k bste4m bst5ema bst5emi
+            bst5en5e bst5ent bst5enz bst5er5e bst5erf bst5erh bst5erk bst5ernt bst5er5o bst5erö bst5erz bs3tes4 bs4t5ess
+            b3stet b5steue bst3h bst3i4d b4stin bst3io b4s3tip b4st3ob b4stoch bs3tod b4stor b4strac b4s5trae b4strau
+            b4s3trä bst5rep bst5ret bst5ros bst5rue b4st3rü b4stun b4stüb b2sty bs3umb bs3ums b2s3un bs3url b2sz b3s4zep
+            2bt btas4t5r b3te bt1h bti2s bti5schen btisch5l bto2n3 btran4 bts2t btu3en btü1 bub2 bu5chare buch5art buche4
+            bu4ch5ec buch5ere buch5erf buch5er6h buch5er6l bu6ch5er6s buch5er6w buch5er6z bu4chet buchs4p bu2e buegel5e
+            buer4o 2b3u2fe bu3f2r bu2gl bu4g3ra bul4l3a 2b3umf 2bumk 2bumr bu3n2a 3bund bun4dä b4undd bun6d5ent bun4d5er
+            bunde4s bun4din b4undn b4undz 2b3unf b3un3gn 2b3unh 2b3unl bun6t5er6z bun4tr 2bunw bur3c bur4gan bur4gar
+            bur4g5au bur4gin bur4gl bur4gr bu3ri 2b3urn b3ursa b2us bu2s3a bu4scha busch5ar bus5chau bu6schei bu6sch5el
+            bu6scheu bu4schl bu4sch5m bu4schn bu4sch5o bu4schr bu4schw busch5wa bus5ers bus5erw bu4sin bu2so bu2s3p
+            buss4pa bus3ta bu2su bus3un bu4ßer but2a bu2t3r bü1c bügel5e bühre4 bür2s 2bv 2bw b3wa bwasse4 b3wä b3we b3wi
+            b2y1 byauto4 byo2 by3p byp4i bys2 byte3s 2bz2 b3ze b3zu bzug2 bz4u3n 1ca cab2 ca3bl 3cac ca4ch cae3 caes2
+            ca3g2 cago3 ca1h ca3lab ca3lam cam4p3l c3ang ca2pe car2a car3n2 carri3 car2s ca3s4a3 cas3te ca3t2h ca3ur caus2
+            caust3 ca1y2 cä1 cäs2 2cc c1ce c1ch cch4i 2c2d2 c3do 2ceae 2cear 2ceä 2ceb 2cec 1ced ce2dr 2cee 2cef 2cegr
+            1ceh ce1i 2cej 2ceka ce3l2a cele3r 3cell 3cels cen1 cene2 ceng2 ce2n3i ce2no cens2 3cent cent3o cen4tos cen3un
+            ce1o2 2ceop 1cer cere3u ce3ri ce4ris ce3ro ce3s2h 2cesp ce3sti 2cet 3cet. ceta2 ce4t3am 3cett ce1u 2cez 1cé
+            c1f cg2 2ch. 4chab ch3a4b3i4 2cha2c ch3ack ch3aep ch5aerm ch3aes 2chaf 5chafei ch3a4ge ch3akt 5chalam chal5b
+            chal6lein cha4mer ch5ampe 3chamy 3chanc ch5andr ch5ange ch5angr ch3ano ch5ansa ch5anst 4chanz 3chao ch3app
+            4char. 3chara ch5a4rab 3chard 4chare 5charta cha4sc ch3asp ch3atm 3chato 4chatt 4chatu 4chatz 4chauk ch5ausf
+            chau5spo ch5ausr ch5ausst ch5austr ch5ausw ch5ausz chau5t ch3äp ch3ärm ch3äs 1châ 2chb 2chc 2chd che3b
+            4ch5e4ben ch5echt che5ers 3chef. che4fei 4cheff 5chefin che4fr 3chefs 2cheh 4chehe 4chehr 4chei ch3eil ch3eim
+            ch5einla ch5eintö ch5einze ch5eis. ch5eise che4las ch5elek 4chelem che4len che4ler che4me. ch4emi 5chemie
+            5chemik 4chemp che4neb ch5enge. che4nid che4no chens4p 4chentc chen6ten 4chentf 4chents 4chentw cher3a che4rat
+            cher6bes. 4ch5erbs cher6de. 6chergebn 4ch5ernt 6cherregu cher5sta ch5ertrag cher6trage 6cherzeu 4ch3ess 4cheta
+            ch5e4tag ch5e4tik 4ch3e2x 1ché 2chf 2chg ch5gau 2chh 3chia chilf5s chi5li 4chind 4ch3inf ch3inh ch5inko
+            ch5inkr ch3ins 4ch3int 4ch3inv 3chip. 3chips 3chiru chi5sta 3chit 2chj 2chk 2chl chl4a ch5lade ch5laend
+            ch5lanz ch3lat ch5lauf. ch5läd ch5länd ch5lein ch4len chl4o ch4lun 2chm ch2me 2chn2 chn4e ch4nep chner6ei.
+            chn4i 4chob cho3ch ch3oel 4choen 3choer 4chof ch3off chof4s3 3chog cho5l4a 3chole3 ch3orc 4chord cho4rei
+            5chores 5chors. ch5orts 3chorw 3chosl ch3öl 2chön 3chör 2chp chr2 2chra ch3rab ch3rad ch3ral chrap4 ch3ras
+            ch3rat 2chrä 2ch2re ch3reh ch3reu ch3rev ch3rh ch3rin 5christ 4chrit 4chroe ch3rol 5chromo 3chron ch3ros 2chrö
+            2chru 2chs ch4sm ch6s5pani ch6spart chstro4 2cht ch4tang cht4ank cht6en. ch4t5ruh 4chue 4chuf 4chuh chu2n
+            4ch3unf ch3uni 4chunt 4chunv ch3urs ch3urt 4chut chut4t3 2chü 2chv 2chw 2chz ci2a ci1c ci3es cill4 c3ind cins2
+            c3int ci2s1 1cit c2k 2ck. ck1a 3cka. cka2b ck3a2c 2ckae 2ckal cka2m cka2n cka2r 3ckard 3ckau. 3ckaue 2ck1ä
+            2ckb 2ckc 2ckd 1cke 2cke2c 4ckeff 2ckeh ck3ehe 2ck3ei cke4la ckel3c 4ckelek 4ckelem ckelti4 4ckemb 4ckemp
+            ckener6ze 6ckensem cken4s5o cken6s5tur 6ckente. 6ck5enten 4ckentf cken6trop 4ckentw cke4rec 6ckeremi cker6fül
+            6ckergeb 6ck5erken cker6ker 6cker6lau 6ckernie 6ck5ernst 4ck3ero ck6ers. 4ck5ertu 4ckertü 4ckerz. cker6zeugn
+            4ck3ese 2ck3eu 2ckex 2ckf 2ckg 2ckh 1cki 2ck3i2d 4ck3ind 4ck3inh 4ckink 4ck3inn 4ck3ins 4ckint 3ckis 2ckj 2ckk
+            2ck3l 2ckm 2ck3n ck1o2 ckoe2 ck1ö2 2ckp 2ck3r 2cks ck5sac ck4sar ck4sint ck5stae cks5tate cks4tec cks4to
+            cksto4r ck3str 2ckt ck4tar 1cku2 2ckue 2ck3uh ck3umb 4ck3ums 4ckumw 4ck3una ck3unf 4ckuni 4ckunt 2ck3up3
+            2ck3ur 2ckw 1cky 2ckz c2l2 clet2 cle4vel clien4 clin4g cli2p clip3a 1clo clo3ch clo5fe 1clu2 club3 cm2 c2mi
+            1co coca3 co3ch coche5 co2de code3s co3g cog4n coi2 co3it co2ke cola3s co4leu colle6ge. co3l4o com4te. comtes4
+            continuati6 co2o 2cope co4pe. co3ra 2corb cor4da core3s cor5ti corvet4 cos3t 2cotc co2te co2u cou4c cou3si
+            2cout 1cô2 2c1p 2cq c2r c3rae c3rah c3rau c3rä 1cre 2cree cre4me cres2 cros2 cross3 1cru cry2 2cs cs2a cs2f
+            c2si c3s2ti c3s2tr 2ct cte2a cti2o2 ction3 ctur2 1c2u 2cua cul4u cup1 cu2pe cup3p cu2p3r cussi4o cus3t c2v
+            c3ve 2cx 1cy cy3an. cybe2 1ç 1d da1a 2d3a2al d1ab d4abab 4da4bak 2dabb 2dabd d2abe 4d3a4ben 2dabf 2dabg 2dabh
+            dabi2 4da4b3it da4blo 2dabn 2da2bo dab4ra 4da4bre d4ab4ru d4ab4rü 2dabs 2dabt 2dabw 2dabz d1ac dach3a dachau6t
+            d4ache4 da4chec da4ch5er dach4in dach3o dach5stu 4dachtz da5chung 3dack d1ad da4del. da4delg da4dels da2do
+            dad2r da2e 3daec 2d3aeg 2d3aeh 4d3aemt dae4n3a d3aend 2d3aep 2daeq da3erf d5aerzt 2d3aeu dae3us 2d3aex d1af
+            2daff da3f2l dafo4n da3fra d1ag dagi4 dag2o da1h dah3l da3in 2d3air da3ism da3ist da4kad da2kn da4kro dal3a4d
+            dal5aer da3lag da4lär da4lop da4lor da3lö 4d3alpe 4d3alte da3lü 2d3amb dam4e d3a4mei damen5s4 d5ammae d5amman
+            4d3ammä 4d3ampe d3ampu 2d3amt dana3e 4d3anal dan5alg da4nan d3a4na3t dan4ce. dan3d2 4d3anda 4d3anei 4d3a4n3eu
+            2danf d4anfu 4d3anga d5angeb d3angs 2danh dani5er 4danim dan4kal dan4kan d5anker dan6k5erf dan4kl dan5kla
+            dan4k3o dan4kr 4danle 4d3anna 2d3a2no 2dans2 d4ans. d4anse danta4 4dantr 4dantw 4d3anzu 4d3anzü dan4zw 2d1ap
+            d2apa 3dapol da4por da2pu da2ra dar3an dar3as darb2 5darbi 2darc dar4dar dar4de dard5ei dard5er dar4do dar4dr
+            dardwa5re 4d3area dar3ei dare4m dar5emi da4r5en5e d5a4rist dar4kr dar4mar 4d5arres 4d3art. 4d3artd 4d3artg
+            4d3ar4th 4d3arti dar4t5in 4d3artl da2ru dar5um. 4darzt da4sche da5sei das6ein da3s2h da2s2p da3spa 4d5aspek
+            4d3assi da3st 4d3aste das4tra das4tu da3ta da3tei 4d3a4tel date4n da2th dati4v3 2d3atl 2d3atm dat4st 4d3atta
+            datum4 2d3aud dauer5e 2d3au2f3 2d3aug dau2i 2d3auk da3unt dauri3 2d3aus 2d3au2ß 4dauto d1ax d1az da2zo 3däc
+            2d1äf 2d1äg 2d1äh 2d3ämt dä2n3a 2d3änd 2d1äp 2däq därm2 4d3ärzt 2d1ä2u dä3us 2däx 2db2 dbe4e dbi2e 2dc d3ch2
+            dchengene6 dco2r d1cr 2dd2 d3da dd4ae ddar4m3 d3dä dde2a ddel5e4c dde3ra d3dh ddha3 ddi2e ddien4 dding5s d3do
+            dea2d de4adl de3ae de3a4t deb2 4d5e4bene 3debü de4ca. de5chor de3chr 2d3ecu ded2 4d3e4del dede3s dedi4e de4dit
+            dee2 de3eb 3de3ef de3eg 3de3em de3ep de3er de3es de3et 3de3eu 3deex de4fa. 2d3eff def2l deg2 2d3egg deh2a
+            de5hop 2d3ehr 4dehyds de4ic dei6ch5er de5i4den 2d3eie 2d3eif 2d3eig de3im 4d3einb de3in4d 4d3eine de5in4fo
+            de5in4fr d3eing dein6gen 4deinh 4d3eink 4d3einl 4d3einm 4d3eino 4d3einr 4deins. 4d5einsa 4d5einsä de5in4se
+            dein6sta dein6str dein6ter 5d4e3in4v 4d3einw de3io de3i4si d4e3ism dei4sp de3ist 2dekz del5ach de4l3am dela4n
+            del5ano de4l5ant dela4t del5ate del5auft de4l5aug deld2 de5le. de4lef de4l5ei4g 4d3elek 4deleme del5end
+            del5erk del5ern del5er4r del5erz 4d3elf. 4d5elfe. delfen6s 4d3elfm deli4ne del5inn delk2 del4l5an del4lar
+            delle4 del4l5eb del4lei dell5eic del4l5er delmi4 del4n3e de4l3ob de4l3op del6s5ach del4san del4sas del6sein
+            del6s5int del6s5pan del6spar del6spat del4spr de4manh dem4ar dement4 de6m5entg demi4e 4d3empf d4en. dena4b
+            den4ade de3n4am de4nan de5n4arr de5n4au. de5naue dende4n 4d3endh 4d3endk den3d4r dend4s dend4u den3e4b
+            de4n3e4d de4n5end de4n5eng de4nep den5erb den5erei 4d5energ de4n5ero de4n5erö den5ers de4n5ert de4nerw den3f2
+            4d5en4ge. 6d5engeln 6d5en6gels den6gen. de4nid de4n3im den4k5ak den6kerl den4k5ob de4nob d4ens den4sal
+            den6stie den6stop dens5tor den4sur 4d3entd dentengene6 4d3entf 4d3entg den3th 4d3entk 4dentla 4d3entn den6trop
+            4dentw 4dentz den6z5erf den4zym 2deol de3p2f dep2l depo4t de3ra. der3ab de5rabi der5a4de der5aen de5raet
+            de5raeu der3af der3a4g der3ak der5alb der5alt de5rampe dera4n de5ran. der5ane der5ant der5anz de4r3ap dera4s
+            der5asi der5asp de4r3än 4d3erbs 4derdb de4r3e4b de4r5eck der5edi 6dereigni der6eini der5eis. de4rele der5ell
+            de4remi der5ende de4r5ene der5enge de4r5ens der5ente der5entg der6er. derer6de derer5e der4erf de4r5erh
+            der5erre de6rersa dere4t der5eta de4r3eu derf4 der5fl derg2 6dergebn de4r3id de4r3i4m der5inb der5inner
+            de6r5innu derin6teg de4r5iss derk2 der4nal der5o6ber deroe4 der5oef der5onk de4ror de3rot derö2 derr2 ders4k
+            der5stau dert5ende. der6ters 6dertragen de4ruh der4ump der6weck 4d3erz. 4d3erzv de4s3a4g de4s3ah de4sak
+            des5amt des5ang des5ant des5anz de4sap de4s3au de6sche6f de4s3eb de4s3e4h de4s5eil de4s5ein des5elt de4s5en5e
+            des5eng des5er5e des5erf des5erg des5erh des5erk des5erl des5erm des5ern des5ers des5erz dese4t des5eta de3shu
+            desi5er. de4s3in de4sos de4spa des6park de4spot des4pu dess2 dess4e des6sens des6ser. des6seri des6sern
+            des6sers de5staf de5stall dest5alt de5stec dest5eige dest5einsa de5stell des6temp des6t5erg de5stern des6tert
+            des6tina de5stras des4tum de2su des3un de3ta deta4c 4d3e4tat deten4t 4d3e4thi de4tik det2s 2d3etw de3u2f de3uh
+            2d3eul de3um de3u2n3 de3url de3us d4eut 4d3e4vid dex3em dexen4 de4x5end de4x3er de4xis 4dexpe 4dexpo 2d1f2
+            dfang3 dfen2 dfin4s df4la 2dg2 dga2t d2ge. dger4e d4ge3sh dge6tang dge4tau dge4t3e d3gl 2d1h2 dhau6eri dhek2
+            d3hu dh4un dia5l4ei dialer4 di3arr dia3s2 dib2 di3ce di3chl di3cho dich7ter dichts4 di4ck5el 2d3i2co 4d3i4dea
+            4d3idee di4den 2di2dy di3e2d di2e3i di5elek die4n5e4b dien5e4v die4ni die4no di5ens. dienst5art dienst5rä
+            dienter6mi die2p die4rei diese4 die4th dige4s dig2n dig4ta dig4t3r di4lar di4l3au dilf2 4d3illu dil4s3t 2d3ilt
+            2d3imb 2d3imp di3na 2d3ind 2dinf d3infe d3infl d3info d3infr 3ding din4g3a4 2d3inh 2d3inj 4d3insc 4d3inse
+            4d3insp 4d3inst 4d3insu 4d3insz 2d3int 2d3inv di4odi dion5in dion3s4 di3ora dios2 di1p2 di3pt di4rak di4ran
+            di3re 4d3i4re. 4d3i4ren 4d3i4rin 4d3i4ris 2d3irl 2d3irr di3s3a2 di4sag di4sas di4sch5r diskan4 2diso di4som
+            di5s4per 2d3isr diss2 dist4 di3s4ta dis3te di4t3ak di4tal di4t3an di4t3au dite3c di4t5er5e di4t5erl di4t5erm
+            di4t5ero di4t5erö di4t5ers di4t5erw dite3s dit5ins di4tob di2t3r dit3s di2t3u di3ve di3vi di2vr 2dj 2d1k2
+            dkab2 dkraf4 dkraft5 2d1l dl2a dlan4dr dlang5s d3le dl4er dle4r3a dlerin6t dli2f d3lo d3lö dlungs5 dl2v 2d1m
+            2d1n dn2a d3n2e dne3p dnet4s dn2j dnus2 dnuss3 do3a2 d1ob 3d2oba do4bera do4berh do4beri do4bern do4berr 2dobj
+            2dobm 2dob2s 3doc do3chi doch4t5r do3e2b 2d3oe2d 2d3oe2f 2d3oek 2d3oel doen4 doe5ne doe2r doer3i doe4s3c
+            4d3o4fen 2d3off 2d3ohr3 3dok 3doli do4mal do4man do4mar do4m5ing 2domn do2mu 3don. 3don2a don4au3 donaus4
+            doni3e 3donn 2dony doo3g do2or 2d3opf do3ra 4d3o4rak 4d3orbi 2d3orc 2d3ord 3dorf dor4f3a dor4f3ä dor4fei
+            dor4f3i dor4f3l dor4fo dor4fr dor4f3u 2d3org 4d3orna 4d3orni 2d3ort dor4t3a dor4t5ei dor4ter dor4t5he dor4tr
+            3dosi dos2k 2d3osm do3sp dos5sa d3os2t dosta4s doste4c dosten4 do4stu 2d3ouv dow2s d2o1x2 2d1ö2d 2d1ö2f 2d1ök
+            2d1öl1 dör4fl dö2s3c 2d1p2 2dq dr2 3dra. 2drab 2d3rad d3raed 4d3raet d3raeu 3drag d2rah 4drahm 2d3rak 3dral
+            d3ramm d3ramp dr4an 4d3rand 4d5rangl dran5k 2d3rap dra4pu d3rase d3rass 4d3rast dra4t3a dra4th dra4tin d3raub
+            4d3rauc 4d3raum 4d3raup 4d3raus 4d3raut 2dräd d4räng 2d3rät 2d3räu 3dräue 2d3re. d4rea. 4dreal d4reas d4reck
+            2dred 2dref 2dreg 3dreh dre4h3a dre4hi dre4h3o 4dreic d4rei3e d4reik 4dreine 4dreins d4reir 4dreise drei5s6tr
+            d4reiv d2rej 2drek 2drel dreli3 2drem 2dren dre3na d2reo 2drep 2drer d2res 4d3res. dre6schm dre6schw 4d3rese
+            4d3resi dres6san dres6s5ei dres6sel dres6s5er6 dres4st 4d3rest d3resu 2dret 2drev d2rew 2drez d2ré 2d1rh
+            2d3ric 4d3rieg drie4n3 3drif 4d3riff d4rift 4d3rind 4d5ring. 2d3rip 4d3risi 4d3riss d2rit drit6terf 4d3ritu
+            d2ro 2drob 4d3rock d3roec droe4s5c 4drogg 3droh 4drohr 5drohu dro4id. 4d3roll 3dros d3rose 2drot 2d3rou 2d3rov
+            d3row 2d3röc drö4s3c 2d3rub 3d2ruc 2d3rud 4d3rue3b drue7cke d3rueh 2druf 2d3ruh 4drund d4runt 2d3rut 2d3rü3b
+            drü5cke 2d3rüh 2d1s dsa5cha d2s3ad d4s3aem d2sak d4s3alk d4s3all d4s3ane d4s3ang d4sanm d4s3ant d4s3anz d2sar
+            ds5assi dsau2 d4s3auf d4s3aus d4saut ds2äu ds2ca dsch2 d4schin dsch4r 5d4schun d2scr d2s3e2b dse2e dsee3i
+            d2s3ef ds3ehr ds4eign ds5einl d4s5eint d4s3ele d4s3emb d4s5e4mis ds5ende. ds5enden dsen5er d4s3eng dsen3s
+            d4s3ent d4s3er3e d4s3erf d4s3erh d4s3erk d4s3erl d4s3erm ds3err d4s3ers d4s3ert d4s3erz dse4t d4s3eta d4s3eth
+            d2s3ev dsex2 d4sexa d4sexe d3s4ha4k dshi2 d2sid d4s3ind ds3ini d4s3int d2ske d3s4kel d4skir d4skis d5sklav
+            d2sko d3slaw d4sli d2so2b d2s3oe d2s3op dso2r d4s3ori d4s5ort. d2sö ds4ped ds4pen ds4perb d4speri d4sphi d2spl
+            ds4por d6sporto d4sprae d4sprä d4sprei d4spro ds2pu dss2 ds3sa dst2 d6s5taeti ds5tauf d4s5täti d2ste d3stec
+            d3steg d3stei d4steil d5stell d3s4tep d5s4terb d5s4tern d3steu d4sth ds2ti ds4til d4stoch ds4tol ds4top ds2tr
+            ds5trad d5strei ds5treu. ds2tu d2sty d4suml d4s3ums d4sumz d2s3un d4s3url 2dt dta2d dta2n dtan3e d3t2as dtas3t
+            d3t2ax dtä2s d3tea d3tec dteer3 d3tem dte3na d3tep dte3ra d3tes dte5sta dti2d dto2b d3töp dt3ral dt3rec dtre3s
+            dt1s2 dt3sa d3tur d3ty du3al. du3all du3alm du3alp du3alv du3alz du3ar du4b3li du3ce due5bel due3br du3el
+            du3en. du3ena du3enb due3p duese4 du3ett duf4ter duf4to duf4t3r dug2 du2ga 2d1uh du3ist d3u2kr du4l5ar4r
+            du4l5art du4l3au du4l3ei dul3s du2lu 2d3umb 2d3umd 2d3u2m3e 2dumf 2dumg 2d3umh 2dumk 2duml d4ump 2dumr 4d3umsc
+            2d3umt 2d3umv du2n 2d3una 2d3und dun4de 2d3une 2d3unf d3unga 4d3ungl dungs3 2d3uni dun4kl 2dunr 4d3unsc 4dunsi
+            dun4st dunst5r 2dunt 2dunw 2d3unz du3os dur4c durch3 2d3urk 2d3url 2d3urn dur2s 4d3ursa 2d3urt dusche4
+            du6sch5ec du6sch5ei du4schl du4schn du4sch5w dü3bel d3über düns3 düse2 2dv dv4en 2dw dwa2 dwa5sche dwasse4
+            dwert5a dwesten6 dwes6tend 2dyac dy3an dydi2 dygene4 dy3la dy3lä dy2le dy1o2 dy2sa dy4s3l 2dz2 2e1a ea2be
+            e2abi ea2bl ea2br ea2c ea3chi eadli4 ea2dr eae2 eaga2 ea2ge ea2gi ea3g2l ea2ka e2akd eak3e e2akg e2akr eal3ac
+            eal3ak e3a4lei e5a4l5ent e5alen4z e5alerb e5a4l5er4g e5a4l5ert e3alex e2ali e3a4l3in eal4ler ealmo4 ea4lob
+            ea4l3on ea4lop eals4p ealti4 ea2l3u2 eam1 e2ame2 eam3ev ea4mid eamm4 eam3s2 eam3tu eanden4 e2ane eanet4 e3anf
+            eanla6gente eannet4 ea4n3ob e4ant. ean4t3a4 ea2q ea2ra ear3ac ear3ak ear3am ea3rat ea4r3ei ea4r5ene e4arer
+            e2ari ear3n4 ea2ro ea2r3u e3a2sc e3asf easin4g ea2sp eass2 e2at eate2 eat5ens eater3 e3atm eat3s2 e3at3t2
+            e2au. eau4fe e3auff eau5f4re eaug2 ea4u3n eaussen6dung. eau5ste ea2va e2az e1ä2 2eb. eba2g ebah6ner eb3anz
+            eba2p3 e3bas 2ebc e3bef ebein4s e4b5eise ebe4lan ebe4lau ebe4ler ebel5in e3bem ebe4na ebe5n6au. ebenen5e
+            e5benu e5benz ebe5rad eber5as ebe4rel eberg5s e3bes ebe4s5e4h ebe4ses ebe4sor ebet4s3 e4b3inb eb3lag e4b3le.
+            eb3lem eb4len eb5les eb4leu eb4lie e3bloc eb4loec e3blöc ebni2 e2bo2b ebo3ef ebö2s 2ebr eb2re e3bru e3brü
+            eb4s3ac eb4s5ang eb4s3as eb4s3au eb4s5ele ebs5end ebs5ene eb4sep eb4ser ebsi2 eb4sid eb4sis eb2sp ebs5panne
+            ebs3pe eb6s5taet eb4s5tät ebs5tem ebs5ten ebs3t4h ebs5tic ebs5tie ebs5treu eb2su e4bueb e4bunt ebu2t3 e2büb
+            eby2t e1ce ech3ab ech3ae ech5ang ech5aus ech3ä e3che eche4c eche3e ech3ei eche6reib echer6fah echer5o
+            echer6zie e3chi echi3e ech3la e3chlo ech3lu ech3m e4ch3n e2cho 3echo. ech5obe echoe4f ech5org ech3ö4f e2chr
+            ech3ra ech3rä ech3re echsau4 ech6s5en6d ech4s3o ech4spa ech4spo echst5ri echs4tu echt5er6ha ech7ters echt6s5ac
+            echt6s5ag echt6s5eid echt6sen echt6stie ech3uh ech3w e1ci e4ck. e3ckag e4ckef ecke4n e4ckep eck5erfo ecker6ken
+            eck5ermi e4ck5erw eck5erze e4cks eck5spo 3eckzä e1cl e3co e3cr ecre2 ec3s e3cy 2ed. e2da2b ed2ac eda5chu ed2ad
+            ed2dr ede4al ede3e edel5au e3dens eden4sa eden4s5e eden4sp eden6s5tau eden6stem eden6s5tu ede3o2 edere4
+            ede6r5eic eder5er4 ede6rinn eder3o4 eder3ö ede3sk ede5stei edes4ti ede5str edia3l edi3p editen4 edi4tin ed2o
+            ed4oc edost3 edpol4n e3d4rei ed3rik 3edris ed4s3al ed4sco ed4seh ed4s3es edsi2 ed2sk ed2s3o ed4s3ti ed4sto
+            ed4s3um ed3te edte3e edte5in4 edt2h edue3b edu2f e2d3ug e2dum ed2ü edü3b edy1 edys2 2ee ee3a2 e3e4ben eeb2l
+            ee3bs ee1c ee2ce e3e2ck eede3s4 eedi4e ee2dr eed3s2 ee1e2 eees3 e3eff eef2l ee3fo eef3s eeg2 ee4hep e3ehr e1ei
+            ee3ig. ee3imp ee5in4se ee3i4sc eei4sp e3e4lek eele4n eele4s e3elf eem4a ee5man e3emb e3emp ee2na ee3n4ac
+            ee3n4ad ee3nae eena4g ee3nas een3er een4es een3e4v e3en4ga een4o ee5nor een3sh ee1o2 ee1p eer3ad eer3al ee5ram
+            eer3as e5erben e3erbt eer5eis. eer5eisa ee4r5en4g ee5r4e4s3 eere4t eer5eti e3er4fi ee3rhi e3erhö e2eri e3erlo
+            e3erlö e3ermä eero4be ee4r5oef ee4r3oh e3eröf ee3rös eer3sh eeru2 ee4r3uf eer4und eerz2 e5erzeu ee1s2 ee4seb
+            ee3sh ees3ka ee3sl ee3sp e3es3s e3e4tat eet5ein ee2th ee4tik ee3tr ee4t3ro ee1u eeu2f eeun2 eewa4r e1e2x1 e1f
+            2efa e2f3ad e4f3aeu e2f3a2g ef5akti ef3ana e2fap e4farc e2fat ef3auf ef3aus e4fähn e2fäu 2efe ef3ebe efecht4
+            e4f3edi e4f5eing ef5eink efe4l5ei efel7ler efe2n efen3e e4f5ener e4f3enk e4f3ent efere4 efer5eg efe4rei
+            efer6gebn eferin6d e4f3eta e2fex ef4f3as 3effek ef4fle ef4fli efig3s efi4le. e4f3ins ef3int e2fj ef2le ef4lue
+            e3f4lü 2efo e2fob e2f3o2f e4f3ora ef2r ef3rat ef3red ef3reg e5fris ef3rol ef3rom efs2c efs2p efste4h ef3str
+            eft5anz eft5erkr ef4top ef4t3ri ef4t3ro eft2s ef3ums 2eg egab4r ega4la ega4l5in ega2m ega5sta eg2äh egd2
+            ege5in4s ege5in4t ege4l5ac ege4l5au ege4lec ege6l5ei6er ege4ler ege4l5in ege4lo egel6s5tur egena4 ege4nag
+            egen5ec ege6nero ege4rak ege4ral ege4ran ege4r5as ege6reck ege6rend egeren6g egerer6k ege6rers egerin6d
+            ege6rin6g egerin6t ege6s5tro ege3u egg2l eg3ins e4g3lac egler5e eg3nei egori4e eg3rän eg4sal egsauto6 egs2c
+            egse4r egsgene6rat eg3spe eg4stä egus3t e2gy e1ha eh3aka eha3kl ehalt4s e4h3ans e4h3ant eh3anz e4h3app eha4sc
+            eh3aug eh5ausw eh5ausz e1hä e1he eh3eff e4h3ein eh3e4la eh5elek ehelf4 eh3elt 3e4hema eh3emb e4h3e4mi e3hen
+            ehen4se ehens5ei 3ehepa eh3epi eher4an eher4fa eh5erfah eher4fo eher6gebn eher4ke eher4le e6h5ersta eher4zä
+            ehe5str e1hi e2h3i2d eh3ill eh3imb eh3inf e4h3inh e4h3ins ehi2r ehi2t ehla4c eh3lae eh3lam ehl3ap eh4l3as
+            ehl3au eh3lä eh4l5e4be ehl5einh eh4lel ehle4n eh3leu ehlkop4 ehl3o4r eh4l3öf ehl6s5ein ehl4sin 2ehm eh4mab
+            eh4mant ehm6ens ehmen6sp ehmest5 ehm5estr eh3mu eh3nad ehn3e4c eh3nel eh3no ehn6s5eid e1ho eho2l eh3oly eh3ope
+            eh3org eh3osm e1hö eh3öff ehö4r5er ehr3ak ehr3al ehr3an ehr3ap ehr3än ehre4c ehr5eck ehr5ei. ehr5eic ehr5eie
+            ehr5ein eh4r5eis eh3ren ehre4n5e ehrens6t ehrer6fa ehrer6la ehr5er6tr eh3reu eh3rie eh3roc eh3roe ehr3of
+            eh3rom eh3rot eh3rö ehr4s5a4g ehr6sein ehr4ser ehr6stras ehrungsgene6 ehs2 eh3sh eh3sk ehst2 eh3sta eh5stei
+            eh3str eh3stu 2eht eh3t2a eh5ther e1hu eh3unf e4huni ehu3s4a e1hü eh3w e1hy 2ei1a2 2eiä ei4b5aer ei4b3ak
+            ei4bär eibe3e ei4b5ele ei6b5erla ei4bid ei4b5las ei4bli ei4b5rau ei4brea ei4broc eibu4t ei4b5ute ei3ce eiche4n
+            eich3r ei3cl e2id ei4dar ei4dau 5eidech ei4d5eis eid5erfue ei6d5erfü eides4t eide5ste eidi4e 4eidn eid4str
+            e2i1e eie4be eie2d eie3f4 eie2l eie2m 2eie2n eienge4 eie4r3a eierei6s ei5ereu 5eiersu eie2t ei3f4lo eif5lut
+            e2ig 2eig. ei4g3ak ei4g5ans 4eige. eige5in4 e5igel. 5eigene. ei4glo ei4glö ei2g3n 3eigne 3eignu ei2go2
+            ei4g5rad ei4g5rat 2eigs eigs4p eig5str 2eigt 2eigu 4eigw ei4kak ei4k5ank ei4kli ei4klo ei4kni ei4l3ab eila4n
+            ei4l5ane ei4l5ang ei4lant ei4l5anz ei4lar 4eil3c eild2 ei4lein eiler6geb eiler6kl eilf2 ei4l5inf ei4l5ins
+            eil4ip ei4lob ei4l3op ei4m3aa ei4mab ei4m3a4g eim5all eim5alp ei4m5ans ei4map eima4ta eima6ter eima4to eim5aus
+            e4ime ei4m5ent ei4m5erl ei4m3i4d ei4moe eim5org 2eimp eim3sa ei4m3um ei4mur eina4b ein3a4d ein3ae 4einam
+            ei4n3an ein3a4s 4einat ei2n3ä einde5ra ein6d5erk ein4duk ein4dus 4eineb eine5in6f eine5inn einen6zy ein6er.
+            eine5ras ein5erbe ein5erkl ein5erkr ein5er6la ei6n5er6sc ein5ertr ei4n5ess ei4n5e4ti ei4n3eu ein6fant ein4fek
+            ein4fiz 5einflus 4einfo ein4fo. eing2 e3ing. e3ingt 4einhab ei4n3i4d 4einie e3i4nit eink2 ein6karn ein3n2
+            ein4nen ein6nere ei2n3o2 5einord ein4seb ein6seln ein4sid ein6stab ein6stal ein6star ein4sul ein4sz ein4teg
+            ein6terf ein6terp 5eintrag ein6trig 5eintrit eint4s ein5tsc 2einu e4inver ein4ves ein3z4s ei1o eio2b eio2p
+            eio2s 2ei1p eip2f 2eir eir2c e3irr ei3ru ei4s5aer eis5ala eis5alt eis5ane ei4s5ant eis5anz eisch5er6k
+            ei6schertr ei6scher6z ei6schin eisch5war ei6s5elas ei6s5en6te. eise5ra ei4s5erf ei4s5erg ei4s5erh ei4s5er4l
+            ei4serm ei6s5er6sa eis5ersp ei6s5erst ei4s5erw ei4s5erz eises4s ei4sex eis3id ei3s4ky ei4soe ei4som ei2sö
+            ei3spe ei3spr eis6s5chen ei5stei ei5stel eisterin6f eis4tol eis4tri ei5stue ei4s3um e2it 2eita ei4t3ab eit5aer
+            eit5alb eit5alk ei4t3an ei4tap ei4t3ar ei4tas ei4tat 2eitä ei4t3är 4eite. eit3e4h ei4t5emi 4eiten eitende6m
+            ei5t6er. eit6err ei4tess ei4t5eti ei2t3h 4eiti ei4t3in eito4r ei4trau eit5rin 4eits eit4s5a4g eit4sal eitt4
+            eit5tr ei4t3um ei4t3ur eit3z2 2eiv ei4zar ei4z5eig ei4z5inf ei4z5ins ei4z5int e2jak 2e3ju 2eka ekaden6z5
+            eka4l5oe ek4ar ek2ä 1ekd e1ke eke2n e1ki e1k2l ek2n eko4man ek4or ekor4da 2ek2r ek2sa ek4s5te 2ekt ek4t3ae
+            ekt5akt ek4tan ekt5ank ek5tante ek4t3at ek4tau ek2t3ä ek4t3eb ekt5eig ek4t3e4l ekt5ende ek4tep ekt5erf ekt5erg
+            ekt5erk ek4t5erl ekt5ero ek4t5err ek4t5erz ek2th ek4t5ins ekt5int ek4t3ob ekt5ret 2ek2u ekue3b ek2ü ekü3b
+            e3k2w 1ekz e1la e2l3aa el3abb ela4ben e3labi e4labk el3abl ela4br el3abu e4lada el3add el3aef e2l3af e4laho
+            e2l3ak e3lake ela2l e4l3ama el3amb e4l3ame el3amm e4l3ana e4lanb e4landa e4lanf e4lanh ela3n4i e4l3ank e4lanm
+            el3ann e4lanp el3ans el3anz e2l3ap e2l3ar ela4ri el3a4si el3a4sp el3atl e4l3atm el3atr e4l3att el3au. el5aufg
+            el5aufl el3auk e4l5ausb el5ausl el5ausr e1lä e3läd el3äf 3el4bis elb4lei elb2r elb3sl elb6star elb4ste
+            elb6stim elb4st5o elb4stu el1c elda4r el4d5ari el5d4eic el4d5er4f eld5erhe eld5erho eld5erhö el6d5er6pr
+            el6d5er6sa eld5ersp eld5erst eld5ertr el6d5er6we el4do4b elds2 eld3st 2ele. 4elea elea4r e6l5e6bene el5echt
+            e3lecl el3edi ele4g5er4 2eleh el5ehe. 4elei e6l5ei6ern el3ei4f el3ei4l e4l5einb e4l5einf e4l5eing e4l5einh
+            e4l5eink e4l5einl el5einn e4l5einr e4l5eins el5einto e4l5einz el5eisf el5eisz el3eiw e5lekti 5elektr e2lel
+            el3elb el3ele el3eli el3ell el3els el3elt e2lem e3lem. e3lema el3emb 3eleme el3e4mi e3lemm el3emp 4elen.
+            elena4 elen6klo e4l5ense e4l5entf e4l5ents e4lentw el5enzi el3epe 4eler e5ler. eler4e e6l5er6fah e6lerfin
+            e6l5erfol e4l5erga e4l5ergä e6lergeb elergene6 eler5h elerin6f elerin6t e4lerke e4l5er4lä e4l5ernä e4l5eroe
+            e4l3erö el5erre el5ersa el3erw e6lerwei e6lerzae e4lerzä eles4p el3ess ele5ste el5e4tag ele4tik elet4ta el3eur
+            e5leut ele2x e3lex. el3ex3e el3exk el3ext elf2a 3elfd elf2l elf3st elgi5er. elgi5ers el3g2l elg2r e2lid e3lie
+            eli5ef. eli5eff eli5efs elif3 e4l3i4ma e4l3imb el3imp e4linfe el3inj eli5no el5inso e4l3inv el3i4on e4l3iso
+            eli4t3h elk4a el4k5anl elke4n elk2r elk5sta ell5akt el4larb ellar4c el4l5arm ellar6ma el4l5art ell5aufb
+            el6l5auft 4ellä el3le. ell5einf ell5eing ell5einh ell5einr ell5eins ell5einz el4l3el el3len ellens4 ell4er
+            eller7ge eller6tra eller6zeu elle3s el4lid el4l5inv 3ellip el4l3or ell3s4k elm4stu 2elo e2l3oa e4loel eloe6se.
+            e4lonk el3opf el3orb el3orc el3o4ri e4l3orn el3ort e4l3osz e3lot e2lov elö4se. el4sb els5eins elsgene6 el4sob
+            el4strü el4sun el4tans elt5art el4t3e4k elt5eli elt5entr elt5er6be elt5erd elt5er4f elt5erhe elt5erk elter6ke
+            elt5er6le elt5erlo elter4n elt5ero elt5er6sc elt5er6tr elter6zeu el3thü el4t3i4b elt3se elt5s4po elts4tr e1lu
+            e2lum el3umb el3umm e2l3u2r el3use elu2t el3ute e4l3uti el3uto e1lü e2lya el4z5aep el4z3ar el4zäp elz5eig
+            el4z5ene el4zoe e1m e4mago e4m5alar e4m3alk e4manb e4manf e4m3anm e4manor e4manp e4manr e4m3ans e4manw e4manz
+            e4m3asp ema3to em3aus em2ä 3embol 3embry em4dae em2dä em2dr em4due em4dum em2dü e2meb e2mef e2meg eme4n3e
+            emen6gel e4mengt emen6t5ak emen6tan emen4t5h e2meo e2meö e2mep em3e4po eme4r3a emerin6t emer4le emes3t e2m3ex
+            emi4e3i emie3s 4emil 2emin emin4a e4m3inf e4m3inh e4m3inn e4m3ins e4m3int e4m3inv 3e2mir emi6scha e5mitg
+            emi3tr em4m3ap emma3u em4m3ei e4moel emo3ra emo3s 5e4motio 3empfa 3emp3fä em3pfl 3emphy empi4re em4p3le
+            emp5lin empo3s em4san em4s3au ems5ele em4spa ems4por em4stal em4s5tau em3stu 3emuls em3una em3urs e3mus en1a
+            e3na. e2naa en3ab3i ena2c en5ach. e3naep ena5er. e4naho en3a4ke e3nal. e3nale ena3li 4ename e4namp en3ams
+            ena2n e4nant ena4pa en3ark ena4sc e4natl en5atom enat4s3 e4natt e4nau4f3 e6nausta enauto6re ena2x ena4zi en1ä
+            e2näl e2när 4enärm 4enbom en4ce. en3dac enda4d end3ak en4d3al en4d5ang en4dark end5eins ende5int ende4l5ä
+            end6er. endes4p ende5sta ende5sti ende5str en4d3ex en4do4b 3endog en5d4ort en4dox en4dral end5rom end5s4au
+            end3s4l ends4p end2ü 2ene. e5nece ene4ck e4n3eff ene2h en3ehe e5nehm e5neien 4eneigu en3elb en3elc en3e4le
+            en3elf e4n3eli e4n3elt 4enem. en3e4mi 4enen. enens4 e4n3epe en3epi en3epo e2n3e2q 4e5ner. ene3ra e4n3erd
+            ener5ei ener6ei. en5ereig e4n5erek en3erf ener4fi e4nerfo en4erfr e4nerg en5erge 5energi en5ergu e4n3erh
+            e4n5erla e4n5ermi e4n5ermo en5ermu 4enern. e4n5erna ener5ob ener5oef ene5roes ene5rös e4n3err 4eners. e4n5ersa
+            e4n5ersp en3erw e4nerwi e4n3erz 4enes. en3ess e4n3eth en3eul 4eneut e4n3e4va e4ne2x enf2a enf5einh en5fes
+            3engad 3engag 5engelh engel6st enge6ne. enge6nen enge6net engerin6s 5englis en3gna en3gno eng5oel 3engp
+            eng3s4c eng5stä enhof5s 2enic eni2d en3ide e3nie eni5er. eni5era eni5erp eni5ers. eni5erv en3i4ko en3ill eni2m
+            en3ima en3imi enin3a eni2o e4n3ion 2enis eni4sa eni5sta e3niv enizi5e en4k5aus en6kenla en4k5er4f en6k5erha
+            en6k5erkr enker4l en6k5ersa en4k5ort enk5spa enk5spo enk4su enk2ü 4enlic en4nef en6n5er6fa 3enniu enn5sa
+            e2n3oa en3o4be e4nober en3obo e4n3o4br e4n3oe4d e4n3oel e2n3of e2n3oh en3oli en3olm en3oly eno2n3 en3opf
+            e4n3opi eno2r en5oran en3orc e4n3ord e4n3ori en3ork e4n3ost en3osz e5noti eno2w e1nö en3ö2d enre4gu en5rei
+            ensa5es ens5amte en4sanf en4sang en3sat ensau4g ensau4s ensche6f en6schlic en4s5ehr 5ensemb en4s5en5e en4s5enz
+            ens5erei ense4t en4s5eta en5s4law en4s5off en4s5ont en5spen ens4pu 4enst. enst5alt en6starb 4enste. 4ensten
+            ens7teru 4enstes 4enstl 4enstm 4enstn en4stob 4ensts 4enstv en4sumf ens5umv ens5umw 4ensym en4tanm ent5anst
+            entar6tik en4tela en4telä en4tema ent5emo en6t5en6de. enten6den. en6t5en6des. ente4n5e 5entera ent5erben
+            en4t5erf 5entero en6terre ent5er6sc ente4t ent5eta 3entfl 4entfo 3entgi 5entheb en4t3id 3entla 5entloh 3entlu
+            3entlü 5entnah en4t3ob ent5oel en5tré 5entrieg 5entropi 5entsag 3entso 3en4tw 6entwert. 6entwerte 6entwerts
+            4entwet 3entz 4entzuw en1u e3nu. e3nueg enu5ett enu4ma enu2r 2enu2t e4n3uto e3nüf e3nüg e3nül e3nüp enü3st
+            e1ny enz2ä enze4ne enz5erfo en4z5erh en4z5erk enzer6ku enz5erla enz5ermi en4z5ero enz5erte enz5erwe en4z5erz
+            en4zf en4z3i4d enzo4l 4enzuf 4enzyl 3enzym 4enzys 2eo e1ob1 eo4ber e2obo e2ob2r eo1c e3ochs eod2 e1oe2 eo3edi
+            eo3em eo3en eo3ers e3off e3okk eo3la e3o2ly e1on e3o4n3ae e3o4n3an e5onatom e3o2nä e2ono eo1o e3o2pe e3opf
+            e3ops e1or eo3rau e3orb e3ord eor5eis e3org eort2 eo1s2 e3os. eo3s4e e3oste eoti3e eo3ul. eo3uls eou2t e1ö2
+            ep2a epa2g epan6zerf epas6s5er ep3ega ep3ent ep3ex 2epf eph3el eph3em e1pi 3e4pid 3e2pig 3e2pik 3e4pile
+            epin3g4 e3pio 3episo 3epit ep2n e2poc epoli3 3e4pos. ep2p3a ep4pei ep2p3f ep2p3l ep2pr 2e1pr ep2s3c ep3sh
+            ep4t3ae ep4tal ep4tau ep2tä epter4s ep6t5erst e3pu epu2s e1pü 2eque 3equip er3ab. 4e3raba e4r3abb era4ben
+            er3abr er3abt er3ach e3rad. er3add e5radi e4radj er3adr erae4b era5ebe e3raed er3aef er3aeh er3ae4m er3aer
+            era5er. er3aes er5aeuß era5fra era4gen er3a4gi e3rago er3ahl era4ho er3aic e3rake e3rakl era4kro e4r3akt
+            e3ral. e3rald e3rale eral4eb era6lent e3rali eralin6d era6ling eralin6sp er5alke er3amb er3amn e4ramp e4r3a4na
+            erana5t e5rand. e6rander er5andr e4ranf er3ang e4ranga e4rangr e4ranh er3ank e4ranl e4r3a4no e4r3ans e6rantei
+            e3ranu e4ranw er5anzu er5anzü e3rao e3rap er3apf er3apo era4rie e4rarr e4rars e4rart e3ras. er3as4b er3ask
+            er5ass. er5assi er3a2ß e3rat e4ratel e4r3atl e4r3atm er3au e3raub e3rauc erau4f3 e4raufs e3raum e3raup erau4se
+            e4rauss e4raust er3a4va e3raw e4r3ax e1rä er3äb e3räd er3äf er3äh er3ä2m er3äp e2r3äs eräte3 er3ätz erbe5ers
+            5erbeti 3erbig erbin4f erb4lo er5brec 5erbreg er1c er5ch4e erche5i er3chl 5erdaep erd5ant erd5anz 3erdäp 3erdb
+            erdens4 erdes4t 3erdg er4d5inn er4dob erd4os 3erdöl erd3st 2e3re. er5e4ben er2e2c er5echs ere4del er5e4dit
+            ere3en er3e4he e3rehi e3reho er3ehr 4e3rei. 4e3reia 4e3reib erei6be. erei4de e3reie e5reiga e5reigeh 5ereigni
+            4ereih 4ereik 4ereil er3ein e4r5einh e4reinl e4reins e4reint er5eisar e4r5eisb er5eisd er5eisf er5eisr
+            erei5str er5eisv er5eisw 4ereit erei6t5erk 4ereiu e3reiv 4ereiz er3ele er5e4lit 4e3rem. er3emb er5e4mig
+            ere4mis er3emp e4r3ems e4r3emu 4e3ren. e3rena er5endg erengene6 eren5sk e4r5entn e3renz eren6z5en6d eren6z5er
+            er3epi e4repos 4e3rer. 4ererb e4r5erde erergene6 e4rergo e4r5erho erer4hö e4r3erk e4r3erl erer4lo erer4lö
+            4erern. e4r5erna e4r5erne e4r3ero 4er6ers. er5ersat e6r5ersche e4r5ersp e4r3ert e4r3eru 4ererv e4r5erwa
+            e4r3erz 2eres e3res. e4r3ess4 er5essen ere5star ere4tab e4r3eth eretri5 e4retu er3eul er3e4va e4r5e4vid erf2a
+            5erfahru erf4e erfen4s 5erfolg. 5erfolgr erf4ta erg5ant er4g5are 5ergebn er4g5ein er4g5elf 6ergenau 5ergenb
+            6ergeni 5ergenp 3ergom er4g3op erg3s4o erg3s4p erg5sta erg5sti erg5sto erg5str erg5stu 5erhaltb er3ho e1ri
+            e4r3iat e3rib 2eric erich6t5er6s e4r3ico 4erie erie3b4 erief4 erie5fl erie4ne erien5en eri5er. eri5ers. e3rif
+            er3ima er3imb er3imm er3imp 4erin. e4r3ind e5rind. e3ring er3inh e4r3i4ni e4r3in5k er3inl 6erinnen 5erinneru
+            5erinnr er3ins e5rins. e4r3int e4r3inz e3rio e4r3ion e3ris 4erisc er3isl er3iso e4r3isr 3eri3tr 4erkaj er5kat
+            erk5ends 5erkranku erk4sen erk4ser 5erkundu 5erläut 5erlebn 5erledi er5leg 4erlöh 5erlös. erls2 er3ma er4m5alg
+            er5man erme5sz er3mo erm2u ernab6sa erna5che er4n5alg er4n5all er4n5alt ern5erbe ern5erei ern5erst 4ernet
+            erne4te er4n3ob erno4r er4n5ori 4ero. e3roa e3roba e3robb e3robi er3o4bl er3obm e3robo er3o4br er3obs er3oe4d
+            e3roeh e3roen er3oer e5roes. eroe4s5c er3off e3rofr e3rog e3rohl er3ohm e3roi e3rol e4r3oli e4r3oly e3rom
+            ero3ma er3omb e3ron ero3n4a ero4nan er5opal er3o4pe er3opf e3ropo er3o2r eror4a eror4e e3roro 4e3ros. e3rosa
+            e3rose 5erosio e5rosit ero5sto e3rotr er5otter e3row er3ox e3rozy e3röc er3ö2d er4öh e3rös. erö4s3c erp2
+            er5pen 5erprobt 5erprobu er3rae er4rant er3rä 5erregt erri5er 5erringu 5ersatzo 5erscheinu ersch4l ersch4m
+            ersch4r ers2e er3si er4sos 5ersparn er7stati 5erstatt er7statu erst3h er3sto er4t3a4d er6t5akts er4tax erte4c
+            ert5eck er4t5er4f er4t5er4h er4t5er4k er7tersc ert5erst er4t3ho ert5spr 2e1ru eruch4s5 e4rueb eruf4s3 e4r3uhr
+            er3u2m erum3a erums4 er3und e4rundu er3unf er5unga er5ungl erungs5 e4r3unk er3up. 3e4rupt eru2r er3u4se er3uto
+            er3uz e1rü ervenen6 5erwerb. e2rya er4z5erk erz3te erz4wi es3abl e2s3a2d e4s3aem e4s5aerz e4s3all e4s3alt
+            e4s3ami esam4t5r es5andr es4apa es3art e4s3ato e2s3a2v e2s3ax es3b esbi5er. e3scen e4s5cham esche6mi e6schent
+            e6sch5er6f e6sch5er6l esch5op e2sco es2cr es3da ese2c ese3er es3ehr ese3i4m e3s4ek 3eselc ese4len ese4ler
+            esen4ac ese4neu esen5th ese5ref e5seri eserin6t es5erke es3erö esers4 eser3u4 e5serv ese5str eseu2 ese2x2
+            es3ext es3f e3sham es3han es4har es3he eshi2 es3him es3hor es4hut 2esi esi5ers. e2s3i2k e4simp e4s3inf es3ini
+            es3int e2sk es3ke es3kl e4sky es3lo es3m e2s3o2b e2s3od eso4de es3ofe eso3pa e4s3orc e4s3ori es3ost e1sö 2e1sp
+            es4pec es4poe es6portp es6portv es5rei 4ess. es4s3ad ess5alt essau4s 3essay 4essä 4essc es3sch esse5er esse3g
+            esse6l5ers es3ser es6serfah ess5er6ho esser6hö esser6sae esser6sat es6ser6sä 4essk 4esso es4sof es4sph es4spu
+            es4stec es4stop essur4k e4st. estab4b e4stabg e5stael e3stah est5anst es5tant. est5anza esta4s est5asc
+            e4s5tat. e5statu est5auf e4staum estauto6r es4tec e5stein. e5steine e6st5eing est5eink est5einl est5einr
+            est5einsc est5eint estell5a es4t5emi est5empo e4s3ten esten6ga est5engl es6ten6se est5entr est5ents ester6ken
+            est5ernä ester6n5o est5eroe es4t5er4ö est5er6tr ester6weit es4t5es4s es4thy es4t3id es5tij e3stil est5ing
+            es4tins e4s5tipp estmo6de. es4tob e3s4toc e3stol es4top es4t5org es4t5ort es2tr es5trac es5trag e5strang
+            est5rate. e5streb e5streck e5strick e5strik es5tros e3strö e4strun e3s4tub e3s4tue e4stueb est5ums es4tu4r
+            est5uri est5urk e4stüb es4tüm e3sub e3suh e4sumg e4s3ums e4s3umw es4und es3unt e3sup es3urb es3url es3urs
+            es3urt esu2s es3w e3sy e2sz es3ze eß3ele eße3re e4ß3er4l et5a4ben et2a3c eta3e4b et3aeh et3agi etal4l5o
+            et3a4mi eta3na e4tanh e5tanj et3ano e4tanp e4t3arb et3art eta4t3r et5aufs et3auk et3äh 2ete et3eff et5e4he.
+            e4t3eim et5eins e4t3eis etel4n3 etend4 eteng4 ete4n3i e4t5ents e4tentw eten6z5er e4t3e4pi ete4r3ä ete6r5eis
+            etergene6 e4t5erhö eterich6 eter6loe e4t5er4lö eter5oe et3erö e5t6erta e3tes eth4a 3e4thik 3ethn 3ethol et3hon
+            e2t3i2d eti4kar eti4kl eti4kr eti2m eti3na et3ind e4t3inf etin4g e4t3inh et3ini eti4ta eti4th et3obs et3o2f
+            eto4n5al eto4nar eto4ner etons4 e4t3orc e4t3ord e4t3org et5rade etra5e4d et3rec et2ro et2sa et3sac ets3ae
+            etscher5e etsch5wu ets5eng et4sim et3sö ets3pr ets4toe ets4tu et2su et4t3a4b et4tad et4tae et4t3ak et4t3a4m
+            et4t5ang et4tanm et4tans et4tap et4t3at ett5auf et2tä et4temb ette4n et4tesp et4t5ess etto5en ett5ope et2tö
+            et2tr ett5rei ett3ru et4t3um 2etu 3e2tui e4t3ums et3ups et3use ety2l3 3e2tym 2etz et2za et2zä et4z3eb et4zed
+            et4z5eig et4z5ene et4z5erw etzes3 etze4t et4z5eti et4zoe et2zw eu1a2 eu4b3le eu4b3li euch4ta euchter6s euch4to
+            euch4t5r euder4e eudi4e eu1e eue2d eue3fa eue2m eue3p eue4rei euer5eif euer5eig euer5eis euerer6r euerer6s
+            euerer6t eue4ret eue4ro4 euer5of eu4esc e3u4ess eu3f2r eu2ga eug3an eu6g5endm eu6gense eu4gid eugin4f
+            eu4g5in4g eu2gl eu4gre eugs2 eug3sp eug5sta eug5sti eug5stu eu3hu eui2 eu3id euil6le. eu3in3 eu3ir 3eukal e2ul
+            e3um. e4ume eum3p eum4s3p eu3nas eun2e eune4b eung2 eu4ni. eu4nio eu4nis eu1o2 e3up. eu3p2f e3upg 3euph
+            eu4r3an eurasi5e eu4r5ast eura3t eur3c e4u3re eure5in4 eur5eis eurin4f eur5in4s e4uro euro3s eur4sau eur4so
+            eur6s5tae eur4stä 2eus e3usar eu6sch5ei eu6schel eu6sch5erz eu4schl eu4schm eu6schue e3usd e5useff eu3s4ei
+            e5usevan e3usg e3usk e3usn eu3spr eus4s3c e3usst eu3sta eu3sto eu3s4t4r eu3su eu3tei eute5in4 eute5r4a eut2h
+            3eu3tha eut4o euts4 eut6scha eut6schm eut6schn eut6schr eut6schw euve4 2eux eu1y eu2za eu4zec eu2zo eu2zw e1ü
+            2ev 3e2vak eval4s3 evan4z3 ev4en eve3r4i e2vl ewal6t5er e2w3au ewebe5i eweb4s ewei4sc ewer4g ewer5te ewi2e
+            e3win ewinde5s e3wir e3wit ew4st ewuerzes6 ewürzes6 2ex. 3exam 2exan ex4ans 3exek e2x2el ex3ele 2exes 2exf
+            e1xi 3e2xil e2x3in ex3l ex3or 1exp 2expu 2exs 2exta 4extet ex4tin ext5rei 2extv 2exu e2xum ex3v 2e1xy ey1 eya2
+            ey2dr ey4ere ey2ne eyo2 eys2 2ez e3za e4z3enn eze3re ez3erk eze3s4a ez2o e3zoh ezu2e ez2w é1 é2es égi2 élu2
+            ém2 ér2 éu2 è1 ène1 2ët ê1 ê2t 1fa fab2 2f3abb fa4ben 2fabf 2fabg 2f3a2b3l 2fabn f3a4bre 2fabs 2f3abt 2fabw
+            2fabz fa2ce fach3a fa4cheb fa4ch5ec fa4chel fa6cheng fa6chent fa6ch5en6z fa6ch5erf fa6cherk fach3i fach3o
+            fach5sk fachs4p fa5chung fad3a fa4dan fa4del f3ader fa2di f3adl 2f3a2dr fad3t fa2e fae2c fa3eck f3aem fa4er
+            f3aerm 4f3aerz faesser6 faes6s5ers faes6serw fae4ßer 4f3aetz f3aeug 2f3aex fah6l5ent fahler6z faib2 fa4kad
+            fa2ke fa3la fal4k3l fal4l3a fal4l5ei faller4 fal6l5ere fal6lerf fal6lerg fal6l5erk fal6l5erm fal6l5err fal4lo
+            fal6scha fal6schei fal6sch5l fal6schm fal6sch5w fal4t3r fal4zw fa4mei 2f3amp f3amt 3famy f4an. fa4nar fan4d5er
+            fan4dre fan4d5ru fan4drü fan4gei fan6gert fan4gra fani2 fa4n3in 2f3ank2 2fanl 2fann f3a2no 2fanr 2fanw 2f3anz
+            f1ap fa2po fa3r4a far4b3a far4b3ä far4bel far4b5er far4b5in far4b3l far4b3o far4b3r far4b3u far4m5an 4f3armi
+            2f3a2ro far4r3a far4rh 2f3art 2f3arz fa3s4a faser5e fa3sh 4f3assi 4f3astr fa2ß f1at fa2to 2fatt 2faue 2fauf
+            f3aug f4aul f3ausb f3ausl 3fav 1fä fä1c 2fäf fäh4r3u 2f1äm 2fäq 2f3ärm 2f3ärz fässer4 fäs6serk fäs6s5ers
+            fäs6serw fä4ßer 2f3ätz 2fäug 2fäx 2fb2 fbau3 fbilder6 fbil6derh 2f1c f3ch2 2fd2 fdi2e f3ds 1fe featu4 2f3ebb
+            fe4ben fe2c fecht6e fechts5e 2f3eck fe4del federen5 fede4ro fedi4e fe4dit fe2dr feein5 2feff fef4fr fefi2
+            fef2l 2f3e2he fehl3a fehle4 feh4l5ei feh6lerinn feh4l3o f3eib 2f3eic fei4l3a fein6d5ei fei6n5erz 4f3einl
+            4f3einn 4f3einq fe5ins. fe5inta fe5into fei4nu 4f3einw 4f3einz f3eis 4feise 3fek fek4ta fek4t3r 3fel fe2la2
+            fel3ae fel3at fel3au fe2l3ä f4elb fel5bi felda4 fel4dac fel4d5ar fel4d5e4m fel6d5end fel6d5er6k fel4dra
+            fel3e4c 4f3e4lef fe4l3eg fel5ein 4f3e4lek fe4l3en fe4l3er fe4les feli4n3 fel5ins fell5ans fel6lein fel6l5ers
+            fel4lin fe2l3o fel6spir fel5sti 6f5el6tern 2f3emb fem2m 2f3emp f4en. fe4na4g fe2nä fend2 fende4f fen5end
+            fe4n5ent 4f5energ fen5er5o fen5erö fene4t fen3f2 4fengp fe4nid fen3in fen3i4t fenk2 fenn2 fe2n3o2 fen4sal
+            fen7schl fen3sh fen5skl fens4po 5fenst 4f5ente. 4f5en4ten 4f3entf 4fentla 4f3ents 4fentw 4fentz fe2n3u f4er.
+            fer3ab fer3a4d fer3ae fer3al fe5rant fer5anz fer3as fe2r3ä 4ferd. ferde3 4ferde. 4ferden ferdes4 4ferds
+            fe4r3e4b fer5eck 3ferei fe4rein fe4r5eis fer5eiw fe4rek fer5ell fe4r5erd fe4r5er4g fe4r5erw fe4r3e4v fer6fahru
+            fer6fuel 4f5er4fül 6fergebn fe4r3i4d ferien5 ferin4f ferin4t feri4on fe4riso fer6lebn fernab6s fern6au.
+            ferner6k fer3oe fer3of fer3ö ferr2 fer6regt fer3s4m fers4p 4f3e4rup fest5a4b fest5ak fest5al fest5an fest5ar
+            fest5ei fes6t5end fes6tero fes4th fes4tin fe4s4t3o4 fest5ru fe4tag fet5ero 4f3e4tik fet4t3a fet4t3h fetti5s
+            fett3r fett3s 2feu. 4f5eu5cha feuer5o 2f3eul 2f3eut f1ex 2fexp 1fé 2f1f ffa5chu ff3a2d ffang5s ff3ans ff3ark
+            ff3arm ffa2t ff3au f2f3e2b ffe2e3 f2f3ef f4f3eig ffei4n ffe5in. ff5einb ffe5ini ff5eink ff5eins ffel3a f4felem
+            ffels4 ffe2m f4f3emi ffe4rec f4f3erh f4f5erze ffe2t ffet3r f2fex fff2 fffen4 f2f3im f2fj ff3län ff3lät ff3lec
+            f2f3o2b ffo2r ff3ori ff3ott f2f3ox ff3rak ff4ren ff3roa ff3rol ffsa4 ffs3al ff3sam ffs3au ffs5end ff4stau
+            ffs5tie ffs5tut ffs5tür ff3ti f2f3um ff3urs f2fy 2fg2 fga4s5er fgas5te fgeb2 fge3na fger4 f3gh fglim4 2f1h
+            fh4au fho4l3a 1fi 3fi. fi2ar fi3ask fi3at fici3 fi2do fid2s 2fi2dy fie3b4l fie4br fi3er4f fi4gec fi2g3r
+            fi4kanf fi4kanr fi4k5ans fi4kanw fi4k3as fi4k3el fiker4s fi6k5erst fi4kin fi4kle fi4klo fi4klö fi2kn fiko2
+            fi4k3ob fi4k3op fi4kor fi2k3r fi4l3an fi4lau fi5laufb filauf6n filb2 fi4l3ei filen4 fi4l5end fi4lent fi4lep
+            fi4les fi4l3in fil4ip fil4ma film5as fil4mä fil4m5ed fil4mei filo2 fi4lob fil3st fi2mi 2f3imp f4i3na fi4nant
+            fi4nar fin4dia fi4nel fi4net finge6ro fingst5r 2f3inh 2f3inj 4f3inse fin4sp fin4ste fin5sti fi3ol 2f3i2ri
+            fi4sch5a fi4schä fi6sch5ei fi4schl fi4schn fi4sch5o fi4schr fi4sch5w fi3s2h 2f3i2so fi3s2p fis3t fiste4 fite2
+            fit3el fi3ti fi4tin fiti3s fito2 fi4t3or fi4t5rat fi4xel 3fiz fi2za f2jor 2f1k2 fkaken4 fka4t3i 2fl. fl2a
+            f3lab 3f4laec f3laed 4flaen f3laeu f3lamp flan6sch5l flanzer6 f3lap f4lasc f3lats f3lauf flauma4 3f4läc 2f3läd
+            2flän f3läu fl2e 2f3le. 2f3leb f2lee 4f3lein flei6sch5r 4f3leit flek5t 2f3ler 2f3li. f5lich. f5liche 2f3lig
+            2f3lil f2lim f3lind fli4ne 4f3ling 4f3lini 4f3lins f2lit f3loef f3lok 2f3lon 3f2lop 3f2lor flo3ra 5floss.
+            3floß 3f2lot flo2w3 2f3löf f2lög f2luc f4lueg f3luem f3luf f4lug flu4g3a flu4ger 3flugz f3lup fl4ur flur3i
+            3f4luss flut3o f2lüg f3lüm 3flüs f2ly1 2f1m2 fma2d fmarschach6 f3mu 2f1n2 f3ne 1fo foa2 fodi2 2f3oe2f 2f3oek
+            f3oele fo3eli foer4s5 f3oe2s 2f3o2ly fo4nad fo4n3al fo4nam fo4n3an fo4nap fo4nar fonat4 fo4nau foni4en fo4n3in
+            fo2nu f1op 2fo2pe fo3rat 4fordn ford3s 2f3org 3form for4mae for4m5a4g for4mas for4m5au for4mä for4m5ei for4min
+            for4mor forni5er. for6schl for4st forst5ei6 for6st5r for4t5ei for4t5er for4t3r fort3s4 fo3r2u fo3sta fo3to3
+            fo5toe 1fö föde3 2f1ö2f 2f1ök 2f1öl för2s förs5t f1ö2s 2f1p2 2fq fr2 f3ra. frach6ta frach6t5r 2f3rad fra4dei
+            4f3raed f3raet f3raf frage5i 2f3rah 2f3ral fr4a2m fram3a f2ran f3rand f3rann 2f3rap f3rase fra3st fras5ta
+            3fraß f3rat. f3rats 3frau. f3raum fraus4 frau5se 2f3räd f2rän 2f3rät f3re. f4rean f5recht fre4e 2f3ref f3rege
+            f3regi f3reh f4rei. freib4 4f3reic f4reie frei3f4 frei3k4 frei5str 2f3rek 2f3rel 3f2rem f3ren 2f3rep 3f4req
+            f4resc 4f3resi fres4st f3rest f4rete f2reu 2f3rez f1rh 2f3ric fri3d 2f3rig 2f3rin frin6g5er f3rip 3f4risc
+            fri6scha f4rist 2f3roc 2frol 3f2ron fro4n3a fro2s f3rose frost5r 3f2ruc f3rud f5ruehr f3rues fru6fere f3ruh
+            f3rum 2frun f3rut f3rühr früh3t f3rüs 2fs f3sac f2sad fs3aer f2sak f3sakr f4s3all f4s3alt fs3amp f2san fs3ana
+            fs3ane fs3ang fs3anz f2sar f2s3as fs3a4te f4s3auf fsau4n f4saut f2sär fs3äus f2sca f2sce fsch2 f5schal f4schan
+            fscha4o f5schau f4schef f5schra f5schri f2scr f2s3e2b fse2e fsee3i fs3ehr fs3ein f5seit f2s3e2l fs5endes
+            fs3e4n3e f4s3ent f3seq f2s3er fse3r4u f5serv fse4t fs3eth f2sex2 f2si2d fs5iden fs3imp fs3inf fs3ing fs3int
+            f2ska f2sko f3s2ky fs1o f2sob fs3och f3soh f2sop fso2r f1sp f5spann f4spas f4spel f2sph fsport5e f4spot
+            fs5prie fs4pul fs3s2 f3sta fs5taeti f4stag f4s3tak f4stale f4s5tank f4stas f4s5täti f3steg f3stei f4steil
+            f3stel f5s4tern fs3tes f3steu f3s2ti f4s3tip f4stit f3s2to f4ston fs4tras fs4tre fs5tren f3s4tri f5strom
+            f3strö f5s4tuec f3stüc f4s5tüte fs3ums f2s3un f2s3ur f2s3ut f5szene 2ft f2ta. f4t3aeu ft3ala f5talg ft3all
+            fta2n f4t3ana ft3and ft3ang f4t3ano f4t3ans ft3apf f2t3a2r ft3att ft3auf f2t3äu fte2c ft3eck ft3e4he ft3eig
+            ft3ein f4t3eis f4t5elek f4t3eli ft3emb fter3a f4t5erke fter3o ftersau6 ftes4p f4t3es4s fte5stei ft3eth
+            f4t3e4ti fte3u ftgu4t3 f2t1h f3t4hem f2t3id f3tik f2t3im f2tin ft3ind ft3inf f3ting ft3inh ft3inn ft3ins
+            ft3iso ft3le f2t3o2b ft3oef ft3of f2tom fto2p ft3ope ft3ora ft3org f2t3ot ft5raed f5t4ran ft3rau ft3ril
+            ftritt4 ft3ruh fts1 ft2sa ftsa4g ftsau4 ft4sän ft3sch4 ft4se4h ftse4l ft4sem ft4send ft4seng ft4sep ft4ses
+            ft4seu ft2si ft2so ft4staf ft3sti fts5tick ft6stier ft4stor ft6streu ft6strop ft4stur ftu3en ft3ums ft3unb
+            ft3und f4tunf ft3urk ft3url ft3urt ftwa4r ftz2 1fu fuch4s5a fuchs5t f2ue 2f3ueb fuen4f5a fuen6fei fue4r f2uh
+            fuku3 2ful fuld4 f3ult 2f3umb fu4mei fu4m5erz fu2m3i f2umm 2fums fun6derg fun6d5erh fund3r fund5st 2f3unf
+            4f3ungl 2f3u2ni 3funk fun4ka fun6kerk fun4k3l fun4k3o4 fun4k3r fun4ku 2f3unl 2funm 2funr 2f3unt 2funw f2ur
+            fu4re. 2f3url f2us 2fusc fu4schw fus4sa fus4sei fus4s5er4 fus4sp fu3s2t fu4ß3er 3fut 1fü 2füb fühl4s5c
+            fühl4s5e fühl4st fü2r 2fv 2fw f1y 2fz2 fzeiten6 fzei6t5end fz3t fzu4gin fzug4le 1g 3ga. 2g3aal 2g3abd gabe3e
+            gabe3i 3gabel gabe3r 2gabf 2gabg gabi4t gab5itu 2g3a2bl gab5le gab4ri gab4ru gab4rü 4gabsc 5gabst. 4gabstu
+            4gabstü 4g3abtr 2gabw gaby2 2gabz ga1c gade3s g4a3di 2g3adl gae5is. ga3emp 4g3aend 2g3aep ga3erh g3aerz gaes3
+            gaeste5 ga3eta ga3fl 3gai ga3il. ga3in ga1k ga4kad 2g3akt ga4kus ga3la gala3e g3a4lar 4g3alau ga4l5en4d g3algo
+            4g3allt 4g3alta 4g3altd g3a2lu ga4m3al4 4g3amaz ga3me. ga4meb ga4mec ga4mep ga4m3in gam5ma gamo2 gam3sc gam3t
+            ga2mu 4g3anal ga4nan gan5ato ga4nau g4anbr gan3d2 gan5erh gan5erk gan5ers 2ganf gan4gar gan6g5e6be gan4g5el
+            gan6g5er6b gan4gr gan4g3u gan5inn gank2 4g3anke g5ankun 2ganl 4ganmu ga4n3ob ga4nor 2ganp 2ganr 4g3ansi
+            g5ansti 2ganw ga3ny gan4zw 2g3app 2garc garde3 4g3area ga4rena g3arg ga3rin 2g3ark 2g3arm ga3r4o gar2s 4g3arti
+            2g3arz ga2s3a ga2sä gasche4 ga3se. ga4s3ei ga4s3el ga4s3e4m gas5endr ga4s5ene ga4s5ent ga4serz gas3e4t ga2si
+            ga2so gass2 6gassess gas5tank gas4tel gast5elt gas6tens gas4tin gas6t5rae gas4t5rä gas6trol ga4sum gat2h
+            ga3tha 2g3atm gau4eri 2gau2f ga3ufe 2g3aug g4auk ga3unt 4g3ausb 4gausd 4g3ausf 4gausg 4gausr 4g3auss 4g3ausw
+            g3ausz 2g3aut g1äh 2g1äm 2g3änd 2g1äp 2g3ärz gä4st gäste3 2g1ät 2gb2 g3ba gb4au gbau3f g3bä gbes2 gbi2e g3bl
+            g3bo g3bu g3bü gby2t 2g1c 2gd g2dab gd2ad g2d3ak gd3all g2dan gd3anz gd3art gdä1 g2d3ei gd3els g4d3ent g2d3er
+            gd3eth gdi2e gd3ins g2do2b g2dop gd3roc gd3roe g2d3rö gd3s2 gea2d gea2n gea2p ge3at ge4at. ge4ate 4g3ebbe
+            geb4le geb4lin gebot4 ge1c ged2 gedi2 4gedig ge1e2 ge3eg geer3e ge2es geest3 ge3ev gef2 ge5far 2g3eff gegen5s4
+            ge3g2l ge2gn geh5aben ge4h5erl geh5ste ge3im gei2n 4g3einb gein4di ge5in4fo 4g3eing gein4ha ge3ini 4g3einl
+            ge3in4n 4g3einr gein6ten gein6ter ge3in4v 4g3einw ge3ir geise4 gei3sh ge3iso geis4s5c geist5r 2gek. gela4c
+            gela4n ge4l5ano ge4l5ant ge4lanz g4elb gel5bi gelb5s gel4del gel4dem gelder4 gel6d5erh gel6derp gel6ders
+            gel6dert gel6derw gel6drue gel4drü ge3lec ge4lef 4g3e4lek ge4l5end ge4l5en5e ge4l5ent gel5erd gel5er5e gel5erf
+            gel5erg ge4l5erk ge4l5erl ge6l5erna gel5er5o ge4l5ers gel5erz ge4less gel3f gel4fe. gelfen4 gelgene6 gel5int
+            gelk2 gel3la ge4l3om ge5lot gel4sal gel6s5chor gels4t gel5ste gel5sti gel5sze gel6tent gel6terh gelz2 gem4a
+            ge4ma. 2g3emb 2g3emp gem2u gen4aes ge5n4au. ge5naue ge5naust gen6auste 4genda. gend5in5 ge4n3e4g gen4eh
+            ge4n3el ge4nemi ge6n5ende ge4nep ge4n5er4b ge6n5erei ge4nerf gen5er5in ge4n5erk ge4n5erl ge4n5ern gen5ersc
+            gen5erst ge4n5ert gener6wa gener6wä ge4n5esk ge4ness gen3f2 geng2 gen4ge. gen6geln gen6gels genger4 ge4nim
+            ge4n3in genk2 gen3n2 ge4noc gens5amt gensch4 gen6semb gens5ert gen5ska g3entf 4gentfa 4gentfe gen5t4he
+            4g5entst 4gentw ge4nun gen6z5art gen6z5eig ge3oh ge3oo geo4ri ge3ou ge3p2 g4er. ge3ra ger3ab gerabdru6 ger5adm
+            ger5akr ger5ala ger5alb ger5all ger5alp ger5alt ger5amp ge4r5ant 4gerdg ger5ecke ge4r5eid ger5eig 6g5ereign
+            4g5e4remi ger5ende ge4r5en5e ge4reng ge4r5en4s ge4r5ent ge4rerf ge4r5erh gerer6ku ger5ersa ge4r5er4w gerer4z
+            ger4hoe 4g3er4hö gerin6de gerin6di gerin4f 4g5erklä germi4 ger4nau ger3ne 4g3ernt ger5obe ge3roc ge3rod ge3roe
+            ge3ros ge3rot ger3o4v ge3rö ger6regu 4g5er4seh gers4p 4g5er4wac ger6wart ger6weit 6g5erwerb ge2ry gerz2 ge1s2
+            g4es. ges5anz ges5auf gesch4 ge4s3eb ge4s3ec ge3sei ge4s5ein 4g5e4sel. ge4s5elt ge3sen ge4s5er5e ge4s5erf
+            ge4s5erz ge4sex ge4s3ou ge4s3ph ge3spu ges3sa ges3se ges3sp ges3s4t ges4tan gest6ei ge4s5ter ges3th ge4s5tur
+            get5ange ge4tant ge4thi 4getik getin5 ge3to 4getow get2r ge4t5res get3sa get3s4p gets4t get3t 4getui 2g3eul
+            ge3unk ge3urt ge3u2t 2g1e2x1 2g1f2 gfa5chu g3fe gfen2 2gg gga2t g3ge ggeb2 gge4r5er5 ggi3en gg2lo g2gn g2gof
+            gg2r ggs2 2g1h gh2a gh4ae ghafe4 3ghale gham3 gh4äh 3g2het gh1l g3ho 3gh2r ghs2 ght1 gh2ti gh2tr gh3w gi1a
+            gib2l gich2 gicht3 gi2e gie3b gie3d gie3f4 gie3g2 gie3i gi5enab gie5nac gie3n4e gienein6 gi3enk gi3enr gi3ens
+            gie6r5eis gie5res gi5ergi gie5sp gie3st gif4t3r gift3s4 3gig 4g3i4gel gi2gu gik3a gi4kan gi4k3el gi4me. gi4mef
+            gi4mes gi4met 4g3impf gi3na 2g3ind gin4di 2g3inf gin4ga 6gingeni gin4g3r 2g3inh gi4nit gin6nenb 4g5inner
+            gin4sa 4g3inse 4g3insf 4g3insp gin6standh gin4ste 2g3int 2g3inv 2giok 3gis gi4sch5w 4g3isel gi3sta giste4 3git
+            gi3tu giu3s 2gj 2g1k2 g3ka g3kä g3ko gko3ef gkraf4 gkue3b gkü3b 2gl. gl2a 2g3lab g3lach 4gladu g5laend glaes5c
+            2g3lag 2glah 4gland glan4dr glan4za glan6zen glan6z5er 2g3lap g4las. gla4sa gla4s5el 4g3late 4g3lauc g3laue
+            4g3lauf 4glaun 4glaus g3laut 2g3lav 2glaw 4g3länd g2läs gläs3c 4gläuf 2glb 2gle. g3leb 4glebi g4lebo g4lebö
+            gle3c g3led gleer4f g2lef 2g3leg g4leha 4glehr 4gleib g4leic 4g3leid 4glein g4leisi glei6terk glei6t5er6sc
+            glei4t5r g2lek g2lel g2lem g5lemmi 2glen g2lep 2gler glerei6g g4les. 4glese g2let 4gleuc g4leur g2lew 2glh
+            2gli. 3g2lia 2glib 2glic 3g2lid 3g2lie 4g3lieb 4g3lief g3lieg 2glif g2lik 2glil g2lim 2glin glings5 g2lio
+            gli3on gli3o4s 2g3lis 4glite g4litt g2liz 4g3lize gl2o g2loa g2lob g2loc 4g3loch 4gloes 4gloew g2lof 4gloks
+            g2lom g2lon g2lop 4glorb 2glos g2lot 2gloy 4glöch 2glöh 2glös 2glöw 2gls g2luc g3luch g4luec 4gluef 2gluf
+            2glun 2g3lus 3g2lüc 2glüf g3lüg 2glw 3g2ly 2g1m gm4a3b2 g3me gm4en gmen4tr gmen4tu gmi1 gm4un 2gn. 2g3nac
+            g3naep 2gnag 2g3nah gna2k gna4l5er5 gna4l5in 2g3nam gn3ana 2gnaq 2gnar 2gnau g3näp 2gnb 2gnc 2gnd gn2e g3neh
+            2gnei 2gnel gne2n gnen3e 4gn3ent gner6geb gne4ta gne4t3r 2gneu3 2gnf 2gng 2gnh g2nie g2nif g2nin 4gninf
+            4gn3ing 4gnint 2g3ni2s3 gnise4 gniser5 2gnk2 2gnl 2gnm g2no 2gnob 2gnop gno3r 4gnori 2g3not g3nov 2gnp 2gnq
+            2gnr 2gns2 2gnt 3gnu. 3gnum. gn4umf 4gnumg 4gn3ums 2g3nun 2gnut 2gnv 2gnw g2ny 2gnz go2al goa3li g1ob 2g3obj
+            g2ob4l gob2s go1c 2g3o2e2f 2g3oeh 4goel. go3enz g1of go2fe 2gog 2g3ohr go1i go3k gol2a gol4d3a gol6d5eng
+            gol4d3o gol4d3r gol4fa gol4fel gol6ferl gol4f3l gol4f3r golf3s4 g3o4liv 3gon gon2a go4n3an gon5ato 2gope
+            go3pfl go4pos 2gopt go3rap 2g3ord 2g3org g4oro 2g3ort go2si go3s2l go3ste 2g3osz go5thae got6t5erb got6t5erg
+            got6t5erl got6t5erw got4th go1y 2g1ö2f 2g1öh 2g1öl 2g1p2 gp4la g3pu 2gq g3qi gr2 gr4ab gra4ba gra4bi gra4bl
+            gra4dei gra6dend 4g3radl 4g3raed graes5c 2g3rah 2g3rak grammen6 gram6m5end gram6m5er g3ramp gra3na g5rand.
+            4g3rann 2gr4ar gra4ra gra4r3e gra4ru gra4s3a gras5st g2rat gr4au 4g3raub grau5f 4g3raum grau5sk 2gräd gräs3c
+            4g3räub 2g3re. 2grea g2reb 2g3rec 4grede 4gredu g2ree 2g3ref gre4fr 4grege 4gregi 4gregl 4greic 4g3reih 4greim
+            4grein g2rem g2ren 4g3renn 5grenz gren4za gren6z5ei gren6zer6f gren6zer6t gren4z5o g2rer g2res 4g3rese
+            gres6ser6 gres4st 2grev 2grez 2g3ric gri2e 4g3rieg 4g3riem g5riese 2grig gril4l5a 4g3ring 4g3rinn grit2 g2ro
+            gro4b3a gro4b5ei gro4bl gro4b3r 2groc 4g3roec 4g3roeh groe5le 2g3roh 2g3rol gron2 4g3rose gros4s5a gros4s5c
+            gros6s5el gros6senk 4grout 2g3röc 2gröh grö3le grue5be 4g3ruec 4gruf. 4grufe g4ruft 2g3ruh gr4un grun6dere
+            grun4g 2g3rut grü3be 2g3rüc 2gs1 gsa2b g3sack g2sa2d g4saeh g2sa2k g4sall g4salt g4sama g4samt g3sani g4sant
+            g2s3a2p g2sa2r gs3ars g2sas g4sato g3sau. gsau4e g4sauf gsau4r g4saut g2sa2v g2säc g2säh g2sän g3sät gsby2
+            gsch4 g5schal g5schat g3schä g4sche4f g5schei gs4chen g3schl g3schm g3schn g3schr g3schu g3schü g3schw g2sco
+            g2se2b gse2c gse2d g3sege gs2eh gs3ehr g3seil gse4kl gse2l g3sel. gse4me gse4n3e g4sent gsen5th g2se2p g2ser
+            gser3e gser5in gser5oe g2ses gse4t g2seu3 gs3e2v g2se2x2 gsgene6t gsi2d g3sie g3sig gsi2k gsi2n g4s3ita
+            g3s4ki3e gs3li g2so2 gso3c g3s2ol g3soz g3s4pac gs4pate g3spek g3spit g5sporn g5s4pule gsrue4c gsrü4c gs3s2
+            gssau4g gst2a gs5tabl g5stabs g3stad g5staer g3stah gs3tak gs5tank g5stark g5start gs3tas gs5tat. gs5tate
+            g5stati g5statu gs5tau. gs5tauc g3stäb gs3tät g5steig g5stein. g5steine g5stell gst5ent gster5e gs6t5erei
+            gs4terz g3s4tew gs5the gs4thy g3stic g3stir gs3tit g5stock gs4toer g3stör gs4tras g5s4trat g5streb gst4ri
+            gs4t5rit g5stroem g5strom. g5stroms g5s4trop g5ström g3stüc g2su2 g3sub gs3un gs3ut g5szene 2gt gt3auf g3te
+            g3ti gti2m gt3inh g3to gt2st gt3stu gtu3en gtu5ers gu3al. gu3am gu3ant gu3ar. gu3ark gu3ars gu2d3r 2gueb 2gued
+            2g1u2f 2g1uh gu3in. gu3ino gu3ins gu3is 2g3ulm 2g3umb gum4e 2gumf 2gumg 2gumk 2guml 2gumr 2g3ums 2g3umw 2g3una
+            4g3unem 2g3unf 4gunge4w 4g3ungl 2g3u2ni 2g3unk 2gunr gun4st 2gunt 2g3unz gure2 guren3 2g3url gur4t3h gur4t3r
+            gurt3s 3gus1 gu2sa gu2sä guschi5 gus4s5er gus4s3o gus4sp gus4st gu4st gust5a4b gust5ein gus6t5en6de gus6terl
+            gus4t3h gus3to gus4t3r gu2t3a2 gutan5e gu4ted gut3ei gu4t5er4h gu2t3h gu2t3i gu2t3r gut4sp gu2tu gutwa3 2güb
+            gün2 3gür1 2gv g3ve 2gw g3wr 3gym 2gz2 gzeu4gi gzeugin6 g3zh ha2a ha3ak ha4b3ei h3abla ha4blä h3a4blu 2habn
+            h3a2b3o h3a2br 2habw hach3a ha4chec ha4ch5en hacher6be. hacher6ben hach5eri ha3chi hacks4 ha4cku 2hada ha4del
+            hade4n haden6s5o ha4d3in h3adle hado2 h3a2dr ha3dri had3st haede4 h3aeff h3aehr ha3elb ha3e4n3e 4ha3er. h3aerg
+            4h3aerz hae6s5chen 4h3aest 4h3aeug hae5us. haeu4s5c hae5usp h5affae h3affä haff4l haf3r haf4ta haf6t5erl
+            haf4t3o haf4t3r haft4se haft6stem 2hagi ha2gl h3ahl h3ahm 2hail 2haka ha4kad ha4kes ha2kr h3akro 2hal. hal3ab
+            ha3l4al ha3lam halan4c hal5ang h5alarm ha3lat hal4ba hal6bein hal4bel hal6b5ern hal4bin hal4bl hal4bo hal4b5ra
+            hal4bri hal4bro hal4b5ru hal4b5rü halb5s 2hale hale4n ha6l5ents 2halh 2halk h5alkal hal4lan hal4l5au hal6l5ere
+            hal6lerf hal6lerg hal6l5err haller6s hal6l5ersc hal6l5er6w hal4loe 2halp hal4sei hal4sp hal4sta hal4stu
+            hal4tal hal4t5an hal4tau hal6t5erfo hal4th hal4t3r haltungscha6o h3a4mei h5ameri hamot4 h3ampf 2h3amt h4an.
+            2hana hana3e ha4nal ha4nan 2hanb h4anbe 2hanc han4d3a4 h4ande han4d5er han4dob han4dr hand5ru hand5rü hand3s4
+            2hane ha4nem han4f3i han4f3l han6g5end han4gro 2hani han6kerl han4ko han4kr 2h3anl 2hano ha4nor 2hanr 4h3ansc
+            h5anten h3anth 2hanz h5anzei h5anzug h3apf ha2pl h3a2po h3a2pr har2a hara3d 2h3arb 2harc h4ard har4da h3area
+            har4fa har4f5ei har4fr 2harg h3argu ha3rh ha3ri h3arm. h5armem h5armen h5armer h3arms har4ne h3a4rom 4h3arra
+            2hars har4tal har4th 4h3arti har4tri har4za har4zo 4harzt 2hasa ha4schm has2h3 hasi5er ha3spo has4sa hasser4
+            has6s5erf has4sp hass3t h1a2ß ha2t3a hat5ein ha2t3h h3atl ha4t3ra ha4trä ha4t3re ha4trou 2hats h3attr hat4zer
+            haub2 h3audi h3aufb 4h3aufd h3aufk h5aufla hau5f6lie hau5flu 4h3aufm 4haufn h3aufs 4h3auft 4h3aufz 2haug2
+            h5auge. h3aukt hau4men hau4mer hau4sa hau4s3c hau4seh hau4sel hau6s5en6t hause4r hau6seri hau6serp hau4so
+            haussen6 haus6sen. haus5sk haus5tau hau4s5ur hau4ta hauten4 hau6teng hau6terh hau6terk hau6tern hau6terw
+            hau4tin hau4tr haut5s ha4ve. havil4 hä2c häde2 h3äff 2h3ähr 2häi hä2kl hä2la h3ärg härm4s hä3ro 2h3ärz
+            hä6s5chen 2h3äst 2häug 4hä3us. häu4s3c 4häusg 4häusk 4hä3usp 2hb2 hb4ar hba4ras hbar5sc hber4e 2h1c hchar4
+            hcre2 2hd2 hdan2 hdi2e h3ds he2ad hebe5in he2bl 3hebs 3hebt he3cha he5ch4e h3echs heck5sp hed2g he4dit hee4la
+            he3e2m hee2n he3eng hee4rei hee2t he3eti he4fan he4fau he4f5erm 2heff he4f3id he4find he4f5in4g he4f3le he4flo
+            hef3s2 3heft hef4tan hef4tau heft3s he2fu he4hef h3ehr hei2a hei4da hei6d5ert h3eie h3eif h3eig hei4kl hei4lau
+            he4im hei4mal hei4man hei4mar hei4mau hei4mei heimer6f hei4min hei4m3o heim3p hei4mu 4hein. hei4n3a hein6dik
+            hei4n5e4b hein5e4c hei4neh hei6nene heinen6g hei4n5er h5eingab h5einkä h5einmi hein5sk 4heio 4he3ism heis4s5t
+            he3ist h5eitei he3i4ti heit4s3 h3eiw hei4za hei4zel hei6zene hei4zw he5kar hek2s3 hek4t3a he4l3an hel5ass
+            he4l3au hel3e4c 4helek h3elem hel5end hel5ent hel5ers he4less 4heleu 4helic he4l5ing hel4l5au hel3le hel4m5an
+            hel4mei 3helms he4l3oe he4lop he3lor he2lö helsau4 2helt helt4s 2hemb hem4br 3hemd he4mer h5e4miss 2h3emp
+            he2na hena4g hen3au he2nä hend4r hen5e4be hen3ec he4nel he4n5end he4n5en5e hen5ens hen5ent he4nenz he4nep
+            hen5erei he4nerf he4n5erk he4n5ero he4n5erö hen5ersc hen5erst he4n5ert he4ness he4n5eta he4n5e4ti he4neu
+            hen3f2 h3eng. hen4gag h5enger. heng4le heng4r he4nil he4n3im he4n3in henke6l5i henk6lei henk4lo henk4r
+            hen6k5rin henmen6s henmi4s hen3ne hensch4 hen6semb hen5sla h3entc h5ente. h3entf 4h3entg h3entk h3ents 4hentw
+            he4n3u hen3z2 he2o he3on heori4e he3pf 2hepi he3ra. her3a4b her3an he5rane 4herap he4r3än her4big herb4st
+            her3c 3herd. 3herds he4r3e4b he4r5eck her3ef 4hereig h5ereign he5reigr her6eini he6r5eis. her5eises he4rel
+            he4r5en5e he4r5ent he3rer he4rerf he4r5erh he6r5ersc he4r5erw her4fas 4herfo h5er6folg herg2 6hergebn h5erheb
+            h5erhit h5erhoe h3erhö he4r3id heri4e3 4herif he4r3il herin4d herin4f he6r5in6nu herin6st herk2 4herke
+            h5erlaub her6lebn her6lös. her6löse h3ernä h5erneu her5no her3o4b he3rod her3of he4r3oh he3rok heros3
+            h5er6regu hers4k hert2 her3th her3tr heru4t he4r5ute 4herzae her6zaep her4zap 4h3erzä her4zäp her6z5eng
+            herzes4 4herzeu h5erzeugu heseen4 he3s2h hesi4e he3s2k hes4ser he3sta he5s6temp he5stro he3stu h3e4tap heter4z
+            he3t2s het3t 3hetz he3u4fe heu3g he3ums he3unf heu3r4a 3heusc he3xan hex3em 2hexp 1hè 2h1f2 hfel4la hfen2
+            hfi4le. hfolgegene6 2hg2 hgeb2 hgene6ri hgin4s h3glo 2h1h hh4au hhaustuer6 hhaustür6 hhoh2 hhohl3 2hi. hialer4
+            hi5a6lerw hi3a2m hi2ar hi3a2s h3iat hi3ce hich6t5er hi4dea hi4dio 2hido hi3dr hi2e hied4s3 3hiera hie4rei
+            hier3i hie4rin hiesser6 hiff4r h3i4gel hi2k3r hi5la. hi4l3a4d hi4l3an hil3c hil4dau hil4dr hil4f3a hil4fä
+            hilfe5s hil4fl hil4fr hili4e hi4lip 2hill 2hima 2hime h3i4mit h3imma 2himp h3impe h3impl h3impo hi3nak hi3nal
+            hi3nam hi3nap hi3nas hinau4 hin4dac hin4en3 hing4a hing4l hing4r 2hi3n4i hin3n2 2hino hins2 hin4t5an 3hinw
+            2hi2o hi3ob hi3os hip1 hi2pa hi4pei hi4pen hi4phe hi2p3l hi2po2 hi2p3r hips2 hipt4 hi2pu 2hire hire3s hir4m3a
+            hir4m3i hir4ner hirs2 hir6scha 2his. hi4schl hi4schr hi2se h3i2so his2p hi3spo hi3spr his4st hi5s4tie hit2a
+            hi3tac hi4t3an hi4tel hi4tro hit3z4e hi4van hivar4t hi2v3o hi2vr hi2vu 2h1k2 hke3na h3ku hk4uh 2hl h3labo
+            h5lache hlach6t5r h5laeche h5laed hlaf3l hla4gä hla4gei hla4g3r h3lake hl3akt hlammer6 hla2n hlan4d5a hlan4dr
+            hl3ano hl3ans hl3arb hl3art h3las hl3asp h3late hl3ato h5laus. h3laut hl3ax h3l4ay h5läche hl3är h3läs hlb2
+            hlbe3n hl1c hl3d2 hld4a hle3e2 h4legel h4leic h4leie hlei4fa h4leime hl5einb hl5eing hle5in6ha hl5eink
+            h4l5einl h4l5einr hl5eise hl3ele hl3emp h5len. hl5en6dun hlenen5e hlen5sk hlens4t h4l5entd h4l5ents h4lentw
+            hl4enz h2lep hler3a hler5eig h6l5er6nae h4l5er4nä hler6ze. h4lesi h4l3ess hles4t hle5sta hle5sto hle5str h2leu
+            h3leuc hlf2 hlg2 hlge3n h2lie h3lieb h3lied h3lieg h2lif h2lim hl3imp h4l3inf hling4s5 h5lings. h4lingt
+            h4l5inst hl3int h4l3inv h2lip h4liss h2lit h3lite hlk2 hlo2b hl3obe h4loess h2lo2f h2loh h2l3o2p h4lor hlor3a
+            hlo4re hlos4s5t h2lot hl4samb hl4sang hl4sau hlsch4 hls2e hl4s3el hl4ser hls5int hl4sph hl5s4tec hl5s6tern
+            hls5tie hl4sun h3luk h5lumpe h3lurc hl3urn hlus6s5en hluss5t h3lüf hlz2 2hm hm3abl h4maec h4maeh h4mael h4malw
+            h4malz h4mand. hmani4e h4marc h4maro h4mause h2mäc h2mäh h2mäl h3me. hmee2 hme3eb hmeer4s h3mein4 h5meise
+            hme5l4a hme3le h3men hme5nad hmen4sa hmen6schl hmen4se hmens5em hmen6spo hme4rad hme4ran hmer5ei hme4r5id
+            hmerin6t h3mes h3mex h2mid h2mie h4milz h4mink h4miss h2m3o2f h2mol h4morb h4more h4mors h4mort hm1p2 hm2s3p
+            hm2st hm3s4tr hm2th h2mud hmuss4 h2mut hmut4s 2hn hnabe4 hna2c hnacht6s5 hn3amb hn3a2n h3nark h3nas hn3a4te
+            h3n4au. hn3äh h2näp hn3är hn3d2 hn2e h2nee h4n3eff hnei7der hn3eig hn3ein h2nel hne2n hnen6sem hn3epo h5ner.
+            hne4r3a h4n5er4de h4n5er4du hner5ei hnergene6 h5nerlö h4n3ero h4n3erö hnet4s h4netu hn3ex hn3f2 hnflei4 hng2
+            h2nib h2n3id h2nie hnik3a hni4kan hni4kar hni4kl hni4kn h2n3im hn3ing hn3inn h2nip hni4sa h2nit hnit4tr hnk2
+            hn3o2b h2nod h2noe h2no2r hno3s hns2p hnst4 hnsuch4 hn4t5auf hn4tho h1nu h2nuc h2nue h2nul hn3ums h4n3unf
+            h4nute hnz2 ho2ar hobel5e h5oberf ho2b3l hoch3 ho4cha hochen5e hochs4 ho6ck5ere ho6ckerl hoe2d ho3edu 2hoee
+            hoe2s hoes3c h3oese h3oest ho2ex ho2f3a2 ho2fä ho4f3ed ho4f3ei ho4fet ho4feu hof3f4a hoffen6s6 hof5fi hof3fl
+            hof3fr ho4f3in ho2f3l ho4for ho2f3r hogene6r hoh4lei h3ohm ho3hö h3ohr 2hoi hok2l hoko3 hokos4 h3okt ho4lab
+            ho4l3ak ho4l3an ho4l3au ho4lav ho4l3ei ho4lem ho4l5ent hol5gr hol5int hol2o ho3lof 3holst 2holy h3o4lym 3holz
+            hol6zene hom4e ho4me. ho4mec ho4med ho4mel ho4meo 2hon. ho4nar ho4nau 2hone 2hong 2honh honi4e 2honk 2hons
+            ho3on hoo2r 2ho2pe ho4p3r 4hora ho3rae ho5ral. ho5rala ho5ralg hor5alt 2hore ho4rem ho4rer 2horg ho4rol ho4rop
+            hor4ta hor5tan hor4ter hor4t5rä hor3um hose4 ho4s3ei 2hosm ho2sp ho3spr hos4sa host3r h3osz hoße2 ho4ß5ene
+            2hot. 3hotl hotli4 hoto5p 2hot3s2 hou1 hou2s 2how h1ox 2hö. hö2c hö3ck h1ö2d 2höe 2höff 1höh hö2s1 h3öse h3öst
+            2h1p2 h3pu 2hr hr3a2c h3rad. hr3adr h5raeum h3rago hr4ai hr3ala h3ramp h3r4ane hran4kl hra4no hr3ans hr3atl
+            hrau4ba hraube4 h3rauc hr3auf h3raum hra2x hr3ämt h3räu hrb2 hr1c h3re. h3rea hre4bl h3rech hre6ck5er6 h3red
+            hr3eff h3reg h3reha hr3ehr h4rei. hrei4ba hrei4bl hrei4b5r h3reic h4reie h3reif h5reihe hr5eing h4r5einl
+            h4reins hrei5th h3rel hr3emb hr3emp hrende6s hrenk4 hren4zy h3rep h5rere4 h4rerfa hrer6fol hr6erfor hrer6gebn
+            hr5er4ke h6r5er6leb hrer5oe hrer3ö hrer6zae hrer4zä h3re2s3 hresgene6 hres5k hress4 hre2t h4r3eta h2reu hr3eul
+            h2rev hr3eva h3rez hrg2 hrge3r hrgu2 hrgut3 h3ric h4rick hri2e h5riesl hr3imk h3ring hr3inh hr3ins hr3int
+            h3risc h3risi hr3iso hrit6tel h5ritter h3riu h3robo h3roch h3roeh h3roe4s3 hro2f hr3ofe h3rog h3roh hro2l
+            hr3oli hr3oly h4romat h4ron hro4n5a h3ropa hr3o2r hr3osm h3rote h3roto hrot4t5a h3rou h3rö2s3 hrp2 hrr2
+            hr4s3ac hr4s5amp hr4s5and hr4s5ang hr4s3au hrs5eins hr4sele hr4sent hrs5erf hrs5erl hrs5ers hrse4t hr4s5eta
+            hr4s3in hr2sk hr4s3of hr4stri hr4sum hr4s3un hr2sz hrt5aen hr4tak hr4tall hr4t3an hr4t3än hr4t3e4l hr6t5en6de
+            hrten6gag hrtengene6 hr4t5erf hr4t5erl hr4t5erz hr4t3ho hrt5ing hrt5ins hrto2 hr4top hr4t5ram hrt5rol
+            hrt6s5ein hrt4sin hrt4sto hrt4stu hr4tung h1ru h2rub h4rueb h3ruf h2rul h3rum. hr3ums hr3unf h1rü h2ry hrz2
+            hrzah4 hrzahl5 hrzeu6ger 2hs hsa2b h4s5achs h4s5acht h2s3a2d h4s3aeb h4s3aeh h4s3aem h2sak h4s5alar h4s3alk
+            h4s3all h4s5alte h4s3amm h4sanb h4sanf hs3ang h4sange h4sanh h4sanm h4s5anna h4sanr h4s3ant h4s3anz h2sa2r
+            h2s3as h4sath h4s3ato h4s3aud hsau6erl h4s3auf h4saut h2s3äb h2säh h4säug hs2ca hsch2 h4schan hsco2 hs2cr
+            h2s3e2b h2s3e2c hse2e hsee3i h4s3ehr h4s3eie h4s5eind h4s5einh h4s5einl h4seinn h6s5einst hsela4 h4selad
+            hse4l5ag hse4lan hse4l5ei4 hse4l5en hse4ler hse4l5in hs5e4lit hsels4 hs5e4mis h4s5endw hsene4 hse4n5eb
+            hsen5erg h6sensem h6s5entar h4s3epi h4s3erb h4s3erf h4s3erh h4s5erkl h4s3erl h4s3erm h4s5erna h4s5ernä
+            h4s3er3o h4s3erö h4s5erpr h4s3ers hse3r4u h4s5erwe h4s5erwi h4s3erz hse2t h4s3eth hsex2 h4sexe hs4ext hs4ha4k
+            hs4her h2s3i2d h4s3ind h4s3int h4s3ita h5skala h5skand hs4nac h2so2b h4s3ofe h4s3off h2s3op hs5ort. hs6orti
+            hs5orts h1sö h1sp hs4pach h4sparl h4sparz h4spat hs4pec h4spel hs4perb h4speri h2sph h2spl h4spro hs3s2 h4st.
+            h3stab hs5tabl h4stabs h3stac h3stad hs5taeu h3stah4 hs5talb hst5alt hs5tank h5stans hst5anza h3stap h5stark
+            h5start hs5tata h5stati h5statu h5stau. h4s3täu h2ste h3stec h5stein hst5einsa h3stel h4stele hs3ten hs4t5en4g
+            h3s4tep hs3ter h5s4terb h5stere h5s4tern hs3tes h5steth hstge3 h3stic hs4tieg h3stil h3stim hs4tin h3s2to
+            h4stole hsto4n hs2tr h5straen h5straf h5strah h5stras h5strat h5strec hs5treu. hs5treue h3stro hstro6ma h3strö
+            hs4tub h3s4tue h3stun h2s1u2 h3sub h3sul hs4ung h3sup hs3ut h3s4wim 2ht ht1a h2ta2d h4taer ht5a6gent h4taka
+            ht4akt. ht4akte h4tall h4ta4lo h4talp h4talt h2ta2m hta2n h4tan. h4tanb h4tan3e h4tanh h4tanna h4tans h4tanw
+            h4tapo h2tar hta4rie ht5a4ris h4tasi h4tasy h4tath h4tato h2tau h3taub h3taum h2tax ht1ä h2tär hte2c hte5cha
+            ht5echs ht5echt ht3eck h4t3ede hte3e ht3eff ht3e4he h4t3eif h4t5eilz h4t3eim ht3ein hte5in6fo h4t3eis h4t3e4ke
+            h4t5e4las hte6l5ei. h4t5elek h4telem h4t5elfe h4t5e4lit h4t5e4mis h4t5e4mit h5ten. h4t5endo hte6nere hten6gag
+            htens4p ht5entar h4t5entd ht5ente. h4t5entf h4t5entg h4tentl h4t5ents h4tentw hte4r3a ht5erbe. h6t5erben
+            hterer6sc h6t5erfah h6t5erfol h6t5erfuel hter6fuellt h6t5erfül hter6füllt h6tergeb hter6gri hter6hael
+            h6t5er6häl ht5erheb hter6hiel hter6höhu h6t5erklae h6t5erklä h6terleb h6t5erleu h6t5erneu h4t5ernt h4t5er5ob
+            h6ter6prob h6ter6spar hters4t h6ter6stat ht5er6trä ht5erwae h4t5erwä h6t5erzie h4t3ess hte5sta hte5str h4t3eta
+            hte4th ht5etho h4t3eur h4t3eva h4t5extr h2t1h h5therm h3thr h2t3i2d hti6g5er6k h2t3im hti2n3 h4t3ina h4t3ind
+            h4t3ine h4t3inf h4t3ini h4t3ins ht3iso h4t3isr hti3t2 h4t3ita ht3l htni2 h4t3obs hto2d3 h4t3oef ht5oele
+            h4t3oes ht3o2f h4t3oly h4t3ont h4t3ope ht5opfer h4t3opi h4topt h4t3ora h4tord h4torga h2t3ot h2t3ös ht4ran
+            ht5rand h4t3ras h4t5rati h4t5ratt ht3rea h5treck ht5reic ht5reif h4t5reis ht5reit ht3rem h4t3res ht2ri
+            h4t5rieg h5trik ht5ring h5trio h5t4rit h4t3riv h6trocke h4t3ros ht3röm ht3rus h4t3rut ht4s3ah htsa4n hts5ana
+            htsch4 hts5chro ht4scr hts5endu ht4s5eng ht4sep htse4r3 hts5eri hts5kr ht5slaw ht4soe ht4sof ht5s4pen ht5spru
+            ht4staf ht6s5tate ht4stip hts4tol ht6streu. ht6streue ht6strip ht6stuer ht4s5tür htu3en ht3uh h4t5umse ht3und
+            h4tunem h4tunf h4t5ungl h4t3urk h4t3urs htwa5re htz2 hu2b3a hu4b3ei hu4b3el hu4b3en4 hu4b5er4z hu2bi hu2b3l
+            hu2b3o hu2b3r hu2bu hu1c hue5ben huef6ter huehne4 hue4r5ei huer4fr hu2f3a2 hu2f3ä huf5erk hu2f3o hu2h3a
+            hu4h3ei hu2h3i huh3l hu2h3o2 huh3r h3uhr. h3uhre h3uhu hu2k3a hu2kä hu4k3er hu4k3in hu2k3l huko3s huk3t2
+            hu2l3a hu2lä hu4l3e4b hu4l3ei hu4lel hu4lem hu4l5eng hu4lent hu4l3er huler4f huler4w hu4l5ess hu4let hu4l3in
+            hu2l3o hu2l3ö huls2 hul5se hul5ste hul5ta hu4lum hum4a hu5man h3umb 2humf h3umh hum4pl 2h3ums humu2 2humz
+            2hun. h3una hunde5i hunde5n hunde5s4 hund3r hun2e 2hunf h3ungl hungs3 hungsa4 huni3 2hunt hup3fl hu2p3h hu2ra
+            hurg4 h3urku h3url hur4ter hur4t3h hu4s3en hu4so hus4s3a hus4s5er hus4s3o hus4sp hus4sta hus4ste hu4t3ab
+            hu4tau hut3ei hut3ex hu2th hut3he hu2t3i hu2t3o2 hu2t3r hut5sc hut4ta hut4zeh hut4zei hut4z5en hut4z5er hü3bel
+            hü3ben h3über h2übs hüf4t5er hühne4 hür4f3r 2hüri hüs3 2hv 2h2w2 h3wack hw4ar h3weck h3weib h3weid h3weih
+            hwei5n4e hwein6s5a hwen4ka h3wick h3wies hwi2s h3wisc 1hyd hy2da hy2de hy3dr 1hyg hy4lor 3hymn h1yo hy3os 1hyp
+            hy4pe. hysteri6e 2hy2t 2hz hzug2 hz2w ia1a2 ia4ben iab2l i3ad. iad2a i3adn ia3do ia3ei ia3el i3ae2m i3aer.
+            ia3erf i3aeri ia3err i3aers i3aerz i3aet. i3aeta i3aetb i5aetem i3aetf i3aetg i3aeti i3aetk i3aetp i3aetr
+            i3aet3s i3aett i3aetw i3aetz i3aev ia3fl i3agg ia1h iah4o i1ai ia3in i3ak. i3a4kei i3akg i3akh i3akm i3a2k3n
+            ia4kre i3aks i3akt i3akv i3akw i1al ial3a2 ia4lar ia2lä ialb2 ial5bl ial3d i3a4leb i3alef ia5lek i3a4lel
+            i5alemp i5alengp i5a4l5en4s i5a4l5ent i5alen4z i3a4lep i5a4l5er4b i5a4l5erf i5a4l5erh i5a4l5e4ri i5a4l5erk
+            i5a4l5erl i5a4l5erm i5a4l5ero i5alerö i5a4l5erp i5a4l5ers ial5erwa i5a4l5erz i3a4l3e4t i3alex i2ali i3a4lia
+            i3a4l3id i3a4l3in ialk2 i3all ial4ler ia4lob ia4l3on ia4lop ia4l3o4r ialp2 ialsch4 ia2l3u2 ialz2 i3amp iampe4
+            ia3mu i3an. i3anab ia4n3ae i3a4nal ian5alt ia4nar i3a4nau i3a2nä i3anc ian4ce i3and2 i2ane i3a4n3e4b i3anei
+            i3anex i3ank2 i3ann ia4nod i3ans ian4s3p ian4st i3ant i3anz ian4z3a4 ia1o ia2op i1ar i3ar. ia4rab iar5ein
+            i2ari iarr2 i3as. i3asb ia3sh i2asi ias2p ias3pr i3as3s ia3sta ia3s4tr i3asz i3at. i2ate i3atl ia4tol i3atom
+            i3ats i1au ia3un i1ä iä2m iä2r3i i3ä4tem iä2ti iä2tr iät3s i4b5achs i4b3arm i4b3art i4barz i4b3auf i4b3aus
+            i4baut i3bä ib3ärm ib4bli ibeer4 i4b3eig i4b5einh i4b3eis ibel3i ibend4 i4b5ener ibe3ra ibe4rab ibe4rae ibere4
+            ibe4reb ibe4ren i4ber4fa ib5erfah i6ber6geb iber6lau i6b5er6sche ibe4tau ib3ide i4b3ins i4b3lab i4blad i4bläh
+            ib4len i4bleu i4bluf ib2o i4boel i2b3op i4b3ort i2böl ib4rec ib2ri ib5roec i4b3röc ib4ser ib3s4kl i4bueb
+            i4b3unk i4bunt ibus3c i2büb 2ic ica2l3 ic1c ice1 icein4 i4ch. icha2 ich3a4c ich3ag ich3al ich3an ich3ar ich3au
+            ich3ä i3che i4ch3e4b ich3ei i6chensem i6ch5erde icher5eig icher6gebn i4ch3eu i3chi i4chins ich3la ich3lä
+            ich3li i5chlor ich5lot ich3m ich5ma i4ch3n ich3oe i3chon ich5ort ich3ö i2chr ich3ra ich3re ich6s5amt ich6s5ern
+            ich4s5or ich4spo ich5stri ich4tab ich4tan ich4tar ich4tas ich4teb ich6t5eig ich7ten. ich4t5in ich4toe ich4t3r
+            i3chu2 ich3uf i4chur ich3w i1ci i4ck5erf i2cko ic3k4os4 ick3sa ick3sk ick3s4p ick5sta ick5sti icktu3 ic3la
+            ic3le id2ac id3aer ida2n id3ana i4d3ani i4danl i4dante i4danw id3arm id3art id2ax i2daz idä1 i2d3är i2dee
+            i3deei ide5inst i4demul ide5nad idener4 ide4n3i ide4n3o4 iden4zi i4denzy ide2o ide5rae ide5ran ide4rel
+            ider6fül iderin6f iderin6nu ide3ro ide3rö ide4ser ides4p ide5sta ide5str 2idf id4gea idi3ae idi2o id5ion.
+            id5ione i4diot i2dol 3idol. i3dor id4o3s i2d1r id4ro id4san id4set ids3pr ids5tra idue4 idu3en idwa3r 1idy
+            ie3a2 ie4bab ieb5ach ie2bl ie3bla ieb4sen ieb4s3i ieb4so ieb4ste ieb4sti ieb6stre ie4bum iech3o iech3t ie2ck
+            ieck4s ie4d3an ieden6sc iede4r5a iedi4e ie2dr ied4si ied4spa ie1e2 ie3ev i2ef ie4f3an ie4fau ie4feb iefe4m
+            ief5emi ieff2 ief5fl ie2f3l ie3flu ie4fonk ief5rea ie4f3ro ie4g3li ieg2n ie4gre ieg4s3c ieg4se ieg4si ieg4sp
+            ieg4s3t ie4hap ieh5eis ie4h3in ieh3la ieh3r i1ei ie3im ie3in5d iela4r ie4lau ie4läs ield2 iel5ech iel5e4ck
+            ie4l5eic iel5eid ie4l5eig ie6l5eint iel5eis. iel5eise ie4leng ielen4s ielen4z ieler6fin ieler6fol ieler6ga
+            ieler6gä ieler6geb ie6l5erkl ie6l5er6la ieler6lebn ieler4ö ie6l5erru ieler6wei ieler6zae ieler6zä ieles4
+            ie4less ie4l5eta ielgen6a ielgene6 iel3i4d ie4l5inf ie4l5ins iel5int ielo4b ie4l3op ie4lor iel3sk iels4p
+            iels4t iel5ste iel3sz i5e4meti i1en iena4b ie4na4g i4enah iende5s4 ien3ec ien5ekl ie4nel ien6erfu iener6la
+            iene5sk ien3f2 ieng2 ienge4z ie4nid ie4n3im ie4n3in ienk2 i3enn ieno2 ien5sa iensch4 i5en5se iens6er ien3s4k
+            iens4p ienst5aen ienst5än ienst5ein iensten6 iens6t5end iens6ter ienst5erl ienst5erw ienst5op ienst5or
+            ienst5rän ien6t5ero i5enti ien3tr ie1o2 ie4peg ie3p2f ie3ra. ier3a4b ier5aet ie5raeu ier3af ier3al ier3an
+            ier3as i2ere ie4r5eck ier5eier ier6eini ier5eis. ier5e4mi ie5r4ert i2eri ie4r3id ie4r3il ie4r5ing ierin5i
+            ierk4 ier3l iermi4s i3ern. iern4a ier3ne ier3ni ier2o ier3ob ier3oe ier3of ie3roh iero3n ier3ö ier4re. iersau4
+            ier4s5eh ier4sko ier5sta ierts4 ieru2 ie4rund ie4r3ut ie4s3au i3esd ies5ein iesend4 iesen5s4 ie3s4ka ieso2
+            ie4s3oe ie2sö ies2p ies4sel ies6s5ent ies6s5er6l ies4sti iest4a ie5stel ie3str ie3stu i3esü ie4ßel ie4ß5ent
+            ie4t3ak ie4t5ang ie4tans ie4t5anz ie4t3ap ie4tat iet5ein ie4t5ent ie6t5er6ho ieter6hö ieterin6t ie6t5erlo
+            ie4t5er4t iet5hel iet5her ie4t3ho ie4thu i3e4thy ie4t3ob ietoe4s ie4t3ö4s iet5ram ie4tren ie4t3ri iet5rud
+            i3ett iet3z4a iet3zw ieu2e ie3uh i4e3um ie3un ieu4r3a ieu3s ie2w3r i1e2x1 iezo3 2if if3aen i2f3af if5ange
+            i3fari i4f3arm i2f3au if3än i2fec if3eff i4f5einh i4felem ifel4s5o ife2n ifen3e ifen6te. if3erh ifes5tat
+            if4far if2fl iff3la if3flu if4f3ru if4f3rü iff2s iffs5et iff4sti iff4stu if3inf i4f3ins if3lac if3lad i3flae
+            i3flag if3lau i3flä i3flec i3f4lie i3flue i3flug i3flü if1r i3f4rag i3freu i3f4rev if3sa if2t3a if4t3ed
+            if4t3ef if4t3ei if4tent if4t3ep ift5erl ift5erz ifte4s if4t5esc if4t3ex ift5int if4t3op if4t3ra ift5rei
+            if4t3ri if4t3ro ifts4c ifts6tem ifts4tr if4tum if4tur i2f3um i1fy i4ganb i4g3ano ig3anz i4g3arb ig3auf i4g3aus
+            igd2 igeb2 i6gebrau ig3e4ck ige4dre i4gefar ige4füg ige4hef i4g3eig ige5inf ige5inh i4g5eise i4gel. 3i4geln
+            ige4mes ige4mis igena4b ige4nag ige4n5e4b ige6nene igener6f ige6ners igener6z ige4nid ige4pac ige4ral ige4rar
+            ige4rau i4g5er4fa igerin6se iger6klä ige3sk i4g3ess ige4woh igg2 iggas5t igh3s 2igi i2g3im ig3ins ig5laen
+            i4g3lau i4g3län ig3lec i4gled i6gleitu i2gli ig3lim ig3lu ig2na i4gnae ign3a4g i4gnak i4gnan i2gnä ign3ei
+            i6gnerge i3g4neu ig3nu igo3p i4grams i4greg i4grei i4g3res i4g3rin ig3rom igs4ae igs4ag ig3sar igsau4 ig4scha
+            ig4set igs2i ig3s4or ig3s4pe ig3spr ig5stei igs4top ig4stö ig4s5tür ig2sy ig4tin igtu5er. i1h ih2a i4h3ans
+            i4h3auf ihe3e ihe3in4 ih3elt ihe2n ihenk4 ihens4 ihe3o ihe3s ihe3u i2h3in ih1l ih3m ih1n i2h3op ih1r ihrau4
+            ihs2 ih3sta ih3ste ih3sti ih3str i4h3um. ih3w i1ia i3i2c i1i2d i1ie i1i2g i1im i1in i1i2r i1i2s i3it. i3ja
+            1i2js i1k ik5abla ik5ablä i4kada i3kae i4k3aeh i4k3aer ika4gen ika3in i4k3akt ikalk4 ikal5t ik5alta i4k3ang
+            i4kanl i6kantei ikanten6n ik5anzu ik5anzü ika3pf ik3arm ika4tan ik3att i2k3au i2käh i2k3är ikbu2 4ike. i2keb
+            ik3ebe ike2c i2k3e2d i2kef ik3eim ikei4n3 ike2l 4ike2n iken3e i4k3en4z i2kep i6k5er6be. ike4ren i6k5er6fah
+            iker6folgs iker6hal iker6ken i6ker6leb i4k3ero i4keru ik5erze iker4zi ike4t i4k3eta ik3eth i4ketu i2k3e2v
+            i3ki. ik3imm ik3inh i4k3ins ik3lab ik3lad i4k3lag iklan4 ik3lem ik4leri i3kles i4klos ik3nar ik2o ik3obs
+            i4k3oef iko3nu ikop2 ik3o4ri ik3öf i2k3öl i4kres ik3rin ik2ro ikro3s i2krö ik3ru ik1s iks2p iks2t iks2z
+            ik4t3eb ikt5erk ikt5erz iktes4 ik4t5esk ik4t3o4b ik4t5res i4kueb i4kumf ik3unf i5kuns i2kup ik3urh i3kus iku2t
+            ik3ute i2küb i2ky i1la il3abb il3abl il3a4br i4l3abt i2l3ac i4l3aer ila3f i2l3ak il3a4ma il3ana i4lanb ilan5er
+            i4lanf i4lanh i4l3anm i4l3ano il3ans ilan6z5er i4l3arb il3art i4l3asp il5aufl ilauf6ru il5auft il5aufw il5aufz
+            il3aus i1lä1 i2l3är ilch5au ilch5ec ilch3o ilch3r il4dae ild5au. il2dä ild5ebe il4d3ed ild5ele il4d5ene
+            ilden4s il6dense il4d5en4t ild5erhal il4d5ese il4d5es4s il4did il4dil il4dop il4dor il4drü il5ebene il3e2c
+            i2led ile3gl i4l3eig il3ein il5eise il3ele i4l3emb i4l3e4mi il3emp i4l5entb i4l5ente i4l5entf i4l5entl
+            i4l5ents i4lentw iler6be. iler6ben i6l5erbli i4l5er4de iler4ei4 i6l5ereig i4l5er4fo i4l5er4fu i4l5er4fü
+            i6lergeb i4l5erhe i4l5erkl iler6las i4l5er4lo i4l5er4lö iler6öff iler6stat i6l5er6wae i4l5er4wä iler6weit
+            iles2 i4lety i4l3eur i4leva il3ex ilfe3i ilf2s3 ilf4sta ili3as i2l3i2d ilie4n3 ili4g5a4b il3imp i4l5init
+            i4l3inv ili3o il3ip. ili3pf il3ipp il3ips ilk2 ill4ant il4l5ein il5lem il3li ills4p 3illum il4mad ilm5a4ge
+            il4mak il4mam ilm5ans il4m3ap il4meh ilm5ein il4m5ent il4m5enz il4m5erk il4m5erl il4mex il4mik il4m3in il4mop
+            il4m3or il4mou ilms2 iln2 il3obe ilob4r il4oh i2l3o2r il3ox il4san ilsch4l il4s5ent il5stec il5stemp il5stern
+            il3sti ils4to ilsto4r i1lu2 i2lue i2lum i2l3ur ilv2 il4z3an il4z3ar il4zau ilz5erk ilzes4 il4z5ess il4zwa
+            im3abl im3abr im2ad2 ima4get ima3i ima3kl imaler4 iman3d i4manh i4manw im3apf i4marc im5a4ren i4m3arm i4m3art
+            ima3sz i3mat ima4t5in ima4tra ima4tur i4maut i2mäp im3b i2meg im5eins im5ein4w i2mej i2mek i4m3ele i4m3elf
+            i2m3e2p imer4la i4m3er4z i4me3sh imess4 i4meti i2mew i2m3ex imhau4 i2m3im i4m3inf i4m3ins im4mak im4mant
+            im4m3au im4mei imme4n im6m5enth imm5erkr im4m3id im4mop im4mor 5immuni i2m3o2p imo4re. 4impa im5paa imp4fa
+            imp4f5er4 imp4f3i impf5li impf5lu im4ple. im4p5ler imp2s im3pse 3impu ims2p im2th imt3s2 2imu imult4 im2um
+            im3urk i1mü 4ina. i3nabo ina4br in3abu ina2c in5ach. in3ack in3aeh in3ae4s in3aeu in4a3fr ina5ge inahe3 4inal
+            i3nald i3nale inalen4 inaler4 ina6lere ina6l5ins in3amb in3ana i4nang in3ann ina4no i4nanzü 4inap in3ape
+            in3app in4a4ra i3n4are in4arr in4ars in3as4b inat3h in3atm in5atom i4nau in3aue inauf3 i3naz i2n3äh in3ä2s
+            inbun4 4ind. in4da4b inda4c in4d3al in4d3an 4inde. indei4g ind5eis 4inden 4inder inderei6s inderer6t
+            in6der6sat inde5spa inde5sto 5index. 5indexe 3india 5indika 3indiv ind2o in4drec in5drue in5drü ind4spe ind4ue
+            3induk 3indus ind2ü 2ine. in5ebene ine3ch in5eck. in5e6cker ine3el i4n3eff in5e4hen i3neim i4n3elb ine5nae
+            ine3nä inen6gag inen6ge. inen3s4 ineo2 ine3p2 i5ner. i4n5erbi i6n5er6hal i4n5er4he i4n5erke iner6läu i6ner6leb
+            i4n5er4lo iner4lö i4n5ersa i4ner4tr i4n5erz. iner6ze. iner6zen iner6zes iner6zeu i4n5erzi inesi4e i4ne3s4k
+            ine5str 2in2et ine3u4f ine3un ine2x in3f2 3infek 3infiz 3info. 4infre in4g3af in4g3a4g in4gak in4g3am ing5ans
+            5ingeni in5g4ler in4g3n in4gop ing3or in4g5rat 4ings ing5sat ingsauto6 ing5s6por 3inhab 6in7haltu 4ini. 4i3nie
+            ini5erk i4n3inn ini3o2 ini3s4e ini3s4k ini3sl i5nitr i5nitz 3injur ink5aet 5inkarn in4k3ät inkels6t ink5erd
+            in5kom ink4sin ink4ste ink2u in4kut ink2ü 2inn. 4inne. inne4n inn5erfu inn5erho 5innerns inn5erwa in4n5erz
+            inne4s5t 2innl 2inns 3innta inoe4d ino3et in3old i3nomi in3opf in3ord i3n4ot ino5ta ino5te i1nö in3ö2d ins5aen
+            in6samt. in4s3än insch4 ins5ebe in4s5eke in4s5emb in4s5erf ins5erg ins5erm ins5ertr 3insid in3sky ins6port
+            instab4 ins5tak 5instal ins4tec in6steil in6st5einst 5instin ins4tip 5instit inst5rol 3insuf 3insul in4s5umw
+            in4sur 4insy int5an. int5ans 4inte. 3integ 5interp inter5z int2h inth3a intons4 4intö 5intrig int3s in1u
+            inue4b i4nuh i3nuk 3inumg in4umt in3unz 3inurs inü4b in5ver 3inves 4invo i1ny2 inz4el inzel5a4 inzel5e inze4li
+            inzel6ler inz5int in3z2u inzup4 inz2w io3a io1c i1od i2oda io2de iodi4e i2odu io3e2d ioe2f i3oe2k io3e2m
+            ioe2n3 io3er i3oes. i3oest ioe2t iof2l io1h ioi2 io3k4r iok3s i3ol. i3olp i3ols i3om. i3oms i1on2 ional5a
+            ion3an i3o4n3as i3o4n3au i2onc ion3d2 ionen3 io4nor ions3 ionsa4 i2ony io1o2 i3opf i3or. ior3ak i3oral i3orb
+            i3orc ior4e io5re4n3 ior6ens i3org io3r2h i3orm i3orp i3orr i3ors i3ort io1s i3os. io3sh i3osm ios2p i2ot
+            i3ot. iot4e iote3l io3t2o i3ots i3ox i3oz. i1ö2f i1ö2k i1öl i1ön i3ös. i3öst 2ip ipa2n3 ip3ein ipe2n ipendi5e
+            i2pes ip3fab i3pfan ip2hi i1pi ipi3el ipie4n3 ip2l ip4pan ip4pap ip2p3f ip2p3l ip4pru i1pr ip4sei ip2s3i ip2sp
+            ips3tu ip4s3tü ip4ter ipt5ers ip4tro i3p2ty i1ra i3r2ad irae5us ir2ak 3iraki iral3a iral5s4t iral6stue ir2an
+            i2rar irat2 i1rä ir3äh irä3us irbe4l5a irbel5i ir4ble ir1c ir4ch3a ir4ch3i ir4ch3o ir4en i2rew irgen4 irg2s3
+            irg6ste i1ri i4r3in4t ir2k3l ir4k3or irks3c irk2u ir4k3ur ir4m3ae ir4m3a4g ir4mak ir4m3au ir2m3ä irme2 ir4m3ed
+            ir4m3ei ir4m3er ir2m3o2 ir4mum ir4munt irmwa4 ir2na irn3al irn3an irn3au irn5erf irn5erk irn5ers ir2no i1ro
+            iroe4s3 i1rö irö2s3 irpla4 ir4rar irr3au irre4l irre4p 3irri irsch5ar irsch5au ir6schei ir4schl ir4schm
+            ir4schn ir4sch5r ir4sch5w ir3s2h ir4st3r ir3su ir4t3er4 irtra4 irt4s3e irt4st i1ru ir2ue irue3b iru2m iru2s
+            irus3e4 iru5sta i3r2ü irü3b isa2c i4s3aen isage4 is3air i2sak i4s3alg i3sam i4s3amp i4s3amt i4sanb i4sanf
+            i4s3ang i4sanh i4s3ann i4sanp i4sanr isa2r i4sare is4arg i4saro is5assi is3att i2s3au is4aue i2s3än i2sca
+            i2sce i4schab i4scham ischa4o i4schäh ische4c i4sch5e4h isch5einh isch5eint ische4m ische4n i4schep ische5re
+            i6scherkra i5scheru isches6s i4sch5eu i4sch5im i6schind i4schm i4schna isch5obs i4schos i6sch5rip isch5ru
+            i6schueb i4schum i4schüb i4sch5wo i4sch5wö isch5wun i4schwü is3chy i2sco i2scr 2ise ise3a i4s5eben ise3c
+            ise3e4r iseer5i is5einsa i4selem isel5er isel4l i6s5el6ter i4s3emb ise4ne ise5neb isen5en isen3f isenk4
+            ise6r5eic iserin6t is3erm i4s5ernt ise5r4ue5 ise5rum ise3r4ü3 i4s3ess ise5str i4s5e4tat is4eur is4exi isex5po
+            i2sid isi4de i2sim is3imp i4s3ind i4s3inf isin3g ising4l i4s3int isi3st is4kis 3islam 4isli ismu4t i2sob
+            is3oef i2s3of i2sol i4somo iso4nar isonen4 iso6n5end isonet4 iso4nor i2sop is5ort. 3i2sot 4i3sott i2sou isour4
+            i2s3ov i1sö i3spal is3pan i2spe i4s3pic i4s3pir is4ple i3s4por i3spra i4spro i3sprü is3pü iss3ac is4sau
+            iss5aus is4sed issen6sa issen6sp issen6s5tu issen6s5tü iss5er4f isseri6e iss5er6ke iss5erz issi4l is5s4kat
+            iss3l isslich6t iss4par iss4por is4stec is6steil iss4tu i4st. ist3a4c is3tal ist3ap i3stat is3täu i2ste
+            ist5einh ist5einl is5t4e4n isterin6t ister6ras iste4s ist4hal i3stil i3stim istin4f i3stoc i3stoe i4stöp
+            is3tör i5s4tram istri5en i5strik ist5rit istu5er. istum4 istungsex5po is3tüm isuch3 isu6cher6 isu2m isum3p
+            i3s4up i4s3urk is3url i4s3urt i2sü isvil4 i2sya isz4t3 i4ß3erl i4ß5erse ißlich6t it3ab. it3aef i4t3aes
+            itaet4s5 ita3h itai2 i4t3aka ita3kl i6t5akte. i6t5akten i4takts ital3a italent6 italer4 ita6l5erh ita6lers
+            ita6l5erw ita4l5in ita4lo ital3t it3a4mi itan5at it3ang it3a4po it3app i4t3arb it3a4re it3art it3asp i4t3att
+            i5tauc i4t3auf it5aus. i4taut itauto6r i2t3äf it3änd i2t3äs ität2 itäts3 2ite i4teben it5echs it3e4ck ite3er
+            it3eff it3eig i4teige it3ein i4t3eis itel5ae itel5an itel3ä it5elef itel5eh itel5ei i4t5elek i4telem i4t5e4lit
+            i4t3emb ite4mis ite2n iteng4 iten6gag itens4 i6ten6sem i4tentl i4t5ents i4tentw i6t5ereig ite4rel iterer4
+            iteres4 i6ter6fol itergene6 iterin6d iterin6s iterin6t iter6klae i6t5er6klä i6ter6led iter3o4 i5terr i4t3esk
+            ites4ka ite5sta ite4tik i4t3eva i3t4hag it3hem itho3s i3t4hr i2thu i2thy i2tia i3tic i2t3id 3i2tii itik3a4
+            iti4kan iti4kl iti4kr it3imm iti2n3 i4t3ina it3ind it3ini it3int itionsex5p i4tiso iti4v3a itiven4 it3o4be
+            i3to3c it3of it3opu itor3a it3orc i3tra. it3rab it5rade it5raeu it3raf it5rand it5rang it3ras it3rau it5räts
+            i4t3räu it3reb it3rec it5reic it5reif it3ren it3res it5rieg it3ris i4t3rob it3roc i4t3rol it3rom it3rö it3ruc
+            i4t3run i5trup i4t3rut its5alb its3an itsau5d itsch5ro it4s3e4h it4s5eif it4s5ein it4s5ela it4s5ele it4s3es
+            it4set it4staf it4stec its4tue it4stur it4t3ac it4tän it4t3eb itt5eige it4t3il it4tl it4t3o4b it4t3op itt5rad
+            itt5rän itt5rei it4tri itt5rol itt4s5e4h itt6s5ein itt4sti itt4str i3tud it3uh i4tunf i4t3unk i4tuns ituran4
+            itu4rer it3urg i4turp itut4 ity1 it2za it4z3e4c itzen5e itzer6fo it6z5ergr itz5er6ho itzer6hö it6z5erla it4zoe
+            it4z3op it2zö it2zw 2i1u2 i2u3l ium1 iuma2 ium4s5en iun2 i3ut i1ü 2iv i2v3ab i2v3ad i2v3ae i2v3af i2v3a2g
+            i2v3ak iva4lo iv3ang iva6tent ivater4 iva6t5erf iva6term iva6t5erw i2v1ä i2veb i2vec i2v3ef i2vek ive2l iv3ele
+            iv3elt i4vemi i4vemu ive4no i2vep iver4ha iver4he iver4lo iver4lö iver4oe i4v3er4ö ive3s i4vesc i4vese i4vesh
+            i4vest i4veti i2veu i2veü i2v3e2x3 i2v3im i4v3ind iv3ins i4v3int i2vl i3vol i2v3op ivo3re iv3ro i2vue i2vun
+            i2v3ur i2vü i3wo iwur2 i2x3a2 ix3ele i3xi ixt2 ixta2 ix2u i1y 2iz iza2b i4z3aen i2z3ag iz5anke iz3anz i2z3ap
+            iz3art iz2as i2zat i2z3au i2z3än izein4t izeit5s4 i3ze2n i4zentz izen6zer izen4zw i4z5erle i4z5er4sc i4z3er4z
+            izi3na iz3irr izo2b i2z3oe i2zo2f i2z3or i2zö i4z3una i2zwe i3zwec iz3wic i2zwo i2zwö iz3za í1 ï1 1j j2a ja1a
+            jaal2 jab2 ja1c jacht5s4 ja3ei ja3er ja1f jaf2l jag4da jah4r5ei jahr4s3 ja1i ja3l2a ja3le ja3ne jani3t4 ja1p
+            ja3ru ja3st 2jd je2a jean4s jee2p je2g jek4ta jek4tei jekten4 jek6tend jek4ter jek4t5in jektor4 jek6t5ort
+            jek4t3r jek4t3u je3na3e je2p jeri3 je2s3t je2t3a je2t3ä je2t3e je2t3h je4t3in je4tor je2t3r jet3s2 jet3t
+            je2t3u2 ji2v 2j1m joa1 jo2b1 joba2 job3e joch3a jo3che jo3chu jo3ck4 jo2d3a jo3el jo3gh jo2i jona3t jong4
+            jo2p3 jo3ra jor2z jo2sc jos3t josta3 jou2l 2jt jty1 j2u ju2b3l jude2 jugen4 jugend5 ju2k jun4g3a jungens6
+            jun6g5ente jun4gl jun4g3r jung5s4c jung5s4p jung5s4t ju3ni jun3t jus3t ju3te3 2jv 1ka ka4ans ka3ar 2k3abb
+            kab4bl 2kabd kabel5a kabel5i kabel5o 4k3a4ben 2kabf 2kabg 2kabh 2kabn 2kabs 2k3abt 2kabw 2kabz ka1c 2k3ace
+            4k3achs 2k3add k2ade kade3i kadein4 kade4n3 2k3adm ka2dr 2kadv ka3e2d k3ae4mi4 4k3aend ka3ent k3aepf 4k3aerg
+            k3aerz kae4s3c ka3esk 4k3affi ka3fl ka3fr kaft4 k2age 4kagen k3agg 2k3aho kaim2 kai3s4 kai5se ka3k2l 4k3akt.
+            4k3akti 4k3akts 4kala. kal3ac kal3a4d kal3an kala4s ka3lat ka4leb ka4l3eh kal5eis kale4n kalen6du kalen6se
+            kal5erei ka4l5erf ka4l5er5i kal5ins kal4kan kal4kle kal4klo kalk3r kal4kri kal4kru 4k3allt ka4l3on ka4lop
+            kalori6e ka4l3os 4kalp. k3altä kal4t5ex kal4th kal4tre kalts4 ka2lu ka4mat kamp6f5en kamp6f5er6f kamp6ferp
+            4k3amte ka4n3an ka4n3a4s ka4nau 4kanda kandal5a 4kandä 4kandin 4k3andr ka4nel ka4n5ent 4kanfä k4anfu k4anfü
+            kani5er. 4kanim kank2 4k3a4nom 4k3a4nor k2anp kan3s2 4k3ansä 4k3ansi 6k5antenn ka3num kanu3s4 ka2o1 ka4p3ho
+            k3appa kap3st 4k3arbe k4arbr 2karc k2ard kard4a 4k3area ka4r5ent k2arg k2arh ka3ri kari5es k2ark 2karm k3arm.
+            k3arme k3arms ka3rö k2arp kar4pf k2ars k3arsc k4arta k3arti 4kartig 4kartik k4arto kart3s4 k2aru kar3u4f
+            ka3rum ka3rü k2arw 3karz 4karzt ka4schm ka5s4e3i kasi5er. kas3s4a kassen5 k5assis kasso3 4k3ast. kas3ta kas3te
+            4k5aster kas5til kas6tras ka3sz ka4t3a4b kat5akt kat5ans k2ate ka4tea ka4tent ka4tep ka4t5erk kat2h ka3tha
+            k2ato ka4t3ri kat3t4 k4atz k2au. k4aue kau4eri kau4f3a kau4f5er k5auffa k5aufga 4k5aufla k5aufli kau4f3o
+            kauf6s5ag kauf6s5en kauf4sp kau4fu 3k4aum ka3umr k4aus. 4k3ausf 4k3ausg k3ausk 4k3auss kaussen6 4k3ausw kau3t2
+            4kauto kauto4r 1kä 3käf k1äh 2k3ä2mi2 2k3änd 2k3äpf 2k3ärg 2k3ärz kä2s3c 2kb2 k3ba k3be kbo2n kby2 2k1c k3ch2
+            kcre2 2kd2 kdar4m kdi2e keb2 ke4ben 2k1ec 2kedi ke4dit ke3er 2k3eff kefi2 kege4la kegel5e k3egg ke2gl ke4he.
+            ke4hen kehl3s4 2keho kehr3a keh6rert keh6r5er6z kehr4s5o kehr6s5po kehr6s5tur 2kehu 2k3eic 2k3eig kei4l3i
+            keils4 keil5ste kei4ma keim3p 2k3ein keinen4 4k3eise keit2 keits5c ke4l3ab ke4l3a4c kel3ae ke4laen ke4l3am
+            ke4l3an ke4l3as ke4l3at ke4l3au ke2lä kel3än keld2 ke4l5eim ke4l5ein kel5eis 4k3e4lek ke4l3en kelen5e ke4l3er
+            kelgene6 ke4l5inf kel5ins kel5int ke4lio ke2l3o2 ke2lö kel3öf kelsch4 kel3s4k kel3sl kel5s6tern k3emb 2k3e2mi
+            2k3emp ke2na kena4b kena4g ken3au ke2nä 4k3endg kend4r kend4s ken5dsc 4kendst ke4n3e4b ke4nel ken5end
+            ke4n5en5e ken5eng ke4n5ens ken5ent ke4n5enz ke4nep ken5erk ken5er4n ke4n5ero ken5erö ken5ers ke4n5est ken3e4t
+            ken3f2 keng2 4ken4gag k5en6gel. k5en6gels ke4nim ken3in kenk2 4kenlad 4kenläd ken3ne ke2no2 ken3om kensch4
+            4k5en4sem kens6tei kens6temp 4k5en4te. ken6ten. ken6tene ken6tenp 4k3entf 4k3entg ken3t4h 4k3entl 4k3ents
+            4kentw 4kentz ke1o2 ke3pf ke2pl k3e2po ker3ae ker3ak ker5all ker5alt ke4rap ker3as ke2r3ä k5erbit 4kerde
+            ke4r3e4b ker5eck ker3ef k5ereign ke4rein k5e4remi ke4r5end ker5ens ke4r5ent ke4r5erd ke4r5ers kere4z ker4fas
+            4kerfol ker6folg. ker6folgen 4k5erfül ker6gebn kergene6 4kergu ker6hoehu k5er6höhu ke6r5in6nu kerin6st
+            kerin6te kerk2 k5erlang ker6langu k5erlau ker6lebn ker5nab ker4nar kerner5 ker6nere ker6ners ker6n5eur
+            k5er4nie ker3o4b ke5rode 4k5erodi ker3oe k4eror 2k3erö kersau4 ker6schü kert2 ker4tue k3er4tü ke4ruh 4k3erz.
+            4k5erzes k5erzeugu 4kerzie ker6zieh ke4san ke4sel 2kesh ke3sha ke4spa kes4pe 4k3es4sa kess4p ke3sta ke2s3u
+            ke4t3a4b ke4t3an ke4t3au kete2 ke4t3eb ket3ei ke4t3el keten3 ke4t3er 2ke2th ke2to ke4t3re kets2 ket4tau
+            ket6t5erz ket4t3h ket4to 2keud 2keup 2k3e2va 2k1e2x1 2k1f2 kfen2 k3fi kfi4le kfin4s k3fu 2kg2 kgas5ta kgeb2
+            kgespen6 k3gl k3go 2k1h2 khau6sen k3he ki1a ki2ad ki2ag kia2k kia2r ki1c 2kicl ki3dr 2ki2dy kiefe4 kiel3a
+            kie4lei kie4l3i kie4l3o kierer6geb 4ki3ern kie4sei kie4so kie4s3p kiess4 kie4ze ki3f2l ki3f2r kik2 2kila
+            kilan4 2kilä 2kile 2kili 4k3illu 3kil4o3 ki3m4o 2k3imp ki3nad kin3al ki2nä 4k5index 4k3indi 4k3indo 4k3indu
+            2k3inf kin4g3a kin6g5ent kin4g3r 2kinh kini3k4 kini3s k3ink kino3 kinos4 4k3inse kin3sh 4k3insp 4k3inst 2k3int
+            ki1o 2kior kio2s kio2v kip4pr 3kirc kir6scha ki3s2h 2k3i2so 2ki3s2p kissens6 ki3sta ki3s4to kit6schl kit6sch5w
+            2kiv 2kiz 2kj k3jo 2k1k2 kkab2 kka3la kka3lö kking3 k3kn kko3ef kk4or kkue3b kku3s kkü3b kl2 2kl. 2k3la.
+            2k3laa 2k3lac kl4ae 4k3laed 4k3laeh k3laeu 2k3lal kla5me kl4an 4kland klan4ga klan6ger klan4g5r 4klat. klaue4
+            k3lauf 4k3laug 5klavie 2kläd 2k3läh kl4är 2k3lät 2k3läu 2k3le. kle5ar. kle5ari k2leb kle4ba kle4b3r 2kled
+            k2lee 4kleer k3leg 2k3leh 4k3leib k4leid klei4er kleinen6 4k3leit k3lek k2lem k3lem. kle2o kl4ep 4klero kles3t
+            k2let kle3us 2k3lex 4klich k2lid k4lien k2lif 2k3lig k2lim 4klin. k4li3na 4klind k4lino k2lip k2lir k4lisc
+            4klist 2k3liz k2lo. k2lob 2kloc 4kloec 4kloef k4loest k4loet 2klog 2kloh 2k3lok k2lom k2lop klor4 4klose.
+            4klosem 4klosen 4kloser 4kloses klos4s5t k4lost 4klot. 4klote 4klots 2klöc 2klöf 2klöh k4löst k2löt k1lu
+            3klu2b3 k2lud k2lue 4k3luec k2lug k2lum klungs5 klus5s4 2klux 2k3lüc 2kly 2k1m k3ma kma4li kmes4st kmi2t 1kn2
+            4k3nach 2k3nad k3naep 2knah 2k3nam k3napf kn4ar 2knav k3naz 2knäp kne4bl kne3e knen4a 2knes kne4ta kne4t3r
+            4knetz 2kneu 2kney k2ni kni2e 4k3nier knies4 4k3nis. 4kniss 2k3niv k2no kno4b3l 4knorm kno2s 2k3nov 2k3num 1ko
+            ko3ad kobal4 kobalt5 ko4beli kober4e 2k3obj kob3la kob4sk ko3che koch3i ko3edu k5oeffn ko3eli ko3erh ko3erk
+            ko3erm k3oert ko3ev ko4fen koff6e5i 4k3offi koh3lu ko3hö 2k3ohr ko1i koka3s4 kol4a ko5lau kol3c kol2k3
+            kol4l5e4b kol4lei kol6lerw ko3lo 2k3o2ly ko4m3er 2komn ko4mp ko4mun ko4nau kone2 ko4nel ko4nem ko4nod kons4
+            kon5su kon4tae kon4tä kon4t3h ko2nu koo2 ko3on 2kop. ko4pal ko4p3an 2kopä ko4pf kopf3a4 kop4f5en kopf5erk
+            kop6f5err kopf3l 2kopg ko4p3he kopi4e 2kopk ko4pli 2kopm 3kopp ko4p3re 2kop3s2 ko3pte4 2kopv 2kopz ko3r2a
+            kor4an kor4bar kor4b5er kor4bla kor4b3r 2k3orc kor4dar kor6d5erfo kor6der6g kor6d5erw kor4dr ko4r3el 2k3org
+            kor4k3a kor4ker kor4k3r kormo3 kor4nac kor4n5ae kor4n3ä kor4n5e4b kor4n3o4 ko4rob 4korpi k3ortu ko3r4u k2os.
+            ko4scr kos4pr ko2st ko5stei kos6t5er6z kot4a ko4t5ent kot5erb ko3t4i koti4n3 kot3s2 kot4tak kot4tan kot4th
+            3kow 2k1ox 1kö kö4res 2k3ört 2k1p2 k3pa kpi2t3 k3pl 2kq k3qu 1kr2 2k3rad kra4da kra4dei 4k3raed k5raeum 2k3rah
+            k5raket kr4am kr4an 4k3rand krang4 5krankh kran5s k3rats kr4au k3raub 4k3rauc 4k3raum 2kräd k3räte k3räub
+            4k3räum 2k3re. 4kreak 4k3real k4reat k2reb kreb4sc kreb4s5o 2k3rec 4kred. 4krede 5kredi 4kredn 4kredu 2kref
+            2k3reg 4kreib 4kreic kre3i4e4 kreier4 4k3reif 4k3reih 4k3reim 4krein krei6s5ei krei6s5in kreis5t k2rem krem4l3
+            k2reo 4krese 4krest 4kresu k2reu 2k1rh 2k3ric 4k3rieb 5kriec 4k3ries k3rind 4k5rings 4k3risi kro3a4d krob4
+            krobe4w 5kroch kro3e4b 4k3roeh kro3el 4k3rohs 2k3röh 2k3ruc krue3b 2kruf kru4fer krum4ma 4k3rump 2k3run krü3b
+            2k3rüs k2ry 2ks ksa2b ksab3a k4s3aeh ks3aem k3saen ksa2f k2sa2k k4s3amt k2san ks3ang ks5anka ks5ankä k5sanke
+            ks3ant k2sap ksa2r k2s3a2s ksau4e k4s3au4f3 ksau4g ksau4re k4saut k2s3a2v k2säh ks2än k2sce ks2ch2 ksche4f
+            k2s3cr k2s3e2b k2s3e2c k3s2ed ks3eie ks4eif k4s5eind k4s5einf k4s3e4le ks3elf ks4end k4s3eng ks4enk ks5ense
+            k4s3en4t k4s3erf k4s3erg k4s3erh k4s3erk k4s3erl k4s3erp k4s3err k4s3ers k4s3ert k4s3erw k4s3erz kse2t ks3eta
+            k2s3e2v k2sex4 kshi2 k2s3i2d ksi2n k5sinf ks3ing ks3int k2s3is kso2b ks3oe ks3ofe k3son k2s3op kso2r ks3org
+            ks3ori k4s5ort. k3spaz k3s4pec k3spek k3s4pel ks4pes k4sprä k3spri k4spro k3spru k3s4pul ks3s2 k4st. k3stab
+            k3stac k3stad k4stag k5stall ks5tanz k3s4tar kstat4 ks5tat. kstatt5 k3stau k3stec k3stei k4steil k3stel
+            k3s4tep k5stere ks4tern k3steu k3s4tew k3stic k5s4tieg ks4tiel k5s4ties k3stil k3sto k4stod ks4toe ks4tol
+            k4ston ks4top k4stot ks2t2r k6straen k4strän k4s5tres ks5troc kstro4m5 k4strop k3s4tub k5s4tuec k5stuer
+            k4s3tüt k4s3um. ks3umb k4sumf k4s3ums k2s3un k2s3ur 2kt kt3abr k2t3ad kt3akr k4t3alg kt3al4l ktal3s4 kta2m
+            k4t3amo kta2n kt3ana k4t3ang kt3ano kt3ans kt3a4re kt3arm kt3ars kt3art kt3arw k5tasc kt3asp kt3atl k4t3auf
+            kt5aust ktauto4 k3te. kt3eff kt3ein k4t3e4la k4telem k3te2n kten3e ktens4 k4t5entf k4tentl k4t5ents k4tentw
+            kten3z kt3e4pi kte5r4an kter5ei k4t3erh kte4rik kter5oe k4t3erö k4t3e4ti ktgan4 ktge3n4 kt1h k4thel k2thi
+            k2tho k2thy k2t3i2d kti4me k4t3ind kt3ini k4t3ink kt5insa kt5inse kti4s3e k4t3iso kt5i4ter ktiven6d k4t3oef
+            kt3of kto4n3a ktop3a kto4rei k4torga ktorgene6 kt3ott k4t3ram k4t3ras k4t3rau kt3räu kt3rec kt5reic kt2ro
+            ktro3e ktro3s kt3rue k4t3run k2t3rü kt1s2 kt3s4a kt5sae kt3sä kt3se ktsen3 kt4s5ene kt2sk kts5org kttei4
+            k4tunf k4t5ungl k4tuns k2tup ktu4ran ktu4ras ktu4rei ktu4rer ktur3z ktz2 1ku ku4al ku3an ku1c kuck2 kue5bel
+            ku3en. kuen4s kuer4s ku3fa kuf3s kuge4l5a kugel5e ku2gl ku2h1 kuhle4 2k3uhr ku3in kul2a kulan4z ku3li 2k3ulm
+            2kulp kul4t3o kul4t3r k3umba 2k3umd ku3m4e 2kumg k2umk 2kuml kum4san k3umsc kum4sei kum4si kum4sp k3umw 2kumz
+            kun5d4a kunde5i kundein6 k3une k5ungeb k3unk 2kunm kun4s4 kunst3 2kunt 2kunw 2k3up. ku3pfl kup3s2 2kupu
+            kur5ans kur4bl kur5ein 2k3url ku2r3o kurr2 kurs5an kur4sau kur4s5ei kur4ser kur4sin kur6s5or6te kur4s3p
+            kur4ste kur4str kur5tsc kur4zel kurzer6k ku4sak kusa4r ku4schl ku4s3el ku4s3er3 kus3ev ku2sp kus3pi kuss4t
+            ku2su 2kut. kut4a kut3ei kut6schw 1kü kü3bel 2kübl kü1c kü2li kür2s 2kv k3ve 2kw k1ya ky3la 2kz2 kze5le kz4en
+            kzeu4g5i k3zu kzue4r3 1la. 1laa la3ar la3at la3ba la4bad 3labä 2labb lab4bri 2labd 4l3aben la4ber4z 2labf
+            2labg 2labh l3a4b3i4t 2la2bl 2labn l3a4bo. l3abon l4abor 2l3abp la3b4ra lab4res 4labruf 2labs 3labs. 4labtei
+            la4bus 2labw 2labz la3ceb la3cel lacher4 la6ch5erf lachste6 lachter6f lach6terp lach4t5o la5chun 3lack. lacks4
+            l3ada 2ladd 3ladem la4des. 4ladj 2l3adl l3adop 2l3a2dr 3ladu 2ladv la2e l4aed 2laef 3laehm 4l3aehn 3laemp
+            l3aemt 4l3aepf 2laeq l3aerz lae4sc 3laeuf 4l3aeug lae3um 2l3aex la4f3ae la2f3ä la4f3ei la4f3er 2laff l4afi
+            laf3ra laf3s2 2laf3t4 la2g3a2 lag5eis lagen5d lag6ers 2lagg la4gil la4gin 4l3a4gio la2g3l la2g3n lago2 la4gob
+            la4gop lag5s6eid lag5stan lag5stei lag5sto 1lah 1lai 1laj 4l3a4kad la4k3ar l4ake la4kes la4kin 3l4akka l4ako
+            la4kro l3akt. l3akte l3akts 2l1al 3lala. lal3ab 3l2ali lam2a 3l4amä 2lamb la4mei lam4en lament4 la4mer lam4m3a
+            3lammf 2l3amn 2lamo la4mor l4ampe 4l3ampl l3ampu lam3s 2l3amt lamt4s 3lamu la4mun la4nae 4l3anal 4l3a4na3t
+            la4nau 2la2nä 3land landa4d lan4dam lan4dan lan4d5au landei6g lan6d5en6t lan6d5erh lan6d5ers lan6d5erw
+            lan6d5erz lan6ding lan6d5inn lan4dob lan4dra lan4d5ru lan4d5rü 4l3anek lanel4 l3anem lan5ente lan5erd
+            la4n5er4f la6n5erst 4langa lan4gae lan4gan lan4gar lan4gat lan4gä 4langeb lan4gei 6l5angel. 6l5angeln lan6gerl
+            lan6g5ers lan4g3i 4langri langs4 lang5sa lang5sc lang5se lang5si lang5sp lang5ste 4lanhä 4lanim 4lanke lan4k3l
+            2lanl 2lann 4la4nod la4nof la4nor l4anpu l4anro 2lans 3lanse 3lansw l4ant. lan4tan l5antig 4lantw lan3um 2lanw
+            l4anwar l4anwer 3lanx lan4zel lan6z5erf lan6zerg lan6z5erh lan4zin lan4zw 2l3apf la2ph 2l3a2po 4lappa lap4pl
+            l4ar. la4r3ab la4r3ac la4r3a4g la4r3an la4rau 4larbei 4l3area lar3e4b la4r3ei la4r3el lar3g lar5ini lar5ins
+            l3arkt 4larm. 4larmat lar4mau lar4mei l5armem l5armer 4larms 4l3a4rom 3larp lar6schl lar4ter l3arti lar3tu
+            3l4aru 3l4arv lar5za 4larzn lar3zw la4s3aa la4sae la4sam la4san la4sas la2sä lasche4 la4s3ei la5ser la6s5er6ke
+            2lasi la4sin la4sis la4sor lass5er6kl 5lassern 5lassers las5sto lass4tr 3lassu la2st last5ae last5an last5ar
+            last3ä last5ein 4lastiz las3to la4stu 3lastw 3lastz l4at. l4ata lat5ang la4tar 3l4atä la3t4e 3late. l3a4tel
+            late4n 3later late5ra 3latè 2lath la4ther la3t4i 2latl l3atla l3atmo la4toe la4tol 4l3atom la2tö la4t3ra4
+            la4tro lat6schn lat6schw 4latta lat4tak lat4t5an lat4teb lat6t5end lat4tex lat4t5in 4lattr lat4t5ro lat4zei
+            lat4zer4 3laub. lauben6s5 lau4bla lau4bra lau4bre 3laubs laub4se lauch5a l4auer lau4f3a lau4fel lau4fer
+            lau5fer. lauf5ere lau4fin lau4fo lauf5s4t laug4l l4aui 2lauk 3l4aun 4laun. l4aur l4aus. lau6scha lau6schl
+            4lausd 4l3ausf 4l3ausg 4lausr 4l3auss laust4 4lausw 4l3ausz lau4tae 4lauto lauto6ri lave2 laven3 1law lawa2
+            2lawe 1lax la4xel lay3s lä1c 1läd 2läf 2lägy 3lähm 2l3ähn 3lämp 2l3ämt lände5s 2l3äpf 2läq 2lära lär4mar
+            lär4mat lär4mei lär4m5em lär4mun lär4st 2l3ärz lä2sc 4läser 3läuf 2läug 2läx 1là 2lb l4babw lb3alp lb3ana
+            lb3ang l4b3ant lb3arb lb3a4ri lb3ärm lbb2 lbby2 lbei6ge. l4b5eise l4b3elf lbengene6 lber4ei lbe4rem lbe4ren
+            lbe4ris lbes2 lbe4tag lbe4tap l2b3i2d lb3lag lb3las l4bled lb4len lb2lö lb3oef lb3oel l2bof l4b3ora l2b3ov
+            l2böl l4brea lb5ries lb4s3au lbs4t lbsta4 lb4stab lb4st5ac lb6staende lb4stam lb4stan lb4stau lb6stände
+            lbst5er lb4str lb2u lbuch5s lbu2n l4b3une lby2t 2lc l1ce l4ch. lch3al4 lch5arm lch3ei lche4n l5chen. lch5erh
+            lch5ern lch5ersa lch5ert lch5erz lch3eu l3chi lch3la lch3lä lch3li lch3n lch3ob lch3re lch3sh lch3sn lch3s4t
+            l2ch3u lch3w l1ci l2ck l1cl l1cr 2ld l2da2b3 l2da2d ld3aef ld3aer ld3aes ld3aet l2daf l2da2g l2d3ah l2d3ak
+            l2d3al ld3ams l2d3a2n ld3arb ld3arr ld3art l4d3ass ldas4t ld3asy ld3ato ld3att ldau5sta l3däm ld3är ld3äs
+            ld3ät ld1c lde4ben ld5eck. ldefen4 l2d3e4i ld5elef l4d3elf ld5e4lit l4d3emb ld5e4mis l4d3emp l4d3ems lde4ni
+            l4dentl l4d5ents l4d3enz lde5rae l6d5er6fah lder6gebn l6d5erlas lder3r lde4sel lde5skr ldes4sa lde5sta
+            lde5stel lde5str ld3eur l2d3ex ldhof5s ldi2a ldi3ae l4d3ide ldi2e ldien4 ld3ill ld3i4mi ld3inf l4d3ink l4d3ins
+            l4d3ion ld3iso ldo4br l2d3oh l4donk ldo2p l4d3ope l4dopt ldo2r l4d3ori ld4os ldos3t ld3rab ld5raen l4draeu
+            ld3rag ld3ral ld3ras ld3rat ld3rau l4d3rän l4drec ld3rie ld3rob ld3rod ld3roe l4d3rol ld3rom l2drö ld3run
+            ld3rüc lds5amt lds4kl ld3sko lds2p ld5stel lds4to ld3tu ldu2 l4dueb ld3ufe ldu3i l2d3ul l2d3um l2düb ldwa3r
+            1le le2ad le4an. le4anm le2as le3atl leauto4 le2av leben4s lebens5e le5ber 2lec lech5au le4ch5ec le6chens
+            le4chi lech5oe lech5o4f leck5se 3leco ledi4e le4dit le2dr 3leer lee4ret le3f4a 2l3eff lef2l lef4o le4gabt
+            le4g3ae le4gang le4g3ar leg5ast le4gau le2gä lege3s le4gesl 4l5egge. 4l5eggen legi5en le2gl le2g3n leg2r legs2
+            leg5sta leg5ste leg5str 4lehe. 3lehm leh6mest 3lehn 3lehr lehr3a leh4rei lehr3o4 le4id lei3dr lei5eri 2leif
+            lei4fan lei4fei leifen6s lei6fer6g 4l5eigen 3leih lei4hau leil4 le4im lei4mau 4leimb 4leimh leim3p le5impo
+            l4ein. 4leindr lei5nec lei6nerb lei6nerk lein5erz 6l5einfal 4leinn 4leinsa 4leinto 4leintö 4leinwe 2leir
+            lei6sch5a lei6schei lei6sch5l lei6schn lei6scho lei6schw 6leisens lei6s5ern 4leisf 4leiss leis6s5er6 lei5stro
+            4leisz 2leiß lei4ß5er4 lei4tae lei4t5a4g lei4t5ak lei4tal lei4tei leit5er6kr lei4t3o leit5sk leit5s4p leits4t
+            2leiw 2l3ek3s 4lektr 2lekz 3lela le4l3ab le4l3ac le4l3au le4lef lel5ein 4l3e4lek 4leleme leler4 lel5erd
+            lel5erk lel5ers lel5erz le4lev lel3ex 4l3elf. 4l3elfe le4lim le4l3in le4lor lem2a lem5anz le4mau lem5ein
+            lem4en lem5erf lem5erk 3lemes 3lemet le4m3id le5mil 4lemmt le4m3o4r l3e4mot 2lemp lemt2 le2mu l3emul l4en.
+            lena4b lena4d le4nan le4n3a4t le2nä lende4s 4lendl 4len4dog l3endp 4lendun le4n3e4b len3ec le4n3ed le4nel
+            lenen5erg le4n5eng 4l5energ le4n5erk len5erl len5ero len5ersc len5ert le4nerw le4net le4n5eur 4leneuv len3f2
+            4l3eng. 4len4gag 4l5enge. len6gem. len6ges. 4lengp leng4r len6k5lag len6k5lei len6klin len4kob 4lenniu le4n3on
+            le4n3or le4n5ott len6s5ein 4lensem lens4po 6l5enteig l5entfe 4lentla 4lentlu 4lentlü 4l3entn 6l5en6trop
+            4l5entrü 4lent4wa 4lent4wä 4lentwi 4lentz lent6zug 5lentzuw le4nz len5z6er len4zin len4zun len3zw lenz6wei
+            lenz4wo 4l3enzy le3o2f le3o2s le4pen 3le3p2f 2l3e2pi 4l3epoc l4era le3ra. ler5abi ler5aeu ler3a4g ler3al
+            ler3a4s lerauto6r ler3az le2r3ä 4l5erbe. 4l5erben ler6blin 4l3erbs 4l3erbt le4r3e4b lere3c ler3ef ler5eigen.
+            6l5ereign le4r5ei4m ler5eis. le4r3el le4remi le4r5eng le4r5ens le4r5en4t ler5er5e le4rerf le4r5erg le4r5ers
+            le5res le4r3e4t 7lergenau 7lergeni l3ergi 4l5ergol 4l5er4heb l4eri le4r3i4d leri4e lerin4d lerin4g lerin4s
+            lerk2 4l5erlas 6l5erlaub 6lerlebn 4l5er4leu ler4mäs ler4mäß ler4nal ler4nar ler4nau lerner4 ler3o4b ler3of
+            le3ros 4l3erot 4l5eröff ler6regu 4l5er4ric ler6rung ler4set lers4k ler6s5tur ler3sw ler3t 6l5ertrag leru2
+            le4rup 4lerus le4r3ut l4erwec 6l5erweit 4l3erz. 4l5erzeu 4l3erzg 4l3er4zo le4s3al lese5in4 lese5ras lese5s4k
+            les5ess l4e3s4h lesi3e le3s4ki le3sko les4kop 4lessi lester6i 4l3estl lestra4 le3stu 2lesw 2lesy 4l3e4tap
+            4l3e4tat 4lethi 4lethn lets2 letsche6 let4tau let4tel let4top lett3r lett3s4 2leue le3u2f leu4ka 2l3eul le3umb
+            le3u4m3i le3umo le3ums 3leunt le3url 4l3euro 3leut 4l3e4val 4leve. l3e4vol 2lex 3lexik le4xis lext2 2l1f
+            lfa5chu lf3aka lfang3 lfan4gr lf2at lf3aus l2fec lfe3e lfein4f lf5einh l4feis l4f5erei lfe4rel lferin6d
+            lfe5sta lfe5str l2f3im l2fj l3f2jo lf2la lf3län lf2lö lfpi2 lf2r lf3ram lf3run lf2sa lfs3au lf2sä lf4spe
+            lf4s3ti lf2su 2lg l3ga lgär4s lge3in4 lgene6ri lge6ners lgens4 lge4rab lge3u lgge3 l3g2h lgi3en lgin4s l4g3lam
+            l3g2le lg2lö l3go lg4san lg4sau lg2se 2l1h lhauser6 lhe3x 3lhi. lhu3s2 1li li3abe li3ac li3ak li3an4g li3ato
+            liär2 3lib2 libi3e li3ce 4lichet lich3r lich4ta lich4to lichts4 licht5sp 2lick l2id lid4a li4dea 4l3idee
+            lider4 li4d5ers lidi4e l3i4dio li3dri 3lie. lie4ba liebe4s5 lie4br li3e4f3a 5liefer li3e4fi li3efk li3efl
+            li3efm li3efp lie4fr li3em lie4na4 liene4b liene4v lie4no lie4r5ei li5erstu lie4s3c lie4s5t li3f2l li3f2r
+            3lift lif4tu lig5ang liga3s li4gatt 4l3i4gel lige4n li4g5er4s li4gin li2g3l lign4 lig4ne li4g5rad li4gre
+            li4gro ligs4c ligs4p lig5str li3ker lik3l lik4li lik4spr lik4tau lik4ter lik4th lik4t3i likto4 lik4t5or lik2u2
+            li3la li3li 2l3ill li3m4a lima3c lima3e lima3s 2limm limma4 3limo 2limp lin5all lin3a4m lin3an lin4d5ei
+            lin4del 4lindex 4l3indi 4l3indu li4nef li4neh li4nep line3s lin4gl 2l3inh 3l4inhe 4linik lin5iti 2linj lin4kar
+            lin4k5au link3l lin4kla 4l5inner li4n3ol lins2 4l5insel 4linspe 4l3insz 2lint 3lintu 3lintü li3n4um li2o li3oe
+            li3ons li4onse lio3r lip3he 3lipt4 li4rak li4ran 2lirr lir4t3r 3lis. li3s2a li4sau li4schl li5schm li4schn
+            li4sch5r li4schu lis2h li3shi 2l3isl 4l3isol 4lisot liss2 lis3sa li2st lis4tra l2it lit2a li4t3a4d li4t3ak
+            li4tal lit5all li3t4e lite3i litein4 lite5rar lit2h 3lito li4tri li4tro lit3s2 li2tu li3tus lit4za lit4zi
+            lit4zu li4vea live4n 2livg livi3e 2lixi li4z3ae li4z3an li2z3ä lizei5t li2zo 2lj 2l1k lk2a l4k3abl l4k3aeh
+            l4k3alg l4k3alp lka4n5er lka4n5in lk3arm l2käh l4k3eif lkens4 lke3re l3kla l4k3lad l3kle lklore5 l2knu lko2f
+            lk3ofe lkraf4 l4k3rob lk3roc lks1 lk2sa lk3sän lk2se lk3s4ke lk2su lkue3b lk2ü lkü3b 2l1l ll3abb lla4ben
+            l4labk ll3abl l4l5abri l4l3abt ll3aff ll3aft lla3ga l6l5a6gent lla3gl l4l3a4ma ll3amb ll3amo ll4anb lla6nent
+            lla4ner ll3ann lla4no l5lans. ll5ansä ll5anzü l4l5appl l4larc lla3rö ll3atl l4l3atm ll5attr l4l5auff l4l5aufg
+            l6l5aufko ll5aufl ll5aufr ll5aufsi ll5aufst ll3auk llau4m ll3aus l4lausk lla2x ll3axt llb2 ll3c ll3d2 lld4e
+            ll5ebene ll3ech lle3er lle6gest ll3eif l4l3eig ll5einsa l4l5eise lle4la lle4lei lle4ler l4l3e4mi ll3emp lle4na
+            ll5endl ll5en6dun lle6nens lleng4 llen6ge. lle4n5in llenk4 llen6sem l4l5entf l4l5entg l4l5entk l4l5ents
+            l4lentw llen4zy lle4r3a ller5eis l6l5er6fas ller6geb l6l5ergen l4lergi llerin6f llerin6t ller6kla ller6klä
+            ller6kun ller6laub ller6müd l4l5ernt l4l5eroe l4l3er4ö ll6ers. lle4ses lle4spo lle4th llet5he llet6terf
+            ll3ex3e ll3ext llf2 llg2 ll3ide ll3ido lli4gan lli4go l4l3imb ll3imp l4l3inf llings5 ll3inj l4l3inl l4l5inst
+            ll3int lli5on. llk2 lll4a ll3m2 lln2 llnes4 l4l3obe ll3obs lloe6sen llo4ner l4l3ope ll3opf l4l3orb l4l3ord
+            l4l3o4ri ll3ort l4l3osz l2l3ou ll3ox llö4sen llrue4c llrü4c lls5amte llsau4e ll4s5en5e ll4s3es llsgene6ra
+            lls5int ll3sla ll3sli ll5s6temp ll3sti ll4stor ll5szen llti4m ll3umm ll3urg ll3urn ll3urs llus3e llus5t4r
+            l2lüb llz2 2l1m l2m3a2b l4mada l4m3aep lm5aerz lm5aest lm3aka lm3alm lma2m lm3ama l4m3apf lm3arr l4m3art
+            lm5attr lm5auss lm5ausw l2mäp lm3ärz lm3äst lm1c lmd2 l2m3e2b lmeeres6 l2m3ef lme2h lm3ehe lm5eins l4m3emu
+            l4m5ends lme4no l6mensem lmen4zy l2m3e2p lmer2 l4m3er4b l6m5ereig l4m3erf l4m3er4r l4m3erz l4messa l2m3i2d
+            lm3iko lm3inh lm3ins lm3int l2m3of lmo2p lm3ope lm3orc lm1p2 lm3s2k lm3s2n lms2t lms5tur lms2z lmt2 l2m3uf
+            l4m3ums l4munt l2m3ur 2ln l1na ln2ab lna2r l4nare lnd2 ln2e l3nei l2n3in l1nö l1nu lnus2 l1nü l1ny 1lo 3lob.
+            lo3ba 4l3o4ber lobe4s 2lobj lo2bl 2l3obm lo3che lo4chel loch3o lochs4 lod2g lodi4e loe2b 2loed loe3du loe2f
+            l3oefe l3oehr 2loek l3oel 2loep lo3er. loe4t3a 2loé l1of 2lofe lo4fen 2loff lo3fj lof2l loga2 lo4gar lo4gei
+            lo4g3el lo4g5ers lo2g3l lo4gor lo4gre logs2 log3sp loh4e lo5her loh4ner lohn5erh lohn5erw 2l3ohr loh4rer loi2r
+            2l3okk lo2k3r 2l3okt 4l3oliv 2l3o2ly lo4mel lom5ing 2lomn lo4n3al lo4nau lon3er lon4gu lon4sae lons4p 4l3onto
+            lo3ob lo2op lo4pal lo4per lo3pi lop4p3a lop4pr 2lopt lo4r3am lo5rand lo2rä lor3do lo3re lorein4 lo5r4en
+            2l3or3g2 lori4di lori6en. lori6eng lori6enm 2lort2 l4orti lo2s3a lo4ske 2loss los4su lo5stei loste4r5 4l3osth
+            lo3sti lo4stö los3tr lo3s4tu l3oszi 2loß lot5ein lo4thr 3loti loti4o lotte4n lot4tr 2lotz lour4s 2l3ouv l1ov
+            2lo2ve l2ovi 2lox 1lö lö2b 3löch 2löck 2löd lö2f 2l3öfe l3öffn 2l3öhr 2lök 2l1öl 2löp 2löss l3östl 3lösu 2löß
+            lö2th 2löz 2l1p lp2a lpeng4 lpete4 lp2f lpf4e l5phas l4p3hir l4p3hoe l4p3hor l2p3hö l2p3hu lpi2e lpi2p l4ple.
+            l3p2n lp3sta lp3sti lptu5r4 l3pu 2lq 2l1r2 l3ra l3re lre3st lroe4s3 lro2h lrö2s3 l3ru lrue3b lruecker6 l3rü
+            lrü3b lrücker6 2ls lsa4b3a l2s3a2d l4s5aeus l4saka ls3alg ls3alt l4s3amp l4s3ana l4sanb l4s3ane l4sanf ls3ang
+            l5sani l4s3ank l4sanm ls3ann l4sanr l4sant l4s3anz ls4apa l4sa4ri ls4ark ls5assi l4s3au. l4s3auf lsau6ger
+            lsau4m lsau6rer l4s3aus l4saut ls4äug l4s3äus lsby2 ls2ca l6sch5eid lsch5eint lsch4le lsch4lo l4schmü l6schore
+            lschs4 l4sch5wo l4sch5wö l2sco l2s3e2b l4s3eie l4s5eind ls5einf l4s5eint l4s3e4li l4s3emb l4s5en4ge l4s5enzy
+            l4s3epi l4s3er3e l4s3erf l4s3erg l4s3erh l4s3erk l4s3erl l4s3ern ls3err l4s3ers lse3r4u l4s3erw l4s3erz lse2t
+            l4s3eta l4s3eth lsex4t4 l2s3id l4s3imp l4s3ind l5skand l5s4kele ls2ky l3s4law l3s4nac l4s3oef l4s3off l2s3op
+            l4s5ort. l4s5orts l1sö l2söf l3s2öl l1sp lspani5 ls4pare ls4park l4sparl l4späs ls2pe l4spiz l4spoe ls4pon
+            ls4por l2spö ls5prae l4s3prä ls4pul l4spun ls3s2 l3st2a lstab4 ls5tabl l6s5taeti l4stag lstahl5 l4s3tak
+            l4stalb l4s5tanz l4stas l4s5tat. l4s5tate ls5tauc l4s5täti l3stea l5steck l3steg l3stei l4steil l3stel l6ster.
+            l5s6ternb l5s6terns ls3tes l3steu l3stic ls4tie l3stil l3stim l3s4tip l3sto l4stoch ls4toe ls4toi ls4tol
+            ls4topf l3s2tr l4s5trac ls5trad ls5trit lstro6ma l3s2tu l4sumf l4sumk l4suml l4s3ums ls3umv ls3unk 2lt lt3abr
+            lt5ach. l3t4a3d lt3aeh l4t5aerz lta3f2 ltag2 lt3agr lt3aka lt3all lt3alt l4t3alu ltampe4 lt4anda ltaner4
+            lta6nerf ltan6gab ltan6ges ltan4sa ltan4sä lt3a4po lt3app l6tarbei ltar6beitn ltare4a lta5rhe l4t5arma
+            ltar6me. ltar6men. ltar6meni lt5art. l5tarta l5tartei ltar6tik l5tartis l5tartr l5tartu lt3asp lt3atl l4t3ato
+            lt5aufb lt5aufk lt5auge l4taut lt3äh l4t3ärz ltbau5c lt3e4ck lte3e l3tehu lt5eink lte5iso l4telem ltem4pu
+            l4temul ltende6s lten6gag lten6gel lten6spo l4tentl lten6t5ri l4t5ents l4tentw lte4rat lter6be. lter6bel
+            l5terg lter6kun lter6loe lt5er4lö lt5er4nä lter5oe l4t3esk lte5sta lte5stra lte5stre lte5stro lt5etho lte4tik
+            lt3eur l3thas lt3heb lt5heri l2t3hi l2t3ho lt2hu lt3hun l2t3hy lt3ide lti6g5er6k l4t3ind lt3inf l4t3ins
+            lt3i4ra lt3i4ri l4t3iso l5tist lti5va l4t3o4be l4t3obo lt3oef lt3oel lt3oes lt3o2f l3top l4topt l4tord l4t3org
+            l4t3o4ri lto2w l2töl lt3ös ltra3l lt5räuc lt3reb lt3rec lt5reic lt5reif l4trig l4t3ris l4t3roh lt3ruc lt3rum
+            ltse4l lt4s5ele lt5skal lt4s5ort lt3s4ph lt4staf lt4stie lts4tre lt4s5tüt lt5szen lt3t ltu4el ltu3en lt3uh
+            l2tum lt3ums ltu4rab ltu4r5an4 ltu4ras ltu4rei ltu6r5ent ltu4r5er ltu4r3i ltwa3r ltz2a 1lu. lu3an 2lub1 lu2ba2
+            lu2bo lub3s2 luch4s5a luchs5t luch4t5o luch4t5r lucht6s5o lu4cku lu4de. lu2dr 2lueb 3luebd luecke4 luecker5
+            2lueh lu3ent lu3enz lue6scha lue6schw 1luf 2l3u2fe 2luff lu3f2r luf2t luf4t3a4 luft3e luft3r lu4g3af lu4gas
+            lu5ge. lu4g3e4b lu4gei lugen5e lug5erl lug5erp lu2g3i2 lu2g3l lu2go lu2g3r lug5spo lug5sta lug5ste lug5str
+            lu2gu 2l1uh l2u3hu lu3id. lu3is. luka2 3luke l3ult lumbi5e 2l3umd lume2 lumen3 2lumf 2lumg 2l3umh l3umj 2lumk
+            2luml 2lumm lum4p3h 2lumr l3ums 2l3umw 2lumz 1lun 2l3una lu3nap 2l3unb lund3r 2l3unf l4ung. 5lunge. 4l3ungl
+            lungsgene6 2l3u2ni 4lunkr 2l3unl 2lunr 2l3uns 2lunt 2lunv 2lunw 3lupe lupf3 lu4r3an lu4r3at lu4rau lurch3
+            lu4r3ei 2lurg lu4ris l3urk 2l3url 2lurn luro2 lu4rof lu4ror 2lurs 2l3urt lur3z2 lu4ser lu3si lu3spr lus4s3a
+            lus4s3c lus6sein lus4s5el lus4s5er4 lus4si lus4s3o lus4s3p lus4st luss5ti lus4sur lu2st lust5ae lust5ak
+            lust5ei lus6t5erf lus6t5erk lus6terl lus4t3o4 lus4t3u lu2s3u lu4t3ae lu4tal lu4t3an lu4t3au lu2tä lu4t3eb
+            lu4t3e4g lu4t3ei lu4t3el lu4t5en4g lu4t5ent luter4 lu4t5erb lu4t5ere lu4t5erg lu6t5ersa lu4t5erz lut3ex lu4thy
+            lut5ins 2luto lu4t3ob lu4toe lu4t3o4f lu4top lu4t3or lu2t3r lut3s4a lut5schl lut3s4k lu4t3ur lut3z 2lübe 2lübu
+            lücke4 lücker5 lügel5e 2lüh lü4h3e4l lü4hem lüh3l lü2s lü4scha 2lv l2veo lv2l 2lw 2lx 1ly ly1a2 ly3c ly3en
+            lye2r 2l1yo ly3on. ly3onn lyra3 lyri3e ly5sen ly3sp ly3th ly4t3re 2lz l4z3aer l2z3ag l2zak lz3al lza2m l4z3ant
+            l4z3app lza2r lz3aro l2za2s l2zat l4z3aus l2z3är l4z3eim l4z3eis lze2l l4z3ele l4z5enth lzen6tro l4zents
+            l4zentw l4z3enz lze2p l4z3er4h l4z3er4m lze3ro lz5ersa lz5er4tr l4z3er4z lze2t lz3eta lzeugin6 l2z3id lz3iko
+            lzi2m lz3imi l4z3ind lz3inf lz3ing l4z5inst lz3int lz3l lzo2b lz3oef l2zo2f l2z3or l2z3oz lz5rei lzt2 lz3tha
+            l4z3u4fe lzug4s lzvol4 l4zwar l2zwo l2zwö l2zwu 1ma ma3ala maa2n ma3ari ma3atl 2m3abb 2mabd 2mabf 2mabg 2mabh
+            2mabk m3abla 4m3a4blä 2m3abm 2mabn ma3bo mab4ra ma4bri 2mabs 2m3abt 2mabw 2mabz ma4c3ar ma5chan ma3chi ma3cho
+            m5achse mach4ta mach6terf mach6t5erg mach6t5erh mach6terr mach6t5ers mach6t5ert mach6t5erw mach4t5r ma3chu
+            ma2ci 2mack mack4s 2m3act mada4m 2m3add ma4del ma4dem ma3d2j 2m3adm 2m3ad2r mad2s 2madv 4m3aend 4m3aepf ma3epo
+            2maeq maerer4 ma3erh ma3erw maer6z5en6 maes3t ma5estr ma3eta mae5us. maeu4s5c ma1f 2m3aff maf2r 2m3aft ma4ge.
+            ma4geb ma4geg ma4gek mage4n3 ma4gep ma4ges. ma4gev ma4gew 2m3agg magi5er. magi5ers m3a4git ma3g4n ma3gri
+            mah4ler ma3ho ma3hü mai4ler mai4n3e mai4s3e ma4kad ma4ke. ma4kes ma3kla ma3kli mak2r 2m3akt ma4kus malad4a
+            ma5lade mal5aer ma3lag mal3ak mal3an ma3las ma4lär malb2 6mal6dehy malen4s ma4lent mali5er. ma4l5ins ma4linv
+            malk2 4mallt ma4l3on ma4lop ma4l3o4r mal5ska malster6 mal5s6terb mal5s6tern malu2 ma4l3ut mal4zäp 2m3amb
+            ma4mid ma4moe 2m3a2mö 2m3amp 2m3amt m3anae 5manag 4m3a4nal man3an ma4nar 4m3a4na3t ma4nau 2m3anä 4manbie
+            man4ce. man4cek mand4 man3di man5erf ma4n5er4n ma4net man3g4a 4mangab 4m5angeb m3angs 4manhä manin4t 5manip
+            4manke 4manla m4anle 4ma4nod man4o5m 4manpf m4anpl m5ansatz 4m3ansä m5anschl 4m3ansi 4m3ansp 4m5ansti man4tag
+            man4tan man3um manu3s 4manwen 4m3anza manze4 m3anzu m3anzü ma3o2b ma2or ma3pfl ma4phr 4m3appa 4m3appl ma3pr
+            4marag mar4an 2m3arb 4m3area mar3g4 m3argu ma3ri 3mark mar4klo mar4kr m3armb 4m5arme. mar4o maro5d ma3rö 2marr
+            mar6schei mar6scher mar6sch5l mar6schm mar6schn mar6scho mar6schr mar6sch5w 4m3arse mar4sp mar4su 4mart.
+            4m3arti ma3ru ma3rü masch4 ma3sco maser4n5 ma2s2p ma3spa ma5spen ma3spr 4m3as4so mast5an ma5stel masten4
+            mas6t5ent mas4ti mas4to ma3s4tr ma4t3ae ma4t3an ma4t3ar ma4tat ma2t3ä mat3ei m3a4tel mate4n ma4t5erd mat5er5in
+            ma4t5erz ma4tho mati6kan 4m3atmo ma4toa ma5toma ma4t5opf ma4t5ort mat3s4p mats4t mat3th matt4ha matt4hä5
+            mat4the mat5url 2matz 2mauc 2m3au2f3 2m3aug mau4les mau4l3o mau4lö ma3um m4aun ma3una ma3ung ma3unt m4aus.
+            mau4sa 4mausd maus3p maus3t 2m3auß mau4ta mau6t5erh mauto4r ma2xa m2ay ma3yo 1mä mäh3r 2m3änd m1äp 2mäq märer4
+            mär4kl mär2z märzen4 mä3us. mäu4s3c 2mb2 mbe4er mben5er mbe4ren mber5er5 mbi4e3i mbi3o4f mble3s mbo4ler mb4re
+            mb3s mby2t 2mc m3ch2 m1cr 2md m2dab md3aer m2d3an md3arb md3art m2d3a2s md3ato md3är mde2a m2d3ei m4d3e4mi
+            mde2n m4d3ent mder2 m4d3erf m4d3erk m4d3erl m4d3err m4d3ert m4d3erw mdi2a mdi2e mdien4 m2dob md3ras m3dru
+            md2s3a md2sä mds2p md3ums 1me mea2n me3at meb2 me4ben me1c 4m3echo 3med medie4 me4dito 3mee mee5ing mee5ins
+            me5e4mis mee2n me3ene meep2 mee4rei meer5eic meer3u 2m3eff 3meh meh4l5er mehls4 mehr3a4 mehrer4 meh6rert 2meic
+            2m3eif 2m3eig mein4da meinde5s mei5nec mei6nenz mei6ner6k mei6nerl mein6hal mein6sel meins4p m2eis 4m3eis.
+            m3eisb me3iso 5meist meist5a me4l3au 3mel3d4 melde5i me3lec me4l5ein 4m3e4lek 4m3elem me4l3en me4l3er melet4
+            4m3elf. mel3id 4m3e4lim meli4n mel4k5ei 3melo me4l3ob me4lor mel3p mel4s5a4c mel4san mel4sph mel4s5ta
+            6m5el6tern mel4zei mel6z5ent mel4zi 4m5e4miss 2m3emp m2en. me4na4b men4ade men4ag me4nan men3au me2nä mende4c
+            4m3endl mend4u men3e4b men3ed men5end menen5e men5ent men5erb men5er5o men5erö men5ers mene4s me4n3e4v men3f
+            4men4gag me4nid me4nil me4n3im menk2 men4s5au men4se. men4seb men6semb mens5ert men4ses men4sex mensex5p
+            men4s5i4d mens6temp mens5trun men4sum men6t5anz mentar6ten men6t5eig men6t5enden men6t5ers men6t5erw men4tet
+            men4thi men4thu men6t5ins men6tres men6t5rol men3um menz4w me1o2 2meou me1p2 me3ra mera3s merauto6 mer3b
+            4m5erde. 4m5er4den mer4dun me4r3e4b mer5eck mere4f me4r5eis me4r5end me4r5ens me4r5ent me4r5erd me4r5erf
+            merer6kl 4m5erfol merg4 4m5ergän 4m5er4gus meri4e merin4d 4m5erklä 4m3erlö merns4 mer3of mersau4 mer4siv
+            mer3sm mer3sn 5mer5te merti4 4merzä mer4zer 4m5erzeu mer4zwe m4es. mes2a mes3ae me2sä mes3e4l mes5er5o mes3or
+            mes4pe mes3pr mes4s5ac mes4sal mes4s5an mes4say mes6sersa mes4s5or mes4ste mes4sti mes4stu mest2 me3sto 3me3ta
+            meta5st mete4r3 me3t2h 2metö met5res me4trig metro5s mett5en6de met4t3i meu1 me3um meute5r6e 2m3e2x3e 2mexp
+            1mé 2m1f2 mfahr6ta mfen2 mfi4le. 2mg2 mgeb2 mglim4 mgus2 2m1h2 mh4au mhaut5o 1mi mi1a mia2b mi3ak mia2m
+            2m3i2at mibi3e mic3e mi3ch mi2ci mi3cr m2id. mi4dea mi4di. mi3d2r 2mi2dy mie3dr mi4eno mierer4 mie4tau mie4t3i
+            mie4t5rä mie4tru mi1f mi4k3ar mi4k3el miken4 mi4k5ens mik6erl mi4k5er4z mi4k3in mi4k3ob mi4k3of mi4kon mi4kre
+            mi4kum mi3l4a mil4i 4m3illu mi3l4u 2m3imm 2m3imp mi3na mi4na4b min5eck mi4nef mi4n5e4r5i 4minfo m2ing min4gan
+            min4gl ming3s4 4m3init min4kr mi4n3of mi3nop mino3s 6minterp mi3nu min4z3o mi2o mi3o2b mioni3 mi3os mi1p mi3ra
+            2mirg mi3sa mis4au4 mi6schef mi6scherb mi6sch5er6z mi4schi mise3r mi3s2n mi4som mi3s4pa mi3s4ph mi3spo mis3sa
+            mis4sac mis4ser mis4s5in mis4st mis3te mit3ak mi4tar mit3as mit3au mite2 mit3ed mit3em mit3er mit3es mi2t3h
+            mi3tia mit5iss mito2 mit3op mit3or mi2t3r mit3s4 mit5sa mi2tu4 mit3ur 2mitz mit3za mi2zw 2mj mjäge4 2m1k2 2m1l
+            ml1c m3le mlein4g mlerin6t ml2v 2m1m mm3aal mma4bar m4m3aeh m4m3aeu mm3a4kr mm3all m4manb m4manf m4m3ank
+            m4m3ans mmanu3 m4m3anz mma2p mm3apo m5mar. mm3art mma3sp m2m3äh m2m3äu mmd2 m2m3e2b mm5e4dit m2m3ef m4m3eid
+            mm3ein mm5eise mmela4 mme4l5ad mme4l5in mmen4er mme4no mmens6pa mmen6stru mmen5ta mmen6te. mmen6ten m4m5entg
+            m4mentl m4m5ents m4mentw mmenzu6c mme4r3a4 mme4rec mmer6fol mmerk4 mmer6sio mme2s mmes3a mme3sc mmes3e
+            mmes6sens mmes3t m2m3eu m2mex mmi3e4l mmi3k2 m4m3inb m4m3inf m4m3inh mm3inn m4m3ins m4m3int mmisch4 mmi3s4t
+            mmi3tu mmi3tw mmmi2 mm3ope mm3org m2m3ou mm1p2 mms2k mms4p mms4tr mm3te mm2th mm5ther mmuel4 m2mum m3mun
+            mmut3s4 mmül2 mmüll3 2m1n2 mne4bl m4nesi4 mnes3t mni3er 1mo m4obb 2m3o2be 2mobj mo3che mode5st mode5sz mo2dr
+            moeb2 2m3oe2f moe2h mo3ehe 2moek mo3ela mo3e2m mo3ero mo4fen 2m3off mo4g3al moh2a mok3al mo2k2l mok3la mo3kle
+            3molc molch5a mol3d4 mo3lo 2molt mom4e mo4n3ae mon3al mo4n3an mon5ato mo2nä mon4das mon4d5el mon6d5erk mon4din
+            mon4dre mo4n3er moni4en moni5er. mon4s3t mon3s4u mont4a 2mony mo2o mo4per 2m3opf 2mopt mo3rae mo3ral mo3rat
+            mor4d3a mor6d5ere mor6d5erl mor6d5erm mor4dr mo4rei mor5enge morgens6 mor5int moro2 mo4rob mo4rop mor3t4
+            mosa6ische mo4ska mo3s2p mo2st mo3s4ti mo2s3u mo3t4h mo2u mous2 2m1ox moy1 1mö möb2 mö2c 2m1ö2f 2mök 2m1öl 2mp
+            mpa3ne mp2ar mp3arb mpat4 mpe4la mpe4ler mpe4lin mpe4ne m4p5ener mpens4 mpf3au mpf3ef mp4f3el mp4f5enz
+            mp6f5er6fo mp6f5erfu mp4f5erz mpf5lae mpf3lä mpf3lo mpf5lüc mpf3ra mp3haf mph3au mphe2 m4phoe mph5org m2phö
+            m3pi mpi2a mpin4 mp2l mp3le. m4p5lem. m4p3len m4p3les m3po mpo3l4i mporta4 mpor6tag mpor6ter6 mpp2 m1pr mp3sh
+            mp3sta mp3s4tr 2mq 2m1r2 m3ra mrich7te m3ru 2m1s m2sak ms3all m4s3alt ms3amt ms5andr m4s3ang m4sanm m4sanr
+            m4s3ant m4s3anz m2s3a2s m4s3auf msau4g msau4n ms3b m4schan msch4l m3schu m2sco m2s3ef ms5einsa m3s4ek mse5l4a
+            mse4le msel5ei mse2n msende4 m4s3ene m4sentl ms3erf ms3erk ms3ert m5serv mse2t ms3eti mse2x2 mshi2 m4s3imp
+            msi2n ms3ini ms3int m2skl m2s3o2d mso2r ms3orc m4s3ori m2s3ou m4sped m2spl ms4pon m4spot m4spro ms2pu ms3s2
+            mss4a m3stät ms5täti m3stei m4steil m4stem ms2ti m4stit ms2to m5s4tras mstro4 ms2tu m2sty ms3ums m2s3ur m3sy
+            m2szi 2mt mta2m mt4asc mt3änd mt3c mte2a m2t3e2b m2t3e2d m2t3ef mt3ein m4t3eis m4t3eiw mt3elt mte2m m4t3emi
+            m4ten4ga m4t5engl mte4no m4t5en4se m4t5entf m4t5entg m4tentl m4t5en4tr m4t5ents m4tentw mte4ri mter4n m4t3eta
+            m2t3eu m2t3e2v mt1h m2t3i2d m2t3im mt3inb mt3ind mt3inf mt3inh mt3ins m2t3i2r mti6schw mt3isr mt3ita mtmen4s
+            m2tob mt3oes mt3ord mt3org m2töl mt3ös m4trah mt5rang mt5rauc mt3rec m4t3res m4t3ris mt3rob mt3rot mt2sa mts2c
+            mt3se mt4s3e4l mt4sen mt5s4kel mts5kr mt5spru mts4tro mtt2 mtu3en mt3um mtz2 1mu mu1a 2muc mu4ckel mucker4
+            mu6ck5erk mu6ck5ers mu6ck5erz muck5sp muck5st mu4cku 2m3ueb 2muec mue4her muehl5a mu3el. muell5a mu3els muen4s
+            mu3ez mu2f 2mug 2m1uh mu3la mul4lau mul4l3e 2muls mult2 2m3umf 2muml 2mumr mum4s3p m3umst 2mumt mundan4
+            mun6dant mun4dar mun6d5erf mund3r muner4 mu4nerk 4m5ungeb 4muniv m2unm 2munw 2munz mur3au 3mure 2m3url murn2
+            mu3r2u mu4r3u4f m2us mu2s3a mus5erf mu4sin mu2s3o mus4s5e4h muss4p mu2st 4must. mus3ta mu2su muße3 mu4t3au
+            mu4t3er 2m3u2to mut4str 2müb 1müd 1müh mü4her mühl3a 1mül 1mün 1müt 2mv 2mw2 mwel2 mwelt3 mwelter5 mwetterer5
+            1my my1a my3la my3on. my3s2p my4s3t 2mz2 1na. 1naa n1ab 3naba na4b3ar 3nabä 4nabb 4nabd 3nabec na4bei nabens4
+            nab5erk nab5er4r 2nabf nab4fr 2nabg n3abh n2abi na4bi4t na2bl na4b3or na4bos 3nabö na4bra na4bre na4bri
+            nab4rue n4ab4rü 4nabs 4nabt na4bus 2nabz 3nac. 3nachb na4che nachen4 na5chen. nach5ent5 nach5erb nach5ers
+            3nachf 3nachh nach3i 3nachl 3nachm 3nachr nach3s 5nachsc n5achse 5nach5s4p 3nacht n4acht. nachter6f nach6terk
+            nach6t5ersc nach4to nach6traum nach6t5ren 3nachw 4nadap n3add nade4l nadel5a nadel5e na4der n5ader. nadet4
+            n2adi nadi5ers. n3adl 4n3adm 4n3a2dr n3ads 3n2aec 3naee 3naehe 3naehm 4n3aehn 3naeht 3naei 2n3ae2m 2n3aen
+            n2aep 2naeq 3naer. na3erg nae5us. 3naex 2n1af 3na3fl na3fra 1nag nage3i nagein5 nagel5e nage6lei na4gem
+            na4gent 2n3agg na4gio na4git na3g2r 1n2ah na4h5erk 3nahm n3ahn nah3oe na2hö 4n3ahr. na2hu 1n2ai na3i2d nai2e
+            na3im 2n3air nai4re n1ak na4kad 3nakä 2na2kn 3nako na4kro 4nakt na4kus n2al. nala2 nal3ab nal3ad nal3ae nal3ak
+            nal3am nal5ang nal5are nal3as nal3at na2lä 4nalbb 4n3albk nalb4r nal3da na4leb na4l3ed na4l3ei na4lel na4l5end
+            nalen6se na4lent nal5ents na4l3ep na4l5erb na6l5erei na4l5erf na4l5er4g na4l5er4h na4l5erm na4l5er4s na4l5erw
+            na4l5er4z nales4 nal3ex3 nalf2 nal3g n2ali na4l3i4d nalk2 nal6l5en6g nal4lor 4nallt n3almt na4lob na4loe
+            nal5oef 4nalog na4lop na4l3or nal3ö n4als. nal5s4ka nal5skr n3alt. n3altd nal5to n4alty na2lu nal3uk 2naly
+            n3a4mal n3a4mat 3namä 3name. na4mei 3n4amen namen6s5p 4n3a4mer n2ami n3a4mid na4min 2n3amm 2na3m2n 3namo n3amp
+            namt4s 3namy 4nana na4nae na4nal na4na3t n3a2nä 2nanb n3and2 n4and. nanden4 n4ands na4nem nan3er nan3eu 4nanf
+            2n3ang2 2nanh 2nani 4n3ank 4nanl 4n3anm 3nann 4n3anna 2nanr 4n3ans2 nanta4 nan4tag 4nantr 3nanu 2nanw nanzen4
+            nan6zene nan6zeng nan6z5er6f nan6zer6g nan6z5er6m nan6z5ers nan4zin nan4zw 1na1o 1naö na4per 3napf. na3pfa
+            4napfel 3napfs 3napl na4pos na2pr n1a2q n1ar 3n4ar. 3nara na4rab na4r3ak na4ran 3narä n4arbo 2narc 3n2ard
+            nar5ein nare3s n2arh 3n2ari n2ark n4arle 4narm. 4narme na4rom na3rö n2arp nar4rh n4ars. narse3 nar4s5ta
+            nar4stä 2nart n4arta n2aru na3rum n2arv n4arze 3n2as. 3nasa na4san na4sar nas3au 3nasä na4schm na4schw 3nase
+            3nasf n2asi na2sp nas4ph 4n3assi na3sta naster4 nas6t5erf na2su na2sy nasy5la 1nat natal5s4 na4tat na4t3au
+            nat3ei na2th n3atla 2natm n3atmu n2ato 4natom nats5ac nat6scheng nats5en 4n3atta n5atten n1au n2aue nau3eb
+            3nauem 3nauen 3naues 3naui 3n2aul na3um. 4nausb 4nausd 4nauss naussen6 n4aut. n4aute 1nav 2nava nave2 navel3
+            navi5er. navi5ers 1naw 3nax. na2xi 3naxp n3axt 3nazu 1nä 2näb 3n2äc 2näd 2n1äf 3näg n4ähe nä2hi 3n4ähm 2n3ähn
+            n2ähr näh3ri nä2hu 3näi 2n1ä2m 2n1än n2äp 4näpfel 2näq närm4s n4ärr när4s3t n2äsc 3näss 2näst 2näu 3nä3um
+            nä3us. 2nb2 n3ba nbahner6sa nbais4 nbau3f nbau3s n3bä n3be nbe3n4a nbe3ra nber4e nber4ga nber6g5ei nber4gr
+            nbes2 nbi2e n3bl nboge4 nbogen5 nb4or nbruchs5tr n3bs n3bu nb4un nby2t 2n1c n2cab n2cei n2cem n3ce4n n2cev
+            ncha3l nchar6me n3che nchial5 nchi5en n3chl n3cu 2nd n4dab. n2dac n2dad nda3ef nd3aet nd2ag n2dak nd3akt
+            n4d3all nd5ange n4danl nd3ans n4danw n4d3arb ndar4da ndar4t5r n4daut n2dax nd3äng n2d3ät nd1c nd5dre nde4al.
+            nde3e n4d3ei. nd3eil nd5ein. nd5einh n4d5einn n4deis nde4lat nde5lec nde4len nde4ler ndel5l ndel6s5am
+            ndel6s5en ndel6s5or ndel5ster nde4m5ac nde4mau n6d5en6gel. nden6geln n6dengli nde4n5in ndenk4r nden5s4k
+            ndens6tem n4dentl n4d5ents nde3o2 nd5epoc nde6r5eis nde6r5eiz nde6reng nde6rent nder6läs nde4ron n4d5eros
+            nder6tragen nde4sam nde4san nde4sel nde4ser nde4set nde6stät nde5strae nde5stran nde5stri ndi5en. ndi4ene
+            ndi4ens ndi5ensy nd3imm nd5inan nd3iso nd5kuc ndni2 ndo4n5au ndoo2 n4dopt n4d3orb n4d3o4ri n4d3out n4d3rat
+            n4dreih nd3rob n4d3rod n4d3roe n4drose nd5rost nd3rot n2d3rö n5druc n4drui nd3run nds5amt nds5chin nd4s5ene
+            nds5erb nd4skl nd4spae nd4spä nd4szi ndwa5re nd5wil 1ne nea2b nea2n ne2ap ne3ar. nebel5e nebe6lei nebels4
+            2n3ebn neb2r 2nec 3neca 3nece ne3chr n3echs ne3ck4a 3necl 3neco nedi4e ne4dit ne4e3i4g neel4 neen2 nee3ra
+            ne3erk nee3ro ne3er4z nee3t ne3f4a nef2l neflei4 2n3egg neg2l n3e2go neg2r 4n3e4he. 4neheg nehen4 4n3e4hep
+            nehe4re 3nehm neh4min ne3ho 2n3ehr neh4r5er 2n1ei 3neia n3eic nei6derf neid5erfu 3neigt 5neigu ne3imp neins4
+            ne5in6sel n4einsu nei6senho neit4h n4ek. 2nekd 2n3ek3s nek3t4 2nekz n3e4las 4n3e4lek 4n3elem 3neli ne3lid
+            ne4lim ne4lit 3nelk n2ell nell5an nel4l5au nel4l5ei nel6l5erf nel6l5erk nel4l5in 3n2eln 3nels 3nelt n2em.
+            4n3e4mai 2n3emb nem4e n2emi 4ne4mig n4emo 4n3emp 2n3ems 4n3e4mul n4en. n2ena ne5nack ne4nan ne2nä n2enb n2enc
+            4n3endb 4n3endd 4n3endf n3endg 4n3endh nen4dig 4n3endk n3endl 4n3endp 4n3endt 4n3endw n2ene ne4n3e4b nen3ec
+            ne4n3ed ne4n3el nen5end ne4n5en5e nen5ens nen5ent nen5erb ne4n5erk ne4n5ers ne4neru ne4nerw ne4n3eu n2en3f2
+            4n3engb 4n5enge. nen6gen. nen6gend nen6gens 4n3engs 4n3engt 4n5engun n2enh ne2ni nen3in n2enj n2enk2 n2enm
+            nen4nar nen5nec ne2n3o2 n2enr n2ens 6nensemb nen3sk nen3sl nen3sn nens4p nens6tern 4n3entb 4n3entd 4n3entf
+            4n3entg 4n3entl 4n3entn 4n3entp nen6t5ric 4n3ents 4n3entt 4nentw 4nentz ne4n3u n2env n5envir n2enw n2enz
+            4n5enzia nenz4w n3enzy neob2 ne4pen ne3pfl ne2pi 2nepo n3e4pos nep3t2 n4er. ne3ra. ner3a4b ner3af ner3a4g
+            ner3ak ne3ral neral5a ner3a4m ner3an ne4r3ap ner3ar nera4s n4erat 4n5erbe. 4n3erbg n5erbie ner4big 4n3erbs
+            n3erbt 4nerdb ner4dig n2ere ne4r3e4b ne4r5eck ner3ef ne4r5eic 6n5ereign ne4rein ne4rek ner5ema ne4r5ere
+            ne4rerf ne4r5erh ner5ers 4n5erfol n4erfüh ner3g4 n6erges n5erheb 5n4erhin n5erhöh n2eri neri4e ner5inner
+            nerin6st nerin4t n2erj nerk2 4n5erklä 6n5erlaub 4n3erlö ner6löses 4n5ermit 4n3ermü n2ern 4n3ernä 4n5erneu
+            4n3erni 4n3ernt 4n3erod 6nerosio ner4pre nersau4 ner4sk 4n5ersts ne4rup n2erv nerve4 4nerwae 4nerwä n4erwo
+            4nerze. 4n5erzes 4nerzeu n4erzim n2es. ne4sal nesch4 4n3e4sel ne4s3ev nesi5er. ne4s3of ne4spa nes4pe nes6sige
+            nes6sigs ne3sta nesti4e nest5rae nest5ran nest5rau nest5rä nest5ri 4nesyn ne4tab ne4tad n5e4tage ne4t3an
+            4n3e4tap 4n3e4tat ne4t3ei ne4t3e4l nete4n net5erh net5ers ne2th ne4t3in ne4t3ob net3sp n4ett net3tr 4netui
+            ne4tus 3netz net4z3i ne2u neub2 neu3c ne3ueb neu4ere neuer4f neuer4k neuer4ö neuer4r neuer4s neuer4w n4euf
+            neu3g2 4n3eule ne3umf ne3ums 2n3eup neur2 neur3a 4n3eury neu5sc neu3sp neu3t4 4neuzt ne4van ne4vid ne4volu
+            n2ew new2s3 2n1ex nex3em 1né 2n1f nfa5chu nfah4l nf5akti nfall6s5o nfalt4 n4fanb nfangs5 n4faut n3fä n3fe.
+            n4f3eim nfen2 n3fen. n4f3end n3fer nf5erze n2fex n3fi nfi4le. nfin4s n2fj nf2l nf5laen nf3län n3f2o nfo3st
+            nf2r nf3s2 nf4tan nf2t3r nft4sen nft4s3p nft4st nf1u n2fun 2ng n2g3a2c ng3adr n4g3ael ng5aerm nga3h ng3aka
+            n4g3alm ng3a4me ng3amp nga2n ng5anda ng5angl ng5ansc n4g3ant n4g3anz n5garn ngas5ta ng3ato ng5attr ng3auf
+            n2g3a2v n2gäh n2g3äl ng3ärm ng3d2 n4g3eif n4g3ein n4g5eise n4gelem ngel6s5tu nge4nat ngen5ec n6generg ngen6erw
+            n6gensem ngen5sk n4gentl nge4ral ng5ereig nge6rend nge6rers n4g5erho ngerin6st n6g5erwei nger6zae nger4zä
+            n3ges n4g3ess ng5e4tat ngg2 ngg3s ng3hu n2g3i2d n3glä ng4lea ng4led ng4le3e ng3ler ng4lev n4glig n4glog
+            ng5lot. n4gluk ng3m n2gn2 ng3nar n3gnä ng3ne ng3ni ng2ob n2gof ng3o4pe ng3opf ng3p ng5raen ng5raeu n4g3rai
+            ng5ram. ng5rand n4g3rän n4g3räu ngres6s5o n5grif ng3ris ng3rob ng3roc ng5rost ng2s ngs3e4h ngse4m ng4sf
+            ngs5tec ngs5türm ng3sy 2n1h2 nhab4 nhabe6r5e n5halb nh4au n3he nhe4re nhe3x nhor4s 1n2i ni3a2b ni3akl ni3akr
+            ni5aleng ni5alim ni2ar ni3as ni3ato nibb2 ni3be nib2l nib2r nibu2 ni3cho ni3chr nich3s nich4ta nich7te.
+            nichter5 nicht5sp ni3cr ni3da n4i3de. 4nidea 4nidee ni5den. 4nideo nidi4e n3i4dio ni3d2r 2n3i2dy nie3b 3nied
+            ni2e3i ni3el. ni3elh ni3ell ni3elr ni3elw ni3elz nie2n nien3e4 niens4 nien6z5er niere4 nie4r5ei nie6rerg
+            nie5sti nie4t3o niets4 ni3fl ni3f2r niga2 ni4gab ni4g3am ni4g3an 4n3i4gel nig5erz 4niget ni4g3li nig2n ni4gre
+            nig4sal nig4san nig4spr 4ni4k3el ni4k5er4f 2nikh ni4k5ing ni4klo ni4k3of ni4kor niko3s ni4k3ra ni4k3rä nikt2
+            nil3l nille3 ni3l2o 3nimmt 2n3imp ni3mu ni3nac ni3nae ni3nap ni3nä 2n3ind 2n3inf 3n4ing. 3nings 2n3inh
+            4n3i4n3it 2n3inj 2n3ink2 4n3inno ni4nor 2n3ins n4ins. 2n3int ni3n2u 2n3inv ni3o2k ni3ora ni3os ni4ron 2n3irr
+            ni4sai ni4scha ni5s4che ni2s3e ni3se. nise4l ni3seu nisi2 nis3id ni4s3ik nis3in ni4s3oe 4n3isol ni4som nis3or
+            4nisot ni2sö 3niss2 nis3sk nis3sz nis5tha ni2s3u 3nit. nita4le nit4an 4nitia ni4top 3nitr 3nit3s2 nit4t3a
+            nit6teig nit6tele nit6ter6g nit6t5er6k nit4t5ra nitt5ri ni3v 2nj n3jo 2n1k n4k3a4bl n4k3abo nk3a4br n4k3adr
+            n4k3aeh nk3a4ge n4k3alg nk3alp nk3ama nk3ang n4kanh n4kanl n4kanna n4kanr n4k3ans nk3apf nk5art. n4karth
+            n4k3atm n4k3ato n2käh nke2c n4k3ei. nke4lei n4kelem nken5sk nke6r5eis nker6fah nk5ergu n4k5er4zi nke2t nk3eti
+            n4ketu nki2d n4k3ide nkier4s nkin4g3 nk3inh n4k3ins n4k5lade n4k3laf n4k5lamp n4klen n4kleu nk4link nk4neb
+            n4knit nk5ober n4koel n4kopt nk5o4rie nko2w n2köl nkraf4 n4krel n4kren n4krez nk3rob n4kroh n4k3rol n5kron
+            n4k3ros n4k3rot nk3rüc nk4s3ac nk4s5alt nk4s3el nk2so nk5spat nk3s4pe nks4por nk3spr nk3sta nk3s4ti nk3str
+            nk3stu nk3s2z nk4t3ak nk4t3an nk4t3au nk4t5eig nk4t5ent nkte5ra nk4t5erf nk4t5erg nk4t5ern nk4t5ers nk4t5ert
+            nkte5sk nk4t3in nk4t5ort nk4t5rae nk4trä nkt5rol n4kumf n4k3ums nku2n nku3na nk3uni nk3urh n4k3urk nk3urt
+            nku2t nk3ute 2n1l2 n3la nlage5i nlage4n5 nlan4dr nlan4gl nl4au n3le nle4gas n3li nli4ne. nli4nem nlite3 n3lo
+            nlus4t5e 2n1m2 n3ma nma6l5erl nm4en nmen5sche nmi6schw nmi2t n3mo n3mu 2n1n nnae4s nna5esc nna5le n4n3alg
+            n4n3all n4n3amb n2n3an nn4an. n4n3app nn3a4sc nna3s4t nn3atm nn3ato n2nau nn3d2 nndar4 nn3eff n3n4eh nn4ei.
+            nne3lu nnend4 nneng4 nne3pf nne4r3a nner6fol n4n5er4fü n6ner6geb nner6hoe n4n5er4hö nner6laub nner6mit nner3o
+            nner3ö nner6war nner4zi nne4s3e nnesi5e n3n2ex nng2 nngas3 n2n3i2d nni4sa nnk2 nno5be nn3obl n2n3of n3nom
+            n2n3op nno2r n4n3ori n3nos nno4t3h nn4s3am nn4s3as nn4sau nns4po nn4stec nn4stoc nn4s5tol nnt4a nn2th n2n3uf
+            n4n3unf nn3ur nnvoll6 n2nya 1no 3no. no3at 2nob. 2n3obd n4o5bel nobe4la nobe6lin 2n3obh 2nobj no4bla 2n3obm
+            2n3obs 2nobt n4oby no1c no2de no3der n3ods 2n3oe2f 2n3oek n4oet no2fe 2n3off nogene6r no3hö n3ohr n2ok no4kel
+            2n3okk n2ol no4lam nol3c no4leu no4liv no4lym 4no4mal n4omas no3m4au no4mel n4o3mi non2a 4nonke 2n3ont 2nony
+            no2o no3oh no3os 2n3o2pe 2nopf nopf3a no4pie 3nopp 2n3ops 2nopt 3no3p4te n4or. nor2a no4rad no3ral 4noran
+            no5rar n3orbi 2norc nor4d3a nor4del nor6d5en6d nor6deng n5ordens nor6d5er6w nor4des nord3o nor4d3r nords4
+            nor4du nor2e no3res 2n3org n5o4rien 2nork 3n4o4rm nor4m3o 2n3orn n4oro n4orö 2n3ort no3ru n2os 3n4os. nose5l4
+            no3sh no3s2k noste4 nos4tei noster5e 4n3ostl nost5ra 4n3ostv n2ot no4tam no4t3an no4tap no3tar no4tau not3ei
+            no4t3em note4n no4ter not5erb noter6b5r no4tex no3the no4t3ho no4t3in not5ope not5opf notor4 no4t5org no2tr
+            3not3s2 no4t3um 3notv 2n3out no3va 2n1o2x n2oz 2nöd 2n1ö2f 2n1ök 2n1öl 2n1p2 npa4ge npar4ka npa4s npe3l npi2p
+            n3pn n3pr npro3 n3ps n3pu 2nq 2n1r2 n3ra nra4dei nra4du n3rä n3re nrebe4z nre3sz n3ri nroe4s3 nro2h nrö2s3
+            n3ru nrue3b nruecker6 nr4un n3rü nrü3b nrücker6 2n1s ns4aa n3sabo ns4ack n2s3a2d ns5aemt n3saeu n4s3a4gi ns4ai
+            n2sak nsa4kr n4s3alg n4s3all n4s3alm ns4alp ns5alta n4s5alte n4sanb n4s3ane ns3ang n4sanga n4sange n4sanh
+            ns5anka n4sanm n4s3ann n4sanp n4sanr n4s3ant n4s3anz n4sapo nsa4re ns4ark ns4atm nsau4e n4s3auf nsau4n nsau4r
+            n4saut n4säugl n5sche. n6schefi nsch5erf n5sches nsch5eul n4schl. nsch6mau ns5chor. nsch4ue nsch5werd n4scor
+            ns2cr ns5eben nse4ein nseha4 nse4hab nse6hent nseher4 nseh5ere nseh5erz nse4hin nse4hue nsei4ne n4s5einf
+            ns5einh n4s5einl n4seinn ns5einsa ns5einst n4s5eint n5seit ns5e4kel nse4la n4selem nse4len nse4ler nse4lim
+            nse4l5in nse4lit n3s4ell n4sem. n4s3epo n3s4eq n4s5erar nse5ras ns5erbi nser5eig n4s5erfa n4s5erfo ns5ergi
+            ns5ergu ns5ergü n4s3erh n3seri n4s5erke n4s5erkl n4s5erle n4s5erne nser3o n4s5eroe n4s3erö ns5ersa nse3r4u
+            n4s3erw n4s3erz n4s3eth n4sety ns3eur nsex2 n4se4xi nsex4t n3s4ha4k ns4har nshi2 ns4hir ns4ic n4s3ima n4s3imp
+            n4s3ind n4s3ini nsinn4s5 n4s3int n4siso nsi4t3e nsi4tr n2sk n5skala n5s4kali n3s4kel ns3kr n5skrip n3s4ky.
+            ns4kys n3slip n5smara nsmaragdei6 n2so2b n2s3o2d ns2om n2sop nsor3a n4s5ort. n4s5orts ns4pac ns4pari n4spark
+            ns6part. n6sparti ns4pas ns4päs ns2pe n3spek n4speri n2sph ns4pie n2spl n4s5poe n6sporti n5sprac n4sprei
+            n4s5prie nsrue4 nsrü2 ns3s2 nst5abr n6s5taeti ns6tagent ns5talb n4stale nsta4n n4st5ane n4s5tat. n6s5taten
+            n4stats n4staus n4staut n5stäb n4s5täti nst5eifer n6steil. n6steile nst5einhe nst5einsa nstein6ste ns4temm
+            ns4tent ns4tep nst5erbie nster5ei nst5ergeb n6sterin nst5erke ns6terne ns6terns nster5o ns4teu n5steue ns4tew
+            n3s4tic nst3id ns4tie n4stilg ns4tin ns2to n4stole nst5ord n4store nst5org ns2tr n4s5trac n4strik ns5tros
+            ns2tu ns5tung n2sty nsu4m3o4 ns5umsa n4s3urt n2s3ut 2nt n4t5a4ben nta5chl nt4ack nt3aem nt5aend n4t5aerz nta3f
+            nta4gn ntak4t5a ntal3a ntalent6 ntal5ins ntalk4 n4t5allt nt5alter nta3ne n5t4anfr n4tanna n4tantr nt6anwer
+            ntar5ak ntar3c ntar6chi nt5art. n5tarta n5tartei nt5arten nt5arter n5tartex n5tarth nt5arti nt5artu nta4ru
+            ntasi4 n4tath nt3äm nt3änd n4t3ärz nte5ame n4teben nteg4 n3tehe nt3ein n4t3eis nt4el nt5elek nte4let nte4lin
+            nte5ma nte4mot nte4nem ntene4r5 n4tenpä ntens4 nten6te. n4t5ents n4tentw n4tepi n3ter nter3a4 nt5erbe. nt5erbt
+            nterdru6 nter5eic nte6r5eis nte4rel nteren6de nter6loe nter4lö nter5n4e nter5obe nter5oe nter3z4 n4t5erz.
+            nter6ze. nte3sa n4t3ess nte5stei ntest5r n6t5estri nteu6eri nt4hals nthan5a n4t3heb n4t3hel n3ther nt5herd
+            nt5herst nth2o n4t3hof n4t3hot n3thr n4thue n4thum n3ti nti3an nti3c nti3f nti6k5erh nti4lin nt4im ntim3p
+            n4t3ind ntin4e4 nti5nen ntiner6s n4t3inf nting4 n4t3inh ntini5er. ntini5ers n4t5inse nt4is nti5sta ntlan4
+            n3t4lem ntmen4s ntni2 ntnis3 n3tof nton4st nto5pfa n4topt n4t3org n4t5o4rie ntos2 nto3st nt2r nt5raed nt5raend
+            nt4ral nt5rand nt5rang nt5ränd nt5räng n4t5räts nt3rea n5treco n5t4ree nt5reic nt5reif n4t5reis n5t4rem nt4ré
+            n4t5rieg n4t5ries nt5ring n4t3roh nt1s nt2sk nts2t nt3sti nt6stief ntt4a n3t2ue ntu3en n4tumsc ntu4r3a ntu4re.
+            ntu4rei ntu4rer n3t2ü ntz2 1nu1a nu3a2r3 nubi3 1nu1c 1nud nudel5e 3nue. 3nuea 2nueb 3nuec 3nue3e 3nuek nu3el.
+            nu3els 3nuem 3nuen nu3en. nue3na nu3end 3nueo 3nues 3nuet 3nuev 3nuew 3nuez nu2fe 1nug 2n1uh 3nuhi 1nui nu3in.
+            n2uk n3u2kr nul4l3a nulle4 nul4l5eb nul4lei n2um. 2n3umb n2ume 4numf 4numg 2numl 3n2umm 4n3umma 4numr 2nums2
+            2n3umv 2n3umw 2n3umz nu2n 2n3una 2n3und 2n3une2 4n3unfa 4nunfä nunft3 3n2ung 4n3ungl nungs3 nungscha6o 2n3uni
+            n3unk 2nunr nuns2 2nunt nunte4 3nunti 2nunw 3n2unz 4n3unzu 1nuo 2nup 2nur nu2ra nu2ri nur2z3 1n2us nu2sa
+            nus3au nu2sä nu2s3i nus5pe nus6serl nus3t 1nut nu2ta nuti2 4n3u4top 3nutt 3nutz nut4zei nutzer5e 1nuu 1nu2x1
+            1nuz 1nü. 1nüa 2nüb 3nüba 1nüc 1nü1e 1nük nü3la 1nüm 1nün2 nü3na 1nüo nür3c nürs2 nür5ste 1nüs 1nüt 1nüv 1nüw
+            1nüz 2nv2 n3ve n3vi n3vo nvoran4 2nw n3wa n3we nweg3s nwehr3 nwin6d5er5 n1x 1ny. n1ya n2ya. 1nyf 1nyh 1nyl
+            n1yo 1nyr 1ny1s2 1nyw 2nz nza2b n4z3aer n2z3a2g n2za2k nz3and n4z3a4n3e n5zani n4z3ant n4z3anz nz3app n4z3a4ri
+            n2zas n2zat n4z3aus n2zän n2z3är n4z3eim nze4la nze4lei n4z3emb nze5nad nzene4 n6zenerg nzen5ev n6zensem
+            nz5ente. n4z5entg n4zentl n4z5ents n4zentw n4zentz nzer3a nzer5eig n4z5erlo n4z5erlö nzer5oe n4z3erö nzer6tau
+            nzer6trae n6z5er6trä nze3sk nze5sta nze5s4te nze5sti nze5str nze3u4t nzin3a nz5info n4z3inj n4z3inn n4z5inte
+            nz3l nz4ln nzo2b n4z3oef n2zof nz3oli n2zor nzue4c nzu5eck nzu5eng n4zwet n5z4will n2zwo n2zwö n2zwu 1ñ ño1
+            o1a oa2be o2abi oa2br o2ac oa3chi o2ad oa2dr oad3ra oad3t oa2g oa3in oak3l oa2ku oa2l o2ala oa3lab oa3las oa2m
+            o2a3mi oampe4 oa2n oana3 oan3e o2aq oa2r oar4dr o3a2sc 3oase oa2si o3ass o2at oa2tr o3au oauf3 oa2v oa2x oa2z
+            o1ä ob3ach ob2al oba4lin ob2am 2ob2ar 2ob2as 2obau ob3auf 2ob2ä obb2l 2obe. 2obea 4obec obe3e 2obef ob5eins
+            4obek obe6leis obe3li 2oben obend4 obera4 ober5ad ober5al o4beram obe4r5ap o4berb obe4reb obe6r5eis obe4rel
+            obe6rend o4berf 3o4berg obe6rin6g oberin6t obe4ris o4berk 2obet 2obev 2obez 2obi obi2e obi4l5in 1obj ob2l
+            ob3lau ob3leb ob3lei ob3li ob4lit 3o4boe. 2oboh ob3ort 2obot ob2ra 2obru 2obrü ob4s3ac ob3sc ob3s2h ob3sku
+            ob4ster 3obsts 2obu o4bueb o4bunt obu2s 2obü o2büb 2oby oby2t ocas2 ocau2 oc1c 3occl o1ce och3a4b o5chani
+            ocha4r och3au ochdru4 oche4b o4ch3e4c och3eh och3ei oche4l och5ele o4ch5er4g ocher6ke o4ch5er4l och3id ochi3e
+            och3l och3m och3n ochoe4f ocho4f och3ö4f och3re 3ochse och3sh ochs4p och5sta och5stem och5stu ochtergene6
+            ochu4f o3chun och3u4t och3w o1ci o3ckad ocke4l ock5ersa o6ck5er6sc o4ck5er4w ock5le o2cko ock3s4p ock5sta
+            ock3sz o4ckum o1cl o1cr ocre2 od2a odab2 od3ak od2d3r o3dec ode3e odegene6 ode3i2 odein4 o5dein. o5deins
+            ode4l5a4g ode6lauf odel6l5ae odel6lau odel4l5ä ode4lo ode2n oden3e oden3i odenk4 o3der. o3dern o3ders odes5ae
+            ode4sä odes4po o6d5esser o3dex 2odia 2odie 2odif 2odir 2odo o3dom 3o2don o2d3op o4dora odo4si 2odö 2odr ods2
+            2ody ody2m3 oe3ba oebels4 oe4ble oe2br oeb2s3 oe1c oech6ste oe2du oe1e o3effi oe2f3l oegen4s oe2gl oe2gr 2oeh
+            oehe4n3 oeh3ri 2o1ei oe4is oe5isch. 3oe2ko3 oe2kr oe2l 3oel. oel3an oel3au oelb5ste oel5ein 4o3elek oel5ent
+            oe3ler oeles4 oel4fei oelfen4 oel6f5end oel3in oel4kle oel4kli oel3le 3oelm oelo2 3oelr 3oels. oel3sz 3oelu
+            3oelv 3oelw 2oem o3em. oe4mie 2oen oen3ec oen5erg o3entf o3entl oentu3 oe3nu oe3ota 2oep oepf3l o3e2pi oe4r3a2
+            oer4b3l oe4r3ec oe4r3ei oe4rel oe4r3e4m oe4r5ene oerer6fa oerer6fol oerer6gebn oerer4l oe6r5ermu oe5r4erz
+            4oerf o3erfi o3ergä oe4r3il oerner6v oer3oe o3erö oers4k oert6er o2es oe2sa oe4scha oe6schef oe6sch5ei
+            oe6schene oe6sch5eri oe4schl oe4schm oe4schn oe4scho oe4schr oe4schw oes2p oes6s5che oes4st oest3a oes3te
+            oes3tr 4oesu oeße4n3 o3et. oe4tag oet3ei oete4n3 oet2h oe3t4he oe4tho oe4thy oe2t3r o1eu oe2vo o1e2x o1ë 2of2a
+            ofa2c of3a2d of3a2g of3är o2f3e2b o2f3ec o4fena o4feng o4fenk o4fent o4fenw o4fenz o4f3erb o4f3err o4f5er4sc
+            o3fes of3eti of3eun of2fa off3al off3an off5eie offe4l offel5s of4f3in 3offiz of2fl of2fr off3ru off3rü off3sh
+            off3si offs4o off3t2 of4f3uh of4fur ofgas3 2ofi of3ins ofi3s4 ofi5sc 2o1fl of2la of2lo of2lö 2ofo o2fop of3orc
+            2o1f2r of3rä of4s3am of4sei of4s3en of4sin of4sof of4spa of4spe of4staf of4sto of2s3u of3th of4t3ri oft3s 2ofu
+            o2f3uh o2fum o2f3ur 2og o2gab o2g3ac og3ang og3arb og3ari og3aus og3d og3ein ogel3i4 ogen5ec ogener6n ogen4id
+            ogens4p o4g3erf ogeri4 o4g3eth ogfi2 ogge4n ogging5 og2hu ogin3 o4g3ini o4g3ins ogle3e ogleer4 og2lo og2n2
+            og4nas o2g3nu ogo3e o3gog og3o4ri o2g3ou og3rau ogs2c og3spr og2st og3ste og3sti ogu2 o1ha oh3alk o2h3ar o1hä
+            o1he o2h3e2d o4h3ein o4h3eis ohen5s o4h3er4t ohe3x2 o1hi ohkos4 ohkost5 ohl3a ohla4d oh3lec ohl5eint ohl5eis
+            oh3lep ohler4 oh4l5erg oh4l5erh oh4l5erw oh3les ohl3o4r ohl5sa ohlste4 oh2lu oh3mi oh3mu ohn3ac ohn3ap
+            oh4n3e4b oh3nee oh3nel oh6nense ohn5ersa oh4n3e4t oh4nin 3ohnm oh2n3o ohn3s4k o1ho oh3oel oho4l3a oho4l3o
+            o2h3o2p oh3öl ohr3a ohre2 oh4r3el oh4rem oh4r5er4g ohr5erh ohr5erk oh4r5ero oh6rer6sa oh6rersä oh3rie ohr3im
+            oh4r3in ohrs2 ohr3sk oh1s ohs2p oht2 o1hu o2h3um oh3w o1hy o1i2d oid3an4 o2ik o1i2m oimm2 o1in1 oi4nen oi2n3i
+            o1i2o oi2ra o5isch. o4ische o3ism o3isr oiss4 ois5sa oi4ta oi2tu ojek6tori o1k oka3b2 okabe4 o2kac oka3i
+            okale4 oka4lei oka6lere oka4lin okal5th oka3pf okas3 oker4be oke3re okka3s4 ok2la ok2li ok2lo ok2lu ok2o
+            oko4pt ok2r ok2sa ok2s3o2 oks3p okt4o okto5b oktobe4 ok5tor o4kula 1okw 2o1la ol3a4br ol3abu o4l3ach olade4n
+            ola3ei o4l3aet ola3fl ol2al ol3a4mi ol3ana olars4 ol3a4ve o1lä o2l3ät olb2 olbe4n3 ol3che olch3r ol5da. ol4dae
+            ol2dä ol4d3ed old5ersa ol4d5erz olde4s ol4d5ese ol4deu ol4dim ol4dop oldo4r ol4d3re ol4d3ri ol4d3ro ol4drü
+            old3sa old4sam old4sk old3st old6stro ol3eie ol3emb ol3emp ole2n olen3e ole3ra o4l3erk o4l3ert o4l3erz o4l3ess
+            oles4te5 ole3um ol3ext ol3exz o1lé ol4fak ol4fau ol4f3ei ol4fem olfer4l ol4fle olft4 ol2gl ol4gre o3li. oli3a
+            olie4n3 oli4kan ol3imp ol3inj oli4tor oli5tur oli3ze ol2kl ol4kre ol4kro olk2s olks3c olks3t oll5ach ol4l3ak
+            ol4lanh oll5anz oll5ass ol4l3au oll3e4c oll5ein ol4l3el ollende6f ol4l5er4d oll5erfo ol4l5erh ol4l5er4m
+            oll5ertr oll5erwe ol4l5erz ol4l5ess ol4l5ins ollla6der ol4l3op oll5s4a olls4p ol4lum 2olo oloni4e olo5pe
+            olo3ra ol3ort ol2ov ol3s2k oltai4 olta5is ol4t3am o1lu olu4ta olu4th o1lü olve4 ol2y 4olys ol2za olz3a4c
+            olz3ar ol4z5eig ol4z5en4g ol4zep olzer4 ol4z5ern ol4z5ers ol4z5ert ol4zik ol4zim ol4z3in ol2z3o ol2zö ol2zw
+            ol2zy 2om. o4m3a4bl o4m3a4br o4mada o4m3a4ge oma3la o4m3alg omali4e om3all o2m3a2m 4oman oma4n5er om4anh
+            omani4e om5anke om4anr o6mantei o4m3arm omar4s o4m3art omar4te o4m3a4sy 4omat o4m3atl o6m5atom. o6m5atome
+            o2m3au ombi4e ombu3c 2ome o2meb om3ebe o2m3ef om3ein o4meis om5eise o4mele ome3na om5ener o2mep o5mer. om3er4h
+            omer4ke omer4sp om5er4tr o4meru om3erz o4mesh o2m3eu o2m3ex omi4c3 omi2e omie3s o4m3inf o4m3inj o4m3inn
+            omi3n4o o4m3ins o4m3int o4m3inv o4miso omi3tr 2omm omme4la 1omn o2m3oa om3ope o4m3orb o4mord o4m3org om3o4ri
+            ompani4 om3pf 2oms2 omt2 o2m3um o4m3unf o4munt o2m3ur o3mus o1mü 2o1na o2nab ona4be on2ac onaer4s5 ona5ge
+            o2nak onaler4 ona4l5in on3amb on5amei on3amt on3ann on3a4no on3apo on3app on4are o4narm on4arr on4ars on3art
+            ona2s on3asp on5atom onat4s onats5c 2onä onär4s3 on4d3an onda4s ond5ast on4d3ei onder5ei onde6r5ers on4d3ex
+            ondi4e ond5inn on4dob on4d5ril on4d5rin on4d3ro ond5ruec on4d5rüc ond4sa ond4sei ond3st ond4ue 2one o2neb
+            on3e4ck o2n3ef on3ein one2l on3ela on3ele on3ema 3onemp one2n o4n5ends on4eng onens4 on3ep o4n3erd o4n3ere
+            o4n3erf oner4fa on3erg o4n3erh o4n5erke o4n3er3o4 on3erö on5ersa o4n3erz o4n3est3 o4netu on3f2 onf4l ong2
+            on3ge on3gha on3gla on3gle on3go ongru5e ong3s2 on3gu 2oni oni5ake onialer6 oni5a6lerw on3ido oni4enk oni4enm
+            onie3s oni4g3a oni4ger oni4gl onig3s4 o4ni4kan o4nikba o4nikbe o4nikbr o4nikei o4nikf o4nikk o4ni4kl o4nikm
+            o4nikp o4ni4kr o4nikse onis4o 2onj on3k2 3onke onli2 onlo4c onloch5 on3na on4na4b onn4an on3n4e onne3s ono1
+            on3o4be on3ode on3ofe o4n3oke on3orc onos2 onot4h ons3a onsch4 on4s3eb onsen5e onser5e onse4t onsi4d ons5ing
+            ons5kl on4spar onst4a on6stapel. onste4r5 ont5arm on4t5auf ont5end. ont5erfa on4t5er4h ont5erke on4t5erl
+            on4tho onto3e on4t5rat on3tu o1nu o2nue 2onuk on3ums on3url 2onut 1ony on3z onz4e onze5in4 onze5la onze5r4a
+            onzer6t5ak 2oo oo2bo oo1c oo2dr o1oe2 oo3en oo3ge oo2gl ooki2 oo2k3l oo2kn ool3c oomgene6 oomo2 oo4mop o1op
+            o1or oo4r3a oor3d4 oor5de oo4r3ei ooren4 oo4r5ent oo4rer oo2s3a oo2sk o3osm oos2p oo2s3u oo2t3a oot3ei oo2th
+            oot3he oo2t3r oot4s3a oot4s5en oo4tur o1ö2 2op. op3adr op3aeh opa3i op3akt opa4let op3ant opar4a opa6rade
+            opa4rit op3arm op3äh 4o3ped o2p3ef op3eig o3pek 4o3pel o3pen ope4ne openty4 4opep 3o4pera op3erh 3opern o5pers
+            op3ey op2fa opf3ac opf3af op3fah opf3al opf3ar opf3au op2fä op4fem opfe4n opf5ent opf5eroe op4f5erö op4fin
+            4opfl opf3lo op3flü op2fo opf3r opf5ste oph2 op3him op3hit o4phol oph3t o1pi opi3a opia4t op3id opi5er.
+            opi5ers. opie4r5u op3i2k opin2 oping3 op3lag op3lic op3lis op2ne opo4la op4pan oppe6l5in oppin4 op2p3l 3oppo
+            2o1pr op3rec op3roe op3rö 3opsi op3sta op3sto op3stu op3sz 1opt2 2opt4e op3th 2opu 2opy o3ra. o3raa ora2b
+            or3abb or3abr or3abt or3ace or3ach o3rad o4r3add or3adr 4orae or3aeh or3aet o3raeu o3raf o3rag ora4ge. 4o3rak.
+            or5akad 3orake o3rakr 4o3raks or3akt or3a4ku o5ralba oral6ben oral6bum o3rali o4r3alm o3rals oral4ta oral4tä
+            ora3ma or3a4mi oran6fra oran4ku oran4kü oran4me ora4no or3app or3aps ora4r3a ora4rer 2o3ras o3rat. o3rate
+            o3rati or3atm o3rats o4r3att 4orau o3raub o3rauc or3auf o3raum o3ra3un or3aus oraus6gewaehl oraus6gewähl
+            oraus6sche oraus6wa or3auß o3rav o3raw o3rax o3ray o3raz o1rä or3äh or3änd or3ät or4bana orb5art or4b5inn
+            3orbit orb2l orb5lad or1c 4orca or2ce 4orda orda4m or4darb or4das or4dau or4d3e4b or4d3ei ord5els ord5engl
+            4ordes or4d3eu or4d3it 3ordn or2do or4dös ord3st ord3t2 or4duf or4dum 2ore orea3s4 ore4ast o2reb or3e4be
+            o4r3e4ck or3e4di or3eff o3reg or3eig or3ein or3e4la or3emp or3emu o4renbo oren4er ore4n3i o4renki oren6nen.
+            o6rennet o4renno ore4no o4renpl o6renpor orens4 o6rensen or3erd o4r3erf ore3ri o4r3erk ore3ro or3erp or3erw
+            or3erz or3et4h o2r3eu o2rew orfa4c or4fend or4feng orf3s2 or3g4a orge3i orgein4 4orget or3ghi 4orgia orgi5en
+            orgi5er or2gn orhu2 o1ri ori4ena ori6enbe ori4enl ori6enme ori4enn ori4enr 5o6rienti ori4env ori6enwe o5rier
+            ori5er. or3ima ori4mi ori2n o4r3ind orin3i or3ins o4riso 4o3rit ork2a ork5erz ork2l ork3sh orkt4 ork5ta 2orm
+            or4mad or4mam or4m5ans orm5asp or4m3eb or6m5erfa or6merge orm5inh orm5ins orm5int or4m3op orm5ord orm5org
+            orm5ori or4mum ormu4n or4m5uni or4munt ormvol4 orna4c orn5ack or4n3al or4nan or4nar or4nau orn5erf orno3s
+            2o1ro or3o4be or3oef or3oel o2r3ok or3oly oro5n4a or3o4pe or3opf o2r3o2r o2r3ox o1rö or3öl orp2f orrai4 or3r4e
+            or5ren orr2h or3s2a orsau4 or3sä orsch4m orse3s or3sh ors2k orspor4 ors4tin orst5ob ors2z ort5aer or4tan
+            ort5an. or4t3a4r or4t5aus or4tär or4t3eb ort5eiw or4t5eli orte4n or4tent or4tenz ort5erb or4t5er5e ort5erfi
+            or4t5erk or4t5erl orter6lo orter6lö ort5ersa ort5er6sc or4t5erw or4t5erz orter6ze or4t3e4v or4thol 2orti
+            orti5en or4t3in or4t5obs or4t5off or4t5ori or4t5ort or2tö or4t5res ort5rin ort5rol ort5spe orts4ti or4t3um
+            4ortü or3uhr orum4s or3un oru2r o3rus or3u2t o3rüc ory1 o2rya orzel5 os2a osa3ar o3sab osa3er osa3i o4s3ami
+            os3art o3s4a3s2 3o2s3ca 2osch osch5ar osch5aug o3sche osch5lei os2co os2e o4s3eie ose3in4 o3sen o4s3er4k
+            o3s2hi o3s2hu o1sk os4kal o2ski os4kle os2ko os3kol o2sky o3s4mog o2s3oe os1p os4pac o4spae os4pas o4spä
+            os4per o4spf o3sphä os2po os4pra o3s2pu oss4abb os4s3a4c os4s3ae os4s5ala os4sall os4san oss5and os2sä
+            os4s5en4z os4s3ep os4s5er4b os4s5er4f os4s5er4r os4s5er4z oss5esse os4sik os4sim os4s3io os4sof os4son os4s3or
+            oss3o4v os4spar os4spe os4spo os4s3ta os4sto os4str osstu5er. os4stur o4st. ost5abl ost3ac ost5aer o3stah
+            ost3ak ost5ang ost5ans ost5apo os5tarr ost5auf ost3a4v 4ostä ost5einb ost5eing ost5einl ost5einr ost5einw
+            ost5eis os5telz o4ste4n ost5engl os6t5er6weit ost6es. o4s3tet ost5eur os2th ost5her os4t3i4d os5tina ost5ink
+            os4tins ost3ir os4t3o4b os3toc os4tom os2tr ost5rac ost5räu ost5rie ost5rot o3s4tuc os4tug os4tums os4tune
+            ost5urk os3tüm osu2 osyri3 o3s2ze os4zin 2oß o2ß3el o4ß3en4z oßer4 o4ß3erb o4ß3ere o4ß3erf o4ß3erh o4ß3err
+            o4ß5ersc oß3is o4t3abi ota2c o2t3ad o4t3aer o4t3aeu o4tagg ot3a4go o2t3ah ot3amb ot3ano ot3app otar3a o4t3arb
+            o4t3arm o4tarz otas3t ot5astr o4tatem o5tati ot3att ot3auf ot5auge ot3aus ot3äm o2t3är o2teb o4t3eib o4t3eic
+            otei4n ote5in. ote5ina ote5ind ote5ine ote5ini ote5ink ote5inp ote5inu ote5inv ote5inw ote5inz o4t3eis ote4l3a
+            ote4lei ote4ler ote4l5in otel3s4 ote2m o4t3emi o5ten. ote4na o4t5ends oten3s4 o4t5entb o4tentl o3ter otergene6
+            ot3erl oter4le o4t3erw o4t3es4s ot4est otes5tant otfall5 ot4h3a4c ot4har o3t4has o2thi ot3hin ot3hir o4t3hof
+            ot3hol o2til ot3ill o2t3i2m otima4 oto3c oto3e2 ot3off otop3f oto4r5in oto3sz o2tö otra5c o3tran ot3rec ot3ret
+            ot2ri ot3ric ot3rin ot3rut ot4s3at ot4s3el otso2 ot4s3ol ot3s4pe ot4stei ots4tra ot4stri ot4stru ot4strü
+            ott5akt ot4taut ot4t3eb ott5er6kl ott5er6lo otter6lö ott5erwä otte4s ot3to ott5rei otts4t o3tund ot3url ot4zae
+            ot2zä otze4d ot4z5er4k ot4z5er4r oub2 ouch3e4 ou3chi ou3et ouf3f4 ou3f2l oug2 ou3g4a ou2ge o1uh ou3is. ou4le.
+            ou4lel ou4les ou2li oul3s o1um ou2n o4und oun4d5ei o5undso o3unf oun2g oure2 ou4r3et ourie4 ourme4 ourmet5
+            our4ne. ou2sc ous4i ousi4e ou2st out3el 3outf outli4 3outp out3s4 outu4 o1ü 3o2val ove3s2 oviso5 2ovo 2ow
+            o3wec ow3ef o4wer. ow3eru o2wh owse2 ox2al 2oxe ox3ele ox4erz o3xi. 3o2xid ox3l ox2od o2x1u ox3v 1oxy 2oxy.
+            o1yo oy3s2 o3z2a 3o2zea oz4en ozen4ta ozes4s5c ozes4s5t o3zi ozialer6 ozon3a órd2 ö3ba öbe4la öbe4li öbe4lo
+            öbels4 ö2b3le ö2br öb2s3 ö1c öch3l ö2chr öch6ste öchst5ei öchst5r öchs4tu ödi1 öd2st 1ödu ö1e öf2fl öf1l
+            ögen4s3 ö2gl ö2gr ö1he öhe2n3 öhle2 öh4nef öhre2 öh3ri ö1hu ö1i öi2g ö4ische ö1ke 1ö2ko3 ökos2 ö2kr ö2l 3öl.
+            öl1a2 ölas2 ölb2r öl3ei öl3em öl3ent ö3ler öles4 öl3ess öl4f3ei ölfen4 öl4f5end öl4fli ölf3s 1öli öl3im öl3in
+            öl4kle öl4kli öl3le ölle4n3 1ölm öl4nar ölo2 1ölp 2ölpe öl4ple 1öl1s öls2z öl3tu 1ölu 2ölz ölz2w ö2mie öm2s
+            ön3ec önizi5e ön2st ön3sta öntu3 ö1nu ö3o2ta öoti3e 2öp öpf3l ör1a2 ör2b3l ör1c ördens4 ö2r3ec ö2r3ei ö2r3e2l
+            ö2r3e2m öre2n ö4r3ene ö4r3ent öre4rer ö4rer4fa örer6fol ör6erfor örer6gebn örerin6t ö4r3er4l ö4r5ermü ör3ess
+            ör4fli ö1ri ö2r3il ö2r3im örne2 örner4v ör1o2 örs2k ö1ru2 ö4r3une örungs5 ö2sa ö4sch3a ö4schä ö4schef ö4sch5ei
+            ö6schene ö6schent ösche4r ö6sch5er6f ö6sch5eri ö6sch5er6l ö4schi ö4sch3l ö4sch3m ö4schn ö4sch3o ö4sch3r
+            ö4schum ö4sch3w ös2e öse3e ö4s3ein öse5str ös4s5che össe4n3 ös2st öst3a2 ös3te ös2th öße2n3 öß2ti 2öt ö2t1a
+            ö2t3ei ötel4n3 öte2n3 öt3ho ö2t1o2 ö2t1r öts2 öt2sc öt2tr öwe2 öze3 özes4 1pa 3paa pab2ä pab4lu pab4ru pab4rü
+            2pabw pach6t5er6 pa3e2b pae6cker pae4d5er 2paeh pa3ell 2paen pa3erf p3aerm 2paeß 2paet pae6terb pae6t5er6k
+            paet3h pae4ti pae4tr paet3t pa3fl pa3fr pag2 2pa3gh pa3ho pa3ke paki3 pa3kl pak4to 3pa3la pa4lar pala3t4 3palä
+            3pale pa3l4i pal4mae pal6m5ast pal4mä pal4m3o 2palt pal4tal pal4teb pal4tei pal4to pal4t3r pa3mi pam3s pa4nar
+            pa4n3at pa4nau pan3d4a pan5de pan5enz pa4n3eu p2anf 3panik pa4nisl pank2 2panl pan4nar pan4n5e4b pan6nene
+            3pa2no pans2 pan3sl 3pan3t4h 3panto 4pantr 3pap papieren6 papie6r5end pap4pr paps2 papst3 para3b 3parad pa4rae
+            pa4r3af par5akt 3param pa4rant 3paras pa2rä 2parb 4pare. pa3ree 4paref par5ein 4paren. 4parer parer6geb pa3reu
+            2parg pargel6d pa4r3id par5ins par4kae par4k5am par4k5au par4kop par4kr park5ra par4kue 2parm par3ne pa4rod
+            pa4roe pa4rof 3parol pa4ron pa4rö 2parp2 2parr 4parsa 4parst 4parsu 4parta par3t4e partei5 parter4 3party
+            2paru pa4rue 2parv 2parw par3z2 pa4scha pas5chaf 3pasi pa3spo pa3spr 5passa pas6sein passer4 pas6serg
+            pass5ersa pass5ersä pas6s5ert pas4sp pas3t pa5s4ter pa3s4tr 2paß pat2c pat4e2 4patel pa5ten 3pati pat3sa
+            4patz. 2p3auf pa3uni 4p3ausl 4p3ausr 4p3ausz 3pazif 1pä pä2c päck5er pä4d3er 2päh 2päl 2pän 2p3ärm 2päß 2pät
+            pä4ta pät3e4h pä4t3ei pä4t5ent pä4tep pä4t5erb pä4t5er4k pät3h pä2t3i pä2to pä2t3r pät3s pät3t 2pb 2p1c p3ch
+            2pd2 pda2 pdi2e 1pe pe2a pea2r pea2s 2p1e2b pech3e pech3s 4pecht 2peck ped4a pe5dan pe4dri 3peel peene3 2p3eff
+            2pefr pe4gal pege4l3 pe2gn pei1 2peic 2peie 2peig pei4l3a pe3im 4peis peise5i 2pek p2el pe4l3ab pe4l3ac
+            pe4l3ae pe4lai pe4l3au pe4l3ax pe2l3ä pelb2 pel3d pe4l3e4h pe4l5ei4c pe4l5ein pe4l5ei4s 4p3elem pel5end pel3er
+            peler5e peler6sa pe4l3et pe4leu pel3ex pel3i4d peli4n pel4inh pe4l5ink pel5inn pel5int pe4lit pelk2 pe4l3ob
+            pe4l3oe4 pe4l3or pe2l3ö2 pels2 pel3sk pel5ster pe4lut pel4zap pena4b pena4r pe2nä pend4a pende4c pende6l5a
+            pend4o pe4n3en penen5e pen3f pen5inn peni4t pen3k2 penn4i pe2n3o pens4e 3pensi pen3sl pen3sm pen5s4o5 pen5s4p
+            3pensu pen3ta 4pentw penu2 penz2 3pep pept4 pe3ra 4perad pe4r3ae pe4r3ak pe4r3as pe4rau pe2r3ä pe4r3e4b
+            pe4r3ec per5eig pe4re4l peren5e pere3s 3perga perik4 pe5r4io pe3rit per6l5a6sc per6l5aug 3perle pern5en
+            per3o4b per3oe pe3ros per4r5an perr5eig 4persio perwa4r per4zeu pes2a pese4n3 pes3s2 pest5op peten6z5a pet2r
+            2pe2x 2pey 1pé 2pér 2pf. p2fab pf3abe p2fad pf3aer pf3aeu p2faf pf3ai p2f3a2k pf3ame pf3ans pf3ant p2fa2r
+            pf3are p2f3as p2fau p2fäh p2f3är p2f3äu pfdru4 2pfe. p2f3e2b p2fef p2fei pf3eig pfeil5s4 pf3eim pf3ein pfe4l3i
+            pfels4 pfe2m pf3emi p3fens p2f3e2p pfe4r3a pfe6ran p6f5ereig pfer6gebn p6ferleb pf5erpro pfer6prob pfer6zeu
+            p3fes pfes5ta pfe5str p2f3e2t p2f3e2v p2fex pff2 2pfh p2f3i2d pf3inf pf3inn p4f3ins p4f3int 2pfk pf2l pf3lad
+            pf3lag pf3lam 3pfleg pf3lei pf3les pf3lie pf3lin pf3lis pf3los pf3lös pf3luc 4pfluem pf3lus 4pflüm pf3ly 2pfm
+            p2f3o2b p2foe2 pf3oed p2f3of p2fom p2fo2r pf3orc pf3ori pf3orn p2fot pf3ott p2fö2 pf3öd pf3ran pf3rän pf3ris
+            pf3rob pf3roe pf3ros pf3rö 2pfs2 pfsau4 pf3s4e pf3sk pf3sl pfspor4 pf3str pf3stu pf3sz 2pft pft4r p2fuh pf3uhr
+            p2f3um 3pfusc 2pg2 p3gl pgra4d 1ph 2ph. phack3 4p3haeh pha3el 4phaer pha3fl 2p3hah pha3k phal4t5a phal6t5es
+            phaltest5 p3hand pha3s pha4tr 2phau 2p3häh 3phän 2phb 2phd phebe4 phebel5 2p3hei phen3d4 phe4n3e phens4 2phf
+            2phg phik3a phi4kan phi4la phir3 phi4st phit3e 2phk ph2l 2phm 2phn p2ho. ph3oed phori4e ph2r 2phs pht2 4ph3the
+            phu2s3 phu3t 2p1hü 3phys 2phz 1pia1 piab2 pia5ka pi4a5li pi4a3n piap2 pi2ar pias2 4pi3ce pich3o pich3s p2id2
+            pie3b2 pie4gl pi2e3i pie4l3a4 pie6leis pieler6ke pieler6kl 3piep 3pier pie5rae pie4reb pie4rei pie4rem
+            pieren6z pies4st 1pig 1pil pil4zer pil4zi pil4zw pi3nal pi3nas pi3n4at 2pind piner4 pi4n5erf 2p3inf 3ping
+            pin4ga pingen4 ping5er ping3s 3pinse pin3sk pins4p pi3n4um 2pioi pi5o4n5al pi3os 1pip pi4pe. pi4pel pi3ra
+            5pirate pi3ri 3piro pir3u 1p2is 2pi3s2k 2piso pita6l5ent pite2 pitel3 pites3 2pi3t2h pit2s 2pitz pit4za pitz4e
+            pi4z3in 3pizz 2pj 2p1k2 pkur3a 1pl2 2pl. p3lab 2p3lad pl4an p3lanz pla2q p2lat p2lau pla2y p3lea ple3c p2leg
+            p2lem ple3n2 4p3lere p2leu p2li1 2p3lig pli3n4a p2lo 2p3lok plo4min plo3r p2lö 2pluf 2p3lun plu3r plu2s3
+            plus5s 2p1m2 p3ma p3mö 2p1n pnoe3 1po 2pobj po1c 3pock pocke4 3pod po5e4ben po3ems po3erb po3erh po3ets 2p3off
+            2poil po2in pok2 3pol po6lacke po4l3an po4l3au pol4d3a pol5ein pol5eis po4lep polo3p4 polo3s po4lum pol3z2
+            pom4ph p2on 2pond poni2 pont2 3poo po3o2b poo4len popa2 po4p3ak po4p3ar po4phi po2pi po4p3li pop3s2 2popt
+            po3ral po3rat po3rau por2ä po3rär pori4e 4porn. pors2 por4tae por4t5ak por4t5ei por4tem porter6l por4t3h
+            por4t5is 5porto. 5portos 5portra por6t5raeu por6t5rat por6t5rau 5porträ por6t5räu port5ren por6t5ric por4tro
+            port5sz 3po3ru po3s2p po2st po4sta pos4t5a4g postasi6 post5au post5ein pos4tem pos6t5er6h post3h pos5til
+            pos4t5or post5ra post5re post5ri 3pota po4t3ar 3potä 3pote poti4e pot3sp pot4t3a4 pot4t3r po4t3um po3un povi2
+            po2w1 po3wa powe2 1pö 3pöb pö2bl pö2c pöl2s 2p1p p2p3a2b p2p3ac pp3alt p4p3ank pp3ans pp3app pp3arb p2p3at
+            ppe3e pp3ein pp3eis pp3eit p3pek ppe4l3a4 ppe4len ppe4ler ppeli5ne ppe4lo ppe2n3 ppens4 p4p5erze pp3fa ppfen4
+            pp3fr p2pfu p2p1h pp1l p4plac p2plä p4plet p5plik pp3lis pp3lo p2p3oe2 p2p3oh p2p3o2p pporter6 p2p1ö2 ppp2
+            p2p3ra p2p3rä pp3rec p4p3reg pp3ren p2p3ri pp3roe pp3rol pp3rot pp3rö pp3run pp3rüc p2ps pps2a pps2p pp3sta
+            pp3sto pp3str pp3stu pp3sy ppt4a ppt4e pp3to p3puc p2p3um p2r2 3praef 5praeg 3prael 3praem 3praep 3praes
+            3praev 3praez pra3f 3prak 3pral pra3r 3prax 3präf 3präg 3präl 3präm 3präp prä3q 3präs 3prät 3präv 3präz 2p3re.
+            pre6cher6l 3pred 2pre2e pree3i 3prei p3reih prei4s5c prei6s5ei preis5s4 prei6st 4preiz 3prem pr4en pren4ga
+            pren4gl 3pres pres4st p3resu pri2e 2p3rig pri2l3 3prim pri4met 4pring prings4 3prinz 3prio3 3pris pri2t prit3a
+            prit5er4 prit5t 4pritz 3priv 1pro 3prob probe5i probein6 2proc 3prod 2proe 3prof 3prog 3proj 3prop 4pross
+            pro3st 3prot pro4ta pro3te prote5i 4prott pro3x 3proz 2prö 2p3rub 2pruc 4pruec 3pruef 3prueg 4prueh 4prung
+            prun4gl prung5sc prun4kr 2p3rut 2prüc 3prüf 3prüg 2prüh 2prün 2ps. p2s3ad 2psai 2psan ps3ang p2s3au 2psb 2psc
+            psch4l 2pse ps3ein p2seu 2psf 2psg 2psh ps2hi2 2psi psi2e psie3n4 psie3r ps3ind psis3 2psk 2psm 2pso p2s3oe
+            2p1sp ps2pe 2pss2 pss4a ps5sau 2pst ps3taf pst3au p3stea p3stel ps3tes ps2t2h ps3tha ps2to p2s2tu 2psv 2psw
+            1p2sy 2psys ps2ze 2pt pt3ak pt3alb pt3am p4t3ana p2t3ar p2t3a2t pt3au pt3ax pt1ä ptbau6mes p3te. p2t3e2b pt3ec
+            pt3e2d pt3ef pt3ei pt3ele pte2m pt3emi pt3emp 4pten p3tend pt3eng pten4ge p3tens pt3ent pt3ep pt3erb pter5ei
+            pt5ernt pte3ro pt3erw pt3erz p3tes p3tet. pt3eta pt3e4ti pt3eun pt3e2v ptgene4 p2t1h pt3ide pti2n3 pt3ind
+            pt3inh pt3ini pt3int pt3ir pto3e pto4mo pto4n3a pto4p3 ptor3a pto2w pt3rol pt3ru pt1s2 pt4soe pt3uh pt3ums
+            p3tung pt3urh pt3urk pt3url pt3urs pt3urt 1pty ptz2 1pu pua1 3pub 2puc pu2dr 2pue pueb2 3puef pue4lei pue4l3o
+            puf4fa puf4fr 2p1uh 2puk pu4ker pu2kl pu2k3o 4pule. pu4l3in pul4s5ac pul4sp pul4s3t pult3a 3pulv 2pulw 2pumg
+            pum4pa pumpe4 pump3f pum4p3h pum4p3l pum4p3r 2pund pun2e 3punk punk4tr pun2s 2punt pu2r3a pure2 pu4r3ei
+            pur5erk pur5erw purg2 pu3ri pu2r3o2 3purpu pu2se pus2h pu3she pus3t puter5s 3puts put6schm put6schn 3putz 1püf
+            2pül pü4lei pül3l pü2l3ö 2pv 2pw pwa2r 1p2y1 py3s2 py3t 2pz 1q 2qs qu2 3qual qu4ar que4rei que4ri quer3n
+            que4te. que4tek 2quew 2quip 3quo ra2ab r3aal ra3arb ra4b3ar rab4ble 4rabd ra4b3ei rabe4l ra4bep rab4er rab5erd
+            rabe4s5e 2rabf 4rabg 4rabh ra4b5itu 2rabk 4rabla rab3lo 2rabn ra2br 4rabre r4abro rab4rü 4rabs 2rabt 4rabw
+            3raby2 4rabz 4r3acet ra6cher5ei ra6ch5erf ra6ch5erh ra6cherk rach5in 4rachs rach5sk rach6t5er6h rachts4
+            racht5sp rach3u 3r2acr r2ada ra4dac ra4d3a4m ra4d3an 4radap 3radar rad5ein 4r5a4del. rad5ende rad5enz rad5erf
+            rad5erk ra4dern rad5ers rad5erz rade3s 3radf 3radh r4adi 3radio 3radiu 3radmu 3radp ra2dr rad3ri rad3s rad4sor
+            3rad3t4 3radw ra2e raech4s r2aed 2raeg 2raeh ra3elb ra3elf ra3elk ra3elr ra3els 4raem 4raenk r3aepf 2raer
+            r4aer. ra3erk r3aerm 3raers rae4sc raes5sc rae3te raete5i 3raetl 4raeue 4raeul 4r3aex rafa5els raf5ahn rafe2
+            ra4f3er raf3la raf3lü r4afo raf6t5erz raft3s4 rag2a 4ragg 2ragm ra2g3n 3ragou rag4stä 3rah. rahle4n 3r4ahm
+            r3ahn ra3ho rah4ter rah4t3r rai4c rail4l ra3ims ra3ind 1raj 4rakad 3rakan 3rakat 2rakk ra3k2l ra4kre 4rakti
+            rak4tin 3rakue 3rakü 2rakz r4al. rala2 ral3ab ral3ae ral3ag ral3ak ra5lamp ral5ant ral3as ra5laue ra2lä ral3b2
+            5ralbea r5alben ral5bl 5ralbuc ra4lel ral5ents ra4l5erb ra4l5erl ra4l5erm ra4l5ern ra4l5erz 2ralg ra4l3id
+            ralie4n rali5er. rali5ers ra4l5ind ralin6de ra4l5inf ralin6ge ral5insp ra6l5inst ralin6str ralin4t ra4lin4v
+            ra4lir ralk2 r3alk. 2rall ral3la r5alleg r6allin 4rallt r3allu r3allü 3rally 4r3alm. ra2lo ral3os 3ralö r3alp.
+            4ralpe 3ralq ral3s4k ral5s6tern rals5tuer ral6s5turm ral6s5tür ral4t5ak r3altä ral4tem r4al3th 2ra2lu ral3un
+            3ralü 3ralz r3a4mei 3rami ram4mab ram4man ram4mas ram4med ram4mei ram6mens rammer5 ram6m5ere ram6m5erk
+            ram6m5erw ram4mor ram4m3u ram4p5le 3ramsc 4r3amt ramt4s ran5ade ra4nae r3a4nal ra4nan ra4n3a4r ra4nau r3a2nä
+            4ranb ran4ce. r4anda. ran6d5ala r4andas ran6dau. r4anden ran4dep ran6d5ere ran6d5erh rand5erke ran6d5erm
+            ran6d5err ran6d5ers ran4dob ran4dre rand3s rands4t 4ranei r3anek ra4nenz r4aner ran5erk ra4n5erz ra4n3eu
+            3ranfi ran4gan 4rangeb ran6gerh rang5sk rang5s4p rangs4t rang5ste rang5str ran4i rani3e r3a4nil ra3nin ran4kr
+            2ranl 2r3anm r4anmi r3anna ran3ne ra4nod ra4n3oe 4r3a4nom 2ranp 2rans r4ans. ran5skr ran4spa r5anthr ranti4e
+            ran3um 4r5anzah ran4zar ran4z5er ran4zin 4ranzu 4ranzü ran4zw 3rap. ra4par 4rapf ra4pher ra4pok ra4pos 4rappa
+            rap4ple rap4pr 4r3a4pri 2r1a2q r1ar r2ara ra4rab ra4r3ak ra4r3an 4rarb 2rarc r2ard 4rarea 3r4arei raren5e
+            rar5erh rar3e4v r2arf ra4rid rari3e ra4r3in ra4rist 4rarm rar4man ra4rom raro4t rarot5i r2arp r2aru r2arv
+            4rarz rar3zw r2as. ra4sae ra2sä ra4schl ra4s3eb ra4s3el 4r3as4ph 4rass. ra2st ras5taf rast5ei ras4t3o ra5stra
+            3rasur 4r3asyl 2raß r4ata ra4tae ra4t3ar ra2tä ra4t3ei 4ratemg ra6t5en6te 4rathl ra3ti ra4tid rati4e rat5inh
+            r3atmo ra4toe r3atom rat4or 6ratorge 4ra4tro ra4tru ratsche6f rat4se rat4stä 4ratta 4r3atti 4r3attr ratu4r5a
+            2rau. r4aub 3raub. rau4ban rau4bel rau4bri r4auc rauch5a rau5chig ra3ueb raue4n rau4ere raue4r5i 2rauf 4raufb
+            4r3auff 4raufg 4rauf3l raufs4 4raug2 2rauk r4aum 5raumab rau4m5a4g rau4man rau5me. rau6ment rau5mes rau4m3i
+            r4aun rau4nal rauner4 rau6nerz r4aup 4raur 4raus. 4rausb 3rausc rau6scher rau6schn rau6sch5r 4rausd 4r3ausg
+            4raush 4rausl 4rausr raus5se 4rausv 4r3ausw r4aut. r4aute rau6t5ent 4rauto rau4tra rau4tro rau4tru raut5s 2rax
+            ra2xo r3axt ray3o 3ra2za ra4zub 2räb räch4s3 1r2äd 2räf rä3fr 2räg rä4g3ei 2räh 2räm 3rän. 3räni 3räns 2räp
+            2räq 2r1är r2är. rä3ra rärm4s rä3ro rä2sa rä2sc räs3sc rä3te räte3i 2rätz rä2u 4räue 2räul räu6scher 4räuss
+            2räuß 2räx 2rb rb3abb rb3abe rba4del rba4lin rba2m r4banf r4b3ang r4b3ant r4barz rbb2 rbby2 rbe5erf rbe5eri
+            rbei3d4 rb5einh rbein6te rbe6lach r6belaeh rbe4lau r4beläh rbe4ler rben4ac rbengene6 rbe5rae rber4ei rber6en
+            rberin6t rber5k rb5erke rbe5rum rbe3sl r4beti r2b3im r4b3inf r4blan r6b5lasser r4b5last rb2le r4b3le. r4b3leg
+            rb5lein r4b3ler r4bleu rb4lie rb4lin rb4log rb2lö rb2o r4bonk rboten6e rb2ö rb2r rb3ras rb3rea r6brechts
+            rb4sam rb4s3an rb4set rb4stau rbs4teu rb4sum rbun4da r2büb rby2t 2rc r1ce rce2n r3che. rch3ei rchein6s rche4l
+            r3che4n rchi3d r3chil rch3l rch5mi rch3n rch3ra rch3re rch3s2 rch5sp rch3t4a rch6t5er6f rch6t5erg rch6t5er6r
+            rch6t5erw r2ch3u rch3w r1ci r2ck r3cki rck3s r1cl r1cr 2rd r2dab rd2ac rda5chu r2da2d rdaer4 r2daf r2d3ak
+            r2d3al rd3ans rd5anti rd5anza r2d3a2q rd3ara r4d3arg rd3ark r4d3art r4darz rd3a4si rd3asp rdär2 rde4al r4d3ech
+            rdein6fl r4d3eis r4d3elb r4d3elf r4d3emp r3den rden3d rd5endu rden4es r6d5engen rdenk4r rden4s5a rd5enth
+            r4d5ents rde5ono rde4r5ei rde6rend rde5r4er rde6rer6g rder6folg rderin6du rderin6s r4derit r4d5ernt rder5oe
+            rder3ö rdes4k rde5stel rd5estn r5dete rd3eti rdeu4ri r2d3e2x3 rdi2e rdie5ne rdien4s rdiensta6 rdienst5ad
+            rdin4a rd3inf r4d3ins r4d3ira rdo4be rdoe2 r2d3o2f rdo2l rd3oly r3dom rd3oss rdo4st3 rdö2 rd3öst rd3rat rd3rau
+            r4drea rd6reig rd4reis rd3ris rd3rob rd3roc rd3rol rd3rom r4drose rd3rot rd2rö rdrucker6 rd3rum rd3run
+            rd4s5aen rd4s3än rds2p rds4to rds2z rdt4e rdte3l rdt2s r4dueb rdu2f rd3ufe r2d3ug r2d3uk r4d3ums rduns3 r2düb
+            1re re4ade rea6l5erw re2am rea4men rea2s re3as3e re3at. re3ats 2reä re4ban re4bau 3rebel reb4si reb4sti
+            rech5ar 5recherc re6cherfa re6ch5erzi 4rechs rech5tei rech6t5erh 5rechtl 5rechts re3chu 4reckg 4recki 4reckz
+            4recot 4recô 3recy 4redd 4r3edel rede3r 2redi r3e4dik 3redip 3redu re3el re3eng re3er re4es 3refe 2reff r3effi
+            3refl 3refro rege4l5a rege4l5ä regelei6g 2r3egg re3gi re2gn 2reh re4h3ac re4h3ar re4h3ei re4hel re4h5ene
+            re4h5ent re4hep re4herf re4h5er4l rehgene6 reh3l reh5le reh3n reho2 re4h3or 3rehö reh3ra reh3ro re4hue re4h3ur
+            re2hü r4ei. 3reiä r2eib rei4bar reich6si rei3de 4reidec 4r3eidg r4eie 4reier. 4reiern 4reiers r2eif 4reifel
+            2r2eig reig4a 5reigel r5eigene 5reigeno r5eigensc 5reiger 5reiges 5reigew 5reigru r4eih rei4kab reil4a 4reils
+            4r3eilt 4r5eimer rei4mor re3im4p rei5nalt 4reinan 4reinb rei5necke. 4reinf 4reing 4reink 4r3einn 4reino 4reinp
+            4reinr re5in6sel r5einsp re3in4v 4reinw 4reinz rei4sal 6reisant 4reisar 6r5eisenb rei6s5ent rei6s5erk rei6sers
+            reises4 4reisf 4reish 4reisk 4reisl rei4so reis5or 4reisr rei5s6temp 4reisu 4reisv 4reisw reit3s4 rei4zan
+            rei6zell rei6zene reizer4 rei6z5err rei4zwi 4rekk rekter6z rek4tin rek4top rek4tum rekturin6 2rekz 2r3elb
+            rel4e relea4 4re4lef re5lei 4r3e4lek 4r3elem re4lend r4elev 2r3elf re4lim 4relit 4r3elix rel4lar rel4l5ei
+            4r3elsa 4r3elst 2r3elt relu4d r2em r4em. re4m3a4b re4mau 2remb rem4da re4m3ei re5men re6m5erei re4m5er4f
+            re4m5erl 4remig r4empe 4r3empf 4rempo rem4sel rem4str re4mul r4en. r4ena rena4be re3nad re4nan ren5aue
+            4r5endab ren4d5an rende4b rende4k ren6d5erk ren6d5erm 4rendg 3rendi re4n3e4b ren3ec ren5ende re4nep 4r5energ
+            ren5erk re4n5erl re4n5erm 4renexe 3ren3f2 4ren4gad 4rengag ren4goe 4rengp 4rengs 4renhis re4nid re4n3im
+            ren5inn 4renju renk4lo renk4r 3renl 3renm ren4nar ren4n5e4b renn5e4c ren6nene 6rennen6n 4renng ren4n5in renns4
+            3reno re4nos renrue4 renrü4 rensch4 4r5ensem ren6serg ren6sing ren6s5pan ren6spat 6renstip ren6s5tri 4r3entd
+            6rentera 4r3entf 5rentfo 4rentgi 4r5enthä ren4thi 4r5enthu 4r3entl rentmo4 ren6tric ren4trü 4r3ents 5rentss
+            4rentw 4rentz 4renue 4renumg 2renü r2enz ren4z5ar ren6zerg ren6zer6l ren6zerm renz5ertr ren6zer6w ren4z5in
+            ren4zut ren4zw 4r3enzy re3ou 3repe 4r3e4pen re3pf 2repi re4pis 4r3epoc 2repp 3repra 3reprä 4repren 3repu r4er.
+            rer3a4b re3rad 4r5er4bie 6rerbreg 4r3erbs 4rerdb 4r3er4dr rere4d re4r5eid 4r5ereig 4r3e4rek re4r5ent re4r3ep
+            re4r5ers re4r5erw re5res r3erfa 4rerfah r3erfo 4rerfol r6erform rer4fue 4r3er4fü 4r3ergä 6rergebn rer4gom
+            rer4gri 4r3erhö r2eri re4r3id re4rim rerin4f rerin4s rerin6ter rerk2 rer4kan 5r4erki 5r4erko 5r4erkre
+            5r6erlaen rer4lan 5r6erland 4r5erlau 5r4erlän 5r4erli 4r5erloe 4r3erlö 4r5ermae 4r3ermä 4r5ermit rer6mued
+            rer4müd 4r3ernä rer5ne 4r3er4ni 4r3erns 4r3ernt rero4b 4r3erod 4r3eroe rer3o4v 2r3er2ö rer5reg 5rers. rer6sätz
+            rer4seh rer4sto 4r3er4su rer4tei re2ru rer4wac 4r3erwä 6r5erwerb 4rerzae 4rerzä rer5ze. 5r4erzei rer5zen
+            rer5zes 5r4erzu 5r4erzü 5r4erzy r2es r4es. re4s3an re4s3au rese4h 3reser reser5e 3rese4t re4s3in re4s3of
+            3resol 3reson 6ressen res6s5erf res6s5er6m res6s5erp res6s5er6w ressgene6 res4spa 3rest. re5start res4tas
+            5reste. rest5ein re5stel 5resten4 res6tent res4tex re4stö rest5rau rest5ric 3rests res4tu 4r3etab re4t3ak
+            4r3e4tap 4retat retex4 re2th 4rethi re4t5rol rett3a ret4tan ret4th rett3s4 reub2 reu4eri reu3g2 2reul re3ums
+            re3ung 4r3eunu 2reup 2r3eur reu4z5ei 2reü 2reva re4val revil4 rewa4r re2wi rewin4 2rewo 2r1e2x1 2rey 1ré 2r1f
+            rfa5chu r2fap r5fast rf3aue rf4äh r4fense rfen6ste r4f3erd r4f5er4la rfer4le rf4es rff2l rff2r rfi4le. rf3inf
+            rfin4s r2fj rf2l r4fland r4f3lic r2f3o2b r2f3o2f rfolg4s rf2r r4f3ras r4f5rauc rf2sa rf4säu rfs3id rf4sor
+            rf2su rf2u 2rg rg2ab r2g3a2d r4g3aeh r4g3aem r2g3ah r2g3a2k r4g3alb r4g3alp rga4me. rg5amei rga4mes r5gamo
+            r4g3amt rga4ner rga4nin r2g3ap rg5art. r4g3ask r5gasse. rga4st rgast5a rgast5ei rg3auf rg3aus r2gäh rgd2
+            rge4ant r4g3ech r4g3eid r4g5eise rge4l5ac r4g5elef rgel5ein rgel5in rgene6rals rgen6gel rgens4p r4g5entr
+            rgen4zw rge4ral rge6rang rge4rau rgerin6t r4g5e4tap rgg2 rgi5er. rgi4sel r4gl. rg2le rg3le. r4gled rg3leh
+            rg3ler r4gleu r4glig rg4loec rg4log rgmi2 rgn2 rg3nar r2g3ni r2gno rg3nom r2g3ny r2g3oa r2go2b rgoe2 r4g3oed
+            r3gog rg3ora rgö2 r2g3öd rg2r rg5raen rg3rai r4g3ral rg5rand r4g3rän r4g3reg r4g3res r4g3ret rg3rüs rgs4al
+            rgs2c rg4sel rgs4en rgs2i rg3s4pe rgs4pi rg3spr rg5stei rgs4tol rgs4tra rgs4tub rgti2 r1h2 2rh. r2ha. 2rhaa
+            2rhae 2rhah 2rhak 2rhal rhal4b3 2rhan rhang5s 2rhar 2rhau 2rhä r2he. 2rheb 2rhef 4rheit 2rher rhe4r3e 2rhi
+            r2hod 4rhoel 2rhof rhof3s rho2i3 2rhol 2rhot 2rhöl 2rhs 2rhue rh4un 2rhü 3rhyt ri5alei ri5a6l5erw ri5alim
+            ri3am. ri3ams ri3ang ria3no ria3p ri4ara ria3s4t rib4bl rib2l ri3ce rich3a ri5chlo rich5ska rich4sp richtgene6
+            5richtl richt6s5e richt6s5o ri4cki ri4con ri4dar ri4dau 4r3i4dea 4r3idee ri4d3e4l ri4dent 4ridol 2ri2dy r2ie
+            rie4bac rie5blo rie4b5ru rie4b5rü rie4fem 4riefm rie4fr rie5g4r rieg4s ri2e3i2 riein3 ri3el. rie5la ri3ell
+            ri3els rie5n6ade riene4 riener5i ri5enro rie5rad rier5ei. riere4n rie5res ri3ern ri4ernu rie3sa rie5sta ri3eur
+            ri2fa rif3an ri2fä ri4f3ei ri4f3er rif6f5en6d rif4f5er rif4fr ri4fin ri2f3o rif3s2 rif4t5er 1r2ig riga3e
+            4r3i4gel ri4g5ene ri2gl rig3la rig3lä ri3g2o ri2g3r ri1i2 rika3s4 ri2kä ri4kin ri2k3l ri2kn ri4kone ri4kor
+            ri2k3r ri4kun rila4b rilf2 rille4n5 2rima ri4mag ri4m3au ri4me. 2rimm 2rimp rim2s3 r2in. ri3na 4r3inan 4rinbe
+            3rinde rin4dia 4r3indu ri3n2e rine3i rinein4 rine3s4 2r3inf rin5fr 5rinfre r2ing rin4g3a rin4gei 6ringeni
+            rin4gle rin4gor rin4gr ring5sc ring5s6en ring5sti ring5str 2rinh 5ri5ni. 4rinit 2r3inj rin4kal rin6k5ent
+            rin4kl rin4kn rin4ko rin4kri 2rinl 6r5innenm 4rinner r5innere r3inno 4r3innr 4rinnta rino3 2r3in2q 2rins
+            r4ins. rin4sc r4insen rin4sig rin4sol 5r4inspi r5insti 3rinsy rin4t5an 4rinte rin6tent rin6ter6g r4intr
+            rin4t5re 2r3inv rio2d 2r1ir r2is ri6schei ri4schl ri4sch5o rischoe6 ri4sch5ö4 ri4schw risen3 3risik 3risk
+            ri3s4ko 4risl rismu4 4risol 4risom ri2sp ri4spi ris3pr ris4ser ris4sp ris4ste ri4st rista4 rist5ab ris6t5erf
+            ris6t5ers ris3to ris4t3r r2it 4r3i4tal rit5ant 2ritr rit4ra ritre3 rit3s2 ritt3a rit4tan rit4tau rit4t3h
+            rit4to rit4tr ritt4s5o 3ritua r3i4tum rix1 rizi4s 1rí 2rj 2r1k rka4b5l rk3adr r2k3a2g rk3all r4kanl rk3are
+            r4k3att rkauf6st rk3edi r4kelem rke3lo rke2n rkens4t r3ker rker4he rker4le rker4we rk3ide r2k3im rk3inh
+            r4k3i4n3i rk2le rk2lu r4knut r4k3o4be rko3ef r4kord r4k3o4ri r2k3ou rk2ö rk2r rk3ren r4k3rom r4krou rk4s3al
+            rks3au rk4s5cho rk4s5ein rk4sel rks5ern rk4sin rks5inn rk2so2 rks3or rks4pen rk3sta rkstati6 rk4stoc rk4stor
+            rk3str rk5s4tue rk4sum rk4t3ak rk4t3an rk4t5eng rk4t5ent rk4t5erf rk4t5erg rk4t5erk rk4t5erl rk4t5ero
+            rk6t5ersc rk4t5erw rk4t5erz rk4t5eta rk4t3in rk4t3o4b rkt5ope rk4torg rk4t5o4ri rk4t5rad rk4t5rat rkt5rei
+            rk4t3ri rkt4sor rk4t3um rku2n rk3una rk3uni rku4ra rku4sa rkus3t 2r1l rl2a rlage4n5 rlags5t r3lan r5land
+            rlan4d5i r2l3ar rlas4t5r r4l3au. rl1c rle2a r3lec r5lei. r3lex r3li rli4ne. rli4nee rli4nem rli4nes rli2s
+            rloes5s rlog5in r3lor rlos3t rlös3s rl3skr rl3ste rl4sto r3l2u rlust5a rlus4t5r rlz2 2r1m rm3ade rma3le
+            rma4leb rm3ami r4m3amo rma5n4e r4m3ank r4manl r4manp r4mantr r4m3aph r4m3a4po3 r4marc r4marz r4matta rm2ä
+            rm3d2 rmd4e r4m3e4ck rme5erh rme5erz r4m3ei. r4m5einb r4m5einf rme5inha rme5inse rme5in6to r4m5einw rme4ner
+            rmens4 r4m5entf r4m5ents r4mentw r4mentz r4m3erb rmere4 rmer6fah r4m5er4fo r4m5erfu r4m5erfü rmer6geb r4m3erh
+            rmer4ha rm5erkr r4m3erl r4m5er4na r4m5er4nä r4m3erp r4m5erse r6m5erwei r4m5er4ze rm4es rme3s4a rme5sta rme5str
+            r2mex rmid2 r4m3i4de rmilch5 rmi6nanz rmi4nar rmi6neng rmin5it rmin6terp r2m3i2r rmi6schl rmi6schw r4m3iso
+            rmiti4 rmm4a rm5man r4m3obs rmo3el r4m3ofe rmo4nau rmon5s4 rmo6reng rmo4ri rmo3st rm1p2 rms2k rms2p rms4tr
+            rm3ums rm3umt r4m3una r4m3unf 2rn r1na r3na. r2nab rna4ben rn3abi rnab4l rnab4st r3nac r4nacc r4n3aes r4naho
+            r2nak r4n3ala r4n3amt rna2n rn3an. rn3ana rn4and rn3ani r4n3ano r4n3anz rn3app rna2r r4nare r4narg r4n3ari
+            r4narm rn4arr rn5arra r4n3asp r4n3ast r4n3atl rnat4s3 r4nauf r4naug r4naus r2n3äs rnd2 rn3da rndi4e rne4bl
+            r4n3eff r3n4eid r4n5elfe r4n3e4ma rne2n r5nen. r4n5ends r4n5ener rneng4 r2n3e2p r4n5erbi r4n5er4fa r4n5erfo
+            r4n3erg r4n5erke r4n5er4ku r4n5er4le r4n3ert r4n3er4w r4n3erz rne4t3a rne4ter rne4to rne4t3r rne3u4f rn3f2
+            rng2 r2n3i2d r2n3in rn4i3na r3n4ing rnk2 rnk4a rnn2 r2n3oc r2n3oe rnoe4d r3noet rn3oly r4n3ome rn3opf rn3orc
+            rn5ost. rn5osti r4n3ott rn1ö rnö2d r3nöt rn3sä rnsch4 rnse4h5a rn3s2k rn3s2l rns2p rns2z rn3te rnte3e rn3tr
+            r1nu rn3ums rn3ur rnus3 r1nü r1ny rn3z2 1ro. ro3adr r5oberf ro4berl 2robj r4obo ro4b3o4r 2robs ro1c 3rock.
+            ro4ckel 5rockes 3rock3s ro4cku rodi4e rod2r roebel5 roe4bl roe2f r3oefe r4oeh ro4eis 4r3oek 4roel. ro3ela
+            r3oelf r3oeli roel4la 2roem 3roemi ro3en. ro3end ro3enf ro3enk ro3enz ro3erf ro3erh ro3erz ro3eta 3roetu ro3ev
+            ro3fa ro4fen 4roff 3rogg ro4h3in r4oh3l4 roh5nau ro4hoe 3rohr roh4rer ro3ir ro3iso rok2l r3okt ro3le ro4liv
+            rol4lac rol4l5a4g rol4lan rol4las rolle4 rol4l5eb rol4lei rol6lerg rol6ler6w rollor4 rolls4 roll5ste r4olo
+            rol3s ro4lym 5roman. 5romane rom4anf 4romb ro4mei romen5e rom5ent ro4mer rom5erk rom5ers 2romn r4on. ron5ant
+            ro3nar ron4au rond4a ro4n5erb roni4e ro4nikg ro4niki ro4niku rons4 ron4t5an ron4tar ron4tel ron6tend ron6terf
+            ron6terk ron4th ron4t3r ron4t3u 2rony ro3o2f r3oog 3room 4ropf ro3pn ro3p4r rops5t 4ropt ror3ab ro3rae ror3al
+            ror3an ro3rau r4o3re 4r3orga r4oro ro3rol ro3rom ro4rop rort4st r4oru ro3r4ue ror2ü rosai4 r4ose ro3se.
+            ros5elt 3rosh ro3s4i 3rosin ro3sp ros4pe ros4s5ei ross5enke rosseri6 ros6sess rossmut6 ros4so ros4spa ros4st
+            ros4t5er 3rosto r3oszi ro4ß5en4k ro2ßi ro2ßu ro4t3ak ro4t3al ro4t5ars rot5art ro2tä ro4t5en4d ro4terl rot5ers
+            ro4thu ro4toe rot3sa rots4te rot6terk rot6terl ro4t3um 3roule roulet4 3rout r3ouv 3rowd r4ox. ro3xa r4oxk
+            röbel3 rö2bl rö2du 2r1ö2f 1röh 2r1ök r3ölf röl4l3a 3römi r1ör 3rösl 3rötu 2r1p r3p2a rpe4r3a rpe4r3e rpe5re.
+            rpe4r5in rpe2s3 rp2fa rp2fä rp2fo rp2l r2p3li rp2sa rp2s3i rps3t rp3t 2rq 2r1r rra3b4r rr3abt rr2ac rr3a4ck
+            rr2ad rrade4 rra4deb rra4den rra4der rr3aem r4r3akt r3ral rrat4st rr5aufg rr5aufl rr3äm rr1c r3reh rr5einr
+            rreise6k rrena4 rre4nob rren3s4 rren6z5er rrere4 r4r3er4h r4r3er4l r4r3esk rre4ve r4rezi rrg2 rr4hen rr4hos
+            r3ri rrid4 rri5er. rrie5r4e rri5erm rrik4 rri4tan rrk2 rr4nau rr3obs rro3el rroe4s3 rron3 rro4re r4r3osz
+            rrö2s3 rr2th r3ru rr2ue rrue3b rruecker6 r4rur r3r2ü rrü3b rrücker6 rry1 rrz2 2r1s r3sabo r3sac rsa5chu
+            r2s3a2d r4s3aem r2sak rsa4lin r4s3amt rs3ana r4sanb r4sanf r4sanga r4sanp r4s3ant r4s3anz r2sap rs4ark r5s4au.
+            rsau6erl rsau4g rsau4m rsau4n rsau5se rs2är rscha4o r3sche r4sch5e4b rsch5einh rscher5ei r3schi r3schl r3scho
+            rsch5ort r3schr rsch4ue r4scor r4s3ebe rse2e r3seg r4s5e4mis r3sen rse5n4al rse4ne rsenk4r rsens4 rser5ei
+            r4s3erh r4s3er3o r4s3erö r4s5ersc r4s3erw r4s3erz r3set rsex4t rs4ha4k rs4har r3s4ha4v rshi2 r3shir r3s4hor
+            rsi3el rs4il rs4kal rs4kel rs4kie rs4kis rs4kle r3skul r2sky r3slip r3s2lu r3s4mog r3snob r2so2b rs2om
+            r4s5ort. r4s5orts rs3ost rs2p rs5para r4s3phi rs3s2 rst5abl r3stad rst5ala r4stale r4stanp r4st5ans r4stant
+            rst3as rs4tat r4staus rstauto6 rs5täti rs4tei r4s5teil rst5eindr rst5einga rst5emi rs4temp rs4terb rst5erba
+            rst5er4f rs4t5er4h r4steri rst5er4l rs4tern r4st5ero rst5er4ö rst5er4r rst5er6st rst5er4t rst5er4w rs4t5erz
+            rs3tes rs4t5ess rs4t5eta r3steu r3s4tev rs4tew rs2th rst5her r3s4tie r4stin rst5ing r4stit rs2to r4s3tot rs2tr
+            r6st5rat. rst5rät r4strea r4s5tren rst5ret rst5rin r4strun rs2tu r6stuebe rst5ums rs5tung r4stübe r2sty rsui2
+            r4sumf rs3umw rs4win r2sya rs4zin 2rt r4t5a4ben r4t3abo rta4ck rt3aeh r5taet rt3aff rt3aga rt5a6gent rt3aka
+            rt3akr rt5aktes. r4talle rt5allt rt3alp rt3ama rt3ana rt3ang r4tange r4t5anku rt3ann rt3ans r4tanw rt5anza
+            rt3arb r4t3arg rt5a4rie r4t3arm rt3art rt3asp r5tat. rt3atl r4t3atm rta4to r4t5auft r4taut rt3äh rt3ärm rt3ärz
+            rtät2 r3te. r4teben r3ted rte3eh rt3eff r3teh rtei3f rt3ein r5t4e5in4d rtei3s4 rte4lae r4t3el4b rte4l5ei
+            r4telem rte4l5en rte4ler rte4lit rtel6lau rtels4t rtel5ste r4t3emb rtem4e rte4nem rte4ner rte4net rtenge6bi
+            rten3s4 r4t5entf rt5entl r4t5ents r4tentw rteo2 rte5rae r6t5ereig r4t5erfo rt5ergu rt5ergü r4t5erla rter6mit
+            r4t5erna r4t5ernä r4t5ernt rter6öff rter6sparn r7t6erstel rter4wa r3tes rte3s4k rte5stat r4t5etab r4t3e4ti
+            r4teuro rtex4tr r3t4hag r4t3heb r4t3hel rt4herr rt3heu r2t3hi r4thony rt4hum r2t3i2d rti2e rti4gel rti4g3r
+            rti4kl rt5illu r4t3i4ma r4t3ind r4t3inf r3tit r3to r4t3oef rto4nam rt3ope rto5pfl r4topt r4t3orc r4t3org
+            rto4rie rto3s rt2ö r4t3ral rt5rams rt5rand rt5rati rt3rea rt3reb rt5reic rt5reif r4t5reis rt5reit rtreu4
+            rt5ring r4t3ris r4t3riv r4t3rob r4troh rt5roma r4t3ron r4trou rtrue4c rtrü4c rt5sand rtsch4 rts5ing rt4sis
+            rtski4l rt4s3or rt5s4pas rt5s4por rts4tru rts4tue rtt2 rtu5end rt3uh rt3umb rt3und r4tunf rt3ups rtu4rei
+            r4t3url r4t3urs rtus3e rtu2t r4t3ute rtwa5re rt2y1 rtz2 ru1a ru3a2r3 rube4 rubens6t ruch3a ru4ch5er5 ruchter6
+            ruch6top rucht5s ruck3a ru6ck5erho ru6ckerhö ruck5er6kr ru6ckerzeu ru4cku rude4a rude4l5i ru2dr rueb3r 5rueckf
+            5rueckg 5rueckz 5ruempe ru5enz. ru5enzs 1r2uf 3ruf. ru2f3a ruf5erei ruf5erk ru2fo ruf4se ruf4ter ru4fum ru4gae
+            ru2gä ru2gr rug4sa ruhe3i 3ruhm 3ruin ru3in. ru3ins ru3ist 2r3ulk 2r3ulm 2rum ruma2 ru4maa ru4m5aer ru4mal
+            ru4mar ru4mär r3umd rum3ei 4rumf ru2mi rum4mei r4umpe rum4ple r4ums. r3umt r3umw 2r3una 2r3unb 4run4d3a r4unde
+            run4d5eb run4d5ei run6demo runden5e run4dep run6d5erf run6d5erk run6d5erl run6d5ern run6dero run6d5ers
+            run6d5ert run6d5erw run6d5erz run4do rund3r rund3s4 run4due 4rundv 4rundz runei4 4r3unem run4en 2runf runft3
+            4run4ga 4r5ungeh run4gei run4gel run6gerg 4rungl run4gla run4gr rungsauto6 2r3u2ni run4k5er4 2r3unl 2runm
+            2runn 2runr 4runse 4runsi 2runt runte4 2runw ru2p3a 2rupd ru2p3h rupt4o 2r1ur ru2ra ru2r3e r2us ru4sam
+            rus4s5er 3russi 3russl rus4spa rus4ste rus6t5erf rust3o ru4ß3er ru4t3ab ru4tak ru4t3an ru4t3ap ru4tau rute2
+            ru4tei ru4t3el rut5erf 2ru4to rut3o4f ru2t3r rut6scha 2ruz ru2zw 2rüb rü4bc rü4bk rü4bs rü4ckel 3rückg rücks4
+            rück5sa rü4fet rü2fo rü4h3e4l rüher4 rüh3la 3rümpe rün3f rün3z2 rüse2 2rv rve3a rven3e r4ventz rve3s rv2o 2rw
+            rwe4gel r5weis r2wo. rwolf3 2r1x 1ry ry2ac ry2c ryl3e ry3sth 2rz rza2b rz4aeh r2z3af r2zak r2z3al rz3am rza2n
+            rz3and rz3ano r4z3ant rz3anz rz3app r2z3ar r2zas r2zat rz3aud rzba4c rz3ega r3zel r4zelem rze4li rzell4a
+            rzen3e rzen6gen rzen6ten r4zentg r4z5entl r4z5ents r4zentw r4zentz rz3epe r4z3er4d r4z5er5ei r4z5erfo r4z5erfr
+            rz5erfu rz5erfü r4z3erg rzer4la r6z5erreg rz5er4sa r4z5ersc r5zert r4z3erw r4z3er4z r3zes r4z3ess rzeu4g5i
+            rzeugin6n r2z3id r4z3ind r4z3inf rz3inh r4z3inj r4z3int rz3inv r5zirk rzkop4 rz5oele rz2of r2z3ot rzten4g
+            rzt5ric rzu4gl rzum2 r4zwar r3zwec r4zweis r4zwet r4z5wir rz4wis r2zwo 1sa 3s2aa saat3s 2s1ab sab2ä 5s4abbat
+            3sabel sa4ben sab5erk 3sabet s3abh sa4b3i4t sa2bl sa4bo. sa4b3or sa2br sa3b4ru sab4rü s3abs 2sacc sa5chal
+            3s4ache sach3o4 sachs4 sach3t 3sachv s2ack sa4cki sa3cr 2s3ada sa4der 2s3adm 2s3a2dr s2aeb 3saec sa3e2d 3saeg
+            4s3aehn 4s3aelt 4s5aemte 4s3aend 4s5aengs 2s3aep 2saeq s3aerm 3s2aet 4saeugi 3saeul 4s5aeuss 4s3aeuß sa4fe.
+            2s3aff sa3f2r s2aft saf4to saf4t3r saft3s4 3sage. sage3i 5sagen. 4s5a4gent 2s3agg sa4gio 2s3a2gr sah3l sah3n4a
+            s2ahs 3s2ai sai2b sa3ik sai4ka sail2 sai2r s1ak sa2ka 3sa3kar 3s4aki 2sakk 3sa3kl 3sako 2s3akt sa4kus 2sakz
+            3s2al. sa3la sa4l3a4g sa4lal sa4lan sa4lar s4alat sal4bo 3sald 3sale sa4leb sa4l5erb sa4l5erf sa4l5erk 3s2ali
+            sa4l3id sali5er. sal5ins sal4le. 4s3alli s3allt sa4lor 3s2alp sal4s3o sal4tau s3altä s4alto 3s2alz sal4zer
+            sal4zw 3sam. sa4mae sa4map 4s3a4mat sa2mä 4s3ambu 3s2ame 4s3a4mei samen5s 4s5a4meri sa4m5ess 3samf sa4min
+            3samk s2amm 5samml 2s3amn sa4m3oe samp4 4s3amph 3sams sam3sc sam4ti sam4to sam4tre sam4tri samt5s4k samts4t
+            3samu sa4nae 4s3anal sa4nan s4ana3t sa2nä 4s3anbr san2c 5s4and. san4dab san4dan san4d5ar san6d5ers 4s5andeu
+            san4dob san4dot san4dre san4d5ri 3s4and5s4 sa4n3er 4sanfa 4sanfä 3sang. 3sanie 4s5anker sank4l 4s3anku 4s3ankü
+            2sanl s3anm s4anmu 2s3a2no 2s3ans2 s4ans. san5sp 4santr 4santw 2sanw s1ap sa2pe 2sapf sapi3 sa4pos 2sap3p
+            s2apr 2s1a2q s1ar 3sar. s2ara 2s3arb 2sarc 3s2ard 4sarea 3sarg. s4arge sar4gl s4args 4sargu 4sa4rit 2sarl
+            2sarm 2sarr s2ars 2sart sarts4 s2a2r3u2 s2arv s2arw 2sarz 2s3a2s2p 4s3asso sa3s4tu 2s3a2sy satan4 sa4t5ant
+            sat3ei 4s3a4tem 2s3atl 2s3atm sa4tol sa2tr sats2 sa3t4su 4s3atta 4s3attr 3s4atz sat4zei sat4zel sat4z5en
+            sat4zer5 satz5ere 5satzk s2au. 3s4auc 3s2aue sau4ere sau6erste 4s3aufb sau5fra 4s3aufs s3aufz s5auges sau4gla
+            sau4gle sau4glo 3sau4g3r sau2i 2s3auk 3s4aum 3s4aun sau3n4a3 s2aur 4s3aura sauri5 saurie4 4s3ausb 4sausd
+            s5ausei 4s3ausf 4s3ausg 4s3ausl 4s3ausm 4s3ausn s3ausp 4s3ausr 4s3auss saussen6d s5austau 4s5austr s3ausu
+            s3ausü 4s3ausw 4s3ausz 2s3auß sauto6rin 2s3a2xi s4axo sa2y1 1sä s2äb 3s2äck 3s2äg säge3i s1äh 2sähn 2s3ält
+            2s1äm 3säma 3säml 2s3änd 4s3ängs 2s1äp 2säq s1är s2är. 2sära s2ärg 2särm 2särz s2ät s4äuge 4säugi 3säul 3s4äur
+            4s3äuss 2säuß 2sb2 s3ba sba4ne sb4au sbau6m5en sbe3n4a sbe3ra sber4e sbest5op sbi2e s3bl sb4li s3bo s3br
+            sbue5be sbü3be 1sc 2sc. 2scab 2scac 2scaf 2scal 2scam s2can 2scar 2scas 2scat s1ce 2scei 2s4ch. 4schabf
+            scha5cher. s4chad s4cha4e 4schaep 4schaeq 3schaf s4chal 4schame sch5ana 4schanc 4schang 4schanl 4schans
+            4schant 4schanw 4schao 4schap 5schar. 4schara 4scharc sch5arme 4scharo s4chauf 6schaufk 6schaufn 6schausf
+            6schauss s2chä 4schäp 4schäq 2schb 2schc 2schd s4che. 4schech 4schef. 4schefs 4sch5ei. 4scheim 6scheinm
+            schei4s s4chel 4schemi 4schemp 6scheng. 6schenge. 6schentk s4cher scherin6s scherin6t sch5er6kl scher6kran
+            6schernt scher6trag 5scherü 4schess 4schex 2schf 2schg 2schh s2chi 4sch3i4d 3schie 5schil 4schimi 4schinf
+            4schins 4schint 4schiru 2schj 2schk 4schlad 6schlaed 4schläd 4schle. 4schleb 4schleh 6schlein 4schlek 4schloc
+            4schlog sch5lor 4schlöc 4schluf 6schmaes 6schmaeß 4schmas 4schmaß 4schmäs 4schmäß 4schmed 4schmes 4schmex
+            4schmod 4schmoh 4schmüh 4schmy 4schn. 4schnas 4schneb 4schneg sch4nic 4schniv 4schnum sc4ho 4schobj scho4e
+            4schoer scho4f sch5ofe 4schoh 4schorc sch5ord sch5org sch5orte sch5ortu 4schox 4schök 4schöl 3schön 4schör
+            2schp 2schq 4schrad 4schrag 4schrap 4schras 4schräu 4schre. 4schrea 4schref 4schreg 4schreh 6schreif 4schrep
+            4schres 4schrin 4schris 4schrol 4schron 6schrote 4schrou 4schrus 4schrut 2schs sch3s4k schs4p sch5sta sch5s4ti
+            sch5str sch5stu 2scht sch3t4a s4chu 4schuhu 4schumg 4schunf 4schunt 3schur sch2ü 2schv s4chw 4schwaa 4schwah
+            4schwas 4schwäl 4schwec 4schweg 4schwet 4schwid 2schz 2scj 2s1cl 2scoa 2scoc 2scod 2scom 2scon 4scoup 4scous
+            scre2 s2cri 2scs 2scu 2scy 2sd2 s2daq sdaue4 s3de sde2a s3di sdi2a sdi2e sdien4s s3do s3dr s3ds s3du sdue3b
+            sdü3b 1se sea2n se3at. seauto6r se4ben seb2l 4s3echo sechst5r 4s3echt 2s3eck sed2 sede3 sedes4 sedi4e se4dik
+            se4dit 3see se4e3i4g see3na se3end see5n4e 4seeng se3ent se3enz see3p2 see3ra se3erb se3erd se3erf seer4i
+            se3erk se3ern see3ro se3err se3ers se3ert se3erz see3sk sefen4 2s3eff sef2l 4s3e4gal segelei6 3se2gl se3gla
+            se3glä se3glo se2gn s3e2go seg2r seh5abe se4h3a4g se4h3ak se4h5ang se4hap se4heng se6hense sehen4t seh5ente
+            se4hep se4h5erf se4h5er4k se4h5erl seh5ing seh5int seh3l seh3na seh3ra seh3ri seh3ro seh3s seh3t se4h3ur
+            se4hüb 2s3ei. 2s3eic 4s3eid. 4s5eidec 4s5eides 4s3eids 4s5eifer 2s3eig s4eih s2eil sei4l3a sei4lei 4s3eime
+            se3imp 5s4ein. 4s3einb 4s3ein4e seine5i seinen4 4s5einfl se5in4fo 4s5einfu 4s5einfü 4s3eing sein4ha 4s5einhe
+            4s3eini 4s3eink 4s3einm s3einn se5inne 4s3einr s5einsat s5einsät 4s5einsc s5einspa sein6stit sein6str s5einstu
+            se5in6ten sein6ter 4s5eintr 4s3einw 4s3einz 2s3eis 3s4eism 3s2eit 2sekz s2el. se4l3ac sela4n se4l5ano se4lanz
+            se4l3at se4l3au s2elb 4selbis selbst5e selbst5r sel3d4 sel3e4c se4lef 4s3e4leg se4l5eig 6selektr 4seleme
+            selen5e se4l5ent sel5erd se4l5ere seler5ei se6l5erfi se4l5erk se4l5erl sel5erm 4s3elf. 4s3elfm sel5ind sel5inf
+            sel5inn se6l5inst 4s3elix selk2 3s2eln se4l3ob 3s2els sel5skl sel5sko sel5stem sel5sti sel3sz seltex4 se2lü
+            selz2 4s3e4mig 2s3emp s4en. sena4b se4na4g se4nah sena4r sen3au se5n4au. se2nä 5sendel senderin6f sen5eck
+            se5neg senei4l se4nel sen5ende senen5e se4nep se6n5erei se4nerf 4senerg se4n5erk se4n5ers se4nerw se4ness
+            se4n3e4v s2enf sen5fun seng4le 4sengp senhaus6 3s2eni se4n3im se4n3in 6s5en6keli sen6kero sen4k5ni senks4
+            sen3ob se4noe se4n5ott se4noz s4ensa sensch4 sen4s5e4h sen6s5ers sen4s5i4d sen4s5in sen5s6lan 3s4enso senst4
+            sens6temp 4s3entd sen6tenr 4s3entf 4s3entg 4sentla 4s3entn sen6t5ric 4s3ents 4sentw 4sentz se4n3un sen4zun
+            sen4zym seo2b se3of se3oh seo2r se4pen se3p2f s3epis se4pit s2er. se3ra. ser5adl ser3af ser5age se3rai ser3a4k
+            ser3al ser3am se5rand ser5anz 5serat ser5äus serb2 s5erbe. se4r3e4b ser5eck serei4f 6s5ereign se4rein
+            serei5s6t ser5eli sere4m ser5emi 3s4eren ser5end se4r5en5e se4r5enk se4r5ens ser5enth se4r5erb serer5e
+            se4r5erh ser5ersc se4r5erw 4s3ergä 6sergebn ser5ha 4s3er4hi 4s3erhö se4r3id 3serie ser5inner serk2 6s5erkran
+            4s5erläs 4s5er4le. 4s5er4len 4s5ermah ser3na 4s5ernte ser3o4b ser3oc se3rod 4s5eroef se5roel 4s3eros 4s3erot
+            4s3eröf se3röl s4ers. sersau4 4s5erseh ser6sehn sers4k ser4um. se5rumm 3s4erv se2ry 3ses. sesch4 4s3e4sel
+            se5skan 4s5eskap se3so ses2p 4s3essa s4essel sest2 se3sta se5stec se5stei se5stel se5stemp se3sti se3sto
+            se3stu 3s2et. 4s3e4tap 4s3e4thi 4s3e4tho 4s3e4tik set3sp se3tun 3setz set4zei seu2f se3ufe se3uh 2s3eul se3um2
+            seums3 se3uni 2s3eup seu2t se3ute se3uto 4s3e4van s1ex 3s4ex. 4sex4am se4xen 2s3exk s2exo 2sex2p sext4an
+            sex5ti 4sextr sext6ra 3s4exu 2sex2z 1sé 2s1f2 s3fa sfal6l5er s3fe sfen2 sfi4le. sfin4s s3fl sf4la s3fo s3fö
+            2sg2 s3ga sgangs5 sga2t s3gä s3ge sgeha4 sge6habe sge3lu sge3n4a s3gi s3gm s3go s3gö s3gr 2s1h 3s2ha. s3hae
+            s4ha4ke. shal4li shalt4s5 3s4hamp s4has. s3hä 3shi. sh4ia 3s2hib 3s2hik 3s4hip 3s4hirt sh1l sh1n sh2o s3hoc
+            s3hoe s4hoe. s3hof 3s4hoo 3s2ho2p3 sho4re s4horts 3s4ho2w3 s3hö sh2r sh4re sh2u sh2ü 1si si5ach. si3am. si3as
+            sia4s3e 2siat sib2 3sic sichts5te sicker5e 4s3i4dea 4s3idee 4s3ideo si3der 2si2dy s2ie sie4b3a siebens6
+            sie4b3r sie4bu si2ed sie4gl sie4g3r sie5r4e sies2 si1f2 s2ig si2g3a2 si2gä si4g3ei s3i4gel si2gl sig2n sig4nu
+            si2g3r sigs4e sigs4p sig5sto si4k3ab si4kad si4k3ae si4k3a4g si4k3ak si4kalb si4kana si4kanb si4k5ans si6kanth
+            si4kanw si4k3ar sik5asp sik5ass si2k3ä si4k3el si4k5ens si4k5ent sikerbe6 si6k5erei sik5erfo si6k5erke
+            si4k5er4z si2k3i2 sikin3 si2k3l sik5le si2k3n siko3n siko3s si2kö si2k3r sik3s sikt2 si2ku si3kum si2kü s2il
+            3silb silber5e sil4br sil3c 3sili 2s3ill si4mag 2s3imb 2s3imm 4s3impf 4simpu sim4st 3s4imu si3n2a si5nau
+            4s3indu sines4 4s3infe 4s5infor 4s3infr sin4gae sin4gan sin4gar sin5g6le. sin4glo sin4g3r sings4 sing5sa
+            sing5sc sing5so 2s3inh sini5er. 4s3i4n3it s2ink 3sinn. s5innenm 4s5inner4 sin6n5erf 3sinnl 4s3inno 3sinns
+            2s3inq 2s3ins 3s4ins. s4into 2s3inv 2s3inz si4onm si3os 3sip s2ir 2s3irr si4sam 3sisc si4scha si4schl si4schn
+            si4schu si4schw si2s3e2 sisen3 sis3i si4sin si4sis sismu4 s3i2so sis3or siss2 3s4i2st sis3te si2su 3s2it
+            si4tal si4tau si4tra si4t3re sit3s sit4zel sit6z5erm siv3a si4val si4van sive3 si4v5er4f si4v5er4t si4vin
+            siv3o2 si4vor si2vr 1sí 2sj s3jo s1k2 2sk. 2skab 2skae ska3la 4skalk 2skam 5skanda 2skap 2s3kar 2s3kas ska4s3p
+            4skata ska4te. 4skateg s4kater ska4tes ska4to ska4t3r 2skau 2skä 2skb 2skei ske4l3i 2ske2n sken3e 3s2kep
+            ske3ra s4ketc s3kh 3s2ki. s2kia 3s2kif s2kig 3s2kik 2skin s2kip 4skirc 3s4kire 3s4kis. 3skiv 3skiz 2skk s3klam
+            4sklas s4klav 5sklave 2sklu 2skn 4skoe sko3ef 2skoh 2skol 3s4koli 4s3kom 4s3kon 3skop. s4kopa sko4par s4kope
+            s4ko4pl s4ko4pr 2skow 2skö 2skr s3kra skraf4 s3kre 3s4krib s4krip s3kro 2sk3s sk3t skto2 2sku s3kue 3skulp
+            s3kun s3kur 2s3kü 2skv 2s1l2 s3lab s3lae s3lag 3slal sla4ma sland5a sland6s5o slap3 4s3lar 3s4lash sla3sp
+            s3l4au sla4ve s3lä sl3b s3le sle4gas slers4 s3lic s2lip sl4ob slo5be s3loc 3s4loga 3s2low s3lö sl4um 2s1m2
+            s3ma smab2 sma3la s4mall sm4an sm4ar smar4k5n sma3sp smen4t5i s3mi smi2e smi2t3 smitte4 3s2mok s3mu smusiker6f
+            smut4ti s3mü 2s1n sn2a snab2 s4nack snae4s3 snä2s3 s3n2e s3ni sni5er. sni5ers sn4ob snus2 1so 2s3oas s1ob
+            s2oba so4bel 4so4ber 2sobj so2b3l 2sobm 4so4boe so2br 3s2o1c s4oda sodi2 so2do so3e2b 2s3oe2d soe2f 2s3oek
+            2s3oes so3et so4fen s4off. 4s3offi 3s2oft sog2l s2oh 2s3o2he 3s4ohl sohle4 sohlen5 4s3ohng 2s3ohr 2s3okt 3sol.
+            so3la 3solan so4l3au sol3c 3sold sol4d5er 3sole so4l3ei 4s3o4lig sol4l3a sol4l5er 3solm so3lo solo3p solo3s
+            3sols so3lu 2s3o2ly 2s3omb some4n3 3somm s2on son6anz sonan6z5ei so4nau 3sond sone2 so4n3eh so4ner son4ga
+            3sonn son5ori sons4a son4s3o so1o 2s3o2pe 2s3opf 3s4opr sop3s2 2sopt 4s3orat 2s3ord sore2 so4rei so4r3el
+            so4rem so4rer 4s3orga sorgi3 4s3o4rie so2r3o2 sor4t5ae sor4tau sor4t3ä 4s5ortes 4s3orth 5sorti sort4st sose4
+            2s3osm so3s2p 3s2oss so3sta s3osth 2s3osz 3so3ß soun4d3 3sour 2s3out 2s1ox s2oz 2s3o2ze sö2c 2s1ö2d s1ö2f
+            s3öffn 1söh 2s1ök 2s1öl 2s1ös sp2 2sp. 4spaa 3s4pace 4spack 3spaen 4spaer 3spaet s4paga 4spage spa4ge. 4spago
+            2spak 4spala 4spalä 4spale s4pali 4spalm 5spalt spal4t5a spa2m s2p4an 5spannu 4spano 5spant. 4spanth 4s3panz
+            2spap sp4ar 4spara spa4rap s4pard 3sparr 5s6parten 4spartn 4sparty 4spassi 3spaß 3s4pat. 5spatel 4spati 4spatr
+            3s4pats 2spau s2paz 5spazie 2späd 3spän 2spär 3spät 2spc 2spe. s2pea 3s4pedi s2pee 2speg 3speic 4spein 3speis
+            s4pek 4spensi spen6ster 4s3perf 3sperg s3peri 4sperle s3pern s4perr sper6r5ei 4s3pers 4speru 4sperü 3s4pese
+            2s3pet 3spex 3s2pez 2s3pf 5sphaer s4phal s3phan 4s3phas s2phä 4sphän 3sphär 3s4phin 2sphy 1spi 2spia 3s2pi4e
+            4spiep 4spier spier4r 2spig spi2k 2s3pil 4sping 3s4pinn 2spip s2pir 4spiro 2spis 2s3pla 2s3plä 4sple sp3le.
+            3s2pli 2s3plu 2s3pn 2spod 2spog 3s2poh 3spoi 2s3pok 4spol 3s2pom 3s4pons 2spoo 2spop spor6tag spor4tu 4sporz
+            2s3pos 4spote 4spoti s4pots s2pö 4spr. 3sprac 4spraeg 4sprael 4spraem s4praen 4spraep 4spraes 4spraev 4spraez
+            4sprak 3s4pran 4sprax 3spray s3präd 4spräg 4spräl 4spräm s4prän 4spräp 4spräs 4spräv 4spräz 3s4prec 4spred
+            4spreis 5spreiz 3s4pren 4spres s4pric 5spring 5sprint 4sprinz 4spriv 4sprob 4sprod 4sprof 4sprog 4sproj 4sprom
+            4sprop 5spross 4sprot 4sprov 4sproz 3spruc 5spruec 4spruef 3sprüc 4sprüf 3sprüh 3sprün 2s3ps s4ps. sp3t 4spub
+            2spuf 3spuk 4spulv 3spund 4spunk 2spup 3s2pur spu4rer 4spurpu 2sput 1spü s2pür 2s3py 2sq s3qu 2s1r2 s3ra
+            srat4s5t s3rä s3re sre5cha s3rh sroe4s sroes5c sro3tu srö2s srös3c s3ru sruecker6 s3rü srücker6 2s1s s3s4aba
+            ssa5ble ssa3bo s4sach. s2s3aj ss5alar s4s3amb s5samm s4s3amp s5san. s4sanf s4s3ang s4sanh s4sanp s4s3anz
+            ssa4ro ssa2s s4s3asi s4s3ass ssa3s4t ss3att ss3aud s4s3au4f ssau4n ssau4r ssau5ri s3sät s3s2äu ss2ca s2sce
+            ssch2 s6scheid. sscheiner6 ss4chem s2sco sse3a s4s5eben sse4ck sse3ec s3seh ss3eib sse5in4d sse5inha ss5einl
+            sse5inte s4sekä s4selem sse6l5end sse4l5oe sse4lö s3sen s4s5endl sse4n5e4b sse6nend sse6nene sse6n5ent
+            sse6n5er5i sseng4 ssengene6 sse4nid ssenk4 ssen6kel. ssen6keln ssen6kels sse4no s6sen6sem ssen6te. sser5a4d
+            sser5as sse6r5att sse6r5ent sse4rep sser6fahru sser6gebn s6s5erker ss5ernt sser4öf sses4sa sses6sen s4s5estr
+            ssex2 s4sexa ssgene6ri s3s4hut ssicht6s s3sie ssi3es ssi4ken ss3i4ko s4s3imp s4s3ind ssing5s s4s3int s4s3isr
+            s2sk s5skala ss3li s4s3oef ss3oel ss3ofe ss3off ssoi2 s4sonk sso5ral s5sorde s4s5orgi s2söf ss4pec s2spl
+            s4spro ssquet4 ss3s2 sssau4 ss5spr s4st. sst2a s3stab s5stad s3stae s3stah ss3tak s3stan ss5tank s5s4tap
+            s3stau ss5tauc s3stä ss5täti s5stein ss4teng s3s4tep ss4tern ss3tet s3steu ss5teur ss3tho s3stie ss4tin
+            ss4toer s3stop s3stöp s5stör s3str ss4tras ss4trat s4strie sstro6ma s3stu s3stü s2sty s4sumf s4sumg s4sumk
+            s4sumr ss5umsc s4s5umse s4suns s4sunw s3sup s4s3urk s2sz 2st. s2ta s3ta. 3staa 3stab. 4stabb 4stabd 4stabel
+            5stabes 4stabfl 4stabh 3stabi 4stabit 4stabl sta4bli st3abo 4stabr 4stabt 4stabu 4stabz st2ac 4stada 3stadi
+            4stadj 4stadm 4stadr 3stadt 3s4taeb 4staebt 3staed 4staeg 4staehn 3staem 6staenz 4staep st5aerm 5staett
+            4staeus 4staeuß 4stafel 5stafet st3afr 2stag s4tagg s4tagl 3s4tagr stai2 2stak st3aka 3staks s3tal. 4stala
+            sta5lak st3alg stalle4 stal6leb stall6ta st3alm st3alp st3alr st3alv 4stame st3a4mi 3stamm stam4ma 3stan.
+            4st3ana 4stanb 3stand 3stane 4stanf 5stange. 6stangeb 6stangek st5angel st5anges 4stangr 4stanl 4st3anm 4stann
+            st3ano 3stanp st5ansa st5ansä 4stanw st3a2o 3stapl stapo3 stapos6 4st3app 3s4tar. 6starbei 4stari 4starn
+            3s4tars star4ta 4starti 4starz 2stas 3stase stas4tr 4statb 5statis st3atl st3ato 4staubh 4stauf st5aufb
+            st5aufk st5aufs st5auft 4s3taug 3staup 5s4taur 4stausc stau6scha 4stausg 4stauss staussen6 4stauto 3stauu
+            2stav 2s3tax 1s2tä s4täb 3städ 2s3täf 2stäg 4stähn 4stäle 4stält s4tänd 4stänz 2stäp st3ärm st3ärz 4stäte
+            3stätt 4stäus 4stäuß 2stb 2stc st3ch 2std 4s3te. 3ste4ak 4steam 4stean 5s4teche ste4chi 4stechn ste2d st3edi
+            5stedt 2stee s2teg 3steg. 3stege ste4gra ste4gre 3stegs 3steh 4stehr 4s3teic 4s4t3eid 3s4teif st5eifr s4teig
+            5steiga stei4gr 5steigu steil5a 4steilc 4steils 4steilu 6steindr ste5i4sc s4t5eise s4t3eiw 2stek s2tel 4stel.
+            4stela 4stelb 4stelef 4steleg s5telei st5elek 4stelem 4steleo 4stelep ste4ler4 st5elev s3telf stel6laen
+            stel6l5än 4stelm 4steln stel5oe ste4lö 4stels 4stem. 4stema ste4m5ac ste4mei ste6m5ent ste4mer 4stemi ste4min
+            6stemper 4stempf ste4mu 2sten stende6ta s4t5ends stenei6l stens4 st5entd s4t5entf s4t5entg s4t5entl s4tents
+            s4tentw sten6zerf s4tepi 4stepr 4s5ter. 4stera ster5al 4sterba s6terben st5erbrin 4sterd 4stere. ste4rec
+            4sterei ster5eif ste4rel 4sterem 4s5teren 5stereo ste4rep 4sterer 4steres 4sterf st5erfin 4sterg ster6gie
+            4sterh s4terit 4ster5k 4sterl 4sterm st6ern. 4sterna 4sterö 4sterp 4sterr 4sters 4stert 4steru 4sterw 4sterz
+            ster4za ster4zä s4t5er4zo 2stes stese4 stes5er stes6se. ste4st stes5ta s4testn stes5tr 2stet ste4tab ste4tag
+            3s4teti 3s4tett s2teu 3steue 4steul st5eura 2stev st3eva st3e4vi 2stex s4texa s4t5extr 2stf 2stg 2sth st3heb
+            st3hee st3hel st5herd s5therm s4theu st3hex s2t3hi s2t3ho s2thu 2stia 2stib s2tic 3stich 6sticket 2stid 4stie.
+            4stief. 4stiefl s4tieh sti4el stie6lei 4stien 6stiere. 3stieß 3s2tif 2stig st5i4gel 2s3tik sti4kam sti4kan
+            sti4kar sti4kas sti6k5ere sti4kl sti4kr s2til 3stil. sti4l3a s3tild 3stile 3stils s2tim 3stimm 4stimp sti3na
+            st3inb s4t3ind 4s4t3inf s4t3inh s4tink st5inka 5stinke st5inko st3ins s4tinsz 4s4t3int 2stio 4stip. s4tipe
+            4stipps 4stips s2ti2r st3iri 3stirn 4st3iro 4stis sti6scha st3iso st3isr st3ita 4stite 4stiti 5stitui 2stiv
+            stiva4 stiz3a 2stj 2stk st5kan 2stl 2stm 2stn 4sto. 4st3o4bl 4stocht 2stod 4stoech 4s4t3oef 4stoen 4stoepf
+            3stoer s4toeru s4toes 3stoeß 4stoet 3stof 6stoffiz s2toh 4stoil s4tois 3stoll 4ston. sto4ne. 4stonn 4stons
+            4stoo s4t3ope 4stopf. 4s5topo 3stopp 4stor. s4torc 4stord 4stores 4storf 4storg 4stori s4torn 4storp 4stors
+            4stort 4storw s4tory s2tos 3stoss stost5r st3osz 3stoß 4stota 4s3tote s4tott 4stou 1s2tö 4stöch 3stöck 2stöf
+            2s3t2öl 2stön 4stöpf 2stöt 2stp 2stq 4strad 4s5traec 4straeg 6straeum stra4f5a s4trafe s4traft 4strag 4strahi
+            5st6rahl 4strai 4strak 4stral stra5la 6strangi 5strangs s5trank 4strans st5rast 3straß 4straum 4s3träc 4sträg
+            3strän 3sträs 3sträß 4sträum 4stre. 4strech 4stref 4streg 4s5treib 5streif s4t5reis 4streno 4strep 4streso
+            s4tress st5rest 4stret 6streuem 6streues 4streuh 5s4treuu 4strez 4strib 4strieb strien4 strie5s4 4strig 4strim
+            4strink 4s5trio 5s4tripp 4stris 4striu st2ro 4stroc 4stroep 3s4troh 4stroll s4troma 5s4trome 5stromk 4stropf
+            4stros s4t5rose 4strou 4ströp s3trös 4strua 3s4trud 6struemm 4struh 3struk 4strup 4strümm 2st3s2 sts4a stsau4
+            st4sb stsch4 sts4i 2st3t2 4s5tuch 3stud 4s5tuech 5s4tueck 3stueh stu4el 3s4tuen 4stuer. 4stuere 5stuetz 3stuf
+            st3uga 3stuh s2t3uk 4stumf 4stumo 4stums stum4st 4stun. st3unb 3stund 4stune 4s4tunf 4stung 4stunn 4stuns
+            4stunt 4s3turb stu5re sturi3 s4turk st3url stur6mei 4s5turn 4sturs 4st3urt 3s4turz 2s3tus 3s2tut 1s2tü 4stübu
+            4stüch 3stüh 4stür. 4stürc 4stüre 4stürg 4stürs 4stürw 3stürz 3stüt 4stütc 2stv 2stw stwa5re s2tya 3s2tyl
+            2stz2 1su su3al. su3an su2b3 suba2 4subi subs2 3suc such3o such6s5ende such6spe such6ters sucht4s 3sud 2sueb
+            3suec sue2d3 sueden4 3suef su3ell 3suen 3suep 3sues 3sueß su3ez su2f 2s3ufe su3fi sugge4s 2s1uh 3suhl su3is
+            su3it. su2k s2ul su3la su3li 3sulta su4m3an su4mar su4mau su4mei su4m3el sument4 su6m5ents su6mentw su4m3et
+            4sumfa 4sumfe su4m3id su4m3in 4sumla 3s4umm 3s2ump 4s3ums4t su2n 2s3una sunder4 sun6d5erh sun6d5ess sunds4
+            2s3une 2s3unf 6s5ungena 4s3ungl 2s3uni 2s3unl 2sunm 4sunsi 2sunt 2sunv s4unwa 4sunwe 2supd 3sup3p su4ran
+            su4rau su4r3ei su4r3er 3s4urf surfs4 sur5ins 4s3urku su2r3o2 s5urspr s3urw sus3e su3shi sus3i s1ut su2te su2to
+            1sü 2süb sü4be 3sü2d1 süden4 3sün s2üs 2sv2 s3ve svie2 s3vo svoran6s 2sw s3we swe6gers sweg3s sweh2 s3wi
+            4s5wink s4wist 1sy s1ya2 sy3ab syl1 3syli sy2lo sy2lu sym3 sy2n3 3synd 2syo 3sys sy3sto sz2 2s3za 2s3zä 2sz4ei
+            szeits4 2szel 3s4zena s4zend s4ze3n4e s4zeni 4szent 2szer sze3ra 2szet 2szeu 3s2zew 2szie 4szins s4zint 3s2zis
+            2szo s3zs sz3ta 2s3zu sz4un szu3ni 2s3zü 2szw 2szy 1ß 2ß1a2 ß3ac 2ß1ä 2ßb2 ßbal4li ßbau4c ßbrau4 2ß1c 2ßd2
+            ße2be 2ß1ec 2ß1ef 2ß3e2g 2ß1ei 2ß1ek ße2l3a2 4ß3e4lek ßels2 ßel3sk 2ß3emp ß4en. ße2na2 ßene2 4ß5energ ßeng2
+            ße2ni ßenk2 ße2n3o2 ßen3s4k ßens4l ßens4p ßens4t ßen4te. 4ß3entf 4ß3entl 4ß3ents 4ßentw 4ßentz 2ß1e2p ßer3a
+            ßerei5s4 4ß5er4geb ßerk2 4ß3er4ke ßer4le ßermen4 4ß3ersa ßer4seh ßers4k 2ß3er2z 2ß3es4s 4ß3estr 2ß1ex 2ß1f2
+            2ßg2 ß3gm 2ß1h ßi2g3a2 ßigs4e 2ß1i2k 2ß1il 2ß1im 2ß1in 2ß1i2o 2ßj 2ß1k2 ß3kh 2ß1l ßlers4 ßli1 2ß1m ßmau2 ßmut2
+            2ß1n 2ß1o2 ßoe2 ßos2 2ß1ö2 2ß1p2 2ßq 2ß1r ßroe4s3 ßrö2s3 ß3ru 2ß1s2 ßsau2 ßsch2 ßst2 2ßt ß2t3in ßt2ö ßtu5er.
+            ßtu5ers 2ß1ue 2ß1um ßums2 2ß3unf 2ßunt 2ßunv 2ß1ü 2ßv ßvie2 2ßw 2ßz2 ß3zs 1t 3taan ta3ar 4taat t2aba ta4b3an
+            2t3abb 2tabd 3tabel 2tabf 2tabg 2tabh 4t3a4b3i4t 2t3abk 4t3abla 4t3a4blä 5tablet 4t3ablö 2tabm t3abme 2tabn
+            tab5ort 2ta2br 2tabs 2t3abt 3tabu ta4bue tabu5s ta2bü 2tabw taby2 2tabz 2t1ac t2a3ce t4ache ta3chi ta3cho
+            tach4r 4tachs ta3chu 3tacl 3tacu 2t3add 4t3a4der tadi3o4 t3adm t3a4dol 2t3a2dr ta3d2s 4tadt tad4t3a4 2tadv
+            ta2e t3aebt tae2d ta3ede ta3edr 3t2aef t3aega 3taegi 3taegl 4taegy 2taeh t3aehn ta3ei 3taele 4t3aelt 2tae2m
+            t3aemt t5aenderu 4taeng ta3ent 3taenz 2t3aep 2taeq tae6rers tae4rob t2aet 3taete ta3eth taet4s5t t3aetz
+            4t3aeug 5taeusc t5aeuss 4t3aeuß 2t3aex 3taf. 3tafa 3tafel 2taff t3afg ta3flu ta3fra 3t2ag t4ag. ta2g3a2
+            ta4g3ei 6tagent. tage4si t3agg ta4git ta5gla ta4glo 4tagnat tagse4 tags5ta 2tahl tah4ler tah4li tahls4t
+            tahl5ste tah4l3u 3t2ai ta3i2k tai2l3 tai4ne. ta3ins ta3ir. ta2ka 2takk ta3kla 2t3akq ta4kro tak4tel tak6t5erf
+            tak6t5er6z 5taktik tak4t5in 4t5aktiv tak4t3o4 tak4t3r tak4tum 2takz t2al. tal3a4b tal3ac ta3lad ta3lag tal3a4s
+            t2alb t3alb. 4t5alben t3albk 3talbr ta4leb talem4 tal5emb ta4l5emi 3talen ta4l5en4d ta4l5eng ta4l5en4s
+            talent6n 3taler ta4l5er4f ta4l5erg tal5erha tal5ersa ta4l5ert ta4let ta4leu ta4lev tal4ga t3algo 3talia
+            tali6ene 3talis 3talke tal4l5ac tal4lan tal6l5auf tal6l5ein tal6l5erh tal6lerm tall3s4 t5allta 4t3alm. talmi4
+            3talo ta4lob ta4lop ta4l3o4r ta3lö talp2 3t2als tal4sae 4talter talt4s 3t4am. t4amar t3a4mei 3tamen 4t3a4mer
+            5ta5mix tam4mei tam6mense tam4m5er tam4mi tam4m3o 2t3a2mö t3ampl t3ampu 3t4ams 2t3amt 3tamu ta2na 4t3anal
+            ta2nä t4anbe 4tanbl 3tanbu 3tan2c tan4dan tan6d5erk tan4dre tan4d5ri tand4s5a tand6sen tand4sk tand4st ta5neie
+            tan5erfa 2tanf 4tangab tan4gar 5tango. 5tangos t3ang4r tan4gra 4tanhä t4ani t4anj tan4kan tan6k5er6k tan4klo
+            3tanks 4t3ankü 2tanl 3t4anne tano2 ta4nod 4t3a4nom t3anon ta4nop ta4nor 4t5ansam 4t5ansat t3ansc 4tanspr
+            4tanstr t4ant. tan4tan 4tantei 5tantenf 5tantenp t5antig 5tantis 4tanwae 4tanwal 4tanwä t4anz. tan4zar
+            tan6z5erh tan6z5erm tan6z5erz 4t3anzu tan4z5un 4t3anzü tan4zw 3ta4pe. ta4pes 2tapf ta2pl ta4poka t3app. 4tappa
+            t3appr ta2ra 4t5arabi 3tar3al 4t3aram ta5rant tar3ap ta3ras tarb2 2tarc 5tarchl 5tarchr 3tard 4t3area tar5ein
+            ta4r3el ta4r5en4d ta4rer tar5ere tar5ers tar4hei 3tari tar5ins tar4kn 4t3arm. t3armb 4t5arme. 4t5armee
+            6t5armen. 6tarmeni 4t3arms 3tarn t3a4rom ta4rop 4tarot ta3rö 2tart tar4tau tart5e4c tar6t5eig tar6t5ere
+            t5artik tar4t5in tar4t3o tar6t5rau tar4tre tar6t5ric tart3s 3tartü 3tarty ta3rum 4tarzt 3tas. 3t2asc tas4k3l
+            ta3spr ta4s3s 4t3assi 4tasso 3t2ast ta4ste tast5ei tas4tin tas4to 2t3as2z 2t1aß t4at. ta4t3an ta4t5arm 3tatb
+            t2ate ta4te3c tat5ein ta4tem ta4t5ent ta4t3er ta4t3hi 4t3atom tat5ort tat5ric ta4tro 3tatsa 4tatta tatt5an
+            4tatti 3tatur tat3zw tau4b3a tau4bei 3taubh tau4b3r t4auc tauchs4 t3audi tau3e tauer4l tau4fak t5aufar
+            4t5aufba t3aufd taufe4 5t6aufe. 4t3auff 4t3aufg t3aufh 4t5aufko 4t3aufl tau5f6lie 4t3aufm 4taufn 4t3aufp
+            4t3aufr taufs4 4t5aufsi 4t3aufw 4t3aufz 3taugl t3augm 2tauk t3aukt t3aul 3taume 4t3ausb 3tausc tau6schei
+            tau6schm tau6schn tau6schr tau6sch5w 4tausd 4t5ausei 5tausen 4t3ausf 4t3ausg 4t3aush t3ausk 4t3ausl t3ausn
+            4t3aus3p 4t3ausr 4t3auss 4t5austa 4t3ausu 4t3ausü 4t3ausw 4t3ausz 3tav. 3tavs taxi3s 2t3axt 3taz t3äbt tä1c
+            t2äf 3tägi 3tägl 2tägy 2täh t3ähn 3täle 2t3ält 2tä2m t3ämt t5änderu 2täng t3ängs 3tänz 2t1äp 2täq tä4reng
+            tä4r5ers tärm2 tä2ru t2ät 3täte 5tätigk 4tätt 2t3ätz 2täug 3täusc t3äuss 2täuß 2täx 2tb2 tbahner5 tbauer4
+            tbau3f tbau6m5en tber4e t3bh tblocken6 tbote4 tb4ra t3bs tby2t 2t1c tchar4m tche4n tch4i tch3s tch3w t2ck
+            tcor2 tcre2 tcu2 2td2 tdar4m3 tde2a tde3s4t tdi2e t3ds tea2 2teak3 3te2am tean3 3teba t3e4ben t5e4ber. t2ec
+            4techd 4techk 4techm 5techn 4t3echo 4tech3s 4techt 2teck tecke4 te4cki tecks4 2t3ecu te4del tedi4e te4dit
+            ted2r 2tedt tee3id te3ele te3end te4er. tee3r4a te3erl te3erz te4es teesen4 tee3t 4tefeu 2teff te5ge. tegen4
+            te5gen. te4g5end teger4n 2t3egg teg2l 3te3gr teg5rae teg5ran te4grä 2teh 3teha te4h3ac te4hap 3tehä te4hef
+            te4hep 3tehi te4him teh3la 3teho 3tehö t3ehr teh3ra 3tei. t5eifers tei4gab teigerin6s tei4gla tei4gle 4t3eign
+            teik2 t2eil tei4lau teilen6s tei6l5ent tei6l5er6h tei6l5ero tei6lerst 5teiln 2tein tein5al tein3d tei4n5e4b
+            tein5e4c tei6nen6s tei6n5erf tei6nerk tein6hab tein6sel tein6spo tein6tol 4t3eis. t3eisb 4t3eish 4t3eisk
+            4teiss tei5su 2teiß tei3t teiz2 2tekz 3tel. 3tela te4l3ab te4l3ac tel5aer te4lam tela4n tel5an5e te4lant
+            te4lat te4l3au te4l3är 3telbe 3telbr 3telbu 3telc 3tel3d4 te3le. tel5ech tel5e4ck 3telef 3teleg te4l5ei4c
+            te6l5eier te4l5eig tel5eint 5telema tel5en5e tel5eng te4l5ent 3teleo 3telep te4l5erb te4l5erd te4l5erf
+            te4l5erg te4l5erh te4l5erk te4l5ern te4l5ers 3teles te4l5eti te4leu 3telex 4t3elf. 4telfd 4t3elft 3telg 3telh
+            tel3id te4lim tel5ind tel5inf tel5inn tel5ita 3telk2 tel6lanf tel6lant tel6lein tel5ler tellerei6g 3tellö
+            3telm 3teln 3telo telo4g3 te4l3or 3telp2 3telq 3telr 3tels tel3s4k 3telt2 3telu te4lut 3telv 3telw 3telzy t2em
+            3tem. te4mak 3temal te4mant te4marc tem5art te4m5att te4mau 4temäc 4t3embl tem3eb tem5ein tem5er5e tem5erf
+            tem5erg tem5erh tem5ern tem5ers tem5erw te4m3i4d te4m3i4m tem5ing te4miss 4temms 4temmt te4mop te4m3o4r
+            6tempelt 5temper 4t3empf 4temph tem4pli tempo3 tems2 temt2 te4mun te4m3ur 3t4en. te4na4b tena4d ten5aeh
+            te4na4g te4nan te4n3a4r ten3au te2nä ten3äh 4t5endal 4t5endap 4t3endf 4t3endh 4t3endk 4t3endl 4t3endp tend4r
+            4t3endt te3ne. te4n3e4b ten3ec te4n3ed te4nef te5n4ei. tenei4d te4n3el te4n5end te4n5en5e te4n5ens te4n5ent
+            te4nep ten5erei te4nerf 4t5energ te4n5erk te4n5erl ten5erm te4n5ern te4n5ero te4n5erö te4n5erp te4n5ers
+            te4n5ert te4neru ten5e4sc te4ness tene4t ten5eta ten5eti te4neu te4n3ev ten3f2 4t3eng. 4tengag 4tenge.
+            6tenglis teng4r te4nid te4nil te4n3in tenk2 ten3n4 4tenog te4nol te4nop te4nos te4n5ott te4n3o4v 3tenr 3t4ens.
+            tensch4 ten4seb ten6serg ten6stip ten4sur tent5art ten6ters ten6t5er6t ten6t5er6w 6tentheb t5enthu t5enthü
+            ten6ting 4t3entk 4t5entrü 4tentz te2ny ten6z5erw tenz6wei ten4zym teo2b te3o2f te5o4rei te3ou t2ep 2tep.
+            te3p2f 4tepit 4t3epoc 4teppe 4teppu t4er. t4era te3ra. ter5abe ter3a4c tera4d 4terad. ter5ade ter5aff ter3a4g
+            ter3ak ter5alar te5ralk ter5all te6ralm ter5alp te5rals ter5alt te5ramp te5ran. te5rane ter5anz te4r3ap
+            ter3a4s te4rato ter3a4v te4r5änd ter6bauu 4terbe. 6terben. 6terbend ter6blin 4t3erbs 4terbt terb4u 4terdäp
+            4t5erde. 4terdg terd4r ter3d4s 3tere. te4r3e4b te4r5eck ter5eier ter5eige 6t5ereign ter5eil te4rein ter5ell
+            3tere4m te4r5ema te4r5emi te4r5end te4r5en5e te4r5ens te4r5ent teren5th te4r5en4z 4tereo 3terer te4r5erb
+            te4r5erd te4r5erf te4r5erg ter5erh terer6ku terer4n terer5o terer5ö te4r5erp te4r5err te4r5ers te4r5erw 3teres
+            te4r3e4t ter6folgr terg2 6tergebn tergene6s 4t5erhab ter7hall ter6haltb 6t5erhöhu te4r3id ter5iko 4teril
+            6t5erinner terin4v teri4on te4riso te4rit ter5i4ta terk2 t5erklär 6terkranku ter6löse 3termi ter4nas 4ternc
+            terngene6 4ternwa tero4be ter5o4de ter5oel ter5ofe te3roh te3rok 4terons ter3ö ter6probt terr2 ter3ra ter4re.
+            ter6regt tersau6er ter4sep 6tersparn ter5stag ter5t4a tert4s teru2 te4r5ufe terungsex5 ter5uns 4t3erzb terz4e
+            4t5erze. ter4zes 4t3erzg t2es t4es. te4sa4k te4s3au tes5eli te4s3ep tes5erb tes5er5e tes5erl te4sex tes4par
+            tes4pen te4sph tes4por tes6senz. tes3si tess4t test5ak te5stal test5art tes5tät tes4teb te5stec te5steig
+            te5s4tel test5elt te5step tes6t5er5e tes6t5er6f tes6ter6g tes6t5erh tes6terk test5erkl tes4tin t3estn
+            tes5to5s4 te4sur te4tabl 4t3e4tap 4t3e4tat 3tete 4t3e4thi 4tetho 2tetl tet2s 3t4euf teu4f3a 2t3euk 2t3eul
+            3te3um te3una te3uni t3eunu 2t3eup 3teur. teuren4 t3euro teu4r5ob 3teus te4val te4van tewa4s tex1 4texam
+            2t3e2xe 2t3e2xi 2t3exk 2t3exo 2texp tex4ta tex4th tex6trau 2t3exz tè2 2t1f2 tf4ae tfahr6ta tfal4l5i tf4äh
+            tfen2 tf4la 2tg2 tga4s5er tgas5te tgas4tr tga4su tga2t tgeb2 tgel4ta tgende4 tge4n5en5 tge4nid tgens4 tger4a
+            t3gl tgol6der 2th. 2t1h2a 3t4ha. t2had t4haei 3thal. thal5ba 3thale 3thalh t4hali t4han. 3thani 2t1hä 3thäi
+            2thb 2thc 3the. 3t2hea 2t3hef 2t3hei t4hein4 the5ins 3t4hek the4kau 3t4hema 4themd 3t4heme t3hemi 4t3hemm
+            the3na t3heng t3henn 3t4heo 5therap 4therd t3herl t4herm 4t3herr t3herz 3t4hese t3hess t2heu t3heu. 2thf 2thg
+            3thi. 3thic thic3k t3hiel thi5er. 2t3hil 2t3him th4in thi3nu 4thinw 2thir 4t3hist 2thk 2th1l 2th3m thmu2
+            thmus3 2th3n thn4o 2t3hob tho5chr 2t3hoe 2t3hoh 4t3hole 4t3holt 4tholz 4thops 4thopt tho3ra 4t3horn 4t3hose
+            tho3st 4t3hote 2t3hou t3hov 2t1hö 2thp 4th3rau thr4i th3rin 2ths 2tht2 t1hu 2thub t3huet 2thuh 2thup t2hur
+            t2hus 2thut 2t1hü 2thv thvil4 2thyd ti3ac 4t3iago ti5alei ti3a2m ti3a2p ti3as 3tib2 ti3ce 5ticket tico2 ti4dea
+            4tidee ti4d5en4d ti4dio 5tief. 5tiefe. 4tiefel 5tiefen 5tiefg 3tiefl tieg2 4tieg. 4tiegen 4tiegs 4tiegt
+            ti4e3in 4tiel. tie4l3a ti3ell 4tiels tie2n tien3e 5tiera tie4r5ei tieren6z tie4reu tie3s4t 2tieß ti3eu 3tif.
+            ti3f2r tifter6ke tif4tr 3tig ti4g3an tige4ra ti4g5er4z tiges4 ti4git ti4g3la ti4g3lä ti4gle ti4g3li 4tigmat
+            ti2gn tigs4e tigs4p tig5s4tr tik5age tik5amt ti4kanw tik5a4sc ti4kei tikel3 ti4k5ent ti6k5erfa ti4kim ti4k3in
+            ti4k3la ti6klini ti4klu ti2k3n ti4kob ti4k3op ti4k3ra ti4k3rä ti4krei ti4k3ro tik3s ti4kun ti4kut ti4lant
+            ti4lar ti4lau ti4l3e4b ti4lei ti4lel ti4lent ti4l3ep 3tilg 3tilie 3tilin til5ing til5ins 3tillo 4tillu ti4l3oe
+            ti2l3ö ti4meli 2timm t5immat timmer4 tim6merg tim6m5erk 3timo 2t3imp ti3naf tin5alb tin3an ti3nap 3tin2e
+            ti3nec ti3ne3i tinein4 tinen4z5 ti4n5erf tine3t 4t3infe 4t3info tinga4 tin4g5ab ting5as tin4g3i tin4gl tingo4
+            tings4p ting5st ti3n4in t3i4n3it 2t3inj tink3l tin4kla tin4kn 4t3inno ti3no ti4n3oe4 ti4nor ti2n3ö2 t4ins.
+            4t5insel tin4s5es tin4spa tin4sum 5tinte. 4t5inter ti3n4um 2t3inv 3tio ti4onv 3tip. tip4pr 3tips ti4que.
+            3tirad t3iran 2t3ird ti3re ti3r2h tirn3a 3tisc ti5sche. tisch5ec tisch5ei ti5schen. ti5sches ti4schl tisch5lam
+            ti4schn ti4schr ti4schu tisch5wa tis5erk tisex5p 2t3isl tis4tal ti3s4th tis3ti ti3s4tr ti4sur ti3ta ti4tal
+            3tite2 ti3ti 2ti3tu 3tiu tium4s 3tiv ti4van tiv5ant ti4v5atm ti4v5att ti4vel ti4v5ent ti4v5erg ti4v5erh
+            ti4v5er4k ti4v5er4l ti4v5ero ti4vet ti4v3id ti2vo tiv3or ti2v3r ti2za ti4z3in ti4zir ti2z3o ti2zw 2tj 2t1k2
+            tkege4 tkraf4 tkue3b tkü3b 2t1l tlang5s tlei4bl tlei6d5er6 t2lep tl4er tle4r3a tlergene6 tle6ring t3li tlings5
+            t3lö tlungs5 2t1m tm4en tmen6schl tmen4t3 tments4 tmetaller5 tmin4s tmi2t tmo4des tm4or 2t1n2 t3na tn4am tn4an
+            t3ne tne5reig tne4rer tnergene6 tnis3t to3al to2as to3a2t 4tobj to4boe tob4re to3cha to3che 4t3ochs 3tocht
+            2tock to6ck5ent to6ckers to6ck5er6z t2od 3tod. toder4 tod5ern todi4e to4d3un 2t3o2dy 3toech 4toeck 2t3oe2d
+            toe2f 2t3oe2k 4to4el. 4t3oels 4toelu to3e2m 3t4oen 3toepf 4toeps to3erh to3ero t3oest 2toeß t3oett 2tof 3tof.
+            toff3a tof4f5ei t5offens tof6f5ent tof6f5ertr 4toffi toff3l tof4fo toff3r toff3s4 tof4f3u 3tofi 3tofo 3tofr
+            to3fu togas3 2t3ohr3 2toi. 3toil toi4ne. toi2r 2toiz 3toj tok2l 2t3okt 3tole to4lym 2tolz 4toma. tom5ans
+            tomar4b to4m5ene 3tomie 3tomis 2tomn to2mu tom3un 3ton. to4nad tona5er to4n3an to4nap to4nau ton3d2 ton3e4b
+            to4neh tonend4 toner6ke to4nid ton5ing 3tonn tonne4 to4nob to4nof 3tons ton4sin 2tony 3too to4pad to4pak
+            4t3o4pal top5ang to4pat to4p3el to4per t2opf 3topf. to3pfä topf5erd 5topfes top5flu to4ph3a to4p3hi topi4e
+            to4ple to4pli 2topp tops2 5topsy 3tor. tor5aen to3ral to3ram to5rand tor5ans tor5ant tor5anz to3rat to4rän
+            tor6ch5el 4tordn 3tore tor5eic to4rein to4r3el to4rem to6renna tor4fan t3orga 4t5orgel to4r3i4d torin4s
+            tor5int tor3n to4rob to4roe to4rop to2rö 3tors 4t3ort. tor5tan 4t3orth 4t3ortn 4t3orts tort4st tor3um 3torw
+            torz2 3tos. 3tosa tos2h to4ska to3s2m 3to3s2p tosser4 tos6s5ersc to5stat tos4to to3s4tu 2toß to4tae to2tä
+            to5t4em3 totemp4 tote4n to4tho to4t3ri tot3s4 3t2ou touil4 to3un to1x 4toxid 3töch 2t1ö2d 2t3ö2f 2t1ö2k t1öl
+            2töl. 2töle 2töls 2tölu 3tön 3töpf 3törtc 2t3öst 3töt 4t3ött 2t1p2 tpar4k tpho2 2tq tr2 2tr. t4ra. tra3a tr4ab
+            tra4bu tra5cha tra5chl 3tract 4t3rad. tra4dem tra4der 4t5rades t5radie 4tradio 5tradit 4tradiu 4t3radl 4tradp
+            4t3rads 3traeg 4traeh 4traend 5traene 4traeng 4traes 4traeß tra4fah 4traff 4trafg traf3l 4trafr tra4g3l 3tragö
+            3trahi 4trahl 4trahm 3trai tra5inh 3trak 4t3rake 3tral. 3trale tra4leb 3tralg tra6lins 4tramm 5t4ran. 4trand
+            tran4d5r 4trang t5rangi trang5s t5ranki tran4k5o t3rann 5t4rans tra5po tras6terf tras4t5r 4traß 4trateg
+            tra4t3h t5ratin tra4tr 3trau. 4traub. 4t5raubv 4trauc 4t3raup 4trauß 2t3räd 3träg 2träh 4tränd 3träne 4träng
+            2träs 2träß 4träuc 4träus 4träuß t2re 2t3re. 2trea t3reak t3real 2treb tre4bl tre4b3r 2trec t3rech 5treck.
+            5trecô 2t3red 4trefe 3t4reff 4trefl 4t3refo 2t3reg 2t3reh trei4bl 4treic 4treif 4t3reig 4t3reih 4treik 4t3reim
+            4t3rein trei4sc t3reiß 4treit trei6terp t3reiz 2t3rek 2t3rel t3rena 3trend 4trendi 5trennu 4t3rent t3repa
+            4trepe 4t3repo 5trepp 4trepr t5resek 5tresen 4t3resi t5resso tres4st 4trest. tre5str 4trests t3resu tre4ta
+            3t4rete tret3h 4t3retr tre4tra tre4t5ri 4trett tr4e2u treu3c 5treuem 5treues 3treuh 4treun 2t3rev tre3x 2t3rez
+            t2ré 2t1rh 3tri. 3trib 4trich. 4triche trichs4 trid2 tri2e 3trieb trie5fr tri5ens tri5ent 3trier tri3gl 3trigo
+            t4rik tri4ke. tri4kes 5triko 4trikt 3trim 4t3rind 4tring 4t3rinn 3t4rio t2rip 3trisc t3riss tris5ta 4t3ritu
+            tri2x trizi3 3tro. 4trock. 4t3roec 4t3roeh 4troem 3troep 4t5roess 3troj tro4kes 4trom. tro6manp 4tromb tro4men
+            tromer4 4tromg tro4min 4tromk 4troml 5trompe 4trompu 4tromr 4troms 4tromt 4tromv 4t3rond tro6niks t3ronn
+            tro3ny t4r4op 3tropf 5trophä 3tross tro5sta 4t3rot. 4trout 3trow 3troy 2t3röc 2t3röh 2tröm 2t3rön 3tröp
+            4t3röss 3trua 3truc true5be true5bu 4t3ruec truecker6 5truemm t3rues 2truf 2truk trum2 3trum. t3rumä 4t3rumm
+            trums3 4t3run. 4t3rund t3rung 5trunke 3t4rup tru4th 2truw trü3be trü3bu 2t3rüc trücker6 3trümm 2t3rüs t2ry1
+            2ts tsa2b t3sack t2s3a2d t4s3aem ts3aer t3saeu ts5aeus t2sak t3s4akk t3sakr t4s3all t4s3alt t4s3amb t5samm
+            ts3amp t4s3amt t2san ts3ang ts3ank ts3ant ts3anz t2sa2p t2sa2r t3s4ark t2s3as t2s3au t3s4au. tsau4d ts4au4e
+            tsau4m tsau4n tsauto6r ts2äc t2sär t2säs t4s3äus ts3b ts4cap t2sce t6schart t4s5chef t6s5chine t3schl tsch6lic
+            tsch4lo t6schmue t6schmun t4schmü t6schor. t6schore t6schors t4schro t4sch5wo t4sch5wö tsco2 t2s3e2b tse2c
+            t2s3e2d tse2e tsee3i t2sef ts6ein. t4s5eind ts5einf t4s5einh t4s5einl t4s5eint t5seit ts3e4kl tse4la t4s5e4mis
+            tsen5er t4senq t4s3ent t4s3e4pi ts3epo t2ser ts3er3e ts3erf ts3erg ts3erh ts5e4r5in ts3erk ts3erl ts3erm
+            ts3ern ts3er3o ts3erö ts3err ts3ers ts3ert tse3r4u ts3erw ts3erz t6s5essen tse2t t4s3e4ta t4s3eth t4s3eti
+            t2s3e2v t2sex2 t3s4exi ts3ha t2s3i2d t3sig t2si2k ts3iko ts3ima t4s3imp tsi2n t4s3ind tsing4 tsin5gl t4s3ini
+            t4s3int t5skala ts4kele t5sklav ts3ko t3slip t3s4mog t2so2b ts3oef t4s3off t3son t2s3op tso2r t4s3ora t4s3orc
+            t4s3ori t4s3orn t4s5ort. t4s5orts t3sos t2s3o2v t2sö ts3öf ts2öl t3span t5s4pare t3spek t4speri t5sperr
+            t4s3pic t4spins t2spl t5s6port. t5s6portl ts6ports ts4prac t4sprei t5sprun t3spue ts4pul ts5rei ts3s2 tsse5ru
+            tss4t t1st2 t6s5taeti t4stafe ts3tak t4stale ts5tank ts5tant t4s5tanz t4s5tat. t4s5tauc ts3tav t4s5täti
+            t4steil t5stein t4step ts4terb ts4tern ts4tero ts3tex ts3th ts4tig t4stit t4stoch t4ston t4stört t4strac
+            ts4trap ts4tras t4stren t4strie ts4trom tstro6ma t4strun t5s4tub ts4tuem tstu5er. t2sty t2su. 3tsubi t2s3ul
+            t4s3um. t4s3umb t4s3umd t4sumf t4sumg t4sumk t4suml t4sumr t4s3ums t4s3umv t4s3umw t4sumz t2s3un t2s3ur t2s3ut
+            tswa4s t5szene 2tt tt3abm t3t2ac tt5achs tt3aeh tt3aer ttafe4 tta6g5ess tt3ahl tta4ke t4t3alb t4t3ana t4tanb
+            t4t3and tt5anka tt5ankä ttan4k5l tt5anku t4tanr t4tanw t4t3app t4t3arb tt3arm tt3art tt3äh tt3änd tt3är tte2c
+            tt3eck t2t3ef t4t3eib t4t3eif tteil5a tteile4 ttei6leb t4t3eim tt3ein t4t3eis tte4l3a4 tte4l5e4b ttel5ein
+            tte4l5en tte4l5in tte4lit tte4l3o tte4lö ttels4t ttel5ste ttem4bo t4temo t4temö t4t3emu t3ten tte4na tte4net
+            tte4nob t6ten6sem ttens4p t4t5entb t4t5entf t4tents t2teo tte4rat tte4r5ec tte6r5ei6s tteri4e tte4rik tte4ris
+            tter6klä t6terneu t4t5ernt tter5oe tte4r5oh ttesa4 ttes5ac ttes5ae4 tte4s3ä4 tte4s3o ttes5pr ttes6ser tte5stri
+            t4teti tt5extr t4t3heb tt3hel tt3hen t4t3hin t2t3ho t2ti2d tti3es t4t3igi tti5le tt3imm t4t3ind t4t3inf
+            t4t3ins tt5isol tti3z t4t3la t4tli tto3ef tt3oel tto5ent tto3er tt3ord t4t3org t4t3orn tto3s tt5rand tt3rea
+            tt3rec tt2ro tt5roch t3troe tt5rose t4trou t3trö tt3rud tts5and ttsau4 ttschi4 tt4sele tt4s5end tts5erb tts3pr
+            tts5taet tt4s5tät tt4stem tts4tu tt4sum ttu3en ttu2f tt3ufe tt3uh ttur4m3 ttü1 ttwa3r ttz2 tu3al. tu3alm
+            tu3alp tu3alv tu3ant tu3ar. tu3ars tuba3b4 3tuch tu4chel tu3cho tuch3s4 tu3cka 2tud tudie4n5 3tudo 2tueb
+            tue5ber. 3tuech 2tueh tu3ell tu3en. tu3enb tu3eng tu3enk tu3ens tu3ent 3tuer. 3tuerc 5tuere tu3ern tue4r3o
+            tu5ers. 4tuerz tu3es tue4th 4tuetz 2tuf tuf4e tu5fen t3u4fer 3tuff tu4gan 2tuh tuhl3a tuh4lei tu3ist tu2kr
+            2t3ulm tul4pa tul4pf tul4ph 3tum. tum4b3l tume4 2tumf 2tumg 2t3umh 2tumk 2tuml 3t4umo 2tump 2tumr 4t5umsat
+            t3umsc tum4si tum4s3o tum4spe 2t3umt 2t3umw 2tumz 2t3una 3tuna. 3tunas 2tund tund4e tun4d5ei tun3dr 3tune
+            tune4b tun4en t3unf 3tung. 4t3unga 4t5ungeh 4t5unger 4tunget tungs5 4tunif 4t3u4nio 4tuniv 2t3unl 2tunm 3t4unn
+            2t3u2no 2tunr t3unsc 2tunt 3tunt. 2tunv t3unz 2t3up. 2tupd 2t3upg 2tups t2ur tur5abe tu4r3ac tu4rad tu4rae
+            tu4r3a4g tur5aka tu4r5alm tu4ralt tu4ram tu4r5ang tur5ank tur5ans tu4r5anz tur5asp tura5st tu4rau tur3c
+            tu4r3e4b tur5eic tur5ein tur5eis tu4rep tur5erb tur5erg tur5erh tur5erk tur5erl tur5ern tur5ers tur5ert
+            tur5erw tu4res tur5es5t tu4r3e4t tu4r3e4v tu4rid tu4ril tur5ini tur5ins tur5int tu2r3o turo4p tur5sa tur3sk
+            tur3sn tu2ru2 tur3uf tur3un tu2s3a tu4schl tu4schm tu2se tu2s3i tu2so tu3spr tu3t4a tuts3c tuts5p 2tüb tü5ber.
+            3tüch tück4se 3tüf 3tüll 3tüm. 3tüma 3tümb 3tümc 3tümf 3tümi 3tüml 3tüms 3tümt 3tümu 3tümv 3tümw 3tür. 3tür3c
+            3türe 3türg 3türk 3tür3s 3türw 3tütc 2tv tvie2 tvoran4 2tw2 twa3i2 twa2r twa2s twegs4 twe4n3e twetterer5 twi2e
+            3t4wist 2t1x tya2 3typ ty2p3a ty2pf ty1s2 2tz tz1a2 t2zat t2z3än t2zäp t2z3är tz3e4di t4z3eie t4z3eim tze5ina
+            tze5ind t4z3eis tzei6t5end t4zelek tze2n tzene4 tzen5eb t6zensem t4z5entg t4zentl t4z5ents t4zentw t4zentz
+            t5zer. tzer6bre tze4reb tze4rer tz6erfe tz6erfr tzer6gre t4z5erhö tzerin6s tz6erl. tz5ermi t5zern tzero4
+            t4z3erö tzer4öf t6z5ertra t6z5erträ tzer6werb tz5erzi tze2s t2z3i2d tz3imi t4z3ind tz3inf t4z3inh tz5insa
+            tz3int tz3inv tz3iso tzo2b tz3oef t2z3ok tz3om t2z3or tz3ti tz4tin tzu4gu t4z3unf t4z3uni tzwan4d5 t3zwie 2ua
+            u1a2b u1a2c ua4ch uad3a ua4dan uad2r uae2s ua2g u3al3a2 u3a2l3ä u3alb u3ald uale2 u3a4leb u3a4lei u5alemp
+            u5a4l5ent ualer4 u5a4l5erf u5a4l5erg u5a4l5erk u5a4l5erl ua4l5err u5a4l5erz u3a4let u3alf u3alg u3alh u2ali
+            u3a4l3id u3a4l3in u3alk u3aln ua2l3o2 ualp2 u3alr u3als u3alt ual5to u3a2lu u3alw ualz2 u1am u3an. u3anar
+            u2ane u3ans uante4 uanten5 uara4b uarer3 uar4k3a uar4k3e uark3s uar4t5a4n5 uart3s u3arw u3as. uas2a uasi3
+            uas2p ua2th uati6ons. u1au uauf3 u1ay u1äm uä2s u1äu 2ub ub5anke ub3ant u4b3arb uba2s ub3asc ubb2l ube4be
+            u4b3ehe u4b3eig u4b5eins ub5eint ub5ein4w u4b3e4mi uben3o u4b5erde uberin6t ube4woe ube4wö u3b4is u3b4it ub2l
+            ub3läu ub3los u4b3lus ubmi2 u2bo2b u2b3ok u2bop u2b3oz ub5rank ub2ri ub2ru ub2rü ub4s5ang ubsau4 ub4s5auf
+            ub4s5aus ub4sin ub4s3or ubst4 ubs5trau ub4s5tri ubt2h u4bueb u2büb 2uc uc1c u3cha. uch3ab uch3ad uch3ae uch3al
+            uch3am uch5ank uch5ans uch5ant uch5anz uch5arte uch3as uch3au uch3ä u3che u4ch3e4b u4ch3ed uch3ei u4ch5elf
+            uch5ell uchens4 u4ch3ep ucherin6s ucherin6t ucher6ken u6cher6lau uch5erlö uch4erz uch5er6zeu u5ches uche4t
+            uch5eti uch3i4d u5chig. uch3il uch3im uch3in uch3l uch3m uch5ma uch5mi uch3n u3cho. uch3o4b uch5oef uch3op
+            uch5org uch5ort u3chos uch3öf uch3r uch4san uch6s5ein uch4s5el uch4sem uchser6z uch4s5in uch4s5or uch5stran
+            uch5stub uch4tak uch6t5eig uch6t5erf ucht5erl uch6t5ersc uch6t5er6t ucht5erw uch6t5erz uch4t5in ucht5sk u3chu2
+            uch3uh u4chum u4chur uch3ut uch3w u1ci ucin3 u4ckar uck5elf u4ck5ene u4ckent u4ck5en4z u5ckero u2cki uck3in
+            uck5spe uck5stu u1cl u1cr 2ud u3d2a uda3d ude3e ude3i2 udein4 ude4n3e udens4 ude6rent ude6rerr uderna5 uder3o
+            uder3ö ude4str udiener6 udi2o3 uditi4 ud2ob udo3c u3d4o3e u2don ud4o3s u4d3rat 2ue. 2uea 1u2e2b 2ueba ueb3ae
+            2ue4bc 2uebd uebe2 ueber3 ue3bi ue4bk ueb5le ue3blo ue3bo ue4bs 2u2ec uech4s5c ueck5erb ue6ckerf ueck5erh
+            ue6ck5ers ue6ckerz ue2d3a2 uede4c ue5den. ue2d3o4 ue2d3r ued3s2 ued3t2 2uee2 ue3er 2uef ue2fa uef3ae ue4f3ei
+            ue4f3in ue2f3l ue2f3r uefs2 ue4fum 2ueg uege4l5a4 uege6lei6s ue2gl ue2gn u2eh ue2h3a uehan5 ue4h3ei ue4h5eng
+            ue4hent ue4h5erf ueh5erk ue4h5er4z ue2h3i ueh4lei ueh4l3o uehn4s ueho2 ue4h3ob ue4h3of u1ei 2uek 2uel ue3lak
+            ue4l3am ue4lau uel5eim uel5ein ue4lek uel4er ueler5ei ueli2 ue4lio uella4 uel4l5ad uel4lar uel4l5au uell5e4c
+            uel4l5ei uelle4n uel4lo ue4lor 2uem ue4ment ue4m5erz ue4m3id ue4m3in uemm4s uem2s ue2mu 2uen ue2na uena4g
+            uen3ah uen3ar ue2nä uen4d5ei uendergene6 uen4due uendungsgene6 uen5ema uen5ens uen5erk ue4n5er4l uen5esk
+            uen4fak uen4gag uenge6bu uengene6 uenge6schl uenge6wan u3enh ueni2 ue4n3in uenk4l uenk4r ue2no uen4seb uen4ser
+            uen5ska uens6por u3env uen6z5eig uen4z5in uen4zw 2ue1o 2uep uepfel5 ue2po uer3a uera4de ue4ra4t ue2r3ä uer3d2
+            ue5re. ue4r3ec uer3ed ue3rei ue5rei. uerei5s4 uer5ela uere4m uer5emi ue4r5eng ue4r5ent5 ue4rerf ue4r5er4g
+            ue4r5er4h uerer4k uerer4l ue4r5er4m ue4r5err ue6r5er6sa ue6r5ersc uerer6sp ue6r5er6st uerer6za uerer6zä
+            u5er5esk u5eress ueres6si uere4t uer5eta u5ereu uer6fahru uer4fas uer6g5eng ue4r3i4d ue4r3i4m uerin6nu uerin4t
+            uerk4l uer4le. uerme4c uer4nan uer4nau uer4neu uerns4t ue3ro uer5ode uero3s uer4rh uerr4s uers4k uers4ta
+            uer5stag uer5stau uer6trag u3e4rue u3e4ruh u3erum u5erunf u5erunt u3erur uer4zoe 2ues uesch5af ue4schl uesen5e
+            uese3s ue4sin ues3l uesli3 ues2p ues4sau ues4s3c ues4so ues4st ues5tel ues4th 2ueß 2uet ue4t3al ue4tap ue4tau
+            ue3te ue4tik ue4t3ro uet6schw uet4st uety2 2uev 2uew u1e2x1 2uez u2fab uf3abe u2f3ad uf3aen ufae4ß ufall4
+            ufa2n uf3ana u4f3an3e ufa2r uf3are uf3arm u2f3aß u2fa2t uf3au u2f3än u2f3ä2ß u2fei uf3eig uf3ein ufel4s5a
+            ufel4s5i u4f3ent ufen4te ufer4fo uferin6s uf5erke ufer6lau u4f5erne ufe2t u4f3eta u4f3eth u4f3eur u2fex
+            uffer5e ufferin6h uff2l uf4fot uff2r uf4fro u2f3id u2f3im u4f3ins u4f3int u4f3inv uf1l uf3lim uf3lit uflos3
+            u3fluc u3flug u3flüg u2fob u2f3of u2fop ufo2r uf3ori uf5orte uf1r uf4rass u3frän ufs3an uf4s5eta uf4s3in
+            uf5skie uf2so ufs4por uf4spre uf4spro uf5stras ufta4g uft3eb ufte4m uft5erd uft5er4g uft5er4l uft3in uft3s4
+            ufuen4 uf3ums uf3urk ufus2 2ug ug3a4br u4gabs u4gabte u2g3a2d ug3aeh ug3aku u4g3ana u4ganb u6gangeb u4gani
+            u4g3ank u4g3ant u4g3anz u2g3ap ug3ars uga2s ug3asc ug3au u4gaus ug3d2 ugd4e ugeb2 u2g3ec u4g3eig u4g3ein
+            ug5eise u4gelem ugena4b ugen6dre ugen6d5ri uge4n5en ugens4 u4gentf ugenz4 u4g5erke u4g5ersa uges4 u5ges.
+            u4g3esk u4g3ess ugge4l5a ug3i4de ugi3en u2g3im ugin4h ugin6ner u4g3ins ugin4sp ug1l u4gläu u6gleist u6gleitb
+            u6gleits u6gleitu u2gli ug3liz u4glok u2g3n ugo1 u2go2b u2g3oc u2g3oe u2gof u2gom ug3o2p u2g3o2r u2gö u4g3ram
+            u4g3rat u4g3reg u4g5reis u4g3res u4g5rind u4grou ug3rum ug3rüs ugs4alb ugs4and ugs2c ug4sein ug4sel ug4sin
+            ug5span ugs4por ug5stan ug5s4tie ugs4tol ug5stre ug4s5tür u1ha u1hä 2u1he uhe3a2 uhe3b uhe3e2 uhein4t uhe5rae
+            uhe3s2 2u1hi 2uhl uh4l3as uh3lä uhl5ein uh4l5ent uh4l5erb uh4lob uhmes3 u1ho u1hö uhr3an uhr3au uh3rei uhrei4s
+            uh4r3er uhr3o uh2ru uh1s2 uht2 2u1hü uh3w 2ui ui2a ui4che ui3cho ui4cker u3idd u3idm u3ids u3idt u1ie ui3em
+            u1ig ui2ge uik2 uil4les u1im uin3it u3inl u3inw u4ische uisi4n u3ism uis3ta u3isv u2it ui4te. ui2t3r ui1x uji3
+            u1ke uke2n uken3e uk3er3e u1ki u1k2l ukle3i uk3ler uk2n u2k3o2b uko3c uko4ma uk2r u4krai uk2t3a uk2t3ä uk4t3eb
+            uk4t3el uk4t5ent uk4t3er uk2th uk4t3i4m uk4t3in uk4top uk4t5o4ri uk2t3r uk4t3um uk2u ukue3b uku2s uk2ü ukü3b
+            u1la u3la. u2l3af u3l4ag ulan4di u4lanf ulap3 ula4ra ularen4 ula6r5end ularz4 ula2s ulasch5 ul3aus u1lä ul3äm
+            ulb2 ul1c ulda3e uldan3 ul4dar ulde4n ul4d5erf ul4d5erk ul4d5erl ul4d5ers ul4d5rue ul4drü ul3eig u2lek ul3elf
+            ul3elt ul3emb ule2n ulen3e ulen3i ulenk4 u2lep ul3epe ul3e4po ul3er4h ul3er4r u4leru ule4s3a ules3t ule2t
+            ul3eta ul3ext ulf2 ulg2 uli2k ulik5an ulik3o uli3pf ulk4a ulk2l ulk2r 3ulkt ul3le ull5eic ull5ein ul4lem
+            ull5endu ull5erkl ul4lid ul4l3o4d ul4lop ull3s2 ulni2 ulo2i ulom2 ulomb3 u2l3o2p u2l3or ulps2 ul4sal ul4sam
+            ul4s3ec ul4ser ul4s3in uls6t5erk uls4t3h ul4sum 4ulta ult3ar ul4tau ultauto6 ult5ein ulter6min ulti5t ult3s2
+            u1lu ul3umb u2l3ur ul2vr ulz2w u4m5a4ben uma2c u4m5aest u4m3aku um3alb u4m3all u4m3alt u5mann u4m3app u4marc
+            u4m3arg u4m3arm um3aro u4m3art u4m5asts u4m3atl u4m3atm u4m3aus u4maut um3ärg u4m3äst umd2 u2m3e2b u4m3e4ck
+            u2m3ef um3eic u4m3ei4n3 u4m3elf umens4 u2m3e2p umer4a u4merd u4m3erf u4m3erg u4m3erh u4m5erku u4m3erl u4m3ero
+            u4m3erw 1umf 1umg 2umgü um3ill um3inh um3ir um3iso umi2t um3ite 1umk 1uml um3me 4ummel ummi5erz um3n u2m3ob
+            u4moel 3u2m3o2f u2m3o2p 3umöf ump4fa ump4fin 4umpfs ump5ler 1umr umsch4 umsche6f um4s3ed ums5ein um4ser
+            ums5erw um2sk um3s4kl ums4ter um4sum umt2 um3to umu2r u1mü u2m1y 1umz 2umzw un1 4una. u2nab un4abe 4u3n4abr
+            u3nac u3nae un2ag u3n2al un4apa un4ara 4un2as una3st u3n4au. u3naue u3naus u3naz un2är 2und. un4da4b und3ak
+            und5art un4d3as un4dän 3undd 2unde un4d3ec undein6f und5eis undemi4 unde5ras under5ei underer6 und5eroe
+            un4d5erö underten6 under6tend un4d3ex 4undg 4undi un4d3id un4dim und5in5i 3undn 2undo un4do4b un4d3op 4un2dr
+            und3rä und3re und3ri und3rü 4undsc undue6b un4d3um undü4 un4düb 3undz un3ec une2d une2h un4ei. un3eid un3ein
+            un3eis une2l u4n3elf 3unemp une2n unen3e uner5o4b u4n5erz. un2es2 uneu3 u4n3eul unf2 un3fa 3unfä 4unfe 3unfr
+            un4g3ab un4gad un4g3a4g un4gak un4gam ung5art ung5ass un4gat un4g3au ung5eig un3gen ungen5erg ungen6te.
+            ungen6ten unger4e 3unget 3ungew 3ungez un4g3ig un4g3in ung5lat 3unglu 3unglü un2go un4g3rä un4g3ri un4gro
+            ungs5pa ungs5tae ung5stang un3i4de 3u2nif unik2 un3iro u3nisc un3isl 3u2niv 2unk un4k3ak un4k3an un4k3au
+            unker6ke un4ket unkgene6 un4kne un4kno un4knu un4k3ro un4k3ru unk3s2 unk4tit unk4top unk4t5ri unk4tro un4kum
+            un4kur un4kut un4küb unloe4 unlö2 1unm unmen4s unmut4 un4n3ad unne2 unnel3 unn6en5e u2no2b uno2r 1unr uns2a
+            unsch5el un5schen unsch5wi 3un3si uns2k un3ska uns2p unsta4g unste4c uns6t5erw unstu4 un2sz 1unt 2unt. unt2a
+            unt3ar 5unterd unteren6 unte4ri unt6ers 2unth 2unti unti4m 2unto unt2ö unt3s2 un3t4u unuss4 1unv 2unvo unvol4
+            unvoll5 1unw 2unwä u3ny unz2w 2uo u1o2b u1oc uoe2d u1of u3or. u3or3a u3or3c u3o4ret u3org u3orh u3o4ris u3ork
+            u3orm u3ors u3ort uo3ru u3orv u3orw uos2 u3os. uote2 u1ox u1ö uö2d u2ös 1upd upe2r upe4r3a4 uper3e uperer4
+            upf3au u4pfen upf6erp u2pfi u4pf5lau u2p2fo u1pi up2l 2u3po 2upp up2pf up2pl uppor4 upport5 u1pr up3sl up4t3a2
+            upt5en5e upt5erf upt5erg upt5erk upt5err upt5ers upti4d upt3il upti4m upt3in upt3o upt3r 2ur. u1ra u4r3abb
+            ura4ben ur3abt ur3adr ur3ael ur3ae4m ur3aen u4r3akt ural6leg u5rallei u5rallo ur3alt ural4ta ural4te ur3alu
+            ur3amp 3u4ran. u4ra4na uran5at uran4ba uran4bi u4ranf uran6fän ur5angs u4rank u4rann ur4anr uran5s u4r3apo
+            u2rar ura4ren ura4ri u4r3atl u4r3att ur3auf ur3auk ur3aus u2r3a2v ur3äl ur3ä2m ur3än ur3b4a urchi4 ure3am
+            ure4be. ure3e ur3eff ur3ehr ur3eig u4r3ele ure4ne u4r5ener uren6gag urens4 uren6sem u4r5entg uren6thu u4r5entn
+            uren4zy ur3epo u2r3e2q urer5eig ure3un u4rex urfar4m5 urf5eig urf5erg urf5erk ur4f5erl ur4f3li ur4f5rec ur4fro
+            urf5str ur4f3uh ur6gense urg5inn ur4g3ri urgros4 urg3s2 u1ri uri4c ur3ide ur3ill ur3imp u4r3ind u4rini urin5it
+            ur6ins. ur5in6sek urin6stin u4rint u4r3i4so urk2l urk2o urk3sp ur4m3ab ur4maeh ur4m5ang ur4m5art ur4matt
+            ur4mäh ur5me. urm5eie urm5einh ur4m5ere ur5mes urms2 ur4mum ur4m3ur ur4n5ere ur4nol u1ro ur3ofe ur3off u4r3orc
+            ur3org u1rö urp2 urr2a 3ursac ur4san urs5ang ursau4e urs5auf ur4seb urs5ere urs5erf urs5erk urs5ert ur4sex
+            urs5inf urs5int ur2sk ur4staf urs5tak urs5tele urster4 ur4s3um ur4s3un ur4tai urt5erz urt2s urts4c u1ru
+            urue5cken urueck5er5 uruf2 uru3fl ur3uhr ur3umb ur3umh ur3ums uru3s u1rü urück5er5 urve4n ur2za2 urz3ac
+            ur4z3ec ur4zeg ur4z3ep urzer3 ur4z5ere ur4z5erk ur4z5erl ur4zin ur4z3op ur2zw us3aar usa2b us5achs us3aeh
+            us3aer us3aes usa4gi usa2k usa4la us5alar u5sali us5alta u5salz us3amb us5amma us3amt u4s3ang us3ant us3anz
+            u2sar usa4ro us3ast usauto4 u2säh u2sär u2s3äs us5bli usby2 u2sce us2ch u4schab u6schaer u4schak u4schar
+            u4schas u4schär u4schef usch5eic u6sch5eind usch5einh u6schene u6schent usch5eul us4chi u6schimp u6schlan
+            usch5lap u6schlauf u6schlem usch5mis u4schmo u4schmö u6schmus u4schof u4schok u4schor u4schur u2sco usde3s4
+            use5be u2s3e2c use3en u2s3ei u3seid us5e4kel us2en usen6dac usen6dere usenk4 u6sen6sem u4sentl us3erd use4rec
+            u4s5er4pe u2se2x us3g u3shid u2sid usi5er. usi5ers. usi4kas usi4kat usiken4 us3ind us3inf us3int u2sk us5lob
+            us3oc u2s3oh u2s3op us3orb us3orc us3ost us3ot us3ou us4pate us4patz u3s4pec u3spek us3pic u3s4piz us6port.
+            us6ports u4sprae u4s5prä us4s3ad us4s3eb us4s3ec usse4g uss5einf uss5eins us4seka usse4kr us4sema us4semä
+            usse4mi usse4n ussen5e us4sep us5s6er. usser6fa usser5kr us6s5erla uss5er6le usser5w uss5erz us4sesp us4sete
+            us4sez us4sph uss5tal us4stor ussu2 us4s3um uss5urt u4st. u3stad ust5arm usta4v ust5ave u6stele ustell5a
+            ust6er. uster6fü uster6tr us4t5ess us5thal u3stir u3s4tol u4stöp u5strah u5streck u5s4tuec u2sue4 u2s3uf
+            u4s3umb u4s3umd u4sumg u4sumz u2sü u2sya u4s3zi 2uß u2ß3eb uße2n ußen3e u2ß1u 2ut ut5ablo ut3abr ut3adl ut3aeh
+            ut3aer u5tafe ut3aff u2tah ut3akt ut3alg ut3alk ut3al4l u4t3alt u2t3a2m ut3ana ut3and u2t3ar ut3ass ut3auf
+            u4taut ut3äh u2t3är u3tea ut3ede ute3e uteg2 u3teh ut3ei. ut3eie u4t3eig ut3eiw ute4la uten4ac ute4n3e utens4
+            u4t5entf uter3a4 utergene6 u4t5erhö uteri4e5 ute6ring u4t5ernt u4terwä ut4es ut4et ut4ev u2tex utfi2 ut3hel
+            u2t3hi u2t3ho u2t3hu u2t3i2d u4t5igel 3u4tili ut3ind u4t3inf u2t3ir u4tiso uti4vi uto3c ut3oef uto5erf uto5ers
+            uto5erz u3tof u3tom u4tops u4tord uto6rena uto6renb uto6renc uto6rend uto6rene uto6renf uto6reng uto6renh
+            uto6reni uto6renl uto6renm uto6renr uto6renv uto6renw uto6renz ut3ort uto3ru uto3s2 u2töl ut5raeu u4t3räu
+            ut3rea ut3res ut3ril u4t3rou ut3röt u5trup ut3rü utsau4 ut4schl ut4scho ut4schö ut3ser ut4sin u4tsk ut3sky
+            ut3sp uts4pe uts4to uts4tu ut3t2l ut3to utto3e ut4t3ro utt3s2 utu3en u2t3um utu2n u4t3une utu4re utu3ro utu3ru
+            ut2za ut4zed utz5ehr utz5eig ut4z5ene utzer6tra utzer6trä ut4z3e4t ut4z3in ut4zis ut2zo ut2zö ut2zw 2u1u2 uum1
+            uume2 uumen5e uungsex5 u1ü u2ve. uve3na uve3ra uve3rä uvoran4 uv2r 2u1x ux2a ux1o ux2or ux3t2 u1ya 2uz uz3al
+            uz3ar uz3eck u4z3ela uze2n u4z3ene u6z5en6tro u4z3en4z u6z5er6hoe u4z5er4hö uzer4l u4z5erla u2z3i2k u4z3inf
+            uzi3o uzo2f uz3or uz3ot uzu4pf uz3z2 uz4zb ü1a 1ü2b 2ü3ba üb1ä 2übc 2übd übe2 2ü3bef übe3le ü3bem übe5n4au
+            über3 ü3bes ü3bi üb3l üb5len üb5les üb1r üb4s3te 2üc ü3che ü3chi üch4s3c ücke4n ü5cken. ück5erb ü4ck5erf
+            ück5erh ück5er6ke ück5erla ü4ck5ers ück5erw ü4ck5erz ü4ckin ück4sor ü4ckum ü2d1a2 ü2dä üde2c üde2l2 ü3den.
+            üden4g ü3dens üdi2r üdi2t ü2d1o2 üdo4s üdost3 ü2d1ö üdpol4n ü2d3r üd3s2 üd3t2 üdu2 üd3ug üe2 üeb3l ü1ei 2üf
+            ü2f1a ü2f1ä ü2f3ei ü4f3ent ü6fer6geb üfe2t üf3eti ü2f1i üf1l üf1s2 üf4tan üf2t3o üf4t3ri üf4t3ro üft3s ü2fum
+            üge4l3a4 üge4l3ä ügel3d4 üge4lec üge6lei6s üge4len üge4ler üge4lo ügen3s ü2g1l ü2gn ügs2 ügs3t üh1a2 ühan3
+            ühan5d ü1he ü2h3ei ühe2m2 üh3emb üh3emi ü4h3eng ü4h3ent ü4h3erf ü4h3er4k ü4h3er4z ü2hex üh1i2 ühla4c üh3lam
+            ühl3au üh3lä üh4l3ei üh4lel üh4l5ene üh2lo üh2l3ö ühl4sin üh3ne ühn2s üh1o2 üh3rad üh3reh ühr5ei. ühr5eie
+            üh4r5eis ühren5e ührens4 üh3ro ührungsgene6 üh1s ühs2p üh5stei üh3t2a ü1hu üh3w ü1k ül1a ül2ad ü2l3ef ül3eim
+            ül3ein üler3a4 üler5ei ülergene6 ülerin6f ülerin6t ül3io ül2la2 üll3ad üll3an üll3au üll3e4c ül4l3ei ül4lent
+            üller4s üller6zeu ül4lid ül2l3o2 ül2lö ülls2 üll3sk ü2l1o ü1lu ü2m1a ü4ment ü2m3e2p üme4r3a ümerin6t ü4m3erz
+            ümi2 ü2m3id ü2m3in ümm2s ü2m1u 2ün ün1a üna2c ün2da ün4d3ei ünde4l5a ündergene6 ün2dr ünd3s ündungsgene6 ün2dü
+            ünen3 ü4n3erd ü4n3er4l ün2f ünf3ac ünf3ak ünf3ei ünf3le ünf3li ün2gl ün3gla ünkoh4 ünkohl5 ünn4st ü2n1o ün2st
+            ün3sta ün5stei ünste4r ün3str ün3t ü1nu ün2za ünze4n ün2z3i ünzu2 ün4z3un ün2zw ü1o 2üp üpfel3 üpf3l ü1pi
+            üp2p3a üp2p3l ür1a ü2r3ei ü2r3e2l ü4r3en4t3 ür4f3er4 ür4g5en4g ürge4ra ü1ri ürk2l ürme4c ü1ro3 üroe4 üro5fe
+            ürom4 üror4 ürp2 ür2rh ürr2s ür2st ürte4l3 ü1ru ür4z3au ür4z3in ür2zo ür2zö ürzt4 ür2zw üsch5af ü3schi ü4schl
+            üse3e üsen3e üse3r4 üse3s üs3l üsli3 ü1s2p üs2s3a üs2s3c üsse6l5ers üsse4l5i üs2s3o üs2st üst3a üs4tei üste4n
+            üs2t3h üs4tl 2üß 2üt ü2t3al ü2t3au ü3te üte2n ütens4 üter3a üte6r5eis üte4rer üterich6 ü2t1h ü2t1r üt2sa üt2se
+            üt2st ütte4n3 üt2tr üt2za üt2zw 1v vab2r 2vabs va1c va3e2m va3er va3fl v2ak va3lam val4en val5ero val5erp
+            val4lan val4lo vall3s4 val4sa val4sp val4su 2v3amt v3ansa v3ansc 2v3arb var4d3r 2v3arm 2v3art va1s va4s3ek
+            2v3ass vas2t va4s3ta va2t3a2 va4tag va2tä va4t3ei vatem4 va4t5emp va4ten4g va4t5enz vat5ermi va4tess va2t3h
+            va4t3id vatik4 va4t3in vati6ons. va4t3op va4t5ora va4t5ord va4torg va2t3r vat3sa vat3s4p vats4t va2t3u va2ty
+            vat3z 2v1au 2v1ax 2vb2 2v1c 2vd2 vdi2e ve2a ve3ak 2ve3al ve3an ve3ar veb2 ve1c ve1e2 ve4ff veg2 2v3eig 2v3ein
+            veit2 veits3 ve3l4ar ve4l3au velo5p velo3s vembe4 2v3emp vendi4 4v3endu vene4n 4v5energ vener6sa ve4n3in venk2
+            ven4t5a4g 4v3entd vent4st venu2 venzer5 ven6z5ere ve3of ve1p ve3pn ve2r1 ve3ra. ve5rada ve5rade ve5rand
+            ve5rane vera4s ver6b5art ver5blei ver5b4li ver3d4 vere2 ve3rec ve3reg ve5reif ve5reig vere6in verein6s5tr
+            ve3rem ve3res ver5est ve4rf4 ver5fl ve4r3g2 ve3rit verk2 vermen6s vern4a ver3n4e ver4sep ver5sta ver3sw ve4rt
+            vert6er verue4 ve3rus verü4 verz2 ve2sp ves3ti vesti4e vete3r veto3 ve1u2 ve2ur 2v1f vf4gh 2vg2 2v1h vi3ana
+            vi3a2r3 via3t2 vi2c vid3s4t vie4h3a vieh3s vie4l3a4 viele4 vie6l5er6z vi4ene vier5ad vie4rec vie4r5ei vie5r4er
+            viers4 vie2w3 vig2 vi2l3a vi2lä vi4l3e4h vi4lei viler4 vi4l5ers vi4l3in vil4le. vi2l3o vi2ma2 vi2n3a 2v3inv
+            vin4zin vire4n3 vi3s2a3 vise2 visen3 vi3si vis4o vi5sor vis2u vit2 vi4tam vi3z viz4e vize3i vize3s 2vj 2v1k2
+            v1l2 v3le 2vlic v2lie 2v1m vmwa2 2v1n v1ob vo2be vob4l voge2 vogel3 vo2gu vol4l3a vol4lei vollen4 vol6l5end
+            voller4 vol6lerf vol6lert vol4li von3s4 vo2pe vor1 vo4ra voran6schl voran6ze vor5de vo2re2 vor3es vo4rie
+            vo4rim vo4rin vo2ro2 vo2rö vors2 vorsch4 vor5ta voy1 vö2c 2v1p2 v3ps 2vq 2v1ra v1rä v2ree v3ris 2vs vsau2 vs2c
+            vson2 v1s2p v3sta v3stel v3steu v3s2tr vsu1 v1s2z 2vt2 vue1 vu3en. 2vumf 2vumg 2vumk 2vv 2vw 2vz 1w 3waa
+            wab4bl w2ac wa3cho 3wacht wach6tra wach6trä wa3chu 3waeld 4waeng 3waes w3aeu waffe4 waffel5 wa3ge 3wage4n3
+            wa2g3n 3wah wahlen4 wah6l5ent wah4ler wah4l3i wahl3s4 wai2b wak3l wa3la5c 3wald wal4d3a4 wal4dec wal4del
+            wal6denk wal4din wal4d3r wa3le. wa4les walf2 wa3li wal2m3 wa2lo wal4t3a walter5e wal6t5erf wal6terl wal4t3h
+            wal4t5in wal4t3o wal4tri walt6sta wal4tur 3walz walze4 walzen5 walzens6 wal4zw wam4mei wa3na wa4nau wan4dab
+            wan4dan wan4d5ar wan4d5as wan4d5eb wan4dec wandels6 5wander wand5in wan4dob wan4dr wan4due wan5ge wangs3 3wann
+            wan4z3a wanze4 wan6z5en6d wan4z5er wa2p 3ware wa4ref ware3i warein4 wa3ren war4ma war4m3i 3warn war4th wart4st
+            war3u war4za war4z5ei war4zel war6zent 3was wa3s2a wa4scha wa5sche. wasch5ei wa5schen wa4sch5l wa4schm
+            wa5schun wa4schw wa3se wa3s2h wasser5e wa3su 3watt watte5s 3wäh wäh4lei wäh3ri 3wäld wände5s 2wäng wärme5i
+            3wäs 2w1äu 2wb2 wbu2 2w1c 2wd we2a we2b3a webeat5 webe3e we2b3i we2b3l we2bo we2b3r web3sp w2ec we3cha we5cke.
+            we5cken. we5ckes wecks4 wee2 weed3 2wef we2fl 3weg we2g3a we4g3ei we4g5en4g we4g5erk weg5ersc we4gim we4gin
+            we2g3l we2g3n we2g3o2 we2g3r weg5s4a wegs4t 3weh wehr3a4 weh4rei weh4r5er4 wehr3o4 wei5be wei4ble weib4s
+            wei3de weide5r wei3dr 2weie 2weif weifel6d weifs4 wei4gra weigs4 2weik2 3weil wei4na wei6nenz wein5erz
+            weinsau6 wei4san wei4sas weiser6g weiser6h weisex5 3weish weis6sel weis6spi wei5s4tr wei6takt. wei4tal
+            wei4t5ra weit3s wele4n3 wel4kl welle4 wellen5 wellende6f wel6schl wel6schr wel4t3a4 welte4 wel4teb welt5ei
+            wel4tel wel6t5en6de wel6tent wel4ter welt5ere welt5ern welt5ers welt5erw welt5erz wel6t5esc wel4th wel4t3i
+            wel4to wel4t3r wel4t3u wena2 wendegene6 wendes4 wen3f wen4kau wen4k5la wen4k5ri we2no wens2 we4r3a2 werbe5e
+            werbe5i werbes4 werb4s3 3werbu 2werc werde5i 5werdens 3werdu werer4 werga4 wer4g5am wer4gan wergel6 wer6g5els5
+            wer6g5en6t wer4g3l wer4gn wer4g3o wer4g3r wergs4 w4e3ri werin4d we4ri4o 3werk. wer4k3a wer4kä 3werke werk5erz
+            wer4k3i wer4k3l wer4kne wer4kop wer4k5or wer4k5re 3werks wer4ku wer4kü wer3o wer3ö wer3s4h wer6star wer4ta
+            wert5ab wert5ak wert5an wer4t5än wer6t5eig wer6ter6g wer6t5erm wer6t5ero wer6t5erö wer4t3h 3werti wer4t5in
+            wer4t3o4 wer4tre wer4t5ri wert5sk werts4t wer4t5um wer4t5ur 3wese wesen4s we2sp we4st west3a weste4 west5ec
+            west5ei wes6temp wes6t5end. west5ende wes6teng wes6t5erwei wes4tex wes4th wes4ti west3o4 wes4tor west3r wes4tu
+            2wets 3wett wet4ta wett3r wett3s we1u 2w1ey 2w1f 2wg whi2 whi4t w3ho wicht6se wi3cka 3wid 2wieb wi3ec3 wiede4
+            wie5la wien4e wi2gl wigs4c wi3k wik4i 3wild wil4d3a4 wil4del wil4dr wim4ma wim6m5ent wim4m3u wi3na win4d3a
+            win4d5e4c win4d5ei win6d5erz 3win4dr wind5ri wine2 winen3 win4g3l win4g3r wings4 wing5se win4kl win6nerh
+            win6n5er6sc win6nerw win4no win3sk wi2r 3wirk wir6kene 2wirn 3wirt wi6schef wi4sch5l wi4scho wi4schr wis4e
+            wi5sen 3wiss wiss4z wis4t3r wi3th 3witzi wit4zin 3witzl w2j 2w1k 2w1l 2w1m 2wn wn2s3p 3wo1c wo4cha woche4 3woh
+            woh4lei woh4l5e4t woh4na woh3r 3wolf wol4fr wol4l3a wol4lei wolls4 wor3a wo2r3i work3a wort3a wort3ä 3worte
+            wort5ei wor4tel wor6t5erf wor6t5erh wort3h wor4to wor4t3r 3wort3s4 wor3u wor3ü wöl4fa wöl4fo 4wölft wör2g 2w1p
+            2wq 2w1ro 2w1s wser3e w3s2h w2ska ws2ki ws2ky ws2t w2s1u 2wt2 wti2 3wuc wuch4sa wuch4sc wuch4sp 3wuec wue3le
+            3wuerf 3wuerg wuer4s 5wuerst 2w1u2f wun4d3a wun4dä wund3r 2wung wun4g3r wung5sc wun2s wunsch5ei wunsch5l
+            wur4f3a wur4f5ei wur4fel wur4fer wur4f3l wur4f3o 3wurm wur4m3a wur4mei wur4mer wurmes4 wur6m5ess wur4m3i wur2s
+            3wurst wurst5a wus2 wus3te wu2t3 wutz2 3wüc 3wüh 3würf 3würg 3würst 2ww 2wz x1a 1xa. 2xab xa2be xa2br xaby2
+            1x2ac 1x2ad 1x2a1e2 xa3fl 1x2ag2 xal3a xal2l3 xa2m xa3mer 2xan x2an. xa2na x3anb 3x2ane xant4h 3x4anti 3x4anzi
+            xa2r 1x2as 2xau xa2z 2xb2 2xc xcal2 x1ce x1ch x1cl 2xd xda2 xdi2e 1xe 2x1ef 2x3e2g 2x1ei 2xek xe2l 3xel. xel3a
+            xe3lei 2xemp x2en xenk2 xen3s2 2x1e2p 2x3erl xer4la xer3s2 x3erz 2x1eu 2x1ex 2x1f2 x3fi 2xg2 2x1h x2i 2xia
+            xib2 xi1c xich4 xi3dan xide2 xi4d3ei xi4d3em xidi2 x3i2do 3xi2e 3xik2 xi4lar xi4l3au xi4l3er xi2lo xi2l3u 1xim
+            x3imp xin3s2 1xip xi2s3a 3xisc xi2s3e xi4s3or xiss2 xi2su x3i2tu 2x1k2 xkal2 2x2l2 x3la x3lä x3le x3lo 2x1m
+            xmon2 2x1n x1od xo2du 2xo1e2 x1o2l xonen4 xo4n5end x1o2r xos2 x2ot 2x1ö2 2x1p2 x3par x3pau x3ph x3plor xpor4ta
+            xpor6t5er6 xpor4t5r x3pu 2x1r 2x1s2 x3sh xst2 2xt xt1a x2ta2b x2tak xt4ane x2tau xt1ä x2tän x2täs xtblo4
+            xtblock5 x2t3e2b x2t3e2d x4t3eig xt3ein x2t3el x4t3ent x4t3er4f x4t3er4g x4t3er4k x4t3er4l xter4s x4t5ersc
+            x4t5erse x4t3erw x4t3er4z x2t3e2v x2t3ex xtfi4l xt1h x2thi x2t3id xti4la xti4lin xt5il4lu x2t3im xt3ind xt3inf
+            xt3inh xt3ins xt1o2 x2tob x2tor xtra3b4 xtra3c xtra3l xt5rand xt5raum xt3rec x4t3rep x4t3res x4t3rol xt3s2
+            xtu3e x2t3um x2t3un x2tup xtu5ral 1xu xu1a xu1e x1um xu2n 2xunt xu2s1 xusa2 xuss2 xus3t 2x2v x3ve xvil2 x3vo
+            2xw 1xy. 1yac y2ach yach4t5r yacht5s4 ya1h ya1i2 y3al. ya3la y3alb yan2g y3ank y3anz ya2ro ya3s2p y1au y1ät
+            yb2r y1c ycer4 y4chia ych3n yd3al ydri2 ydrid3 ydro3 y1e y2ec ye2d y2ef y2el ye2ne yen2n 3y2eno yer3a2 y2eri
+            yer2n3 y2es. yes2p ye2th y1f2 yfen2 yg2l ygro3s y1h yhr2 2y1i2 y1k2 yke3n yk3s yk3t yl3ac yl3aet y3lak y2l3a2m
+            yla2n ylan3e y5lant. y5l4ante y5l4anti yl3ar y3lat yl3ät yl3c y2le. yle3is y2l3es y2l3e2t ylinde4 yli4ne.
+            yli4nes ylk2 yl4l3ak yloid3 yloni5e yl3ora yl1s2 yltri3 y1lu 2ym ym4ae ym4an ym4är ym4el ym1p2 ym4pha ym4phor
+            ympi3e 2yn y1na ynae4r y2n3an ynä2r yndro6ma y3ne. yne4c ynk2 yn1o yno2d yno2t yno2v yn3t2 ynta2 y1nu y2od
+            yof2 yoff3 1yo3g yog4a3 yonal5s4 yon4ne y3ont y3o2pe yo3ru yo1s y3os. y3ot. y1ou yout3a 2y1p yp3a2b ypa2n
+            yp3än y2pec ype4r y4pesc y2p3i2d ypi2e y2p3in y2p3lo ypo3t2 y2p1s yp3th y2p3um y2pü y1r yrae3i yras4t yrä3i
+            y2rh yri5er. yri5ers yro1 yro4s5te yrr2 2ys ysau2 ys2c yse1 ysein4 yse2n3 yse3s2 y3sho y3s2n ys2po yst4e
+            ys5tem yste4n ys4the ysti5er ys4tol ysto4le ys4tri y3s2ty ysu2 y2s3ur y1s2z yte2n3 y2tes yt2h yt4he ythi3e
+            y3to yto3s2 y1u yu2r yure3 yvet2 yvon4 ywurs4 y1x y1y yze5r4i 1z 2z1aa 2z1ab 2zacc 2z3ach za3cha za3chä 2z1a2d
+            za2e z3ae2c z2aeh 2z3aem 4z3aend 4z5aengs z3aerm za3ess 2z3aet 4z3aeus 4z3aeuß za3f4a 2z3aff za3fl za2ga za3gr
+            3z2ah zah4n5er4 za3hol z2ai za3im z1ak 2z3akk za3kl 2z3alb 2z3ald zal4e 2z3all 2z3alp 2z3alt 2z1am 2z3a2na3
+            2zanb zan3d2 2zanf 4z3anga 4z5angeb z5angel z3angl 4z3angs 2zanh zan4ka zan4kl 2zanl 2z3anm 2zano2 2zanp 2zanr
+            2z3ans2 z4ans. zanti3 2zanw zao2 zapf3l 2z3a2po zap4ple 2z1a2q 3zar. 2z3arb 2zarc zare3s 2z3arg 2z3arm 4z3arti
+            zar4t3r zarts4 2z3arz z1as zas2b zas2p z1at 3z4aub 2z3au2f3 2z3aug 2z3auk 3zaun z3aur z3ausb z3ausf 4z3ausg
+            4z3ausl 4z3auss 4z3ausw 2z3auß 2z3aut 2z1ä2c zäh4lei zäh4lin 4zähnl zäh3r 2z1äm 2z3änd z3ängs z1äp z3ärg
+            2z3ärm 2z1ät 2zäug 2z3äus 2zäuß 2zäx 2zb2 z3be zber4e z3bo zbue3b zbü3b zby2 2z1c 2zd2 zdan2 zdä1 zdi2e
+            zdi5str z3ds zdue3b zdü3b 4z3e4ben zebra3 4z3echo zech3s zed2 ze4dit ze1e2 2z3eff zef2l zeg2 ze4gal ze4hem
+            zehe4n3 zeh2l zehn3a zeh4n5en zehns4 zei5cho zei3f2 zeik2 zei5le4 zeilen5 2z3ein ze3in. z4ein4a zein4de
+            zei4n3e zeinen4 z4eino ze5in4se zeis2 zei3sk zei3sp zei3st zei4t3a zei4tä zeite4 zei4teb zei4tei zei4tel
+            zei4t5er5 zei4t3o zei4tr zeit5re zeit5ri zeit6sto ze2la zel5abr zel3a4d zel3ae zel3am zela4n zel5an5e zel5ang
+            zel3au ze2l3ä zel3d4 ze4led zelei6er ze4l5eig ze5leis z3e4lek 4zelekt 4zeleme ze4l3en ze4l3er zeler5e ze4les
+            zel3ex zel3id zel3in ze4linf 4z3e4lit zel4lab zel4l5ac zellar6t zel6lein zeller6z zell3s4 ze2lo zel3ob zelp2
+            zels4t zel5ste zel3sz zel4tau zel4t5in zelu2 zel5unk ze4lus zembe4 zem4e ze4mis 2z3emp zen4ade zena4g ze5natt
+            zen3au ze2nä zende4c zende4k zende4s ze3nec zen5en5e zen5erke zen5ern zen5ertr ze4nerw zen3f2 4z5en4ge.
+            zenge6ne zengene6r 4zengp zeng4r ze4nid zen5inn zenk2 zen3n ze2n3o zen4san zensch4 zen4sem zen4ser zens4po
+            4z5entna zent5rae zent3s zen4z5ar zen6z5ers zen6zert zen6zerw zen4zin zen4zy zeo2r ze4pen ze3p2f zeppe3 zer3ad
+            zer3ae zer3a4g zer3an ze4r3at ze2r3ä 6z5ereign ze4rein ze4remi zer5end zer5erw ze4r3e4t 4z5erfol 4z5erfül
+            4z5ergae 4z3ergä zer4gon 4z3er4gu ze4r3i4d zerin6di zerin4f zerin4h zerin6te 5zerl. zer6lang zer6laub zer4läu
+            4z5erleb zer4lei zerlo4 zer6maec 4z5er4mäc 5zerme zer4nan zer4n5e4b zer6nerb zer5obe ze3ros ze4rou ze3rös
+            2z3erq zers2 z5ersae 4z5ersat zersau4 4z3ersä zer3sk 6z5er6strec zer4t5a4g zer4tar zerte4 zer6t5emp zerten4
+            zerter5 zer6t5ere zer6terl zer4t5in zer4ton zer6t5rau zert3s4 6z5erwerb zer4zä z4es. zes2a zes3au ze3sch
+            zes3er zes4ph zes4sa4 zess5ag zess5an zes4seb zessen4 zes6s5end zes4ser4 zess5erf zess5erz zes6s5ort.
+            zes6s5or6te. zes6s5or6ten zes6s5orts zes4spa zes4spo zes4sum zes4s5ur4 ze5stau zes4tie ze5stra 4z3e4tap 4zetat
+            2z3e2th 4zetts zeug3a zeu4gei zeu4gel zeu4g5e4m zeuge4n zeu6g5ersc zeu4g3r 2z3eul ze3um ze3ur 2z1e2x1 2z1f2
+            zfen2 2zg2 zge3n4a zger4a zge6r5in6nu zger4s5e 2z1h2 zhau4t3 zi3af zi5alei zi5aleng zi5alim zi3ang zi2ar zib2
+            zi3cho zich6t5er6 zi4d3ak zi4d3ei 3zie zie4hei zie4l3a ziele4 zie4l5eb zie4lei zie4l5er zie4let zie4l3i zi3ell
+            zie2n zierde4 zie4r5ei zi3es. zi3ess zi3est zi3esu zi3esz zif4fr zi3fl zi4gec 4z3i4gel zig3sp zi4kon zil4e
+            zi4mit 2z3imp zim2t3 4z3inde zi4n5er4z zi4n3et zi4n3in 4z3i4n3it zin4kae zin6k5erz zin4k3l zinks4 zin4na
+            zin4sa zin5sas 4z5insel zin4ser 4zinsuf zi2o zio3d zi3on. zi3ons zip4a zirk2 zirks3 4zirri zi3s2z 3zit zi4t3an
+            zite2 zithe4 zi2t3o2 2zj 2z1k2 z3ko zko3ef z3kr zkue3b zkü3b z3ky 2z1l zlan6d5er zlei5ti zle3s z3lo 2z1m2
+            zmau4s 2z1n2 zna5che z3ne znebe4 znei3 2z3o4as 2z1ob 2z3oe2d zoe2f 3z4oeg 2z3oek 4zoel. 4z3oels z1of zo2gl
+            2z1oh zo4lig zol4l3a4 zol4l5ei zol6l5en6t5 zoller4 zol6lerf zol6l5erk zol6l5erl zol6lert zol4lin zol4lo zolls4
+            zoll5ste z3o2ly 3zon zon3s2 zon4teb zon4t5er 3zo2o zoo3s 2z3o2pe zop4f5en 2zopt 2z3ora z3orc z3ord z3org zo2ri
+            zor4n3a zor4ner 2z3ort 2z3osz zo2t3a 2z1ou zo2w 2z1ox zo2ze 2z1ö2d 2z1ö2f 3zög 2z1ök z1öl 2zöl. 2zöle z2öli
+            z2öll 2zöls 2z1p2 z3pn 2zq 2z1r2 z3ra z3ru 2z1s2 z3sa zsau2 zsch2 zse3r4u z3sh zsi1 z3sk z3sl z3sp zst2 zsu1
+            zsui2 2zt zt3abr zta2n z4t3an3e z4t5anze z2t3ar ztee2 zte3eh zt3ehe zt5eins z4t3ent z4t3erz z3t4es zte3s4k
+            zte5str zt3hel z2t3hi z2t3ho z2thu zt3ind zt3inf zt3ins zt4or zt4ram zt3rec zt3s2 z4t3urs ztz2 zu1 zub2
+            zucht5o zucht5r zuchts4 zud2 zudi4e 2zueb zu3ebb zu3ebn zue2k zu2el zu2en zu3ent zu4erc zu4ern zue4r3o4
+            zu4ers. zue2t zu3f2 zu4g5ans zu4g3ar zu4g3at zug5eis zu4g5ent zugg2 zug5inn zu4gla zu4glä zu4glö zug2r zug5rau
+            zug4san 2z3uhr zui2 zu3le 2z3ult zu3lu 2z3um. 2z3umb zumen4s 2zumf 2zumg 2z3umh 2zumk 2zuml zu3mo 2zumr 2z3ums
+            2z3um4t zu3m2u 2z3umw 4z3unab zun4am zu3n2e 4z3unem 4z3unfa 4zunfä zunge4n5 4zunget 4z3ungl zungs3 4z3u4nio
+            2zunr 2z3uns 2zunt 2zunw zuo2 zup4fi zu3r4a 2z3urk 2z3url 2z3urn 2z3urs 2z3urt zu3s2 zu5sch4 zus4e zus4p
+            zu3t4a zu3te zut4r zuve4 zuz2 2züb zür3c 2zv 4zwaer 4zwaes 2zwaf 2zwag 2zwah 2zwal 4zwand z4wang 2z3wap 2zwa2s
+            zwasse4 2zwäc 2zwär 2zwäs 2zweb z2wec 4z3wech 2zwed 2zweg zweg3s 2zweh 5z4weig 4zweil 4zwein zwei5sc
+            zwei6t5er6k 2zwel 2zwen z4werg 4zwerk 4zwert 2zwes z2wic 2zwid zwi2e 4z5wied 4zwild 5z4wing 4z5wint 4zwirr
+            4zwirt z4wisc 4zwiss z4wist 2zwur zwur4m3 2zwü zy3an. 5zyklu zy2le zy2m3i 2zz zz2a zza3t z2z3id z2z3i2k zzi2n
+            zz3ini zzi3s2 zz2o zzol2 z2z3or zz2ö zzug4s zz2w
+        `
+    },
+    fr: {
+        name: 'French',
+        source: 'hyph-fr',
+        leftMin: 2,
+        rightMin: 2,
+        exceptions: '',
+        patterns: `
+            2'2 'a4 'ab3réa 'ae3s4ch '2alcool 'amino1a2c 'ana3s4tr '2a2nesthési 'anti1a2 'anti1e2 'anti2enne 'anti1é2
+            'anti1s2 'apo2s3ta 'as2ta 'ar3gent. 'ar3pent. 'a2g3nat 'â4 'e4 'en1a2 'en1o2 'eu2r1a2 'ê4 'é4 'è4 'i4 'i2g3né
+            'i2g3ni '2informat 'in1a2 'in2a3nit 'in2augur 'in1e2 'in2effab 'in2ept 'in2er 'in2exora 'in1é2 'in2é3lucta
+            'in2é3narra 'in1i2 'in2i3miti 'in2i3q 'in2i3t 'in1o2 'in2o3cul 'in2ond 'in1s2tab 'inte4r3 'intera2 'intere2
+            'interé2 'interi2 'intero2 'interu2 'inters2 'in1u2 'in2uit 'in2u3l 'o4 'on3guent. '2octet 'oua1ou 'ovi1s2c
+            'î4 'ô4 'u4 'û4 'y4 .a4 .ab3réa .ae3s4ch .amino1a2c .ana3s4tr .anti1a2 .anti1e2 .anti2enne .anti1é2 .anti1s2
+            .apo2s3ta .as2ta .ar3dent. .ar3gent. .ar3pent. .a2g3nat .â4 .bai2se3main .bi1a2c .bi1a2t .bi1au .bio1a2
+            .bi2s1a2 .bi1u2 .ch4 .chè2vre3feuille .ci2s1alp .con4 .cons4 .contre1s2c .contre3maître .co1o2 .co2o3lie
+            .com3ment. .cul4 .dacryo1a2 .dé1a2 .dé1io .dé1o2 .dé2s .dé3s2a3cr .dés2a3m .dé3s2a3tell .dé3s2astr .dé3s2c
+            .dé2s1é2 .dé3s2é3gr .dé3s2ensib .dé3s2ert .dé3s2exu .dé2s1i2 .dé3s2i3d .dé3s2i3gn .dé3s2i3li .dé3s2i3nen
+            .dé3s2invo .dé3s2i3r .dé3s2ist .dé3s2o3dé .dé3s2o3l .dé3s2o3pil .dé3s2orm .dé3s2orp .dé3s2oufr .dé2s1œ .dé3s2p
+            .dé3s2t .dé2s1u2n .di1a2cé .di1a2cid .di1ald .di1a2mi .di1a2tom .di1e2n .di2s3h .dy2s3 .dy2s1a2 .dy2s1i2
+            .dy2s1o2 .dy2s1u2 .do3lent. .e4 .en1a2 .en1o2 .eu2r1a2 .ê4 .é4 .émi3nent. .è4 .i4 .i2g3né .i2g3ni .in1a2
+            .in2a3nit .in2augur .in1e2 .in2effab .in2ept .in2er .in2exora .in1é2 .in2é3lucta .in2é3narra .in1i2 .in2i3miti
+            .in2i3q .in2i3t .in1o2 .in2o3cul .in2ond .in1s2tab .inte4r3 .intera2 .intere2 .interé2 .interi2 .intero2
+            .interu2 .inters2 .in1u2 .in2uit .in2u3l .ma2g3nicide .ma2g3nificat .ma2g3num .ma2c3k .macro1s2c .ma2l1a2dres
+            .ma2l1a2dro .ma2l1aisé .ma2l1ap .ma2l1a2v .ma2l1en .ma2l1int .ma2l1oc .ma2l1o2d .ma2r1x .mé2g1oh .mé2sa
+            .mé3san .mé2s1es .mé2s1i .mé2s1u2s .méta1s2ta .milli1am .mono1a2 .mono1e2 .mono1é2 .mono1i2 .mono1ï2dé
+            .mono1o2 .mono1u2 .mono1s2 .pro2g3nath .pro1é2 .pro1s2cé .prou3d2h .pré1a2 .pré2a3la .pré2au .pré1é2 .pré1e2
+            .pré1i2 .pré1o2 .pré1u2 .pré1s2 .pa2n1a2f .pa2n1a2mé .pa2n1a2ra .pa2n1is .pa2n1o2ph .pa2n1opt .pa2r1a2che
+            .pa2r1a2chè .para1s2 .pa2r3hé .pa3rent. .pa3tent. .pen2ta .pe4r .per1a2 .per1e2 .per1é2 .per1i2 .per1o2
+            .per1u2 .péri1os .péri1s2 .péri2s3s .péri2s3ta .péri1u2 .ph4 .phalan3s2t .pluri1a .pon2tet .pos2t3h .pos2t1in
+            .pos2t1o2 .pos2t3r .post1s2 .psycho1a2n .pud1d2l .sta2g3n .stil3l .syn2g3nath .sar3ment. .ser3ment. .seu2le
+            .sch4 .sh4 .su2b1a2 .su3b2alt .su2b1é2 .su3b2é3r .su2b1in .su2b3limin .su2b3lin .su2b3lu .su2b1ur .su2r1a2
+            .su3r2a3t .su2r1e2 .su3r2eau .su3r2ell .su3r2et .su2r1é2 .su2r3h .su2r1i2m .su2r1inf .su2r1int .su2r1of
+            .su2r1ox .sou3vent. .o4 .on3guent. .oua1ou .ovi1s2c .î4 .kh4 .ta3lent. .th4 .tri1a2c .tri1a2n .tri1a2t
+            .tri1o2n .gem2ment. .no2n1obs .ô4 .ré1a2 .ré2a3le .ré2a3lis .ré2a3lit .ré2aux .ré1é2 .ré1e2 .ré2el .ré2er
+            .ré2èr .ré1i2 .ré2i3fi .ré1o2 .réu2 .ré2uss .rétro1a2 .re1s2 .re2s3cap .re2s3cisi .re2s3ciso .re2s3cou
+            .re2s3cri .re2s3pect .re2s3pir .re2s3plend .re2s3pons .re2s3quil .re2s3s .res3sent. .re2s3t .re3s4tab
+            .re3s4tag .re3s4tand .re3s4tat .re3s4tén .re3s4tér .re3s4tim .re3s4tip .re3s4toc .re3s4top .re3s4tr
+            .re4s5trein .re4s5trict .re4s5trin .re3s4tu .re3s4ty .la3tent. .u4 .û4 .y4 ab2h abî2ment. absti3nent. ab3sent.
+            ad2h a1è2dre 1alcool a2l1algi 1a2nesthési ani2ment. antifer3ment. apo2s3tr appa3rent. archi1é2pis armil5l
+            ar2ment. a2s3tro as2ment. ac3cent. acquies4cent. a2g3nos avil4l amalga2ment. ai2ment. au2ment. 1ba 1bâ 1be
+            4be. 4bes. 2bent. 1bé 1bè 1bê 1bi 1bî 1b2l 4ble. 4bles. 2blent. 1bo boutil3l bou2ment. 1bô 1b2r 4bre. 4bres.
+            2brent. bru2ment. 1bu 1bû 1by 1ç 1ca ca3ou3t2 capil3l carê2ment. 1câ 1ce 4ce. 4ces. 2cent. 1cé 1cè 1cê 1c2h
+            4ch. 2chb 4che. 4ches. 2chent. chevil4l 2chg ch2l 4chle. 4chles. chlo2r3a2c chlo2r3é2t 2chm 2chn 2chp ch2r
+            4chre. 4chres. chro2ment. 2chs 2cht 2chw chien3dent. 1ci cil3l 1cî 1c2k 4ck. 2ckb 4cke. 4ckes. 2ckent. 2ckf
+            2ckg 2ck3h 2ckp 2cks 2ckt 1c2l 4cle. 4cles. 2clent. cla2ment. 1co co1acc co1acq co1a2d co1ap co1ar co1assoc
+            co1assur co1au co1ax co1é2 co1ef co1en co1ex co2nurb confi3dent. contin3gent. conti3nent. conni3vent.
+            co2g3niti corpu3lent. compé3tent. 1cô 1cœ 1c2r 4cre. 4cres. 2crent. 1cu cur3rent. 1cû 1cy cyril3l cci3dent. 1j
+            ja3cent. 2jk 4je. 4jes. 2jent. é3cent. éci2ment. écu2ment. é3dent. éd2hi 1é2drie 1é2drique 1é2lectr 1é2lément
+            éli2ment. élo3quent. 1é2nerg éni3tent. épi2s3cop épi3s4cope émil4l équiva4lent. équipo3tent. é3quent. é3rent.
+            1mu munifi3cent. 1mi mil3l mil4let mi2ment. mit3tent. 1mo monova3lent. mon2t3réal moye2n1â2g 1ma 1mâ 1me 4me.
+            4mes. 1mé mécon3tent. 1mè 1mê 1mî 1m2némo 1m2nési 1m2nès 1mô 1mœ m1s2 1mû 1my 1ré réti3cent. ré3gent.
+            résur3gent. réma3nent. 1ri rin3gent. ri2ment. rcil4l rmil4l 1re re3lent. reli2ment. re3pent. 4re. 4res. 2rent.
+            1ru ru3lent. 1ra ra2ment. rai3ment. radio1a2 1ry ryth2ment. 1râ 1rè 1rê 1r2h 4rhe. 4rhes. 2r3heur 2r3hydr 1rî
+            1ro 1rô 1rû 1p2r privatdo3cent. privatdo3zent. pru3dent. préémi3nent. pré3sent. proémi3nent. pro2s3tat 4pre.
+            4pres. 2prent. 1pu pu2g3nable pu2g3nac pupil3l pusil3l 1pa papil3la papil3le papil3li papil3lom paléo1é2 1pi
+            piril3l 1po polyva3lent. poly1a2 poly1e2 poly1é2 poly1è2 poly1i2 poly1o2 poly1s2 poly1u2 po1astre 1p2l
+            plu2ment. 4ple. 4ples. 2plent. 1pe perma3nent. perti3nent. per3h 4pe. 4pes. 2pent. 1pâ 1pé pé2nul pé1r2é2q 1pè
+            1pê 1p2h 4ph. 4phe. 4phes. 2phent. ph2l 4phle. 4phles. 2phn photo1s2 ph2r 4phre. 4phres. 2phs 2pht 3ph2talé
+            3ph2tis 1pî 1p2né 1p2neu 1pô 1p2sych 1p2tèr 1p2tér 1pû 1py inno3cent. inci3dent. indi3gent. indul3gent.
+            indo3lent. intelli3gent. inti2ment. instil3l inso3lent. 1informat is3cent. i2s3ché i2s3chia i2s3chio i1s2tat
+            immis4cent. immi3nent. imma3nent. impu3dent. impo3tent. i1algi i1arthr i1è2dre il2l ibril3l io1a2ct i1oxy
+            iva3lent. es3cent. e2s3cop e2s3ch esti2ment. e2n1i2vr entre3gent. eu1s2tat extra1 extra2c extra2i er2ment. 1d'
+            1da da2ment. 1dâ d1d2h 1de 4de. 4des. 2dent. 1dé déca3dent. détri3ment. 1dè 1dê 1di dissi3dent. di2s3cop
+            distil3l dili3gent. diaphrag2ment. 3d2hal 3d2houd 1dî 2dlent. 1do 1dô 1d2r 4dre. 4dres. 2drent. d1s2 1du 1dû
+            1dy 1t2r tri3dent. trucu3lent. tran2s3p transpa3rent. tran2s1a2 tran3s2act tran3s2ats tran2s3h tran2s1o2
+            tran2s1u2 4tre. 4tres. 2trent. 1ta tan3gent. ta2ment. tachy1a2 1te ter3gent. tempéra3ment. testa3ment. 4tes.
+            4te. 2tent. 1t2h th2r thril3l 4thre. 4thres. 4th. 4the. 4thes. thermo1s2 2t3heur 2thl 2thm 2thn 2ths 1tu
+            turbu3lent. tu2ment. tung2s3 1to to2ment. tor3rent. 1tâ 1tà tchin3t2 1té télé1e2 télé1i2 télé1o2b télé1o2p
+            télé1s2 1tè 1tê 1ti 1tî 1tô t1t2l 1tû 1ty 1fa fa2ment. 1fâ 1fe 4fe. 4fes. 2fent. 1fé fécu3lent. 1fè 1fê 1fi
+            fir2ment. fichu3ment. 1fî 1f2l 4fle. 4fles. 2flent. flam2ment. 1fo 1fô 1f2r 4fre. 4fres. 2frent. fritil3l f1s2
+            1fu fu2ment. 1fû 1fy 1ga 1gâ 1ge 4ge. 4ges. 2gent. 1gé 1gè 1gê 1g2ha 1g2he 1g2hi 1g2ho 1g2hy 1gi gil3l 1gî
+            1g2l 4gle. 4gles. 2glent. 1g2n 4gne. 4gnes. 2gnent. 1go 1gô 1g2r 4gre. 4gres. 2grent. gram2ment.
+            grandilo3quent. 1gu 4gue. 4gues. 2guent. 1gû g1s2 1gy 1se ser3gent. ser3pent. semil4l sesqui1a2 4ses. 4se.
+            2sent. 1su succu3lent. subli2ment. sub1s2 su2ment. surémi3nent. su3r2ah supe4r1 supero2 supers2 1s2por
+            sporu4lent. 1s2patia 1s2perm 1s2phèr 1s2phér 1s2piel 1s2piros slalo2ment. 1s2lav 1s2lov 1sa 1sâ 1s2caph
+            1s2clér 1s2cop 1s2ch 4sch. 4sche. 4sches. 2schs 1sé 1sè 1sê 1s2h 4sh. 4she. 4shes. 2shent. 2shm 2s3hom 2shr
+            2shs 1si 1sî 1so 1sô 1sœ 1s2tandard 1s2tein stéréo1s2 1s2tigm 1s2tock 1s2tomos 1s2troph 1s2tructu 1s2tyle 1sû
+            1sy o2g3nomoni o2g3nosi opu3lent. om2ment. ombud2s3 omni1s2 omnipo3tent. or2ment. o2b3long 1octet o1d2l
+            o1è2dre o1ioni o1s2tas o1s2tat o1s2téro o1s2tim o1s2tom o1s2trad o1s2tratu o1s2triction oxy1a2 1wa wa2g3n 1we
+            4we. 4wes. 2went. 1wi 1wo 1wu 1w2r 1ha 1hâ 1he 4he. 4hes. 1hé hémi1é hémo1p2t 1hè 1hê 1hi hil3l 1hî 1ho 1hô
+            1hu hu2ment. 1hû 1hy hype4r1 hypera2 hypere2 hyperé2 hyperi2 hypero2 hypers2 hyperu2 hypo1a2 hypo1e2 hypo1é2
+            hypo1i2 hypo1o2 hypo1s2 hypo1u2 ucil4l uevil4l uvil4l uni1o2v uni1a2x u2s3tr 1va vacil4l vanil3lin vanil3lis
+            1vi vil3l vidi2ment. 1ve veni2ment. ventripo3tent. 2vent. 4ve. 4ves. 1vâ 1vé vélo1s2ki 1vè 1vê 1vî 1vo
+            vol2t1amp 1vô 1v2r 4vre. 4vres. 2vrent. 1vu 1vû 1vy 1li lil3l l3lion llu2ment. 1la la2w3re 1lâ 1là 1le 4le.
+            4les. 2lent. 1lé 1lè 1lê 1lî 1lo 1lô l1s2t 1lu 1lû 1ly l2ment. xil3l 2xent. 1ka 1kâ 1ke 4ke. 4kes. 2kent. 1ké
+            1kè 1kê 1k2h 4kh. 1ki 1kî 1ko 1kô 1k2r 1ku 1kû 1ky â2ment. 1q qua2ment. 4que. 4ques. 2quent. è2ment. 1nu
+            nutri3ment. 1na 1nâ 1ne 4ne. 4nes. 2nent. 1né 1nè 1nê 1ni 1nî 1no 1nô 1nœ 1nû n3s2at. n3s2ats. n1x 1ny ô2ment.
+            y1asth y1algi y1s2tom 1za 1ze 4ze. 4zes. 2zent. 1zé 1zè 1zi 1zo 1zu 1zy
+        `
+    },
+    es: {
+        name: 'Spanish',
+        source: 'hyph-es',
+        leftMin: 2,
+        rightMin: 2,
+        exceptions: '',
+        patterns: `
+            1b 4b. 2bb 2bc 2b3c2t 2b3c2n 2b3c2z 2bd 2bf 2b3f2t 2bg 2b3g2n 2bh 2bj 2bk 2bm 2b3m2n 2bn 2bp 2b3p2t 2b3p2s
+            2b3p2n 2bq 2bs 2bt 2b3t2z 2b3t2s 2bv 2bw 2bx 2by 2bz b2l 4bl. 2bl2b 2bl2c 2bl2d 2bl2f 2bl2g 2bl2h 2bl2j 2bl2k
+            2bl2l 2bl2m 2bl2n 2bl2p 2bl2q 2bl2r 2bl2s 2bl2t 2bl2v 2bl2w 2bl2x 2bl2y 2bl2z b2r 4br. 2br2b 2br2c 2br2d 2br2f
+            2br2g 2br2h 2br2j 2br2k 2br2l 2br2m 2br2n 2br2p 2br2q 2br2r 2br2s 2br2t 2br2v 2br2w 2br2x 2br2y 2br2z bi1u2ní
+            biblio1h biblio1a2 biblio1e2 biblio1i2 biblio1o2 biblio1u2 biblio1á2 biblio1é2 biblio1í2 biblio1ó2 biblio1ú2
+            bien2 bien3b bien3c bien3d b4ien3do. b4ien3das. bien3f bien3g bien3h bien3l bien3m bien3p bien3q bien3s bien3t
+            bien3v bien3z bio1h bio1a2 bio1e2 bio1i2 bio1o2 bio1u2 bio1á2 bio1é2 bio1í2 bio1ó2 bio1ú2 5biología busca1h
+            busca1a2 busca1e2 busca1i2 busca1o2 busca1u2 busca1á2 busca1é2 busca1í2 busca1ó2 busca1ú2 .b2 .bi1anual
+            .bi1aur .bi1ox .bi1ó2x .bi1un .bie4n3and .bie4n3a4pa .bie4n3a4ve .bie4n3est .bie4n3int .bie4n3o4lie .c2 .co1h
+            .co6hib .co4hech .co4hesi .co4heso .co4herent .co4het .co2a2 .co3acer .co3acree .co3agen .coa3gul .co3apóst
+            .coa3lesc .coa3lic .co3arrend .coa3xial .co3auto .co2e2 .co3edic .co3edit .co3educ .co3efici .coe3tá .co3exis
+            .co2i2 .co3imput .coi3to .co3o4 .co4o5ki .co4o3per .co4o3pér .co4opt .co4orden .co4ordin .co4ordín .co2u2
+            .co2á2 .coá3gul .co2é2 .co2í2 .co2ó2 .co4ópt .co2ú2 .co2nurb .cau5t .d2 .de2s1h .de2s3a2 .de2se2 .des3em
+            .des3en .de2si2 .de3s4in3ter2e3sa .de3s4in3ter2e3se .de3s4in3ter2e3so .de3s4in3ter2e3sá .de3s4in3ter2e3sé
+            .de3s4in3ter2e3só .de2so2 .de2su2 .de2s3á2 .de2sé2 .de2sí2 .de2só2 .de2sú2 .deu5t .diecio2 .diecio3ch .f2 .g2
+            .j2 .k2 .l2 .m2 .ma4l3e4du .mal1est .mal1acon .mal1acos .mala1e .mal1andant .mal1andanz .mal1int .mili1h
+            .mili1a2 .mili1e2 .mili1i2 .mili1o2 .mili1u2 .mili1á2 .mili1é2 .mili1í2 .mili1ó2 .mili1ú2 .mio1h .mio1a2
+            .mio1e2 .mio1i2 .mio1o2 .mio1u2 .mio1á2 .mio1é2 .mio1í2 .mio1ó2 .mio1ú2 .n2 .p2 .pa4n1a4fri .pa4n1a4meri
+            .pa4n1a4ráb .pa4n1a4rab .pa4n1á4rab .pa4n1europ .pa4n1islam .pa4n1islám .pa4n5hisp .pa4n1hel .pa4n1ópti
+            .pos2t1h .pos2t2a2 .pos3taci .pos3tar .pos3ta3je .pos2t2e2 .pos3terg .pos3te3ri .pos3te3río .pos2t3elec
+            .pos3te3ler .pos3te3lera .pos3tear .pos3te3me .pos3te3ma .pos3te3mas .pos3te3mi .pos3te3ta .pos3teo .pos2t2i2
+            .pos3tin .pos4t3ind .pos3ti3ne .posti3nudo .pos3ti3go .pos3ti3la .pos3ti3le .pos3ti3ll .pos3ti3llo .pos3ti3lo
+            .pos3ti3lá .pos3ti3lé .pos3ti3ló .pos3ti3za .pos3ti3zo .pos2t3impr .pos3ti3cer .pos3tism .pos3tista .pos2t2o2
+            .pos2t3ope .posto3res .pos2t2u2 .pos3tu3ra .pos3tu3reo .pos3tu3la .pos3tu3lá .pos3tu3le .pos3tu3lé .pos3tu3lo
+            .pos3tu3ló .pos2t2á2 .pos2t2é2 .pos2t2í2 .pos3tín .pos2t2ó2 .pos3tón .pos3tó3ni .pos2t2ú2 .pos2t3rev
+            .pos2t3rom .pre1h .pre1a2 .pre1e2 .pre1i2 .pre1o2 .pre4o3cup .pre4o3cúp .pre4ordin .pre4ordín .pre1u2 .pre1á2
+            .pre4ámbul .pre1é2 .pre1í2 .pre1ó2 .pre1ú2 .pro1h .pro4hiba .pro4hibá .pro4hibe .pro4hibi .pro4hibí .pro4híb
+            .pro4híba .pro4híbo .pro2a2 .pro3abort .pro2e2 .pro3etarr .pro2i2 .pro2o2 .pro2u2 .pro2á2 .pro2é2 .pro2í2
+            .pro2ó2 .pro2ú2 .q2 .r2 .re2a2 .re3abr .re3abiert .re3absor .re3absór .re3admis .re3admit .re3admít .re3afirm
+            .re3afírm .re3agrav .re3agráv .re3a2grup .re3acondic .re3acuñ .re3acúñ .re3ajust .rea3júst .re3alegr .re3alégr
+            .rea3liza .rea3lizá .re3alim .rea3lism .rea3list .rea3líza .re3aloj .re3alój .re3alq .re3anim .re3aním .re3ama
+            .re3amá .re3ame .re3amé .re3amo .re3amó .re3aparec .re3aprend .re3apret .re3aprénd .reapríet .re3a2eg .re3a2q
+            .re3a2z .re3asum .re3asúm .re3e4 .re2i2 .rei3no .re3inc .re3inic .re3inf .re3ing .re3inv .rei3na .re3ins
+            .re3int .re3i2m .rei3vind .re2o2 .re3o2b .re3orient .re3orga .re3oc .re4o3j .re2u2 .re3ubica .re3ubicá
+            .re3ubico .re3ubicó .re3ubiq .re3ubíca .re3ubíq .reu3ma .reu3mati .reu3máti .reu3nir .reu3nia .reu3nis .reunim
+            .reu3nie .reu3nié .reu3nid .reu3nió .re3unif .reu3ní .reu3nír .reu3ná .re3unt .re3usar .re3usár .re3utiliz
+            .re3utilíz .re2á2 .re3ábr .re3áma .re3áme .re3ámo .re2é2 .re2í2 .re2ó2 .re2ú2 .s2 .su2b2i2 .su3b4ien .su3bier
+            .su3bies .subi3ll .su3bi3da .su3bi3do .su3bi3dor .su3bi3dón .sub3insp .sub3intenden .su3bir .su3bién
+            .su3bi3mien .su2b1h .su2b2a2 .sub3acuát .sub3acepc .sub3acet .su3basta .su3bastá .su3baste .su3basto
+            .sub3aflue .sub3alcai .sub3aliment .su3balter .sub3arr .sub3atómic .su2b2e2 .sub3ejecut .sub3elemen .sub3emple
+            .sub3enten .sub3espec .sub3estac .sub3estim .sub3estím .sub3estruc .su2b2o2 .sub3occipit .sub3ofici .su3bordin
+            .su3bordín .su2b2u2 .sub3urba .su2b2á2 .su3básta .su3básté .su3bástó .sub3ártic .su2b2é2 .su2b2í2 .sub3índ
+            .sub3ími .su3bír .su2b2ó2 .su2b2ú2 .su4b3ray .su2r1est .su2r1oes .so3a4s .seb3entrad .t2 .tele1imp .tele1obj
+            .tele4o3lót .tra2s1h .tra2sa2 .tra2se2 .tra3se3g .tra2si2 .tra3sieg .tra2so2 .tra3so3ñ .tra2su2 .tra3su3da
+            .tra3su3dá .tra3su3de .tra3su3dé .tra3su3do .tra3su3dó .tra3sunta .tra3suntá .tra3sunte .tra3sunté .tra3sunto
+            .tra3suntó .tra2sá2 .tra2sé2 .tra2sí2 .tra2só2 .tra2sú2 .tri1ó2x .v2 .w2 .x2 .y2 .z2 .hu4mea .hu4meo .he4mee
+            .a4 .abre1h .abre1a2 .abre1e2 .abre1i2 .abre1o2 .abre1u2 .abre1á2 .abre1é2 .abre1í2 .abre1ó2 .abre1ú2 .acro1h
+            .acro1a2 .acro1e2 .acro1i2 .acro1o2 .acro1u2 .acro1á2 .acro1é2 .acro1í2 .acro1ó2 .acro1ú2 .an3e2pigr
+            .an3a2lcoh .an3amnio .an3aero .an3i4so .an3i4só .ante2o3je .anteo3nes .anti1h .anti1a2 .anti1e2 .anti1i2
+            .anti1o2 .anti1u2 .anti1á2 .anti1é2 .anti1í2 .anti1ó2 .anti1ú2 .atto1h .atto1a2 .atto1e2 .atto1i2 .atto1o2
+            .atto1u2 .atto1á2 .atto1é2 .atto1í2 .atto1ó2 .atto1ú2 .e2n1h .en2hest .e2n2a2 .ena3mor .en3amór .en3aceit
+            .ena3jen .ena3jén .en3arb .e2n2e2 .ene3mist .ene3míst .e2n2i2 .e2n2o2 .eno3ja .eno3jar .eno3já .eno3je .eno3jé
+            .eno3jo .eno3jó .e2n2u2 .enu3mera .enu3merá .enu3mere .e2n2á2 .e2n2é2 .e2n2í2 .e2n2ó2 .enó3j .e2n2ú2 .e2x1h
+            .ex2hal .ex2haus .ex2hál .ex2hib .ex2híb .ex2hort .ex2hórt .ex2hum .ex2húm .e2x2a2 .e2x2e2 .e2x2i2 .e2x2o2
+            .e2x2u2 .e2x2á2 .e2x2é2 .e2x2í2 .e2x2ó2 .e2x2ú2 .i2n1h .i2n2a2 .in3abarc .in3abord .in3acent .in3acept
+            .in3adapt .in3adopt .in3aguant .in3alámb .in3alien .in3analiz .in3anim .ina3nic .in3apagab .in3apel .in3aplaz
+            .in3aplic .in3apreci .in3aprehen .in3aprens .in3afect .in3armón .in3arrug .in3asist .in3atent .ina3movib
+            .i2n2e2 .in3efic .in3efici .in3eludi .in3eleg .in3encont .ine3narr .in3equid .ine3quív .in3ex .in3exact
+            .in3exha .in3evit .i2n2i2 .ini3cuo .ini3cua .in3igualab .in3in .i2n2o2 .in3obser .ino3cuo .ino3cua .in3ocult
+            .ino3cula .ino3culá .ino3cule .ino3cenc .ino3cent .ino3fens .in3oport .i2n2u2 .inu3tiliz .i2n2á2 .iná3nim
+            .i2n2é2 .iné3dit .i2n2í2 .i2n2ó2 .i2n2ú2 .inú3til .inte2r3r .in3te3r4rog .in3te3r4rupc .in3te3r4rupt
+            .in3te3r4rump .inte2r1h .inte2r1a2 .inte2r1e2 .in3ter2e3sa .in3ter2e3se .in3ter2e3so .in3ter2e3sá .in3ter2e3sé
+            .in3ter2e3só .inte2r1i2 .inte2r1o2 .inte2r1u2 .inte2r1á2 .inte2r1é2 .inte2r1í2 .inte2r1ó2 .inte2r1ú2 1c 4c.
+            2cb 2cc 2c3c2t 2c3c2n 2c3c2z 2cd 2cf 2c3f2t 2cg 2c3g2n 2cj 2ck 2cm 2c3m2n 2cn 4cn. cnico1h cnico1a2 cnico1e2
+            cnico1i2 cnico1o2 cnico1u2 cnico1á2 cnico1é2 cnico1í2 cnico1ó2 cnico1ú2 3c2neor 2cp 2c3p2t 2c3p2s 2c3p2n 2cq
+            2cs 2ct 4ct. 2c3t2z 2c3t2s 2cv 2cw 2cx 2cy 2cz 4cz. c4h 4ch. 2chb 2chc 2chd 2chf 2chg 2chh 2chj 2chk ch2l 2chm
+            2chn 2chp 2chq ch2r 2chs 2cht 2chv 2chw 2chx 2chy 2chz c2l 4cl. 2cl2b 2cl2c 2cl2d 2cl2f 2cl2g 2cl2h 2cl2j
+            2cl2k 2cl2l 2cl2m 2cl2n 2cl2p 2cl2q 2cl2r 2cl2s 2cl2t 2cl2v 2cl2w 2cl2x 2cl2y 2cl2z clepto1h clepto1a2
+            clepto1e2 clepto1i2 clepto1o2 clepto1u2 clepto1á2 clepto1é2 clepto1í2 clepto1ó2 clepto1ú2 c2r 4cr. 2cr2b 2cr2c
+            2cr2d 2cr2f 2cr2g 2cr2h 2cr2j 2cr2k 2cr2l 2cr2m 2cr2n 2cr2p 2cr2q 2cr2r 2cr2s 2cr2t 2cr2v 2cr2w 2cr2x 2cr2y
+            2cr2z crio1h crio1a2 crio1e2 crio1i2 crio1o2 crio1u2 crio1á2 crio1é2 crio1í2 crio1ó2 crio1ú2 cripto1h
+            cripto1a2 cripto1e2 cripto1i2 cripto1o2 cripto1u2 cripto1á2 cripto1é2 cripto1í2 cripto1ó2 cripto1ú2 crono1h
+            crono1a2 crono1e2 crono1i2 crono1o2 crono1u2 crono1á2 crono1é2 crono1í2 crono1ó2 crono1ú2 com4p3t cou3lomb
+            corta1h corta1a2 corta1e2 corta1i2 corta1o2 corta1u2 corta1á2 corta1é2 corta1í2 corta1ó2 corta1ú2 cosmo1h
+            cosmo1a2 cosmo1e2 cosmo1i2 cosmo1o2 cosmo1u2 cosmo1á2 cosmo1é2 cosmo1í2 cosmo1ó2 cosmo1ú2 contra1h contra1a2
+            contra1e2 contra1i2 contra1o2 contra1u2 contra1á2 contra1é2 contra1í2 contra1ó2 contra1ú2 4caca4 4cago4 4caga4
+            4cagas. cardio1h cardio1a2 cardio1e2 cardio1i2 cardio1o2 cardio1u2 cardio1á2 cardio1é2 cardio1í2 cardio1ó2
+            cardio1ú2 4culo4 cuadru1h cuadru1a2 cuadru1e2 cuadru1i2 cuadru1o2 cuadru1u2 cuadru1á2 cuadru1é2 cuadru1í2
+            cuadru1ó2 cuadru1ú2 cuasi1h cuasi1a2 cuasi1e2 cuasi1i2 cuasi1o2 cuasi1u2 cuasi1á2 cuasi1é2 cuasi1í2 cuasi1ó2
+            cuasi1ú2 cefalo1h cefalo1a2 cefalo1e2 cefalo1i2 cefalo1o2 cefalo1u2 cefalo1á2 cefalo1é2 cefalo1í2 cefalo1ó2
+            cefalo1ú2 centi1h centi1a2 centi1e2 centi1i2 centi1o2 centi1u2 centi1á2 centi5área centi1é2 centi1í2 centi1ó2
+            centi1ú2 cian1h ciano1h ciano1a2 ciano1e2 ciano1i2 ciano1o2 ciano1u2 ciano1á2 ciano1é2 ciano1í2 ciano1ó2
+            ciano1ú2 cibe2r3r cibe2r1h cibe2r1a2 cibe2r1e2 cibe2r1i2 cibe2r1o2 cibe2r1u2 cibe2r1á2 cibe2r1é2 cibe2r1í2
+            cibe2r1ó2 cibe2r1ú2 ciclo1h ciclo1a2 ciclo1e2 ciclo1i2 ciclo1o2 ciclo1u2 ciclo1á2 ciclo1é2 ciclo1í2 ciclo1ó2
+            ciclo1ú2 cito1h cito1a2 cito1e2 cito1i2 cito1o2 cito1u2 cito1á2 cito1é2 cito1í2 cito1ó2 cito1ú2 5céntrico 1d
+            4d. 2db 2dc 2d3c2t 2d3c2n 2d3c2z 2dd 2df 2d3f2t 2dg 2d3g2n 2dh 2dj 2dk 2dl 2dm 2d3m2n 2dn 2dp 2d3p2t 2d3p2s
+            2d3p2n 2dq 2ds 2dt 2d3t2z 2d3t2s 2dv 2dw 2dx 2dy 2dz d2r 4dr. 2dr2b 2dr2c 2dr2d 2dr2f 2dr2g 2dr2h 2dr2j 2dr2k
+            2dr2l 2dr2m 2dr2n 2dr2p 2dr2q 2dr2r 2dr2s 2dr2t 2dr2v 2dr2w 2dr2x 2dr2y 2dr2z deca1h deca1a2 deca1e2 deca1i2
+            deca2i3mient deca1o2 deca1u2 deca1á2 deca1é2 deca1í2 deca1ó2 deca1ú2 dento1h dento1a2 dento1e2 dento1i2
+            dento1o2 dento1u2 dento1á2 dento1é2 dento1í2 dento1ó2 dento1ú2 dermato1h dermato1a2 dermato1e2 dermato1i2
+            dermato1o2 dermato1u2 dermato1á2 dermato1é2 dermato1í2 dermato1ó2 dermato1ú2 dermo1h dermo1a2 dermo1e2
+            dermo1i2 dermo1o2 dermo1u2 dermo1á2 dermo1é2 dermo1í2 dermo1ó2 dermo1ú2 de2s3órde de3só3la de2s3orde de2s3orej
+            de2s3orill de2s3orient de3sortij de2s3organi de2s3ornam de2s3obedec de2s3obedez de2s3obedien de2s3oblig
+            de2s3obstr de3so3cas de2s3ocup de2s3ocúp de2s3odor de3so3la de3solac de3solad de3so3lá de3so3le de3so3lé
+            de3so3lo de3so3ló de3soll de2s3oprim de3sonce de2s3ova de2s3ová de2s3ové de2s3ovi de2s3oxi de2s3oye de2s3oyé
+            de3s4oseg de3s4a3brid de3s4a3bor de3s4a3craliz de3s4a3cralic de3s4a3fia de3s4a3fiá de3s4a3fié de3s4a3fió
+            de3s4a3fía de3s4a3fíe de3s4a3fío des5a4gua de3s4a3guis de3s4ahuci des4ala de3s4a3liv de3s4a3liniz de3s4a3linic
+            de3s4a3liníz de3s4a3liníc de3s4angr de3s4angel de3s4a3prensiv de3s4a3rroll desa4sa desa4se de3s4astr des5a4tes
+            de3s4a3yun de3s4a3zón de3s4a3zon de3s4áhuci des4ála de3s4e3meja de3s4e3mejá de3s4e3meje de3s4e3mejé
+            de3s4e3mejo de3s4e3mejó de3s4e3méja de3s4e3méje de3s4e3méjo de3s4empeñ de3s4empéñ de3s4enfren de3s4enfrén
+            de3seo de3sea de3sean de3sear de3seab de3sead de3seam de3seas de3seán de3seár de3seáb de3seád de3seám de3seás
+            de3se3co de3se3ca de3se3can de3se3car de3se3cab de3se3cad de3se3cam de3se3cas de3se3cá de3se3cán de3se3cár
+            de3se3cáb de3se3cád de3se3cám de3se3cás de3se3có de3se3cha de3se3chá de3se3ché de3se3che de3se3chó de3se3cho
+            de2s3eq de3s4e3que de3s4e3qué de2s3edif de2s3educ de2s3eduq de2s3escombr de2s3espa de3sesperac de2s3esperanz
+            de2s3espin de2s3espum de2s3estabil de2s3estaci de2s3estalin de2s3estim de2s3estres de2s3estruc de3s4erci
+            de3s4ert de3sé3cha de3sé3che de3s4ért de3sider de2s3ideol de3sidia de3sidio de3siert de3sign de2s3igual
+            de2s3iguál de2s3ilusion de2s3ilusión de2s3imagin de2s3iman de2s3impon de2s3impres de2s3incent de2s3inclin
+            de2s3incorp de2s3incrust de3si3nenc de3si3nent de3sinfec de2s3infart de2s3infl de2s3inflam de2s3inform
+            de2s3inhib de2s3insect de2s3instal de3s4integr de3s4inter de2s3intox de2s3intub de2s3inver de3sisten de3su3dar
+            de3su3das de3su3dan de3suell de3s4ubstan de2s3ub4ic de2s3ub4iq de3s4ustan de2s3unir de2s3unid de2s3unien
+            de2s3unier de2s3uniera de2s3unies de2s3unién de2s3uniér de2s3uniés de2s3unió de2s3unim de2s3unan de2s3unas
+            de2s3une de2s3uno de2s3uná de2s3uní de2s3unía de2s3uña de2s3uñá de2s3urbani de3isti di4e5lec di4e5léc 1f 4f.
+            2fb 2fc 2fd 2ff 2fg 2fh 2fj 2fk 2fm 2fn 2fp 2fq 2fs 2ft 4ft. 2fv 2fw 2fx 2fy 2fz f2l 4fl. 2fl2b 2fl2c 2fl2d
+            2fl2f 2fl2g 2fl2h 2fl2j 2fl2k 2fl2l 2fl2m 2fl2n 2fl2p 2fl2q 2fl2r 2fl2s 2fl2t 2fl2v 2fl2w 2fl2x 2fl2y 2fl2z
+            f2r 4fr. 2fr2b 2fr2c 2fr2d 2fr2f 2fr2g 2fr2h 2fr2j 2fr2k 2fr2l 2fr2m 2fr2n 2fr2p 2fr2q 2fr2r 2fr2s 2fr2t 2fr2v
+            2fr2w 2fr2x 2fr2y 2fr2z femto1h femto1a2 femto1e2 femto1i2 femto1o2 femto1u2 femto1á2 femto1é2 femto1í2
+            femto1ó2 femto1ú2 ferro1h ferro1a2 ferro1e2 ferro1i2 ferro1o2 ferro1u2 ferro1á2 ferro1é2 ferro1í2 ferro1ó2
+            ferro1ú2 filo1h filo1a2 filo1e2 filo1i2 filo1o2 filo1u2 filo1á2 filo1é2 filo1í2 filo1ó2 filo1ú2 fisio1h
+            fisio1a2 fisio1e2 fisio1i2 fisio1o2 fisio1u2 fisio1á2 fisio1é2 fisio1í2 fisio1ó2 fisio1ú2 fito1h fito1a2
+            fito1e2 fito1i2 fito1o2 fito1u2 fito1á2 fito1é2 fito1í2 fito1ó2 fito1ú2 fono1h fono1a2 fono1e2 fono1i2 fono1o2
+            fono1u2 fono1á2 fono1é2 fono1í2 fono1ó2 fono1ú2 foto1h foto1a2 foto1e2 foto1i2 foto1o2 foto1u2 foto1á2 foto1é2
+            foto1í2 foto1ó2 foto1ú2 familia3ri 1g 4g. 2gb 2gc 2gd 2gf 2gg 2gh 2gj 2gk 2gm 2gn 4gn. 2gp 2gq 2gs 2gt 2gv 2gw
+            2gx 2gy 2gz g2l 4gl. 2gl2b 2gl2c 2gl2d 2gl2f 2gl2g 2gl2h 2gl2j 2gl2k 2gl2l 2gl2m 2gl2n 2gl2p 2gl2q 2gl2r 2gl2s
+            2gl2t 2gl2v 2gl2w 2gl2x 2gl2y 2gl2z gluco1h gluco1a2 gluco1e2 gluco1i2 gluco1o2 gluco1u2 gluco1á2 gluco1é2
+            gluco1í2 gluco1ó2 gluco1ú2 g2r 4gr. 2gr2b 2gr2c 2gr2d 2gr2f 2gr2g 2gr2h 2gr2j 2gr2k 2gr2l 2gr2m 2gr2n 2gr2p
+            2gr2q 2gr2r 2gr2s 2gr2t 2gr2v 2gr2w 2gr2x 2gr2y 2gr2z grafo1h grafo1a2 grafo1e2 grafo1i2 grafo1o2 grafo1u2
+            grafo1á2 grafo1é2 grafo1í2 grafo1ó2 grafo1ú2 3grafo. 3grafos. 3grafa. 3grafas. 3grafía. 3grafías. 3gono.
+            3gonos. 3gonal. 3gonales. galo1h galo1a2 galo1e2 galo1i2 galo1o2 galo1u2 galo1á2 galo1é2 galo1í2 galo1ó2
+            galo1ú2 gastero1h gastero1a2 gastero1e2 gastero1i2 gastero1o2 gastero1u2 gastero1á2 gastero1é2 gastero1í2
+            gastero1ó2 gastero1ú2 gastro1h gastro1a2 gastro1e2 gastro1i2 gastro1o2 gastro1u2 gastro1á2 gastro1é2 gastro1í2
+            gastro1ó2 gastro1ú2 geo1h geo1a2 geo1e2 geo1i2 geo1o2 geo1u2 geo1á2 geo1é2 geo1í2 geo1ó2 geo1ú2 geronto1h
+            geronto1a2 geronto1e2 geronto1i2 geronto1o2 geronto1u2 geronto1á2 geronto1é2 geronto1í2 geronto1ó2 geronto1ú2
+            gineco1h gineco1a2 gineco1e2 gineco1i2 gineco1o2 gineco1u2 gineco1á2 gineco1é2 gineco1í2 gineco1ó2 gineco1ú2
+            giga1h giga1a2 giga1e2 giga1i2 giga1o2 giga1u2 giga1á2 giga1é2 giga1í2 giga1ó2 giga1ú2 guarda1h guarda1a2
+            guarda1e2 guarda1i2 guarda1o2 guarda1u2 guarda1á2 guarda1é2 guarda1í2 guarda1ó2 guarda1ú2 4h. 2hb 2hc 2hd 2hf
+            2hg 2hh 2hj 2hk 2hl 2hm 2hn 2hp 2hq 2hr 2hs 2ht 2hv 2hw 2hx 2hy 2hz 2huelo. 2huelos. 2huela. 2huelas. 5humano
+            5humana halo1h halo1a2 halo1e2 halo1i2 halo1o2 halo1u2 halo1á2 halo1é2 halo1í2 halo1ó2 halo1ú2 3hablante
+            3habiente hecto1h hecto1a2 hecto1e2 hecto1i2 hecto1o2 hecto1u2 hecto1á2 hecto1é2 hecto1í2 hecto1ó2 hecto1ú2
+            helico1h helico1a2 helico1e2 helico1i2 helico1o2 helico1u2 helico1á2 helico1é2 helico1í2 helico1ó2 helico1ú2
+            helio1h helio1a2 helio1e2 helio1i2 helio1o2 helio1u2 helio1á2 helio1é2 helio1í2 helio1ó2 helio1ú2 hemato1h
+            hemato1a2 hemato1e2 hemato1i2 hemato1o2 hemato1u2 hemato1á2 hemato1é2 hemato1í2 hemato1ó2 hemato1ú2 hemi1h
+            hemi1a2 hemi1e2 hemi1i2 hemi1o2 hemio3la. hemio3las. hemi1u2 hemi1á2 hemi1é2 hemi1í2 hemi1ó2 hemi1ú2 hemo1h
+            hemo1a2 hemo1e2 hemo1i2 hemo1o2 hemo1u2 hemo1á2 hemo1é2 hemo1í2 hemo1ó2 hemo1ú2 hepato1h hepato1a2 hepato1e2
+            hepato1i2 hepato1o2 hepato1u2 hepato1á2 hepato1é2 hepato1í2 hepato1ó2 hepato1ú2 hepta1h hepta1a2 hepta1e2
+            hepta1i2 hepta1o2 hepta1u2 hepta1á2 hepta1é2 hepta1í2 hepta1ó2 hepta1ú2 hetero1h hetero1a2 hetero1e2 hetero1i2
+            hetero1o2 hetero1u2 hetero1á2 hetero1é2 hetero1í2 hetero1ó2 hetero1ú2 hexa1h hexa1a2 hexa1e2 hexa1i2 hexa1o2
+            hexa1u2 hexa1á2 hexa1é2 hexa1í2 hexa1ó2 hexa1ú2 hidro1h hidro1a2 hidro1e2 hidro1i2 hidro1o2 hidro1u2 hidro1á2
+            hidro1é2 hidro1í2 hidro1ó2 hidro1ú2 hipe2r3r hipe2r1h hipe2r1a2 hipe2r1e2 hipe2r1i2 hipe3r4i3cíne hipe2r1o2
+            hipe3r4o3nimi hipe3r4o3ními hipe3r4o3xia hipe2r1u2 hipe2r1á2 hipe2r1é2 hipe2r1í2 hipe2r1ó2 hipe3r4ó3nimo
+            hipe2r1ú2 hipo1h hipo1a2 hipo1e2 hipo1i2 hipo1o2 hipo1u2 hipo1á2 hipo1é2 hipo1í2 hipo1ó2 hipo1ú2 histo1h
+            histo1a2 histo1e2 histo1i2 histo1o2 histo1u2 histo1á2 histo1é2 histo1í2 histo1ó2 histo1ú2 holo1h holo1a2
+            holo1e2 holo1i2 holo1o2 holo1u2 holo1á2 holo1é2 holo1í2 holo1ó2 holo1ú2 homo1h homo1a2 homo1e2 homo1i2 homo1o2
+            homo1u2 homo1á2 homo1é2 homo1í2 homo1ó2 homo1ú2 homeo1h homeo1a2 homeo1e2 homeo1i2 homeo1o2 homeo1u2 homeo1á2
+            homeo1é2 homeo1í2 homeo1ó2 homeo1ú2 1j 4j. 2jb 2jc 2jd 2jf 2jg 2jh 2jj 2jk 2jl 2jm 2jn 2jp 2jq 2jr 2js 2jt 2jv
+            2jw 2jx 2jy 2jz 1k 4k. 2kb 2kc 2kd 2kf 2kg 2kh 2kj 2kk 2km 2kn 2kp 2kq 2ks 2kt 2kv 2kw 2kx 2ky 2kz k2l 4kl.
+            2kl2b 2kl2c 2kl2d 2kl2f 2kl2g 2kl2h 2kl2j 2kl2k 2kl2l 2kl2m 2kl2n 2kl2p 2kl2q 2kl2r 2kl2s 2kl2t 2kl2v 2kl2w
+            2kl2x 2kl2y 2kl2z k2r 4kr. 2kr2b 2kr2c 2kr2d 2kr2f 2kr2g 2kr2h 2kr2j 2kr2k 2kr2l 2kr2m 2kr2n 2kr2p 2kr2q 2kr2r
+            2kr2s 2kr2t 2kr2v 2kr2w 2kr2x 2kr2y 2kr2z kilo1h kilo1a2 kilo1e2 kilo1i2 kilo1o2 kilo1u2 kilo1á2 kilo1é2
+            kilo1í2 kilo1ó2 kilo1ú2 1l 4l. 2lb 2lc 2l3c2t 2l3c2n 2l3c2z 2ld 2lf 2l3f2t 2lg 2l3g2n 2lh 2lj 2lk 2lm 2l3m2n
+            2ln 2lp 2l3p2t 2l3p2s 2l3p2n 2lq 2lr 2ls 2lt 2l3t2z 2l3t2s 2lv 2lw 2lx 2ly 2lz l4l 4ll. 2llb 2llc 2lld 2llf
+            2llg 2llh 2llj 2llk 2lll 2llm 2lln 2llp 2llq 2llr 2lls 2llt 2llv 2llw 2llx 2lly 2llz leuco1h leuco1a2 leuco1e2
+            leuco1i2 leuco1o2 leuco1u2 leuco1á2 leuco1é2 leuco1í2 leuco1ó2 leuco1ú2 linfo1h linfo1a2 linfo1e2 linfo1i2
+            linfo1o2 linfo1u2 linfo1á2 linfo1é2 linfo1í2 linfo1ó2 linfo1ú2 lipo1h lipo1a2 lipo1e2 lipo1i2 lipo1o2 lipo1u2
+            lipo1á2 lipo1é2 lipo1í2 lipo1ó2 lipo1ú2 lito1h lito1a2 lito1e2 lito1i2 lito1o2 lito1u2 lito1á2 lito1é2 lito1í2
+            lito1ó2 lito1ú2 li5á4rea 3logía 1m 4m. 2mb 2mc 2m3c2t 2m3c2n 2m3c2z 2md 2mf 2m3f2t 2mg 2m3g2n 2mh 2mj 2mk 2ml
+            2mm 2m3m2n 2mn 4mn. 2mp 2m3p2t 2m3p2s 2m3p2n 2mq 2mr 2ms 2mt 2m3t2z 2m3t2s 2mv 2mw 2mx 2my 2mz 4meo. 4meable.
+            4meables. 5mente. megalo1h megalo1a2 megalo1e2 megalo1i2 megalo1o2 megalo1u2 megalo1á2 megalo1é2 megalo1í2
+            megalo1ó2 megalo1ú2 mega1h mega1a2 mega1e2 mega1i2 mega1o2 mega1u2 mega1á2 mega1é2 mega1í2 mega1ó2 mega1ú2
+            melano1h melano1a2 melano1e2 melano1i2 melano1o2 melano1u2 melano1á2 melano1é2 melano1í2 melano1ó2 melano1ú2
+            meso1h meso1a2 meso1e2 meso1i2 meso1o2 meso1u2 meso1á2 meso1é2 meso1í2 meso1ó2 meso1ú2 meta1h meta1a2 meta1e2
+            meta1i2 meta1o2 meta1u2 meta1á2 meta1é2 meta1í2 meta1ó2 meta1ú2 mante4a macro1h macro1a2 macro1e2 macro1i2
+            macro1o2 macro1u2 macro1á2 macro1é2 macro1í2 macro1ó2 macro1ú2 mal2 ma4l3h mal3b mal3c mal3d mal3f mal3g mal3m
+            mal3p mal3q mal3s mal3t mal3v maxi1h maxi1a2 maxi1e2 maxi1i2 maxi1o2 maxi1u2 maxi1á2 maxi1é2 maxi1í2 maxi1ó2
+            maxi1ú2 micro1h micro1a2 micro1e2 micro1i2 micro1o2 micro1u2 micro1á2 micro1é2 micro1í2 micro1ó2 micro1ú2
+            mili4ar mini1h mini1a2 mini4a5tur mini1e2 mini1i2 mini1o2 mini1u2 mini1á2 mini1é2 mini1í2 mini1ó2 mini1ú2
+            miria1h miria1a2 miria1e2 miria1i2 miria1o2 miria1u2 miria1á2 miria1é2 miria1í2 miria1ó2 miria1ú2 multi1h
+            multi1a2 multi1e2 multi1i2 multi1o2 multi1u2 multi1á2 multi1é2 multi1í2 multi1ó2 multi1ú2 mono1h mono1a2
+            mono1e2 mono1i2 mono1o2 mono1u2 mono1á2 mono1é2 mono1í2 mono1ó2 mono1ú2 morfo1h morfo1a2 morfo1e2 morfo1i2
+            morfo1o2 morfo1u2 morfo1á2 morfo1é2 morfo1í2 morfo1ó2 morfo1ú2 moto1h moto1a2 moto1e2 moto1i2 moto1o2 moto1u2
+            moto1á2 moto1é2 moto1í2 moto1ó2 moto1ú2 1n 4n. 2nb 2nc 2n3c2t 2n3c2n 2n3c2z 2nd 2nf 2n3f2t 2ng 2n3g2n 2nh 2nj
+            2nk 2nl 2nm 2n3m2n 2nn 2np 2n3p2t 2n3p2s 2n3p2n 2nq 2nr 2ns 2nt 2n3t2z 2n3t2s 4n5te5r2i3n 2nv 2nw 2nx 2ny 2nz
+            2no. norte1h norte1a2 norte1e2 norte1i2 norte1o2 norte1u2 norte1á2 norte1é2 norte1í2 norte1ó2 norte1ú2 namo1h
+            namo1a2 namo1e2 namo1i2 namo1o2 namo1u2 namo1á2 namo1é2 namo1í2 namo1ó2 namo1ú2 nano1h nano1a2 nano1e2 nano1i2
+            nano1o2 nano1u2 nano1á2 nano1é2 nano1í2 nano1ó2 nano1ú2 narco1h narco1a2 narco1e2 narco1i2 narco1o2 narco1u2
+            narco1á2 narco1é2 narco1í2 narco1ó2 narco1ú2 necro1h necro1a2 necro1e2 necro1i2 necro1o2 necro1u2 necro1á2
+            necro1é2 necro1í2 necro1ó2 necro1ú2 nefro1h nefro1a2 nefro1e2 nefro1i2 nefro1o2 nefro1u2 nefro1á2 nefro1é2
+            nefro1í2 nefro1ó2 nefro1ú2 neo1h neo1a2 neo1e2 neo1i2 neo1o2 neo1u2 neo1á2 neo1é2 neo1í2 neo1ó2 neo1ú2 neto1h
+            neto1a2 neto1e2 neto1i2 neto1o2 neto1u2 neto1á2 neto1é2 neto1í2 neto1ó2 neto1ú2 neumo1h neumo1a2 neumo1e2
+            neumo1i2 neumo1o2 neumo1u2 neumo1á2 neumo1é2 neumo1í2 neumo1ó2 neumo1ú2 1p 4p. 2pb 2pc 2pd 2pf 2pg 2ph 2pj 2pk
+            2pm 2pn 4pn. 2pp 2pq 2ps 4ps. 3p2sic psico1h psico1a2 psico1e2 psico1i2 psico1o2 psico1u2 psico1á2 psico1é2
+            psico1í2 psico1ó2 psico1ú2 3p2siq 2pt 4pt. ptero1h ptero1a2 ptero1e2 ptero1i2 ptero1o2 ptero1u2 ptero1á2
+            ptero1é2 ptero1í2 ptero1ó2 ptero1ú2 2pv 2pw 2px 2py 2pz p2l 4pl. 2pl2b 2pl2c 2pl2d 2pl2f 2pl2g 2pl2h 2pl2j
+            2pl2k 2pl2l 2pl2m 2pl2n 2pl2p 2pl2q 2pl2r 2pl2s 2pl2t 2pl2v 2pl2w 2pl2x 2pl2y 2pl2z plan4c5t pluri1h pluri1a2
+            pluri1e2 pluri1i2 pluri1o2 pluri1u2 pluri1á2 pluri1é2 pluri1í2 pluri1ó2 pluri1ú2 p2r 4pr. 2pr2b 2pr2c 2pr2d
+            2pr2f 2pr2g 2pr2h 2pr2j 2pr2k 2pr2l 2pr2m 2pr2n 2pr2p 2pr2q 2pr2r 2pr2s 2pr2t 2pr2v 2pr2w 2pr2x 2pr2y 2pr2z
+            prom4p3t proto1h proto1a2 proto1e2 proto1i2 proto1o2 proto1u2 proto1á2 proto1é2 proto1í2 proto1ó2 proto1ú2
+            4puta4 4puto4 4pedo4 pe3r4e3mia pe5r4ante perpon5d6r penta1h penta1a2 penta1e2 penta1i2 penta1o2 penta1u2
+            penta1á2 penta1é2 penta1í2 penta1ó2 penta1ú2 peta1h peta1a2 peta1e2 peta1i2 peta1o2 peta1u2 peta1á2 peta1é2
+            peta1í2 peta1ó2 peta1ú2 pante4o3n paleo1h paleo1a2 paleo1e2 paleo1i2 paleo1o2 paleo1u2 paleo1á2 paleo1é2
+            paleo1í2 paleo1ó2 paleo1ú2 para1h para1a2 para1e2 para1i2 para2is. para4i3señ para1o2 para1u2 para4ulata
+            para1á2 para1é2 para1í2 para4íso para1ó2 para1ú2 pico1h pico1a2 pico1e2 pico1i2 pico1o2 pico1u2 pico1á2
+            pico1é2 pico1í2 pico1ó2 pico1ú2 piezo1h piezo1a2 piezo1e2 piezo1i2 piezo1o2 piezo1u2 piezo1á2 piezo1é2
+            piezo1í2 piezo1ó2 piezo1ú2 piro1h piro1a2 piro1e2 piro1i2 piro1o2 piro1u2 piro1á2 piro1é2 piro1í2 piro1ó2
+            piro1ú2 poli1h poli1a2 poli4arq poli4arca poli4andr poli4antea poli1e2 poli1i2 poli1o2 poli4o5mie poli1u2
+            poli4u3r poli1á2 poli4árq poli1é2 poli4éste poli1í2 poli1ó2 poli1ú2 porta1h porta1a2 porta1e2 porta4e3ro
+            porta1i2 porta1o2 porta1u2 porta1á2 porta1é2 porta1í2 porta1ó2 porta1ú2 po4s3impr po4s3ind po4s3o2per
+            po4s3e4lect po4s3estr pos3ta. pos3tas. pos4t5s 1q 4q. 2qb 2qc 2qd 2qf 2qg 2qh 2qj 2qk 2ql 2qm 2qn 2qp 2qq 2qr
+            2qs 2qt 2qv 2qw 2qx 2qy 2qz quete1h quete1a2 quete1e2 quete1i2 quete1o2 quete1u2 quete1á2 quete1é2 quete1í2
+            quete1ó2 quete1ú2 quimio1h quimio1a2 quimio1e2 quimio1i2 quimio1o2 quimio1u2 quimio1á2 quimio1é2 quimio1í2
+            quimio1ó2 quimio1ú2 quiro1h quiro1a2 quiro1e2 quiro1i2 quiro1o2 quiro1u2 quiro1á2 quiro1é2 quiro1í2 quiro1ó2
+            quiro1ú2 1r 4r. 2rb 2rc 2r3c2t 2r3c2n 2r3c2z 2rd 2rf 2r3f2t 2rg 2r3g2n 2rh 2rj 2rk 2rl 2rm 2r3m2n rmano1h
+            rmano1a2 rmano1e2 rmano1i2 rmano1o2 rmano1u2 rmano1á2 rmano1é2 rmano1í2 rmano1ó2 rmano1ú2 2rn 2rp 2r3p2t
+            2r3p2s 2r3p2n 2rq 2rs 2rt 2r3t2z 2r3t2s 2rv 2rw 2rx 2ry 2rz r2r 4rr. 2rr2b 2rr2c 2rr2d 2rr2f 2rr2g 2rr2h 2rr2j
+            2rr2k 2rr2l 2rr2m 2rr2n 2rr2p 2rr2q 2rr2r 2rr2s 2rr2t 2rr2v 2rr2w 2rr2x 2rr2y 2rr2z re3ini3cia re3ini3ciá
+            re3ini3cie re3iní3cia rete1h rete1a2 rete1e2 rete1i2 rete1o2 rete1u2 rete1á2 rete1é2 rete1í2 rete1ó2 rete1ú2
+            retro1h retro1a2 retro1e2 retro1i2 retro1o2 retro1u2 retro1á2 retro1é2 retro1í2 retro1ó2 retro1ú2 radio1h
+            radio1a2 radio1e2 radio1i2 radio1o2 radio1u2 radio1á2 radio1é2 radio1í2 radio1ó2 radio1ú2 ranco1h ranco1a2
+            ranco1e2 ranco1i2 ranco1o2 ranco1u2 ranco1á2 ranco1é2 ranco1í2 ranco1ó2 ranco1ú2 ra5ra ra5rá ra5re ra5ré ra5rí
+            ra5ro romo1h romo1a2 romo1e2 romo1i2 romo1o2 romo1u2 romo1á2 romo1é2 romo1í2 romo1ó2 romo1ú2 1s 4s. 2sb 2sc
+            2s3c2t 2s3c2n 2s3c2z 2sd 2sf 2s3f2t 2sg 2s3g2n 2sh 2sj 2sk 2sl 2sm 2s3m2n 2sn 2sp 2s3p2t 2s3p2s 2s3p2n spano1h
+            spano1a2 spano1e2 spano1i2 spano1o2 spano1u2 spano1á2 spano1é2 spano1í2 spano1ó2 spano1ú2 2sq 2sr 2ss 2st
+            2s3t2z 2s3t2s s3te. s3tes. s3tal. s3ta3les. s3ti3lla. s3ti3llas. s3ti3llón. s3ti3llones. s3tor. s3tora.
+            s3toras. s3tores. 2sv 2sw 2sx 2sy 2sz san4c5t 3sa. 3sas. salva1h salva1a2 salva1e2 salva1i2 salva1o2 salva1u2
+            salva1á2 salva1é2 salva1í2 salva1ó2 salva1ú2 seleno1h seleno1a2 seleno1e2 seleno1i2 seleno1o2 seleno1u2
+            seleno1á2 seleno1é2 seleno1í2 seleno1ó2 seleno1ú2 semi1h semi1a2 semi1e2 semi1i2 semi1o2 semi1u2 semi1á2
+            semi1é2 semi1í2 semi1ó2 semi1ú2 servo1h servo1a2 servo1e2 servo1i2 servo1o2 servo1u2 servo1á2 servo1é2
+            servo1í2 servo1ó2 servo1ú2 2seudo1h 2seudo1a2 2seudo1e2 2seudo1i2 2seudo1o2 2seudo1u2 2seudo1á2 2seudo1é2
+            2seudo1í2 2seudo1ó2 2seudo1ú2 sobre1h sobre1a2 sobre3a4sa sobre3a4sas sobre1e2 sobre1i2 sobre1o2 sobre1u2
+            sobre1á2 sobre1é2 sobre1í2 sobre1ó2 sobre1ú2 socio1h socio1a2 socio1e2 socio1i2 socio1o2 socio1u2 socio1á2
+            socio1é2 socio1í2 socio1ó2 socio1ú2 supe2r3r supe2r1h supe2r1a2 supe3r4a4r supe2r1e2 supe2r1i2 super4ior
+            supe2r1o2 supe2r1u2 supe2r1á2 supe3r4á4r supe3r4á3vit. supe3r4á3vits. supe2r1é2 supe2r1í2 supe2r1ó2 supe2r1ú2
+            sup6ra supra1h supra1a2 supra1e2 supra1i2 supra1o2 supra1u2 supra1á2 supra1é2 supra1í2 supra1ó2 supra1ú2
+            su2d3a4merican su2r3a4merican 1t 4t. 2tb 2tc 2t3c2t 2t3c2n 2t3c2z 2td 2tf 2t3f2t 2tg 2t3g2n 2th 2tj 2tk 2tm
+            2t3m2n 2tn 2tp 2t3p2t 2t3p2s 2t3p2n 2tq 2tt 2t3t2z 2t3t2s 2tv 2tw 2ty t2r 4tr. 2tr2b 2tr2c 2tr2d 2tr2f 2tr2g
+            2tr2h 2tr2j 2tr2k 2tr2l 2tr2m 2tr2n 2tr2p 2tr2q 2tr2r 2tr2s 2tr2t 2tr2v 2tr2w 2tr2x 2tr2y 2tr2z tras3antea
+            tras1andin tras1abuel tras1alcob tras1alp tras1altar tras1atlánt tras1oceán tra3se3ro. tra3se3ros. tra3se3ra.
+            tra3se3ras. tran2s1h tran2sa2 trans3aminas tran2s1and tran2s1atl tran3sacci tran3sactiv tran2se2 tran3seún
+            tran3se3xu tran2si2 tran3si3berian tran3si3cion tran3si3ción tran3sido. tran3sidos. tran3sida. tran3sidas.
+            tran3si3gi tran3si3gí tran3si3ge tran3si3ja tran3si3já tran3si3jo tran3silvan tran3sisto tran3si3ta tran3si3tá
+            tran3si3te tran3si3té tran3si3to tran3si3tori tran3si3tó tran3si3tiv tran2so2 tran2s1oce trans3oraci tran2su2
+            tran2s1ur tran3subst tran3sust tran2sá2 tran2sé2 tran2sí2 tran2só2 tran2sú2 tropo1h tropo1a2 tropo1e2 tropo1i2
+            tropo1o2 tropo1u2 tropo1á2 tropo1é2 tropo1í2 tropo1ó2 tropo1ú2 2t2z 4tz. tz3s4ch 2t2s 4ts. 2t2l 2t2x 4teta.
+            4tetas. tetra1h tetra1a2 tetra1e2 tetra1i2 tetra1o2 tetra1u2 tetra1á2 tetra1é2 tetra1í2 tetra1ó2 tetra1ú2
+            tele1h tele1a2 tele1e2 tele1i2 tele1o2 tele1u2 tele1á2 tele1é2 tele1í2 tele1ó2 tele1ú2 tecno1h tecno1a2
+            tecno1e2 tecno1i2 tecno1o2 tecno1u2 tecno1á2 tecno1é2 tecno1í2 tecno1ó2 tecno1ú2 tera1h tera1a2 tera1e2
+            tera1i2 tera1o2 tera1u2 tera1á2 tera1é2 tera1í2 tera1ó2 tera1ú2 termo1h termo1a2 termo1e2 termo1i2 termo1o2
+            termo1u2 termo1á2 termo1é2 termo1í2 termo1ó2 termo1ú2 ti2o3qu ti2o3co talmo1h talmo1a2 talmo1e2 talmo1i2
+            talmo1o2 talmo1u2 talmo1á2 talmo1é2 talmo1í2 talmo1ó2 talmo1ú2 topo1h topo1a2 topo1e2 topo1i2 topo1o2 topo1u2
+            topo1á2 topo1é2 topo1í2 topo1ó2 topo1ú2 turbo1h turbo1a2 turbo1e2 turbo1i2 turbo1o2 turbo1u2 turbo1á2 turbo1é2
+            turbo1í2 turbo1ó2 turbo1ú2 5técnic 1v 4v. 2vb 2vc 2vd 2vf 2vg 2vh 2vj 2vk 2vm 2vn 2vp 2vq 2vs 2vt 2vv 2vw 2vx
+            2vy 2vz v2l 4vl. 2vl2b 2vl2c 2vl2d 2vl2f 2vl2g 2vl2h 2vl2j 2vl2k 2vl2l 2vl2m 2vl2n 2vl2p 2vl2q 2vl2r 2vl2s
+            2vl2t 2vl2v 2vl2w 2vl2x 2vl2y 2vl2z v2r 4vr. 2vr2b 2vr2c 2vr2d 2vr2f 2vr2g 2vr2h 2vr2j 2vr2k 2vr2l 2vr2m 2vr2n
+            2vr2p 2vr2q 2vr2r 2vr2s 2vr2t 2vr2v 2vr2w 2vr2x 2vr2y 2vr2z vice1h vice1a2 vice1e2 vice1i2 vice1o2 vice1u2
+            vice1á2 vice1é2 vice1í2 vice1ó2 vice1ú2 video1h video1a2 video1e2 video1i2 video1o2 video1u2 video1á2 video1é2
+            video1í2 video1ó2 video1ú2 1w 4w. 2wb 2wc 2wd 2wf 2wg 2wh 2wj 2wk 2wl 2wm 2wn 2wp 2wq 2wr 2ws 2wt 2wv 2ww 2wx
+            2wy 2wz wa3s4h 1x 4x. 2xb 2xc 2x3c2t 2x3c2n 2x3c2z 2xd 2xf 2x3f2t 2xg 2x3g2n 2xh 2xj 2xk 2xl 2xm 2x3m2n 2xn
+            2xp 2x3p2t 2x3p2s 2x3p2n 2xq 2xr 2xs 2xt 2x3t2z 2x3t2s 2xv 2xw 2xx 2xy 2xz xeno1h xeno1a2 xeno1e2 xeno1i2
+            xeno1o2 xeno1u2 xeno1á2 xeno1é2 xeno1í2 xeno1ó2 xeno1ú2 xero1h xero1a2 xero1e2 xero1i2 xero1o2 xero1u2 xero1á2
+            xero1é2 xero1í2 xero1ó2 xero1ú2 xilo1h xilo1a2 xilo1e2 xilo1i2 xilo1o2 xilo1u2 xilo1á2 xilo1é2 xilo1í2 xilo1ó2
+            xilo1ú2 1y 4y. 2yb 2yc 2y3c2t 2y3c2n 2y3c2z 2yd 2yf 2y3f2t 2yg 2y3g2n 2yh 2yj 2yk 2yl 2ym 2y3m2n 2yn 2yp
+            2y3p2t 2y3p2s 2y3p2n 2yq 2yr 2ys 2yt 2y3t2z 2y3t2s 2yv 2yw 2yx 2yy 2yz 1z 4z. 2zb 2zc 2zd 2zf 2zg 2zh 2zj 2zk
+            2zl 2zm 2zn 2zp 2zq 2zr 2zs 2zt 2zv 2zw 2zx 2zy 2zz zoo1h zoo1a2 zoo1e2 zoo1i2 zoo1o2 zoo1u2 zoo1á2 zoo1é2
+            zoo1í2 zoo1ó2 zoo1ú2 1ñ 4ñ. o1eu2 o1eó2 o1ae2 4o. 4o3xo. 4o3xos. 4o3lógico. 4o3lógicos. 4o3lógica. 4o3lógicas.
+            4o3lógicamente. 4o3logía. 4o3logías. oligo1h oligo1a2 oligo1e2 oligo1i2 oligo1o2 oligo1u2 oligo1á2 oligo1é2
+            oligo1í2 oligo1ó2 oligo1ú2 2os. 2o3so. 2o3sos. 2o3sa. 2o3sas. 2o3samente. osteo1h osteo1a2 osteo1e2 osteo1i2
+            osteo1o2 osteo1u2 osteo1á2 osteo1é2 osteo1í2 osteo1ó2 osteo1ú2 octo1h octo1a2 octo1e2 octo1i2 octo1o2 octo1u2
+            octo1á2 octo1é2 octo1í2 octo1ó2 octo1ú2 octa1h octa1a2 octa1e2 octa1i2 octa1o2 octa1u2 octa1á2 octa1é2 octa1í2
+            octa1ó2 octa1ú2 omni1h omni1a2 omni1e2 omni1i2 omni1o2 omni1u2 omni1á2 omni1é2 omni1í2 omni1ó2 omni1ú2 onco1h
+            onco1a2 onco1e2 onco1i2 onco1o2 onco1u2 onco1á2 onco1é2 onco1í2 onco1ó2 onco1ú2 onto1h onto1a2 onto1e2 onto1i2
+            onto1o2 onto1u2 onto1á2 onto1é2 onto1í2 onto1ó2 onto1ú2 4ones. opto1h opto1a2 opto1e2 opto1i2 opto1o2 opto1u2
+            opto1á2 opto1é2 opto1í2 opto1ó2 opto1ú2 ornito1h ornito1a2 ornito1e2 ornito1i2 ornito1o2 ornito1u2 ornito1á2
+            ornito1é2 ornito1í2 ornito1ó2 ornito1ú2 orto1h orto1a2 orto1e2 orto4e3pía orto1i2 orto1o2 orto1u2 orto1á2
+            orto1é2 orto1í2 orto1ó2 orto1ú2 o2os. 4o2ico. 4o2icos. 4o2ica. 4o2icas. o4i3dea. o4i3deas. 4o2i3de. 4o2i3des.
+            o4i3dal. o4i3dales. a1ae2 a1aó2 4a4i3gan. 4as. 4aste. 4astes. 4asteis. 4a3se. 4a3ses. 4a3seis. 4a3sen. 4a.
+            4a3mos. amili6a 3a4merican 4an. 4ando andro1h andro1a2 andro1e2 andro1i2 andro1o2 andro1u2 andro1á2 andro1é2
+            andro1í2 andro1ó2 andro1ú2 anfi1h anfi1a2 anfi1e2 anfi1i2 anfi1o2 anfi1u2 anfi1á2 anfi1é2 anfi1í2 anfi1ó2
+            anfi1ú2 anglo1h anglo1a2 anglo1e2 anglo1i2 anglo1o2 anglo1u2 anglo1á2 anglo1é2 anglo1í2 anglo1ó2 anglo1ú2
+            ante1h ante1a2 ante1e2 ante1i2 ante1o2 ante1u2 ante1á2 ante1é2 ante1í2 ante1ó2 ante1ú2 4ates. 4a3ron. 4a3ros.
+            4a3ría. 4a3rías. 4a3ríamos. 4a3ríais 4a3rían. 4a3rís. 4a3ré. 4a3rés. 4a3réis. 4a3rás. 4a3rá. 4a3rán. 4a3remos.
+            4a3re. 4a3res. 4a3reis. 4a3ren. 4a3ra. 4a3ras. 4a3rais. 4a3ran. 4ar. 4a4rme. 4a4r3te. 4a4r3le. 4a4r3les.
+            4a4r3la. 4a4r3las. 4a4r3lo. 4a4r3los. 4a4r3se. 4a4r3nos. archi1h archi1a2 archi1e2 archi1i2 archi1o2 archi1u2
+            archi1á2 archi1é2 archi1í2 archi1ó2 archi1ú2 a3rio 4a3rio. 4a3rios. a3ria 4a3ria. 4a3rias. 4a3ba. 4a3bas.
+            4a3bais. 4a3ban. 4ad. 4adme. 4adte. 4adle. 4adles. 4adlo. 4adlos. 4adlas. 4adnos. 4a3do. 4a3dos. 4a3dor.
+            4a3dora. 4a3doras. 4a3dores. 4a3da. 4a3das. adeno1h adeno1a2 adeno1e2 adeno1i2 adeno1o2 adeno1u2 adeno1á2
+            adeno1é2 adeno1í2 adeno1ó2 adeno1ú2 4aos. acto1h acto1a2 acto1e2 acto1i2 acto1o2 acto1u2 acto1á2 acto1é2
+            acto1í2 acto1ó2 acto1ú2 acante2 4a3ción. 4a3ciones. aero1h aero1a2 aero1e2 aero1i2 aero1o2 aero1u2 aero1á2
+            aero1é2 aero1í2 aero1ó2 aero1ú2 afro1h afro1a2 afro1e2 afro1i2 afro1o2 afro1u2 afro1á2 afro1é2 afro1í2 afro1ó2
+            afro1ú2 3a4ficionad agro1h agro1a2 agro1e2 agro1i2 agro1o2 agro1u2 agro1á2 agro1é2 agro1í2 agro1ó2 agro1ú2
+            apico1h apico1a2 apico1e2 apico1i2 apico1o2 apico1u2 apico1á2 apico1é2 apico1í2 apico1ó2 apico1ú2 audio1h
+            audio1a2 audio1e2 audio1i2 audio1o2 audio1u2 audio1á2 audio1é2 audio1í2 audio1ó2 audio1ú2 austro1h austro1a2
+            austro1e2 austro1i2 austro1o2 austro1u2 austro1á2 austro1é2 austro1í2 austro1ó2 austro1ú2 auto1h auto1a2
+            auto1e2 auto1i2 auto1o2 auto1u2 auto1á2 auto1é2 auto1í2 auto1ó2 auto1ú2 2al. 2ales. aí5so. aí5sos. eo1á2 eo1e2
+            4eos. 4es. esclero1h esclero1a2 esclero1e2 esclero1i2 esclero1o2 esclero1u2 esclero1á2 esclero1é2 esclero1í2
+            esclero1ó2 esclero1ú2 estereo1h estereo1a2 estereo1e2 estereo1i2 estereo1o2 estereo1u2 estereo1á2 estereo1é2
+            estereo1í2 estereo1ó2 estereo1ú2 4e. 4e3mos. 4emboca emi2o2 4en. en1hebr endo1h endo1a2 endo1e2 endo1i2
+            endo1o2 endo1u2 endo1á2 endo1é2 endo1í2 endo1ó2 endo1ú2 enea1h enea1a2 enea1e2 enea1i2 enea1o2 enea1u2 enea1á2
+            enea1é2 enea1í2 enea1ó2 enea1ú2 entero1h entero1a2 entero1e2 entero1i2 entero1o2 entero1u2 entero1á2 entero1é2
+            entero1í2 entero1ó2 entero1ú2 ento1h ento1a2 ento1e2 ento1i2 ento1o2 ento1u2 ento1á2 ento1é2 ento1í2 ento1ó2
+            ento1ú2 entre1h entre1a2 entre1e2 entre1i2 entre1o2 entre1u2 entre1á2 entre1é2 entre1í2 entre1ó2 entre1ú2
+            4e3ré. 4e3rés. 4e3réis. 4e3rás. e5r4á3semos. 4e3rá. 4e3rán. e5r4áis. e5r4á3bamos. e5r4á3ramos. e5r4á3remos.
+            4e3rís. 4e3ría. 4e3rías. 4e3ríamos. 4e3ríais. 4e3rían. 4e3re3mos. 4er. 4erme. 4erte. 4erle. 4erles. 4erla.
+            4erlas. 4erlo. 4erlos. 4erse. 4ernos. 4e3ros. e5r4as. e5r4aste. e5r4astes. e5r4asteis. e5r4a3se. e5r4a3ses.
+            e5r4a3seis. e5r4a3sen. e5r4a3mos. e5r4an. e5r4ates. e5r4a3ron. e5r4a3ría. e5r4a3rías. e5r4a3ríamos.
+            e5r4a3ríais e5r4a3rían. e5r4a3rís. e5r4a3ré. e5r4a3rés. e5r4a3réis. e5r4a3rás. e5r4a3rá. e5r4a3rán.
+            e5r4a3remos. e5r4a3re. e5r4a3res. e5r4a3reis. e5r4a3ren. e5r4a3ra. e5r4a3ras. e5r4a3rais. e5r4a3ran. e5r4a3ba.
+            e5r4a3bas. e5r4a3bais. e5r4a3ban. 4e3r4a3ble. 4e3r4a3bles. 4e3r4a3blemente. e5r4ad. e5r4a3do. e5r4a3dos.
+            e5r4a3dor. e5r4a3dora. e5r4a3doras. e5r4a3dores. e5r4a3da. e5r4a3das. 4e3rior. 4e3riores. 4e3riora. 4e3rioras.
+            4e3riormente. 4e3rioridad. 4e3rioridades. 4ed. 4edme. 4edte. 4edle. 4edles. 4edlo. 4edlos. 4edlas. 4ednos.
+            4e3dro. 4e3dros. 4eedla. 4eadla. e4a3miento ea3cio. ea3cios. ea3cia. ea3cias. e4ándo ecano1h ecano1a2 ecano1e2
+            ecano1i2 ecano1o2 ecano1u2 ecano1á2 ecano1é2 ecano1í2 ecano1ó2 ecano1ú2 eco1h eco1a2 eco1e2 eco1i2 eco1o2
+            eco1u2 eco1á2 eco1é2 eco1í2 eco1ó2 eco1ú2 ecto1h ecto1a2 ecto1e2 ecto1i2 ecto1o2 ecto1u2 ecto1á2 ecto1é2
+            ecto1í2 ecto1ó2 ecto1ú2 ectro1h ectro1a2 ectro1e2 ectro1i2 ectro1o2 ectro1u2 ectro1á2 ectro1é2 ectro1í2
+            ectro1ó2 ectro1ú2 5e4cuatorial etno1h etno1a2 etno1e2 etno1i2 etno1o2 etno1u2 etno1á2 etno1é2 etno1í2 etno1ó2
+            etno1ú2 euco1h euco1a2 euco1e2 euco1i2 euco1o2 euco1u2 euco1á2 euco1é2 euco1í2 euco1ó2 euco1ú2 euro1h euro1a2
+            euro1e2 euro1i2 euro1o2 euro1u2 euro1á2 euro1é2 euro1í2 euro1ó2 euro1ú2 exá3men exá3ri exé3ge exó3ti exa3cerb
+            exa3ger ex3alum exa3min exe3cr exe3géti exe3quia exi3ja exi3já exi3jo exi3ge exi3gi exi3gí exi3lia exi3liá
+            exi3lie exi3lié exi3lio exi3lió exi3lar exi3ma exi3má exi3mi exi3mí exi3me exi3mé exi3mo exi3mó exi3tos exí3ja
+            exí3jo exí3ge exí3lia exí3lie exí3lio exí3ma exí3mi exí3me exí3mo exo3bió exo3ner exo3crin exo3tér exo3tic
+            exo3tiq exo3tism exo3gami exo3gámi exo3esq exo3plan exu3ber exu3dar exu3dat exu3dac extra1h extra1a2 extra1e2
+            extra1i2 extra1o2 extra1u2 extra1á2 extra1é2 extra1í2 extra1ó2 extra1ú2 expoli4 3e4lectr 3e4léctr 4i3go.
+            4i3ga. 4i3gas. 4i3gamos. 4i3gás. 4i3gáis. 4i3gá3mosme. 4i3gá3mosmele. 4i3gá3mosmeles. 4i3gá3mosmelo.
+            4i3gá3mosmelos. 4i3gá3mos3mela. 4i3gá3mos3melas. 4i3gá3moste. 4i3gá3mostele. 4i3gá3mosteles. 4i3gá3mostelo.
+            4i3gá3mostelos. 4i3gá3mos3tela. 4i3gá3mos3telas. 4i3gá3mosle. 4i3gá3mosles. 4i3gá3mosla. 4i3gá3moslas.
+            4i3gá3moslo. 4i3gá3moslos. 4i3gá3mosele. 4i3gá3moseles. 4i3gá3moselo. 4i3gá3moselos. 4i3gá3mosela.
+            4i3gá3moselas. 4i3gá3monos. 4i3gá3monosle. 4i3gá3monosles. 4i3gá3monoslo. 4i3gá3monoslos. 4i3gá3monosla.
+            4i3gá3monoslas. 4i3gá3moos. 4i3gá3moosle. 4i3gá3moosles. 4i3gá3mooslo. 4i3gá3mooslos. 4i3gá3moosla.
+            4i3gá3mooslas. 4i3ditis. 4i2dal. 4i2dales. 4i3deo. 4i3deos. 4ismo. 4ismos. 4ista. 4istas. islamo1h islamo1a2
+            islamo1e2 islamo1i2 islamo1o2 islamo1u2 islamo1á2 islamo1é2 islamo1í2 islamo1ó2 islamo1ú2 5islami 5islámi
+            iso1h iso1a2 iso1e2 iso1i2 iso1o2 iso1u2 iso1á2 iso1é2 iso1í2 iso1ó2 iso1ú2 ini3ci ini3cia ini3ciá ini3cie
+            iní3ci iní3cia in4hib in4hiest in4hiést in4híb in4hal in4hál in4hest in4hesi in4herent in4hést in4hum in4húm
+            in4hóspit infra1h infra1a2 infra1e2 infra1i2 infra1o2 infra1u2 infra1á2 infra1é2 infra1í2 infra1ó2 infra1ú2
+            inmuno1h inmuno1a2 inmuno1e2 inmuno1i2 inmuno1o2 inmuno1u2 inmuno1á2 inmuno1é2 inmuno1í2 inmuno1ó2 inmuno1ú2
+            inte6r5i4nsu inte6r5i4nst inte6r5i4nd inte3r4ior4 in3te3r4im. inter4és inte3r4esar inte5r4regno intra1h
+            intra1a2 intra1e2 intra1i2 intra1o2 intra1u2 intra1á2 intra1é2 intra1í2 intra1ó2 intra1ú2 4ino. 4inos. 4ina.
+            4inas. 5i4ndustr 5ingenier ibero1h ibero1a2 ibero1e2 ibero1i2 ibero1o2 ibero1u2 ibero1á2 ibero1é2 ibero1í2
+            ibero1ó2 ibero1ú2 icono1h icono1a2 icono1e2 icono1i2 icono1o2 icono1u2 icono1á2 icono1é2 icono1í2 icono1ó2
+            icono1ú2 2i3co. 2i3cos. 2i3ca. 2i3cas. 4i4ano. 4i4anos. 4i4ana. 4i4anas. ia5res. i2a. i2as. italo1h italo1a2
+            italo1e2 italo1i2 italo1o2 italo1u2 italo1á2 italo1é2 italo1í2 italo1ó2 italo1ú2 4i4er. i2o. i2os. 4és 4éis.
+            4é. 4édmele. 4édmeles. 4édmelo. 4édmelos. 4éd3mela. 4éd3melas. 4édtele. 4édteles. 4édtelo. 4édtelos. 4éd3tela.
+            4éd3telas. 4édsele. 4édseles. 4édselo. 4édselos. 4édsela. 4édselas. 4édnosle. 4édnosles. 4édnoslo. 4édnoslos.
+            4édnosla. 4édnoslas. 4é3drico. 4é3dricos. 4é3drica. 4é3dricas. 4éosle. 4éosles. 4éoslo. 4éoslos. 4éosla.
+            4éoslas. 4érmele. 4érmeles. 4érmelo. 4érmelos. 4ér3mela. 4ér3melas. 4értele. 4érteles. 4értelo. 4értelos.
+            4ér3tela. 4ér3telas. 4érsele. 4érseles. 4érselo. 4érselos. 4érsela. 4érselas. 4érnosle. 4érnosles. 4érnoslo.
+            4érnoslos. 4érnosla. 4érnoslas. 4é3rosle. 4é3rosles. 4é3roslo. 4é3roslos. 4é3rosla. 4é3roslas. 4ía. 4ías.
+            4ía3mos. 4íais. 4ían. 4í. 4í4s3te. 4í4s3tes. 4ís3teis. 4ísta. 4ístas. 4ístico. 4ísticos. 4ística. 4ísticas.
+            4ísmo. 4ísmos. 4í3tes. 4í3mos. 4í3do. 4í3dos. 4í3da. 4í3das. 4í3ble. 4í3bles. 4ás. 4á3semos. 4áis. 4á3bamos.
+            4á3ramos. 4á3remos. 4á4rmele. 4á4r3meles. 4á4rmelo. 4á4r3melos. 4á4r3mela. 4á4r3melas. 4á4r3tele. 4á4r3teles.
+            4á4r3telo. 4á4r3telos. 4á4r3tela. 4á4r3telas. 4á4r3sele. 4á4r3seles. 4á4r3selo. 4á4r3selos. 4á4r3sela.
+            4á4r3selas. 4á4r3nosle. 4á4r3nosles. 4á4r3noslo. 4á4r3noslos. 4á4r3nosla. 4á4r3noslas. 4árosle. 4árosles.
+            4ároslo. 4ároslos. 4árosla. 4ároslas. 4ádmele. 4ádmeles. 4ádmelo. 4ádmelos. 4ád3mela. 4ád3melas. 4ádtele.
+            4ádteles. 4ádtelo. 4ádtelos. 4ád3tela. 4ád3telas. 4ádsele. 4ádseles. 4ádselo. 4ádselos. 4ádsela. 4ádselas.
+            4ádnosle. 4ádnosles. 4ádnoslo. 4ádnoslos. 4ádnosla. 4ádnoslas. 4áosle. 4áosles. 4áoslo. 4áoslos. 4áosla.
+            4áoslas. 4ándole. 4ándoles. 4ándolo. 4ándolos. 4ándola. 4ándolas. 4ándonos. 4ándoos. 4ándome. 4ándomelo.
+            4ándomelos. 4ándomela. 4ándomelas. 4ándomele. 4ándomeles. 4ándote. 4ándoteme. 4ándotelo. 4ándotelos.
+            4ándotela. 4ándotelas. 4ándotele. 4ándoteles. 4ándotenos. 4ándose. 4ándoseme. 4ándoselo. 4ándoselos.
+            4ándosela. 4ándoselas. 4ándosele. 4ándoseles. 4ándosenos. 4ó. 4ó3logo. 4ó3logos. 4ó3loga. 4ó3logas. 2ótic 4ón.
+            4ósteo. 4ósteos. u4teri ultra1h ultra1a2 ultra1e2 ultra1i2 ultra1o2 ultra1u2 ultra1á2 ultra1é2 ultra1í2
+            ultra1ó2 ultra1ú2 7u4niversid 5u4niversit
+        `
+    },
+    it: {
+        name: 'Italian',
+        source: 'hyph-it',
+        leftMin: 2,
+        rightMin: 2,
+        exceptions: '',
+        patterns: `
+            .a3p2n .anti1 .anti3m2n .bio1 .c2 .ca4p3s .circu2m1 .contro1 .d2 .di2s3cine .e2x1eu .fran2k3 .free3 .li3p2sa
+            .narco1 .opto1 .orto3p2 .para1 .ph2l .ph2r .poli3p2 .pre1 .p2s .re1i2scr .sha2re3 .su2b3lu .su2b3r .t2
+            .tran2s3c .tran2s3d .tran2s3l .tran2s3n .tran2s3p .tran2s3r .tran2s3t .wa2g3n .wel2t1 .h2 .j2 .k2 .z2 2'2 a1ia
+            a1ie a1io a1iu a1uo a1ya 2at. e1iu e2w o1ia o1ie o1io o1iu 1b 2bb 2bc 2bd 2bf 2bm 2bn 2bp 2bs 2bt 2bv b2l b2r
+            2b. 2b' 1c 2cb 2cc 2cd 2cf 2ck 2cm 2cn 2cq 2cs 2ct 2cz c2h 2chh 2ch. 2ch'. 2ch''. 2chb ch2r 2chn c2l c2r 2c.
+            2c' 1d 2db 2dd 2dg 2dl 2dm 2dn 2dp d2r 2ds 2dt 2dv 2dw 2d. 2d' 1f 2fb 2fg 2ff 2fn f2l f2r 2fs 2ft 2f. 2f' 1g
+            2gb 2gd 2gf 2gg g2h 2gh2t g2l 2gm g2n 2gp g2r 2gs 2gt 2gv 2gw 2gz 2g. 2g' 1h 2hb 2hd 2hh hi3p2n h2l 2hm 2hn
+            2hr 2hv 2h. 2h' 1j 2j. 2j' 1k 2kg 2kf k2h 2kk k2l 2km k2r 2ks 2kt 2k. 2k' 1l 2lb 2lc 2ld 2l3f2 2lg l2h l2j 2lk
+            2ll 2lm 2ln 2lp 2lq 2lr 2ls 2lt 2lv 2lw 2lz 2l. 2l'. 2l'' 1m 2mb 2mc 2mf 2ml 2mm 2mn 2mp 2mq 2mr 2ms 2mt 2mv
+            2mw 2m. 2m' 1n 2nb 2nc 2nd 2nf 2ng n2g3n 2nk 2nl 2nm 2nn 2np 2nq 2nr 2ns n2s3fer 2nt 2nv 2nz 2nheit 2n. 2n' 1p
+            2pd p2h p2l 2pn 3p2ne 2pp p2r 2ps 3p2sic 2pt 2pz 2p. 2p' 1q 2qq 2q. 2q' 1r 2rb 2rc 2rd 2rf r2h 2rg 2rk 2rl 2rm
+            2rn 2rp 2rq 2rr 2rs 2rt r2t2s3 2rv 2rx 2rw 2rz 2r. 2r' 1s2 2shm 2sh. 2sh' 2s3s s4s3m 2s3p2n 2stb 2stc 2std
+            2stf 2stg 2stm 2stn 2stp 2sts 2stt 2stv 2sz 4s. 4s'. 4s'' 1t 2tb 2tc 2td 2tf 2tg t2h 2th. t2l 2tm 2tn 2tp t2r
+            t2s 3t2sch 2tt t2t3s 2tv 2tw t2z 2tzk tz2s 2t. 2t'. 2t'' 1v 2vc v2l v2r 2vv 2v. 2v'. 2v'' 1w w2h wa2r 2w1y 2w.
+            2w' 1x 2xb 2xc 2xf 2xh 2xm 2xp 2xt 2xw 2x. 2x' y1ou y1i 1z 2zb 2zd 2zl 2zn 2zp 2zt 2zs 2zv 2zz 2z. 2z'. 2z''
+        `
+    },
+    pt: {
+        name: 'Portuguese',
+        source: 'hyph-pt',
+        leftMin: 2,
+        rightMin: 3,
+        exceptions: `
+            hard-ware soft-ware
+        `,
+        patterns: `
+            1b2l 1b2r 1ba 1be 1bi 1bo 1bu bu1i 1bá 1bâ 1bã 1bé 1bí 1bó 1bú 1bê 1bõ 1bô 1c2h 1c2l 1c2r 1ca 1ce 1ci 1co
+            co2ima 1cu 1cá 1câ 1cã 1cé 1cí 1có 1cú 1cê 1cõ c3c 1cô c2za 1ça 1çe 1çi 1ço 1çu 1çá 1çâ 1çã 1çé 1çí 1çó 1çú
+            1çê 1çõ 1çô 1d2l 1d2r 1da 1de 1di 1do do1im 1du du1i 1dá 1dâ 1dã 1dé 1dí 1dó 1dú 1dê 1dõ 1dô 1f2l 1f2r 1fa 1fe
+            1fi 1fo 1fu fu1i 1fá 1fâ 1fã 1fé 1fí 1fó 1fú 1fê 1fõ 1fô 1g2l 1g2r 1ga 1ge 1gi 1go 1gu 1gu4a 1gu4e 1gu4i 1gu4o
+            1gu2í 1gu2á 1gu2ã 1gu2ê 1gu2é 1gá 1gâ 1gã 1gé 1gí 1gó 1gú 1gê 1gõ 1gô 1ja 1je 1ji 1jo 1ju ju1i 1já 1jâ 1jã 1jé
+            1jí 1jó 1jú 1jê 1jõ 1k2l 1k2r 1ka 1ke 1ki 1ko 1ku 1ká 1kâ 1kã 1ké 1kí 1kó 1kú 1kê 1kõ 1l2h 1la 1le 1li 1lo 1lu
+            1lá 1lâ 1lã 1lé 1lí 1ló 1lú 1lê 1lõ 1lô 1ma 1me 1mi 1mo 1mu 1má 1mâ 1mã 1mé 1mí 1mó 1mú 1mê 1mõ 1mô 1n2h 1na
+            1ne 1ni 1no 1nu nu1i 1ná 1nâ 1nã 1né 1ní 1nó 1nú 1nê 1nõ 1nô 1p2l 1p2r pro1i1b 1pa 1pe 1pi 1po 1pu 1pá 1pâ 1pã
+            1pé 1pí 1pó 1pú 1pê 1põ 1p2neu 1pô 1p2seu1d 1qu 1qu4a 1qu4e 1qu4i 1qu4o 1qu2á 1qu2â 1qu2í 1qu2ã 1qu2ê 1qu2é
+            1ra 1re 1ri 1ro 1ru 1rá 1râ 1rã 1ré 1rí 1ró 1rú 1rê 1rõ r3r 1rô 1sa 1se 1si 1so 1su su2b3r su2b3l su1i 1sá 1sâ
+            1sã 1sé 1sí 1só 1sú 1sê 1sõ s3s 1sô 1t2l 1t2r 1ta 1te 1ti 1to 1tu tu1i tu2it tu2id 1tá 1tâ 1tã 1té 1tí 1tó 1tú
+            1tê 1tõ t2c 1tô 1v2l 1v2r 1va 1ve 1vi 1vo 1vu 1vá 1vâ 1vã 1vé 1ví 1vó 1vú 1vê 1võ 1vô 1w2l 1w2r 1xa 1xe 1xi
+            1xo 1xu 1xá 1xâ 1xã 1xé 1xí 1xó 1xú 1xê 1xõ 1xô 1za 1ze 1zi 1zo 1zu 1zá 1zâ 1zã 1zé 1zí 1zó 1zú 1zê 1zõ 1zô
+            a3a a3e a3o a1ir. a1ind a1i1nh a1iz. a1é a1í a1ó a1ú 4a. au1i a1â a1ã a1ô e3a e3e e3o e1á e1â e1ã e1é e1ê e1í
+            e1ó e1ú e1imp e1inc e1inf e1ing e1ins e1int e1inv 4e. e1ô i3a i3e i3i i3o i3â i3ê i3ô i1á i1ã i1é i1í i1ó i1u
+            i1ú o3a o3e o3o o1á o1é o1í o1ó 4o. o1in o2i1na o1im o1ã o1ê u3a u3e u3o u3u u1ir. u1iz. u1in u1i1ç u1á u1ã
+            u1â u1í u1ê u1é .p2si .p2sí .p2t .g2no .g2nó .g2nô .t2 .t2m .s2 .su3b4li .m2n .ne4o é1o í1a í1o í1e ú1o 1-
+        `
+    },
+    nl: {
+        name: 'Dutch',
+        source: 'hyph-nl',
+        leftMin: 2,
+        rightMin: 2,
+        exceptions: `
+            aan-dachts-trek-ker aan-dachts-trek-kers acht-en-der acht-en-ders acht-en-der-tig acht-en-der-tig-ste
+            be-heers-ta-ken be-scherm-en-gel be-scherm-en-ge-len be-stuurs-la-gen be-stuurs-ta-ken bij-stands-trek-ker
+            bij-stands-trek-kers bui-ten-an-ten-ne bui-ten-an-ten-nes don-der-aal han-dels-taal her-e-nen ket-ting-ste-ken
+            lands-taal meest-al mi-nis-ters-por-te-feuil-le mi-nis-ters-por-te-feuil-les ont-hoof-din-gen pa-ling-ste-ken
+            rechts-taal schil-ders-ta-lent sou-ve-niertje sou-ve-niertjes spie-gel-ei ver-en-gels-te ver-hol-lands-te
+            ver-in-lands-te ver-kinds-te ver-ne-der-lands-te ver-rechts-te ver-steeds-te wals-te
+            wa-ter-staats-in-ge-ni-eur wa-ter-staats-in-ge-ni-eurs
+        `,
+        patterns: `
+            .a4 .aan5 .aarts5 .aat5 .ab5l .acht5end .ac5re .adi5 .af3 .af5l .af5s .aftu5re .al3ee .al3f .alk4 .al5ko
+            .alko5v .al5ma .al3om .al4st .ana3s .an3d2 .an3en .an3gl .an5th .ar5d .ar5tr .as5h .as5l .as3t .as5tra .as3u
+            .at4a .ave5n .b4 .be3la .be5ra .be5ri .bos1 .c4 .coo5 .co3ro .cus5 .d4 .daar5 .da4gi .dag5r .da2k .dan2 .debe4
+            .de2k .dek5l .dek5s .den4k5r .de5od .de3ro .de5sta .di4a .die4p .di3o .doet3 .do3v .du4w .e4 .ede2 .edel5a
+            .ed3w .ee4n .eer5ste .eest3 .eesto4 .eet3 .ei3l .ei5sc .ei3sp .ei5t .el4s5 .en5s .en5th .ep4a .ere5s .er2f
+            .erf3l .er3in .ert4 .erts3 .es3 .es5c .es5pe .es5tr .eten4 .et4h .ets5te. .eu3 .eus5 .é2 .f4 .fel4s .g4 .gaat5
+            .gang5s .gea5v .ge3l4a .ge5le .gelo5v .ge3n4a .gena5z .ge5ne .ge5no .ge3ra .ge5r4e .ge5r4o .gerst5a .ge3s
+            .ge5sk .ge5ta .ge5tj .ge5to .gid4 .go4m .goot3 .h2 .handels5 .her5in .hits5t .ho4lo .houd5s .i4 .ide5o .ij4s
+            .ijs5l .ijs3p .ijs3t .ik3 .in1 .in5d4 .in3g4 .in5gr .ink2 .in5kr .in5kw .in3s4 .in5sl .in5st .in5ta .is5c .j4
+            .jor5 .k4 .ka3d .ka5g .ka4taa .kerk5l .kerk5r .kerk5u .ker5sten .ke4s .koot5 .ko5pe .kop5l .ko3v .kun2 .l4
+            .laat5ste .le4b5 .leg3o .le4g3r .leid5st .len4s3 .le5r4 .le4s3 .le5th .lin5d .lof5 .loot3 .lo4s1 .lu3e
+            .lui5t4j .lu4s .m4 .ma5d .ma5ï .meel5d .me5la .me5ni .merk5l .me2s .me4st .met5ee .mij4n5i .moot3 .mor5sten
+            .mo4s .n4 .naat5 .na3d .na3n .na3s4 .nee5s .ne2p .nep3a .ne4s .ne5te .ne4t3j .neu4t5j .nie4t5j .noot5 .nos5t
+            .no5v .o4 .oe4r5 .oe4s5 .oeve4 .ol3f .om1 .omme3 .on3a .on3d .onde4r .on1e .on5g .on3i .on5k .on1o .ono5v
+            .on2t3 .on4tee .on4ter .ont5s .ooi5tj .oot5jes .op5ee .opi5 .op5l .op3r .op5s .org4 .os5 .ove4 .p4 .pee5tj
+            .peri5 .pers5te. .piet5j .pits5te. .poort5j .po4st .puit4 .pui5tj .pu2t .r4 .raads5le .ran4d .rand5a .re4men
+            .ren4o .reno5v .re5o .rie4t3 .rij5sp .ring5s4 .roe5tj .ro4l .ro4st .ro4t3h .ro5v .s4 .sap3 .sa5v .sci3 .see3
+            .seks5te .se5re .set3 .se5v .side3 .ski3s4 .sneu3 .sno2 .so2k3 .song5 .spoor5tj .st4 .ste4m .t4 .taart5j
+            .tan4da .te4a .te4f .tek2 .te3le .ten5ac .te3no .ten4t5j .te3ra .ter4p5a .ter5s .te4s .ti2n .tin3a .tin3e
+            .toe5pr .to4lo .to4p .to5v .tri3s4 .ts4 .tsa3 .tuit5j .ty2r .u4 .ui2 .ui5s .uit1 .uit4je .uke5 .ur4a .vaat5j
+            .ven4t5j .ve4r3 .ves5p .vet3j .vie4r .vol5s .w4 .wals5te. .wee4ko .wee4t3 .we4l3 .wen4s5t .west5r .win4s .xe3
+            .y2 .z4 .zes5 .zit5 .zooi5 4a. a4a4 4aad aad1a aad1o aad1r aad5sap aaf5a 4aag aag1a aag3e aag3o aag5r aags4
+            aag3sa aag5so aag3sp aai3l aak1a aak3e2 aak1o aak5r aak3sp aal5a2 aal1e aal5f4o aalfo5l aal1i aal5k aal5m
+            aal1o2 aal3sl aal5so aal5spe aal5ste aal1u aam1a aam3o aam4sta aam4ste aan1a 5aandee aand4r aan1e2 aan5g aan5i
+            3aanj aan5k4 3aann aan3o aan3sp aans4po aant4 3aanta 3aanv aap1a aap3i aap3o2 aap3r aar3a aar4d5as aar3e4
+            aar1i 4aarn aar1o2 aar5spel aar4t5on aarts5l aar3u aas3e aas3i 4aast aas5tr aat3a aat5e aat3h aat3i aat1o
+            aat5r abak4s5 aba4l abat4s ab5eun ab3ijz a2bon aboot4j abot4j 2abr ab3ru 4ac. a3cal a3car 4ace ace3st 4ach.
+            a3cha 2a1che 4a1chi ach3l a1cho a3chr 4achs ach5tec a1chu achuut5 4ack ac3kl 2acl 2a3co 2acr ac5res 4acta 4acu
+            4ad. a5da. ad3ac ada2d ada4l ada2r3 adas5 2add a5de. ad3ei ade5re a5des a3det a5deta ad3e4te 2adh 4ad4i adi3al
+            adi4oc adi4od 4adk 2adl 4ado. a3doo 2adp ad3rei a3d4ri ad3rol 2ads ad5se ad3so ad1s4t ad5sta ad3ui ad3w 2ady
+            4ae aege4 ae5k4 a3e2p ae3r ae2s3 ae4s5t a3eu a2ë a4ër 4afa af3aa a2f3ac af4as af4at afd4i afd2r af5d4w 4afe
+            afee4 4afi af3l 4afo a5fo. a2foe afon4d af3op af5org af1r af3s4 afs2c af5se 3afsl 3afsp aft4a af5tr af3ui 2afy
+            4ag. ag1a2d ag3af ag3a2m ag3ar ag3di a5ge. agee5t 4a5gen. ager4s ag3ex a4gil ag3ind a4g3ins agi5ot 4ag1l ag3of
+            a4g3or ag4o3v a2gr ag4ra ag5rap ag3ru ag3sl ag4sle ag5slu ags2p ag3spe ag3spi ag1st ag3sta ag5str 2agt agu5a
+            a2g3ui ag3u4r a2g3uu 2ah 4a1ha 4a5he ahe5ri a1hi ah3l a3ho ah5r ah5t2 a3hu a3hy ai5a2 ai4dr ai1e a1ij ai5k
+            ail3m ai2lo a2in aio4 ai3ov ai3s4 ai5sc ai4s5l ai5sn ai1so ai1st ai5tj ai3tr aiu4 aïn4 aïns5 aïs3o4 2a1j
+            ajaars5 aka2 ak3af ak3ag a4k3ar a4k3ed ak3emi ake2t ak3id ak3ink ak5is 1akko 4a2k3l a2k3n ak5ne ak4ni a3kof
+            ak3on ak3o2p a2kr ak5ru 2aks ak4so ak5spe ak1st ak5to ak5t4w a2k3u4 ak1w ak3wi a1la a4l3ach al3adr a3l4ag
+            a3lal a5lapr al3art 4ald a1le a5le. al3eff 2aleg a2l3el ale5ro ale5ste ale4tj a3lè al4fen alf3l al5fon alfu4
+            al2gl a3lie al3int alk5ei al5kle alk3s al4kui al5le al4mac al5me a1lo a4l3ol alo2n al3ou a4l3o4v 2alp al3s4ag
+            al3san al3scr als5j al2sl als5li als5m al4sn al4s3oo al4stem al5sten als5tou altaar5 al3tha al4t3ro alt4st
+            a1lu a2lui al3uit al3u4r alu2s5 4am. a4m3ac am3adr ama4f 4amag am3art 5ambt ament4j ame4ran ame5tj a2meu am4i
+            4amm am3oli a2m3o4v 3ampè am2pl am4ple am4sm am4s3o am4spr ams5te. a2m3ui a3nad an3alg an4a3n an3arc 2anc
+            4anda anda4d and5ank an4d3e4d an4dex 2andj an4dom an5d4ri and5roo ands5lo an4d3ul a4nem a3nen anen3i 4aner
+            an3est ane3us 4ang. an4gan anga5p ange5st ang5le an2gr ang5sna angs4te aniet3 anij4 3anima an5ion a4n5isl
+            ani5t 4aniv 4ank. an4kaa anka4n an4k3as an2k3j an4klu ank3of an2k3r a1no an3och a4n3oor an3ork ano3s ano3t4
+            a4n3ou ano5v 4ans an3san ans3cr an4seg an4serv an4sid an2so4 ans5or ans3pi ans5pir an1st an4s5te. an5stru
+            an4tac ante4n an3th 2anti ant5sl ant3w 4a1nu a5nuf an3ui an3ur an3uu anze5s 2a1o ao4g ao2l a4om a2op2 aor5t
+            a3os aos3p aos5t 4ap. a1pa a4pak a4pas ap3as. ap3ass a1pe ap5eten 4a1pi apij4t5j ap3ijz ap1j 2apl ap3le ap3li
+            ap3lo a1plu apon5 ap3oo apo3p apo5sta ap3o4v 1appa 4appen 4apr ap3ra a3pre a4prem a5p4ris ap3ru ap2sa ap4si
+            ap2s3l ap3sn ap4ste. 2apt ap3tj 2apu a2q 4ar. a1ra araat5j a4r3app ara3s4 ar2da ard3ac ard3ak ardo4 ar4d3om
+            ar4d3op ar4d3ov ar2d1r ar4dra ard3re ar4du ard3w a1re 5a2rea a3reg a3rem ar4en are4no are3sp a3rev ar3gh ar2gl
+            a1ri arie4tj arij3s ar3ins ark2 ark3ac ar3k4l ar4map arm3u a1ro a2r3ob ar3oge a3rok aro4ko ar3oog a2r1o2p
+            a3rot arpi4 ar2s ar5sch ar3scr ars2e ar5see ar3si ars3l ar4sla ars5m ar3sni ar4so ar4sp ar5spo ars3ta ars5tal
+            ar4s5tek ar4str ar4su art4aa ar4t3ak ar4tan art5ank ar4tap ar3tar 4arte ar4tei ar2th ar5tij 4ar4tj art5jesv
+            4arto ar5tof art5o4ge art5oog ar4t3o4v ar2t3r ar4tro art5ru art4sl art5ste a3ru ar3ui 4arw arwe3s a1ry 4asa
+            as3ad as4ag as3ak as1ap a2sc as5ce 2ase a4sec a4s3eg aser5a ase5tj aseve4 as5ha asis1 a4sj as5ja as3ji as3k
+            as5ka as5ki as3l as4lu as3m as5mi as3n as4ne as4ni 4aso as3ob aso2l aso4r as1p as3pl a4s5q as5sa 4assm 3assu
+            a2st 4as3ta a4sta. as5tag as4tas as4tat as3te a3stek a3stem as5ten as3tè asting5sp as1to as3tob ast3op 4astr
+            ast5rem as5tro. as4tu a1t ataart5j at1ac at3ade at3af. at3ank ata3s 2atek a5tell ate2n ate3no aten4t5r ater5ad
+            ater5sl at4eu 2atg at3hu ati5ni a2t3j at4je atjes5 at5jesb at5jesh at5jesm at5jesp 2atm 2atn a2too at3oog
+            atos5f ato3st at3rac at3rei at3rib at4roe at5ru at4s3a2 at4s3ec atsi4 at4s3id at2s3l at4slo ats5m ats3n at4sne
+            ats3pr at2st at4staa at4s5tak at4ste. at5sten at5stij ats5tol ats5top. ats5trek at4t3u4 a2t3ui at3w aua4 au3ch
+            au3co au5de aud4j 1aug au3na aun3t aup2 aur4 au5re aure3u 4aus au3so au4s5p au3sto au3t4 4aut. 1auto auto3p
+            2auts3 auw3a 4auz a4ü avast4 ave3c avee4 ave4n3i aven5sp aver3a ave3re ave3r4u 4avi a2vo 1a4von a5voo a5vor
+            4avy 2a1w axis4 ay2a 4azif ä3h ämme3 ä3r 1b 4b. 3ba baar5ste baar5tj ba4da bad3ar ba4d3r bad3s ba3g4h ba3gl
+            5b2ak ba4k3o4 bak4sp ba3lan ba4lar bal3dw bale4 bal3ev ba3lië bal4kl ba3lo bals4 bal3sf ba4me ba5n2a ban4k3a
+            ban4kl ban4k3o ban4kr bank3w ba3sa ba4st ba2tr ba3tro 4bb bbe4l5ag bbe4l5ee bbe2n bben3a 4b1c 4b1d4 b5de bdi5a
+            3b4e be1a be3as be2au be3ch be5dwe be5dwi be5dwo bee4 beet1 be5g beie4 bei3s bei5tj be5ki be3k4l be1kw be3lar
+            be5l4as bel5dr be3le be4l3ec be4lex bel5f be3li be4l5int bel3k bel4o be3lo5v bel3sc bel3sp belt4 bemen4s
+            be3nep be5n4o be5ot be1ra bere5s4 ber4g5af ber4g5et ber4gl ber4gr ber4i be1r4o bero5v be3ru be3ry be1s4 bes5ac
+            be4sh be4sje be3so be5sp bes5s bes5te. bes5ten. be5stie bet2 be3t4h be5ton bet5ren be3tw be5twi be3und beur4s
+            4b3f 2b1g 4b3h 3b2i bid3s bi2du bie4li bi4en bie4t3j bij5d bij3f bij3g4 bij5k4 bij1p bij1s2 bik4a 5bil bi3lo
+            bil3s2 bin4dr bin4st bin4t3j bi5ob bi3ok bi5om bi3oso bi5ow bir3 bi4st bis5troo bi1tr bit4se bit4s3p 4b1j 4b1k
+            3b4l blad5ij 2b5lap b5led bles3 ble5spe ble2t3 b5lid blijs4 blij5ste bli2k 4b5loi blok5l bloot5j blu2s 2b1m
+            4b1n b4o bo4d3ec body3 boe4g3a boe4kn boe4ko boes4 boe3st boet5st bo3f4l bo2k bok3an bokje5 bok4st bolk4
+            bo2m3a4 bo2m3o bo5na bond2 bond4s5 3bone bo3no bon4t3j bon4t5o4 boot3j boots5te. bo3p2 bor4sta borst5o
+            bor4st5r bo4s bos3a bo5sco bo5si bo5so bos5p bos5to bot3j bo4to bot3r bot4sp bot4st bo2tu bou5ta bouw5s bo3v
+            bove4 4b1p 3br4 braad5s bran4da bra5str brei5s4 brie4t brie5tje. bri4l bro2n bron3o4 bru2l 4b1s4 b2s5a b5sc
+            b3si bsi3d bs5je b2s5la b2s5m bs5s b4stij 4bt4 b3ta b1tr bts5 3b4u buit4j bul4k bu4lu bune5t b5urb bu5ri bus5c
+            bus3o but4a but3j bu2to but4s buts5te buur4tj 4bv 2b3w by3 4bz 4c. 1ca 3ca. ca3b ca1ch 5cada ca3do ca3dr cae3
+            ca3g2 cal4l3 ca3lo came5r ca3na cant4 ca2of ca1pr ca4pra ca5pri ca3ra car4u ca5se ca3s2p cas3t cas5tr ca3ta
+            cate4n ca3t4h cau3 cau4st ca3v 2cb 4c1c cca3 cces5 c4d c5do 1ce 3ced cee4 3ceel 3cel cel3d celes5 ce5li cel5k
+            ce4l3o 2ce3n4a 2cene ce3no 5cent cen4t3j ceo4 ce3ra cer2n ce5ro cer4t3r ce2s ce3s2a ce5sc ce3s2h ce3sta
+            ce3s4ti cesu5r ce3ta ce4t3j ceto4 cet3og cet3oo 1cé c3g 4ch. 3chaï 5chao 3chas 1chau 5chauf 2chc 1chef 5chef.
+            5chefs 5chemi 5cheq che5ri che3ru 5ches che3us 1ché 5chir 4chn 2chp 5chromo 4cht 4chw 1chy 3ci ci5ab ci3am
+            cie3k cier4s5 ci1eu 5cij 5cil ci5le cil3m 4cind ci3o ci5om 5cir ci3t2 ci5ta c3j c2k3a c4k3ed ck3ef cke5re
+            c5k4et ck3id c2k3l ck4le c2k3n c2k3o4 c4k3r ck5se ck3so ck5st c3ky 1c4l cla2n cle3u 5clu 2c1n 1co co3ad co3d
+            co4i coin5 co3k4 co3la 5com 5cond con1g 2co1no 5cons 3con5t4 2coo 2co1p2 3copa 4copi cor4dr co4rel co5ri cor2o
+            5corr cors4 co3ru co5sc co5se co5sp co3th co3tr 5coun 2cout co5v c3p4 1c4r2 3cras cre5d 2crip 3cris cro5f
+            cro5k croo3 cro5v crus5 c3so c3sp c3ste 2c1t ct3act ct3ad ct5c ctee5t cte2n3 c2t1h c2t3j c4t3of c3tol c2t1on
+            ct4or ct3rap c4t3re ct3sl ct3sp 1c2u cu5d4 cu3en cu3és cui5s cui2t cuit5e cu3k4 cula5p cu3ra 5cur3s cus3o c3w
+            1cy 1ç ça4o 4d. 1da 3da. 3daag d4aal d3aap daar5e 5daat 4dabo 2d3acc da4ce da5den 4dadr 3dae 2d1af 3dag
+            da2g3a4 da3ge da4g3ed da4g3e4t da4g3on da4g3r dag4s3t da2gu 3dai da3ï da3ke da4ker 2dakk da4k1r 4dala d3alar
+            d3alc da3le 4dalf da3li 2dalm da2l3u d4am dam4a da5mac d3a4mat d2a5me4 dames3 dam4pl 2da2na dan3as dank3l
+            danoot5 dan4si dan4sm dan4s3p dan4st dans5ta 4d3antw 2d1ap 4d3a2pe 5dapu da2r3a d3arb 3dare 3dari dar4mo
+            darm5on 3daro dar3s dar5st 3das3 5dasa da3stu 3d4at da3ta dat5j 4d5atl 4d5atm da2t3r 5daue 4d1aut 3dauw 2db
+            dbei5 dbou4w5i 2d5c 4d3d4 ddags4 ddag5sp ddel5ev dde2n dden5a ddera4 dder5al ddere4 dder5ee dder5ep dder3o
+            ddi3a d5dles d5do ddo3p 1de 3de. de2al de1ch d4e5den 5dedir de4dit dee4g3 dee4l deel3i 4d3een dee4r 4d3eff
+            de3g 4d5eg. 4d5egg 2d5egy 2dei d3eie d3eig d3eil d1eis d3eiw 5dek de3ke dek3lu dek3w del4aa del5da del5dr
+            del5eek 4d3e4lek 4delem de4lev 4d3e4lit del3k del2s del4s3e dels3i del4so 4d3e4mai 2demh 5demi dem5ond d2en.
+            den4ac den5ate den3ei den3e4p den3ev 4d3engt den4k5of de4noc den3o4r den3sh den5str de3nu 5denvl de4o de5ofo
+            de5ol deo4li deo3v de3rab de4r3ad der3a4g de3rak de3ram de3ran de3rap de3ras de4r5as. de4r5ass der2e der5ede
+            der5egd de4r3ei de4r3em de5re4n de4rep de4ret de5rij de4r3im der3k4 der3on dero4r 4d3eros der4s3a der4s5om
+            der5ste der5sto der5stra der5th 4d3erts der5tw de2r3u de3rup de2s de3sav des3m des3n des3p de3spe de5spel
+            de4spl des5sm de3st des5tak de5stal de4s3te de4sti de5stic des5top de3t4 4d3e4tap de5tw deu4r3o4 de3us. deu4tj
+            deve4 2dex 4d1exa 4dexp 3dè 2d1f 2d3g d4gaf dge3la dge2t dgeto4 dget5on dget5ov dge4tr dg4l 2d1h d5he dheer4
+            3d4hi. 1di di2a di5ae di4ak di4ano dia3s4 di4atr 5dich di4do die2f die4r3o di3esr die3st die2t diet3r di1eu
+            3dig di2ga dig5aa diges5 dijk3r di3jo 2d3ijz di2k3o4 5dil 2d3imp di5n2a 2d3ind 2dinf 3d4ing. 4d5ingel 4d3inj
+            4d3inko 2d5inr 2d3ins 4d3int dintel5 2d3inv 2d3inw 2d3inz di2o di5ofon di4ol di4one di4oni dio1s dio5sc
+            2d3i2ro 2d3irr 3di4s dis5ag di5se di5si dis4kr dis5p dis1t dis5tr di3th dit3j dit3r 5div 2d1j 2d3k2 4d3l d5le.
+            dli4n dlot4s 2d1m 2d3n2 d5ne dni3s 1do 3do. do3a 2dobj 4d3obs 3d4oe 5doe. doe5d 4doef d5oefe 5doek 5doen 5doet
+            4d5oev 3doi d4ole 2do2li d4olin dolk5s 5dol5s 3d4om. 5domi do4m3o4 d3omr dom4sn 5domu d3omv 4domz 5don. d4ona
+            5done do5ni 5d4onn 5do3n4o do3nu do5ny 5donz 2dop do3pa d3opb d3opd do3pee 5dopj 4d1opl 3dopo d3ops d3opz
+            4d5org do4rië d3ork dors5m do3sp do3sta dot3j 5dou 2dov dover5s 3dovl 3dovo 2d3p dpren4 1dr4 3dra 5dra. d3raam
+            d3raap d4rac d5race 5drach d3rad. d3rada 5draf 5d4rag d4rama d3rame 4d3rand 4drap 4dras 4d3raz 2dre 4d1rec
+            d5reco d1red d2ree 4d3reek 4drend d4ress 4dret 3d2rev 5dreve d3ric dries4 5d2rif dri5ga d3rijd d3rijk d3rijm
+            d3rijs 5d4rin 3dris 4d3rit 4d3roei d3roer 5d2rog 4d3rok d3roma d3rond 3droog 4droos 5drop 2drou 2d3ro5v 2droz
+            drug4s d3ruim d3ruit 5d4ru4k 4d3rus 2ds d2s1a2 d4saa dsa4b d3sal ds4ate ds2ch d5schi dse2 ds3eco d4s3ed d4s5ee
+            d4sef d4sei ds3eis ds3elf dse4li d5sen d4s3es d4set d2sh ds3ho d2s1i2 d4s5id dsig5a ds2im ds4ing ds5is d4s3j
+            ds4jo ds5jon ds4l d1sla ds5las ds5lic d4s5lie ds5lim d3slin d2sm ds4mak d3smij ds5mo ds3n ds4ne ds5neu d3snu
+            ds1o4 ds3ob ds3om d4son ds2oo ds3op d4spa d5span ds5pati d5spec d5s4pel d4s3pet d1spi d4s3pl d5spoe d5spok
+            d5spor ds5s dst4 d1sta d5staat d4stab ds3tak d4s3tal ds4tan d3s4tat d5stav d3ste ds4te. d5stee d4stek ds4ter
+            d4sterr d4stev ds3th d3s4ti d4stit d1sto ds5tram ds5trekk ds5ty d2su4 ds3ure ds3uu d1sy 2dt d1ta dtaart5j d1th
+            d2tj d1to d1tr d1tu 1du 2duca 5due du3en du3et 5duid 5duif 5duik d3uil 2duit 4duit. d3uitd 5duite 4duitg
+            d3uitv 5duiv du4n dun5i du2o du4ol 3durf 3durv 5du1s dut3j du5wen 2dv dvaat5 dvee3 dve5na dvies5 2dw d3wac
+            d3was d3wat d1we 3d2wei d3wek d3wet d3wez d1wi 4d1wo d3wor d3wr 1dy 4d3yo dy4sp dy2s4t 2dz 4e. 4ea e3aa e1ab
+            ea3bo e3ac ea4ca eac5t e1ad ea3da e5adem ea3do ead3s2 ead5sh e1af e1ag e3ai ea4k3o4 e1al ea3la e3ali e4als
+            ea5mi e3an e4an. eang3 ean4s e5ap ea3pr e3aq e1ar ear2c e1as e2asc ea5s4e ease5t ea3so e1at e4at. eat3s
+            eau3s4t e1av e3bo ebots5te. e5br 3ecd e3ce e1che e1chi echt5ec echts5o e3chu 4eck ec5le 4ecor 4ect ec3ta
+            ec4taa 3ecz e1d ed4ag e3dam e3d4an e4d4as ede3a ed3ei. ede5le edem4 ede5nac ede5o ed4er e4d5erns ede5rog
+            edi3al edi3am e5die 4edir edoe5tj e3d4oo ed3opv edors5te ed3ov e3d2r ed3rod ed3rol ed1s ed5se ed2sl ed4so
+            ed5sp ed3su ed3uit e4d2w e5dwan e4e eea4 ee5b ee5ca ee5che ee2d3a eed4ac eed5as ee5de ee5do eed3ru eed3si
+            eed3w ee2f ee3fa eef3ac ee3fi eef3l eef3r ee4gap eeg3l ee3i ee2k ee3ka ee5kaa eek3ak eek5all eek1e ee5ket
+            ee3ki ee3kl ee4k3lo eek3n eek3re ee3kri eek3ro eek5st eek3w ee2l eel3a ee3lad eel4as. eel5d4u ee3le eel4ee
+            ee3li ee5lij eel5k4 ee3lob eel3og eelo4ge ee3lu4 eel3ur eel3uu 4eem eema4 ee2n een3a eena4r een3e2 een5g ee3ni
+            een5ie een5k ee5o2 ee2pa eep3an ee3pl eepo4 ee4p3re eep3ru ee2r eer1a eer3aa ee4rad eera4l ee3ram ee3ran ee3re
+            ee4ree ee5rei ee4r3i ee5ric eer5k eer3og eer5oom ee3rot eer5ston eer5str ee2s3 ee5sch ee4s5em ees5et ee3sj
+            ees5lo ee3sn ee3s4p ees5pl ees5pot ees5ten ee3stu ee2t eet5aa ee3tal ee3tan ee5te eet5h ee3tj eetna4 ee3to
+            eet3og eeto4ge eet3oo eeto4r ee3tr ee4tro eet5rok eet3sp eet5ste ee5v ee5z eën3 e5ër ef3ad efa4z efde5l ef3do
+            ef3ei e5fer 4efi efie4t efiet5j ef3ins e3fis5 e1fl ef3li ef3loo e3flu ef3om e3foo ef3op e1fr ef3rij e5fron
+            ef3sf 4e1g egas4 eg3as. ega5sk eg3ebb e4ge4c eg3eig egel5ei. ege4l5ov ege4net egen5of ege4ra eger5eng ege4ro
+            eger5on e3g4i eg3ijz egip4 egiste4 e2gl e4go. eg3org e2gos eg3oud e5graf eg3s4 eg5sle eg5so e2g3u4r egut4
+            e4g3uu e1h4 e5ha eheis5 ehit4 e2i ei5a 4eid ei3do eid4sc ei1e 4eien eien5s eie5re ei3f4 ei3gl 4eign e3ij eik4l
+            ei3kn ei5kr eiks4 4eil. eil5ant 4eild4 eil5dr 4eile ei4lev eil5m ei2l3o ei4n3ab ei3n4ac ein4do eind5oo ein4d3r
+            ein5gr ein5k ei2no ein5sl ei3o ei2sa ei5sha ei3s4la ei3slo eis4p ei3s4ta 4eit2 ei4too eit4s3 eits5c eits5n
+            eits5te. eit5sten eits5tr eive4 4eiz e1j2 e3je ek3aan ekaart5j ekaat4 ek3af. e4k3a4g ek3al. ek3alt e5kam
+            ek3ang ek4ee ek1ei e3kem e5ker. e5kers ekes3 ekes4t ekes5tr e3ket ek5eter e5kic e4kil e5kis ekla4m eklam5a
+            ek3lev e5klim ek5loos ek4ni e3ko e4k3ob e5kof ek3oli ek3opz e5kor ek5os. ek5oss e5kran ek3roz eks4e eks5erv
+            ek5set ek4str eks5tra ek5t4e ek3to eku4 ek3uit ek3ur ek1uu ekwet5ste ek3win e1la el3aan el5aand el1ac el4ade
+            el3adj el3adm el3adr el3adv el1a4f el1al e3lan el5ana e3lap e5lap. e4lapp el3arb el3arc el3arm el3art e4l3as.
+            el3asi e4l3asp e4l3ass el1au e4laut e3laz el5azi el4dec el4dr el4du e1le e3le. el3eeu el5eff e5leid el5eier
+            el3eig el3ei5s e4lel 3e2lem el3emp e5l4en e3ler ele5r4a eler4s el3erv e3les eles4t e4l3eta ele4tr e4l3etu
+            el3exc e3lé elfi4d el1fl elf3s4 el3gu 2eli e5lie e5lig eli5kw el3imp e4l3ind e3ling e4l5inkt el5inz 3elix
+            el4kee elk3s el4k3u4r el4kw 4e1lo e5loep el3oes e3lok el3ol el3oms el5ond el5ont e3loo e5lood e5loos el3ops
+            el5opt el5opv el3o2r el5org elot4j e5lou el3o4ve e5loz elp4o el4ps el4s5em el4s3k el5smed el5twe 4e1lu el3uit
+            eluks5 2ema e4mana ema3sc ema5to emees5 emens5te emer4s emes3 emie4tj e5mok em3oli em3op em3org emor5sten
+            e4mo4v em3sa em5sc em4sli em4sm em1st em3su em3uit emut4 en3aap e3naar e4n3aas en1ac e5n4acc en5af e2n1ak
+            e2nal en3al. en3als en3amb en4ame e2nan e4n3ang en1a2p e5nari en3ars e2n3a2s enas3p e3nat ena4tel e4n3att
+            en1av e2n3a2z enci4 3ency. en3da en5daa end5ama 5enderti en3d4o en3dr en5drek e2n3e2c enede4 e3nee en3eed
+            enee5t en5eg. en5egg en3ela en3elf en3ema e4n3en5t e2ne2p en3epo e5nere 5energ e4nerv en3eta en3ete ene4ten
+            e3neu 4enf en5ga en3gl en4g5le eng4r en5gri engs4 eng5se eng3sm e3nie e5nijd e2n3im e4ninga e4n3ink e3niv
+            e4n3i4vo en3k2a e4n3och en3off e4n3oli e2n1on e4n3oor enoot5 e2n1o2p e3nor. en3ord eno3s en3ou e2n1ov 3enq
+            en5sce en4sei ens5ein ensek5 3ensem ens4fe en4sin en5slak en4s3on en1s2p ens5pot en5stan en5sten enst5ijv
+            en4stin en4stu4r en3su en4tac en5tee en5tei ente5re en4terv 3entè en1t2h en5tom ent4r en3tre ent5rol ent4sl
+            ents3m ent4s3p en3tw e1nu e4n1ui e2nun en3ur en3uu 5envelo eny4 e3o eo3d eodo3 e5oe eoes3 e5off eo3fr e4o3k4
+            e5on eo5ni e5oo eo3pa eo3pe eo3pl eop4la eo3p2r e5ops eor5d e5org e5ori eo3ro eo3s4 eo5st e4ot eo5te e5o3t4h
+            e1pa e3paa ep3aak ep3ac e4paf epa4k ep5ake e3pal e3pap e4p3app e3par ep3asp e1pe e5pe. ep5een e5per epers5te.
+            e1pi 3epid ep3ijs ep3ijz ep5ingr ep3ins epit4s epits5te ep1j e1pl ep3led e4p3lod e5ploe ep3lus e1po e4p5o4ge
+            epoort5j epoot4j 3e4pos. e3pot epou4 e1pr ep4ra e3pri ep5rode eprot4 ep2s ep4s5ee ep4ser eps3l eps5n eps3p
+            eps3ta eps5taa eps5tal eps5to eps3tr eps5tro ep4tak ep2tj ep4tr ept3ra ep5tro ep3uit 4equa e3ra. e1raa e5raad
+            e4raak. er3aan er5aanp e4raap. e5raat e4r1ac e5rac. e5race e5raco e3rad e5rad. er3ado er3af e3raff era4gen
+            e1rai e4r3all er3ama er3ana e5randa e5rane e5ra3pl er3arc e3rare e3rari e1rat4 er3a4tr er3azi er3d2a er3d4i
+            erd4o er3d2r erd5uit. er3d4w e1re er5eat 4erec er5editi er3een e5reep er5eers er3eet er3ef er5eff er5eg.
+            er3egd er5egg er5egt er3eie er3eig er3eil er5eind ere3kl er3elk e4r3emm er3emp e3rend e5rendel ere4ne eren5eg
+            er5enen. e3renm e3rent er5enth e5rento eren5tw ere2o ere4og er3epi er3e2q er3eri e3res. er3esk e3ress ere4st
+            ere4t3j er3etn e4r3ets e4r5ex erg2l e3ri eri5ab e5rif e5rig erig5a er3ijl er3ijs e4rijs. er3ijv e4r3ijz e5rik
+            er5ind e4r3ini er5inkt er3ins er3int e5rio e5ris erkeers5 er2kn er3m4i er5mo er5nu e1ro. e3rob er3oc e4r3oed
+            er3oef e5roep eroe5tj er3oev er3of ero2g e3rok e1ro2l e5rol. er3oli e5roll er3om er1on e3ron. e3rone er3onv
+            er3oog er3oor e5roos e4r3op erop3a ero5pen e2r3or er1ov er3oxi e3roz e3rö er4plu errie5tj er3scr er3sj er5slag
+            er5span ers4pot er5stem er5te er3t2h er5t4i er5t4o er3tr ert5se erts5l er3t4u er3t4w e1ru e3rub e3rug5 e2rui
+            er3uit erui5t4j e2run e3runs e4r3ur e3rus er5uu 3ervar 3erwt e4saf e4s3a2g e3sam e5san es3ap es3arr e3sa3s
+            e3scop e3s2cr es4e e5sec es5een e5sel es5ene e4s5eng es5ex es2fe es5he e4shi e3sid e3sie es1in e4sir es5je.
+            es5jes e3s4jo es5jon e4s3ka es5kr e3sl es4la e5sla. e5slag es3lak es5lat es4le es5leg es2m es4mui e5smuil.
+            e1sn e3s4ne e1so e3sol es4oo es5oor. eso4p es3ore e1sp es5pas es4pel espit5ste e3spl e4sprie esp5riem es4sm
+            e3stak e3s4tal e3stap es4tar es5tatie e4s3te. es4tea es4teel est5ei. e4steka es5tekam e3s4tem es5temo es3ten
+            e4sten. es5tenb es3ter estere5o es5tes es4tet e3steu es4tic e4stie e3stot es5tra. es5trac es5trak e5stral
+            est5rap es5trei est4sc es4tur e3sty e3su esu4r e3sy e1ta e3ta. et3aan et3ac et3ad et3afz 3e2tag e3tak e5tak.
+            et4ana e5tand e2tap e4tapp e5tat e4tau e2tav e3te e5tea et3edi e5tek 4etel e5tel. e4t5elf e5tels et5emb et5emm
+            etens5u eten5tj ete5r4a ete3ro eters5la eter5sm e5tes e1th et3ha et3hor et5hu e4t5i4d e5tie e4t3inc e4tiq
+            e5tis e4tja e1to e5toc e3toe e5toev e3tol eto4p et3ope et3opl e4t3ork eto3sf e1tr et3rec e4t5res e3troe e5tron
+            e5troo etros4 e4t3ru et4sl ets5lap et5slu ets3n et4s3oo et3spe ets3pr et3spu et4ste ets5tek et5sten et5sti
+            ets4u et5su5r et5suu e1tu etui5tj etu4r et3we et2wi 1eua4 1euc eudi5o eu5dr eu3e eugd3r eu3g2r eu4ler eu4li
+            e1um e3um. e2umd eu2na eun3t 1eu1o eu2po eu4rad eu4rec eu3ren eu4res eu4rij eur5k euro5v eur4sta eurs5taa
+            eurs5te. eur4s5tr eur4su eu5sch eus4p eu3spa eu4st eu5str eu3tj eu1tr e3uu 2euw eu4wa eu5win euw4str evaar5tj
+            eval4s evari5 eve4lo evel5op eve5n4aa 4ever eve3ra 4e1w e5wa e5we ewen4s ewens5te. ewest5r ew2h e5wi ewo3v
+            4ex. 2ex3aa ex3af 4exco 3exeg 3exem 4exi ex3in ex5op 1exp e3y4o eys4 ey3st e5za e3zee 4e3zen ezers5 e3zo ezz4
+            é3a é1d édee4 édi3 é1g égee5 é3h é3j é3n é3p é3r é1t è1 4èc è2l è2s è5t èta5 ê1 ê2p ê3per ê5t 3ë 4ë. ë2b ë3c
+            ë3d ëe2 ëen3 ë3j ë1l 5ën ënce3 ën4e ëns2 ën5sc ënt2 ën5th ën5tw ë3p ë1ra ë1re ë1ri ë1ro ëro1g2 ëro3s ë2s ë3si
+            ës3t ë1t ët4s ëts3te ëve5 ëven4 4ëzu 4f. 1fa f3aanb f4aat 3fab fa2bo f3acc face4 f1ach 2fad 2f1af fa3g fal3s
+            fa3m f3ang fant2 fan4t3j fant4s5 2f3a2p f4arm 3fa5se fa2to fa3v 4fb fbe5dw f1c 4fd f3da fda4g f5dan fd1ar
+            fde4k fdek3l fde4s3 fdes5e fdes5l fde5sm fdes5t f2d3in fd3of fdors5te fd4ra f3d4ru fd5se fd3si fd3so fd3sp
+            f4d2w fd3wo 1fe fe2a fec4tr fede3 fe4del f3een 5fees feest5r fel5dr fe4l3ee 3feli fe4lom fe4l3op fel3sp fe3no
+            f4er fe3rab fe3ran fe4r3et fe3rom fe3ron 3fes3 fe4t3j fetu5r 2f3ex 1fé 3fè 3fê 4f1f f5fe f5fi ffs2 ff3sh ff3si
+            f3fu f3g2 fge3 fge5r4 fge5t 4f5h 1fi fi5ac fi4al fi3am fi3apa fi3apo fia4s 3fib fi1ch 5fie 5fig f3ijs 2f1ijz
+            fik4st 3f2il fil4m3a film5on fi3lo 4find 3fini f3inj 4fink 2finr fi3o fi4r fi4s fi5se f5iso f1j fjes5 4f1k4
+            f3ke f2l2 4f3laa f1laf f4lam f3lei flen4st flens5te. f4les fle2t flet3j 4flev f4lex f3lez 2flie 2flij f4lik
+            f4lip f4lit f3lok 3f4lor flu4t3 4f1m f1n 1fo 3fob 5foc foe5d foe5ta 2f3of 5fok 2foms fo5na fond5en fonds5l
+            fon5eng fo1no 4font fon5te foo4 fooi5 f3oom 5foon 2fo4p fop5s4 f4or 3fo5re fo5ri 5form for4t3j fo1ru fo3t
+            2f3oud 4f1ov 3fö 4f5p4 fpers5te. fpits5te. fr4 f4raak. fraam5 5frac f3rad f2ras 5frau f1rec f3rek 5freq frie4s
+            frie4t friet5j f4rik f4rod 4f3rol f4rolo f3roma frus3 4f1s f2sa4 fs3ad fs3an fs3ar f3sc f5sch f4scr fse2
+            f4s3ec f4s5ee f4sei f4s3eth fs4fe f2sh fs5he f2si f3sie fs3im fs1in f5slaa f5slac f5slag fs3lap fs2m fs3ma
+            fs4mi fs3mo fs3mu f2s1o4 fs3ob fs3om fs4oo fs2p fs4pre fs4t fst3as f3ste fs5tec f5stell fste4m3 f4sterr f3sti
+            f5stif f3sto f4st3oc f4ston f3str f3stu f3sy 4ft f1ta ft1ac fta4kl fta4p ft3art fter5sh ft3h f1to f5tond
+            f4tont f1tr ft2s3l ft4sm fts3n ft4so fts3p f1tu ftu4r 1fu 2fuit fu4ma fum3ac 3f2un fur4o 3fus 2fuu 4fv fva2
+            fval3 4f1w4 3fy1 2fz fzet5 4g. 1ga 3ga. gaar5tj g4aat 2g1ac 4g3adm g4af. g3afd ga3fr 4g3afs 4g3afw 2g3a4h
+            4gal. ga3la ga4l3ap ga5ler gal3s 4gamb g4a3mi 3gan gan5d 5gane gan4s5t ga3pl 3gar. 4g3arb ga3re g1arm 3gars
+            2g3art gar5tj ga4s gas5c gas3i ga5sla. ga3sli ga5slo gas3o gas3p gas3tr gas5tra gast5rol 3gat gat5j gat3s
+            4gaut ga5ve g1avo 2g5b 2g1c 4gd g5dac g5dag gd3art gd3at gd5ate g3de g4d3elf g5der. gd3erv g4d3id gd3im g2din
+            g3dr g5dru gd3sa gd5sp g3du 1ge 3ge. ge3a gea3dr gea5na gea3q ge4ari ge5au 4g3eb. 2gebb ge3c ge3d4 gedi3a
+            ge4dit ge5dr ge5dw 3gee4 geest5r geet3a ge3f4 2g3eff ge5g4 gege4s 4geig 2g3eik gei4l5a 5geit geit3j ge3k4a
+            ge3ke ge5ki ge5k4l ge3kr gek4st gek4u ge3k4w ge3lau gel4d3a4 ge3l4e 4ge4lem gel5f gel5k 5ge3l4o gel5si gel3sl
+            gel3sp gel5ste ge5ma 4gemb 4g3emf ge5mo 2g3emp gems3 ge3m4u g4en. ge3nak gen4az 3ge3ne ge4n3ed ge4nend 4g3engt
+            3geni gen5k ge1no ge4n4of ge4nog gen5sfe gen5ston gen5stu genstu5r 5genw ge5om geo5pe georke5 ge5os ge5ot
+            ge5p4 ge1ra ger5aal ger5aap. ge4r3a4l gera4p ger5ape ger5as. ge5reg ge3rem ge5ren. ger4i ger5ini ge1r2o ger4of
+            ge5rol ger5slan ger4sli gers5lij ger4sp 4g3erts ge3r4u 3ge1s4 ge3sa ge3sc ge5se ge3si 4ge3sk ge5sl ge3sn ge3so
+            ge5spend ge5sper ge5spo ge5stan ges5te. ges5ten. ge3str ge5sw ge3ta get4aa ge5tam ge2th ge5t4i ge3t4j get4o
+            ge3tr ge5tra ge5tro ge5tru ge5tsj ge5tu ge5t4w ge3ui 5g4ev 4gex 5g4ez 1gé gédi4 3gè 4g1f gfijn5ste 4g3g4 g5ge
+            gge3la gge4r5on gges5ti g4g5h g5gi ggings5 g5gl 2g1h g2het ght4 gh5te g2hum 1gi gids5te gie5ra gier4s gi1eu
+            gi2f gif5r gi3ga 5gigere 5gigste 2gij g3ijs 4gijz gi2m gi3na 4g3inb 4g3inf g5infe g5infr 5ging 2g3inh gin3o
+            2ginr gi4oc gi2od gi4onet gi2or gip4st 5gir 3gis 4g1j 4g1k gl4 g5lab 3glai 1gla4s glas3e g5lat 3g4laz 3gle.
+            g5leer glee5t g3len 2g5lep 4g5ler g3les 3gle4t glet3j g5lev g5lice g5lich 3glië g2lif g5lijs g2lim 3g4lio
+            g2lob 3glof g5log 3glom 4g3lon g3loon g3lop 3g2los g5loz 3g2ly 4g1m gmaat5j 2g1n g3na gn4e gne5g gne5m gne4t3j
+            gnie4tj 4gnu 1go 3go. 3go2a 3gob 2goc g1och go4d3a god4s3 gods5t 4goef goe1r 2gof go3f2r g4og 4goh go2k 5gom.
+            go2ma g3oml 4gomz go4n3az 2g3ong go5no 2g1ont g2oo 2g3oor 3goot 2g1op go3pa g4opr g4ora 4go4re go5re. 5g4ori
+            gor2s gos1 go3tr gou4d5ee 2g3ov 2g5p gpes3 1gr4 3gra 5gra. graat5j g5rak gra2m g4ram. gram3a g3ramp gra4s3
+            5grav 2g3rec 2g3red 5gredi g5redu g3reek g3reel g4reep g3reis 4g3rek 2g3rem gren4s gre4s g4reu g3rev 5gria
+            grie4t5j g5rijd g5rijk g5rijm g5ring 5g4ris grit5s 2g3riv groet5j grof5 g3rok g3rook g3room groot5j 2grou
+            gro5v 2g3rug g3ruim g3rup 4gs gs1a2 gsa4g gs5alar gs3alt g2sc gse4 gs3eco g4s3ed gs5een gs3ei gs3en gs5ene
+            gs3erv gs3et gs3ev gs5he g2s1i2 g3sie gs5is gs1j g3s4ke. gs3l gs4la gs5laag gs5lam gs5las gs1le g3slep g4sleu
+            gs5lie gs4lin g5sling gs4lo gs5log gs5lok gs5lon gs4lu g4s5ma gs3n g4sna g3snij g4s1o4 g5sol g5som. gs5ons
+            gs3op gs3p gs5pand g3spec g3s4pel g3s4pet gs4pi g3spie g3spil g5spin. g5spinn gs5pir gs5pol g3s4pon gs5ps gs5q
+            gs5sc gst2a gs5taal gst5aang gs5tac g5stad g5s4tan g4st3ap g5stat g1ste g5s4te. g5sted g5stee g3stei gs3tek
+            g5stel g3sten g3ster g5ster. gs5terr g5sters gs3th g5s4tic g3s4tig gs5tijg g5stof g5stop g5stor gst3o4v
+            g4s3tra gs5trad gs5trak gst5ram gs5trap g5strat gst5res gs5troe gs5tron g4stru g5struc g3stu gs5ty g2s1u4
+            gsver3 gs5w g5sy 4gt g1ta g2t3ap g3te gte3ro gtes4 gte3st g1to g3tr g1tu 1gu 5gu. 3gue gu4eu 2guit gu4ni gu2s3
+            gut4st guts5te. 4gv g5vo 4g1w g5wa 1gy 4gyp 2gz 4h. haams5ta haar5sl haar5sp haars5te haar5tj haats5te. h3afd
+            haf4t3u ha3g ha5ge hal2f1 5hals hal4sto 5halz 2hamp 4han. han4dr hand5sl han3ga hang5l hang5s han4s3l han3so
+            han4st hap2s hap4se har4ta harte5l hart3j har4t3o4 har5tre hart5sl hat5j ha2t3r hat3s ha3v 4have. 4hb 2hd h4e
+            2hea he2ar 3hech he3co 4hee. hee3g4 hee4k heek3a heek5l hee4l3o heep4s heeps5c heers5tak hee5sto hee5tjes he2f
+            he4i heids5p heis4 hei5tj he2k3a he2kl hek4st heks5te. hek5sten hek3w he3le he4l3ee he3li hel4m3a helo4
+            hel4p3a hel3sm he5mo he5ne hen4kr he3n4o 4he5o he4pij he2p3l he2pr he1ra her4aa he4r3ad he3r4au he4r3i
+            herm5eng he3ros hero5v her4p5aa 3herst hert4 herts5te he2ru he5se he2sp he2s5t hets5te. heu5le 2h3f 4h5g h3h
+            hi5d hie4f3 hielsges5 hie4r3 hie5ren hier5u hie4t5o hie4tr hiet5s hij4sl hik4s5 hi3kw hil3m him4pl him4pr
+            hin5d h3ins hin4t3j hi2p5l 2hir2 his5p hi3tr hit4st hits5te. hit5sten h3j 2hl h3la h4lag h3lep h3loc 2h2m h3ma
+            h3me h4mer h1n h2na hno3 2ho. ho3a hoa3n hoboot4 ho3ch hoe4ker hoe4s hoes5l hoe3t ho2f hof5d hof3e ho3g2 ho2ka
+            ho5mo hon3dr hond4s hon3g honi4 ho1no hool3e 4hoom hoort4 hoor5tr 2hoot ho3pa ho1pe ho2p3o hop3r hop4str
+            hor5de 5horl ho3ro hor4st hors5te. hor5sten hor4t3j ho3ru ho3sa hot3j ho3tr ho4t3re hot4st hots5te. ho3v 2ho4w
+            how3o 2h1p hpi4 2hr hra4b h4re h5rea hri4 hro2k hrok3o hroot3 4hs h3sa h3sp h3st 2ht h4t1a2 ht3ac h3tal ht3ala
+            h5tans h3te. h4t3ec ht4eco h2t3ee h2t3ef h2t3ei ht5em h3ten h4ten5t ht5entw hter3a hte4r5o h4t3esk h4tev
+            ht5eve h5tevo ht3ex h2t5h h4t3int h2t1j ht1o4 ht5oef ht5op h4t1r ht5roo ht4sap htse4 ht4ser ht2si ht4sl ht5sla
+            ht5slot ht3sme ht5smij ht4s3o ht3spe hts3pl ht3spr hts5taal ht4s5tak ht4s5tek ht4sti hts5tore hts5trekk ht1u2
+            ht3w hu4ba 3huiz hul4der hur4t5 hut3j huts5te. huur5s 4h1w hy4la 3hyp hypo1 4i. i1a i3aa i4ab i5abi i4ac i3ady
+            i3ae i5ae. i2a3f4 i2a3g2 i3agr i3ai i5ak. i3ake4 ia4kem ia3kl ia3kr i3al. i4a3la i3ali i2am i5am. i3ami i3an
+            ian4o ia3o i2a1p4 ia5pa i5api ia3sc ia5se ia3so ia4s5po ia3sta i3at ia3t2h i5atri iave4 i5ble iboot4 4ic i3ce
+            5i4cepa i1cha i1che ichee4t i1chi i1cho i3chr ick5l icos4 ic4t3op ict4s5c i3dam idde4r5a ide3a i4dee. ider4sp
+            ider4st ides4 idi3a idi5ab i2di5o id4mak i3dok i2dr id3ran id3ru id2s1 id4s3a id4ser ids5i ids5j ids5l id4sm
+            ids5ma id5s4mee id4s3o ids3ta ids5tak ids5tek id4stem id4sti ids5tr id3u4r id3uu idu3w id3w 4ie ie1a2 ie4d3ac
+            ie3de ie4dro ied3w i1ee4 ieë2 ie3fi ie2fl ie3fle ie3fon ie4fr ie4gas ie3ge ie4g5ins i2ek iek3e4v ie4kl iek3li
+            ie5klu ie2kn iek5ond iek4s5n iek4sp ie2ku ie3kwa ie5lan ie5lap iel5do iel5d4r iel4e iel5ei. iel5k iel3sc ie3ma
+            iem3ov ien4dr ien3ij i3enn i5enne. ien3s4m ien5sp ien4sta ien4st5o ien4str ienst5ur ieo4 i4ep ie5pen iepiet5
+            iep5oog iepou5 iep5rel iepro4s iep3s4 iep5st iep5tr ie4pui ie5r4ad ier3a4l ie3ram ie3rap ier3as ie4rat ier5el.
+            ier5els ie5ren. ie5ring ierk4 ie3r2o ie4rof ier4sl ier5slu ie3ru ier4ui ie3sf ie2si ie4sl ie5sle ies3li ies3m
+            ie2s3n ie2so4 ie4s3pl ie3sta ies5te. ie5stel ies5tere ie3sto ie4taa ie5tal iet5ant ie5ten ie3tj ie3to4 ie4t3og
+            ie4too ie4top ie4tor ieto5re ie4t3ov ie5troe iets5te. iet3ur iet3uu ie3twi i3ety ie2u ieu3k i1eur ieu5r4e
+            i1eus ieu3sp i1euz ie3v ie3z iezel5a i3és i1ét i1è i4ëg i4ëva 4if if3aa if3ad if3l if3r if4ra if4taa if4tar
+            if4tre iftu5r if3ui ig4a ig3aa ig5ac i5gal i4g5av i3ge ige2s ig3esk ig3ij i4gind igi3o ig5no i3g4om ig4op igs4
+            ig3sk ig3sl ig3sp ig3sto ig3un i1h i3i i5ie ii2n i5is i2j 4ij. ij5a ija4d 4ijd 4ije ij3ef ij3ei ij3el ij5e4n3
+            ij1er ij3i 4ijn ij3o4 i3jou 4ijso 4ijsp 4ijst ij5te ij4tr ij5u 4ijvo 4ijzo 4ik ik3aar i4kam i3ke ik3ef ike4ra
+            iket3 i2kij i3kl ik3la i4k3lo i4k3lu i2k4n i4k5na ik5o2g i3kom i2koo iko2p ik3ope ik3ord i4kr ik3re ik3ri
+            ik3ro ik5se ik5si ik3s4l iks3n ik3sno ik3sp ik4spa ik1st ik5sta iks5te. ik1w ik5war i1la i3la. il4aa il5aan
+            il3ac il4act il3ad il3af i3lak il3al i5land il2da il4d3r ilds4 4i3le il3een ile3l i4l3erv ile4t ilet5r ile3u
+            il3e4ve ilevin4 i4l3e2z i3lé il5f i3li ilie5g ilie5t il3ink ilk4l ilk3s2 illa3s 1illu il2m ilme2 il4min il4mo
+            i1lo ilo4ge il3ond i3loo i5loon il3oor il1or ilo4re ilo4ve il3s2h ils5j il4sti il2th i1lu 4im. i2mag i4mago
+            im5au imee4 im3een i4m3em im3enc im3ex 4imf i2m3of im3op im3org im5pa im4s3oo im1st i3mu in1ac i2nau ind4aa
+            in4dene ind3sc ind5ste 1indu in3e4de in3edi in3eed inek4 ineo2 inet4s i5neu 1inf in2ga4 ing3aa ing3ag ing3al
+            3ingan ing5lo in2go in4gr ing4st 4ini. i3nie ini5on ini5sl ini5sta 4inkj in2kn 3inkom in4kri 3inno i1no i3noc
+            i3nod in4o2g in1on ino5pe ino3s4t in3ov 1inri 4ins. in5sch in5se in3sl in3smi in3so in1sp in5spo in5sten
+            in5swi in4t3ap in5te intes5 in3th 1int4r i1nu inuut3 4i1o io5a ioas5 io5b i3o1c i3ode ioes3 io3f io3g2 i3ol
+            i5ol. i5olen i5olus i3on ioneel4 i5ong ion4s3 ions5c i5oo i2op4 io3pa io3pr i3opt io3ra i3ori io3ru io4s i3os.
+            ios3c i3o5se i3o5sf io5sh io5si i5osi. io5so io5sp io5s4t i5o5su i3osy i5othek i3oti iot3j i5otorens io3tr
+            i2o3v i3ox i2oz i1pa i2p1ac ip3af i3pap i1pe i4perw ipe4t3j i1pi ip1j i1pl ip3lu i1po ipo4g i1pr i2pri ip3ru
+            i4ps ipse4 ip4si ip4sle ips5te. ip5sten i3ra ira3k i1r2e ires4 ire3st i3ré i1ri irk4s i1ro iro3p iro5v ir2s
+            ir4sc ir3sp ir5ste irt3r i1ru 4is i1sa i2saa i4s3ad is3a2g is3ap i2s1ar i2s3as i4sc i5scha i5schr is5col
+            i5scoo i5scope ise2d i4s3ei is3ell is5eng i4s3erv ise3st iset3j is4fee is4fer i4sh is5ho isi2d i2sij i2s3im
+            is3ja i4sk is3ka is3ke is3l is5lag is5las is5le i4s5m i4s3n is5ned is5nij is5no 5isol i4soo is4oor iso3s i2sot
+            is3ott is3p is5pas is2pi is5pl is5q is5sa is5so i2s3t is1ta i3stak ist3ap i4s5tas is4tat is5terd is5tere is4th
+            is1to ist5ong i3str is5tri i5stro. i3sty isu2m i5sy 4it i1ta it3ac ita5d it3een i3ten i3ter ite5rei ites4
+            ite3st ite4t it3hie it1ho it1hu it2i itie5st i4tj i1to it5oef it3oog i3t2ou i4to4v itper5st it3red it1ru
+            it3sje it3sli it3sop it1sp its4te it4ste. it4too i3tu it3w 4i3u2 iu4m ium3a4 ium3e ium3o iu3r i3ve iven5s
+            ive3re i5w iwi2 iwie2 iwit3 4iz i3ze ize3t î3 ît4 1ï 2ï. ï5a ï1c ï1d ïe4n3 ïe5nen. ï2n3a ïns5m ïn3sp ïn3u
+            ï3n4ur ï3o ï3ri ï3ro 4ïs. ïs3a ï4sc ï5sche ïs3l ï3so ïs3t ï1t ï5z 4j. 1jaar jaar5tj ja3b 2jaf 1jag jagers5
+            ja3kn ja3mi jan4s3l jan4st ja3pl ja1po 1jar jare4 1jas3 jas5p 3jaw jaz4 j3b jba4l jbe4l3i j1c jda2 j2d3aa
+            jd3an j4d3ar j2d3ee jde4n3e jden4s jdens5p j4d3erv jdes4 jde3sp jde5st jdi3a j2do4 j3dom jd5on jd3op j3dr
+            j4d3re j4d1ri j4d3ro j4d3ru jd5sei jd3spo jd1st j2d3u jd3w j3d4wan jea4 3jeba je3ch jec4ta 2j1ee jel4 je3la
+            j1en je2na2 je3n4o 5jep jepiet5 je3ro jers4 jer3sp je4s3 3jesa 5jesal je5sch 3jeskn jes5l jes5m jeso2 jes5pa
+            jes4pr 3jesr jes5tr 5jesvo 3jeswa 3jeswi je2t jet3er jeto4v jet5st 5jeu 3jevr 2jew j3ex j2f1a j2f3ei j2f1en5
+            j4f3ij jf3ink jf3l j3f4lat jf5le j2f3o4 jf3r j3f4ra j3f4ro jf2s jfs3a jf4sc jf4s3er jfs5f jfs3l jfs5m jfs3n
+            jfs3p jfs5pa jf3st jf4sta jfs5tak jf5stan jf4stel jf4sti jf4s5to jft2 jf5ti jf5tw j1g j3ge jger5sl j2g3l
+            jg4s5e jg3sn jg2st jg3s4te j3h jif3 j3ig jin3g ji5t2j j3j 2jk j3ka j4kaa jk5aard j4kar jk3arb j4kau j4kav
+            j2kij j2k4l j3klaa jk5lak jk5lap jk5las j4kle j5kled jk5les jk5li j3klon jk5lop jk5luc j2kna j2k3of j4k3o4l
+            j2k3on j2ko4p jk3opb jk3ope jk3opl j3kops j2kr j4kra jk3raa j5kran jk3re jk3ro j4k5ru jk3slo jks3pl jk4sta
+            jks5taak jks5taal jks5tak jk5stan j2k3ui jk3w j3k4was j1la j3laa jl5ana j1le j2l3ef j2l3el jl5f jl3ink j1lo
+            j2loe j3lu j2m3af j5m4ar j3mi jm3op jm3s j2n1a4 j4naa jn5ac j3na5g jn3ak jn2am jna5me j3n4an jn5d2r j2nef
+            jne4n j4n3erk j4n3erv jn3gl j4n3im j4n3ink jn3k4 j2n1o4 jn4si jn2s3l jns5lac jn3slu jns5or jn2sp jns3pl jn1st
+            jn4ste. jnt4 jn3tr joet3 4joi jol4e jo5lij j3om 1j4on jone2 j3op jo3pe jo3ra jo3ru j4ou 1jour jou5re joy3 j3pa
+            j4p3ac jp3arm j1pe j2p3em jp3ij j1pin j3pio jp1j j1pla jp3li j1po j2p3or j4pre jp3ri jp3rok jps4 j3r jraads5
+            2js js1a j4sef j4s3ela j5seli j4s5em j4s3e4r j2s1i js5in js4ir js4le js3lee js3li js5lie js4me js5mel js5met
+            js3n j4s1o4 j5soe js3ol js3pac js3par j3spe js3pl j4spo js3poo jspoort5j j5spor j1sta j4star j2s3te j3stee
+            j3s4tek j3s4tel j5s4teng js3th js4tij j5stond j4stoo js3tou jst5ran j5strok j2su j3sy j3taal jt3aar jt1ac
+            j1tag j3tak j3tan j3te. jt1h j3toe jt3opt j3tr jt3ra j5tred j5tree jt3rei j5trek jt3ri j5trok jt3rot jt1s j1tu
+            1j4u ju3d 4jum jus3 juve5 j3v jve2n jver4s jvers5p jve3t jvie5s j1w jze4r5o 4k. 1ka k3aanb k3aanl 5kaart
+            kaart5jes kaats5te. kabe2 ka3bo 2k1ac kade4t5 4k3adm ka3do k3adv 2kaf k3afd k4aff ka3fl 3k4aft ka4ga k3a4gen
+            k3ah ka3i 2k3alb ka3le 5kalf kalf4s5 ka3l4i kal2k kalk3a 4kalt 5kalv 3kam 4kamb kamen4 kame4re kam4pa kam4pl
+            kam4pr ka5naa kan5d 4kang kan4sl kan4st kan4t3j kao3 5kap. ka3pe kap3l ka1po 4kappa ka3pr kap3s k3arc k4a3ro
+            kart4 4k3arti kar3tr ka4s kas5c 4k3asi kast3o4 ka3str kast5ra ka5stro kas3u4r kat5aal ka4t5a4le ka4tan kati4
+            ka4t5io kat5j k3atl kato4 ka4t3og ka5tr kat3s 2k1aut 2kavo 2k3b 2k1c k3ca 2k5d kdi3a 1ke k4eb 2k3ec ke4di
+            2k3een kee4p5l kee4r keer4s keers5to 2kef 4keff k4ei. k4eie k2eil kei3s4 kei5t ke4lap kel5da kel5dr ke5lel
+            4kelem kel5f ke4l5int ke4lom ke4l3op kel3sp 5k4ema 2kemm 2kemp ke4n3an ke4nau ken4ei. ke5nen ken5k ke2n1o
+            kens5po kepie5t 4k3e4q ke3ram ke4r5enk ker3kl ker4kle ker4kn ker4k3r ker4ku ker4kw ker4n3a ker4no ker3o4
+            ke3ros ker4sm ker5spe ker4spr ker4sta ker5ste. ker4sti 4k3erts 4kerva 4kerwt ke2s ke3s4p ke3sta kes5ten ke3sto
+            ke5straa k2et 5ketel ke2t3j ke3to ke2t3r kets5te. ketting5s 4k3e2tu ket3w 3k2eu keviet5 ke4vl 4k1ex 2k3e2z
+            2k1f 2k3g 2k1h4 k3ho khoud5s 1ki 2ki2d 4kied kie4sp kie4s4t kie5ste kie4tj kieze4 2kië kijk5l k3ijs 4kijv
+            4k1ijz ki3lo kilo5v ki3na 4kinb 4k5indel kinds5te. 4kindu kin3en 5king kings5l 2k3inh kinie4 k3inko 4k1inr
+            2k1ins 2k3int 4k3inv ki3o ki2p3l ki5se ki3s4p kit4s kits5te k1j 2k3ja k3jew k3jo 2k3ju 4k5k4 kke5nei kker4s
+            kkers5ten kke3st 1k2l4 5klac k3ladi kla2p1 k4las 5klas. 5klass k3last k3lat. k3latt 3k4lav 3k4led 5kledi
+            5kleed k5leer. 4k5leg 5klem 4k5len k3ler. 4klera k3lers k3les 5k4le4u k5lic 4klid k3lig 2k3lij 4klijs k4lim
+            kli4me 3k4lin k5lob 4klod 3klok 5klok. k5loka k3loke k3lood 5kloof k3lope 5klos klots5te. 2k5loz 4kluc 4kluih
+            2k1m k3ma 1k2n4 4knam k4nap 3k4nar 5knec k5nem kni2 5knie. knip1 4k5niv 3knol k3note 2knum 1ko ko4bl k4oc
+            2k5oct 4k1oef 5koek koe4ket koers5p koes3 koe3tj koets5te. koge4 5ko5gr 3k4ok ko5ko kol2e2 kolen3 2kolm 5kolo
+            ko4ly ko2m3a 4komg kom5p k3omsl kom4str 4komz konge4 k4oni k3ontb kon4t3j kon4t3r koo4 2k1oog kooi5tj koot3
+            koot4j ko3pa 4kopb 4k3opd ko1pe ko5pen. 4kopg 3ko5pi 5kopj ko2pl 2kops 4kopz 2kord kor5do 2k1org 2k3ork
+            kors5te. kor4ta kor4t3o4 kor4tr ko3ru 3k4o4s3 4k3os. kos4j ko5sjere koso4 4koss kot4st kots5te. 4k1ov 4k3ox
+            2k3p kpi3s k4plam kpren4 1kr4 3kra k5raad kraads5 kra4b 4k5rad k5rand 2k1rea 2k3rec 4k3rede k4ree4 k5reep
+            kreet3 k3ref k2reg 2k3rel 2k1ric k3rijk k3rijp krij4t krijt5j k4rit k5ritm kroet5j 2krol k4ron kron3t 5kroon
+            krop3a kro4to 2krou k3ro5v 3k4ru k5rub 5kruis kru4l krul5a 2ks k3sal ks3alm ks3an ks3ap ks1ar ks3as ks2e2
+            k5sec ks3ed ks5ei. ks3ep k4serv ks3et kse3v ksges5t k4si k5sil ks1in k5sis k5sit ks1j k1sla ks3lab k4slan
+            ks3le ks3li k4smo ks3na ks3no ks3nu kso4 ks3om k5song k2s3pa ks5pand k4spar k1spe k3spi ks3poo k5spor ks3pot
+            ks3pru k3spu ks5s ks4t k1sta k5staan k5staat k1ste ks5tec k4st3ed k3sten ks5tent kste4r kster5a k4sterr ks3th
+            k3sti k3sto ks5ton k5stoo k4stop k5stot ks5trek ks3tri k3stue kst5uit k1sy 4kt k1ta kt3aan k3taar ktaat5 kt3ac
+            kt3art k3te kte2c kt3eco k4tex kt1h k5tij kt3im kt3in k5tit kt3j k1to kt3om kto4p kt4or kt5ord kt5org kt5ori
+            kt3o4v k1tr kt3res k5troll ktro3s k3tu 1ku ku5be kui2f 2kuit ku5k ku5me 3k4u2n 4k5uni 5kuns ku2r ku3ra ku3re
+            kur3s 3ku2s kut3 2kû 2kv k3ve kven4t3 5k4waal 2k3wac k2wad k1wag 5k2wal 5k2wam 3k4war k5ware 4kwat k3weer
+            2kweg k1wei 5kwel kwen4st kwens5te. 4k1wer 5k2wes1 kwes5tr 5kwets k2wie k3wijz k4wik 2kwil 2kwin k3wind 4k1wo
+            ky3 2kz 4l. 2laan 4laand l3aanh laa5re laar5tj laat5sta l3abon 2lac la4ca 5lach. la4cha 5lache lach5te lacht4s
+            l4aci la2d5a la4det 2ladj 4ladm la2d3o 4la2dr lad5s la2du 4ladv 3lae3 2laf la2fa la3fl lafo2 4l3afs la2g3a
+            la4gent la2go lag3r lags4 lag5sa la2k3a la4ki la3kr 2lal 3lald lal4o lam4p3j lam4p5l lam4po4 lam4s3p l4an
+            4la2na lan3ac 3land lan4da land5aa lan4d5oo lan4d3r lands5te. la4n3ec lanel5 5lange. lang5l lang5sp lang5sta
+            lan4k3a lan4k3l lank3w 4lann la4nor lan2s lans3l lan4st lan4t3j lap3ac la3pi lap3l lap3o4 la5pre la2p3u la3q
+            lar3da 2larm 4larm. lar5st las3a4 lase4 la2si las3to 5lastt la3te la4t3he lat5j la4t3ro 4lats4 lat3sl 2lau
+            5lauf lau4st l2auw la3v lava3 la4vo 5law l4az 4lazi la4zij 2lb4 lber4t lbert5j lboot4 2l1c lce4l5 4ld ldaat5
+            l2d3ac ldak4 ld3alf l4da4r ld3arc ld3ari ld3art l2dau ld3eco ldeks5 l4d3e4z ldi3a ld5oef ld3oli l2d3om l2d3on
+            ld3oog l4do4p ld3opi ld3ord ld1ov l3dr l5drade ld3ram ld5rang ld3rat ld1re l5dree ld3rij ld3roe ld3rol ld3rom
+            ld3rui ld3sa ld3sl ld3sma ld5sp ld5ste l3du ld3uit ld3uu ld1w le2a le4ane le3at leba4l lecht5st lee4 leeg3
+            leege4 leeg5i 4leekh lee5l leem3 3leen 4leep leep3o lees5e lees5l lees5po 2leeu 2leff lega5s leg3ec leg3l
+            le4go le5go. leg5s 3leidi 4leier 4leig lei5tj leit5s le4ko4 4leks lek5str 5leld le2le 5leli l3elp le4n3a4d
+            len3a4k 3lene le4n3e4m len5kw le2no len3op len3sf len3sm 4l3en5th le5o 4lep. 3le1ra le4r3a4k le5rei le4r3e4v
+            ler5g4 le3r4o le4ron ler4sl ler5spo 4l3erts le2s le4sa le3sc les5et le3s4h les3m le4sp le3spe 4l3essa les3t
+            les4ta les5taa le5s4tel le3str le4s3u le4t4h le3tha let4i le5tin le4top le2t3r le3t4re let4st lets5te. le2t3u
+            leu3ko leum3a leur4o leus4 leu5ste 5leuz leven4s levink5j 4lexc 4lexp l2fac l3f4ag lfa3s l2fau lfe4n l4f3end
+            lf3ene l2fe2z lf3li l3f4lo lf3lu l4fo l5foe lf3o4l lf1op lf5ord lf5org l5fou l1fra l3fru lfs5ei lf4sl lfs3le
+            lf2s3m lf4so lft4 lf5ta lf5tw lf3uu 2l1g l5gaar l4gap lge4n5a l3gla l3g4oe l3gog l3goo lg3s4 lgse5 4l1h 1li
+            li3ag li3am licht5st 3lid 5lid. 5lidm lid3s4 lie4g3a lie4gr lie3ka lie4sp lie3s4t lie4to li3eu 3liè 3lift l4ig
+            li3go lijk3a lij4m3a 4lijmv 5lijn 4lijp 3lij2s lijst5a 4lijt 4l3ijz li5kr lik5sp li4kw li3kwi lim4a li3mi
+            2limp lim4p3j lin4da 4linf 4l3inh li5ni lin4k3a 3linn l3inna 2linr 2l3ins lin4t3j l3inv 4linz li3ob li5om
+            li5o5s4 li3ot li2pa li3pi li2p3l li5see 2liso l5isw li1t2h lit3r lit4sa lit4sl lit4st lits5te. lit5sten 2lix
+            4l1j2 lk3af l4k3ank lk3arm lk3art l3ke l4k3ei l4k3em lken5e lken4s l4k3ep l3ki lking4 lk3laa lk3lag l5klas
+            l4k3lev l5klim l3ko l5koe lk3ont lkooi5 lk3opb l5kor l5kou l5kra l2kre lk3rep lk3res lk3rij l2k3ro lk2s lk4se
+            lk4so lk3son lks3oo lks5taa lk3ste lks5tel lks5tr l4k3uu l3kw lk3wi l3ky 2l1l l5la lla3d lla3g4 lla5tr ll3eig
+            lle3k ll4el lleo4 ller5on lle3s4m lle5th llevie5 l3l4i l3lo llo5f l5lon ll3sh 2lm l3maa lmaat5 lm3a4ca lm3af
+            lma5ï l3mak lm3arc lm3art lma3s2 lm3au l3me l4med lm3edi l4m3ep lme2s lme5te l3mi l3mo l5mog lm3oli lm3or
+            lmro4z lm5sc lm3sh lm3su 2l3n lni4s lo3a 2lobj lo4boo loe4d5a loed3r 4loeg loe4gr loen4st loens5te. 4loes
+            l3oeu 5loev lo4faa lof5d2 lof4s4 log4 log5l lo3go 5logr log2s3 lo4k3ar lo2k3o2 lo4kr lo2ku 2lo2l lo3la l3oml
+            lom4p3j lom4p3l l3omt l3omv 4lomz 3lon. 4lond 5long lon4gaa lon4g3o lon4gr lon3o 2lont lon4t3j 3look loo5pi
+            3loosh loot3e lo3pa 4lopb l3opd lo1pe 2l3oph 2l3opl lop4la 2lopn lo3p2r 4lopt 4l3opv 4l3opw 2lor 3l4or. lo3re
+            4l1org lo3ri l4o1r2o3 3l4ors lo3ru lo3spe lost4 los5to lo4s5tr lo5s2u lo2ta lot3a4l lo4tet lo2t3h lot3j lo4tof
+            lot3r lou3s lo3v 2love 3lo5z 4lp l1pa l3paa lp3aan lp3a4g lp3am l3par l3pas l1pe lpe2n l2pex l3pi l5ping
+            lp3ins lp3j l1pl l3p4la l4plam l1po lp3of l3pom lp3on lp3ope l3pos l3pot l1pr lp3ram 4l3r lraads5 lrus5 4ls
+            l4saa ls1a2d ls3a2g l1sam ls3an l3sap ls3as l2sat ls4cor ls4cu ls3eco l4s3e2d l4sef l5sen l4s3e2p lsge4st
+            l3s2hi l3si l4s3im l4sin ls3inj ls3ink ls3int ls4j ls5ja l3s4kel l3s2ki l1sl l3sla l2s4le ls5led ls5lee ls5leg
+            ls5len l2s3li ls4lin l3slo ls4maak ls4med ls4mee l3smid ls3na l3sne l3sno ls3nor l3soc ls3of l3sol ls3op
+            ls3o4r ls1ov l1sp l2spa ls3pac l3span ls3par ls4pe l3spi ls3pli l3spoo l4s5poot l3spor l2spr ls3pra l1st l3sta
+            l4staf l4stak ls5tak. l3ste l4stek l4stev ls4ti l3sto l5straa ls5trak l5strat l3stu ls5ty l2su l3sur ls3us
+            l3sy 4l1t lt4aa lt1ac l4tam l5tame l5t4an lt4han l4t3hi l2t3ho l3thu lto4l lt3oli l2t3o4v l3tr ltra3s lt3rug
+            lt3sl lt3sp lts5te. l3tu lu4b1 lub5e lub5l lu1en 3lui. 5luia 5luid luids3 5luie. 2luit luk2s luks3t lu3na
+            3lunc 2l3u2ni lu3sta lu3ta lut3j lut4st luts5te. lu3wi lven5s lvera4 l1w 1ly ly5i ly3st 4lz lzooi5 4m. 1ma
+            maas3 maat5st m3act 2m3adv ma5esto m3afl ma3fr 2m3afs 4m3afw m4ag ma3gl ma5go ma3gr maï4 ma5ka ma5ke 5ma3k4r
+            ma3kw ma3l4a ma5lac ma4l5ent mal5st 5m4an. man3ac m3anal man5da man5do mand4s 5m4ann ma5no 5man2s man4se
+            mans5ee man4so mans3p man4s3t mans5ta man4th mant4r ma5pa ma3pr ma3q m4a5ri mariet5 5m4ark mar3sh mar4s5t
+            mar5ti ma1so ma3s4po 5mass ma4ste ma3str ma5ta 5mater mat5j ma4tom ma3tr mat4st mats5te. ma3v 4mb m5bl mboot4j
+            mbo5st mb4r 2m1c 2m1d m5da mdi3a mdis5 m3do mdo3p m3dr m3dw 1me me1c me5de 5media 5mediu mee5g mee3k4r mee5las
+            mee3lo mee5re mee5ri 5mees meest5al mee5stov mee5str m5eg. me3g2a mega5s m5egd m5egg m5egt me4i mei2n mei5tj
+            m2el me4l4as mel5as. mel5dr mel4ko mel4kr 5melo mel3s4m me4mi 3men m4en. me3na men4as meng5ra men5k me5nor
+            4menq men4s5uu men4t3j ment3w me5nu me3p2j 2m3e2q me1ra me4r5aak me4r3a4k me4r4am mer5ante me4rap me3rau
+            me4rav mer3ei 5merk mer4kl mer4kn mer4kw mer5oc me5rong me3roo 4m3eros me3rot mer4si mer4sl mers5m mers5ta
+            me2ru4 m4es me3s4h me4s4l mes5li me5slo mes3m me3so me4sp mes3pa me5spe me5spot me5stel mesto4 mest5ov me3stu
+            me5ta5n me3t4h 3meti me5tr mets5te. meve4 m3e4ven 2mex 3mé 3mè 3mê 2m1f mfa3t mf4l mf3li mf5lie m5fo 2m5g
+            mger4 2m1h 1mi 3mid 4mid. 5midd mie5kl mie3st 4m3ijs 4m3ijz mi3kn 5mili mi3lo mimie4 m3imp mi5nar 2minf 5ming
+            4minh 2m5inr 2m3ins mi5nu 4m3inw m2is mis5f mi2s3i mi3s4la mi4st mi5stra mis5tro mi3t4a mi1tr mit4st mits5te.
+            mit5sten 2m1j 2m3k2 mkaart5j 2m3l 2m1m 2m1n m5na 1mo 5mo. mo3a 5moda 5mode moed4s 2moef 5moei moers5t moe2s
+            moes3p moes4te mog2 5moge mogen4s mo3gl 4mok 5mole 2moli mo4lie mol4m3a 4molt 3mom 4m3omv mond3r mo5no 5mons
+            mon4so mon5ta 3mooi 2mop mo3pa m1ope m4opp mop4s mo3ra mo3r4e mo3ro mor4sp mor4st mors5te. 5mos mo5sc mo4s5l
+            mo3sta mo3t2h mot3j mot3ol mot4st mots5te. 2m3oud 5mouw mou4wi mo3v m3ox 2m1p mp3ach m4p3af m5pan mp3arm
+            mp5arts m4p3ec m5pen m4p3erv mp3ins m3pl mp3lam m5plan mp3leg mp3lei mp3lev mp3lie m4plu mp5olie m5pon mpon4g
+            mp3ope mp2r mp3rec mp3red m5pres m4ps2 mp5sc m5p4se mp3sh mp5su 2m1r 2ms m3sam ms3ana ms3ap ms2c ms3co ms3cu
+            ms2j m3sje m1sl m2sle ms3len ms3lie m3s2m ms3ma m1sn ms3nee mso4 m3sol ms3or m3s2p ms4t m3sta m1ste ms5tec
+            m5stel m5sten m1sti m1sto ms5toc m4s5ton mst5s m3sy 2mt m1ta mte5re mtes4 mte5sta m1th m1to m3tr m1tu 1mu
+            mu5da mue4 5muilde. 2muit 2muk mul3p mu2m3 mu3no munt3j mu3sa mus5ta 5mut mut3j muts2 muts5te 3muu 5muz 2mv
+            mvari5 mve4 mvee3 mver3e 2m1w 1my my3e 2mz mze4 mzet5 4n. 1na 3na. 3naal 5n4aam 4n1aan 2naap n4aar. 4n3aard
+            5naars naars5tr naar5tj 5naast 5naat n3abd 5nabe 2nac na2ca nacee5t n2aci 3naco 4n3act na5d4a nad4e 3nade.
+            5n4a5den 3nades 3nadi 4n3adm na5dra 2n1adv 5nae n3aë 4n1af na3f4lu n2a3g4 na1h 3nai 3naï n2ake na3k4l na3kr
+            n3alb 3n4ale 5nalen 4n3alf n3alm 2naly 4nalys 3nam 4namb name5st n4ami n3amp n3a2na n3ank 3nant 5nant. 5nante
+            n5antenn nan4t3j 2nap nap3ac 3na3p4l na3p4r nap3s nap5st 2n1arb 5nares 2n3arg narie5t 2n1arm 3naro 4nars
+            nar4st nars5te. nar5sten 4n1art nas2 3na3sa na1s4l na1sp na3sta na3stu n4at. 3n4ati nat5j 4n3atl na3to nats4
+            nat3sp 5nau. 5naus 2na3v 5naven 3navi 3nazif na4zij 2nb nbe5st nbe5t nbots5te. 2n1c n3ce nces4t n3che ncht2
+            nch5tr nch3u n5co 4nd n5da. nd3aan nd5aas nd3abo nd3act nd5adel nd3adr ndags5p nd3alf nd3alm n4d3ana n4dap
+            n2dar nd3art n4das nd3ass nda3st n4dav n4d3a4z n3de n4d3edi n4d1ei nde5laa n4d3emm n5den. ndera4 nder5aal
+            nder5al nde4r5an n4d5e4rec nder5in. nder5og nde4ten ndi3a ndie4tj n4dijs nd5ijs. n4d3ink ndi3o n3d2ji n5do.
+            n5doc n4d5of nd3oli nd3omd n4don n5dona nd5ond n5dons nd3ont nd3oog nd3ope nd3opp nd3ov nd5rap nd3rat nd1re
+            nd4rek n4dres nd3rot nd3rug nd3s4cu nd4sec nd5set nd3s4i nd3sjo nd4sm nd3sp nd4spo nd4spra nds5taal nd3su
+            nd3uit n2d3u4r nd5ure n4d3uu nd1w n3dy 1ne 3ne. ne5ac ne3am nebe4s 3neck ne2cl ne4dit ne3do n3edu ne5dw nee4
+            4need nee5k neel5d neel3o 3neem 4n1een nee5ri nee5se neet3a neet5o neet3r neet5s 4n1eff ne3g2 ne4gel negen5en
+            nege4re 4n1ei 5neien n5eier n2eig 5neigd 5nei5t ne4k3r ne2la 4nelem 4nelf 3nem 4n3emb 5n4eme 4n3e4mig 4n3emm
+            4n3emp ne2n 3n4en. 5nenb 5n4end. nen5do ne4n5enk ne4ni ne5nig nen5k4 nen1o4 5nenp nen5t4a ne5oc ne5ok ne5om
+            neo5p ne5os ne5ot nep3ag ne3pe nepi3s ne1ra nera4d 3n2e5re n3erfe 2nerg ne4r3id ne3ros ner4sl ner4sp ner4st
+            ners5te ner3u ne3ry 3nes ness5a ness5t ne3sta nes3te nes4tei ne5s4tek ne4ter net3on net4si ne2u 4neum ne3ums
+            neu5ste 2nex 3né 2n3f 2ng ngaat5j n2g1a2d ng3af ng3ana n4ga4p n2gar nga5sl n3gav nge4ad n4g3een ngels5te.
+            ng3emb n5gen nge4rap nge4ras n4giger n4gigs ng3ij n4gind ng3ink n4g3ins ng4l ng5lad ng5lam ng5lan ng5led
+            ng5leu ng2li ng5lin ng5lop n3goe ng3of n3goï n2g1on ng5oor ng5op ng3ore ng3org n3got n3gr ng3rac ng3rad ng3rai
+            n4gras ng5rass ng4red n4g4ri ng5rie ng3rij n5gron ng3rui ng2s ng4se ngs5lop ngs5lu ng4s5ne ngs5tak. ngs5take
+            ngs5trek ng5stri ng3uit 4n3h nhek5 1ni n4i2d nie5kle ni3eri nie4s3p nie4tr 3nieu ni4g3ee nig3ra nij3f nij3k
+            2n3ijz ni5kr nik4s niks3p 3nil 3nim. 5nimf n3imp 2n3in. n3inb 2n1ind 2ninf ning3r 2n3inh n3inj 2ninr 2n1ins
+            2n1int 2n3inv ni3o ni4on. ni4one ni5or ni5o5s4 nip3l 3nis ni4sau ni4sel ni4s3ev ni3sfe ni2s3i ni4sl nis5n
+            ni3sot ni5stel nis5to ni3t2h ni1tr nits4 n1j4 n3je njes4 nje5sp nje5st nje3t 4n1k nk3aan nk5aard nkaart5j
+            nk3af n5k4am n4k3arb nkar5s n4k3asp n3kef nk3eff nk3emp n3ken nken4e nker5ku nk3id nk2j nk3lad nk3lod nk3luc
+            nk3lus n2k3na n3kne n4ko4g nk3oge nkoot5 nk4ra n4krim nk3rol nk5se nk5si nk3sl nk3s4m nk3sn nk4s5o nk1sp nk1st
+            n4kw nk3waa nk3wez nk3wi 2n3l 2n3m4 n3n n5n2e nnee5t nne3ne nnepo4 nne4p5ol nne5te nnet4j nn4i nning5r nnoot5
+            nno5v 3no. 1noc 1no3d 2noef noen5s noes3 noet5s n5offi n3o2ge n5ogi 1nogr 3noï no3kl no3k2w no2li 1nolo 1nom
+            4n3om. n2oma n3oml n1oms n3omv 2n3omw 2nomz 3n2on. 3n4onb 3nonc 4n5ond n4o5ni 4nont 3nood 4n5oof 4n1oog
+            nooi5tj 3noot3 noot4j 3no3pa no4p3as 4n3opb no1pe n1opg n5opleidi no4poo no4por 2nops 2n3opz 2nord no3re
+            2n1org 1norm 4norr 3nors 3norz 1nos no3sf no3sn no3sp 1not 3nota not5a4p 5noti not3j not3r 3nou. no3v 3nova
+            no4ve 3nox 3noz 2n1p npers5te. npi4s5 npoor4 npoort5j n3ps 2n3r nraads5l n5re n5ri 2ns ns3a4d n3sag n1sal
+            ns3alp n1sam ns3an n3sanc n1sap n3s4cal n5scho ns4ci n4sco nsee5t n4sef nse4g ns5ege ns3eis ns5emp n3si ns3idi
+            n2sin n5sing ns3inj ns3ink ns3int n1sjo n1sl n5sla. n3s4laa ns5laag n5slag ns5lap. ns5lapp n4sle n5slep ns4let
+            n5sleu n5slib ns3lie n5s4liep n5slim n5slip ns5lot. ns3m ns5mac n3s4me n3smij n3smol n4smu n1sn n2sna n5sne
+            ns3nod n4snoo n4snot n1so n2s3ob n2sof n3sol n2son ns3ong ns3onz ns4opp ns4or n2s3ou ns1ov n4s3paa ns3pad
+            n1spe n5spee n5spel ns3per n4spet ns4pi ns1po ns3pol n4spot n1spr ns5q ns5s ns4t n1sta nst5aang nst5aans
+            nst3a4g n3stal n3ste ns5tec n4st3ei n4s5teko ns5teks n5sten. ns5tent n5ster. ns5tes ns3the n1sti n3stig
+            n4stijv n1sto nst5oef n4ston n3stor nst5rade n5stree ns5trekk ns5troe ns5trog nst5roos ns5ty ns3uil n3sy 2nt
+            n3ta n5taal n4t5aard ntaar5tj n5tab nt3ach nt4act nt1ad nt3aga n4t3art nt4as n5t4at n3te n5tec n4t3ei nte4lo
+            n5tem n5te2n nte5nach ntene5ten nte5rad nte4rof n3tè nt3ha n4tho n5thol n5tig nt3inw nt4jo n3to nt4og nt4ol
+            n4t5oli n5ton nt4oo nt5oog n4top nt3opl nt3opm nt3opt n1tr nt3rec nt3rei nt3rel ntre4s nt5ribb nt5rij n5troos
+            nt4rou nt3rus n5try nts3a nt5slu nt1sn nt4sno nt1sp nt4spr nts5pre nt1st nt5ste n3tu n4t3uit ntu4n n5twijf
+            n5t4wis 3nu. 3nuc 3nue nu3en nu3et 4nuf 2nui 4n3uil nu2lo 3num nu2m3a 5numm nu2n 3nunc n3uni 2nu4r 3n4u5ri
+            nu5ro 1nus nu4s3o nu3tr nut4st 4nuu 5nuut nuw5a nu2w3i 2nv nve5na 2n1w nx3 n3xe nxo4 1ny 4n3yi 4n3yo 2nz
+            nzet5s 3ñ 4o. 4oa o3aa o2ad o3af o1ag o3ah o3ai o1al oa2m o1a2n oa4tiev o3au o3av o3ax 2o3b 4ob. obal4 obalt3
+            3obj 1o4bli ob5oor o4b5o4r 4obr 4oca ocaat5 5o2cea o3cha o1che o3chi o3cho o3chr ocke4 4o3co oco3a oco3s4
+            oc3t4 od5ac oda3g ode4m5ar ode4mo ode5re odes4 odi3a o5dru od5sc od5sei od3s4i od2sl ods5lam od5slan od3sli
+            od5smak od4s3o od3spo od4spr ods4t od5sta od4ste ods5te. od5stek od5sten od3w o4e oe5an oe3as oe2d3a oeda4d
+            oede4n oe2d3o2 oe4dr oed3re oed3ri oed3ro oe2d3u oed3w oe3e oe5er oe4f1a 1oefe oe2fi oe2fl oef3la oef5le
+            oef3lo oe4f5o4 oe2f3r oege3l oeg5ij oeg1l oe4gou oeii4 oei3n oei5s4 oei5tj oei3tr oe4kaa oek5erk oeke4t oe2k3l
+            oe4k3op oe4k3r oe2ku oek1w oe4lap oe4lar oel5dr oe4l3ei oe3lem oel5f oelo4 oe5loe oelo5p oel3sp oe4m3ac oem3o4
+            oen3al oe5n4e oen5gr oen3o oen4sn 2oep oep5ind oe4pl oe5plo oe4p3r oe3pra oe4ps oeps3e oe2p3u 4oer oe1ra
+            oe4raa oer5aal oe4r3a4l oer4e oer5ei. oer5eie oero2 oe3roe oer3og oer5om oer4sl oer4sp oer4sta oers5tak
+            oers5te. 4oes. oe3sfe oe3si oe4sli oe4s3o4 oes4ta oes4th oe3sto oe4taa oe2t3h oe5t4i oe2tj oe4t3o4 oe5toe
+            oe4t3ra oet4s3p oet3w 2oë of3ar of3at o4fav of4d1a4 ofd3ei of2d3o of2d3r ofd3w of3l o4fli o4flo 4ofo of3om
+            o3foo of3op o3for of3ox of1r o3f2ra of5se of4sl of5sla ofs3le of2sp of3spe ofs3pl of3spo ofs3pr ofs3tr ofs5tra
+            4oft of4tu oft3ur oft3uu of3ui og5ac oga4l og3al. og5de og3di oge4d oge5laa ogel5ei 2ogem o3ger oge4ro oger5on
+            oge4s3t 2og5h 1ogig og1l og5ne og3op og3sp og3sta og4st5ei og3sto og4ston og4str ogs5tro og3ui o3gy 2o1h 3ohm
+            4oi oi3do oi1e oi3j oi5k o3ing oi3o4 oi3s4 oi5sc ois2p oist2 ois5tj o3ï 2o1j 2ok o3ka. o3kaa o4k3aas ok3ab
+            ok3ag o3kal ok3ank o4k3a4z ok3ef o2k4l ok5let o4kli ok5lu o2k3n ok3o2l ok3op. ok3o4pe okos5 o2k3ou o2k3r ok4ra
+            ok1sa ok3s4l ok3sn ok5spri ok1st4 oks5te. ok5sten ok4s5tr ok5te okter4s oku4 ok3ur ok3uu ok1w ok2wi o1la
+            o3l4ab ol3ac o3lal ol3a2p ol3arm ola3s4m 4old ol3d4o ol3d2w o1le o3le. ole5g ol1ei ol3eks ol3emm o3len o5ler
+            oleu2 ole3um ol3exa ol2fa olf3l ol3fr olf5sl ol2gl ol2g1o olg5rap ol4gre ol4g3ri ol2g3u o3lia o3lic o5lid
+            o3lik o3lin o5ling ol3int o3lit ol3kaf ol5ke ol2kr olk4s olk2v ollie4 o3lo o5loc olo3k ol4om o4lop ol3op.
+            ol3opp olo3s4t olo4ve ol4pra 4ols ol5se ol4s5h ol5si ol1sj ol3s4l ol3s4n ol3so ol3sp ol5ster 4o1lu ol3uit
+            olu4r 4oma om2aa om1ac om1af o3man 4ome o4m3ef om3ela omen4s omen5ste. ome5ren omer5kl ome5sp ome5t om2i
+            o4m3int 4omm 4omo omo5l omo3s om4p5ei 5omro om3sl om4ste. om3ui 3omz on1ac on4ag o4n3am on4an on3ap ona3th
+            2onc on4d3ac on5d4as on5der ond5ete on4d3id ond5ijs ond5om. on2dr ond3re ond3ro ond5sj ond5slo on3d4u on4dur
+            o5ne. o3neb o2n1e2c on3ei on3erf on3erv one3st 4onet. on1e3v ong5aan ong5aap ong3ap 4ongen ong5le ong2r ongs4
+            ong5se ong3sp ong3st on5id o5nig on4k3ap onke5lap on3k2i on4k3lo on3kn on5kw onnes4 onne5st o4n3of ono3l on1on
+            o2n1ov on3sc ons4e on5sei ons2f on3s4m on2s3n ons5op on3sor on1s2p ons4pe on3spl on1st on5sten on5str 4ont.
+            on4taa 3ont1h on4tid 3ont1s4 ont5sp 3ontv 1ont3w on1ui on3ur o4o2 4oo. oo3c 4oo4d ood1a ood1e4 oo5de. ood1o
+            ood1r ood3sl ood3sp 4oof oo3fi oo4g oog1a oog3e oo5gi oog1r oogs4 oog3sh oog3sl ook3a oo3ke ook5l ook3s4
+            ook5st oo4k5w oo4l ool5a2 oole2 ool3ed ool5f ool5g oo5lig ool3ij ool3k ool1o4 ool1u oom5a4 oo3me oom3i oom1o4
+            ooms5te. 4oon oon5a oon5du oon3in5 oon5k4 oon1o oon5ta oo4p1 oopa2 oop5ee oop3o4 oop3r oop4sp oor3a oord5aa
+            oor5dop oor1e4 oor3g4 oor5i oor5k oor5m oor1o oor3sm oor5ste oor5sto 4oort oor4th oo4s oos3a oo5se oos5n oo4t
+            oot1a oot3es oot3h oot5o oot3r oot4sl o1ö 2opa o4p3ac op3ad o4p3af o4p3ak op3am o3pan op3and op3at. op3att
+            3opbre 3opdr o3pe. op3ee op5eet op3ei o1pel o3pen. 3o4peni o5per. o4pera op3e4te op3e4v 4opf o1pi o5pic op3i2d
+            opie5t op3ijz op3in. o5pina o5pis 4op1j op3l op5los 1opn o1po opoe3 op1of o5pog o5poi o5pol op3ond o5poni
+            op3ont op3ord op3o4re op3o4v op1r op3ric o4pru o4ps op5s2c op5se op5si 3ops4l ops4m op3sma op3sn op3so op3sp
+            op3sta op3su 2opt 4opt. op5tr op3ui o2p3u2n o1ra or3ach or3act or3adm or1af ora4g o4r3alg or3ana o5rate or4daa
+            or4d3as or4denv or4do ord5ond ord3or ord3o4v or3dr or4drad ord3w o1re ore5ad 4orec oree4 ore4no or2gl o1ri
+            o5ria 3orië o5rig. o5rigere o4r3ink or3ins ork2a or5k4e or3kl or5kn or3kw or4m3ac or4mas or4m3ei or4n3ac or3ni
+            orno3s4 or3oe o3rol or1on or3ont or1oo or1o2p or3or o3ros or5ov 4orp or4p3ac orp4s5c or3sag or5sc or5se or3sli
+            or3smi or3so or4son or3sp or5s4pa or5spu or4t3ak ort5een or4t5ijl or2to or4tof or4t3oo or4tred ort5sp ort5ste
+            or1u o3ry orzet5 2os o4sac o5sas o3sau 4o3s2c osca4 o4sci o5s4cl os3cu o5sed os4el o5ser os3f os4fe o4sha
+            o3shi os2ho o3si o4sj os5jer. o4sk os5ko os3l os5li4 o4s3m os4n os5no o3s2o os3pa os3per os1pi os4pir o4spr
+            os4s5m o2s3t os4ta os5taal os5taar osta3c ost3a4g os5tan os5tar o3stas o3stat os5te. os4tem o5steroï os4th
+            os4to os5toli os5tou ost3o4v os5tra. os5traa ost3re ost3ri o3stro os5trum os1tu o3sty o3su o5sy 4o1ta ot3aar
+            ot1ac ot3af o3tag ot3akt ot3app ot3art otas4 o5tat o3te ot3e2d o5tee. o5tees o5teg ot3ei ote4lan o5ten o5ter
+            oter5sp ote4st ote4t ot3eta o1th o2t1ho ot3hu o4tj otje5sp otli2 o1to ot3off ot3olv o5tom ot3ont ot3opm oto5po
+            ot3opr o5t4or oto3s 2otr o1t4ro ot3ru ot5s4i ot2sl ot3sla ots3li ot3smo ot3sn ot3sp ot4s3pa ot4ste. ots5tek
+            ot5sten ot4stu o1tu ot3ui o3tul ot5w 4ou. ou5a ou1c ou4d1a ou4des ou2do ou1e oue2t3 ou3k4 ou4ren ou5ren.
+            ou5renn ou2r3o2 4ous ou3sa ous5c oust4 ou2ta out3h out1j ou2t3o out1r out5sp out5ste ouw3a ouw5do ouw5ins o2v
+            2o3va o5ve. 2o5vee 3o4verg over5sp over5ste o5ves 2ovi ovi5so 4ovl 4o3vo 4ovr ovu3 4ow o1wa o1we o5wen ow3h
+            o1wi ow2n o3wo ow3r o4x oys4 ozet5 ö3l ö1p öpe1 ö4r ös4 ös5t ö5su 4p. 4paan paar5du paar5tj 5paas 3pab p3acc
+            2pach pacht5s p4aci 5pacu 3pad. pa4da 4padv pa3e 4p3afd 1pag pag2a pa4gen pa3gh p4a5gi 3pak pa2k3a 4p4ake
+            pa4ki pa4k5l 2p3alb 3pale pal3f pa3li paling5s palle4 palm5ac pal4mo pa4m pa3na pa4n3a4d 5panee 5panel 4pank
+            pan5sp pan4tr 1pap pa4pe4t 5papi pap3l pa3po pa3pr 4par. 3pa3ra p3arb pard4 par3da 3park par4ka par4k5l 3parl
+            4parm pa5ro 4parr par5ta 3parti part3j 3partn pa5ru paru5r 1pa4s3 pa5sa pas5c pa5se pa5so pas4th pas5to pas5tr
+            pa5te 1path p3atl 3pa3tr pats5te. 2paut 5pauz pa4vl 5paz 2pb4 2p1c 2p3d2 pe4al 4peci p3e2co 3pectu 1ped pe3de
+            pe3do p4ee4 3pee. 3peeë pee5li 4peen 5pees 3peg 1p4eil pei4l3a 4peis pek5ee pe2k3l pe2k3n pek5s p4el pe3l4aa
+            pe4l3ak pel5dr pe3le pe4l3ee pe4l3e4t pe3l4i pe3l4or pel5si pel3so pel3sp 2p3emm pe3na pe4nak pe4nap pe4nau
+            pe4naz p3ency pen5d4r penge5 pen5k 5penn pen3sa pen5sl pen3sm pen5sp pent4 pen5to 2p3epi pep3o pep5s p4er.
+            pe1ra pera3s4 per4at 3perc pe4r5eg pe5req 1peri peri3s per1o pe3ron pe5ros 3pers per4sm per5sti per4str p2ert
+            3pes pe3sa 3pet. pe5ta 5pe5ter 3peti pe4t3ra pets5te petu5 3peuk 5peut 1pé 3pê 2p1f 2p1g pge5s 2p1h4 4p3ha
+            3p4hec p4his 4pho pi3am pi5an pi4at 2pid piek5la 5piep pie4r3o pie4s3p pie4tj pi2g5a pi3gl 3pij. pij3k pij5ke
+            pij4li 3pijn 5pijp pij4p3a 2pijz pi4k3l pilo5g pi5nam 2pind 3pinda 3p4ing 5ping. pin4ga pin5gri 4p3inj pink3r
+            pink5s 4pinr 2pins pin4ta pi5o pis5n pis5ta pi3th pit3j pit3r pit4sp 2p1ja pjes5 p3ji p1jo 2p1k pkaart5j p2l2
+            p3la. plaat5j 2p3lad pla3di 4p3lamp 4p3lang p4lant p3lap 1p4las 3p4lat pla4t3r 5p4lay p4lec plee5tj p3leid
+            3p4len p3lep pleu5ro p4lex 2p3lig 4plij p4lom p3lone p5lood plooi5tj p3loon p3luie 2p1m pmans5t 2p1n p3na
+            3pneum 3po. poda5 3poei poe2s3 poes5t poets5te. 3poez 3poë p2ofa 3pogi po5gr po2k3i2 po4kol 1pol po5l4o polo3p
+            pol4s pols5te. 1pom 2p3oml 3ponds pon4sm pon4st pons5te. pon5ta 5pony poo3d poo5de 4poog. 3pool poo5len 4poor.
+            poor4tj poot3 po4p3a 4popd 2pope pop5h 2p3org 2p3ork po3ro p4ort 5portef por4to por4t5ra po3ru 1pos po1sa
+            po3sf po4taa po4t3as po5te potes5t pot1j pot3r 3poul po3v 4p3p p5pa p5pe ppe4l3o ppe5ni pper5ste ppie5k ppij5p
+            p4ps pr4 p2ra 3pra. p5raad praat5j p5rad 3prakt 4pram p5rand 3prao 4p3rap p4rat p4rax 4preeku 1prem p3remm
+            3prent pren4t5j 3pres p3reso 3pret pre4t3j pret3r 4pric 4p3riek 4priet prie4t5j 1prij 3prik 3princ pring5s4
+            5prins 3p4rio 3p4riu 5priv 5p4rob 3p2roc 1p2rod p3roed 3proef proet5j 3proev 5p4rof 5p2rog 1proj pro3la 3prom
+            p3rood prooi5 pro5pa p4roq 3pros pro5sc pro4s5t pro3t4a 3proto 3pro5v 4proy pru2t prut3o4 2ps p3sab ps3a2g
+            p3sak ps3ar ps3ass 4pse ps3erk p4s3et p3si p4s3i2d p4sin p5sis p1sl ps3le ps2me ps5mi p4s3na ps3neu p4sof
+            p3sol ps3opt pso4r p1sp ps2pl ps3ple p1s4t p3stat p3ste ps5tent ps5tes ps5th ps3tor ps5tron p3stu ps5ty 3psy
+            5psyc p3sys 4p1t pt3ad pt3alb p3te p2t1h p5ti pt3j p4t3o4v p3tr pt3ric 1p2u 3pub pu3ch pu3e puil3o pul4st 3pun
+            4pun. punt3j 3put. puter5in put1j pu2t3o put3r put4st puts5te. 2pv pvan4 pvari5 2p1w 1py1 2p5z 1q 5qe qu4
+            que4s 5quo 4r. r2aa 2raan 4raand 3raar 5raar. 4r3aard 5raars raar5tj 2rac ra4ca ra3ce 5racl rad4a 3radb ra5den
+            ra3di 5radia 3radio 4radm 4r3adr 3rad3s 4radv 2rafd r4aff raf5ond ra3fra 3ragez ra5gi ra3g2n ra5go rag4s 3rais
+            raket3 ra3k4l rak5r 4r3a2la ra4l3ee 4r3alf r3a4lim r3alt ra4man r5ameu ra3mi r2amp 4rana ran4dr ran4g3o ran4gr
+            r5angst. ra4nim 4ranj ran4kl rank3w ran4sa ran4st ran4t3j r3antw ra3o 4rap. ra3po 4rappa rap5roe ra3q 2r3arb
+            r4a5re 4rarit 2r1arm 4r3arr 2r1art ra5sei ra4sk ra4sl ra1so ra2sp ras3po rast5ri r4ati rat5j ra4tom ra4tra
+            ra5tri rat3sp rat4st rats5te. ra3t4u 2rau 3raus r1aut 5ravr ra4zij rbe4ti r1c r3ce rces3 r3chi r3co 2r1d
+            r4d3act rd3alk rda2m rd5ama r3dan r2d3ar rd3ei r4d5e4las rden5dr rde5o4 r4derva rde5s4t rdi3a rdi5o rd5l r3do
+            r5doc r4d3ol rd5olie rd3ont rd3oos rdo3pe rdo3v rd3ras rd3res rd5roos rd2ru rd3sa rd3s4c rd3so rd1sp rds4t
+            rd5sta rd5ste rd3su r3du rd2wi rd5wo 3re. 1reac re4ade 4reak re3amb 4re5at re3co 3recr rec5ta 3reda 3redd
+            rede4s3 4re4diti 3redu re5dw ree4k 2r1een ree3n4e r5eenh ree2p reeps5 ree5r4ad 4reers reer5ste r3eerw ree4s
+            ree5sh r4ef 4refb 2reff 3refl re3fu 1reg 4reg. 4regd rege5ne rege4s 4regg 3regi re3gl 4regt 4reie 4reil 4reind
+            rei5tj 5reiz re4kap 5rekeni re2k3l re2k5n re4ko re4k3re rek3sp re4ku re1kw rel4di rel4d3o reld3r re4l3ei rel5k
+            re4lu4r 3rem. re4mai remie5tj re5mo5v 2remp 3r4en. re2na re4naa ren5aar re5nade re3nal re4n3an ren3a4r r4end
+            5rendee r5endert re5ne. re4nel re5nen. ren5enk ren3e4p re5ner. ren5erf ren5erv 5renf 2r1eni 5r4enkl r4enn
+            re4noc ren4og ren4opl re3nov 5r4enp 4renq ren4sl r4ento r3entw r5enveer re4of re4op4 re5pa 3repet re4pie 4req
+            re3qua 4r1erf 2r1erg re3r2o rer4s 2r3ert 4r5erv 2rerw re3sa re5se re4sl res5le res3m re2s1p res3t re4tem
+            re3t4h ret4i re4tik re5tin 2retn re4t3o4g re4t3oo rets5te. re2u reur5es reus4t reu5ste 3revis 3revo 2r3ex
+            r4f3aa rf3act r2f3a4g rf3al r3fas r3fe r4f3eng r1fl r4f3lag rf3lev r2f3li rf3lus r4f3op r1fr r4f3re r5frea
+            rf2s2 rf3sm rf3sp r4f3u4r rf3uu r1g r4g3ab rg3amb r4g3een rg3ei rg4eis rgel5dr r5gen. rge4ra rge5rap r4g3ins
+            r5glas r3glo r4g3lu rg4o3v r5grij rg3rit r3g4ro rg1s4 rg2sm rg5so rg4s5pr r3h ri5abel ri4ag ri2ak ri5an rias4
+            ri4av ri4bl 4rice ri3co ridde4 ri3di ri4dol ri4doo rie5dr rie4k5ap rie5kl rie3kw rie4la riel5aa rie4lei rie4ro
+            rie4ta riet3o ri1eu ri3fl ri3fr r4ig ri4gaa ri3gl 5rigste r4ijl 4r5ijl. r5ijld r5ijlt rij5o rij3pl rij3pr
+            rij3sp rij5ster rij4str 4rijv ri4k5l rik5n ri3k4o ril5m ri3ma rim4pr 4r3inb 4rind ri5ne 4r5inf r4ing 4r5ingan
+            r5ingeni ring5l 4r3inh ri4nit rin4k3l r3inko 4rinkt r3inl 4r3inna 4r1inr 4rins r3inst 4rint 4r1inv ri5on
+            ri3o5s ri4sam ri3sc ri3sot ris5to rit3j rit3ov rit4st rits5te. rit5sten 3ritt r5j4 rjaars5 r5ka. rkaart5j
+            rk3adr rk3af r2kah rk3ang r4k3art r2k3ei rke4n rken4s rker4sl r4k3erv rke4s rke5stree rke5strer rk5iep rk3ijv
+            rk3inb r4k3ink rkjes5 rk3lag r4k3lat rk5leid r2klo rk3loo rk3lus r3kn r4kne r2kob rk3olm rk3omg rkoot5 rk3opg
+            rk3ord rk5os. rk5oss rk2r r5k4ran rk4ri r5kris r5kron rk1s rk3s4f rk5si rks4p rk4t5e4v rkt3h rk4ti rkt3o rkt1r
+            rk3uit r1kwa rk3waa rk5wat rk3wee r1kwi rk3win r3l rlaat5ste rle4g3r rlink4s rlinks5te rlofs5 rlui5t4 r1m
+            rmaf4r r4m3art r2m3eb r2m5eg rme4r3a4 rmes3 rme4t3j rmet5st rm3inh rmi2s r3mo r5moe r4mop rm3opm rmors5te
+            rmos5f rm3s4a rm1st rm3uit rmun4 2r1n r3na r5n4am r4n3ap rn3ars rnee5t r4n3ene rnes3 rne5te rne4t3j r2n5id
+            r2nin r2n1on rn3oor r5noot rn3ops r5not rn3ove rns4 rn3sm rn3sp rn1st rn3sta rn3th rn5tj rn5to r3nu rnu5r ro1a
+            ro5ac r4oc ro1ch ro3d4o 3roe. 4roef 4roeg roe4g3r 3roem roens4 roen5sm roep3l roe4rei roet4j 4roev 3roë r5offi
+            r4ofi ro3fl roges5 1roï ro3kl 3rokm rok3sp r4ol. ro2l3a role5st rol3g2 2roli rol3ov ro5ma ro3mo 4romz r2on.
+            ron3a4d 5r4onal ron4da ron4d3o ron4d3r ron4d5u r2one r2oni r2onk ron4ka r2onn r2o1no r2ons ron4ste rons5te.
+            4ron2t ront3j ront3r ro3nu 4ronv 3roof 2roog 4roon 2r1oor root5ste ro3pa ro4paa ro4pan 4ropb ro1pe ro5pee
+            ro4pin ro3p4la 4ropn r4opo rop5rak rop3sh r4opte ro4pu ror5d ro3ro ro3sa ro5se ro3sf ro3sh r4o5si ro3sp
+            ros4s5t ro5stel ros5tra ro5te ro3t2h rot3j ro5ton ro3tr rot4ste rots5te. r1oud 3rou5t4 ro3v ro4ve ro5veri
+            4roxi 3roy r1p r3pa rp3aan rp3adv rp3ank r5pee rp3eis rpi3s r2p3j rp4lo rp5lod rpoort5j r4p3o4v r4p3rec rp3ric
+            rp4ro r3psa rp4si rp2sl rp3sli rp5spe rp4s5to 2r5r rre4l3u rren5s4 rre5o rreu2 rri5er. rrie4t rron5k rrot4j
+            4rs rs3a2d rs3a2g r3sal rs3alm rs3amb r3san rs3ana rs3ap rs3ar rs3as rs4asse rsa4te r5schi rs2cr r4s3eis
+            rsek5ste rs4et rseve3 r2s3ez rs4fer rs4hal r3s2hi r3s4hoc rs3hot rs3ini rs3int r4sj4 r5sjac r5sjou r5sjt
+            r3s4kat r1sl r4slan r5slec r5slep r5sleu r5slib rs4lie r5sling rs3lob rs5loep r4s3loo r5sluis rs4m r5smaak
+            rs5maal rs5mak r3sme r3smij rs5mis r5smit rs5mu r1sn r2s3na rs3neu r2s3no r1so r5sol rs3ong r2sor rsorkes5
+            rs1ov r1sp r3spaa rs3pad r4s3par rs4pare r3spe r5spec r5spee r5spek rs4pene r4s3pet r5spit r5spoe r5spog
+            r5spon r5spoo rs3pot r5spraa r4spu r5spul rs3put r1s4t r4s5taak rst5aang rs5tas r5stat r3ste r4s3te. r5ster.
+            r5sterk rs5term r5sters r5stes rste5st r4steva r3sti r4stit r3sto rs5toma r4ston rst5ora r3str rs5trap
+            r4st5red rs5trei r5stren rs5trog rst5roz r3sty r3su rs3usa r3sy 4rt r1ta r5ta. r4t3aan rt5aand rt5aanv r4t1ac
+            rt1ad rt3af. rt3aff rt3am r5tans r2tar rt3art r4tau r2tav rt5c r5teco rt3eig rt3eil rte4lei rt5emb r5ten.
+            rte5nach rte3no rte3ro rtes4 rte5sta r2t5e2v r4tha rt1he r3ther rt3hi r1tho rt3hol rt3hu rt3hy rt4ij rtij3k
+            r4t3ini r4t3ink rt5jesc r3to rt3off r5tofo r5tok rt3om. rt3ond r4t3op r5tori r1tr r3tra rt4rap r4t3ras rt3rec
+            r5treden. r3t4rek r4t3res rt3ri r4t3rol r2t4ru rt5ruk rt5rus rt4s5eco rt5sei rt2s3l rt3sle rts5li rt4slu rts5m
+            rts5no rt4soo rt1sp rt4s3pr rts5ten r1tu rt3ui4t rt3w rt2wi 5rubr rude3r ru1e 4ruf ru2g ru4gr r5uitr ru2k
+            4ru3ke ruk3i rul3aa rul3ap ru2li ru4l3ij ru3lin rul5s r2um ru2mi 3run. r2und runet3 4r5u2ni ru3niv ru4r ru5ra
+            ru5re. ru5res r2u4s rus3e rus5tr 4rut rut3j rut4st ruts5te. 4ruu ru3wa rvaat5 rval4st rvals5te. rvers5te.
+            rves4 rve3sp rvloot5 r1w rwen4st rwens5te. r4wh rw2t3j r3x r3yu 4rz rzet5st 4s. 5sa. s1aa 1saag 5s2aai saai4s
+            3s2aal 3s4aat 1sab sa3bo 2s1ac sa2ca 3sacr s1adv 2s1af 3safe 3safo sa3fr s5agg s4a3gi 3sagn sa3go 3sah 3sai
+            3saj 2sak 3saks s1akt s2al 5sal. 3sa3la 3sald 5salh s3all 4salm sal5ma s3aln 3s4a3lo 3s2ame 5samm sam5p 4sa2na
+            sa3nat s4anc s2a3ne s4ant san4t3j sa2p 3sap. sa3pa 2s3ape sa4pr sa5pro sa3ra s1arb 3sard sa2re s1arm saro4
+            sar3ol s4ars 4s1art sart5se 4sas. 3sasa sa3sc 3s4ast 1sat 3sa3te 5sati 2s3atl 2s1att s3aud 1saur 3s2aus s1aut
+            3sauz 1sax 4s3b s5ba s5be s5bo 1sc 2sca 4sce 5scena 5scè 3s4ch2 4sch. sch4a 5schak 5schap 4schau 5sche. s5chec
+            4schef 5schen 4scheq 5scher 5schev 5schew s2chi 4schir 5schol 5schoo 5schot sch5ta 2sci 4scl 2sco 3s4cola
+            3scoo 3scope 5scopi 3s4co5re 3scout 2scr 4scris 2scu 2scy 4s1d s5de s4dh sdi5a sdis5 s3do s5dr s3dw 3se 5se.
+            se2a se3ak se3al sear4 se3au s4eb 4s3ech se3cr 5sect 4secz s4ee 4s5eed 5seei 4s1een s5eenh see4t see5ts 4seev
+            s1eff se3ge 2s5e2go seg2r 4s3ei. 4s3eig s4ein 5sein. 5seine 2seis seis4t sei5tj 5seiz sek4st seks5ten se1kw
+            s2el 5s4el. sel3ad se4l3a4g se4lak se4las se3le 4s3e4lek sel3el 4se4lem 4self se5ling 4s3elit sel5k 5selm
+            selo4 5selp 5s4els sel3sp 5selt se2l3u s4em se4m3ac s5emm sem3oo s4en 5sen. se4n3a4g se5nan se4net 5sengr
+            5senh sen5k se4n3o 4s5enq sen5tw 5s4er. se1r4a ser5au 5se3r4e se4ree se5ren s4erg 5sergl s5ergo 5sergr ser4i
+            se5rij 4s3ern se3ro se5rop ser2s sers3p ser3st sert5w se3ru s4es se5sc se3sf 2s5esk 5sess se4t se5ta 4s3ete
+            se5ti se3tj set3r se5t4ra set5st 4s5etu set3w se3um se4ven 4s1ex 4sez se2ze 3sé 3sè 2s1f 4sfed s5fei 4sfi
+            4s5fr 4sfu sfu5m 4s5g sgue4 s1h s4ha. sha4g s5hal. 3shamp 4she sheid4 sheids5 s5hie 5s4hir sh3l 4shm s3hoe
+            s3hoo 3s4hop s2hot s3hote 3show s5hul 1si 5si. 5s4ia si5ac si3am si5an 5sic sici4 si3co 3sie. 3sieë sie5fr
+            sie5kl siep4 sies4 sie5sl sie3so sie3st sie5ta sie5to si5è si1f4 5s2ig si5go5 s3ijv 4s1ijz 5sile 4s5imper
+            3simu 5sina s3inb 4s3inc 4s1ind 2sinf sing4 3sing. s3inga s5ingeni sin3gl s3in5gr s3inh 4si2ni 4s3inko sin5kr
+            4s3inm s4inn 4sinr 2s1ins 2sint 4s5inv 4s3inz 3sir 5siro s3irr si4s sis3e4 sis5ee sis3i sis5tr 3sit si5to
+            sito5v si3tr si4tru si5tu 3siu 3siz sj2 4sj. 3s4ja. 5sjab 4sj3d s1je 2s3je. s5jeb 3sjee 3s2jei 1sjer sje4ri
+            s3jes 3sjew 3s4jez 4sj5k4 5sjof 4s3jon sj3s2 sjt4 s5ju 2s1k2 skaart5j s5kad s4kele s5ken 3s2kes sk4i 3s2ki.
+            3skied skie3s 3skië ski5sc s2k3j s3ko s5kre sk5ruim sk3ste 4sku s3k4w s2l4 3s4la. 5s4laan 5slaap 4s5laar 4slab
+            s4lac 4s3lad 3s4lag 5slagm sla4me s5lamp. s5lampe 4s5land 3slang 3slap 5slape sla3pl 4s3las 2s3lat 3s4la5v
+            4slaw 3s4laz s3led 3s4lee. 5sleep 4s5leer s4leet slee5tj 4s3leg 2s5lei s5leng s3leni slen4st slens5te. 3slent
+            s4lep 4s5ler s5les sle4t3j 3s4leu s5leug s5leus 5sleut 2s5lev s3li. 4s3lic 4slid 2slie s5lied s3lief 3s4lier
+            s3lif s5lig 4s3lijf 5slijp 4s5lijs s4li4k sli2m slim5a s5lini 4slinn s4lip 4s3lit slo4b5 2s3loc 3s4loe 3slof
+            4s3log s3lol s3lood s5loon s5loos 5s4loot3 s3los 3slot slo4tr 4s3lou 4s5loz 4s5luc 1s4lui 4s5lui. 4sluid
+            5sluis. sluis4t slui5ste 5sluit 5sluiz 4slun 2s5lus 4s3ly s1m 4s5maat 3smad 3smak. 3smal 2s5man s5map s4mart
+            4s5mat 4s5mec 5smeden 3smeed 5s4meet 4s5mei 4smelo 4s5men 4s5mes3 5smid. smie2 smies5 s4mij s5min 5smok s3mon
+            5smuilden s5muile 5smuilt s2n4 s5nam 5s4nap s4nar 3snau 3s4nav 3s4ned 3snee snee5t s5neg 5s4nel 2s5nes 4s5net
+            sneus4 sneu5st s5neuz s3nie 1s4nij s5nim 3s4nip 4s5niv 4snod 3s4noe s3nog 2snoo s4nor. s3norm sno5v 3snuf
+            s4nui 2snum 3so. so4bl so1c s3oce 3s4o3d 1soe 2soef 3soep soes3 2s1off 3soft 2so2g 3so3ga s1oge so3gl 3sogy
+            5soi 3soï 3sok s2ol 5sol. so3la so3le so3lis 3so5l4o3 solo5v 5sols s2om 3s4om. 5somm 2s3oms s3omv 2somz 5s4on.
+            3sona so5nar s3onb 2s1ond 2song 3sonn 3so3no s4ons 2s1on4t3 4s3onv s3onw 3soo 4s5oog 4s3ook 4s3oor. s3oord
+            4s3oorl 5soort 2s1op 3s4op. 4s5ope so3phi s2o5po so3pr 3s4opra sop4re s2orb s3ord 2s1or3g 4s5ork sor4o so3ror
+            sor4st 3s2ort sos4 so3sf s4ot s3oud sou2l sou3t 2sov s1ove 3so5z 4sp. sp4a 5spaak s3paal 5spaan 5spaat 2spad
+            2spak 5spake s4pan 3spann 4s5pap 5spar. s4pari 5sparr 2spas5 5spatt s3pau 5s4pea 4spectu 3s4pee speet3 4s3pei
+            s4pek 5spell 4s3pen s5pen. spe4na s5pep 4sper s4per. s5peri s4perm 5s4perr 4spes s3pez s3pid 1s4pie spie5tj
+            4spijn 4spijp s5ping 5s2pio s3pis spi5sto 2s1p4l 4s5pla s4plet s2pli4 5splin 3split s3plo s3plu sp4o s2poe
+            s3poes 4spoë 4spog 4spol 2s3pom s4pon. s4ponn s2poo s3pop 5s4pore s4pori 4s3pos 5spots 4spou 4sprakt 5spray
+            s5pred 5sprei s4prek 4sprem 4spres 5spreu 5spriet 4s5prij 4sprik 4sprob 4sproc 4s5prod 4sprof 4sprog 5s4pron
+            s4proo 4spros 4s3ps 4spt s2p4u 4spub 5s4pui 4spun s4pur 5spuw s4q 4s5r sraads5l sro5v 4s3s4 ssa1s2 s4sco
+            s4s5cu s5se ssei3s sseo4 s5si s5sl s4spa s5spaa ss5pas s5su s5sy s2t 4st. 5staaf 5staan. 4staang 4staanw
+            staart5j s4taat staat5j st3abo 2s4t1ac 3stad 5stads 2staf 5staf. sta4fo s4tag s4tak 5staki 4stakk st3akt
+            4s3tali 5stam. 5stamm 3stamp 3s4tand stan4s s4tap 4stapo s4t3arc 4stari 2stas stasie4 5statio 4stau st3aut
+            s4tav 4stavo 4s5tax 4staz 2stb 2st5c 2std 4stea 5steak 4stec s5tech 5steco 3s4ted 4stedu 3steek 3steen 4steenh
+            s5teer stee5t 5stein 5stekar 5stekk 5steldh ste4lee st5elem 3stell 5stem. 5stemd 5stemm 4stemo 4stent 4stenu
+            ste5ran 4sterm ster5og st5e4ros 5sterren s5teru 4ste4s 4s4t3ex s4t3e2z 2stf 4stg 4sth s4tha st3hed st5heer
+            st3hek s5them s3ther st1hi s4t1ho s4t1hu s4t3hy 2stia 2stib 4sticu s4t3id 5stiefe s5tiev 4stijd 3s4tijg
+            5s4tijl st3ijs 3stils s4tim st3imp sti5ni 4stins 4s5tint 4stite 2stiv st3ivo 4s4t1j 2stk 4stl 2stm 2stn 2stob
+            2stoc 4stoef 3stoel 5stoel. 5stoele 4stoen 4stoer 4stoes 4stoez 3s4tof st3o4ge 5s4tok s4tol sto5li 4stoma
+            4stomz s4tong 3s4too 4st3oog stoot5j s4top st3o5pe st5opto 4stora sto4rat 4stord sto5ri 4s5tos s4tov 2stp
+            1s4tr 4stra. straat5j 4st4rad 3stra4f 5straf. s5trag 4strai 4st3rec s5tref 4streg 4s3trei 5strel 3strep st3rif
+            st5rijp s5tris 4s3troe s5troep st4rom 5strook 5stroom 4stroos st5roos. 4s5trou 4stroz 3stru 4strui. 5struik
+            4st1s4 st3sc st5se st3sf st3sk st3sl st3so st5sp st5st 2st5t2 1stu 4stub 4stuc 5s4tud 4stuin stui5tj st5uitk
+            5stuk 2s4tun st3uni stu4nie 4stus 2stv 2st3w 2s4ty 1styl s5typ 2stz 1su 5su. 5sua 5su4b1 suba4 sub5e su5bl
+            5suc 5sud 3sug 2sui 5suik 4s1uit 5suit. s5uitl 5suits. 5suk 3sul 5sum 4s1u2n 5sup 5surv su4s sus3e suur5 4s5v
+            svaat5 svari5 sve4r sve5ri 4s1w s5wo s4y 3sy. 4syc 3syn sy4n3e 1sys5 4s5z 4t. 3taak. t4aal t5aando t3aank
+            taan4st t3aanw t3aap taar5sp 4t3aas taat4st taats5ta 3tabe 3tabl 2tac ta2ca 3t4aci 4tad ta4de t3ader 5tado
+            t3adr tad4s3 t3adve 2taf. 2t3afd 5ta3fe 4taff t3afha t4afr ta3fro 4t1afs 2t3afw 4tafz ta4gaa 5tagee 5ta5g4l
+            tag3r 5taka 5takg 5takken ta3kl 5takn 5takp 5tak3r 5taks t2al ta3laa ta5lact 4talb 5tale. 5talent ta3li 5talig
+            t5allia talm3a 4talt ta4mak 4tamb t3amba 5tamen tament5j 4tamp t3ampu 5tan. 4t3a2na ta3nag ta3nat tan4d3r
+            tan4k5r ta3o t4ape 5tapi ta3pl 5tapo ta3q ta3ra 4t3arb 5tari 4t1arm ta2ro4 tar5sp tar5taa t3arti 3tarw 3tas
+            5tasa 5tasj 5taso ta3s2p ta3sta ta3str ta3sy 4tata 4tatio tat5j 4t3atl 3tatr 3tau 4taut 2t1avo 3tax t3a2z 4t3b
+            tba2l 4t3c t4ch t5cha t5che t5chi t5chu 4t3d2 tdor5st tdo3v 1te 3tea te3akt 5tea4m 3tec 4t3echt 4teco te4dit
+            t3edu tee2 teeds5te. tee4g 4teek tee4k3l teem1 4tee4n t5eenhe 3teer tee5rin tee4t 4t3eeu t4ef t5eff 3tefl 3teh
+            4t3eier 4teig tei4lo t4ein t5eind 5teit tei5tj 2t3eiw 5tekene 5tekens 4teker 4tekk 3teko te4k3om 3teks te3kw
+            te4k3wi t4el tel5ant te4lap tel5da 4telec 5teleco t5elect tel5een 5telef 5teleg tel5ei. tel5eie tel5eit te5lel
+            5telev 5te5lex tel3f tel5k te4loe te4l3o4g tel5oog te4l3op telo4r tels4 4telse tel3so tel5su te4l3uu t4em
+            2temb 4temm te4mor tem3ov 5temper 5tempo t4en ten4ach ten3a4g te3nak te5nare te4nau tene2 ten3ed ten3el tene4t
+            3tenh ten5k4 te5nore 4t5enq ten5scr ten3sn ten3sp tensu4 tens5uu 3tent 5tenta 5tenten. ten5to t3entw 5tenu
+            t2er teraads5 te4r5aak ter3a4b tera5ca te4rad tera4de te4r5af ter3ag te3ral te4ran ter3ap ter3as 5terec te4rei
+            ter5eik te4rel te4rem te5ren. te4r5enk te4r5env 4t4erf. 4terfd ter3fr 4t4erft te4r5in. 3terj 4terk. 4terkt
+            ter3k4w 3term 5term. 5termi ter5oc te3rod te3rof te3rog 5teron te5rons tero5pe tero4r te3ros 5terrei 5terreu
+            5terror ter4spr ter5ste. ter5ston 3tes te3s4ap tes3m te3so tes3ta te5stel tes5ten test5op test5ri test3u te3ta
+            te5tr 4t3euv t4ev t5e4van teve4r 5tevl 3tevr 2tex 3tex. 4t3exe 4texp 1té tè3 4t3f 4t3g2 tgaat5 t5ge tge3la
+            tger4 4th. 2t1ha t3haa t4haan t4had t3hak t5ham t4hans t3har t3hav 5thea t3heb 5thee. 4t3hei 4t3hel 3t2hen
+            5theo 1t2her 5the3ra 4t3here 3thes 3thet t4hin 4thm t1hoe t2hog t3hok t1hoo thoof5di 4t1hou t3houd 5thous
+            4t3hov 3thr 2thu t1hul 4thum t4hur 3ti 5ti. 5tia ti5ab ti5ae ti3ap 5tib 5tica 5tice 5tici 5ticu ti3d4 5tie.
+            tie5d4 5tiefs tie3kn tie4kon ti3enc tien5st 5tiep 5ties tie5s4l tie5ta tie5to tie5tw ti1eu 5tieven ti3fe ti3fr
+            ti2ga tig5aa 4tigm ti4gu4 tig3ur 5tijd tije4 tij5ka tij4kl 5tijn tij5p t3ijs. tij3st tij3t2 tij5tr tij5tw
+            4t1ijz ti3ko ti5kr t4il 4tils 5timm 5timo tina4d tin3as 4t3incu 4t1ind 4tinf tin4g3i ting4sa t3inh ti4nit
+            4t3inj t3inko 4t3inl t3inq 4tinr 4t3ins ti3nu 4t3inv 4tinw ti5om ti3o4p5 t2is ti5sa ti3s4j ti3sl ti3so ti4son
+            ti3s4p ti3sta 5tite ti3th ti1t2r 5tivi ti4vo 1tj2 2t1ja t5jaa t5jee t5jek t3jen t5jet 4tjeu 2tjo t1jou 2tju
+            4t3k2 tkars3 4t3l t5le. 5tleb t5les tli4n 4t3m tmen4st tmens5te tmos5 4t3n tna4m3o tne4r tnes4 5to. toa2 to3ac
+            to3ar to5bl 3toc 1toch 3tod to3da t4oe toe5d4 3toej toe5k 5toe3l4a toe5le 5toelic toemaat5 5toen to5ende
+            toe5pl 3toer 5toeri 5toern 5toe1s4 toe5st toe3tj 3toets 5toets. 5toetse toets5te. 3toev 5toez to2f tof5ar
+            tof5d to4fr tof3th 3togn 5togr 3toi to4kan tok3s t2ol to3la 5tolaa to5le 5tolet t3olf 2toli 5tolic to4lie
+            tolk5s 5tolo tolp3r t3oly 4tom. 5tomaa tomaat5 t3oml to3mo tom4p3j 4t3om5s 5ton. 4tond 3t2one 5tonee 5to5nen
+            to5ner 3t4ong 5tong. 3t4oni 5t4onn to3no 5tons ton3sk too4m toom3e 5toon t4op. top5art top3as to3pen to3pet
+            to3pi 2topm to4po to5pos t4opp to4pu to5pus t3opva 5tor. to3ra to4r3ag t3ord to5rec 5torens 4t1org t5orga
+            t4ori 3toria to4rië tor3k tor4m3a toro4 to4r5oli to3rom 5torr 3tors tors5te. to3r2u 3tos4 to3sa to1sl to1s2p
+            tos5te 5tota to3tr 2t3oud 3tour tou4r3e to3v tove5na to4vens 4toverg to3w4 4t3p4 tpe4t3 tpi3s tr4 3tra.
+            4t3raad 5tracé 5trafo. 3trag 4tragez 3t4rai 5train 5traka t3rake 3trakt 3trans 5transa 5trap. 5trau 4t3raz
+            3t4re. 4trea 2trec 5tred. 4treda t5redes 4tredu 3tref 4t5reg 4t3reis 4treiz 4trel t3rese t3resu tre2t3 t4reu
+            t3rib. 5tribu 5trico trie5ta trig2 2trij 5t4ril tri5ni 5t4rio4 t3risi t3rit. 5t4riti 5trody t3roed t3roes
+            5trofy 3trog t4roï 5troj 4trol. 5trola 5trolo 5tromm 5tron. 5trona t5rond 3trone 5tronn 5trono 5trons tront5j
+            t3rood 5troon t4roos tro5pi t4ros 5trotu 3trou 4t5rout tro5v 5truc. 5truf 4trug 5trui. 5truie t3ruim trui5t4
+            t3ruk t4rum 4ts ts3a2d tsa4g ts1am t3sap ts3as tse4d ts5een t4s3ei ts5eind t4s5ene t4s3eng t4s3erg ts5erge
+            t4s3e2v t2sij t4s3ink ts3int ts2j ts3ja t3sjen 3tsji t1sl ts4laa t3slac t5slag. ts3lam t2s3le t5slib t5sloe
+            t3s4lu ts2me ts4moe ts3neu ts4no ts5nor ts5not ts3nu ts3ob tso2l ts3oli ts3om ts1on ts4opp ts1o4r ts1ov ts3pad
+            t3span t5spec t4s3pet t3spi t4s3pil t3spoe t3spoo t5s4por ts3pot t4spro ts4pru ts5q ts5s t3sta t4staak
+            t4s5tank ts5tant t4star t4stas t3ste t5sted t5stee ts5teko t5stell t5stels t5stem t5ster. t4sterr t5sters
+            t5s4tes. t5steu ts3th t1s4ti t3stij t5stijg t5stil ts5tin ts5t4j t1sto ts5toep ts5tong t4store ts5trad ts5trei
+            t3stri ts5troe ts5ty t4su4 ts3ur ts3us ts3uu t1sy 4t3t t5t4a t5te tte5loe tte5l4op tte2n tten4t5j tte5ri
+            t5tlet tt3oog ttop2 t5t4r t5tum tt3uu 3tua 3tub 3tuch 3tu3e 5tueu tu3és 3tuig 5tuin 4tuip 2tuit tuit4j 4tuk
+            tu4k3i tul5pi t4um 5tune 5tunn tu1o 5turb tu3ri 3tu4s3 tut3j tuurs5la tu3wa 4tv tvaat5 t3ve 4t1w 3t4wijf t2win
+            1ty1 3typ tys4 4tz t3za t3zi t5zw u1a u3ac u3an ua5ne ua3p u5ar. uar5t ua3sa uat4 2u2b ub3ac ube4li ub5em u5bi
+            u3bo ub5or 4uc u1che ucht5sl uc4ki ucle3 uc4t3a uc4tin u1d uda2 u5da. ud5am ud3ei ud3ess u4de4z ud3eze udi4o
+            udi5ologe udi3om udoe2 ud3ond ud3oo ud3ov u4d1r uds5lo uds4m uds5ma ud3sme ud3smi ud1st ud4sta uds5tak ud4sti
+            ud1w u3ec ue2co u1ee4 u3ef u3ei u1el u4ene u1er uer3il ue3st u1eu u5eul u3ez u3è u4f3an u1fl u1f4r uf2s u5ga
+            ug4da2 ug4der ug2do ug4dr uge4l5o ug3ij ug1l u2go ug3or u2g1r ug5sce ug4sec ugs4p ugs5pa ug1s4t ugs5tra u1h
+            u2i ui5ac ui2d3a ui2d1o uid4s uid3sp uid5spre uid5ste. uid3u ui3e uien4t ui2fa uif1l uif5r ui2fu 4uig ui4g5aa
+            uig1l ui2g3o ui4g3r ui4gu 4uik ui2k3a ui4k3l ui2ko ui2ku ui2la uil5aa ui4l3em uil5m ui4l3og ui4loo uil3ov 4uim
+            ui2m3a ui3mag ui4n1a uin5g ui2no uin5og uin3or uin4s5lo uin5to ui2p3l ui4p3o4 ui2p3r 4uis ui2s3a uis5c ui4sl
+            ui5slu uis5p ui4st ui4t3a4 uit5aa uit5al ui5tar 1uitg uit1j 3uitl ui2t1o 1uit5r uit3sl uit3sn uit5sp uits5te.
+            3uitw 3uitz ui3v 4u3j 2uk u2k3al uk3as ukkers5 u2k3l u3klas u2k3n u2k3o u3koc uko2p uk4o3pl u4k3r uk3s2m
+            uk3spa uk3spl uk4sti uk1w u1la ul3ac ulam4 ula4p ul4d3a uld5erk ul5dop ul4d3u u1le ule5sp ul3fl ul5fo ul3fr
+            ul3in. u5ling ul3inn ul3k2a ul5ke ul2k3l u1lo ul3o2p u3los ul2pa ulp3ac ul4pi ul2p3l ul2po ul4p3r ul3sa ul3so
+            ul2s3p uls5te. uls5tel u3lu um3af um3ar 3umda 2ume umee4 umes4 ume3st um3om um3op um3so um3st u2m3ui un3ac
+            un2c unch3r un4dra und4s unds5ta und5ste une4t un3g 1univ un4k3r un4o uno3g un5o2p unst3a un4ste. unst3o
+            un4st5r unst5ui un4tag unt5een un2tj un4t5o4 unt3s4m un4t3u u3ol u3on u3oo u1or uo3ru u3os uota3 4up u1pa u1pe
+            upe3k upe4ro uper5st u3ph u3pi u1pl u4p3lei u1po u3pol up3om up3op u1pr up4tr u1ra ur3aan ur1ac ur3ada ur3adv
+            u2r3a4r uras3 u4r3a2z urd4o u1r2e ur3ech ur3een uree5s ure5lu urelu5r u4rem ur3emb ure4n u3res ur3ess ure3st
+            ur3eta 4urf ur2fa ur3gi u1ri uri4gl ur3ijz ur3ind ur3int 4urk urken5s ur4kie ur3k4l urk4s5t u1ro ur5opb ur3or
+            uro5s ur5pr ur4serv ur4s3ev ur3s4fe ur2sl urs5laa urs5li ur4s5m ur2sn ur4sp urs5pa ur5spel ur5spor urs5take
+            urs5th ur4sti urs5tik ur3ta ur4tro ur5troe u3ru ur3ui 4urv u1r4y 4usaa us3ad us3a2m us1ap u4sc u5s2cr use5tj
+            u5sie u4sj u4s5l u4sm u2s5n uso2 us3oï us3os u2s3p us5pi us5pu us4ta us5tag ust3al u2s3te us4t3ei u4sti ust3oo
+            us5tra. us5tre. us5tro us5tru ustu4 ust3ur ust3uu u1ta ut3aan utaar5 ut1ac ut3af u3tan uta3s4 ut5c u4t3ees
+            u4tek ut3eks ut3em ut5emm uter5an ut3ex ut2h ut3ho u2tj u1to uto5f ut3oog uto3pe utop4l uto5po utop4r uto5s
+            ut3saa ut3s2c uts5eng uts2m ut1sn ut3sp ut4spa ut4spo ut2st uts5tak ut4ste. ut5sten ut3str ut5su utt4 u1tu
+            ut5w u4u4 uur3a4 uur3e4 uur5i uur3k uur1o2 uur5ste uur5sti 4uut uut3a uut3r uvel4s uve5na uw1a u3wag uw3ar
+            uw5art u1we uw3ec uwe5d uw3een u2w3ei uwe4nen uwes4 u1wi u2w3ij uw5ijz u4wind u3wing u4wins uw3inz uw1o u3woe
+            uwo4ge uw1r uw3u uxa3 u3ya 4uz uze3t4 uzie2 ût3s4 1ü ü4b ü1n ü3ri üs3l 1v2 2v. vaar4ta vaart5r va3de va3g4
+            va2ki va4kl va2ko va2l3a val5m va3lo va4loe val5si val4s5p vals5tek valu5 va2n van3ac vand4 vang3a van4gr
+            va3no va4noc va1p va3re va5se va3s4o vast3r va3su va3te va2t3h vat5j va3z v4b 4v3c v4e 3ve. 5veb vee4l veel5e
+            vee3p4 vees4 ve3g4h vei3s4 vei5tj 3vek 5vel ve4l3a4g vel4d3o ve3le vel3k 5vem vem4a ve4na ve5nare 5vend ven5k
+            ve2n3o 2venr ven4s3e ven4sl vens5lan vens5lo ven4sp vens5taak vens5take vens5tek ven4s3u4 ve2r ver1a ver5aas
+            ve4rad vera4g ve4rand ver5do ve3rec ver3ed ve3reg ve3rei ver5eis ve5ren. ve5rend ver3e4t ver5ijd ver5ijl
+            ver5ijs ve5ring ver5k4 ver3o ve3rom vero5v ver5p ver5spe ver5sta ver5sto ver5tw ver1u ve3ry ve2s3 ves5ti ve2tj
+            ve2to4 vet3og vet3oo ve3tor ve2t3r vet4roe vet5ste 5ve5z 3vi 4vicepa vid5st vie4r3a vie4s3 vies5n vie4tj vi3eu
+            vijf5 vik4s vil4t3j ving4 vings3 vi3o vi5om vi4s3an vi1so vis5ot vis5p vi4st vis5tr vi1tr v3j vje4 vjet1 3vl
+            v3lar vlei3s4 vlie4s5 vlot5s v3lov 5vo. 3voe voe4t3a voe4t3r voet5sp 3vog voge4 3voi vo2le vol4g3a vol4gra
+            vo2li vol3ij vol5p von4det vond5u 3voo voo5d vooi5t voorn4 voor5na vo3ra vorm3a vors5te. vor5sten vos3 3vot
+            vot3j 3vou vous5 3v4r2 vrei5 vrie4s vrij5k4 vrijs4 vrij5ste v3t vues4 vu2l vul5p vuur5s vy3 2w. waad3 w2aar
+            waar5e waar5ste wa4b3 wa2ba wa5bl w2ad wa3dr w4ag wa2la wa3lan 4wam wan4d5r wan4gr wang5sl wa2n1o wan3s4 3wap
+            w4ar w5arc 5ward war4st wars5te wart3j war4to wa2si wa4s5l wa4s5p was5tr 1wate wat5j wa3tr 3way 2wb w1c 2w1d
+            w4doo wd3oom we2a 2we2c 3wed wede4 we2d3i we4d3r wee4ki wee4k3r wee3lo wee3s4t wee5ste 3weg we4g1a we4gerv
+            weg3l we2g3o we4g5r wei3s wei5tj we4k3r we4le2 4welem we3li we2lo wel3s we2m wem3a we3me we2n wena4 wen3ad
+            we3ne4 we4nem we5nen. wen5enk we3ni wen4k3a wen3o wen5to wer2f 4werg wer4ka wer4k5l wer4kn wer4k3o wer4k3r
+            werk5ru wer4k3u4 wer4k3w wer4p3a wer4p3l wer4pr wer4s wer5ste we2s3 we3spo wes4t5o 3wet. we2th we2t3j wet4st
+            we2t3u 2wex wezen4s5 2w1f w1g w1h wie4la wie4t w4ij 3wijd wij4ka wij4s wijs3l wijs3p wijs5ta wi4k 3wil wind3a
+            win4d3r w4ing 2winr win2s winst5aa winst5r wi4t3h wit3j wi2t3o4 wit3r w1j 2w1k 2w1l 4w1m 2wn wn3ac w3ne w3ni
+            w3no w3ob w2oe woes3 woest5a wo4l wol3a wolf4s5 woon5sf woor4d5r wor4g3e w1p wren4st wrens5te. 2ws ws3a2 w3sc
+            w1sl w2s3le w3som w3sp ws2pl w4spr w5spra w1s4t w4stij 2wt wtes3 wtje5sp w1to w1tr wu2 wva2 w1w xaf4 xa3g
+            xamen5t xan3 xan5t x1c x4e xen4d xe3ro x1f x1h xie4t xi3g xi5o xi3sta xi3sto xi4t3i x3l x1m xo3no x4op xo3s4
+            x1p xpre2 xpres5 x3r x3so x3sp x1t x2tak xtie2 x3w xy3 y1a ya3s4 ya4s5p y3at yba2l3 yber4t3 y1c ycho3 y3co
+            y1d4 ydi3a y5dr ydro3 y1e yes3 y3és y3è y1f y1g ygu2 y1h y1i y4in y5is yksge4 y3la yl3al y3le y4l3et y3lo
+            ylo3l ym2f5l ym5pa y3na yn3er y3no yn1t y1o y3on y3os yo3t y1p y3p4h ypo3 ypot4 yp3s yp5si y1r y3r4e y5ri ys3
+            y1s4a y3s4c y5s4e yse5t y3s4f y3s4h ys4i y3s4o y3s4p ys5pl ys4ta ys5tr y3sy y1t yt3hu yto3 y2tof ytop4 yu5a
+            y3ui y3u2r yvari5 y1w4 1z 4z. zaar5t za3f2 zags4t za2k3a zak3r zan2d zand5a4 zan3di zan4dr zang3s za3po za3s4
+            4zb 4zc 4zd z4e zee3k zeel5d zee3r4o zeero5v zeer5s zee3s4 ze5ge zeg4sl zei3sp ze5k zel5dr ze3lem zel2f1
+            zel4so zen4d3a ze4nin zen5k zen3o4 zen4og ze3non ze4r3a ze3ro zer2s zer4s5e ze4s3 ze5sch zes5e zes5l ze5ste
+            ze2t3a ze2t3h ze4ti ze2t3j ze2t3r zeve2 zeven3 4zf 4zg 2z3h z2i ziek3l zie4k3o ziek3w ziel4s zie5sl 3zif
+            zi2g5a zij5kl zij3po zij5s4 zik2w zi4n3a4 zings3 zin4k3l zin4s zins3t zins5ta zin5str zi3o5 zipi3 zi4t zit3e
+            zit3j zit3u4 4z3k 4z3l 4zm zodi5 zoet3j zoet5ste zo3f2 zoi4 zo5ie zo3la zome4 zo2na zon3sf zon5ta zooi5tj zo1p
+            zor4g3a zor4gl zor4gr zo2t zot3h zo3tr zo3v 4z3p 4z3r 2zs 4z5t zui4d3i zui4dr zus3 2zv z4w zwets5te. 5zy 2z3z
+            zz3in zz3or z4z5w
+        `
+    },
+    sv: {
+        name: 'Swedish',
+        source: 'hyph-sv',
+        leftMin: 2,
+        rightMin: 2,
+        exceptions: '',
+        patterns: `
+            .a4b .ab5i .ab5ol .ab3r .ac3 .a4d .a3dr .ad3s .a5g4ra .a5gre .a5kl .a5le .al4pr .a3lu .am4br .amp3l .a5mu
+            .and4rar .a2n5es .ang4er .an5go .an5s .ap1p .as2k .a3sket .as4t .a5sten .a3sti .a5ta .at3t .au3st .a4val
+            .av3s4 .b4 .bak5s .ben5s .bild3s .bo2k .bort1 .cis4 .cy5klop .d4 .där3 .ek1v .e3l4a .e2l5in .en5st .e4nä
+            .e2r3i .e2s .e5skad .es3kal .es5kap .es4t .e5strad .e3tr .evan5 .ex3 .f4 .feb3r .fram3 .fres5 .fågel3 .för1a
+            .för1en .g2 .gu4lä .gus3 .he2m .hu5sa .ib4 .ik4 .im3p .i2n1 .i4na .in3d .in4ger .ink2 .in3s2 .in3t .is5ka
+            .i3so .k4 .kans4k .ko5li .kort5s .kring3 .krings2 .köp5s .l2 .lak5r .lek5tr .lu2st .m2 .mas2ke .ma5skeri
+            .me4re .minis4 .mjölk5s .mon2s .mån3s .må4st .män5sko .mörk5r .n4 .ner1 .no4n .nöd5r .oc1ku .ok3t .o3kv .o2ma
+            .o2mo .om3s4 .o3mu .on4k .o3o .ord3s .o5sc .o1s4k .o3sl .o3stra .o3sv .o3tr .o1u .p4 .papp5s .pa3ste .pa5sti
+            .pi5sti .pres2s .pub3lika .r2 .re4gr .re2ste .runs4 .rym2d .röve5 .s4 .sa2k .seg3r .si5o .sjö1 .sk4 .skott3s
+            .slut3s .st4 .sta2m .sten3s .string4 .sup3p .t4 .ta3bl .ta4k .tak5l .tes3ta .tig3r .til4l .ti3o .topp5s
+            .tred2s .tre3s .trä5k .u3k .ult5r .ung2e .up2 .u4ra .ur3s .u2t1 .u4ta .u5trer .ut5s .v2 .var4t .vatten3 .ved5s
+            .vä2g .väg3s .x2 .y2a .y4e .ång3 .år4s5 .å3st .åter1 .ä3ro .ö3ro a2b ab4bu a5be abel4s abe2s ab1l ab3la ab3ort
+            ab5ric ab3rio ab4sc ab4sk a5bu ac4kes ac4kis ack3sk ack3u4p a5dag a5dek a5del ad5ep ad3j ad3op a5dran a3dre
+            1adres ad3ril ad3ru ad2s a5ed af4fo 3affä 1af3ri af4tor a1ga aga4ra a1ge a2ge. ag1gr ag1l ag5ord ag3ro a4gur
+            a4hj aib4 a3iv a1j a3ka a4kart a5ke a1ki ak3n a1ko ak5ram akri5s ak3rob ak4sta 1aktig ak3tri a1ku a5kvari
+            ak3ve a5kår ak5åt 4akö a1la al5adm ali2br a2lin a5lin. a3line al3ins ali5stik a4lj alk3ak al2kv al4kä all3st
+            al3lå alms4k a1lo al5ort als5pa al3tr al4tu al4tä a1lu alu5s alv3s a1ly a4maf am4i am4pr am1s am3åt a3mö
+            ana4bo an3alf an3ark an3c anci5 an5dak andel2s an4dun an4dän a4nef ang4es an3gi an1gr aniu4 ank3r ano2i a4nok
+            a4nop an5sce ansis3t an4sj ans5ku ans3li ans3par an1st an4sto an4sty 1ansvar an4tj an4tre a1nu a5ny a3nö a1o
+            a1pe a2pe. ape4n3 a1pi ap4lan apo3str 1appara apps4k ap3ric ap3rif a5pris ap2s ap3se aps5l aps3p apu5s a5py
+            a5pä 2ara a4rann a4rarv 1arb 4arbi 2arbo 4arbr ar3dr ard5st a4rend arg5si 2arh a1ri a4rigen ar3ka ark3lan
+            ar5kr 4arl 4arn. ar4nal a1ro a2rob 4arp ar2sa ar5skal arsk5l ar2sv ar4tro arts5p ar4tur 4aru a4rur a5rus
+            ar4väg a3ry a3rä 2asa asbe4 a1sc as2h asis5t as3kis a2sko a4skr as3ku as5l as3pa as3pig as2sk as2s5op as2sp
+            as2st ass5up as3ta a5stard as5ter as5tiker asti5o as3to as4tr ast5rak a5stral ast3rol as5tör a3su a4sul a4sund
+            as2ut as3v a1sy a2s5å a2sö a1t ata5ra a5te ati5ö a4tj a2tr a3tral 4atrar a4t3re at3ria a3tric at3rie a5trik
+            a3tris a3t4ro a4tro. at4ska 1attac at2tak at4tj at4tos att3s a4tung 2au au5b au2t5a 3autom aut5s 2a1va a4vart
+            1avg 2a1vi av3r 4a3vä a5å 1b2 3ba ba4di ba4do bad3s4 bak5l ba4ko ba4ku bank5l bas4ta ba5stu 4bb b4bak b4batt
+            bbb4 bb3l bb4ler b4b3r bb4so 4b3d 3be be3d4r be5e be1k 4beld be5lu be3ly be3lå be5lö beng4 be3nå be1rö be1s
+            be3sl bes5s be4sta be4ste be5su be3tr be3tv be3u 4bex 2b3f 2b5h 3bi bi3d4 4binv bis3ko bi5skv b3je b3k b5lar
+            b5lat ble4mo b5len 5blera 3bles 5blid 3blikr 3bliks 4b3m 2b3n 3bo bo4gr bo2kl bo1mu 5bon bors5te bor4ti bort3r
+            borts2 bort3sl bo1s bo4sc boy5 4b3p 2b5raf 4brar 2b5rati 3brik. b3rika 3brike 3briks b5rikö bru4st 3bry 3brö
+            4b3s b5sce bs3ch b4slan b4sof b4sp bst4 b4stj 4b3t 3bu bund4s bus2st b3v 3by by5r 3bå bång3 båt2s 3bä 3bö
+            bör2s c2 5cap c3c 1c4e cens3t 3centr ceu4s 4ch. 3chau 3chef 5choc 4cht chäs3 chör4 1ci ci4lu cim2 cipp4 4ck
+            c3ka c3ke c3ki ck5j ck1l ck5lis ck3n c3ko c4kordn ck3org c4kort ck3r ck4re ck3sla ckus2 ck3va ck3ve ck3vä ck5ä
+            ck3ö cle2a co2a co4m 4cr cros2 4cs 1cy 1d 3da 5da. 4dadr dags3 2dak 5dako da3li 5dam da3må 4dand. 4d1ap 4darb
+            4dart da4tr dat5t 4dax 2db 4dc dcen3 2dd ddd4 ddi4s d3dj d4dos dd3ra dd3re dd3ri d3drä dd2s dds3v 3d2e de1k4
+            4deko 4deld del2sa dels5ti de5lut d4en denti5ö den2to de3pr 5der der1k de2ro de5rol der5sti de4ru de2s de3se
+            de3sp des3ti d4et de3tr 4dex 2d1f dfö3ra 2d1g d3gl 2d5h 3di dias4 di5el di2gr di3ka di5ku 4dinf din3g4o 4dinr
+            4dins 2dinsp 4dint di1o di4od di3sc di4sj dis3ko dis1kr dis1p dis5to dis3tra di4tre 2dj d3jor djup5p 3djur
+            2d3k2 4d5l 2d1m 2d1n 3do d2ol do5lo 4domr dom2sk 5don do4pak 4d5ord 4dori 4dort d5ost do3y 2d1p 2d2r2 d3rad
+            3d4rag d3rand d5rarb d5rassera d5ratu 3drej d3ren 5dres d3ret d4ric 3drif d3rig 4d5rik d3rin 3d4riv d5roc
+            3dropp d3ror 4drot drotts3 d3räkn 3dräkt 5drän d3rät d5röd 4ds d2s1an d2se ds5enh d4sf d2si ds3ins d2sj dsk2
+            d3skef ds4ken d3ski ds3kl ds5kn ds1l ds4lot ds4mo d4små ds5nå d2so ds3pl ds3s4 ds3tal d5stat ds4te dste4a
+            d5stig ds3tin ds5tro d2su ds1v d2sö 2d3t 3du dub3ble 4dup du1s du2sc du4ste du5sö 4dut du4vu 2d1v d3vr 2d3w
+            3dy dy4kan dy4ro 4dz 5dåg 2dås 4dåt 4däg dä2r 3dö döds1 4dög 4döp d5öst dé4 e1a e2ake e4am 4eb e2br eb3ril 4ec
+            e3ch echiff5 ecis4 e3co e2d e4dans edd4r edi4u ed3j e5dral ed1sk ed2sko ed3s2l edso4 e3då e1e e2ed e4ei ee2k5
+            e4en. e4ene e1f ef4s 3efte e1g e3ga e3ge ege2l eg1l eg2ler e3glera e5gleri e4gran eg5rat eg3rin e5gru egs3
+            e5gå eig2 ei5gn e3ik e1in ei5sh e1isk e1jo e3ju e3jä e5jö e3ka e1ki e1kl ek3lat ek4le ek3n e1ko ekord5s ek3orr
+            ek4ret. ek5ro e1ku e1kve ek5vis e1ky e1kä e1la el1akt el4arb 3eld. eleb3r elekt3ri el4fra eli5ku el3k4 el3li
+            ell3s el3lä e1lo e4lob el3p el2si el5ug e5luv 2e1lä e1m e5mat e5mis emon1s em5ort emp5le en5art e2nav en4ce
+            e4ned e4nek ene3rö 2enj en5klo en3kn en5kr en5kä enning5 ennings2 eno2m en3si ens5ke ens2m en2sp ens4te
+            ens4vin en4så ent4ha en2t1r ent4rat. ent3rati ent3ri ent5ru e5nus 2eny 2e1nä e1o e2og eo4i e5or 2ep e1pe e1pi
+            e3pla ep5le epp2s3 epps5t e1pr ep3s ep4tr epu3b e3på er1ak 4eras er3d4 erg4l er4gu er4gås e1ri e5rib e4rinf
+            erings3 eri5stik erk4lin erlä4 er5na e1ro e3rob e2rom erp4 er3ra er5sc ers4ken er3sl ers4le er4sta er2ste
+            er3str er3sv e1ru e5rum e3ry e5råd e1rä e2sal es5all es3arm e1sc 2ese es4hi esi4u es2k e4skan es5kar e4s3ken
+            es3ker es5kul e1sl e5slag es2mi e1sp es3pl es2sk ess5lä es2st e3stal es5ten. esti2ge es3tin es5tor. es4tr
+            est5rer e3stru est4rö e3stå es2u e1sy eta3b e5ti eti3ö e1to e5tri. et3ris e5trä et2s ets2ad ets3kr ets1l ets3m
+            ets5pa et4sv ett3r e1tu etu4ri et4va et5vu e1ty 2etz e1tä etäc4 euk4 e5um. e5up4 4eur eu4se. eu5tro e1v e4varm
+            e4vj ev3r 3exp ext4r 4eä f2 3fa fac4 fac5ke 4fans 4farb fa3sh fa4st fa4tö 4fav 4f3b f3d 3fe 4fef fe2l fes5ta
+            fe3sto 4fex 2f1f fff4 ff3l ff3n f3fo ff3r ffs4 f3fä ffö5re f3g2 f5h 3fi fi2br fib5rig fi3li fin5sm fi3skal
+            fisk3r fi2ti 2f3k 1fl flo4da 4f3m fma4 1fo 4fof fol2 folk1 2f5om fo2na for4mo fost3r 4f3p fra2m fram5p f4rer
+            5freri fre4s f4ri. fri5sp 5frit fros5ta fru5str från5 2f3s fs2k f4sl f4sm f4sn f4sp f4st f4sv 2ft f3ta f4taf
+            f4tak f4tap f4tarm fte4r f4tex f3ti f4tin f3to f4t3r ft2sa ft4set ft2s5i ft4sj fts4t fts5vä ft5t ft1v 3fu
+            furs5te fu5ru fu3tu 4fv 5fy fy4ma få3tö 1fä fäs5ti 3fö fö2ra fö2ren fö2ri för3k för3sm för3su fört4 för1ö
+            ga5br 3g2ag 4gakt 3g2al gall3s ga5lä ga4no 2garb 4garm ga2ro 4gart ga4st ga4su 5g2ati gaus4 g4av g5avsn 4gax
+            2gb 2gd g3d4r ge2a ge5b4 2gef 2ge4j g2eli 3gelis gel5st gel5y 3gelä gel5än g4em ge4nap gen5g 3g2eni 3genj
+            4genm genom5 gen4sa g4ense 1g2ent 4genv ge5ny 3genä ge2o 1g2era 4gerarb 3g2eri gers5n 5gese ge4to get5s 5g2ett
+            2g1f 2gg g1ga g4gap g1ge gg5g gg1l g4gos ggs4la ggs4m gg3s4t gg3s4v g4gu 2gh gh4te 1g2i gi1o gi5sn gi4ste
+            gis4tr gi5stral gi5st4rat 3giv gi2ö g2jo 3gjor g3jä 2g3k2 2gl g4lans g1lar g2las 5glase glas5k 5glasö g4lid
+            4glj g4lög 5glöm 2g1m 2g1n g4nag g2no 1g2o 3go. 3gol gon3s4 4gont 2gord 4gorm 4gort go3sl 2g1p g2r4 3graf
+            5gral gra2m5 5grans 4gras 5grec 5grett g3rig 4g5rik 5grip 3gris g5roi gro2v 4grum grus5t g4rå 5grå. grä4n
+            5gräns 2g2s gs1an g5satt g3sel g4sf gsi4d g3sju g5skaf gs4ki gs3kn gs4kot g3sky gs1l gs1m g4sme gs3n gs4ni
+            gs4nö gs1or gs3pl gs3po gs4por gs5pre gs3pu gs3s gs3tak gs3tal g3stark gs4ten g3stif gs3till gs3tj g3stol
+            gs3tra gst4re g3stäm g4sug gs1v g4s3ve gs3vi gs3vå gs3yt gs1ä 2g1t g3tr 1g2u 4gug guld3 gul4da 4gulä gu2ma
+            4gup gu5ru gus4k 2gut g3utb 2g1v 4gw 3gy gytt3j 1g2å gårds5 2g5åri g4äl g2är gä4s 1g2ö 4gög gö5ro 2g5ört 1h
+            ha3bl ha5ge ha4li hal4so halv3å ham4st handels3 hands4l han5g2a ha5ra ha4sc ha4sp hasp5l has3t hav2 havs3 h5c
+            4hd he4at he4fr he4lä hets1 hets3t hets3v h3g h2i 4hir his2sk hi4t hjäl3s h1k 2hl h4le 2hm 4hn h2na h2nit
+            ho5nu hop5plo hop3s hos3p hos5ti 4how h3p h5ru h1s 2ht hu2s hust5r hyg5r hys4t hys5ta hy3ster hård5s4 häll2
+            hälls1 hälso3 hä4ri hä4s hä4var h2ö hö2g hö5gen hög5r hörn5s hö4s höst5r i1a ia3fr ia3g ia4lu ia4sk ia3tr
+            i2b3l i5bril i3ca i4ce. i5cha ic4kord ick3u4 i5co i2d iden3s id4ge i4dom id1r id3ro id2s ids3v i4dun i3då i4dö
+            2i1e ifes4 i5fn i1fr 3ifrån i1g 4igan i2geb ig5ej ig1l ig3no i3i i4kart i1ki i3klo ik5län ik3n i1ko ik3re
+            i5krob ik5rof ik5ros ik5s2h ik5skor i3kul i3kum ik5u4t ik1v i3ky i3kå i3kö i1la il4dan i2lin il1jö il5k il5lak
+            il4lik ill3s2 3illu il5lär il2min i1lo il2tj i3lu ilufts5 i4lup i5lä im2b3r im5sm im4so i1mu i5må i3mä i5mö
+            i4nau ind5skä ind5sti 1indu in4ga in4ge. ing4es. ing5is in5glas ings5te i3ni i4nif in5j in5kve 1inneh 5inre
+            1inri 3inrä in4sem in3skrä in3sl ins4m in3sn 1inspe 5inspeln in5spr 3instink 3instru in4stå in5te 1intr in4tra
+            int3s i1nu i4nun in3ym i1nä i5oc i1og i3ok io4kr i1ol io5li i5om ion2 i3ono ions3 i1op i1or i1os i1ot i1pe
+            i1pi ipos4 ip5pi i3ra i4res i1ri irk5l i1ro iro3p i1ru i5sce isel4 is2h i2sk is5kep isk5na is3kopa is3ku
+            is4kun is3ky i5slam is3län is3m is3n i2s3p is4pri is3sa is3se iss5n is4s3tr iss3tä i1stal i1stans ist5att
+            is5ten. i1stent is4tes is3tig is5ting is5tor. is5tore ist5ro istå4 is5v i3sy i4så i1t it5c i4tei i4tex i4tj
+            it5ran i5trin i3tris it2t5op it4t3r it4tu i2t5å 4i1u i1va i2vak i1vi i4vin iv3r iv2s i1vå ix2t ix5tu i1ö 1ja
+            3jakt. 4jarb jas5p 2jb 2jd jd3r jd4sty j4du 1je je2a 5jef je5sta 2j1f 4j3g 4jh 1ji 4jin 4jk j4kl j3ko jk3v
+            2j1l 2jm 2j1n j2o 3job jo4kr 4jolj jo5lö jor4din jord3s4 3jou 4jp j5pl 2j3r 2j1s j5sa j4sk js4me js4te 2jt
+            jts4 2j2u ju4kos juk3s jul3k 4jur jus5kr juss4 jus4t jus5ta jut4sta jä5lo jäl4p5r jäl4sa järn3sk jär5s jör2s
+            jös4t 5jé 1k2a 3ka. 3kad. 3kade. ka4dr 2kaf 5kafä ka3i ka5ju 2kak k3akti 4kalf 4kalg kal4lo kall3s 3kamp 3kamr
+            3kan. 4kand. 5kano 2kap 3kapi ka5pla kap4pr kaps5t 5kapten 3kar. ka3ra 4karb k5arbet ka5ri 4kark 3karna 4karp
+            karp5s 4kart. 4karte 4karv 3kas ka4sk kas3ti 3kat. 3kats. 4kau 2kb 4kc 2k3d4 kdom4 1k2e 3ke. 2ked. 2keda ke3dr
+            ked4s ke4er 2kefu 4keld kels4 4kense ke5nå 2kep 3kern ke2s kes3s 4kex 2k1f kfö2 kfö3ri 2k5g4 2kh4 kid3s 4kif
+            1kig kik4s kilt4 5kimå king3r 4kinne 4kins 2kint ki4nu ki4tr kiv3s 4kj 5kjol k3jä 2k3k kl2 1klag k2lama kla4mi
+            3klang. 3klass 2klat 5klav 2kle k2lej 2klig k2lim 3klip k2lis 5klist3r k5lock. 5klocka 3klos 1klub 4kluk 1kläd
+            2k3läg 2k1m 2k2n k4nal 3k4nap 5knip 3k4niv 3k4nu k4ny k5nyk k2o 4koc ko5de k5odl kog3n ko4gr kog4s3 4kola
+            ko2lin 4kolj kol5tr 5kolv. 1kom 3komm 5komp 2k3omr kom4s 1kon 3konf 3konst 3kont ko3nu 1kor 3korg ko3ri 2korr
+            3korres 5kortera ko5s4k ko3sl 3kost ko4str 4k3ou 2k1p k2r4 3kraf 5kra3ge 4krang 5krera k4reten krid5s2 1krig
+            krigs3 krings2k 4kriv 3kropp kropps5 kru5stad k3ryg kråk5s krå4pa k5rädd. kräk5l 4kräl k3rät 2ks ksaks5 k2s5as
+            ks3ch k4ser ks2k4 ks3kl ks5kra ks5kv k3skä k3skö k5slag. ks2li k5sly k2so ks3pl k1s4t kstavs3 ks5tid k2su 4k1t
+            k4tex kti5ge k4tinn k2tins k2tod k2tom k2tr kt3re kt3rin k5trod kt5rog kt3rol kt5rät kt2st kt5t4 k4tug k2tut
+            k4täl 4kug k5ugn ku5la 4kuld 3kulö kum5pl kungs5 5kunn ku4pen ku4ro 3kurs 3kus kust3a kv4 3kvali k5vare 3kvarn
+            kvar3s 3kvart k4vato k2ve 2kvente 1kvinn 5kvire k4vo k1vå 3kväll k1vär kydds3 ky4lin 3kyrk käl4m 5kämp 5känn
+            3käns 3kärl 4kög köks5t 5köp. kör4l kör4sl 3la. 1lade. 2ladm 4ladr 2laf 3lagd. la4gin 5lagm lag3r 2lak 5lakan.
+            5laki 3laktis la5lo 3lande. lan4di 2lappara 2larb 1larn lar5s 4lart las3h 4lask la4st 5laste. 1lat. la5tr
+            lat4tis 2lau 2lav la5vu 2lb4 4l1c 2l2d lder4s l3dj ld3ra l5dry lds4an 1le 3le. le4ge. le5ig le2kl le4kv lem4sö
+            2l5enl 3ler. ler5k 3lern ler3ste le5s2l le5tå le3um le4vu 2lex 2l1f 2l1g l2gj l3g2l lgs4 lg5st 2lh 1li li5ch
+            3lif 3lig li4go lig3s lik2l li5kli lik3s 5limer 2lind 2linga. ling5o 4lingr lings5t 2lini 5linj 2lint li1o
+            2lip lis3c li4sta li3strö li4vo livs1 l2jak 4l1jo 1lju l5jå l1jä l3jör 2l1k l3ke l5kju l2kl lk5lag l5klä l2kr
+            l3k4ra lk3t l1la lld4 ll3dr lle5b ll3k ll1l l1lo llok5v ll3p ll4san ll2se ll3ska ll2so ll4sva ll4tig ll3tr
+            l1lu ll5un llust3ra ll5v l5ly lläggs5 l5löd llör4 ll5ört 4l1m l4mol lm3st l1n lo2af loc4ku 4lodl lo4do lod3st
+            lo2ge. 2lolj 2lom 4lord 2lorg lor4s lo4vo l4pak l1pe l1pi l5pla lp5lö lp4st 4l3r 2l1s l2sc l4sjo l4sjä l2sk
+            l4skensv l3ski lsk3n l5skot l3skrä l3sky l3skå lskå4p l3skä l3slu l4sm ls4mo ls5nyt l2sp l3spe ls3pl ls3pol
+            ls5s l2st l3sta l4stak ls4te ls5ter l3sto l3sty l4styg l3stå l3stä l5stö l2su l5sur l2sv l4svi ls5vid l4så
+            4l1t lta2tu l4tef l4tif l4tih l4tos lt5rati l4tret l4trö lt5sk ltu4 lu5i luk4to 4lull. 2lun lung3 2lupp lu4pu
+            lus2s5p 5lust. 4lutb 4luts 2lv l1va l4varm lvers4 l1vi l4vos lv3ri lv3sp l1vä lväv4 lycks5t ly4gat lyg3r
+            lyg3s2 3lyste 5lystn ly4str 2lå. låg3s 1lång lång3s lå4sk lås5te lå4stå 4läc läg5r 1länds 5längder lä4san
+            lä4sp lätt3s 4löl 4löm 3lön 3lörer 1lös lö4vä 3lé 1ma ma5fr mag5n mag5s ma5ju mak3r ma3li mand4 mang2a man5g4o
+            ma5ni mani1k 5ma3ri mash5 mas3ko mask3ro ma5skö mas3ti mas4v 2mb mb4sk 2mc 2md m4dat m4di m4do m3d4r 1me 2meds
+            me4du me4kl me4ko 4meld melo5 me5lu men5k me5nu me5ny mer2sko me4so mes4t me3sti 2meta me5trin met3ro meu4
+            2mex 2m1f m4fes m4fn 2m1g4 2mh 1mi mid3s mi4lu 2mind ming4o 4mink min4kr 4minv mi3nö mis2 mi5sf mi4sp miss3t
+            mi4te. mi4tr mitt3s 2m1k 2m3l 2m1m2 mme5d mm3s4 m4mul 2m1n m2nam mnas3t m4nav mn5dr mn3g4 mn5st mn5tu m2n3å
+            1mo m4od mo4i 2momr mo3na mos3k mo2ta mo4tin mo4tu mot3v 2m1p m2pak m4part m2pl mp3lad m5plane mp3lat mp3lin
+            mpos4 mp5p4 mps4k mp5sp m4på 2m1r 4ms m4sal m4ske m3slag ms3lä ms2m mste2 m1sto m2str mst3rin ms5äp 2m1t 4mud
+            mulls3 mult5r 5mum 4mun3g4 mun4ko 3mur 3musi mu3sta mut4sl 2m3v 1myn mys4te måg4 1mål. 5målet. 5mån. 4mår må1s
+            4mäg mäk3 1män mäns4 3märk 1mäs mäs5ta 1mät mö4bl mö4gen. 3möj mör4kl 3mös 4möv 1na 3na. 3nad nads3 2naf na5gr
+            2nak 3nako 3nakr na3kro n1akt 2nalf 5nalfl 4nalg nal3s na2lu n5amb 5namn 4nand. 4nanv na4rap 2narb 2nark 4narm
+            2nart nast3r 2nb4 2n1c n2ch n3cha n3che n3chi ncis4 ncyk3l 2nd n4dak n4dav nd3d4 n5de nde3s n4dil nd5rak
+            nd5ras nd3rat nd3ri n5dril n3drop nd5ros nd5skal nd3sn nds3or nds5vä nd5ås 1ne 3ne. ne4di 5nedl ne4d3r ned3s
+            ne4dö ne2gr ne5gres 4nek. ne5ly 4nenl ner5sm nes3s4 ne4sta ne5s4ti ne3tre ne1ut 2nex 2n1f4 nfalls5 nfis3 2ng1
+            n4gar n4gen. n4gend n4gens n4genti n4germ n4get n2gi ng3ig ngi4s ng4ly n2go ng5om ng3or ng3rad n4grö ng4ser
+            ngs1k ngs3pa ngs5tim ngs3val n4göd 2nh 1n2i 4nid ni5ec ni4ki ni5li 3nin nings1 nings3k nings5v ni1o 4nip
+            nip4pr ni5steri nist3ra ni3t4r niv5sk niv5st 2n1j n4jar n3jun nju4s n3jä 2nk n4kart n1ki n4kis. n3kny n1ko
+            nkrafts5 nk3ri n1kro nkrus4 nk5sl nk3sp nk4tin n1ku n1kö 2n1l 2n1m 2n1n nn3d n3ne nnis4 nn3k nn3s4t 1no 2nodl
+            no4kl 2nolj 2nomr nom3s4 2nord 2norg no5sa no5sc no4tu 2n1p 2n1r 4ns ns2i n4sint n4sis. n4sise ns2k ns3kan
+            n1ski ns3kor nslags5 ns5las ns5mit n4soc n1spi ns3pl ns3po ns3s4 n3stans n3stap ns4tel n3stif ns3tig ns4tra
+            n2strik nst5up nst5vil n3s4ty n1sva ns3vi ns3vär 2n1t n4tark nter5s4 n4tinf n2t5omb nt3rad n3trah n3trak
+            n5trala nt3rali n5tram nt3rep n3trer nt3ria nt3rin nt3ris n4tropin n4tror n4trö nts3c nt4se nts5kor nt4str
+            n4tut n3två nufts4 4nug n5ugn 3nui 3num nums5 2nup n3upp 2nutb 2n1v ny5gr n5z 4når 4nä. 4näc 3näm 3nät 4nög4
+            3nöj nö2ja nö5kr 4nöl nös4 nös5ke o1a o2ard o2b 5o4bj o4bli oby4 oc4k5r ock3sk oc3ku o2d ode4k odi4a 1odli
+            o5dral o3dro ods4k od2st ods4ti od5stu o3dä o1e offs5t o4fl o3fr oförmå4 o1g o4gav og3gr o4gj o5glo o5gly
+            ognos4 ogno5st o4gri o4grö og3se og4s3t o4gä o1i o4il o1j o1k o4kli ok3n ok3sl ok4su o2kv o1la o5lak ol5au
+            olfö4 1olj ol3ka olk3r ol4ku ol4kä oll4si oll5slä ol3lä olm4s oln3s o1lo olo5kv ol4sa ol4tå o1lu o4lug o4lur
+            o1ly ol5år o1lä om4brä o3men o4mord om5pa om3pl 1omr 4omra om1sk om4ste 3omsät om4tr om3tv on3c on5gi on1gr
+            ongs4l o4nins on3j on1k4 ons3c onsi3s ons3m on5stel ons4ter on3tras on4tre ont4s o1ny on5å o1nä o3nö oo4d
+            oom5s o3or o1pe o1pi o5pline op4pl opp3le op4pr op4pu o3pri op4st o3på o5q 4ora o3rak oran3g4 o2rap 1ordn
+            or4d5ä o4reh 1orga 5organi or4gr or4gå o1ri 3orient 4ork or4mö or4nu or4nä o1ro or4pl or5pr or4spa ors5tig
+            or5te or2tr ort3re ort3ro o1ru o3ry o1rä o1rö o3s2fä osk4l o1skop o3som os5pig os4sk os4s4t os3tig os5tiker
+            o5still os4tr ost5ron ost5rö os3tul ota2lan 4oti. 4otie 4otin o1to o5tro ot5run ot3sv ot5ti ot4trä ott2s o1tu
+            o5tun otvin4 o1ty o5tå o3tä oun4 oup4 4our ou3rö ou4s o3ut3t o1va ova4n o1vi ov3r ov4si ov3sl ovs4me o1vä o3we
+            ox5 oy2 o3å o3än o3ö 1pa 4paf pag4 paki3 pakis4 pa5la pals5 pa5lä 4pand. pan4tr 3pap 2parb 4parm par3s 2pask
+            pa5ski pa2st 3patr pa3u 2pb4 2pc 2p3d4 pek5tri pekt3ro 4peld pel3s4i 4pem 5peng 3penn pent5r per4bl 3perio
+            3pers per4sl pe5tro 4pex 2p1f 4p3g 2ph pi4el 1pig pi1o 3pip pi5so pi5sta pi5sto p2j 3pjäs 4p3k2 p2l p4lac
+            5plan. p4lane p3larn p3lev 3plex 3plic 1plik 4plit p3lj 1plom p3lop 2p1m 4p1n p3ni 1po 5poa 2poc 2pof po2i
+            3polit 4polj poly3 2porg 3pos pos4ter 4pov po4vä 2pp p4part pp5ask p4pax p3pe p1pi p4pins pp3j pp1l pp3la
+            pp3lin pp5lis pp5lu pp3ly pp3lån pp3låt pp3lä pp3lö pp5oc pp3of pp3p4 pp1r pp3ra pp3ri pp3ru pp3ry pp3rä pp3tr
+            p2pu p5py pp3å p2r2 2pra 5prax 1pres pres4t pre3sta pres5to p3rig p3rik 5pril 3princ pring3 p5riol 3pro pro3g
+            p3ror 4prå 3präs 3pröv 2ps p2sal 3psalm p5s2ho ps4ken ps2li p3sna 4pso p3sod p1s4t p4stak p4stäv p2sö 2p1t
+            p3tri 1pu 4pug pul2l5ov pul5tr 5pung 3punk pus3t 2p1v på3dr 3päl pä5ro 4pör 3pé qu4 3que 1ra 3ra. raci4t
+            3rade. 4radr ra4du 5ra1e 2raffä ra3fr ra5is 2rak ra2lo r4ande 3rande. 4ran4d3r rand3s 2ransv ra3pl 3rar r4ar.
+            4rarb r4are 4rarg r4ark 4rarm r4arn r4ars 4rart r3arta ra5rö r4as ras3h ra2st 3raste. 3rativ ra3tri 2rav ra5yo
+            2rb 2r1c 2r2d r4daf rda5gr r3dj r4dos rd3ran rd3rat r4dul r3då r3dä r4dös 1re 3re. 4reaus re3b 4rec 5reco
+            re3d4r re5du 4reft 4regg 3regn. re1kr rek5tri 4reld re3lu rem5p 3rems r4en. 2reni 2renk 2renl re3nö re3o 3rer.
+            3rern 3reso ress5k re1sti 3ret. 4retet ret3ro 4rety re5tå 2revig 4rex 2r1f rfö3ri 2r1g rg3g2 rgs5top 2rh
+            rhands5 3rial 4rib 3rifi 2rifr r3ifrå 3rifu 3rigt rik2s 3riktn ri4mo 2rind rind3s 5ringen. ring3r 2rinr 2rins
+            2rint ri1o 3riot ri5ple ri2stä ri4tut ri4vis riv3s 4rj r4jis r3jo r5ju r5jö 2rk rk3akt r4kek rkes3 r1ki r3klas
+            rk2le r4klö rk3n rk4ne r1ko r4kod rk3tr r1ku r4kup r1kä r5kör 2r1l r5laka r5lav rld2 rlds3 rl5sp 2r1m r4marb
+            r4mil rm2s5j rm5tr 2r1n rnal4 rn3g4 rn1k r2nom rns4k rns4t rn3t ro3b ro4gro ro2kr 2rolj rol4li rom4a 5roman
+            5ronau 5rond. ron4v ro3pl ropp2s ro4ra 2rord 2rorg 2rorie 3rorn ro4sin ro4sn ros3v ro5te 2r1p r4plö r4pö 4r1r
+            rra4n rrd4 rreligi5 rres4 r5rib rr5k4 r4rob r4rom rr1s rrs2k r4rur 2rs r4seld r4sex r2sin r1ski r4skid rsk3na
+            rs5koll rs4kos rskotts3 r2sku r3skö rslags4v r4sle r4slo r4s5lö rs4mo rs5nat rs5nä r1sp r2spl r2spo rs3s4
+            rs5tak rs4te r5stek rs5tend r5steni rs5till r1sto r4ston rst4r r3strö r3stu r1sv rs4vag r2svä r1sy 2r1t r2taf
+            r2takti rt4an r4tins r4tom r5trit r3trä rt3t r4tut rubb5l ru3br ru4dan ruks1 ruks3v 5rullera 3rum. runn2
+            runns5 4rupp rus2h ru5sha 2rut 5rutig rut4ra ru4vi 5ruö 2r1v rv4sj rv2s5kä r3w rydd5s ry5o råge5l 4rål rång3s
+            rå5ra rå3st räck5s 4räkt 4räm räng3s räns5t 4räs rä4san räs3s rä5sti räv5s röd5el röd5r röd3s 2rög r3öi rök3s
+            röns4t 4röp 3rör rör4s rö4st röst3r r1övr 1sa 3sa. 3sad. 3sade 4sadj 2sa3dr sad5s 2saf sa3i sak5ri 2s1akt
+            sa5lo 3s2am sa2ma samman3 sa2mor sand3s 4sang 2sanl s3anlä san3sla 2sap 3s4ar. 2sarb 2sarm s5arm. 3sarn 2sart
+            4sarv 4sass 5sat. sa4tu 2sau s3auk 2s1av 4sb s2c 2sch. 1scha 2schau 4schb 1schen 1scher 1schet 1schi 4schk
+            4schm 4schp 3schy 3schö sci3p 4s3d 1se se4at. se2g 2s3egg 3segl seg3ra sek5le sek3r sek5tr 3sel. se5ly sem2
+            3sen. s5ersä 3set. 2sexp 2s1f s4fär. sfö2 4s3g2 2sh 5s2haw shi1s s5hö 1si sid5s 5sie si4eri si4esk si2ett
+            3s2ig 3sik sikts3 5sill. silver3 silv3r 2s1ind 2s1inf sinne2s3 3sinni 4sinr 2sin1s s1inst 5sint. 2sintr 3sio
+            sis4t siu4 1s2j 2sjak s3jakt 4sjn 4sjt s4ju 5sjuk 4sjur själs3 3sjö 4sk. 2ska. 3s2kada s2kado 3skaffn 1skaft
+            s4kag s2kal 3skal. 1skap 5skap. 5skapet 4skapi skaps1 4skar s4kara 5skarv 4skas s2kat s4kav 4ske. 3sked.
+            s4kene 3skepp 4skh sk4i 3skif 5skin 4skis. 5skiv 5skjor 3skju 4skl sk5lap s3klas 4skn 3s4ko. 1s4kog 4skogsg
+            1skol 3skola s4kolo s4korp skor1st 1skot s5kran. 3skrat sk4ret 3skrev 1skri 3skrif s3krig 5skrin 3skrip s5kris
+            3skriv s5kron s4kru 5skrub 3skruv 5skräc sk3s 2skt 3skulp s3kup 2skv s4kve 1s2ky s4kyn 2skyrk 1skå s4kål
+            5skåp. 4skår 5skänk 3skärv 2sl2 4sla. s5lad. s3land 3s2lang s4lant s3lar. 4slas s1lat s2lev 3slev. s4lic
+            slins3 4slis s2lit s5lor slotts3 s2lu s3luc s3luf 4slus s3lust 3slut slu4to 3slå. 5s4lår s4läk s5läm s5länn
+            3s4läp 4s3lär s2lät 3s2löj 2sm s2mak 3smak. s3makt s2mal s2met. s2mid s2mit 3smitta s3mj 5smug 5smyg små5g
+            små3k små3s 3smäd 3smäl 4smäs 3smör 2s2n4 3snab 3s4nac s3nam s5nare s3nast s5ner 3snib 3snil 3snit 1snitt
+            s3niv 3snut s4nå 5snår 5snäc s4när 3snö. snö5g 3snör snö3s 1so 3soc 5sock 2sod 5soi 2solj sol3s2 2som 5somm
+            3son son4st so5pra so4pu 3sor. 2sord s5ord. 2sorg 3sorn 3sot 4sott s2p2 5spann. s4park 5sparv 4spas s3pass
+            spa5tr 1spe 4sped 3s4pek 3s4pel 4spelsl 2spen 2sper 5spets 3spill 3spir 4spl s1pla s3plan s3plats spli4 s4plin
+            5split s5plä 4spre s3pres 4s3pris 3sprit 2spro s3pry 3språ 5sprän s3ps 1s4på 3spån 3spår 5spän 3spö 4s1r 4s1s
+            s5sad sse4lin s5sil ss2k ss5kl ss3kun ss1l ss2lag. ss2lä ss2lö ss3na sss4 ss3unn s2sv ss3vi s2t 2st. 4sta.
+            5stac 3stadi s4taf 5stalgis 3stalla 2stalli 5stam. 5stamm 1stant 5stark. 5startad 1state 3statl 1stau st3c
+            2s5te. 4stea 5steg. s4tek. 2stekn 5stekt s4tell 3stem. 3steme 5stenar 3s4tene 3stense 5stensm 1stera 1stering
+            s4teriu 3sterne 5stetis 2stia 2stib 3stick 2stid s4tiken 2stil 3stil. 3stink 3stisc 1stit 2stj s5tju 3stjäl
+            3stjär 2stm 5stoc 1stol 4stolk 4stom stori4eu 5storis stor3s 3straff 4strativ 3strato 3strec 3strej st3ren
+            1strer 2stria 1strid 5stride 2striel st4rif 1strikt st5risk 1stru 3struk 2strumm s3tryc 5stryk 5stråk 3strål
+            3sträc 4sträd 3sträng 5sträv 3ström 2st3s4 st3t 4stv s3tvis 1sty 2styp 1stå 4ståg 5stål 1stä 3stäl 1stö 1su
+            su4b 3sug su3i 3sum 2sun 5sun. s1under 5sune s5ung 2sup 5supa su2pu 5sus 2s1ut su4to su4tr s2v2 5svag. s3vagn
+            4s3vak 5svam 4svap svars3 3svart 4svas s3vat 4svec 3sven 5svep 4s3ver s5ves 4s3vil s4vine 4svis s5vitt s5våd
+            3svåri 3sväng 5svärm. s3väs s3vät 4syk 5syl 3syn syn3k s3yrk 3sys sys4t sys5ter syt2 sy5th 1så 5såg 4såk
+            2sålde sång3 1sä s4äd 2s5ägg s4äl 2säp 5säs 3sät 4säta 1sö 4söd 2sög s5öga sö4ko 4söl 4söp sör2s 2s3ört 1ta
+            3ta. ta1ch 3tade. 4tadi 4tads5 2taff 3taga 5tak. ta5kre 2taktig tak4to 4talf 5tallise tall5s 4talv 3tame 3tami
+            3tan. ta4nab 3tande. 2t3anfa 4tanl t4ap3l 2tappar 3tar. 4tarb tar4mi 3tarn tars4 4tart 5tartavl 4tarv 4task
+            3tast ta1str tat2 ta4tan tats3 2tatt 2tav 4tave 5tavla. 3tavlan 3tavlo tav2s 3tax 2tb4 2tc t3cha t3che 2t3d4
+            3t2e te4as te3b4 5tec 4teg te2g1r te3gre te3i te4int 4tej tej2s te4kl 5teknik 5teknis 4teld 5te5lö 5tema 4temo
+            te4mu ten3g4 5tensi ten3tr te4nä te5nör 5ter. 5teriö ter3k4 5term 5terna 5ters ter3t te4ru 5tes. 5test tes4te
+            te5stik te5stu 5tetik tets3 4texa 2texp 2t1f4 2t3g4 2th t4hen 1ti 3tial 5tib 5tici 3tid 5tide ti4du 4tidö
+            ti4ed tifts5 ti2gel 3tigh ti4go ti2gr 3tigt tik3l 3tiks 5tikul t2il 5tilj 3tillst 3tillv 3tillä 5time 2tind
+            2tinr 2tint ti4od 3tion ti2os 3tis 4tisc 5tisk 3tiva ti4van 5tivite ti2ö t2j 4tje 4tjob 2tjou 4tjäl 4tjäm
+            3tjän 2t3k2 2t3l 2t1m 2t5n4 tne4r 4todl 3tok 4tol. 4tolj 2tomr 4toms t2op 5torap t5ord. 5toriett 4torm torm3s
+            3torn tor1st 4tort. tos4k t5ost. t4ov 2t1p t2r4 2tra t4raf 3trafi 3t4ral. t4rala 3t4rale 5tralo 3trals t4ralt
+            3trans tran2s5a 4trar t3ras. t3rat. t4rato 4treg 4tren 4trer. 4trern t3rets. 2tri 3tribu 5trick trids3 t5riel
+            t1ring t3ring. 2troc t3rock t4rog t5ronik t3rono 4tropi. 5tross 5trotn t4rump t4rup 3trupp trus5ta 1tryc
+            5tryck. 5tryggh 4tråk 5trä. 3träd träds4 3träf 3träg 4träk t3räkn t4rän 5träni 5tröja t4röt 5tré 2ts t5s4and
+            ts5art t3s4at t3se t4seg ts4en t4sex ts2k t5skall t3skatt t1ski ts3kl tskotts5 t5slot ts5läk ts3nä t3snö t2so
+            ts3ord ts3pl tss4 t1st ts4te ts5ter ts5tillf ts3tj t3stol t4ston t2stra t4stry t4stur t5styr t2su t3sud t5sy
+            2tt t3tac t4tau t4ted tte5g4 t4tem tte2n ttes4 t4tex t4tins t4tip tt3ja t1to tt3rad tt3rand tt3rat tt3re tt3ri
+            tt4ry tt4se tt2si tt4sta t3tu t4tug tt1v tt4vå t3ty t3tä t3tör 4t5ugn 2tund 3tunga tung3s 5tunn 2tupp tu5re
+            2tutb t3utv t3utö tu4vu 5tuö 2tv t1va 4tve t3vig 3tving t3vit 3tviv t3våg 3tvån t3vän tvär3s 3tvätt ty5da
+            5tyg. 3tyngd 3typ ty3pi 5tys 2tz 3tåg tås4 4tåt täc4ko 4t5äg 4täm 4tärm 3tävl 4tö4d tö5de 4tög 4töp tö4pi
+            3törer törs3t tö4vas 5té u1a u2b ub5al ubb4le ub3lic u4bo u3cha u5cl u2d u4dak u5de ud3r ud4ret uds4a u4du
+            u4dy u1e u2es uf4fä uf4tan uf4to 4u1ga u1ge ugg3s ugn4 ugns5 ug3s4 u5ie u1in u3is u3itet u3j u2keb u5ki u4kl
+            uk5la uk3n u1ko ukos4 uk2s uks5ko uk3tris ukt5s uk4tä u3ku uk3v u1la ul4di ulds2m ul4du ul4dö ull3ste ull3än
+            u1lo uls5ti ul2tr u3lu u1lä u1lö um4fä um4so ums4t u1mu u3mör 5underl 1undersö 1underv un4dom und3r un4då
+            un5g2ef un3gersk ung5it ung3r ungs4p 3unif unk3l unk3n un4kr un1sk un4tr un5trati u5nu u1o u1pe u4pern u1pi
+            u2pl u3plet up3lik 3uppfa 1uppg up4pin 1uppla 5upplä up4p3r upp3s upp5sp up5ut ur5ak ur5arv u3re u1ri u1ro
+            u4rob u4rom urs5tin ur4stä u5ry u2sak us5anl u3scha u3se usen3 u2s1k us3ka us4kla us4kr u5sky us4kå us5lä us3n
+            u2sp us3pen us5tat us3tig u3stik us5tin ust5ro u4stå u4stä us3v u4så u4sä u2sö u4tak 1utb u4tef ute3s utik2
+            u5til uti3ö ut3j 3utjäm utlands3 u1to u3top uto5s ut3r ut4rer ut4ro ut5rop 1utru 2utsid ut3sl 3utslä 2utt
+            utt4j ut1v 3utvec u5ty ut3öv u5u 2u1v u2vak u4vj u4vä u5å u3ö va5dro 1vagn 2v1akti val3k val4li val4st 5valv
+            5vama 4vand. 4vanp van4st van5tr 5vap 2varb va4res va4ri. 4vark var2s vart5r va1ru vas5ti 5vattn 4vau 4vav
+            5vavi 2vb4 2v1c 2v3d4 1ve 5vec ve2k ve3ke 4veld vensk3ä 5ventera ve3ny ve5nö 4vep ver5g 3verk ves4 ve2s5p
+            ve1st 3veta 3vete vet5sa vett5s 2v1f 2v1g 2vh v4i vi4c vid3s vild3s vil4t 3vind. ving3s4 3vinkl vi2no 5vinst.
+            5vinste vi5ny 3vis. vi5sa vis5h vis5ko vi4st vis3ta vi2tr vi4var 4vjo 2v3k2 2v1l 2v1m vmörk4 2v1n4 1vo 4vok.
+            2vom 4vord 2vorg vos4 2v1p 2v2r 5vrak 3vrera v3ru 2vs v4sc v1s2k v2skri vs4mi v3sni v2so v1st vs4te vs5trå
+            v5styc vs3vå v2sö 2v1t vu4d1 v1und 4v5up 4vut 2v1v 3vy 5våld vångs3 3vård 4våri vå3ru 3väg vägg5s vä4l väll4s3
+            3vänl 3värde vä4ril 4värj 5värk 3värld 2vät 3väx 4vög 4vöp 3vör 1wa we2 w2h whi2 wi2e w4na x1 xan5d4 xem3pla
+            xis4 xk2 xli4 xs4 xti2 x4tå 2y y1a y4bris yb4s y2d y4da y5dan y4do yd3r yds4 y4du y4dö y1e y1ga y1ge ygg3r
+            yg4gå ygs4p y1i y1ki y5klist yk5lon yk3n y1ko y1la yl4gj y3li yl5k yl5lä y1lo yl4tr ym2fl ym4for y3må yng3r
+            ynk5l yn4sa yns4t y3or y5ou y1pe y5po yp3ri yre4s y1ri yr4ku yrk5v y1ro yrs4k yr5st yr5tu y1rå3 y5scho ys2st
+            ys3ta ys3ti ys4tik. yst3ra y2tak y4te. y4tea y1to ytt3r yt5v y3va y3vi y3vä y5w y5å 1za 1ze ze4ro 1zi 1zo
+            zo4nal 4zp z5s 3zu z4zin å1a å3dj åds4l å1e å1f å1ga å1ge åge2l åg3l åg3s4k åg3st ågå4 å3i å1ki 5åklag åk4strä
+            å1la 1ålder å2lin ål3k åll4sp ål2s5e ål3st å1lä å1m åman4s ånd4r ån4du åns4t åns4v å3o å1p å2pl å5pla å4pö
+            år4do ård4ra ård2s ård4s3t å4rel å1ri å5ror 5årsav år5s2li år2sv år5ö ås4ke ås3n åss4 ås4skr ås4t åte2 åt3ri
+            å3trå åt2sj ått5s å1v ä1a ä2b 2äc äck5v ä2d ädd3s äd4du äde4s äd3r äd5se äd3st ä3e ä1ga ä1ge äg4go äg1l äg3r
+            äg4re äg3se ä3i ä5jo 4äk ä1ki äk3n äk3r ä1la äl4pap äl4seg äls5kog äl4slu äl2t3r äl2tu äl4vin ämp3l 4ändligh
+            änd3r änd1st äng5r änni3s änn3s ä4no äns1l än4st äns5te än4sv än2t3r ä3pe äpp3l ä4pr äp4st ä4rap är2bre ärg5l
+            är4gr ä1ri ärib4 är4kä är4nis ärn3st är2nå är4nö är5ob ä5rol ä3rop ä5ror ä5ros är2si är4sko är2so är4sp är2sv
+            är4tand är2tr ärt3s 4äs äs3pa äs5pi äs4sk äs4sp äs3ta äst3r ä4stä ä4så 2ät ä3to ä5tre ät4s3k ät5te ät4top
+            ätt3r ät4tu ät4tv ä1va ä2vak ä3vi ä5vu ö1a ö2d ö4dak ö4dal ö4darv öde4s5 ö4dis öd3ra öd2s öd3se ö4du ö4dö ö1e
+            ö1ga ög5ak ö5gar 1ögd ö1ge ö5ger ögg4 ög1l ög2n ögn3e 1ögo ög3si ög3sk ö1i ö3jo öj4sv ö4karm ö1ki ök3n ök2s
+            ök3sl ö1la öl4kv öl4kö öl2p ö5lä öman4 öm2kl ö4nal ö2nom öns3ke ön4so önst3r ö3pe ö4pel ö3pi öp5li ö5plo 1öppn
+            ö4pr ö3rande ö3ras ö4rask örb4 ör3d4r ör1eni ö3res ö4restr ö3ret ör5evig ör3g ö1ri ö5rig ö3ring ör3int ör5ir
+            ör5iv ör4kal ör1k2l ör5kli ör4nis ör3ol ör1or ör2p5la ör1s2k ör3sl ör4slä ör5te ört5s ör1u ör3vr ör3y ör1ä
+            örö4d ö2sak ös3n ös4sj ös2sk ös4sp ös3ta öst3v ö2tak öts5ko öt4st ö1v öve4 över1 5övere ö2vj öv3ra öv3ri öv4sk
+            é3e
+        `
+    },
+    pl: {
+        name: 'Polish',
+        source: 'hyph-pl',
+        leftMin: 2,
+        rightMin: 2,
+        exceptions: `
+            be-zach be-zami by-naj-mniej gdzie-nie-gdzie ina-czej na-dal ni-gdy ni-gdzie niech-że niech-by ow-szem pó-łach
+            pó-łami pó-łek pod-ów-czas przy-naj-mniej skąd-inąd tró-jach tró-jami tró-jek
+        `,
+        patterns: `
+            .ć8 .ćć8 .ćł8 .ćń8 .ćś8 .ćź8 .ćż8 .ćb8 .ćc8 .ćd8 .ćf8 .ćg8 .ćh8 .ćj8 .ćk8 .ćl8 .ćm8 .ćn8 .ćp8 .ćr8 .ćs8 .ćt8
+            .ćv8 .ćw8 .ćwier2ć3 .ćx8 .ćz8 .ł8 .łć8 .łł8 .łń8 .łś8 .łź8 .łż8 .łb8 .łc8 .łd8 .łf8 .łg8 .łh8 .łj8 .łk8 .łl8
+            .łm8 .łn8 .łp8 .łr8 .łs8 .łt8 .łv8 .łw8 .łx8 .łz8 .ń8 .ńć8 .ńł8 .ńń8 .ńś8 .ńź8 .ńż8 .ńb8 .ńc8 .ńd8 .ńf8 .ńg8
+            .ńh8 .ńj8 .ńk8 .ńl8 .ńm8 .ńn8 .ńp8 .ńr8 .ńs8 .ńt8 .ńv8 .ńw8 .ńx8 .ńz8 .ś8 .ść8 .śł8 .śń8 .śś8 .śź8 .śż8 .śb8
+            .śc8 .śd8 .śf8 .śg8 .śh8 .śj8 .śk8 .śl8 .śm8 .śn8 .śp8 .śr8 .śró2d5 .śródr2 .śs8 .śt8 .śv8 .św8 .światło3w2
+            .śx8 .śz8 .ź8 .źć8 .źł8 .źń8 .źś8 .źź8 .źż8 .źb8 .źc8 .źd8 .źdź8 .źf8 .źg8 .źh8 .źj8 .źk8 .źl8 .źm8 .źn8 .źp8
+            .źr8 .źs8 .źt8 .źv8 .źw8 .źx8 .źz8 .ż8 .żć8 .żł8 .żń8 .żś8 .żź8 .żż8 .żb8 .żc8 .żd8 .żf8 .żg8 .żh8 .żj8 .żk8
+            .żl8 .żm8 .żn8 .żp8 .żr8 .żs8 .żt8 .żv8 .żw8 .żx8 .żz8 .a2b2s3t .a2d3 .ad4a .ad5apt .ad4e .ad4i .ad5iu .ad4o
+            .ad5op .ad5or .ad4u .ad4y .ae3ro .aeroa2 .aeroe2 .aeroi2 .aeroo2 .aerou2 .antya2 .antye2 .antyi2 .antyo2
+            .antyu2 .arcy3ł2 .arcy3b2 .arcy3bz2 .arcy3k2 .arcy3m2 .arcya2 .arcye2 .arcyi2 .arcyo2 .arcyu2 .au3g2 .au3k2
+            .au3t2 .auto3ch2 .autoa2 .autoe2 .autoi2 .autoo2 .autotran2s3 .autou2 .b8 .bć8 .bł8 .bń8 .bś8 .bź8 .bż8 .bb8
+            .bc8 .bd8 .be2z3 .be3z4an .be3z4ec .be3z4ik .bezch2 .bezm2 .bezo2 .bezo2b1j .bezw2 .bezzw2 .bf8 .bg8 .bh8 .bj8
+            .bk8 .bl8 .bm8 .bn8 .bp8 .br8 .brz8 .bs8 .bt8 .bv8 .bw8 .bx8 .bz8 .c8 .cć8 .cł8 .cń8 .cś8 .cź8 .cż8 .cało3ś2
+            .cało3k2 .cb8 .cc8 .cd8 .cf8 .cg8 .ch8 .chrz8 .cienko3w2 .ciepło3kr2 .cj8 .ck8 .cl8 .cm8 .cn8 .cp8 .cr8 .cs8
+            .ct8 .cv8 .cw8 .cx8 .cz8 .czarno3k2 .czk8 .cztere2ch3 .czterechse2t3 .cztero3ś2 .czwó2r3 .czwó3r4ą .czwó3r4ę
+            .czwó3r4a .czwó3r4e .czwó3r4o .d8 .dć8 .dł8 .długo3tr2 .długo3w2 .dń8 .dś8 .dź8 .dż8 .daleko3w2 .db8 .dc8 .dd8
+            .de2z3 .deza2 .de3z4a3bil .de3z4a3wu .de3z4el .de3z4er .de3z4y .dezo2 .df8 .dg8 .dh8 .dj8 .dk8 .dl8 .dm8 .dn8
+            .do3ć2 .do3ł2 .do4ł3k .do3ś2 .do3ź2 .do3ż2 .do3b2 .dobr2 .dobrz2 .do3c2 .doch2 .docz2 .do3d2 .dodź2 .dodż2
+            .dodz2 .do3f2 .do3g2 .dogrz2 .do3h2 .do3k2 .do4k3t .do3l2 .do4l3n .do3m2 .do4m3k .do5m4k2n .do3p2 .dopch2
+            .doprz2 .do3r2 .do4r3s .dorż2 .dorz2 .do3s2 .dosch2 .dosm2 .dosz2 .do3t2 .dotk2 .dotr2 .do3w2 .do4w3c .do3z2
+            .dp8 .dr8 .drogo3w2 .drz8 .ds8 .dt8 .dv8 .dw8 .dwó2j3 .dwó3j4ą .dwó3j4ę .dwó3j4a .dwó3j4e .dwó3j4o .dx8 .dy2s3
+            .dy3s4e .dy3s4o .dy3s4ta .dy3s4y .dy3sz .dy2z3 .dy3z4e .dyzu2 .dz8 .dziesięcio3ś2 .dziewię2ć3 .dziewięćse2t3
+            .dziewięcio3ś2 .e2k2s3 .eks4y .e2m3e2s5ze2t .e2s1e2s1ma .e2s1ha .e2s1t .egoa2 .egoe2 .egoi2 .egoo2 .egou2
+            .elektroa2 .elektroe2 .elektroi2 .elektroo2 .elektrou2 .f8 .fć8 .fł8 .fń8 .fś8 .fź8 .fż8 .fb8 .fc8 .fd8 .ff8
+            .fg8 .fh8 .fj8 .fk8 .fl8 .fm8 .fn8 .fp8 .fr8 .fs8 .ft8 .fv8 .fw8 .fx8 .fz8 .g8 .gć8 .gł8 .gń8 .gś8 .gź8 .gż8
+            .gb8 .gc8 .gd8 .ge2o3 .gf8 .gg8 .gh8 .gj8 .gk8 .gl8 .gm8 .gn8 .go2u3 .gp8 .gr8 .grubo3w2 .grz8 .gs8 .gt8 .gv8
+            .gw8 .gx8 .gz8 .h8 .hć8 .hł8 .hń8 .hś8 .hź8 .hż8 .hb8 .hc8 .hd8 .hf8 .hg8 .hh8 .hipe2r3 .hipe3r4o .hipera2
+            .hipere2 .hj8 .hk8 .hl8 .hm8 .hn8 .hp8 .hr8 .hs8 .ht8 .hv8 .hw8 .hx8 .hz8 .i2n3 .i3n4ic .i3n4o .i4n5o2k
+            .ino3w2 .i3n4u .in4f3lan .i2s3l .izoa2 .izoe2 .izoi2 .izoo2 .izou2 .j8 .jć8 .jł8 .jń8 .jś8 .jź8 .jż8 .jadło3w2
+            .jb8 .jc8 .jd8 .jf8 .jg8 .jh8 .jj8 .jk8 .jl8 .jm8 .jn8 .jp8 .jr8 .js8 .jt8 .jv8 .jw8 .jx8 .jz8 .k8 .kć8 .kł8
+            .kń8 .kś8 .kź8 .kż8 .kb8 .kc8 .kd8 .kf8 .kg8 .kh8 .kilkuse2t3 .kilkuseto2 .kj8 .kk8 .kl8 .km8 .kn8 .koło3w2
+            .kon2t2r3 .kon3tr4a .kon4tr5a2gi .kon4tr5a2se .kon4tr5a2sy .kon4tr5a2ta .kon4tr5adm .kon4tr5akc .kon4tr5alt
+            .kon4tr5arg .kon3tr4e .kontro2 .kon3tr4o3l .kon3tr4o3w .kon3tr4y .kontru2 .kp8 .kr8 .krótko3tr2 .krótko3w2
+            .kro2ć3 .krz8 .ks8 .kt8 .kv8 .kw8 .kx8 .kz8 .l8 .lć8 .lł8 .lń8 .lś8 .lź8 .lż8 .lb8 .lc8 .ld8 .lf8 .lg8 .lh8
+            .lj8 .lk8 .ll8 .lm8 .ln8 .lp8 .lr8 .ls8 .lt8 .ludo3w2 .lv8 .lw8 .lx8 .lz8 .m8 .mć8 .mł8 .mń8 .mś8 .mź8 .mż8
+            .mb8 .mc8 .md8 .mf8 .mg8 .mh8 .mili3amp .mj8 .mk8 .ml8 .mm8 .mn8 .możno3w2 .mp8 .mr8 .ms8 .mt8 .mv8 .mw8 .mx8
+            .mz8 .n8 .nć8 .nł8 .nń8 .nś8 .nź8 .nż8 .na2d2 .na3dą .na3dę .na3dź2 .nad3ł2 .na3d4łub .nad3i2 .na3d4ir .nad3m2
+            .na3d4much .nad3r2 .na3d4ręcz .na3d4r2w .na3d4repcz .na3d4rept .na3d4ruk .na3d4rz .na4d5rzą .na4d5rzę
+            .na4d5rzecz .na4d5rzy .nad3w2 .na3d4worn .na3daj .na3de .nade3t2 .nad3e2tat .nade3ć2 .nade3ł2 .nade3ś2
+            .nade3ź2 .nade3ż2 .nade3b2 .nade3c2 .nadech2 .nadecz2 .nade3d2 .nadedź2 .nadedż2 .nadedz2 .nade3f2 .nade3g2
+            .nade3h2 .nade3k2 .nade3l2 .nade3m2 .nade3p2 .nade4p3c .nade4p3n .nade4p3t .nade3r2 .naderż2 .naderz2 .nade3s2
+            .nadesz2 .nade3w2 .nade3z2 .na3do .na4d3o2b2ł .na4d3o2bojcz .na4d3o2bowi .na4d3o2brot .na4d3o2drz .na4d3o2kien
+            .na4d3olbrz .na3dy .nadz2 .na3dzi .na4d5ziem .nad5zó .nad5z2mys .nad5zo .nad5zwycz .nad3ś2 .nadśrod5ziem
+            .nad3ć2 .nad3b2 .nad3c2 .nadch2 .nadcz2 .nad3d2 .naddź2 .nad3f2 .nad3g2 .nad3h2 .nad3j2 .nad3k2 .nad3l2
+            .nad3n2 .nad3p2 .nad3s2 .nadsz2 .nad3t2 .nadtr2 .nad3u2 .nad5ż2 .na2j .na3ją .na3ję .na3jazd .naj3akt .naj3au
+            .na3je .na4j3e2f .na4j3e2g .na4j3e2k2s .na4j3e2ko .na4j3e2n .na4j3e2r .na4j3e2s .na4j3e2w .na4j3emf .na4j3eu
+            .naj3ć2 .naj3ł2 .naj3ś2 .naj3ź2 .naj3ż2 .naj3b2 .najbe2z3 .najbezw2 .naj3c2 .najch2 .najcz2 .naj3d2 .najdź2
+            .najdż2 .najdo3ć2 .najdo3ł2 .najdo3ś2 .najdo3ź2 .najdo3ż2 .najdo3b2 .najdo3c2 .najdoch2 .najdocz2 .najdo3d2
+            .najdodź2 .najdodż2 .najdodz2 .najdo3f2 .najdo3g2 .najdo3h2 .najdo3k2 .najdo3l2 .najdo3m2 .najdo3p2 .najdo3r2
+            .najdorz2 .najdo3s2 .najdosz2 .najdo3t2 .najdotk2 .najdo3w2 .najdo3z2 .najdz2 .naj3f2 .naj3g2 .naj3h2 .naj3i2
+            .naj3k2 .najkr2 .naj3l2 .naj3m2 .naj3o2 .naj3o2ć2 .naj3o2ł2 .naj3o2ś2 .naj3o2ź2 .naj3o2ż2 .naj3o2b2 .najob3ć2
+            .najob3ł2 .najob3ś2 .najob3ź2 .najob3ż2 .najob3c2 .najobch2 .najobcz2 .najob3d2 .najobdź2 .najobdż2 .najobdz2
+            .najob3f2 .najob3g2 .najob3h2 .najob3j2 .najob3k2 .najob3l2 .najob3m2 .najob3n2 .najob3p2 .najob3s2 .najobsz2
+            .najob3t2 .najob3w2 .najobrz2 .naj3o2c2 .najoch2 .najocz2 .naj3o2d2 .najodź2 .najod3ć2 .najod3ś2 .najod3c2
+            .najodch2 .najodcz2 .najod3d2 .najoddź2 .najoddż2 .najoddz2 .najod3f2 .najod3g2 .najod3h2 .najod3j2 .najod3k2
+            .najod3l2 .najod3m2 .najod3n2 .najod3p2 .najod3s2 .najodsz2 .najod3t2 .najod3w2 .najod5ż2 .najodz2 .naj3o2f2
+            .naj3o2g2 .naj3o2h2 .naj3o2k2 .naj3o2l2 .naj3o2m2 .naj3o2p2 .naj3o2r2 .najorz2 .naj3o2s2 .najosz2 .naj3o2t2
+            .naj3o2w2 .naj3o2z2 .naj3p2 .naj3r2 .naj3ro2z3 .najro3z4u .najrz2 .naj3s2 .najsm2 .najsz2 .naj3t2 .najtk2
+            .najtr2 .naj3u2 .najucz2 .naj3w2 .naj3z2 .najzw2 .na3ć2 .na3ł2 .na3ś2 .na3ź2 .na3ż2 .na3b2 .nabrz2 .na3c2
+            .nach2 .nacz2 .na3f2 .na4f3c .na4f3t .na3g2 .nagrz2 .na3h2 .na3k2 .nakr2 .na3l2 .na3m2 .na3p2 .napo2d2
+            .napodź2 .napodż2 .napod3d .napo3ć2 .napo3ł2 .napo3ś2 .napo3ź2 .napo3ż2 .napo3b2 .napo3c2 .napoch2 .napocz2
+            .napo3f2 .napo3g2 .napo3h2 .napo3k2 .napo3l2 .napo3m2 .napo4m3p .napomk2 .napo3p2 .napo3r2 .naporz2 .napo3s2
+            .naposz2 .napo3t2 .napo3w2 .napo3z2 .naprz2 .na3r2 .na4r3c .na4r3d .na4r3k .na4r3r .na4r3t .narż2 .naro2z3
+            .narz2 .na3s2 .nasm2 .nasz2 .na3t2 .natch2 .natk2 .na3u2 .na3w2 .na3z2 .naz3m2 .nazw2 .nb8 .nc8 .nd8 .ne2o3
+            .nf8 .ng8 .nh8 .nie3ć2 .nie3ł2 .nie3ś2 .nie3ź2 .nie3ż2 .nie3b2 .nie3c2 .nie4c3c .nie4c3k .niech2 .niecz2
+            .nie3d2 .nie4dź3 .niedż2 .niedo3ć2 .niedo3ł2 .niedo3ś2 .niedo3ź2 .niedo3ż2 .niedo3b2 .niedobrz2 .niedo3c2
+            .niedoch2 .niedocz2 .niedo3d2 .niedodź2 .niedodż2 .niedodz2 .niedo3f2 .niedo3g2 .niedo3h2 .niedo3k2 .niedokr2
+            .niedo3l2 .niedo3m2 .niedomk2 .niedo3p2 .niedopch2 .niedo3r2 .niedorz2 .niedo3s2 .niedosz2 .niedo3t2 .niedotk2
+            .niedo3w2 .niedo3z2 .niedz2 .nie3f2 .nie3g2 .nie3h2 .nie3k2 .nie3l2 .nie3m2 .nie4m3c .nie4m3k .nie3p2
+            .niepo2d2 .niepo3dź2 .niepod3ł2 .niepo3d4łu .niepod3m2 .niepo3d4much .niepod3r2 .niepo3d4ręcz .niepo3d4raż
+            .niepo3d4rap .niepo3d4repcz .niepo3d4rept .niepod3w2 .niepo3d4waj .niepo3d4woj .niepo3do .niepo4d3o2choc
+            .niepo4d3o2strz .niepo3du .niepo3dz2 .niepod3ć2 .niepod3ś2 .niepod3b2 .niepod3c2 .niepodch2 .niepodcz2
+            .niepod3d2 .niepoddź2 .niepoddż2 .niepod3f2 .niepod3g2 .niepod3h2 .niepod3j2 .niepod3k2 .niepod3l2 .niepod3n2
+            .niepod3p2 .niepod3s2 .niepodsm2 .niepodsz2 .niepod3t2 .niepod5ż .niepo3ć2 .niepo3ł2 .niepo3ś2 .niepo3ź2
+            .niepo3ż2 .niepo3b2 .niepo3c2 .niepoch2 .niepocz2 .niepo3f2 .niepo3g2 .niepo3h2 .niepo3k2 .niepo3l2 .niepo3m2
+            .niepo3p2 .niepo3r2 .nieporz2 .niepo3s2 .nieposm2 .nieposz2 .niepo3t2 .niepo3w2 .niepo3z2 .nieprze3ł2
+            .nieprzełk2 .nieprze2d2 .nieprze3dź2 .nieprzed3ł2 .nieprze3d4łuż .nieprze4d5łużyc .nieprzed3m2 .nieprze3d4much
+            .nieprzed3r2 .nieprze3d4ramat .nieprze3d4ruk .nieprze3d4ryl .nieprze3d4rz2 .nieprzed3u2 .nieprze3d4um
+            .nieprze3dy .nieprze3dz2 .nieprze4d5z2a .nieprze4d5zg2 .nieprze4d5zim .nieprze4d5zj .nieprze4d5zl
+            .nieprze4d5zw2r .nieprze4d5zwoj .nieprze4d5ż2 .nieprzed3ć2 .nieprzed3ś2 .nieprzed3c2 .nieprzedch2 .nieprzedcz2
+            .nieprzed3d2 .nieprzeddź2 .nieprzeddż2 .nieprzeddz2 .nieprzed3f2 .nieprzed3g2 .nieprzed3h2 .nieprzed3i2
+            .nieprzed3j2 .nieprzed3k2 .nieprzed3l2 .nieprzed3n2 .nieprzed3p2 .nieprzed3s2 .nieprzed3sz2 .nieprzed3t2
+            .nieprzed3w2 .nieprze3ć2 .nieprze3ś2 .nieprze3ź2 .nieprze3ż2 .nieprze3b2 .nieprze3brz2 .nieprze3c2 .nieprzech2
+            .nieprzecz2 .nieprze3e2k2s3 .nieprze3f2 .nieprze3g2 .nieprzegrz2 .nieprze3h2 .nieprze3k2 .nieprzekl2
+            .nieprzekr2 .nieprze3l2 .nieprze3m2 .nieprze3n2 .nieprze3p2 .nieprzepch2 .nieprze3r2 .nieprzerż2 .nieprzerz2
+            .nieprze3s2 .nieprzesch2 .nieprzesm2 .nieprzesz2 .nieprze3t2 .nieprzetk2 .nieprzetr2 .nieprze3w2 .nieprze3z2
+            .nie3r2 .niero2z3 .niero3z4e .nieroze3r2 .niero3z4u .nierozś2 .nierozbrz2 .nierozm2 .nieroztr2 .nierz2 .nie3s2
+            .niesu2b3 .niesu3b4ie .niesz2 .nie3t2 .nietk2 .nietr2 .nie3u2 .nieucz2 .nieuw2 .nie3w2 .niewy3ć2 .niewy3ł2
+            .niewy3ś2 .niewy3ź2 .niewy3ż2 .niewy3b2 .niewybrz2 .niewy3c2 .niewych2 .niewycz2 .niewy3d2 .niewydź2 .niewydż2
+            .niewydz2 .niewy3f2 .niewy3g2 .niewy3h2 .niewy3k2 .niewy3l2 .niewy3m2 .niewy3p2 .niewy3r2 .niewyrz2 .niewy3s2
+            .niewysz2 .niewy3t2 .niewytk2 .niewytr2 .niewy3w2 .niewy3z2 .nie3z2 .niezw2 .nieo2 .nieoć2 .nieoł2 .nieoś2
+            .nieoź2 .nieoż2 .nieob2 .nieob3ć2 .nieob3ś2 .nieob3ź2 .nieob3ż2 .nieob3c2 .nieobch2 .nieobcz2 .nieob3d2
+            .nieobdź2 .nieobdż2 .nieobdz2 .nieob3f2 .nieob3g2 .nieob3h2 .nieob3j2 .nieob3k2 .nieob3m2 .nieob3p2 .nieob3s2
+            .nieobsz2 .nieob3w2 .nieoc2 .nieoch2 .nieocz2 .nieod2 .nieodź2 .nieod3ć2 .nieod3ł2 .nieod3ś2 .nieod3c2
+            .nieodch2 .nieodcz2 .nieod3d2 .nieoddź2 .nieoddż2 .nieoddz2 .nieod3f2 .nieod3g2 .nieod3h2 .nieod3j2 .nieod3k2
+            .nieod3l2 .nieod3n2 .nieod3p2 .nieod3s2 .nieodsz2 .nieod3t2 .nieodw2 .nieod3wr .nieod5ż2 .nieodz2 .nieof2
+            .nieog2 .nieoh2 .nieok2 .nieol2 .nieom2 .nieop2 .nieor2 .nieorz2 .nieos2 .nieosz2 .nieot2 .nieow2 .nieoz2 .nj8
+            .nk8 .nl8 .nm8 .nn8 .np8 .nr8 .ns8 .nt8 .nv8 .nw8 .nx8 .nz8 .oć2 .oś2 .ośmio3ś2 .oź2 .oż2 .o2b2 .ob3ł2 .o3b4łą
+            .o3b4łę .o3b4łoc .o4b5łocz .ob3l2 .o3b4luzg .ob3r .o3b4rać .o3b4raso .o3b4roń .o3b4ron .o3b4ryź .o3b4ryz
+            .o3b4rz2 .o4b5rzą .o4b5rzęd .o4b5rzez .o4b5rzuc .o4b5rzut .o4b5rzyn .o3be .obe3ć2 .obe3ł2 .obe3ś2 .obe3ź2
+            .obe3ż2 .obe3b2 .obe3c2 .obe4c3n .obech2 .obecz2 .obe3d2 .obedź2 .obedż2 .obedz2 .obe3f2 .obe3g2 .obe3h2
+            .obe3k2 .obe3l2 .obe3m2 .obe3p2 .obe3r2 .obe3r3t .oberż2 .ober3m .oberz2 .obe3s2 .obesch2 .obesz2 .obe3t2
+            .obetk2 .obe3w2 .obe3z2 .obe4z3w .o3bi .obi3b2 .ob3ć2 .ob3ś2 .ob3ź2 .ob3ż2 .ob3c2 .obch2 .obcz2 .ob3d2 .obdź2
+            .obdż2 .obdz2 .ob3f2 .ob3g2 .ob3h2 .ob3j2 .ob3k2 .ob3m2 .ob3n2 .ob3o2strz .ob3p2 .ob3s2 .obsz2 .ob3t2 .ob3u2m2
+            .ob3w2 .o2d2 .od3i2 .o3d4iu .od3i2zo .od3r2 .o3d4ręt .o3d4rap .o3d4robin .o3d4rut .o3d4rwi .odrz2 .o3d4rzeć
+            .o3d4rzw .od5z2 .o3d6zia .o4d7ziar .o3d6zie .o4d7ziem .o3de .ode3ć2 .ode3ł2 .ode3ś2 .ode3ź2 .ode3ż2 .ode3b2
+            .ode3c2 .odech2 .odecz2 .ode3d2 .odedź2 .odedż2 .odedz2 .ode3f2 .ode3g2 .ode3h2 .ode3k2 .ode3l2 .ode3m2
+            .ode3mk2 .ode3p2 .odepch2 .ode3r2 .oderż2 .oderz2 .ode3s2 .odesz2 .ode3t2 .odetch2 .odetk2 .ode3w2 .ode3z2
+            .odź2 .od3ć2 .od3ś2 .od3au .od3b2 .odbe2z3 .od3c2 .odch2 .odcz2 .od3d2 .oddź2 .oddż2 .oddz2 .od3f2 .od3g2
+            .od3h2 .od3j2 .od3k2 .odkrz2 .od3l2 .od3m2 .od3n2 .od3o2s .od3p2 .od3s2 .odsz2 .od3t2 .od3u2cz .od3u2m2 .od3w2
+            .od5ż2 .ot2 .o2t3chł .o3l2śn .ole2o3 .oa3z .oc2 .och2 .ochrz2 .ocz2 .of2 .og2 .ogólno3k2 .ognio3tr2 .oh2 .ok2
+            .oka3m2 .okr2 .om2 .op2 .opch2 .or2ż2 .or2tę .or2z2 .os2 .osie2m3 .osiemse2t3 .osz2 .ow2 .oz2 .p8 .pć8 .pł8
+            .płasko3w2 .pń8 .pó2ł3 .półk2 .półkr2 .półm2 .póło2 .półob3r .półom2d .półprzy3m2k .pó3ł4ą .pó3ł4ę .pó3ł4ecz
+            .pó3ł4y .pś8 .pź8 .pż8 .pb8 .pc8 .pch8 .pd8 .pełno3kr2 .pe2r3 .pe3r4e .pe3r4i .pe4r5i2n .pe3r4o .pe3r4u
+            .pe3r4y .pe3c2k .pee2se2l .pepee2r .pepee2s .peze2t1pee2r .pf8 .pg8 .ph8 .pię2ć3 .pięćse2t3 .pięcio3ś2
+            .pierwo3w2 .piono3w2 .pj8 .pk8 .pl8 .pm8 .pn8 .po3ł2 .połk2 .po2d2 .po3dą .po3dę .po3dź2 .pod3ł2 .po3d4łu
+            .pod3m2 .po3d4much .pod3n2 .po3d4naw .pod3r2 .po3d4ręcz .po4d5ręczn .po3d4rętw .po3d4róż .po3d4r2wi .po3d4raż
+            .po3d4rap .po3d4repcz .po3d4rept .po3d4roż .po3d4robó .po3d4roba .po3d4robo .po3d4roby .po3d4rocz .podro2z3
+            .po3d4ruzg .po3d4ryg .po3d4rze .pod3w2 .po3d4wójn .po3d4wór .po3d4waj .po3d4woi .po3d4woj .po3d4worz .po3da
+            .pod3alp .po3de .po3dej .pode3k2 .po4d3e4k2s3 .pode3ć2 .pode3ł2 .pode3ś2 .pode3ź2 .pode3ż2 .pode3b2 .pode3c2
+            .podech2 .podecz2 .pode3d2 .podedź2 .podedż2 .podedz2 .pode3f2 .pode3g2 .pode3h2 .pode3l2 .pode3m2 .pode3p2
+            .podepch2 .pode3r2 .poderż2 .poderz2 .pode3s2 .podesch2 .podesz2 .pode3t2 .pode3tk2 .pode3w2 .pode3z2 .po3diu
+            .pod3i2n .po3do .po4d3o2bóz .po4d3o2biad .po4d3o2bojcz .po4d3o2braz .po4d3obsz .po4d3o2choc .po4d3o2dm
+            .po4d3odd .po4d3o2f .po4d3o2g .po4d3o2kien .po4d3o2kn .po4d3o2kręg .po4d3o2kres .po4d3o2piecz .po4d3o2ryw
+            .po4d3o2siniak .po4d3o2strz .po4d3olbrz .po3du .po4d3u2cz .po4d3u2dz .po4d3u2pa .po4d3u2ral .po4d3u2sta
+            .po4d3u2szcz .po5d4uszczyn .po3dy .po3dz2 .po4d5zakr .po4d5zam .po4d5zast .po4d5zbi .po4d5ze .po4d5zielenią
+            .po4d5zielenić .po4d5zielenię .po4d5zielenił .po4d5zielenic .po4d5zielenien .po4d5zielenil .po4d5zielenim
+            .po4d5zielenio .po4d5zielenis .po4d5ziem .po4d5ziom .po4d5zw2r .po4d3ów .pod3ć2 .pod3ś2 .pod3śró2d5 .pod3b2
+            .pod3c2 .podch2 .podcz2 .pod3d2 .poddź2 .poddż2 .pod3f2 .pod3g2 .pod3h2 .pod3j2 .pod3k2 .pod3l2 .pod3p2
+            .pod3s2 .podsm2 .podsz2 .pod3t2 .pod5ż2 .po3ć2 .po3ś2 .po3ź2 .po3ż2 .po3b2 .pobr2 .pobrz2 .po3c2 .pocz2
+            .po4cz3d .po4cz3t .poch2 .pochrz2 .po3e2k2s3 .po3f2 .po3g2 .pogrz2 .po3h2 .po3k2 .pokl2 .pokr2 .po3l2 .po4l3s
+            .po3m2 .po4m3p .pom4pk .pomk2 .po3p2 .popch2 .popo3w2 .poprz2 .po3r2 .po3rż .po4r3c .po4r3f .po4r3n .po4r3t
+            .po5r4tę .por4t1w .por4tf .por4tm .poro2z3 .poro3z4u .porz2 .po3s2 .po4st3d .po4st3f .po4st3g .po4st3h
+            .po4st3i2 .po4st3k .po4st3l .po4st3m .po4st3p .po4st3rom .po4st3s .posch2 .posm2 .posz2 .po3t2 .potk2 .potr2
+            .po3w2 .po3z2 .poz4m2 .poza3u2 .pozw2 .po4ń3c .pona2d2 .pona3dź2 .pona3do .ponad3ć2 .ponad3ś2 .ponad3c2
+            .ponad3ch2 .ponad3cz2 .ponad3dź2 .ponad3f2 .ponad3g2 .ponad3h2 .ponad3j2 .ponad3k2 .ponad3l2 .ponad3p2
+            .ponad3s2 .ponad3t2 .ponadz2 .pona3ć2 .pona3ł2 .pona3ś2 .pona3ź2 .pona3ż2 .pona3b2 .ponabrz2 .pona3c2
+            .pona3cz2 .ponach2 .pona3f2 .pona4f3t .pona3g2 .pona3h2 .pona3k2 .pona3l2 .pona3m2 .pona3p2 .pona3r2 .ponarz2
+            .pona3s2 .ponasm2 .ponasz2 .pona3t2 .pona3w2 .pona3z2 .ponaz3m2 .ponazw2 .ponie3k2 .ponie3w2 .pp8 .pr8 .pra3s2
+            .pra3w2nu .pra3w2z .prapra3w2nu .predy2s3po .prz8 .prze3ł2 .przełk2 .prze2d2 .prze3dą .prze3dę .prze3dź2
+            .przed3ł2 .prze3d4łuż .prze4d5łużyc .przed3m2 .prze3d4much .przed3o2 .prze3d4o3br .prze3d4o3st .prze4d5o4stat
+            .prze3d4o3zo .przed3r2 .prze3d4ramat .prze3d4ruk .prze3d4ryl .prze3d4rz2 .przed3u2 .prze3d4um .prze3dy
+            .przedy2s3ku .prze3dz2 .prze4d5za .prze4d5zg2 .prze4d5zim .prze4d5zj .prze4d5zl .prze4d5zw2r .prze4d5zwoj
+            .prze4d5ż2 .przed3ć2 .przed3ś2 .przed3a2gon .przed3a2kc .przed3alp .przed3b2 .przed3c2 .przedch2 .przedcz2
+            .przed3d2 .przeddź2 .przeddż2 .przeddz2 .przed3e2gz .przed3e2mer .przed3f2 .przed3g2 .przedgrz2 .przed3h2
+            .przed3i2 .przed3j2 .przed3k2 .przed3l2 .przed3n2 .przed3p2 .przed3s2 .przed3się3w2 .przed3sz2 .przed3t2
+            .przed3w2 .prze3ć2 .prze3ś2 .prze3ź2 .prze3ż2 .prze3b2 .przebr2 .przebrz2 .prze3c2 .przech2 .przechrz2
+            .przeci2w3 .przeci3w4ie .przeciwa2 .przeciww2 .przecz2 .prze3e2k2s3 .prze3f2 .prze3g2 .przegrz2 .prze3h2
+            .prze3k2 .przekl2 .przekr2 .prze3l2 .prze3m2 .przemk2 .prze3n2 .prze3p2 .przepch2 .prze3r2 .przerż2 .przerz2
+            .prze3s2 .przesch2 .przesm2 .przesz2 .prze3t2 .przetk2 .przetr2 .przetran2s3 .prze3u2 .prze3w2 .prze3z2
+            .przy3ć2 .przy3ł2 .przy3ś2 .przy3ź2 .przy3ż2 .przy3b2 .przybr2 .przy3c2 .przych2 .przycz2 .przy3d2 .przydź2
+            .przydż2 .przydz2 .przy3f2 .przy3g2 .przygrz2 .przy3h2 .przy3k2 .przy3l2 .przy3m2 .przymk2 .przy3p2 .przypch2
+            .przy3r2 .przyrż2 .przyrz2 .przy3s2 .przysch2 .przysz2 .przy3t2 .przytk2 .przy3w2 .przy3z2 .przyoz2 .ps8 .pt8
+            .pv8 .pw8 .px8 .pz8 .r8 .rć8 .rł8 .rń8 .rś8 .rź8 .rż8 .rb8 .rc8 .rd8 .retran2s3 .rf8 .rg8 .rh8 .rj8 .rk8 .rl8
+            .rm8 .rn8 .ro2z3 .ro3z4a .ro4z5a2gi .ro4z5a2nie .ro3z4e .ro3z4e3ć2 .ro3z4e3ł2 .ro3z4e3ś2 .ro3z4e3ź2 .ro3z4e3ż2
+            .ro3z4e3b2 .ro3z4e3c2 .rozech2 .rozecz2 .ro3z4e3d2 .rozedź2 .rozedż2 .rozedz2 .ro3z4e3f2 .ro3z4e3g2
+            .ro4z5e4g3z .ro3z4e3h2 .ro3z4e3k2 .ro3z4e3l2 .ro3z4e3m2 .ro4z5e2mo .ro3z4e3p2 .rozepch2 .ro3z4e3r2 .rozerż2
+            .rozerz2 .ro3z4e3s2 .rozesch2 .rozesz2 .ro3z4e3t2 .ro3z4e3w2 .ro3z4e3z2 .ro3z4ej .ro4z5e4n3t .ro3z4u .rozś2
+            .rozbrz2 .rozd2 .rozi2 .rozm2 .rozo2 .rozpo3w2 .rozt2 .roztr2 .rozw2 .rp8 .rr8 .rs8 .rt8 .rv8 .rw8 .rx8 .rz8
+            .s8 .sć8 .sł8 .sń8 .sś8 .sź8 .sż8 .samo3ch2 .samo3k2 .samo3p2 .samo3w2 .samoro2z3 .sb8 .sc8 .sch8 .sd8 .sf8
+            .sg8 .sh8 .siede2m3 .siedemse2t3 .siedmio3ś2 .sj8 .sk8 .ską2d5że .skl8 .skr8 .sl8 .sm8 .sn8 .sobo3w2 .sp8
+            .spó2ł3 .spo2d2 .spo3dz2 .spodź2 .spodż2 .spod3d .spo3ć2 .spo3ł2 .spo3ś2 .spo3ź2 .spo3ż2 .spo3b2 .spo3c2
+            .spoch2 .spocz2 .spo3f2 .spo3g2 .spo3h2 .spo3k2 .spo3l2 .spo3m2 .spo3p2 .spo3r2 .spo4r3n .spo4r3t .sporz2
+            .spo3s2 .sposz2 .spo3t2 .spo3w2 .spo3z2 .sr8 .ss8 .st8 .stere2o3 .stereoa2 .stereoe2 .stereoi2 .stereoo2
+            .stereou2 .su2b3 .su3b4ie .su3b4otn .supe2r3 .supe3r4at .supe4r5a2tr .supe3r4io .super5z2b .supere2
+            .supero2d1rzut .sv8 .sw8 .sx8 .sz8 .sze2ś2ć3 .sześćse2t3 .sześcio3ś2 .sze2s3 .t8 .tć8 .tł8 .tń8 .tś8 .tź8 .tż8
+            .ta2o3 .ta2r7zan .tb8 .tc8 .tch8 .td8 .te2o3 .tf8 .tg8 .th8 .tj8 .tk8 .tl8 .tm8 .tn8 .toa3 .tp8 .tr8 .tró2j3
+            .tró3j4ą .tró3j4ę .tró3j4ecz .tran2s3 .tran3s4e .tran4s5eu .tran3s4ie .tran3s4y .tran3sz .transa2 .transo2
+            .trz8 .trze2ch3 .trzechse2t3 .ts8 .tt8 .tv8 .tw8 .tx8 .tysią2c3 .tysią3c4a .tysią3c4e .tysią3cz .tysią4c5zł
+            .tz8 .uć2 .uś2 .u3ł2 .u3ź2 .u3ż2 .u3b2 .ube2z3 .ubezw2 .ubr2 .u3c2 .uch2 .ucz2 .u3d2 .u4d3k .udź2 .udż2 .udz2
+            .u3f2 .u4f3n .u3g2 .u3h2 .u3k2 .u4k3lej .ukr2 .u3l2 .u4l3s .u4l3t .u3m2 .u4m3br .umk2 .u3n2 .u4n3c .u4n3d
+            .u3p2 .u4p3p2s .upch2 .upo2d2 .upo3da .upodź2 .upodż2 .upod3d .upo3ć2 .upo3ł2 .upo3ś2 .upo3ź2 .upo3ż2 .upo3b2
+            .upo3c2 .upoch2 .upocz2 .upo3f2 .upo3g2 .upo3h2 .upo3k2 .upo3l2 .upo3m2 .upo3p2 .upo3r2 .uporz2 .upo3s2
+            .uposz2 .upo3t2 .upo3w2 .upo3z2 .u3r2 .u4r3s .urż2 .uro2z3 .urz2 .u3s2 .u4st3n .u4stc .u4stk .usch2 .usz2
+            .u3t2 .utk2 .utr2 .u3w2 .u3z2 .u4z3be .uze3w2 .v8 .vć8 .vł8 .vń8 .vś8 .vź8 .vż8 .vb8 .vc8 .vd8 .vf8 .vg8 .vh8
+            .vj8 .vk8 .vl8 .vm8 .vn8 .vp8 .vr8 .vs8 .vt8 .vv8 .vw8 .vx8 .vz8 .w8 .wć8 .wł8 .wń8 .wś8 .wź8 .wż8 .wb8 .wc8
+            .wd8 .we3ć2 .we3ł2 .we4ł3n .we3ś2 .we3ż2 .we3b2 .we3c2 .wech2 .wecz2 .we3d2 .wedź2 .wedż2 .wedz2 .we3f2 .we3g2
+            .we3h2 .we3k2 .we4k3t .we3l2 .we4l3w .we3m2 .wemk2 .we3n2 .we4n3d .we4n3t .we3p2 .wepch2 .we3r2 .we4r3b
+            .we4r3d .we4r3n .we4r3s .we4r3t .werz2 .we3s2 .we4s3prz .we4s3tch2 .wesz2 .we3t2 .wetk2 .we3w2 .wewną2trz3
+            .we3z2 .we4z3br .we4z3gł .wf8 .wg8 .wh8 .wielo3ś2 .wielo3d2 .wielo3k2 .wieluse2t3 .wilczo3m2 .wj8 .wk8 .wl8
+            .wm8 .wn8 .wniebo3w2 .wodo3w2 .wp8 .wr8 .ws8 .wspó2ł3 .współi2 .współo2b3w .współu2 .współw2 .wsze2ch3
+            .wszecho2 .wszechw2 .wt8 .wv8 .ww8 .wx8 .wy3ć2 .wy3ł2 .wy3ś2 .wy3ź2 .wy3ż2 .wy4ż3sz .wy3b2 .wybr2 .wybrz2
+            .wy3c2 .wycz2 .wy4cz3ha .wych2 .wy3d2 .wydź2 .wydż2 .wydr2 .wydz2 .wy3f2 .wy3g2 .wygrz2 .wy3h2 .wy3k2 .wykl2
+            .wykr2 .wykrz2 .wy3l2 .wy3m2 .wymk2 .wy3o2d3r .wy3p2 .wypch2 .wyprz2 .wy3r2 .wyrż2 .wyrz2 .wy3s2 .wysch2
+            .wysm2 .wysz2 .wy3t2 .wytch2 .wytk2 .wytr2 .wy3w2 .wy3z2 .wye2k2s3 .wyi2zo .wz8 .x8 .xć8 .xł8 .xń8 .xś8 .xź8
+            .xż8 .xb8 .xc8 .xd8 .xf8 .xg8 .xh8 .xj8 .xk8 .xl8 .xm8 .xn8 .xp8 .xr8 .xs8 .xt8 .xv8 .xw8 .xx8 .xz8 .z8 .zć8
+            .zł8 .zło3w2 .zń8 .zś8 .zź8 .zż8 .za3ć2 .za3ł2 .za3ś2 .za3ź2 .za3ż2 .za3b2 .zabr2 .zabrz2 .za3c2 .zach2 .zacz2
+            .za3d2 .zadź2 .zadż2 .zado2ść3 .zadośću4 .zadr2 .zady2s3po .zadz2 .za3f2 .za3g2 .zagrz2 .za3h2 .za3k2 .za4k3t
+            .zakl2 .zakr2 .zakrz2 .za3l2 .za4l3g .za4l3k .za4l3t .za3m2 .za4m3k .za5m4k2n .za3o2b3r .za3o2b3s .za3p2
+            .za3r2 .za4r3ch .zarż2 .zarz2 .za3s2 .zasch2 .zasm2 .zasz2 .za3t2 .zatk2 .zatr2 .za3u2 .za4uto .za3w2 .za3z2
+            .zai2n3 .zain4ic .zai2zo .zanie3d2 .zb8 .zc8 .zd8 .zde2z3 .zde3z4awu .zde3z4el .zde3z4er .zde3z4y .zdy2s3kont
+            .zdy2s3kred .zdy2s3kwal .ze3ć2 .ze3ł2 .ze3ś2 .ze3ź2 .ze3ż2 .ze3b2 .ze3c2 .zech2 .zecz2 .ze3d2 .zedź2 .zedż2
+            .zedz2 .ze3f2 .ze3g2 .ze3h2 .ze3k2 .zekl2 .ze3l2 .ze3m2 .ze3p2 .zepch2 .ze3r2 .ze4r3k .zerż2 .zerz2 .ze3s2
+            .zesch2 .zesm4 .zesz2 .ze3t2 .ze3tk2 .ze4t3e2m1e2s .ze4t3emp .ze4t3e2s1e2l .ze4t3hap .ze3w2 .ze3z2 .zf8 .zg8
+            .zh8 .zimno3kr2 .zj8 .zk8 .zl8 .zm8 .zmartwy2ch3 .zmartwychw2 .zn8 .znie3ć2 .znie3ł2 .znie3ń2 .znie3ś2
+            .znie3ź2 .znie3ż2 .znie3b2 .znie3c2 .zniech2 .zniecz2 .znie3d2 .znie4dź3 .zniedż2 .zniedz2 .znie3f2 .znie3g2
+            .znie3h2 .znie3k2 .znie3l2 .znie3m2 .znie4m3c .znie3n2 .znie3p2 .znie3r2 .znierz2 .znie3s2 .zniesz2 .znie3t2
+            .znie3w2 .znie3z2 .zo2o3 .zp8 .zr8 .zro2z3 .zro3z4u .zs8 .zt8 .zv8 .zw8 .zx8 .zz8 ą1 ę1 ó1 ó4w3cz ś1c 1ś2ci
+            8śc. 2śćc 8ść. 2ś1ś 8śś. 2ś1ź 8śź. 2ś1ż 8śż. 2ś1b 8śb. 2ś1d 8śd. 2ś1f 8śf. 2ś1g 8śg. 2ś1k 8śk. 2ś1p 8śp. 2ś1s
+            8śs. 2ś1t 8śt. 2ś1z 8śz. 2ślm 2śln 8śl. 8ś. 8śł. 8śń. 8śh. 8śj. 8śm. 8śn. 8śr. 8śv. 8św. 8śx. 2ź1d ź2dź 8źd.
+            2ź1ć 8źć. 2ź1ś 8źś. 2ź1ż 8źż. 2ź1b 8źb. 2ź1c 8źc. 2ź1f 8źf. 2ź1g 8źg. 2ź1k 8źk. 2ź1l 8źl. 2ź1m 8źm. 2ź1n 8źn.
+            2ź1p 8źp. 2ź1s 8źs. 2ź1t 8źt. 2ź1w 8źw. 2ź1z 8źz. 4ź3ź 8źź. 8ź. 8źł. 8źń. 8źh. 8źj. 8źr. 8źv. 8źx. 2ć1ń 8ćń.
+            2ć1ś 8ćś. 2ć1ź 8ćź. 2ć1ż 8ćż. 2ć1b 8ćb. 2ć1c 8ćc. 2ć1d 8ćd. 2ć1f 8ćf. 2ć1g 8ćg. 2ć1k 8ćk. 2ć1m 8ćm. 2ć1n 8ćn.
+            2ć1p 8ćp. 2ć1s 8ćs. 2ć1t 8ćt. 2ć1z 8ćz. 4ć3ć 8ćć. 8ć. 8ćł. 8ćh. 8ćj. 8ćl. 8ćr. 8ćv. 8ćw. 8ćx. 2ł1ć 8łć. 2ł1ń
+            8łń. 2ł1ś 8łś. 2ł1ź 8łź. 2ł1ż 8łż. 2ł1b 8łb. 2ł1c 8łc. 2ł1d 8łd. 2ł1f 8łf. 2ł1g 8łg. 2ł1h 8łh. 2ł1j 8łj. 2ł1k
+            8łk. 2ł1l 8łl. 2ł1m 8łm. 2ł1n 8łn. 2ł1p 8łp. 2ł1r 8łr. 2ł1s 8łs. 2ł1t 8łt. 2ł1w 8łw. 2ł1z 8łz. 4ł3ł 8łł. 8ł.
+            8łv. 8łx. 2ń1ć 8ńć. 2ń1ł 8ńł. 2ń1ń 8ńń. 2ń1ś 8ńś. 2ń1ź 8ńź. 2ń1ż 8ńż. 2ń1b 8ńb. 2ń1c 8ńc. 2ń1d 8ńd. 2ń1f 8ńf.
+            2ń1g 8ńg. 2ń1h 8ńh. 2ń1j 8ńj. 2ń1k 8ńk. 2ń1l 8ńl. 2ń1m 8ńm. 2ń1n 8ńn. 2ń1p 8ńp. 2ń1r 8ńr. 2ń1s 8ńs. 2ń1t 8ńt.
+            2ń1w 8ńw. 2ń1z 8ńz. 8ń. 8ńv. 8ńx. 2ż1ć 8żć. 2ż1ł 8żł. 2ż1ń 8żń. 2ż1ś 8żś. 2ż1ź 8żź. 2ż1b 8żb. 2ż1c 8żc. 2ż1d
+            8żd. 2ż1f 8żf. 2ż1g 8żg. 2ż1j 8żj. 2ż1k 8żk. 2ż1l 8żl. 2ż1m 8żm. 2ż1n 8żn. 2ż1p 8żp. 2ż1r 8żr. 2ż1s 8żs. 2ż1t
+            8żt. 2ż1w 8żw. 2ż1z 8żz. 4ż3ż 8żż. 8ż. 8żh. 8żv. 8żx. 2błk 8bł. 2b1ć 8bć. 2b1ń 8bń. 2b1ś 8bś. 2b1ź 8bź. 2b1ż
+            8bż. 2b1c 8bc. 2b1d 8bd. 2b1f 8bf. 2b1g 8bg. 2b1k 8bk. 2b1m 8bm. 2b1n 8bn. 2b1p 8bp. 2b1s 8bs. 2b1t 8bt. 2b1z
+            8bz. 2brn 8br. 8brz. br2d bro2a2d3way 4b3b 8bb. 8b. 8bh. 8bj. 8bl. blo2k1hauz 8bv. 8bw. 8bx. be2eth be2f3sz2
+            be2k1hend bi2n3o2ku bi2sz3kop bi2z3nes bi2z3ne2s3m birmin2g1ham bo2s3ma bu2sz3me busines2s busine2ss3m
+            buk2sz3pan 2c1ć 8cć. 2c1ń 8cń. 2c1ś 8cś. 2c1ź 8cź. 2c1ż 8cż. 2c1b 8cb. 2c1d 8cd. 2c1f 8cf. 2c1g 8cg. 2c1k 8ck.
+            2c1l 8cl. 2c1m 8cm. 2c1n 8cn. 2c1p 8cp. 2c1s 8cs. 2c1t 8ct. c4h 2ch1ć 2ch1ń 2ch1ś 2ch1ź 2ch1ż 2ch1b 2ch1c
+            2ch1d 2ch1f 2ch1g 2ch1k 2ch1m 2ch1n 2ch1p 2ch1s 2ch1t 2ch1z 8ch. ch2ł 8chł. ch2r 8chrz. ch2w 8chw. ch2j ch2l
+            chus1t c4z 2cz1ć 2cz1ń 2cz1ś 2cz1ź 2cz1ż 2cz1b 2cz1c 2cz1d 2cz1f 2cz1g 2cz1k 2cz1l 2cz1m 2cz1n 2cz1p 2cz1s
+            2cz1t 8czt. 2cz1z 8cz. 4c3c 8cc. 8c. 8cł. 8cj. 8cr. 8cv. 8cw. 8cx. cal2d1well cu2r7zon 2dłb 2dłsz 8dł. d4ź
+            2dź1ć 2dź1ń 2dź1ś 2dź1ź 2dź1ż 2dź1b 2dź1c 2dź1d 2dź1f 2dź1g 2dź1k 2dź1m 2dź1n 2dź1p 2dź1s 2dź1t 2dź1z 8dź. d4ż
+            2dż1ć 2dż1ń 2dż1ś 2dż1ź 2dż1ż 2dż1b 2dż1c 2dż1d 2dż1f 2dż1g 2dż1k 2dż1m 2dż1n 2dż1p 2dż1s 2dż1t 2dż1z 8dż.
+            dż2ł dż2j dż2l dż2r dż2w dże4z3b dże4z3m 2d1ć 8dć. 2d1ń 8dń. 2d1ś 8dś. 2d1b 8db. 2d1c 8dc. 2d1f 8df. 2d1g 8dg.
+            2d1k 8dk. 2d1m 8dm. 2d1n 3d2niow 8dn. 2d1p 8dp. 2d1s 8ds. 2d1t 8dt. 2drn 8dr. 8drz. drz2w d4z 2dz1ć 2dz1ń
+            2dz1ś 2dz1ź 2dz1ż 2dz1b 2dz1c 2dz1d 2dz1f 2dz1g 2dz1k 2dz1l 2dz1m 2dz1n 2dz1p 2dz1s 2dz1t 2dz1z 8dz. 4d3d 8dd.
+            8d. 8dh. 8dj. 8dl. 8dv. 8dw. 8dx. deut4sch3land du2sz3past 2f1c 8fc. 2f1k 8fk. 2f1m 8fm. 2f1n 8fn. 4f3f 8ff.
+            8f. 8fć. 8fł. 8fń. 8fś. 8fź. 8fż. 8fb. 8fd. 8fg. 8fh. 8fj. 8fl. 8fp. 8fr. 8fs. 8ft. 8fv. 8fw. 8fx. 8fz.
+            fi2s3harm fi2sz3bin fo2k2s3t fo2r5zac fol2k1lor fos2f1a2zot 2głb 8gł. 2g1ć 8gć. 2g1ń 8gń. 2g1ś 8gś. 2g1ź 8gź.
+            2g1ż 8gż. 2g1b 8gb. 2g1c 8gc. 2g1d 8gd. 2g1f 8gf. 2g1k 8gk. 2g1m 8gm. 2g1p 8gp. 2g1s 8gs. 2g1t 8gt. 2g1z 8gz.
+            4g3g 8gg. 8g. 8gh. 8gj. 8gl. 8gn. 8gr. gran2d1ilo gro4t3r 8gv. 8gw. 8gx. ga3d2get gado3p2ta gol2f3s golfsz2
+            2h1ć 8hć. 2h1ł 8hł. 2h1ń 8hń. 2h1ś 8hś. 2h1ź 8hź. 2h1ż 8hż. 2h1b 8hb. 2h1c 8hc. 2h1d 8hd. 2h1f 8hf. 2h1g 8hg.
+            2h1j 8hj. 2h1k 8hk. 2h1l 8hl. 2h1m 8hm. 2h1n 8hn. 2h1p 8hp. 2h1r 8hr. 2h1s 8hs. 2h1t 8ht. 2h1w 8hw. 2h1z 8hz.
+            4h3h 8hh. 8h. 8hv. 8hx. hi2sz3p hu2cz1w hu2x3ley 2j1ć 8jć. 2j1ł 8jł. 2j1ń 8jń. 2j1ś 8jś. 2j1ź 8jź. 2j1ż 8jż.
+            2j1b 8jb. 2j1c 8jc. 2j1d 8jd. 2j1f 8jf. 2j1g 8jg. 2j1h 8jh. 2j1k 8jk. 2j1l 8jl. 2j1m 8jm. 2j1n 8jn. 2j1p 8jp.
+            2j1r 8jr. 2j1s 8js. 2j1t 8jt. j2t1ł j2t1r 2j1w 8jw. 2j1z 8jz. 4j3j 8jj. 8j. 8jv. 8jx. ja4z4z3b ja4z4z3m 2kłb
+            8kł. 2k1ć 8kć. 2k1ń 8kń. 2k1ś 8kś. 2k1ź 8kź. 2k1ż 8kż. 2k1b 8kb. 2k1c 8kc. 2k1d 8kd. 2k1f 8kf. 2k1g 8kg. 2k1m
+            8km. 2k1n 8kn. 2k1p 8kp. 2k1s 2k1sz 3k2sz2t 8ks. 8kst. 2k1t 8kt. 2k1z 8kz. 4k3k 8kk. 8k. 8kh. 8kj. 8kl. 8kr.
+            8kv. 8kw. 8kx. karl2s1kron karl2s1ruhe kir2chhoff kongre2s3m 2l1ć 8lć. 2l1ł 8lł. 2l1ń 8lń. 2l1ś 8lś. 2l1ź 8lź.
+            2l1ż 8lż. 2l1b 8lb. 2l1c 8lc. 2l1d 8ld. 2l1f 8lf. 2l1g 8lg. 2l1h 8lh. 2l1j 8lj. 2l1k 8lk. 2l1m 8lm. 2l1n 8ln.
+            2l1p 8lp. 2l1r 8lr. 2l1s 8ls. 2l1t 8lt. 2l1w 8lw. 2l1z 8lz. 4l3l 8ll. 8l. 8lv. 8lx. led1w lu2ft3waffe
+            lu2ks1fer ly2o 2m1ć 8mć. 2m1ł 8mł. 2m1ń 8mń. 2m1ś 8mś. 2m1ź 8mź. 2m1ż 8mż. 2m1b 8mb. 2m1c 8mc. 2m1d 8md. 2m1f
+            8mf. 2m1g 8mg. 2m1h 8mh. 2m1j 8mj. 2m1k 3m2k2n 8mk. 2m1l 8ml. 2m1n 3m2nest 3m2nezj 8mn. 2m1p 8mp. 2m1r 8mr.
+            2m1s 3m2sk2n 8ms. 8mst. 2m1t 8mt. 2m1w 8mw. 2m1z 8mz. 4m3m 8mm. 8m. 8mv. 8mx. ma2r5zł ma2r5zl ma2r5zn
+            mi2sz1masz mie2r5zł mie2r5zi mon2t3real moza2i3k mu2r7zasich3l 2n1ć 8nć. 2n1ł 8nł. 2n1ń 8nń. 2n1ś 8nś. 2n1ź
+            8nź. 2n1ż 8nż. 2n1b 8nb. 2n1c 8nc. 2n1d 8nd. 2n1f 8nf. 2n1g 8ng. 2n1h 8nh. 2n1j 8nj. 2n1k 8nk. 2n1l 8nl. 2n1m
+            8nm. 2n1p 8np. 2n1r 8nr. 2n1s 8ns. 2n1t 2ntn 8nt. 2n1w 8nw. 2n1z 8nz. 4n3n 8nn. 8n. 8nv. 8nx. na4ł3kows na4r3v
+            2p1ć 8pć. 2p1ń 8pń. 2p1ś 8pś. 2p1ź 8pź. 2p1ż 8pż. 2p1b 8pb. 2p1c 8pc. 2p1d 8pd. 2p1f 8pf. 2p1g 8pg. 2p1k 8pk.
+            2p1m 8pm. 2p1n 3p2neu 8pn. 2p1s 2p1sz 8ps. 2p1t 8pt. 2p1z 8pz. 2pln 8pl. 4p3p 8pp. 8p. 8pł. 8ph. 8pj. 8pr.
+            8prz. pr2chal pre2sz3pa 8pv. 8pw. 8px. pa2n3a2mer pa2s3cal pa2s3ch połu3d2ni po3d4nieprz po3m2ną po3m2nę
+            po3m2ni po4rt2s3mo2uth po4rt3land poli3e2t poli3u2re powsze3d2ni 2r1ć 8rć. 2r1ł 8rł. 2r1ń 8rń. 2r1ś 8rś. 2r1ź
+            8rź. 2r1ż 8rż. 2r1b 8rb. 2r1c 8rc. 2r1d 8rd. 2r1f 8rf. 2r1g 8rg. 2r1h 8rh. 2r1j 8rj. 2r1k 8rk. 2r1l 8rl. 2r1m
+            8rm. 2r1n 8rn. 2r1p 8rp. 2r1s 8rs. 8rsz. 2r1t 8rt. 2r1w 8rw. r4z 2rz1ć 2rz1ł 8rzł. 2rz1ń 2rz1ś 2rz1ź 2rz1ż
+            2rz1b 2rz1c 2rz1d 2rz1f 2rz1g 2rz1h 2rz1j 2rz1k 2rz1l 2rz1m 2rz1n 2rz1p 2rz1r 2rz1s 2rz1t 2rz1w 8rz. 4r3r 8rr.
+            8r. 8rv. 8rx. ro2e3nt2gen ro2k3rocz ro2s3to3c2k 2słb 8sł. 2s1ź 8sź. 2s1ż 8sż. 2s1b 8sb. 2s1d 8sd. 2s1f 8sf.
+            2s1g 8sg. 2s1s 8ss. 2snk 8sn. 2stk 2stn 2stsz 8st. 8str. 8strz. 8stw. s4z 2sz1ć 2sz1ś 2sz1c 8szcz. 8szczb.
+            2sz1f 2sz1k 8szk. 2sz1l 2szln 2sz1m 2sz1n 8szn. 2sz1p 2sz1s 2sz1t 8szt. 8sztr. szto2k1holm 2sz1w 2sz1z 8sz.
+            sza2sz1ły sze2z1long sze4ść szyn2k1was 8s. 8sć. 8sń. 8sś. 8sc. 8sch. 8sh. 8sj. 8sk. 8skrz. sko2r5zoner 8sl.
+            8sm. sm2r 8sp. 8sr. 8sv. 8sw. 8sx. se2t3le sowi3z2 sy2n3opt sy2s1tem 2t1ć 8tć. 2t1ń 8tń. 2t1ś 8tś. 2t1ź 8tź.
+            2t1ż 8tż. 2t1b 8tb. 2t1c 8tc. 2t1d 8td. 2t1f 8tf. 2t1g 8tg. 2t1k 8tk. 2t1m 8tm. 2t1n 8tn. 2t1p 8tp. 2t1s 8ts.
+            2t1z 8tz. 2tln 8tl. 2trk 2trzn 8trz. 8tr. 4t3t 8tt. 8t. 8tł. 8th. 8tj. 8tv. 8tw. 8tx. to3y2o3t turboo2d3rzut
+            tygo3d2ni 2w1ć 8wć. 2w1ł 3w2ład 3w2łos 8wł. 2w1ń 8wń. 2w1ś 8wś. 2w1ź 8wź. 2w1ż 8wż. 2w1b 8wb. 2w1c 3w2czas
+            8wc. 2w1d 8wd. 2w1f 8wf. 2w1g 8wg. 2w1j 8wj. 2w1k 8wk. 2w1l 8wl. 2w1m 8wm. 2w1n 8wn. 2w1p 8wp. 2w1r 8wr. 2w1s
+            8ws. 2w1t 8wt. 2w1z 8wz. 4w3w 8ww. 8w. 8wh. 8wv. 8wx. we2e2k1end we4st3f we4st3m 2z1ć 8zć. 2z1ś 8zś. 2z1c 8zc.
+            2z1d 2zdk 2zdn 8zd. 8zdr. 8zdrz. 2z1f 8zf. 2z1k 8zk. 2z1p 8zp. 2z1s 8zs. 2z1t 8zt. 4z3z 8zz. 8z. 8zł. 8zń.
+            8zź. 8zż. 8zb. 8zg. 8zh. 8zj. 8zl. 8zm. 8zn. 8zr. 8zv. 8zw. 8zx. ze4p3p 8v. 8vć. 8vł. 8vń. 8vś. 8vź. 8vż. 8vb.
+            8vc. 8vd. 8vf. 8vg. 8vh. 8vj. 8vk. 8vl. 8vm. 8vn. 8vp. 8vr. 8vs. 8vt. 8vv. 8vw. 8vx. 8vz. vo2lk2s3 8x. 8xć.
+            8xł. 8xń. 8xś. 8xź. 8xż. 8xb. 8xc. 8xd. 8xf. 8xg. 8xh. 8xj. 8xk. 8xl. 8xm. 8xn. 8xp. 8xr. 8xs. 8xt. 8xv. 8xw.
+            8xx. 8xz. a1 a2u a2y aa2 ae2 ai2 ao2 e1 e2r5zac e2u e3u2sz e2y ea2 ee2 ei2 eo2 i1 i2ą i2ę i2ó i2a i2e i2i i2o
+            i2u i2y in4nsbruck in4sbruc o1 o2y oa2 och3mistrz oe2 of2f3set oi2 oo2 ou2 u1 u2y ua2 ue2 ui2 uo2 uu2 y1 ya2
+            ye2 yi2 yo2 yu2
+        `
+    },
+    ru: {
+        name: 'Russian',
+        source: 'hyph-ru',
+        leftMin: 2,
+        rightMin: 2,
+        exceptions: `
+            ас-бест бездн биз-нес-мен буй-нак-ске вбли-зи взба-ла-муть-ся вздрем-нешь во-до-сли-вом волж-ске воп-лем вопль
+            вост-ра во-ткать во-ткем во-ткешь во-тку во-ткут впол-обо-ро-та впол-уха все-во-лож-ске вцспс га-рем-но-го
+            го-ло-дра-нец грэс дву-зу-бец днепр добре-ем до-бре-ем-ся добре-ет добре-е-те до-бре-е-тесь до-бре-ет-ся
+            добре-ешь до-бре-ешь-ся добрею до-бре-юсь добре-ют до-бре-ют-ся до-бре-сти до-бро-дят до-брось до-брось-те
+            до-бро-сят до-бро-шу домну доп-пель драх-му дрейф-лю дрейфь-те еди-но-жды зав-сек-то-ром за-мру за-члись
+            из-древ-ле изо-тру ин-ког-ни-то искр ка-за-шек казнь кольд-кре-мом корн-па-пир ксендз лик-бе-зом ло-шадь-ми
+            людь-ми лю-э-сом ма-зу-те ме-ти-лам ме-ти-ла-ми мно-га-жды морщь-те на-бе-крень навз-ничь на-вскид-ку
+            на-встре-чу нагл на-изусть на-ис-ко-сок наи-ме-нее на-ис-кось на-обо-рот на-от-рез на-супь-ся на-угад
+            на-уголь-ник не-ост-ра нес-лась нес-лись нет-то не-уду обидь-ся обо-шлось об-ра-сти од-на-жды ослаб-ла
+            ото-мстят ото-мщу ото-тру отру отрусь паб-ли-си-ти па-на-ме па-на-мец па-ра-так-сис пе-ре-вру пе-ре-ме-жать
+            пе-ре-ме-жать-ся пе-ре-шла пис-чая по-все-дне-вен по-гре-мок по-до-тру по-ис-ти-не по-лу-то-ра-ста по-лу-явью
+            по-млад-ше помни по-мнись помни-те по-мни-тесь по-мно-гу по-мру пол-вто-ро-го пол-шка-фа по-на-доб-люсь
+            по-трафь-те преж-де прид-ти при-шла при-шлось про-тру про-хлад-ца пско-ва пыл-че раз-орем-ся раз-оре-тесь
+            раз-орет-ся раз-орешь-ся разо-тру ра-зу-мом резв-люсь рсфср сан-узел сдрейф-лю се-го-дня сме-жат со-блю-сти
+            со-лжешь сост-рим сост-ришь сост-рю сост-рят со-ткать со-ткем со-ткешь сотку со-ткут срос-лась срос-лись
+            стрем-глав так-же тве-ре-зо-го те-ле-ате-лье тер-но-сли-вом троп-лю тьфу узу-фрукт умнем умнет умнете умну
+            умру услышь-те ушла фо-то-пле-нок ца-ре-дво-рец че-рес-чур чер-но-сли-вом чресл чуж-дость шесть-де-сят юсом
+            ядо-зу-бе ярем-но-го
+        `,
+        patterns: `
+            .аб1р .аг1ро .ади2 .аи2 .ак1р .аль3я .ар2т1о2 .ас1то .аст1р .ау2 .а-8 .би2о .бо2дра .б-8 .во2б3л .во3ж2д
+            .вст2р .в-8 .го2ф .г-8 .дек2 .де1кв .ди2ак .ди1о .до3п .до3т2 .доб2рел .до1б2ри .доб2рёл .д-8 .епи3 .е-8
+            .зав2р .за3м2н .за3п .з-8 .иг1р .изг2 .из3н .ии2 .ик1р .ио2 .ио4на .ис3 .и-8 .ле2о .ле2п3р .лес1к .ль2 .люст1
+            .л-8 .ме2ж1у2 .ми1ом .мо2к1 .му2шт1 .м-8 .на1в .на3т .на3ш2 .не8 .не3вн .не1др .не1з2 .не1сл .не1с2ц .не3т
+            .нос1к .нук1л .н-8 .обо3ж2 .об2люю .об2рее .об2рей .об2рею .об2рив .об2рил .об2рит .ово1 .ог3н .оз4 .ос2ка
+            .ос2п .ос3пи .от1в .от1ро .от1ру .от1уж .о-8 .по3в2 .по3ж2 .поз2н .пом2ну .прос2 .па2н1ис .п-8 .ра2с3т .ре2бр
+            .ре2з3в .реа2н .ри2ск .ри2ч .ро2з3в .ро2с3л .ро2с3пи .ро2х .рё2бр .р-8 .септ2 .ск2 .ст2 .су2ж .со2пла .с-8
+            .те2о3 .тиа3 .ти2г .тиг1р .ти2о .т-8 .уб2 .уд2 .уе2 .уз2на .ук2 .ум2ч .уо3 .уп2 .ур2в .ус2 .ут2р .ую2 .уё2
+            .у-8 .хо2р3в .х-8 .че2с1к .чё2с1к .ч-8 .юс1 .ю-8 .ё-8 .ж-8 .й-8 .к-8 .ф-8 .ц-8 .ш-8 .щ-8 .ъ-8 .ы-8 .ь-8 .э-8
+            .я-8 4а3а аа2п аа2р аа2ц 8а8а- а1б абе3ст а3бла аб2лю аб1ри а3бу 8а8б- ав1в а1ве ав3зо а1ви ави2а а1во аво1с
+            а2вот ав1ра ав2се а2вт а1ву а2вх а3в2че а1вё 8а8в- 2ага ага1с2 а2гд а2гити а2гле аг2ли а2глос аг2лот 2аго а3гу
+            8а8г- а1д 2адв а2две а2двё ад2жи ади2од а2дл а2д1обл ад1ро а2д1ру аду3ч ад2ц а2дын 8а8д- а1е ае2го ае2ди ае2л
+            а2еп ае2ре ае2с 8а8е- аза4ш3 азв2 аз3вез аз1вл аз3вёз азг2 аз1др аз1об аз2о1бр а2зовь а2золь а1зори аз2о1с
+            аз1р 8а8з- а1и аи2г1 аи3гл а2их 8а8и- а1к ак1в 1акк ак2л ак3лем ако1б2 2аконс ако3т 2акри ак1с 8а8к- а1ла
+            а3лаг а1ле 2алек а3ли ало1з а1лу алу2ш алуш1т а1лы а2льщ а1лю а1лё 2алёк 8а8л- 2ама амб4 2амет а2минт ам2нет
+            ам2нёт 2амо амо1з2 амои2 а2мч 2амёт 8а8м- ана2дц а2н1а2ме а2наф ан2дра а2н1о2б ан1о2хр ан1р ан2сп анс1у ан2сур
+            а2н1уз а1нь а2ньш 8а8н- 2а1о ао2д ао2к ао2р ао2с аост1 8а8о- а3пла ап2лом 2апо апо4вс апо3ч2т ап2ра ап1рел
+            8а8п- а1ра ара2ст ар2бок ар2вал 1аргу а1ре аре1дв аре1ол ар2жа а1ри а1ро ар2тор ар2т1р а1ру ар1х а1ры а1рю
+            а1ря а1рё 8а8р- 2ас1к ас3ми ас3но 1ассиг аст1ву ас3тем ас2тин ас2тия ас1тоо ас1тух а1стье ас3тём ас2шед ас2шес
+            а1сьи 8а8с- а1та 1атак ат3ва ат1ви ат1ву 2атез а1ти а1то ат1обе а2томн ато2ш ат1рах ат1ри атро2ск а1ту ат2х
+            а1ты а1тье а3тью а3тья а1тьё а1тю а1тя 8а8т- а1у а2уб ау2д ау3до а2уле аут1р ау2х ау2ч ау3чь ауэ1 8а8у- а2ф1л
+            8а8ф- ах2а ахми2 ах3с 8а8х- а1ч 2ача а2чл ач1т 8а8ч- а2шл 8а8ш- аэ2ли а2эр 8а8э- аю1та 8а8ю- а1я ая2б ая2в
+            ая2з 8а8я- а1ё 8а8ё- 8а8ж- 8а8й- 8а8ц- 8а8щ- 8а8ъ- 8а8ы- 8а8ь- 1ба ба2бв ба2г1р ба2др ба1з ба3зу балю1 ба2о
+            бас3м ба1ст ба1тр 8б8а- 2б1б 8б8б- б1в бвы2 8б8в- бг2 8б8г- 2б1д 8б8д- 1бе 3бев бе2гл бе2гн бе2д1р 3бее 3бе2з
+            без1а2 без5д4 бе3зи без3н без1о2 без1р безу2с бе2с1к бес3п бе2с1т бес3те бес3ти 3бец 2бещ 8б8е- 2бж 8б8ж- б1з2
+            8б8з- 1б2и 3биа би2б 2биж 3бик били3т2 3био би2об би2од би2он би2ор би2тв би1х бино2ск 8б8и- 2б3к 8б8к- б1л
+            1благ 1б2лаз б3лази б2лан 1б2лее б3лен б2лес1к 1б2лея б2луд 1б2луж 2блы 2б2ль 2б3лю. б2люд б2люе б2люл 2б3люсь
+            б2люё 2бля б3лён б2лёс1к 8б8л- 2б3н 8б8н- 1бо бо1бра бо3вш бо2гд бо1дра бо1з2 бо1л2ж бо1льс бо3м2л бо2мч бо3мш
+            бону1 бо1ру бо2са бо1ск бо3ско бо3сти 3бот бо2тв бот2р боя2р 8б8о- 2бр. б3раб б2рав бра1зо 1б2рал 2б1рам б2ран
+            1брас б2рать б1рах 1б2рач 2б3рая 1б2ред б1рей б1рек б2рем б2рех б2рид б2рито б2риты 1б2роди б1рол б1ром.
+            1б2роси бро2с1к 2брс б1ру 3брукс 2брь 1б2рю 2б3рю. б1ря б1рёк б2рём б2рёх 8б8р- 2б1с2 б3ск бс4л 8б8с- б1т
+            8б8т- 1б2у бу2г1р бук1л бу1с 8б8у- 2бф 8б8ф- 2б1х 8б8х- 2бц 8б8ц- 2б1ч 8б8ч- 2бш 8б8ш- 2бщ 8б8щ- 1бы бы2г1
+            бы2с быс1к быст1 8б8ы- 1бь 2бь. 2бьс 2бьт 8б8ь- бэ1р 8б8э- 3б2ю бю1та 8б8ю- 1бя 8б8я- 1бё бё2д1р 8б8ё- 8бъ.
+            8б8ъ- 8б8й- 8б8м- 8б8п- 1ва ва2бр 3ваг ва2д1р вадь2 ва3ж2д ва1з ванс2 ва1ст ва2стр ва1тр вах1 3вац 3вая 8в8а-
+            2в1б 8в8б- в1ви в1вр 8в8в- 2вг2 8в8г- в1д в2дох 8в8д- 1вев 3вег вед1р ве3ду 1вее 1вез 3везе 3везл вез2у 3везё
+            1вей. ве2п1 2верд 1вес ве2с1к ве2ст1в вет3р 1вец 1вею 1вея 1веё 8в8е- 1в2з2 взг2 взд2 взо1б взъ2 взъе3д 8в8з-
+            ви2аз ви2ак ви2ар ви2а1с2 виа1т ви3аф ви2гв ви2гл 1виз виз2гн 1винт 1винч ви1о ви1с2ни виу3 ви2ф 8в8и- 2в1к
+            вк2л 3в2кус 8в8к- в1л в2ла 2в3лаб в2лев в2лек в2лет в2леч 2вли в2лия 2влю в2люб 2вля в2лёк в2лёт 8в8л- 2вм
+            1вме 1вмё 8в8м- 2в1н 4в3на в2нес вно1 в3ну. 3в2нук 3в2нуч в3ны в2нёс 8в8н- во1б2 во2б3ла вов2 во3вк 1вод во1дв
+            во1др во2ер во2жж вои2с1 1вок во3м2 воп2 во1ру 2ворц 2ворь вос1к во1см во1сн вос3пе во2стр вот2р 1вох во1хл
+            во3х2т 1вою 8в8о- 2вп2 8в8п- 2вр. 2вра. в2рав 2в1рам в1рас 2в1рах 2врац 2вре. 2в1рен 1врид 1в2риз в1рии в1рик
+            в1рил в1рис в1рит 2в1ро вро3т2 2в1ры 1врю в1ря 2в1рён 8в8р- 2в1с2 3все3 в3ская 4в3ски 4в3ску 3в2сп 3в2сю 3всё3
+            8в8с- в1т2 вто1б2 вто3ш 8в8т- 1вуа ву3г 1ву1з 2вуи 2ву1к ву3п ву1с2 ву2х1а вух3в ву1чл 8в8у- вф2 8в8ф- 1вхо
+            8в8х- 2вц 8в8ц- 2в1ч 8в8ч- 2вш 3в2шив 8в8ш- 2вщ 8в8щ- въ2 8въ. 8в8ъ- 1вы вы3г2 вы3зн вып2 вы3т2 вых2 вы3ш2л
+            выб2ре 8в8ы- 2вь. 1вье 1вьин 2вьс 2вьт 1вью 1вья 1вьё 8в8ь- 1в2э1 8в8э- 1в2ю 8в8ю- 1вя 8в8я- вёд1р 1вёз 2вёрд
+            1вёс 8в8ё- 8в8ж- 8в8й- 1г г2а га1з га1ст2 га2у 8г8а- 2г3б гба2 8г8б- г1ви 8г8в- 2гг 8г8г- г3дан 2г3ди 8г8д-
+            3ге. ге2б1 гено1 ге2об ге2од ге1ор 8г8е- 2г3ж 8г8ж- 2г1з 8г8з- г2и ги2бл ги3бр ги2гр ги1сл гист2 8г8и- 2г1к
+            8г8к- 2гла. г2лав г1лай г1лами 2глась 2глая г1ле г2лет 2гли. г2лин 3г2лиф 2гло. г3лобл 2глов 2глог 2глое 2глой
+            2глою 2глую 2г1лы г2ляж 2гляк г1лё г2лёт 8г8л- 2г3м 8г8м- г2нав г2нан г3не. г2нев г3нен г3неп г3нес г2нир
+            гнит2р г2ное г2нои г2нос г2ноё г3ня г2нёв г3нён 8г8н- го1б2 го2вл го3ж2д го1з го2зл гоз2н гоиг2 3гой г2ол
+            гоми2 го2с1а го2сд го1скл го1сн го1спа 2готд гоу3т го1чл 3гою 8г8о- 2гп 8г8п- 2гр. г1рае г1рай г1рар г1рег
+            г1рек г1рец гри4в3н г1рик г1рил г1рин г1рис г1рич г1ров г2роз г1рок г1рон г1роп г1рот г1роф гру2п г1рыв 2грю
+            г1ряе г1рял г1рят 8г8р- 2г3с2 г4са г4сб гст4р 8г8с- 2г3т 8г8т- гу1в гу1с гу2с1к 8г8у- 2гф 8г8ф- 2г1ч 8г8ч-
+            2г3ш 8г8ш- 2г3э 8г8э- 8гъ. 8г8ъ- 8г8ё- 8г8й- 8г8х- 8г8ц- 8г8щ- 8г8ы- 8г8ь- 8г8ю- 8г8я- 1да да2б1 да2ген да2гр
+            да1з да2о даст1р дат1р 8д8а- 2д1б 8д8б- дв2 д1ве 1дви 2д1вид 2двиз 2двинт 2двинч 2д1вис 2д1вит д3вк д1вл 2двод
+            д1воз 1дворь 2двя д1вё 8д8в- 2дг2 8д8г- 2д1д2 8д8д- 1де де1б2л де1б2р 3девр 3дез де2з1а2 де2зи дез1о2 де2зу
+            деио2 де1кл 3деме де2од део3п де3пл дерас2 де2с3в дес2к де2ср де1хл 8д8е- 2дж. д2жам д2ж3м 2джс 8д8ж- 2д1з2
+            8д8з- 1ди ди2ад диа2з ди2али ди2ало ди2ар ди2ас ди2об дио3де ди2ор дио1с ди1оти дип2 ди2пи ди3пт ди2с1тр
+            ди1с2лов диу3 ди3фр ди3фто ди1х 8д8и- 2д1к 8д8к- д1л д2лев 8д8л- 2д3м2 8д8м- 2д1н д3на днеа2 3дневн 4д3но1
+            дно3д2 днос2 4д3ны 3д2няш 8д8н- 1до 2д1о2бед до2бл 2д1обла до1б2ра дов2л до3в2м до1д2 до3дн до3ж2д до1з доз2н
+            дои2р 2докт 2долим до2м1р доп2 до3пл 2допле 2доплё до2пре до2прё до2руб до1с д1о2сен д1о2син 2д1осно дос2ня
+            дос2п 2дотд 2дотл дот2ри 2д1отря 2дотъ до3ть 3дохл до2ш3в до3ш2к до2шлы до2щу 8д8о- 2дп 8д8п- 2др. д1раб
+            1дравш 2дразв 1д2разн д1ране д1рар д1ра2с3 д1рах д1рач д2раю д1ре д2реб 2д3реж 2дрез д2рел д2рем 1дрема 1дремл
+            дрем3н 1дремы 2д3рен дре2ск д2ресс д1ри д2рий 2дрин д2рип д2рих дро2г3н д1род д1рое 1д2рож дро2ж3ж 2д3роз
+            д1рой д1рол д1рон д1рос д1рот д1рою д1руб 1друг 1друж 2дружей д1рум д1рую д1ры 2дрыв 1д2рыг д1ря д2ряб 1д2ряг
+            д2рях д1рё д2рёб 2д3рёж д2рём 1дрёма 1дрёмы 2д3рён 8д8р- 2д1с2 дск2 дс3кн 8д8с- 2д1т 8д8т- 1ду дуб3р ду3г
+            2д1уд ду2да ду2о дуп1л дус1к д1усл ду1ст ду2ста 2дут1р ду1х ду2чи дуэ1т 8д8у- 2дф 8д8ф- д1х 8д8х- 2д3це 2дцу
+            2дцы 8д8ц- 2д1ч 8д8ч- 2д3ш2 8д8ш- 2дщ 8д8щ- 2дъ дъе2м дъё2м 8дъ. 8д8ъ- 1ды 2дыг ды2г1р 2дыд 2дыме 2ды2с1 2дыт
+            2дыщ 8д8ы- 2дь. 1дье 2дьк 2дьт 1дью 1дья дь3яр 1дьё 8д8ь- 1д2ю 8д8ю- 1дя 8д8я- 1дё 8д8ё- 8д8й- 8д8э- е1а еа2д
+            еади3 еа3до еа2з еан2д1р еат1р 8е8а- 2еб еба2с е1бра еб1рен еб1ри е1бро еб1ров еб1ры е2б3рю еб1рён 8е8б- е1ве
+            2евер е1ви е3в2ме ев2ним ев2нят е1во 2евол евра1с 2е1вре ев1рее ев1рей ев1рея ев1ри 2е1врё е2вт е1ву е1вх
+            ев2хо е1вь е1вё 2евёр 8е8в- ега1с2 ег2д е2глан е2гле е2гли е2гло е2глё ег2на ег2но 2ег2р 8е8г- ед1во ед2ж
+            е1дже е1д2лин едноу3 ед1опр е2дотв е2дох е2д1ощ е1дру е2дру. е2ду2б ед1убо е2дуве е2дуг е2дус ед1уст 2е3душ
+            е2дын 8е8д- е1е е2евид ее2в1р ее2ги ее1с2 ее2ст еест1р ее2х 8е8е- е2жг е4ждев еж3ди 2еже е2ж1р 2ежё 8е8ж-
+            еза2вр езау3 е1з2ва езд1р е3зе еззу3 е3зит ез1об ез1о2г е1зом ез1оп ез1о2р ез1от ез1ош ез2ря ез1у2д ез1у2к
+            ез1уп ез1ус езу2со езу2сы ез1у2х ез1уча е3зя е3зё 8е8з- е1и еи2г1 еи2д еи2м еи2о еис1л еис1тр 8е8и- е1ка ека2б
+            ек2з е1ки 2е1ко 2е1кр ек2ро ек1ск ек1сте е1ку 8е8к- е1ла е1ле еле3ск еле1сц е1лу е1лы е1лю е3ля е1лё 8е8л-
+            еми3д2 еми3к емо1с 2емуж е2мч 2емыс е2мьд 8е8м- е3на ен2д1р 2е1нр енс2 ен3ш2 е1нэ 8е8н- 2ео е1о2б еоб2ро
+            е2о3гл ео2гро е1од ео3да ео2де еоде3з ео2до е1о2ж е2ои ео3кл е1ол. е1ола ео3ли е1олк е1олы е1оль е2ом е1он.
+            е2она е2они ео3но е1онс еоп2 е1опе ео2пр ео4пу е2о3плато е2о3пози е2о3ро еос2 е1о2сви ео1ск е1осм е1осн еост1р
+            ео3сх е1отл еот2ру е1о2ч е1о2щ 8е8о- епат2 епа1тр 2епе епис2к е2пл е3пла еп1леш е3п2лод еп1лу е3плы еп1лющ
+            е4пн 2епо е4п3с е4пт 2епё 8е8п- е1ра ер1акт е2рв ер1ве ер1вё е1ре е3ре. ере3до ере1др ере1к2 ере3м2н ере3п
+            ере1х4 ере3с2со е1ри ерио3з е1ро еро2б ер1обл 2ерови 2ерокр 2ерол еро3ф2 ер3ск е1ру е2р1у2п е1ры е1рю е1ря
+            е1рё ерё3до ерё1к2 8е8р- е3с2а ес2ба е1сг е1ск е2с1ка. ес1кал е2ске е2сков е4с1ку. 2есл ес1лас ес2лин ес2лов
+            ес2лом е1слу е1слы е1с4м е3со 2есп ес2пек ес3пол е2спу е1ст ес2тан е2стл е3сту ес2чет ес2чёт 8е8с- е1та ет1ве
+            ет1ви е1тво ет1вё 2етеч е1ти е1то ето1с ет1р ет2ря е1ту е1ты е1тье е3тью е3тья е1тьё е1тю е1тя 8е8т- е1у2 2еуб
+            еуб3р еуз2 еук2ло 8е8у- ефи3б2 еф2л еф1ре 8е8ф- еха2т ех1ато ех3вал ех3лоп ех1об ех1опо ех1ре ех1ру ех1у2ч
+            8е8х- 2ецв 8е8ц- е1чл 8е8ч- е2шл 8е8ш- еэ2 8е8э- ею2г 8е8ю- е1я ея2з 8е8я- е1ё 8е8ё- 8е8й- 8е8щ- 8е8ъ- 8е8ы-
+            8е8ь- 1ж жа2бл жа2бр жа1з жат1в 8ж8а- 2ж1б2 8ж8б- 2ж1в 8ж8в- жг2 2жга ж2ги 3ж2гл ж2гу 8ж8г- 2ж1д ж2дак ж2дач
+            3ж2дел 4ждеме ж2деп ж2ди 4ж3дик 4ж3дич 4ж2дл ждо3 жду1 4ждь 3ж2дя 8ж8д- 3жев же3д2 же1к2в же1кл же1о2 же3п2
+            же1с2 же3ск 8ж8е- 2жжа ж2же 2жжев ж2жё 8ж8ж- 2ж1з2 8ж8з- жи1о 2жирр 8ж8и- 2ж1к 8ж8к- 2ж1л 8ж8л- ж2м ж3ма 2ж3мо
+            8ж8м- 2ж1н жно1 8ж8н- 2ж1об 2ж1о2т1 жоу3 жоу1с 8ж8о- 2жп2 жпо1 8ж8п- ж2ру 8ж8р- 2ж1с 8ж8с- 2жф 8ж8ф- 2жц 8ж8ц-
+            2ж1ч 8ж8ч- 2жъ 8жъ. 8ж8ъ- 2жь. 2жьс 2жьт 8ж8ь- 3жёв жё1с2 8ж8ё- 8ж8й- 8ж8т- 8ж8у- 8ж8х- 8ж8ш- 8ж8щ- 8ж8ы-
+            8ж8э- 8ж8ю- 8ж8я- 1за1 заа2 заб2 за2в1ри за2вру з1аву заг4 з1адр зае2д зае2х за3ж2д за3з2 з1акт за3мне за3мнё
+            3з2ан за3на занс2 зап2 зар2в за3р2д зар2ж зас2 заст2 зат2 за3тк зау2 зах2 2з1а2хав зач2т за3ш2 зая2 заи2л
+            зао2з заю2л 8з8а- з1б2 8з8б- 2з3ва. з2вав з3валь з2ван 2звая з1ве з2вез з1ви з3в2к з1вла з1во 2звол 1з2вон
+            з1вр 1зву 2з1вую з1вь з1вё з2вёз 8з8в- 2зг з3га з2гли зг2на з2гну 8з8г- з1д2в з2деш здож3 8з8д- 1зе зе2б1
+            зе2ев зе2од 8з8е- 2зж2 8з8ж- з3з2 8з8з- 1зи 3зи. 3зий. з1инт зи2оз зи2оно зи1оп 3зис зи3т2р зиу3м 3зич 8з8и-
+            2з1к зко1 зко3п2 8з8к- з1л з2лащ з2лоб з2лоп з2лор з2лющ 8з8л- 2зм2 з3мн 8з8м- з1н 2зна. з2нав з2нае з2най
+            з2нак з2нан з2нат з2наю 2зная з2наё 2зне 2з3ни 2зно 2зну 2з3ны 2знё 8з8н- з2обе зо2би 1зов зо3в2м зо2гл зо1др
+            1зое зо1з2 1зои 1зой. 1зок. з1окс 1зол2 зо1лг зо1лж зо3м2 1зом. 2зомн 1зон 2зонр 1зоо зо2о3п зо2ос зо2па з2опл
+            з2опр з1орг 1з2о3ре 1з2о3рё зос2 з1осн зо1сп зо2тв з2оте з1отк з2ото зот2ре зот2ри зот2рё з2отё 1зох зош2
+            зо2ши 1зоэ 1зою 8з8о- з1ра з2рак зра2с з2рач з2рен з1рес з2риш з1ро зро2с3 з1ру з2рю з1ря з2рят 8з8р- 2з1с
+            8з8с- 2зт з1ти 8з8т- 1зу 3зу. 2з1у2бе зу2б3р зу1в 2зуве 2зу2г 3зуе 2з1уз3 2зу1к 3зуме з1у2мо зу2мь 2зуп зу2пр
+            з1урб з1у2те зу2час 3зуё 8з8у- 2зц 8з8ц- з1ч 8з8ч- 2зш 8з8ш- зъе2м зъё2м 8зъ. 8з8ъ- 1зы 2зы2г1 зы2з 2зыме
+            2зымч 2зымё 2зы2с1 2зыщ 8з8ы- 1зье 1зьи 1зью 3зья 6зь. 8з8ь- 1з2ю 8з8ю- 1зя 8з8я- 1зё 8з8ё- 8з8й- 8з8п- 8з8ф-
+            8з8х- 8з8щ- 8з8э- и1а и2аб и2ав иаг2 и2агр и2аде и2ади иа2зов иа2му и3ана иа2нал ианд2 иао2 и2ап иа1с2к иа1ста
+            иа1сто иат1ро и3ату и2аф и2а1х иа2це 8и8а- 2и1б и2б1р 8и8б- 2иваж 2и1ве и2в3з и1ви 2и1во и1в2р и3в2с и1ву
+            ив2хо 2ивы 2и1вё 8и8в- иг2д и3ге 2игл и2гле и2гли и2гн игни3 иг1рен иг1ро иг1ру иг1ры и2г1ря иг1рён 8и8г- и1дв
+            и2дей и1д2ж иди1ом иди1от ид1р и1дь 8и8д- и1е и2евод ие2г ие2д ие3де ие2зу и3ени ие1о2 иепи1 ие2р 8и8е- и3ж2д
+            8и8ж- из1в2 из2гне 1из1д из2нал и1зо изо2о из1р 8и8з- и1и 8и8и- ийс2 8и8й- и1к и3к2а ика1с2 ик2ва и2кви и2кля
+            и3ко ик1ро ик1ск ик2с1т и3ку 8и8к- и1л и2л1а2ц и2л1а2мин ило1ск илп2 и2л1у2п и2ль ильт2 илло3к2 8и8л- 2има
+            и2мено и2мену 2имень и3ми имои2 им3пл и2м1р и2мч им2ча 8и8м- инд2 1инж ино2к3л ино3п2л ино1с инс2 1инсп 1инсти
+            1инсу 1инф 1инъ 8и8н- и1об ио2бо ио2вр и2ог и1од ио2де и1оз ио3зо и1окс и1оле и1он и3онов и1опт и1ор и3ора
+            ио1ру ио2са ио3скл ио1с2п и1ота ио2т1в и1отк и1отс иоуг2 ио2хо и1ош 8и8о- 2ип ипат2 ипа1тр ип2ля ип3н ипо3к2
+            8и8п- и1р ира2ст и2р1ау и2рв и2рж ири2ск ириу3 иро1з2 1ирр 8и8р- исан2д1 и2сб и2сд ис1к ис3ка. ис3кам ис3ках
+            ис3ке ис3ки ис3ков ис3ку. и2слам ис1лы ис3ме ис3му ис3но исо2ск и2с3пр и4сс и1ст и2ст1в и2стл ис1тяз и1сьи
+            8и8с- и1т ита2в ит3ва и2т1ве ит1ви ит1ву и2тм и2т1р ит2рес ит3ром и2т1уч и3тью и3тья 8и8т- и1у2 иу3п 8и8у-
+            иф1л иф2лю и2фр 8и8ф- иха3д и2х1ас их2ло2 ихлор1 и3х2о ихо3к их1ре их1ри их1рё и1ху 8и8х- и1ч 8и8ч- иш2ли
+            и2шлы и2шт 8и8ш- ию4л ию2н ию2т ию3та 8и8ю- и1я ия2д 8и8я- и1ё 8и8ё- 8и8ц- 8и8щ- 8и8ъ- 8и8ы- 8и8ь- 8и8э- 2й1
+            йд2 й2д3в 8й8д- йно1 8й8н- й2о1с йо2тр 8й8о- йп2л 8й8п- й2сб й3ска йс2ке йс4мо й2с3му й2сн й2с3ф й2сш 8й8с-
+            й2тм 8й8т- й2хм йх2с3 8й8х- йя1 8й8я- й2кь 8й8к- 8й8а- 8й8б- 8й8в- 8й8г- 8й8е- 8й8ё- 8й8ж- 8й8з- 8й8и- 8й8й-
+            8й8л- 8й8м- 8й8р- 8й8у- 8й8ф- 8й8ц- 8й8ч- 8й8ш- 8й8щ- 8й8ъ- 8й8ы- 8й8ь- 8й8э- 8й8ю- ка2бл ка2бри 1кав к2ад
+            ка3дне ка2д1р 1кае каз3н ка1зо 1кай 1кал. 1кало 1калс 1кам 1кан ка2п1л ка2пре кар3тр 3к2ас ка1ст 1кат ка1т2р
+            1ках ка2ш1т 1каю 1каё 8к8а- 2к1б 8к8б- к2вак к2вас к2ваш к1ви к2воз к1ву 8к8в- 2кг 8к8г- 2к1д кда2 8к8д- 1ке
+            2кеа ке2гл кед1р ке2с1к ке2ст1 8к8е- 2к1з 8к8з- 1кив ки1о киос1 ки2пл ки1с2ни 1кит 8к8и- 2к1к2 кк3с 8к8к-
+            2к3ла. 2к3лась 2к3ле. 2клем к3лем. к3лен к1лео 2к3ли. 2к3лив к2лик к2лин 2к3лис к3лия 2к3ло. к2лоз к3лом
+            2к3лос кло3т 1клук к3лы 2кль 1клю 2к3лю. 2кля. 2клям 2клях к3лён 8к8л- 2км 8к8м- 2к1н 3к2ниж к2ноп 3к2няж
+            8к8н- к2о ко1б2ри 1ков 3кова 1код ко1др 1коз 1кольс 2комин 3конс коп2р ко2р3в ко1ру 1кос ко1ск кос3м ко1сп
+            1котн ко2фр кохо2р3 1кош 8к8о- 2кп 8к8п- 2кр. к1рел кре1о кре2сл к1реч 1криб к1рид к2риз кри2о3 к2рит к1рих
+            к1роа к1роб к2рое к1рок к1роо к1рор к1рос к1роф к1рох к1роэ к2роё кру1с к1ряд 8к8р- 2кс ксанд2 к2с3в кс3г
+            к2с3д к2сиб к1ски кс1кл к1ско кс3м к3со к1стам к1стан кс3те к1сто кс1тр к1сту к3су 8к8с- 2к1т кта2к 3к2то.
+            кто1с кт2р 8к8т- к2у ку1ве 3куе 1куй 1куля 3кум куп1л ку2п1р 1кур ку3ро кус1к ку1ст 1кут ку3ть 1куче 1куют
+            3кующ 3куё 8к8у- 2кф 8к8ф- 2к1х2 8к8х- 2кц 8к8ц- 2к1ч 8к8ч- 2кш 8к8ш- 1кь 8к8ь- к2ю 8к8ю- 1кё 8к8ё- 8къ. 8к8ъ-
+            8к8ж- 8к8й- 8к8щ- 8к8ы- 8к8э- 8к8я- 1ла. 2лабе ла2бл ла2б1р 2лаго ла2гр ла2д1аг 1лае ла3ж2д ла1зо л2ак лак2р
+            1лам. 1лами. лан2д1р ла1ста ласт1в ла1сте ла1сто ла2ст1р ла1сту ла1стя ла1стё ла1т2р лау1 ла2ус ла2фр 1ла1х
+            1лая 8л8а- 2лб л1бр 8л8б- л1ве л1ви л1во л1ву 8л8в- 1л2гал л2гл лго1 8л8г- 2л3д2 8л8д- 1ле. ле1вл лев1ра
+            ле2г1л ле1дж ле3до ле1з2о3 ле1зр лек1л 2лемн 1лен ле1онт ле1о2с ле2сб ле2ск ле4ска ле1с2л ле1спе ле1тв ле1т2р
+            1лех ле1хр 8л8е- л1зо 8л8з- 1ли лиа2м 3ливо 3ливы лиг2л ли2гро лие3р ли2кв 2лимп лио1с ли2пл лис3м 2л1исп
+            ли2тв лиу3м ли2х3в ли1хл ли1хр 8л8и- 2л1к лк2в л2к1л 8л8к- 2л1л л2ль ллю1 8л8л- 2лм 8л8м- 2л1н лни2е 8л8н- 1ло
+            ло2бл ло1б2р 2ловия ло2вл 3ловод ло2г3д лого1с ло1др 2лоен ло1зв ло2к1а2у ло2кл лок3ла 3лопас ло2рв 2л1орг
+            ло1ру лос1к ло1с2п 2лотд лот2р ло2шл 2лоён 8л8о- 2лп 8л8п- 2л1с2 лс3б 8л8с- л1т 8л8т- 1лу. лу1бр лу1в лу3г
+            лу1д4р 1луе лу1зн лу1кр 1лун луо2д лу3п2ло лу1с лу3с4н лу3ть 1лую 1луё 8л8у- 2л3ф2 8л8ф- 2л1х2 л2х3в 8л8х- 2лц
+            8л8ц- л1ч 8л8ч- 1лы. 1лые 1лыж 1лый 1лым 1лых. 8л8ы- 4ль. 2льд 3лье 3льи 2льк 2льм 2льн 3льо 2льск 1льсти
+            1льстя 2льт 2льц 2льч 1льща 1льще 1льщу 1льщё 3лью 3лья 3льё 8л8ь- л2ю 1лю. 1люж 1люсь лю1та 8л8ю- 1ля 3ля.
+            ля1ви 3ляво 3лявы 2ляд 3лям ля1ре ля1ру 3лях 8л8я- лё3до лё1з2о3 лёк1л 1лён лё2ск лё4ска 1лёх 8л8ё- 8лъ. 8л8ъ-
+            8л8ж- 8л8й- 8л8р- 8л8ш- 8л8щ- 8л8э- 1м ма2вз 3маг ма2гн ма2др ма2дь ма1зо ма2к1р 2м1алл ман2д1р мас3л ма1с4т
+            ма2тоб ма2т1р ма2у маф2 3мач ма2чт 8м8а- 4м1б м3би мб2л м3бля 8м8б- 2м3в2 8м8в- 2мг2 3м2гл 8м8г- 2м1д 8м8д-
+            меан2 ме2ег ме2ел ме2ж1ат ме1зо ме2с1к ме2ст1р меч1т ме2динс ме2д1о2см мети2л1ам 8м8е- 2мж 8м8ж- 2м1з2 8м8з-
+            ми2гре ми1зв 2мизд ми1зн ми2кр мик1ри ми2оз ми1опи ми2ор ми1с2л мис4с3н 8м8и- 2м1к2 3мкн 8м8к- 2м1л м2лее
+            м2лел 8м8л- 2мм 8м8м- 2м1н 4м3на мне1д 3м2неш 4мное м2нож 4мной 4мном м2нор 4мною м2нут 4м3ны 3м2нёш 8м8н-
+            мо1б2 мо3вл 3мод мо1др мо2жж мо1зв мо1зр моис1т мо2к3в мо3м2 3мон 3моп мо1ру мос1ка мо1см мо1сн мо1с2п 3моти
+            мо2т1р 3моф 8м8о- 2мп мп2л 8м8п- м1раб 2мри 2м1ро м1ры 8м8р- 2м1с мс2к мс2н м2с1ор 3м2сти 8м8с- 2м1т 8м8т-
+            му1с2к му1с4л му1ст мут1р му3ть 8м8у- 2мф мфи3 8м8ф- 2м1х 8м8х- 2мц 8м8ц- м2чав м2чал м2чит м2чиш 8м8ч- 2мш2
+            8м8ш- 2мщ 3м2ще 3м2щё 8м8щ- мым1 мы2мр мы2с 8м8ы- 2мь. 2мьс мью1 8м8ь- 2мэ мэ1р 8м8э- м2ю 8м8ю- мя1р мя1ст
+            8м8я- 8мъ. 8м8ъ- 8м8ё- 8м8й- 1на наби1о наб2р на1в2р наг2н на3жд на1з2 на2ил на2ин на2и1с2 4накк на3м2н нап2л
+            на1рва нар2ват на1р2ви на1с2 на1тв на1т2р н1а2фр на1х2 2нач на3ш2л 2нащ наэ1р 3ная 8н8а- 2н1б2 8н8б- 2н1в
+            8н8в- 2нг н2г1в нги2о нг4л нго1с нг2р 8н8г- 2н1д н2дак н2д1в нде3з нде2с нд2ж н3д2з н2дл нд1раг нд1раж нд2ре
+            нд2риа н2дря нд2рё нд2сп н2дц 8н8д- 1не не1б2 не1в2д 2невн не3вня нег2 3нед не1д2л нед2о не2дра не1дро не3ду
+            не3е нее2д не3ж2д не1зв не1з2л не1зн не1зо не1зр неи2 не1к2в не1кл не3м2н 3не1о2 не2ода не2ол не2о3ре не3п2
+            не1р2ж не2р1от нес2к не3с2н не1с2п нест2 не1с2х не1с2ч не1т2в не3т2л не1т2р 3неу не2фр не1хр не3шк нея2 не3ё
+            8не. 8н8е- 2н1з2 нзо1с 8н8з- 1ни ни3б2 ни2ен 3ний ни2кл нила2 ни2л1ал ни2л1ам 2нинсп 2н1инст ни1сл нис3п
+            нист2р ни1с2кол ни4сь. ниу3 ни1х 3ниц 3нищ 8н8и- 2н1к нк2в нк2л нкоб2 нко3п2 н2к1ро нк1с 8н8к- н1л 8н8л- 2н1н
+            нно3п2 8н8н- 1но ноб2 но1бр но2вл но1дв но1др но2ер но1зв но2зд но3з2о но1зр но3кн 3номе ном3ш 3номё но2рв
+            но1ру но1скл но2сли но1с2п но2сч 2нотд но3ф2 ноэ2 но4л1а2мин 8н8о- н3п2 8н8п- 2н1ре 2н1ри н1ро 8н8р- 2н1с
+            н2с3в н2сг нс2ке н2скон н2сл н3сла н2с3м н2сн н2с1ок н3с2пе нст2р нсу2р н2с3ф н2съ3 8н8с- 2н1т н2т1в нти1о2к
+            н2тм нт2ра н2тр1а2г нтр1аж н2трар нтрас2 н2трасс нт2ре н2трив н2трок нт2ру нтр1уд нт2ры н2т1ря 8н8т- 1ну нут1р
+            ну1х 3ную 8н8у- 2нф2 8н8ф- н1х нхо1 8н8х- 2нц 8н8ц- 2н1ч н2чл 8н8ч- 2нш нш2т 8н8ш- 2нщ 8н8щ- 1ны 3ны. 8н8ы-
+            2нь. 1нье 1ньи 2ньк 1ньо 2ньс 2ньт 2ньч 1нью 1нья 1ньё 8н8ь- н2э 8н8э- 1н2ю 2н3ю2р 8н8ю- 1ня ня1ви 8н8я- 1нё
+            нё1б2 8н8ё- 8нъ. 8н8ъ- 8н8ж- 8н8й- 8н8м- 2о1а2 о3ав оап1 8о8а- 2оба 2обио об2лев об2лем о1блю 1обм обо1л2г
+            обо3м2 обо2с 2обот об1р о2бра. о1брав о1бран 1объ 2обь 8о8б- о1в о3вла о3в2ло ов3но о3в2нуш о2в1ри ов2се
+            ов3ско ов2т о2вх 8о8в- ог2 2о3ге ог3ла. ог3ли. ог3ло. о3гря 8о8г- 2одан од1вое о3де. 1о2деял 2оди3а 2о3дим
+            од2лит о2д1о2пе одо3пр о2д1о2пы о2доси о2д1отч о2д1о2бол о1драг од1раж од1раз од1рак о1драл од3реб о1дроб
+            од1ров од3рёб о2д1у2ч о2дыма о2дыму о2дын о1дь о2дьб 8о8д- о1е ое1б о2е1вл ое2д о3ежек ое2жи ое1о ое1с2 ое2ст
+            о2ето ое2ц 8о8е- о3жди о3ж2ду о4ж3дев 8о8ж- оза2б3в 2озав о1з2ва оз2вен оз2ви о1з2вя оз2гло оз2дор о1здр озе1о
+            оз3но о1зо о2з1об 2озон о2зоп озо1ру оз1уг о2зым о3зыс 8о8з- о3и ои2г1 оиг2н оие3 ои2з ои2м ои3мо ои2о
+            о1и2с1тр 8о8и- 2ой ойс2 ойс4ков 8о8й- о1к 2о3кан ок2в 2ок2л о3клю око1б 2о3кол око3п2л ок1ск 1окт 2окти 2окум
+            8о8к- о3ла ол2ган о1ле 1олимп о3ло о1лу олу3д2 о1лы о1лю о3ля о1лё 8о8л- о3ма ом2бл 2оме о3м2нем о3м2нет
+            о3множ о3м2нём о3м2нёт ом1ри ом2ч о2м3че. ом2ше о2мь о3мья 2омё 8о8м- о3на онд2 оне3ф2 оно1б о1нр онс2 он2тру
+            он2трат они3л2ам 8о8н- о1о2 о2ол оо3пс оос3м оост1р о2оти о2оф 8о8о- о3пак о3пар о2пле. о2п1лей о2пли оп2лит
+            оп2ло оп3лю. о2плюс о2пля о3пляс о2п1лёй опо4вс опоз2н опо2ш3л оп2ри о3п2те оп2то 8о8п- о1ра ора2с3 ор2б3л
+            о1р2в о1ре 2о3рег оре2ск о1ри ор1исп о1ро оро2с3л ор2тр о1руе о1рук ор1укс о1рус 2орц о1ры о1рю о1ря о1рё
+            8о8р- о3сад оса3ж2 ос2б о2с3ба о2с1ка. ос3кар оск1во о2ске ос1ки о2ски. о2сков ос1кой ос1ком о1с2коп ос1кою
+            о2с1ку. ос1кую о2скё о1с2л ос3лей ос3лог ос3лых ос3ми ос3мос о1с2ним ос2нял ос2пас о1с2пу ос2пя ос2св ос2с3м
+            о1ст ос2та о3стра о2суч 2осх ос2цен о1с2ч о1с2шив осо4м3н 8о8с- о1т отв2 от3ва от1ве от1ви от1вл от1вё 1отг
+            1отд 2о3тек о3тер 2о3тех о3ти оти4дн о3ткал о2тм от1раб от1рад от1раз отра2с от1реж от1рек от1реч от1реш от1ри
+            от1род от1рое от1рок от1рос от1роч от1руг от1рёк от1рёш от3см оту2а от1у2ч 1отх о3тью о3тья 2о3тёк о3тёр 8о8т-
+            о1у2 оуп2 оус2к оу3та оу3то 8о8у- 2офаш о3фе 2офит 2офон о2фори 2офот о2фри о3фё 8о8ф- 2охи ох1лы о2хля ох2ме
+            2охор о1хр о1ху 8о8х- о2цо 8о8ц- оча1с оч2л оч1ле о3чли о1чт о2ч1то 8о8ч- ош3ва ош2ла ошпа2к3 ош2т 8о8ш- оэ1ти
+            8о8э- 2ою 8о8ю- о1я оя2в оя2д оя2з оя2ри 8о8я- о1ё оё2жи 8о8ё- 8о8щ- 8о8ъ- 8о8ы- 8о8ь- 1п пави3 пав3л па2вь
+            па2др па2ен па1зо пас1л пас1та па1сте пас1то пас1ту па2с1ты па1тро па2ун па3ф па1ху па2шт 8п8а- 2п1в2 8п8в-
+            2п1д 8п8д- пе1 пе2дв пе2д1ин пе2з пе3за пе3зо пе2к1ла пе2ль пе4пл пери1о пере1с2н пе2с1к пе2сн пе2ст1р пе2сц
+            пе2сч пе2тр пе2шт 8п8е- пиаст1 пи2ж3м пи2к1р 3пинк 3пися 8п8и- 4п3к 8п8к- 2пл. 4пла. пла1с п1лем. п1лемс 2плен
+            п2ленк п1ле2о плес1к п1лею 2плив 3п2лик 2пло. 2плов 2плог 2плый 2плым п1лын п1лых 2плю. п1лют п2ляс п2ляш
+            2плён п2лёнк плёс1к п1лёю 8п8л- 2п1н п3на п3но1 п3ны 8п8н- по1б2 по3вл по3в2с под1во по2д1о2к подо3м2 по2доде
+            по2д1у2ро пое2л пое2х пое2ж по1зве по1здо по1з2л по1зн пои2щ 3пой 3полк по3мно по3мну 3по3п2 п1орг пор2ж по1ру
+            по1с4 3посл по3сс по2стин пот2в пот2р по1х2 по2шло по2шлы по2шля поэ3м поё2ж 8п8о- 2пп2 ппо1д 8п8п- 2пр. 3прев
+            пре1з прей2 пре1л пре1ог 3прет прем2но при1 при3в приг2 при3д2 при3к при3л приль2 прип2 п2риц приче2с1к
+            причё2с1к про1бл прод2л про3ж2 про1з2 п1розо 3прои про3п профо2 2прс п2ру 3прёт 8п8р- 2п1с2 3п2сал п3син
+            3п2сих п3со 8п8с- 2п1т п2т3в 3п2тих пти4дн п3ту 8п8т- 3пуб пуг3н пус1ку пу1ст пу3ть 8п8у- 2пф2 8п8ф- пх2 8п8х-
+            2пц 8п8ц- 4п3ч 8п8ч- 2пш 8п8ш- 2пщ 8п8щ- 2пь. 2пьт 8п8ь- пэ1ра 8п8э- п2ю1 8п8ю- пё1 пё2ст1р пё2тр 8п8ё- 8пъ.
+            8п8ъ- 8п8б- 8п8г- 8п8ж- 8п8з- 8п8й- 8п8м- 8п8ы- 8п8я- 1ра. раа2 ра2бл 1рабо ра2б1р 1равня ра2гв ра2гл рад2ж
+            радо1б2 ра2дц ра2жур ра2зий ра2зуб рак2в 1ракиз ра2к3л 1ралг 1рамк 1рамн ра2нох ран2сц ра2п1л рас3к2 1расл
+            рас3п рас1т 1раста рас3т2л ра2так рат1в ра1т2р 2рахи 1ращи 1раю 1рая 2раят 8р8а- 2р1б рб2ла р2бле рб2ло рб2лю
+            р2блё рбо3с 8р8б- 1р2вав р3вак р3вар р3вата р3веж р2вео 1рвет р1ви р3вин р2вит р1во рво1з2д р1вь 1рвёт 8р8в-
+            2рг р2гв р2г1л р2гн рг2р 8р8г- 2р1д рда1с р2д1в рд2ж рди2а р2дл рдос2 р2дц 8р8д- 1ре. ре1вр рег2ля рег2н
+            ре2д1о2п редо4пл ре2дос рее2в рее2д рее2л ре3ж2д реж4ди 1резк ре1з2л ре1зна 1ре1зо ре1зр рез2у 1рейш ре1к2л
+            1рекш ре3мно 3ремо ремо2г3 1ренк 1рень ре1он ре1оп ре1о2р ре1о2ф ре1ох ре1о2ц 1репь ре3р2 рес1ки ре1сл ре1с2п
+            рес2с3м ре3ста ре3сто ре1сч ре1тв ре1т2р реуч3т ре1чт ре3шл 8р8е- р3жа. р3жам р3жан р3ж2д 8р8ж- 2рз р1з2в р1зо
+            8р8з- ри3а риб2 ри3бр ри3в2н 2риги ри2гло ри3г2н 2ридж ри1д2р рие2л рие3р риз2в рик2р ри3м2н ри3м2ч р2ин 1ринс
+            рио2з рио2с ри1от ри3р2 ри1с2 ри3сб 2рисп ри3ств ри3т2р 1риу ри2фл ри3фр ри1хл 1риц 1риш риэти2 8р8и- 2р1к
+            р2кв р2к1л рк1с 8р8к- 2р1л2 р2ль рлю1 р3ля 8р8л- 2рм р2мч 8р8м- 2р1н рнас4 рне3о рне1с2 рно3сл рни3л2а3м 8р8н-
+            1ро. ро2блю роб2лею ро1б2р ро2вл 1рогол 1рогру ро1дв ро3д2з ро1дл род2ле род2лё ро2д1от ро1др 1родь рое2л
+            рое2м рое2х 1розар ро1з2в ро1зр 3розыс рои2с3 1рокон 1рокр 1ролис 1ролиц 1ромор 1ронаж 1ронап 1ронос рооп1р
+            ро2плю ро3пс 2р1орг ро1р2ж ро1ру ро1ск ро2ски ро2ску 1росл ро1см ро1с2п рос2ф 1росш 1росю 1рот2в 1ротк рот2ри
+            1роу роуг2 ро2ф1ак ро2фр ро1хл рош2л ро3шн 1рояз роё2м 8р8о- 2рп рп2ло р2плю 8р8п- 2р1р 8р8р- 4р1с рс2к р2сн
+            рс2п рств2 р3ствл 8р8с- 2р1т р2такк р2т1акт р2т1в рт3ва рт2вл р2тм р2т1об рт1орг рт1ра рт2ран рт1ре рт1ри
+            ртус1 р2т1у2чи р3тью рт1яч 8р8т- 1ру. 1руба руг3н ру2дар 1ружей 2рукс 1рул рус1к рус3л ру1ста руст1р ру3ть
+            1руха 1рухо 1ручн 8р8у- 2рф рф2л 8р8ф- 2рх р2хв р2х1ин рх1л р1х2ло р2х1оп рх1р 8р8х- 2рц р2цв 8р8ц- 2р1ч р2чл
+            р2чм 8р8ч- 2рш р3ш2м рш2т 8р8ш- 2рщ 8р8щ- 2ръ 8ръ. 8р8ъ- 1ры. 1рыб ры2дв 2рыз ры2кл 1рым ры2с1к ры2х1 8р8ы-
+            2рь. 1рье 1рьи 2рьк 2рьс 2рьт 1рью 1рья 1рьё 8р8ь- рэ1л 8р8э- р2ю 1рю. 1рюс 8р8ю- ря1ви 1ряю 8р8я- 1рёзк
+            рё1зна 1рё1зо рёз2у 1рёкш 3рёмо 1рёнк рё3ста рё3сто 8р8ё- 8р8й- 1са са2бл са2дь са2кв са2кл 2с1альп с1апп
+            2с1арк 2с1атл са1тр са2ун са2ф1р са1х2 8с8а- 1сб2 2сбе3з2 сбезо3 сбе3с2 2с3бу с2бы 2сбю 2сбрук1 8с8б- 1с2в
+            2с3вен 8с8в- сг2 с2ги с2гн с2го 8с8г- 1сд2 с2да с2де с3ди с2до с2дё 8с8д- 1с2е сег2н се1з2 се1кв сек1л се2к1р
+            секс4 семи1 сере2б се2ск се2ст се3ста се3сте сест1р се3стё 8с8е- 1с2ж 8с8ж- с1з 8с8з- 1с2и 3сиз си1ом си1оп
+            си2пл си1х 8с8и- 4ск. 2скам с2канд 1с2каф 2сках ск2ва с2кви 3скино ск2л с2кля ск3ляв 2скн с1кон 2скона с2копс
+            2скош ск2р с1кра 2скриб ск1с 2скуе 2скуё 8с8к- 2с3ла. 1слав 1слад с1лам 2с3лая с3лев с3лее с1лей слео2 с1лет
+            с3лею 2с3ли. 2слиц 2с3ло. с2лож с3лому 2с3лос 2с3лую 2с3лые 2с3лый 2с3лым 2сль с1люс 2с3ля с1лёт 8с8л- с2м
+            1смес с4мея с3мур 8с8м- с1н 1с2наб с2нас 2сная 1с2неж 2с3ник 2сно сно1з2 2сную 2с3ны 8с8н- 1со со1б2р с2ов
+            сов2р со1д со1з2 со1л2г со3м2 со2рие со1ру со1ск со1с2п со2сь со2стрит сот2р со3т2кал со1чл сош2л 8с8о- сп2
+            с2пав с2пее с2пел с2пен с2пех 1с2пец с2пеш с2пею с2пим 2спися с3пн спо1з2 2спол с2пос 2спь 8с8п- 1ср 2ср.
+            с2раб сра2с с1рат сре2б1 сре3до 8с8р- 2с1с ссанд2 с2сб сс3во 4с5си с3с2к сс2л с2сн с3с2не с2сори сс2п сст2
+            сс2ч 8с8с- 2ст. 1ста. 2стб 4ств. ст1вер 2ствл ст2вол ст2вя с2те 1с4те. 1стей 1стел 1стен. с3тет. с3тете сте3х
+            с3теш 1сти с2тие с2тии 2стимп 2стинд 2стинф 2стинъ с2тич с2тишк с2тию 2стк ст2ла с3т2ле 2стли ст2лил ст2лит
+            2стля с3т2лё 2стм 2стн 1сто. с2то1б 1стов 1стог сто2г3н 1стод 1стое 3с2тои 1сток 1стом 1стон 2сторг 2сторж
+            2сторс 1стос 1стот с2тоц 1стою 2стп 2стр. страс2 4страя 2стред ст1рей 2стрив ст1риз 2стрил 2стрищ ст1роа
+            с4т1ров ст1род ст1рох ст2руб ст1руш 2стс с1тут 1стую 2стф 2стц 1сты с2тыв с4ть 2сть. 2стьс 3стью 1стья 2стьт
+            1стям 1стях 2стче. с2тё 1стёл 1стён. с3тёт. с3тёте стё3х с3тёш 8с8т- 1су су2б суб1а2 суб1о су1в су3гл су2ев
+            су2з су1кр сума1 супе2 сус3л сус3п су1ст сут1р су2ф3 су1х 8с8у- 1с2фе 8с8ф- с1х2 1с2хе 8с8х- 2сца с2цена 2с3ци
+            2сцо 8с8ц- сч2 1сча с2час сче2с1к с3чив 2счик с2чит с1чл 2счо счё2с1к 8с8ч- сш2 с3шн 8с8ш- 1съ2 съе3д съе3л
+            8съ. 8с8ъ- 1сы сы2г1 сы2з сы2п1л сы2с сыс1ка сы2мит 8с8ы- 2сь. 1сье 2ськ 2сьт 1сью 1сья 2сься. 1сьё 8с8ь- сэ1р
+            с2эс 8с8э- 1с2ю сю1с 8с8ю- 1ся 2сяз ся3ть 8с8я- 1с2ё сёкс4 сё2ст сёст1р 8с8ё- 8с8й- 8с8щ- та2бл таб2р та1ври
+            1таг та2гн та1з2 так3ле т2ан та2пл 1тас та1ст та1тр 1тащ 8т8а- 2т1б2 8т8б- 2тв. 2т2ва т1вей т1вел т1вет 2тви
+            т1вое т1во1з 2т1вой т1вос 2твою т1воё 2т1вр 2тву 2твы 2твя т1вёл 8т8в- 2тг 8т8г- 2т1д 8т8д- 1т2е те2гн те1д
+            те1зо 3тека тек1л 3текш теле1о тем2б1 те2о3д те1ох те4п1л те2рак тере2о 3терз тер3к 3теря те2ска те2с1ки
+            те2с1ко те2ску тест2 те2хо 8т8е- 2тж 8т8ж- 2т1з 8т8з- тиа2м ти2бл ти3д2 ти1зна тии2 тиис1 тик2 тила2м т1имп
+            2т1инв т1инд 2тинж 2тинф ти1с2л ти3ств ти3ф2р ти1хр 8т8и- 2т1к2 3т2кав 3т2кан 3т2кет 3ткн 3т2кёт 8т8к- 2т1л
+            тло2б т2ль 8т8л- тм2 тми2с тмист1 т3мщ 8т8м- 2т1н 8т8н- то2бес то1б2л 2тобъ то2вл то1д то3д2р то1з2 ток2р
+            2т1омм 2томс 2тонг 1торг 1торж 1торс то1ру 1торш то1с2н то1с2п то1с2ц 2тотд то3тк 1тощ 8т8о- 2тп2 тпа1т 8т8п-
+            т1рага 2т1раж 2трб 2трв 2трг 2трд трдо2 т1реа 1требо 1требу т1ребь т1реве т1ревш т1ревё т1рег т1ред т1рее
+            т1реза т1резн треп1л 3тре2с трес1к т1рест т1рету 3т2ре2х т1рец т2решь т1рею 1триб т1рив три2г1л т1рил т1рим
+            4тринс три1о т1рит три3ф т1рищ 2трм 2трн т1рогл т1роид 2трой тро3пл т1рор т1росо тро3т 4т3роц 2трою тро2етес
+            тро2етёс 2трп 2трр 1труб т2руд 2трук т2рум т2рут 2трф 2трщ 2тръ т1ры т1ря. т1ряв 2т1ряд т1ряе т1ряж т1ряй
+            т3ряк т1рят т1рящ т1ряя 6тр. 3т2рё2х т2рёшь 8т8р- 4т1с2 т2сб т2с3д тсеп2 т2с3м т2с3п 8т8с- 2т1т т2тм 8т8т-
+            ту2гр ту2жин 2т1у2пр ту1сл ту1ст ту2фл 1туша 1тушо 1тушь 1тущ 8т8у- 2тф 8т8ф- 2т1х 8т8х- 4тц 8т8ц- 2т1ч 8т8ч-
+            2тш2 8т8ш- 2тщ 8т8щ- 2тъ 8тъ. 8т8ъ- ты2г1 ты2с1к 8т8ы- 2ть 4ть. 3тье 3тьи ть2м 4тьт тью1 3тьё 8т8ь- 2тэ 8т8э-
+            т2ю тю1т 8т8ю- 1тяг 1тяж 1тяп 2тя2ч 8т8я- 1т2ё тё2гн тё1зо 3тёка тёк1л 3тёкш тё4п1л тёр3к тё2ска тё2с1ки
+            тё2с1ко тё2ску тё2хо 8т8ё- 8т8й- у1а у2але у2ас 8у8а- у3бел убо1д убос2 уб1р 1убра уб3рю 1у2быт 8у8б- у1ве.
+            у1ви ув2л у1во у1ву 8у8в- у2гв у2гл у2гн уг2на уг2не уг2нё уг1ре уг1ря уг1рё 8у8г- уда1с уд2в уд1рам уд1ро
+            у3ду 8у8д- у1е уе2д уе2л уе1с уе2с1к уес2л уе2х 8у8е- у2жж 8у8ж- у1з2в у1зо узо3п 8у8з- у1и 8у8и- у1ка ук1в
+            у1ки у1ко уко1б у1ку1 8у8к- у1ла у1ле у1лу у1лых у1лю у1лё 8у8л- у2мч 8у8м- у3на ун2д1р у1нь 8у8н- у1о уо2б
+            уо2в у2оза уо2к уо2п уо2с уост1 уо2т1 уо2ф 8у8о- у2пл уп1лю у3про 8у8п- у1ра у1ре уре2т3р у1ри урке3 у1ро
+            у2род уро2дл урт2р у3ру у1ры у1рю у1ря у1рё 8у8р- у2сад у1сг ус1ка ус1ки уск3л ус1ком у1скр ус1ку. ус2л
+            усла4ж3 ус3ли у1см у2сн ус2п ус3с у1сте у1стя у1стё у1сф 2усц у2сч у2сь у3сья 8у8с- у1та у3тер у1ти ут2ля у1то
+            уто3п2с ут1ри у1ту у1ты у1тье у3тью у1тьё 1утю у1тя у3тёр 8у8т- у1у ууг2 уу2с 8у8у- у3фи уф1л уф2ля у2фр 8у8ф-
+            ух1ад уха2т у2хв у3х4во ух1л ух3ля ух1р 8у8х- у2чеб 1учр у1чь у2чёб 8у8ч- у3ше у3ши у2шл уш1ла у2шп у3шё 8у8ш-
+            2уэ 8у8э- у1я уя2з 8у8я- у1ё 8у8ё- 8у8й- 8у8ц- 8у8щ- 8у8ъ- 8у8ы- 8у8ь- 8у8ю- 1ф фа2б1 фа2гн фа1зо фан2д фанд1р
+            фа1тр фа2х 3фаш фаэ1 8ф8а- 2ф1б 8ф8б- 2ф1в 8ф8в- 2фг 8ф8г- 2ф1д 8ф8д- фев1р фед1р фе1о3 фе2с1к 8ф8е- ф4и
+            фиа2к1 фи2гл фи2ж фи2зо фи2нин фи1о 3фит 8ф8и- 2ф1к 8ф8к- ф2ла ф2ли ф2ло 8ф8л- 2фм 8ф8м- 2ф1н 8ф8н- 2фобъ 3фон
+            фо2рв 2ф1орг фор3тр фо1ру фос1к 3фот фото3п 8ф8о- ф1раб фра1з фра1с ф1рат ф2рен фре2с ф1ри ф2риж ф2риз ф1ро
+            ф2рон ф1ру 8ф8р- 2ф3с 8ф8с- 2ф1т ф2тм ф2тор 8ф8т- 2ф1у2п фу3тл 2фуф 8ф8у- 2фф 8ф8ф- 2ф1ч 8ф8ч- 2фш2 8ф8ш- 2фь.
+            8ф8ь- ф2ю1 8ф8ю- 8фъ. 8ф8ъ- 8ф8ё- 8ф8ж- 8ф8з- 8ф8й- 8ф8п- 8ф8х- 8ф8ц- 8ф8щ- 8ф8ы- 8ф8э- 8ф8я- 1ха ха2бл ха2д
+            2х1ак хан2д хао3 х1арш 8х8а- 2х1б 8х8б- 1х2в 2х3ве 2х3ви х3вы 2х3вё 8х8в- 2хг 8х8г- х3д2 8х8д- 1хе хео3 8х8е-
+            х1з2 8х8з- 1хи хиат1 хие2 2х1изы хи1с2 8х8и- х1к2 8х8к- х1лав х1лас х1лат х1лац 1хлеб х2лес х1лет х3ло. х2лоп
+            1х2лор х1лу 1хлёб х2лёс 8х8л- 1х2му 8х8м- 2х1н 3х2ны 8х8н- 1хо 2х1о2к хоп2 хо2пе хо2пор хо1ру х1осм 2х1осн
+            хоф2 хох1л хоя2 8х8о- хп2 8х8п- х1раз 1хран х1ра1с2 х1рей хри2пл х2рис х1ров 1хром хро2мч х1ры х1ря 8х8р-
+            2х1с2 8х8с- 2х1т 8х8т- 1ху. х1у2г 2хуе 2хуй 1хун х1у2р ху3ра 1хус 1хуш 2хую 6хуя. 8х8у- х1х2 8х8х- 2х1ч2 8х8ч-
+            2хш 8х8ш- хью1 8х8ь- 8хъ. 8х8ъ- 8х8ё- 8х8ж- 8х8й- 8х8ф- 8х8ц- 8х8щ- 8х8ы- 8х8э- 8х8ю- 8х8я- 1ц ца1 3ца. 3цам
+            ца2пл 3цах 8ц8а- 2ц1б 8ц8б- ц2ве 2цвы ц2вё 8ц8в- 2цг 8ц8г- 2ц1д 8ц8д- це1з це1к це1от цеп1л цес2л це1т 2цетат
+            8ц8е- 2ц1з 8ц8з- ци1 ци2к1 цик3л ци2ол цип2 ци2ск циу3 циф1р 8ц8и- 2ц1к2 8ц8к- 2ц1л 8ц8л- 2цм 8ц8м- 2ц1н 8ц8н-
+            ц1о2б 2ц1о2д 2ц1от 8ц8о- 2цп2 8ц8п- 2ц1р 8ц8р- 2ц1с 8ц8с- 2ц1т 8ц8т- 3цу 8ц8у- 2цц 8ц8ц- 2ц3ш2 8ц8ш- 3цы цы2п
+            цып3л 8ц8ы- цю1 8ц8ю- 8цъ. 8ц8ъ- 8ц8ё- 8ц8ж- 8ц8й- 8ц8ф- 8ц8х- 8ц8ч- 8ц8щ- 8ц8ь- 8ц8э- 8ц8я- 1ча ча2др ча2дц
+            ча2ево ча2евы ча2ер част1в ча1сте ча1сту ча1стя 3чато 3чаты 8ч8а- 2ч1б 8ч8б- ч1в 8ч8в- 2ч1д 8ч8д- 1че че1вл
+            че2гл че1о чер2с черст1 че1сл 8ч8е- ч2ж чжо2 8ч8ж- 1чи 3чик 3чиц 8ч8и- 2ч1к 8ч8к- 1ч2ла ч2ле ч3лег ч3леж 2чли
+            ч2ли. 1ч2ло 8ч8л- 1чм 2чма 2чме ч2мо 8ч8м- 2ч1н 8ч8н- 3чо 8ч8о- 2ч1с 8ч8с- 2ч1та ч2те 2чтм ч2тё 8ч8т- 1чу 3чук
+            8ч8у- ч2х 8ч8х- 2ч1ч 8ч8ч- 2чь. 1чье 1чьи 2чьс 2чьт 1чью 1чья 1чьё 8ч8ь- 1чё чёр2с чёрст1 8ч8ё- 8чъ. 8ч8ъ-
+            8ч8г- 8ч8з- 8ч8й- 8ч8п- 8ч8р- 8ч8ф- 8ч8ц- 8ч8ш- 8ч8щ- 8ч8ы- 8ч8э- 8ч8ю- 8ч8я- 1ш ша2бл ша2гн ша2г1р ша2др
+            шан2кр шар3т2 ша1ст ша1тро 8ш8а- 2ш1б 8ш8б- ш2в ш3вен 8ш8в- ше2гл ше1к ше1о2 ше3пл ше1с2 8ш8е- ши2бл ши2пл
+            шиф1р 8ш8и- 2ш1к2 3ш2кол 8ш8к- 2ш1лей 2шлен ш2ли. 2шлив 2шлил ш2лин ш2лис ш2лите ш2лиф ш2ло. 2шлов ш2лог ш1лы
+            ш2лю 2шляе 2шляк ш2ляп 2шлят 2шляч 2шляю 2шлён 8ш8л- 2шм 3ш2мы 4ш3мы. 8ш8м- 2ш1н 4шни ш2нур 8ш8н- ш2п2 ш3пр
+            8ш8п- 2ш1р 8ш8р- 2ш1с 8ш8с- ш1ти 2штс 8ш8т- шу2ев шуст1 8ш8у- 2шф 8ш8ф- ш1х 8ш8х- 2шц 8ш8ц- 2ш1ч 8ш8ч- 2шь
+            4шь. 3шье 3шьи 3шью 3шья 3шьё 8ш8ь- ш2ю1 8ш8ю- 8шъ. 8ш8ъ- 8ш8г- 8ш8д- 8ш8ё- 8ш8ж- 8ш8з- 8ш8й- 8ш8о- 8ш8ш-
+            8ш8щ- 8ш8ы- 8ш8э- 8ш8я- 1щ 2щ3в2 8щ8в- ще1б2л ще2гл щед1р щеи2 щеис1 ще1с ще1х щеш2 ще3шк 8щ8е- щи2п1л 8щ8и-
+            2щм 8щ8м- 2щ1н 8щ8н- 2щ1р 8щ8р- 2щь. 8щ8ь- 8щъ. 8щ8ъ- 8щ8а- 8щ8б- 8щ8г- 8щ8д- 8щ8ё- 8щ8ж- 8щ8з- 8щ8й- 8щ8к-
+            8щ8л- 8щ8о- 8щ8п- 8щ8с- 8щ8т- 8щ8у- 8щ8ф- 8щ8х- 8щ8ц- 8щ8ч- 8щ8ш- 8щ8щ- 8щ8ы- 8щ8э- 8щ8ю- 8щ8я- ъ1 ъе2г ъе2д
+            ъе3до ъе2л ъ2е2р ъе2с ъе2хи 8ъ8е- ъю2 8ъ8ю- ъя2 ъя3н 8ъ8я- ъ2ё2р 8ъ8ё- 8ъ8а- 8ъ8б- 8ъ8в- 8ъ8г- 8ъ8д- 8ъ8ж-
+            8ъ8з- 8ъ8и- 8ъ8й- 8ъ8к- 8ъ8л- 8ъ8м- 8ъ8н- 8ъ8о- 8ъ8п- 8ъ8р- 8ъ8с- 8ъ8т- 8ъ8у- 8ъ8ф- 8ъ8х- 8ъ8ц- 8ъ8ч- 8ъ8ш-
+            8ъ8щ- 8ъ8ъ- 8ъ8ы- 8ъ8ь- 8ъ8э- ы1 ы2бл 8ы8б- ы3га ы3ги ыг2л ы2гн 8ы8г- ы2дл ыд2ре ы2д1ро ы2дря ыд2рё 8ы8д- ые2
+            8ы8е- ы3ж2д 8ы8ж- ыз2ва ыз2д ы2зл ы2зн ыз2на 8ы8з- ыи2 ыиг1 8ы8и- ы2к1в ык2л ы2к3ло ыко1з ык1с 8ы8к- ы2ль
+            8ы8л- ы2мч 8ы8м- ынос3л 8ы8н- ы3по 8ы8п- ыра2с3 ыр2в ыре2х ы2рьм ырё2х 8ы8р- ы3са ы3се ыс1ки ыс1ку ы2сн ы3со
+            ыс2п ы2сх ыс2ч ы2сш ы3сё 8ы8с- ыт1ви ыт2р ы3тью ы3тья 8ы8т- ыу2 8ы8у- ы2ш1л ы3шь 8ы8ш- ыя2вя 8ы8я- 8ы8а- 8ы8в-
+            8ы8ё- 8ы8й- 8ы8о- 8ы8ф- 8ы8х- 8ы8ц- 8ы8ч- 8ы8щ- 8ы8ъ- 8ы8ы- 8ы8ь- 8ы8э- 8ы8ю- ь1 ьб2 ьбат2 8ь8б- ь2вя 8ь8в-
+            ь2дц 8ь8д- ь2е ье1зо ье1к ье2с1к 8ь8е- ь2зн 8ь8з- ь2и1 8ь8и- ь2кл 8ь8к- ьми3д ьми3к ьмо1 8ь8м- ьне2о 8ь8н- ь2о
+            8ь8о- ь2п1л ь3п2то 8ь8п- ьс2к ь2сн ь2сти ь2стя 8ь8с- ь2т1амп ьти3м ь2тм ь2тот ь2траб ьт2ре ьт2ру ьт2ры 8ь8т-
+            ьхо2 ьхоз1 8ь8х- ь2ща ь2ще ь2щу ь2щё 8ь8щ- ь2ю 8ь8ю- ь2я ья1в ь3ягс 8ь8я- ь2ё ьё1зо 8ь8ё- 8ь8а- 8ь8г- 8ь8ж-
+            8ь8й- 8ь8л- 8ь8р- 8ь8у- 8ь8ф- 8ь8ц- 8ь8ч- 8ь8ш- 8ь8ъ- 8ь8ы- 8ь8ь- 8ь8э- 1э э1в эв1р 8э8в- 2эг 8э8г- эд1р 8э8д-
+            эк1л экс1 эк2ст 8э8к- эле1о 8э8л- э2м э3ма 8э8м- э2н э3нь 8э8н- эо2з 8э8о- э2п эпи3к 8э8п- э1ре э1ри эри4тр
+            эро1с2 э1ру э1ры 8э8р- эс1 эск2 эс3м э2со эс3те эс2т1р 8э8с- э2те этил1а эт1ра 8э8т- э2ф 8э8ф- эх2 эхо3 8э8х-
+            э2ц 8э8ц- эя2 8э8я- 8э8а- 8э8б- 8э8е- 8э8ё- 8э8ж- 8э8з- 8э8и- 8э8й- 8э8у- 8э8ч- 8э8ш- 8э8щ- 8э8ъ- 8э8ы- 8э8ь-
+            8э8э- 8э8ю- 1ю ю1а 8ю8а- ю1б ю2бв ю2бл ю2б1ре 8ю8б- ю1в 8ю8в- ю1дь 8ю8д- ю1е 8ю8е- юз2г юзи2к ю1зо 8ю8з- ю1и
+            ю2идал 8ю8и- ю1к ю2к1в 8ю8к- ю1ла ю1ле ю2ли ю1лю 8ю8л- 2юм ю2мч 8ю8м- ю2нь 8ю8н- ю1о1 8ю8о- ю1ра ю1ре юре4м
+            ю1ри юри2ск ю1ро ю1ру ю1ры 8ю8р- ю2с1к ю1ста ю1сте ю1сто ю1стя 8ю8с- ю1ти ю1то ю1ту ю1ты 8ю8т- ю1х юха1с 8ю8х-
+            ю1ч 8ю8ч- ю2щь 8ю8щ- ю1я 8ю8я- ю1ё 8ю8ё- 8ю8г- 8ю8ж- 8ю8й- 8ю8п- 8ю8у- 8ю8ф- 8ю8ц- 8ю8ш- 8ю8ъ- 8ю8ы- 8ю8ь-
+            8ю8э- 8ю8ю- я2бр яб1ра яб3ре яб1ри яб3рю яб3рё 8я8б- 3явикс я1во я1ву я1в2х 8я8в- я2г1л я2гн 8я8г- яд1в яд1р
+            8я8д- я1е 8я8е- яз2гн я1зо 8я8з- я1и 8я8и- я1к я2к1в я2к1л як1с 8я8к- я1л я2ль 8я8л- ям2б3л я2мь 8я8м- я3на
+            янс2 8я8н- я1ра я1ри я1ро я1рь 8я8р- яс1к яс1л яс2т яст3в я1сто яст1р 8я8с- я1та ят3в я3ти яти1з я1то я1ту
+            я1ты я3тью я3тья я1тя 8я8т- я1у 8я8у- ях1л я1ху 8я8х- яце1 8я8ц- я2шл 8я8ш- 2яю. 8я8ю- 2я1я 8я8я- 8я8а- 8я8ё-
+            8я8ж- 8я8й- 8я8о- 8я8п- 8я8ф- 8я8ч- 8я8щ- 8я8ъ- 8я8ы- 8я8ь- 8я8э- 2ёб ё1бра ёб1ры 8ё8б- ё1ве ё1во 2ё1вре ё1ву
+            8ё8в- ё1дру 2ё3душ 8ё8д- 2ёже 8ё8ж- ё3зе ёз1о2г ё1зом 8ё8з- ё1ка ё1ки 2ё1ко 2ё1кр ёк2ро ё1ку 8ё8к- ё1ла ё1ле
+            ё1лу ё1лы 8ё8л- 2ёмуж ё2мч 8ё8м- ё3на ён2д1р ёнс2 8ё8н- ёпат2 2ёпе ё2пл ё3пла ёп1лу ё3плы ё4пн 2ёпо ё4пт 8ё8п-
+            ё1ра ё1ре ё3ре. ё1ри ё1ро ёр3ск ё1ру ё1ры 8ё8р- ё3с2а ё1ск ё2с1ка. ё2ске ё4с1ку. 2ёсл ё3со ё1ст ёс2тан ё3сту
+            8ё8с- ё1та 2ётеч ё1ти ё1то ёто1с ёт1р ё1ту ё1ты ё1тю ё1тя 8ё8т- ёха2т ёх1ато ёх3вал ёх3лоп ёх1опо ёх1ру 8ё8х-
+            8ё8а- 8ё8г- 8ё8е- 8ё8ё- 8ё8и- 8ё8й- 8ё8о- 8ё8у- 8ё8ф- 8ё8ц- 8ё8ч- 8ё8ш- 8ё8щ- 8ё8ъ- 8ё8ы- 8ё8ь- 8ё8э- 8ё8ю-
+            8ё8я- 8-7 --8 -а8а8 -а8б8 -а8в8 -а8г8 -а8д8 -а8е8 -а8ё8 -а8ж8 -а8з8 -а8и8 -а8й8 -а8к8 -а8л8 -а8м8 -а8н8 -а8о8
+            -а8п8 -а8р8 -а8с8 -а8т8 -а8у8 -а8ф8 -а8х8 -а8ц8 -а8ч8 -а8ш8 -а8щ8 -а8ъ8 -а8ы8 -а8ь8 -а8э8 -а8ю8 -а8я8 -б8а8
+            -б8б8 -б8в8 -б8г8 -б8д8 -б8е8 -б8ё8 -б8ж8 -б8з8 -б8и8 -б8й8 -б8к8 -б8л8 -б8м8 -б8н8 -б8о8 -б8п8 -б8р8 -б8с8
+            -б8т8 -б8у8 -б8ф8 -б8х8 -б8ц8 -б8ч8 -б8ш8 -б8щ8 -б8ъ8 -б8ы8 -б8ь8 -б8э8 -б8ю8 -б8я8 -в8а8 -в8б8 -в8в8 -в8г8
+            -в8д8 -в8е8 -в8ё8 -в8ж8 -в8з8 -в8и8 -в8й8 -в8к8 -в8л8 -в8м8 -в8н8 -в8о8 -в8п8 -в8р8 -в8с8 -в8т8 -в8у8 -в8ф8
+            -в8х8 -в8ц8 -в8ч8 -в8ш8 -в8щ8 -в8ъ8 -в8ы8 -в8ь8 -в8э8 -в8ю8 -в8я8 -г8а8 -г8б8 -г8в8 -г8г8 -г8д8 -г8е8 -г8ё8
+            -г8ж8 -г8з8 -г8и8 -г8й8 -г8к8 -г8л8 -г8м8 -г8н8 -г8о8 -г8п8 -г8р8 -г8с8 -г8т8 -г8у8 -г8ф8 -г8х8 -г8ц8 -г8ч8
+            -г8ш8 -г8щ8 -г8ъ8 -г8ы8 -г8ь8 -г8э8 -г8ю8 -г8я8 -д8а8 -д8б8 -д8в8 -д8г8 -д8д8 -д8е8 -д8ё8 -д8ж8 -д8з8 -д8и8
+            -д8й8 -д8к8 -д8л8 -д8м8 -д8н8 -д8о8 -д8п8 -д8р8 -д8с8 -д8т8 -д8у8 -д8ф8 -д8х8 -д8ц8 -д8ч8 -д8ш8 -д8щ8 -д8ъ8
+            -д8ы8 -д8ь8 -д8э8 -д8ю8 -д8я8 -е8а8 -е8б8 -е8в8 -е8г8 -е8д8 -е8е8 -е8ё8 -е8ж8 -е8з8 -е8и8 -е8й8 -е8к8 -е8л8
+            -е8м8 -е8н8 -е8о8 -е8п8 -е8р8 -е8с8 -е8т8 -е8у8 -е8ф8 -е8х8 -е8ц8 -е8ч8 -е8ш8 -е8щ8 -е8ъ8 -е8ы8 -е8ь8 -е8э8
+            -е8ю8 -е8я8 -ё8а8 -ё8б8 -ё8в8 -ё8г8 -ё8д8 -ё8е8 -ё8ё8 -ё8ж8 -ё8з8 -ё8и8 -ё8й8 -ё8к8 -ё8л8 -ё8м8 -ё8н8 -ё8о8
+            -ё8п8 -ё8р8 -ё8с8 -ё8т8 -ё8у8 -ё8ф8 -ё8х8 -ё8ц8 -ё8ч8 -ё8ш8 -ё8щ8 -ё8ъ8 -ё8ы8 -ё8ь8 -ё8э8 -ё8ю8 -ё8я8 -ж8а8
+            -ж8б8 -ж8в8 -ж8г8 -ж8д8 -ж8е8 -ж8ё8 -ж8ж8 -ж8з8 -ж8и8 -ж8й8 -ж8к8 -ж8л8 -ж8м8 -ж8н8 -ж8о8 -ж8п8 -ж8р8 -ж8с8
+            -ж8т8 -ж8у8 -ж8ф8 -ж8х8 -ж8ц8 -ж8ч8 -ж8ш8 -ж8щ8 -ж8ъ8 -ж8ы8 -ж8ь8 -ж8э8 -ж8ю8 -ж8я8 -з8а8 -з8б8 -з8в8 -з8г8
+            -з8д8 -з8е8 -з8ё8 -з8ж8 -з8з8 -з8и8 -з8й8 -з8к8 -з8л8 -з8м8 -з8н8 -з8о8 -з8п8 -з8р8 -з8с8 -з8т8 -з8у8 -з8ф8
+            -з8х8 -з8ц8 -з8ч8 -з8ш8 -з8щ8 -з8ъ8 -з8ы8 -з8ь8 -з8э8 -з8ю8 -з8я8 -и8а8 -и8б8 -и8в8 -и8г8 -и8д8 -и8е8 -и8ё8
+            -и8ж8 -и8з8 -и8и8 -и8й8 -и8к8 -и8л8 -и8м8 -и8н8 -и8о8 -и8п8 -и8р8 -и8с8 -и8т8 -и8у8 -и8ф8 -и8х8 -и8ц8 -и8ч8
+            -и8ш8 -и8щ8 -и8ъ8 -и8ы8 -и8ь8 -и8э8 -и8ю8 -и8я8 -й8а8 -й8б8 -й8в8 -й8г8 -й8д8 -й8е8 -й8ё8 -й8ж8 -й8з8 -й8и8
+            -й8й8 -й8к8 -й8л8 -й8м8 -й8н8 -й8о8 -й8п8 -й8р8 -й8с8 -й8т8 -й8у8 -й8ф8 -й8х8 -й8ц8 -й8ч8 -й8ш8 -й8щ8 -й8ъ8
+            -й8ы8 -й8ь8 -й8э8 -й8ю8 -й8я8 -к8а8 -к8б8 -к8в8 -к8г8 -к8д8 -к8е8 -к8ё8 -к8ж8 -к8з8 -к8и8 -к8й8 -к8к8 -к8л8
+            -к8м8 -к8н8 -к8о8 -к8п8 -к8р8 -к8с8 -к8т8 -к8у8 -к8ф8 -к8х8 -к8ц8 -к8ч8 -к8ш8 -к8щ8 -к8ъ8 -к8ы8 -к8ь8 -к8э8
+            -к8ю8 -к8я8 -л8а8 -л8б8 -л8в8 -л8г8 -л8д8 -л8е8 -л8ё8 -л8ж8 -л8з8 -л8и8 -л8й8 -л8к8 -л8л8 -л8м8 -л8н8 -л8о8
+            -л8п8 -л8р8 -л8с8 -л8т8 -л8у8 -л8ф8 -л8х8 -л8ц8 -л8ч8 -л8ш8 -л8щ8 -л8ъ8 -л8ы8 -л8ь8 -л8э8 -л8ю8 -л8я8 -м8а8
+            -м8б8 -м8в8 -м8г8 -м8д8 -м8е8 -м8ё8 -м8ж8 -м8з8 -м8и8 -м8й8 -м8к8 -м8л8 -м8м8 -м8н8 -м8о8 -м8п8 -м8р8 -м8с8
+            -м8т8 -м8у8 -м8ф8 -м8х8 -м8ц8 -м8ч8 -м8ш8 -м8щ8 -м8ъ8 -м8ы8 -м8ь8 -м8э8 -м8ю8 -м8я8 -н8а8 -н8б8 -н8в8 -н8г8
+            -н8д8 -н8е8 -н8ё8 -н8ж8 -н8з8 -н8и8 -н8й8 -н8к8 -н8л8 -н8м8 -н8н8 -н8о8 -н8п8 -н8р8 -н8с8 -н8т8 -н8у8 -н8ф8
+            -н8х8 -н8ц8 -н8ч8 -н8ш8 -н8щ8 -н8ъ8 -н8ы8 -н8ь8 -н8э8 -н8ю8 -н8я8 -о8а8 -о8б8 -о8в8 -о8г8 -о8д8 -о8е8 -о8ё8
+            -о8ж8 -о8з8 -о8и8 -о8й8 -о8к8 -о8л8 -о8м8 -о8н8 -о8о8 -о8п8 -о8р8 -о8с8 -о8т8 -о8у8 -о8ф8 -о8х8 -о8ц8 -о8ч8
+            -о8ш8 -о8щ8 -о8ъ8 -о8ы8 -о8ь8 -о8э8 -о8ю8 -о8я8 -п8а8 -п8б8 -п8в8 -п8г8 -п8д8 -п8е8 -п8ё8 -п8ж8 -п8з8 -п8и8
+            -п8й8 -п8к8 -п8л8 -п8м8 -п8н8 -п8о8 -п8п8 -п8р8 -п8с8 -п8т8 -п8у8 -п8ф8 -п8х8 -п8ц8 -п8ч8 -п8ш8 -п8щ8 -п8ъ8
+            -п8ы8 -п8ь8 -п8э8 -п8ю8 -п8я8 -р8а8 -р8б8 -р8в8 -р8г8 -р8д8 -р8е8 -р8ё8 -р8ж8 -р8з8 -р8и8 -р8й8 -р8к8 -р8л8
+            -р8м8 -р8н8 -р8о8 -р8п8 -р8р8 -р8с8 -р8т8 -р8у8 -р8ф8 -р8х8 -р8ц8 -р8ч8 -р8ш8 -р8щ8 -р8ъ8 -р8ы8 -р8ь8 -р8э8
+            -р8ю8 -р8я8 -с8а8 -с8б8 -с8в8 -с8г8 -с8д8 -с8е8 -с8ё8 -с8ж8 -с8з8 -с8и8 -с8й8 -с8к8 -с8л8 -с8м8 -с8н8 -с8о8
+            -с8п8 -с8р8 -с8с8 -с8т8 -с8у8 -с8ф8 -с8х8 -с8ц8 -с8ч8 -с8ш8 -с8щ8 -с8ъ8 -с8ы8 -с8ь8 -с8э8 -с8ю8 -с8я8 -т8а8
+            -т8б8 -т8в8 -т8г8 -т8д8 -т8е8 -т8ё8 -т8ж8 -т8з8 -т8и8 -т8й8 -т8к8 -т8л8 -т8м8 -т8н8 -т8о8 -т8п8 -т8р8 -т8с8
+            -т8т8 -т8у8 -т8ф8 -т8х8 -т8ц8 -т8ч8 -т8ш8 -т8щ8 -т8ъ8 -т8ы8 -т8ь8 -т8э8 -т8ю8 -т8я8 -у8а8 -у8б8 -у8в8 -у8г8
+            -у8д8 -у8е8 -у8ё8 -у8ж8 -у8з8 -у8и8 -у8й8 -у8к8 -у8л8 -у8м8 -у8н8 -у8о8 -у8п8 -у8р8 -у8с8 -у8т8 -у8у8 -у8ф8
+            -у8х8 -у8ц8 -у8ч8 -у8ш8 -у8щ8 -у8ъ8 -у8ы8 -у8ь8 -у8э8 -у8ю8 -у8я8 -ф8а8 -ф8б8 -ф8в8 -ф8г8 -ф8д8 -ф8е8 -ф8ё8
+            -ф8ж8 -ф8з8 -ф8и8 -ф8й8 -ф8к8 -ф8л8 -ф8м8 -ф8н8 -ф8о8 -ф8п8 -ф8р8 -ф8с8 -ф8т8 -ф8у8 -ф8ф8 -ф8х8 -ф8ц8 -ф8ч8
+            -ф8ш8 -ф8щ8 -ф8ъ8 -ф8ы8 -ф8ь8 -ф8э8 -ф8ю8 -ф8я8 -х8а8 -х8б8 -х8в8 -х8г8 -х8д8 -х8е8 -х8ё8 -х8ж8 -х8з8 -х8и8
+            -х8й8 -х8к8 -х8л8 -х8м8 -х8н8 -х8о8 -х8п8 -х8р8 -х8с8 -х8т8 -х8у8 -х8ф8 -х8х8 -х8ц8 -х8ч8 -х8ш8 -х8щ8 -х8ъ8
+            -х8ы8 -х8ь8 -х8э8 -х8ю8 -х8я8 -ц8а8 -ц8б8 -ц8в8 -ц8г8 -ц8д8 -ц8е8 -ц8ё8 -ц8ж8 -ц8з8 -ц8и8 -ц8й8 -ц8к8 -ц8л8
+            -ц8м8 -ц8н8 -ц8о8 -ц8п8 -ц8р8 -ц8с8 -ц8т8 -ц8у8 -ц8ф8 -ц8х8 -ц8ц8 -ц8ч8 -ц8ш8 -ц8щ8 -ц8ъ8 -ц8ы8 -ц8ь8 -ц8э8
+            -ц8ю8 -ц8я8 -ч8а8 -ч8б8 -ч8в8 -ч8г8 -ч8д8 -ч8е8 -ч8ё8 -ч8ж8 -ч8з8 -ч8и8 -ч8й8 -ч8к8 -ч8л8 -ч8м8 -ч8н8 -ч8о8
+            -ч8п8 -ч8р8 -ч8с8 -ч8т8 -ч8у8 -ч8ф8 -ч8х8 -ч8ц8 -ч8ч8 -ч8ш8 -ч8щ8 -ч8ъ8 -ч8ы8 -ч8ь8 -ч8э8 -ч8ю8 -ч8я8 -ш8а8
+            -ш8б8 -ш8в8 -ш8г8 -ш8д8 -ш8е8 -ш8ё8 -ш8ж8 -ш8з8 -ш8и8 -ш8й8 -ш8к8 -ш8л8 -ш8м8 -ш8н8 -ш8о8 -ш8п8 -ш8р8 -ш8с8
+            -ш8т8 -ш8у8 -ш8ф8 -ш8х8 -ш8ц8 -ш8ч8 -ш8ш8 -ш8щ8 -ш8ъ8 -ш8ы8 -ш8ь8 -ш8э8 -ш8ю8 -ш8я8 -щ8а8 -щ8б8 -щ8в8 -щ8г8
+            -щ8д8 -щ8е8 -щ8ё8 -щ8ж8 -щ8з8 -щ8и8 -щ8й8 -щ8к8 -щ8л8 -щ8м8 -щ8н8 -щ8о8 -щ8п8 -щ8р8 -щ8с8 -щ8т8 -щ8у8 -щ8ф8
+            -щ8х8 -щ8ц8 -щ8ч8 -щ8ш8 -щ8щ8 -щ8ъ8 -щ8ы8 -щ8ь8 -щ8э8 -щ8ю8 -щ8я8 -ъ8а8 -ъ8б8 -ъ8в8 -ъ8г8 -ъ8д8 -ъ8е8 -ъ8ё8
+            -ъ8ж8 -ъ8з8 -ъ8и8 -ъ8й8 -ъ8к8 -ъ8л8 -ъ8м8 -ъ8н8 -ъ8о8 -ъ8п8 -ъ8р8 -ъ8с8 -ъ8т8 -ъ8у8 -ъ8ф8 -ъ8х8 -ъ8ц8 -ъ8ч8
+            -ъ8ш8 -ъ8щ8 -ъ8ъ8 -ъ8ы8 -ъ8ь8 -ъ8э8 -ъ8ю8 -ъ8я8 -ы8а8 -ы8б8 -ы8в8 -ы8г8 -ы8д8 -ы8е8 -ы8ё8 -ы8ж8 -ы8з8 -ы8и8
+            -ы8й8 -ы8к8 -ы8л8 -ы8м8 -ы8н8 -ы8о8 -ы8п8 -ы8р8 -ы8с8 -ы8т8 -ы8у8 -ы8ф8 -ы8х8 -ы8ц8 -ы8ч8 -ы8ш8 -ы8щ8 -ы8ъ8
+            -ы8ы8 -ы8ь8 -ы8э8 -ы8ю8 -ы8я8 -ь8а8 -ь8б8 -ь8в8 -ь8г8 -ь8д8 -ь8е8 -ь8ё8 -ь8ж8 -ь8з8 -ь8и8 -ь8й8 -ь8к8 -ь8л8
+            -ь8м8 -ь8н8 -ь8о8 -ь8п8 -ь8р8 -ь8с8 -ь8т8 -ь8у8 -ь8ф8 -ь8х8 -ь8ц8 -ь8ч8 -ь8ш8 -ь8щ8 -ь8ъ8 -ь8ы8 -ь8ь8 -ь8э8
+            -ь8ю8 -ь8я8 -э8а8 -э8б8 -э8в8 -э8г8 -э8д8 -э8е8 -э8ё8 -э8ж8 -э8з8 -э8и8 -э8й8 -э8к8 -э8л8 -э8м8 -э8н8 -э8о8
+            -э8п8 -э8р8 -э8с8 -э8т8 -э8у8 -э8ф8 -э8х8 -э8ц8 -э8ч8 -э8ш8 -э8щ8 -э8ъ8 -э8ы8 -э8ь8 -э8э8 -э8ю8 -э8я8 -ю8а8
+            -ю8б8 -ю8в8 -ю8г8 -ю8д8 -ю8е8 -ю8ё8 -ю8ж8 -ю8з8 -ю8и8 -ю8й8 -ю8к8 -ю8л8 -ю8м8 -ю8н8 -ю8о8 -ю8п8 -ю8р8 -ю8с8
+            -ю8т8 -ю8у8 -ю8ф8 -ю8х8 -ю8ц8 -ю8ч8 -ю8ш8 -ю8щ8 -ю8ъ8 -ю8ы8 -ю8ь8 -ю8э8 -ю8ю8 -ю8я8 -я8а8 -я8б8 -я8в8 -я8г8
+            -я8д8 -я8е8 -я8ё8 -я8ж8 -я8з8 -я8и8 -я8й8 -я8к8 -я8л8 -я8м8 -я8н8 -я8о8 -я8п8 -я8р8 -я8с8 -я8т8 -я8у8 -я8ф8
+            -я8х8 -я8ц8 -я8ч8 -я8ш8 -я8щ8 -я8ъ8 -я8ы8 -я8ь8 -я8э8 -я8ю8 -я8я8
+        `
+    }
+};
\ No newline at end of file
@@ -1,613 +1,6263 @@
 // Advanced Font Rendering Engine - Enhanced JavaScript Implementation
 // Fully responsive with mobile optimizations and accessibility features
 
+// Reads the sfnt tables of a loaded font file (TrueType, OpenType/CFF or WOFF).
+// WOFF2 needs a Brotli decoder plus table transforms, so it is not inspected.
+class FontParser {
+    constructor(tables) {
+        this.tables = tables;
+        this.names = null;
+    }
+    
+    static parse(buffer) {
+        const signature = buffer.byteLength >= 4 ? new DataView(buffer).getUint32(0) : 0;
+        
+        switch (signature) {
+            case 0x00010000:
+            case 0x74727565: // 'true'
+            case 0x4F54544F: // 'OTTO'
+                return Promise.resolve(new FontParser(FontParser.readSfntTables(buffer)));
+            case 0x774F4646: // 'wOFF'
+                return FontParser.readWoffTables(buffer).then(tables => new FontParser(tables));
+            case 0x774F4632: // 'wOF2'
+                return Promise.reject(new Error('WOFF2 tables cannot be inspected, load the TTF or OTF version instead'));
+            default:
+                return Promise.reject(new Error('Unrecognised font file signature'));
+        }
+    }
+    
+    static readSfntTables(buffer) {
+        const view = new DataView(buffer);
+        const numTables = view.getUint16(4);
+        const tables = {};
+        
+        for (let i = 0; i < numTables; i++) {
+            const record = 12 + i * 16;
+            const tag = FontParser.readTag(view, record);
+            const offset = view.getUint32(record + 8);
+            const length = view.getUint32(record + 12);
+            tables[tag] = new DataView(buffer, offset, length);
+        }
+        
+        return tables;
+    }
+    
+    static readWoffTables(buffer) {
+        const view = new DataView(buffer);
+        const numTables = view.getUint16(12);
+        const reads = [];
+        
+        for (let i = 0; i < numTables; i++) {
+            const entry = 44 + i * 20;
+            const tag = FontParser.readTag(view, entry);
+            const offset = view.getUint32(entry + 4);
+            const compLength = view.getUint32(entry + 8);
+            const origLength = view.getUint32(entry + 12);
+            const data = new Uint8Array(buffer, offset, compLength);
+            
+            // Tables are zlib-compressed only when that made them smaller
+            const read = compLength < origLength
+                ? FontParser.inflate(data)
+                : Promise.resolve(data.slice().buffer);
+            
+            reads.push(read.then(table => [tag, new DataView(table)]));
+        }
+        
+        return Promise.all(reads).then(entries => Object.fromEntries(entries));
+    }
+    
+    static inflate(bytes) {
+        if (typeof DecompressionStream === 'undefined') {
+            return Promise.reject(new Error('This browser cannot decompress WOFF tables'));
+        }
+        
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+        return new Response(stream).arrayBuffer();
+    }
+    
+    static readTag(view, offset) {
+        let tag = '';
+        for (let i = 0; i < 4; i++) {
+            tag += String.fromCharCode(view.getUint8(offset + i));
+        }
+        return tag;
+    }
+    
+    static get macGlyphNames() {
+        // The 258 standard Macintosh glyph names that post table format 2 indexes into
+        return (
+            '.notdef .null nonmarkingreturn space exclam quotedbl numbersign dollar percent ampersand quotesingle ' +
+            'parenleft parenright asterisk plus comma hyphen period slash zero one two three four five six seven eight ' +
+            'nine colon semicolon less equal greater question at A B C D E F G H I J K L M N O P Q R S T U V W X Y Z ' +
+            'bracketleft backslash bracketright asciicircum underscore grave a b c d e f g h i j k l m n o p q r s t u v ' +
+            'w x y z braceleft bar braceright asciitilde Adieresis Aring Ccedilla Eacute Ntilde Odieresis Udieresis ' +
+            'aacute agrave acircumflex adieresis atilde aring ccedilla eacute egrave ecircumflex edieresis iacute igrave ' +
+            'icircumflex idieresis ntilde oacute ograve ocircumflex odieresis otilde uacute ugrave ucircumflex udieresis ' +
+            'dagger degree cent sterling section bullet paragraph germandbls registered copyright trademark acute ' +
+            'dieresis notequal AE Oslash infinity plusminus lessequal greaterequal yen mu partialdiff summation product ' +
+            'pi integral ordfeminine ordmasculine Omega ae oslash questiondown exclamdown logicalnot radical florin ' +
+            'approxequal Delta guillemotleft guillemotright ellipsis nonbreakingspace Agrave Atilde Otilde OE oe endash ' +
+            'emdash quotedblleft quotedblright quoteleft quoteright divide lozenge ydieresis Ydieresis fraction currency ' +
+            'guilsinglleft guilsinglright fi fl daggerdbl periodcentered quotesinglbase quotedblbase perthousand ' +
+            'Acircumflex Ecircumflex Aacute Edieresis Egrave Iacute Icircumflex Idieresis Igrave Oacute Ocircumflex ' +
+            'apple Ograve Uacute Ucircumflex Ugrave dotlessi circumflex tilde macron breve dotaccent ring cedilla ' +
+            'hungarumlaut ogonek caron Lslash lslash Scaron scaron Zcaron zcaron brokenbar Eth eth Yacute yacute Thorn ' +
+            'thorn minus multiply onesuperior twosuperior threesuperior onehalf onequarter threequarters franc Gbreve ' +
+            'gbreve Idotaccent Scedilla scedilla Cacute cacute Ccaron ccaron dcroat'
+        ).split(' ');
+    }
+    
+    static readFixed(view, offset) {
+        return Math.round(view.getInt32(offset) / 65536 * 1000) / 1000;
+    }
+    
+    hasTable(tag) {
+        return Boolean(this.tables[tag]);
+    }
+    
+    getName(nameID) {
+        if (!this.names) {
+            this.names = this.parseNameTable();
+        }
+        return this.names[nameID] || '';
+    }
+    
+    parseNameTable() {
+        const table = this.tables.name;
+        const names = {};
+        if (!table) return names;
+        
+        const count = table.getUint16(2);
+        const stringOffset = table.getUint16(4);
+        const ranks = {};
+        
+        for (let i = 0; i < count; i++) {
+            const record = 6 + i * 12;
+            const platformID = table.getUint16(record);
+            const languageID = table.getUint16(record + 4);
+            const nameID = table.getUint16(record + 6);
+            const length = table.getUint16(record + 8);
+            const offset = stringOffset + table.getUint16(record + 10);
+            
+            // Prefer US English Windows names, then any Unicode name, then Macintosh Roman
+            let rank = 0;
+            if (platformID === 3) rank = languageID === 0x0409 ? 4 : 3;
+            else if (platformID === 0) rank = 2;
+            else if (platformID === 1 && languageID === 0) rank = 1;
+            
+            if (rank > (ranks[nameID] || 0) && offset + length <= table.byteLength) {
+                ranks[nameID] = rank;
+                names[nameID] = platformID === 1
+                    ? this.decodeLatin1(table, offset, length)
+                    : this.decodeUtf16(table, offset, length);
+            }
+        }
+        
+        return names;
+    }
+    
+    decodeUtf16(view, offset, length) {
+        const codes = [];
+        for (let i = 0; i + 1 < length; i += 2) {
+            codes.push(view.getUint16(offset + i));
+        }
+        return String.fromCharCode(...codes);
+    }
+    
+    decodeLatin1(view, offset, length) {
+        let text = '';
+        for (let i = 0; i < length; i++) {
+            text += String.fromCharCode(view.getUint8(offset + i));
+        }
+        return text;
+    }
+    
+    getVariationAxes() {
+        const fvar = this.tables.fvar;
+        if (!fvar) return [];
+        
+        const axesOffset = fvar.getUint16(4);
+        const axisCount = fvar.getUint16(8);
+        const axisSize = fvar.getUint16(10);
+        const registeredNames = {
+            wght: 'Weight',
+            wdth: 'Width',
+            opsz: 'Optical Size',
+            slnt: 'Slant',
+            ital: 'Italic'
+        };
+        const axes = [];
+        
+        for (let i = 0; i < axisCount; i++) {
+            const record = axesOffset + i * axisSize;
+            const tag = FontParser.readTag(fvar, record);
+            
+            axes.push({
+                tag,
+                name: this.getName(fvar.getUint16(record + 18)) || registeredNames[tag] || tag,
+                min: FontParser.readFixed(fvar, record + 4),
+                defaultValue: FontParser.readFixed(fvar, record + 8),
+                max: FontParser.readFixed(fvar, record + 12),
+                hidden: (fvar.getUint16(record + 16) & 0x0001) !== 0
+            });
+        }
+        
+        return axes;
+    }
+    
+    getNamedInstances() {
+        const fvar = this.tables.fvar;
+        if (!fvar) return [];
+        
+        const axes = this.getVariationAxes();
+        const axesOffset = fvar.getUint16(4);
+        const axisSize = fvar.getUint16(10);
+        const instanceCount = fvar.getUint16(12);
+        const instanceSize = fvar.getUint16(14);
+        const instancesOffset = axesOffset + axes.length * axisSize;
+        const instances = [];
+        
+        for (let i = 0; i < instanceCount; i++) {
+            const record = instancesOffset + i * instanceSize;
+            const coordinates = {};
+            
+            axes.forEach((axis, index) => {
+                coordinates[axis.tag] = FontParser.readFixed(fvar, record + 4 + index * 4);
+            });
+            
+            instances.push({
+                name: this.getName(fvar.getUint16(record)) || `Instance ${i + 1}`,
+                coordinates
+            });
+        }
+        
+        return instances;
+    }
+    
+    getFontInfo() {
+        const head = this.tables.head;
+        const hhea = this.tables.hhea;
+        const maxp = this.tables.maxp;
+        const os2 = this.tables['OS/2'];
+        const os2Version = os2 ? os2.getUint16(0) : -1;
+        
+        return {
+            family: this.getName(16) || this.getName(1),
+            subfamily: this.getName(17) || this.getName(2),
+            fullName: this.getName(4),
+            version: this.getName(5),
+            postScriptName: this.getName(6),
+            manufacturer: this.getName(8),
+            designer: this.getName(9),
+            unitsPerEm: head ? head.getUint16(18) : 1000,
+            numGlyphs: maxp ? maxp.getUint16(4) : 0,
+            weightClass: os2 ? os2.getUint16(4) : null,
+            widthClass: os2 ? os2.getUint16(6) : null,
+            vendor: os2 ? FontParser.readTag(os2, 58).trim() : '',
+            ascender: os2 ? os2.getInt16(68) : hhea ? hhea.getInt16(4) : null,
+            descender: os2 ? os2.getInt16(70) : hhea ? hhea.getInt16(6) : null,
+            lineGap: os2 ? os2.getInt16(72) : hhea ? hhea.getInt16(8) : null,
+            // sxHeight and sCapHeight only exist from OS/2 version 2
+            xHeight: os2Version >= 2 && os2.byteLength >= 90 ? os2.getInt16(86) : null,
+            capHeight: os2Version >= 2 && os2.byteLength >= 90 ? os2.getInt16(88) : null,
+            outlines: this.hasTable('CFF ') || this.hasTable('CFF2') ? 'PostScript (CFF)' : 'TrueType',
+            isVariable: this.hasTable('fvar')
+        };
+    }
+    
+    getLayoutFeatures(tableTag) {
+        const table = this.tables[tableTag];
+        const layout = { features: [], featureNames: {}, scripts: [] };
+        if (!table) return layout;
+        
+        const scriptListOffset = table.getUint16(4);
+        const featureListOffset = table.getUint16(6);
+        
+        const featureTags = [];
+        const featureNames = {};
+        const featureCount = table.getUint16(featureListOffset);
+        for (let i = 0; i < featureCount; i++) {
+            const record = featureListOffset + 2 + i * 6;
+            const tag = FontParser.readTag(table, record);
+            featureTags.push(tag);
+            
+            // Stylistic sets and character variants can carry a UI name in their feature params
+            const featureOffset = featureListOffset + table.getUint16(record + 4);
+            const paramsOffset = table.getUint16(featureOffset);
+            if (paramsOffset && /^(ss|cv)\d\d$/.test(tag) && featureOffset + paramsOffset + 4 <= table.byteLength) {
+                const name = this.getName(table.getUint16(featureOffset + paramsOffset + 2));
+                if (name) featureNames[tag] = name;
+            }
+        }
+        layout.features = Array.from(new Set(featureTags)).sort();
+        layout.featureNames = featureNames;
+        
+        const readLangSys = (tag, offset) => {
+            const featureIndexCount = table.getUint16(offset + 4);
+            const features = new Set();
+            for (let i = 0; i < featureIndexCount; i++) {
+                const tagForIndex = featureTags[table.getUint16(offset + 6 + i * 2)];
+                if (tagForIndex) features.add(tagForIndex);
+            }
+            return { tag, features: Array.from(features).sort() };
+        };
+        
+        const scriptCount = table.getUint16(scriptListOffset);
+        for (let i = 0; i < scriptCount; i++) {
+            const record = scriptListOffset + 2 + i * 6;
+            const scriptOffset = scriptListOffset + table.getUint16(record + 4);
+            const defaultLangSys = table.getUint16(scriptOffset);
+            const langSysCount = table.getUint16(scriptOffset + 2);
+            const languages = [];
+            
+            if (defaultLangSys) {
+                languages.push(readLangSys('dflt', scriptOffset + defaultLangSys));
+            }
+            
+            for (let j = 0; j < langSysCount; j++) {
+                const langRecord = scriptOffset + 4 + j * 6;
+                languages.push(readLangSys(
+                    FontParser.readTag(table, langRecord).trim(),
+                    scriptOffset + table.getUint16(langRecord + 4)
+                ));
+            }
+            
+            layout.scripts.push({ tag: FontParser.readTag(table, record), languages });
+        }
+        
+        return layout;
+    }
+    
+    getCharacterMap() {
+        if (this.characterMap) return this.characterMap;
+        
+        this.characterMap = new Map();
+        const cmap = this.tables.cmap;
+        if (!cmap) return this.characterMap;
+        
+        // Full-repertoire subtables first, then BMP-only ones
+        const preferences = ['3-10', '0-6', '0-4', '3-1', '0-3', '0-2', '0-1', '0-0'];
+        const numTables = cmap.getUint16(2);
+        const subtables = {};
+        
+        for (let i = 0; i < numTables; i++) {
+            const record = 4 + i * 8;
+            subtables[`${cmap.getUint16(record)}-${cmap.getUint16(record + 2)}`] = cmap.getUint32(record + 4);
+        }
+        
+        const key = preferences.find(candidate => subtables[candidate] !== undefined);
+        if (key) {
+            this.readCmapSubtable(cmap, subtables[key], this.characterMap);
+        }
+        
+        return this.characterMap;
+    }
+    
+    getGlyphName(glyphId) {
+        if (!this.glyphNames) {
+            this.glyphNames = this.parsePostNames();
+        }
+        return this.glyphNames[glyphId] || '';
+    }
+    
+    parsePostNames() {
+        const post = this.tables.post;
+        if (!post || post.getUint32(0) !== 0x00020000) return [];
+        
+        // Format 2 lists an index per glyph; indexes past 257 point at Pascal strings after the array
+        const numGlyphs = post.getUint16(32);
+        const macNames = FontParser.macGlyphNames;
+        const customNames = [];
+        let offset = 34 + numGlyphs * 2;
+        
+        while (offset < post.byteLength) {
+            const length = post.getUint8(offset);
+            customNames.push(this.decodeLatin1(post, offset + 1, Math.min(length, post.byteLength - offset - 1)));
+            offset += length + 1;
+        }
+        
+        const names = [];
+        for (let i = 0; i < numGlyphs; i++) {
+            const index = post.getUint16(34 + i * 2);
+            names.push(index < 258 ? macNames[index] : customNames[index - 258] || '');
+        }
+        return names;
+    }
+    
+    getGlyphMetrics(glyphId) {
+        const hhea = this.tables.hhea;
+        const hmtx = this.tables.hmtx;
+        if (!hhea || !hmtx) return null;
+        
+        // Glyphs past numberOfHMetrics share the last advance and only store a side bearing
+        const numberOfHMetrics = hhea.getUint16(34);
+        const metricIndex = Math.min(glyphId, numberOfHMetrics - 1);
+        const advanceWidth = hmtx.getUint16(metricIndex * 4);
+        const lsbOffset = glyphId < numberOfHMetrics
+            ? glyphId * 4 + 2
+            : numberOfHMetrics * 4 + (glyphId - numberOfHMetrics) * 2;
+        const lsb = lsbOffset + 2 <= hmtx.byteLength ? hmtx.getInt16(lsbOffset) : 0;
+        const bounds = this.getGlyphBounds(glyphId);
+        
+        return {
+            advanceWidth,
+            lsb: bounds ? bounds.xMin : lsb,
+            rsb: bounds ? advanceWidth - bounds.xMax : null,
+            bounds
+        };
+    }
+    
+    getGlyphBounds(glyphId) {
+        const glyf = this.tables.glyf;
+        const start = this.getGlyphOffset(glyphId);
+        if (start === null) return null;
+        
+        return {
+            xMin: glyf.getInt16(start + 2),
+            yMin: glyf.getInt16(start + 4),
+            xMax: glyf.getInt16(start + 6),
+            yMax: glyf.getInt16(start + 8)
+        };
+    }
+    
+    getGlyphOffset(glyphId) {
+        const head = this.tables.head;
+        const loca = this.tables.loca;
+        const glyf = this.tables.glyf;
+        if (!head || !loca || !glyf) return null;
+        
+        // indexToLocFormat 0 stores halved 16-bit offsets, 1 stores 32-bit offsets
+        const longOffsets = head.getInt16(50) === 1;
+        const entrySize = longOffsets ? 4 : 2;
+        if ((glyphId + 2) * entrySize > loca.byteLength) return null;
+        
+        const readOffset = index => longOffsets ? loca.getUint32(index * 4) : loca.getUint16(index * 2) * 2;
+        const start = readOffset(glyphId);
+        const end = readOffset(glyphId + 1);
+        
+        // Empty glyphs such as the space have no outline and no bounding box
+        if (end <= start || start + 10 > glyf.byteLength) return null;
+        return start;
+    }
+    
+    hasOutlines() {
+        return this.hasTable('glyf') || this.hasTable('CFF ');
+    }
+    
+    getGlyphOutline(glyphId) {
+        // Path commands in font units, y up: ['M', x, y], ['L', x, y], ['Q', cx, cy, x, y],
+        // ['C', c1x, c1y, c2x, c2y, x, y] and ['Z']. Variable fonts give their default instance.
+        if (!this.outlines) this.outlines = new Map();
+        
+        if (!this.outlines.has(glyphId)) {
+            let commands = [];
+            if (this.hasTable('glyf')) {
+                commands = this.readGlyfOutline(glyphId, 0);
+            } else if (this.hasTable('CFF ')) {
+                commands = this.readCffOutline(glyphId);
+            }
+            this.outlines.set(glyphId, commands);
+        }
+        
+        return this.outlines.get(glyphId);
+    }
+    
+    readGlyfOutline(glyphId, depth) {
+        const glyf = this.tables.glyf;
+        const start = this.getGlyphOffset(glyphId);
+        if (start === null || depth > 8) return [];
+        
+        const numberOfContours = glyf.getInt16(start);
+        return numberOfContours >= 0
+            ? this.readSimpleGlyph(glyf, start, numberOfContours)
+            : this.readCompositeGlyph(glyf, start, depth);
+    }
+    
+    readSimpleGlyph(glyf, start, numberOfContours) {
+        let offset = start + 10;
+        const endPoints = [];
+        for (let i = 0; i < numberOfContours; i++) {
+            endPoints.push(glyf.getUint16(offset));
+            offset += 2;
+        }
+        
+        const numPoints = numberOfContours ? endPoints[numberOfContours - 1] + 1 : 0;
+        offset += 2 + glyf.getUint16(offset); // skip the hinting instructions
+        
+        // Flags can repeat; coordinates are deltas, short ones carry their sign in the flag
+        const flags = [];
+        while (flags.length < numPoints) {
+            const flag = glyf.getUint8(offset++);
+            flags.push(flag);
+            if (flag & 0x08) {
+                let repeat = glyf.getUint8(offset++);
+                while (repeat-- > 0) flags.push(flag);
+            }
+        }
+        flags.length = numPoints;
+        
+        const readCoordinates = (shortFlag, sameFlag) => {
+            let value = 0;
+            return flags.map(flag => {
+                if (flag & shortFlag) {
+                    const delta = glyf.getUint8(offset++);
+                    value += flag & sameFlag ? delta : -delta;
+                } else if (!(flag & sameFlag)) {
+                    value += glyf.getInt16(offset);
+                    offset += 2;
+                }
+                return value;
+            });
+        };
+        const xs = readCoordinates(0x02, 0x10);
+        const ys = readCoordinates(0x04, 0x20);
+        
+        const commands = [];
+        let first = 0;
+        endPoints.forEach(last => {
+            const points = [];
+            for (let i = first; i <= last; i++) {
+                points.push({ x: xs[i], y: ys[i], onCurve: (flags[i] & 0x01) === 1 });
+            }
+            first = last + 1;
+            if (points.length > 0) {
+                commands.push(...FontParser.quadraticContour(points));
+            }
+        });
+        return commands;
+    }
+    
+    static quadraticContour(points) {
+        // Two off-curve points in a row imply an on-curve point halfway between them
+        const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, onCurve: true });
+        const firstOnCurve = points.findIndex(point => point.onCurve);
+        const start = firstOnCurve === -1 ? midpoint(points[0], points[points.length - 1]) : points[firstOnCurve];
+        const ordered = firstOnCurve === -1
+            ? points
+            : points.slice(firstOnCurve + 1).concat(points.slice(0, firstOnCurve));
+        
+        const commands = [['M', start.x, start.y]];
+        let control = null;
+        
+        ordered.concat([start]).forEach(point => {
+            if (point.onCurve) {
+                commands.push(control ? ['Q', control.x, control.y, point.x, point.y] : ['L', point.x, point.y]);
+                control = null;
+            } else {
+                if (control) {
+                    const implied = midpoint(control, point);
+                    commands.push(['Q', control.x, control.y, implied.x, implied.y]);
+                }
+                control = point;
+            }
+        });
+        
+        commands.push(['Z']);
+        return commands;
+    }
+    
+    readCompositeGlyph(glyf, start, depth) {
+        const commands = [];
+        const f2dot14 = offset => glyf.getInt16(offset) / 16384;
+        let offset = start + 10;
+        let flags;
+        
+        do {
+            flags = glyf.getUint16(offset);
+            const componentId = glyf.getUint16(offset + 2);
+            offset += 4;
+            
+            let dx;
+            let dy;
+            if (flags & 0x0001) {
+                dx = flags & 0x0002 ? glyf.getInt16(offset) : glyf.getUint16(offset);
+                dy = flags & 0x0002 ? glyf.getInt16(offset + 2) : glyf.getUint16(offset + 2);
+                offset += 4;
+            } else {
+                dx = flags & 0x0002 ? glyf.getInt8(offset) : glyf.getUint8(offset);
+                dy = flags & 0x0002 ? glyf.getInt8(offset + 1) : glyf.getUint8(offset + 1);
+                offset += 2;
+            }
+            // Components anchored by point numbers instead of offsets are placed at the origin
+            if (!(flags & 0x0002)) {
+                dx = 0;
+                dy = 0;
+            }
+            
+            let [a, b, c, d] = [1, 0, 0, 1];
+            if (flags & 0x0008) {
+                a = d = f2dot14(offset);
+                offset += 2;
+            } else if (flags & 0x0040) {
+                a = f2dot14(offset);
+                d = f2dot14(offset + 2);
+                offset += 4;
+            } else if (flags & 0x0080) {
+                [a, b, c, d] = [f2dot14(offset), f2dot14(offset + 2), f2dot14(offset + 4), f2dot14(offset + 6)];
+                offset += 8;
+            }
+            
+            this.readGlyfOutline(componentId, depth + 1).forEach(([type, ...coordinates]) => {
+                const transformed = [type];
+                for (let i = 0; i < coordinates.length; i += 2) {
+                    const x = coordinates[i];
+                    const y = coordinates[i + 1];
+                    transformed.push(a * x + c * y + dx, b * x + d * y + dy);
+                }
+                commands.push(transformed);
+            });
+        } while (flags & 0x0020);
+        
+        return commands;
+    }
+    
+    parseCff() {
+        const cff = this.tables['CFF '];
+        const nameIndex = FontParser.readCffIndex(cff, cff.getUint8(2));
+        const topDictIndex = FontParser.readCffIndex(cff, nameIndex.end);
+        const stringIndex = FontParser.readCffIndex(cff, topDictIndex.end);
+        const globalSubrs = FontParser.readCffIndex(cff, stringIndex.end);
+        const topDictEntry = topDictIndex.objects[0];
+        const topDict = FontParser.readCffDict(cff, topDictEntry.start, topDictEntry.end);
+        const charStrings = FontParser.readCffIndex(cff, topDict[17][0]).objects;
+        
+        const readLocalSubrs = privateEntry => {
+            if (!privateEntry) return [];
+            const [size, offset] = privateEntry;
+            const privateDict = FontParser.readCffDict(cff, offset, offset + size);
+            return privateDict[19] ? FontParser.readCffIndex(cff, offset + privateDict[19][0]).objects : [];
+        };
+        
+        // CID-keyed fonts keep a Private DICT, and so local subroutines, per font in the FDArray
+        let fdSubrs = null;
+        let fdSelect = null;
+        if (topDict[1236] && topDict[1237]) {
+            fdSubrs = FontParser.readCffIndex(cff, topDict[1236][0]).objects
+                .map(entry => readLocalSubrs(FontParser.readCffDict(cff, entry.start, entry.end)[18]));
+            fdSelect = FontParser.readFdSelect(cff, topDict[1237][0], charStrings.length);
+        }
+        
+        return {
+            charStrings,
+            globalSubrs: globalSubrs.objects,
+            localSubrs: readLocalSubrs(topDict[18]),
+            fdSubrs,
+            fdSelect
+        };
+    }
+    
+    static readCffIndex(view, offset) {
+        const count = view.getUint16(offset);
+        if (count === 0) return { objects: [], end: offset + 2 };
+        
+        const offSize = view.getUint8(offset + 2);
+        const readOffset = index => {
+            let value = 0;
+            for (let i = 0; i < offSize; i++) {
+                value = value * 256 + view.getUint8(offset + 3 + index * offSize + i);
+            }
+            return value;
+        };
+        
+        // Offsets are 1-based from the byte before the object data
+        const dataStart = offset + 3 + (count + 1) * offSize - 1;
+        const objects = [];
+        for (let i = 0; i < count; i++) {
+            objects.push({ start: dataStart + readOffset(i), end: dataStart + readOffset(i + 1) });
+        }
+        return { objects, end: dataStart + readOffset(count) };
+    }
+    
+    static readCffDict(view, start, end) {
+        // Operands precede their operator; escaped operators are stored as 1200 + second byte
+        const dict = {};
+        let operands = [];
+        let offset = start;
+        
+        while (offset < end) {
+            const b0 = view.getUint8(offset++);
+            if (b0 <= 21) {
+                const operator = b0 === 12 ? 1200 + view.getUint8(offset++) : b0;
+                dict[operator] = operands;
+                operands = [];
+            } else if (b0 === 28) {
+                operands.push(view.getInt16(offset));
+                offset += 2;
+            } else if (b0 === 29) {
+                operands.push(view.getInt32(offset));
+                offset += 4;
+            } else if (b0 === 30) {
+                const symbols = '0123456789.E?-?';
+                let text = '';
+                let done = false;
+                while (!done) {
+                    const byte = view.getUint8(offset++);
+                    [byte >> 4, byte & 0x0F].forEach(nibble => {
+                        if (done) return;
+                        if (nibble === 0x0F) done = true;
+                        else text += nibble === 0x0C ? 'E-' : symbols[nibble];
+                    });
+                }
+                operands.push(parseFloat(text));
+            } else if (b0 >= 32 && b0 <= 246) {
+                operands.push(b0 - 139);
+            } else if (b0 >= 247 && b0 <= 250) {
+                operands.push((b0 - 247) * 256 + view.getUint8(offset++) + 108);
+            } else if (b0 >= 251 && b0 <= 254) {
+                operands.push(-(b0 - 251) * 256 - view.getUint8(offset++) - 108);
+            }
+        }
+        
+        return dict;
+    }
+    
+    static readFdSelect(view, offset, numGlyphs) {
+        const format = view.getUint8(offset);
+        const fds = new Uint8Array(numGlyphs);
+        
+        if (format === 0) {
+            for (let i = 0; i < numGlyphs; i++) fds[i] = view.getUint8(offset + 1 + i);
+        } else if (format === 3) {
+            const numRanges = view.getUint16(offset + 1);
+            for (let i = 0; i < numRanges; i++) {
+                const record = offset + 3 + i * 3;
+                const first = view.getUint16(record);
+                const next = view.getUint16(record + 3);
+                fds.fill(view.getUint8(record + 2), first, Math.min(next, numGlyphs));
+            }
+        }
+        return fds;
+    }
+    
+    readCffOutline(glyphId) {
+        if (!this.cff) this.cff = this.parseCff();
+        
+        const cff = this.tables['CFF '];
+        const { charStrings, globalSubrs } = this.cff;
+        const charString = charStrings[glyphId];
+        if (!charString) return [];
+        
+        const localSubrs = this.cff.fdSubrs ? this.cff.fdSubrs[this.cff.fdSelect[glyphId]] || [] : this.cff.localSubrs;
+        const bias = subrs => subrs.length < 1240 ? 107 : subrs.length < 33900 ? 1131 : 32768;
+        
+        const commands = [];
+        const stack = [];
+        let x = 0;
+        let y = 0;
+        let stems = 0;
+        let haveWidth = false;
+        let open = false;
+        let finished = false;
+        
+        // The advance width may precede the first stack-clearing operator; hmtx has it anyway
+        const takeWidth = hasExtra => {
+            if (!haveWidth && hasExtra) stack.shift();
+            haveWidth = true;
+        };
+        const moveTo = (dx, dy) => {
+            if (open) commands.push(['Z']);
+            x += dx;
+            y += dy;
+            commands.push(['M', x, y]);
+            open = true;
+        };
+        const lineTo = (dx, dy) => {
+            x += dx;
+            y += dy;
+            commands.push(['L', x, y]);
+        };
+        const curveTo = (dxa, dya, dxb, dyb, dxc, dyc) => {
+            const x1 = x + dxa;
+            const y1 = y + dya;
+            const x2 = x1 + dxb;
+            const y2 = y1 + dyb;
+            x = x2 + dxc;
+            y = y2 + dyc;
+            commands.push(['C', x1, y1, x2, y2, x, y]);
+        };
+        
+        const run = (offset, end, depth) => {
+            while (offset < end && !finished) {
+                const b0 = cff.getUint8(offset++);
+                
+                if (b0 === 28) {
+                    stack.push(cff.getInt16(offset));
+                    offset += 2;
+                    continue;
+                }
+                if (b0 >= 32) {
+                    if (b0 <= 246) {
+                        stack.push(b0 - 139);
+                    } else if (b0 <= 250) {
+                        stack.push((b0 - 247) * 256 + cff.getUint8(offset++) + 108);
+                    } else if (b0 <= 254) {
+                        stack.push(-(b0 - 251) * 256 - cff.getUint8(offset++) - 108);
+                    } else {
+                        stack.push(cff.getInt32(offset) / 65536);
+                        offset += 4;
+                    }
+                    continue;
+                }
+                
+                switch (b0) {
+                    case 1: // hstem
+                    case 3: // vstem
+                    case 18: // hstemhm
+                    case 23: // vstemhm
+                        takeWidth(stack.length % 2 === 1);
+                        stems += stack.length >> 1;
+                        stack.length = 0;
+                        break;
+                    case 19: // hintmask
+                    case 20: // cntrmask
+                        takeWidth(stack.length % 2 === 1);
+                        stems += stack.length >> 1;
+                        stack.length = 0;
+                        offset += (stems + 7) >> 3;
+                        break;
+                    case 21: // rmoveto
+                        takeWidth(stack.length > 2);
+                        moveTo(stack[0], stack[1]);
+                        stack.length = 0;
+                        break;
+                    case 22: // hmoveto
+                        takeWidth(stack.length > 1);
+                        moveTo(stack[0], 0);
+                        stack.length = 0;
+                        break;
+                    case 4: // vmoveto
+                        takeWidth(stack.length > 1);
+                        moveTo(0, stack[0]);
+                        stack.length = 0;
+                        break;
+                    case 5: // rlineto
+                        for (let i = 0; i + 1 < stack.length; i += 2) lineTo(stack[i], stack[i + 1]);
+                        stack.length = 0;
+                        break;
+                    case 6: // hlineto
+                    case 7: { // vlineto
+                        let horizontal = b0 === 6;
+                        stack.forEach(delta => {
+                            horizontal ? lineTo(delta, 0) : lineTo(0, delta);
+                            horizontal = !horizontal;
+                        });
+                        stack.length = 0;
+                        break;
+                    }
+                    case 8: // rrcurveto
+                        for (let i = 0; i + 5 < stack.length; i += 6) curveTo(...stack.slice(i, i + 6));
+                        stack.length = 0;
+                        break;
+                    case 24: { // rcurveline
+                        let i = 0;
+                        for (; i + 6 <= stack.length - 2; i += 6) curveTo(...stack.slice(i, i + 6));
+                        lineTo(stack[i], stack[i + 1]);
+                        stack.length = 0;
+                        break;
+                    }
+                    case 25: { // rlinecurve
+                        let i = 0;
+                        for (; i + 2 <= stack.length - 6; i += 2) lineTo(stack[i], stack[i + 1]);
+                        curveTo(...stack.slice(i, i + 6));
+                        stack.length = 0;
+                        break;
+                    }
+                    case 26: { // vvcurveto
+                        let i = 0;
+                        let dx1 = stack.length % 2 ? stack[i++] : 0;
+                        for (; i + 3 < stack.length; i += 4) {
+                            curveTo(dx1, stack[i], stack[i + 1], stack[i + 2], 0, stack[i + 3]);
+                            dx1 = 0;
+                        }
+                        stack.length = 0;
+                        break;
+                    }
+                    case 27: { // hhcurveto
+                        let i = 0;
+                        let dy1 = stack.length % 2 ? stack[i++] : 0;
+                        for (; i + 3 < stack.length; i += 4) {
+                            curveTo(stack[i], dy1, stack[i + 1], stack[i + 2], stack[i + 3], 0);
+                            dy1 = 0;
+                        }
+                        stack.length = 0;
+                        break;
+                    }
+                    case 30: // vhcurveto
+                    case 31: { // hvcurveto
+                        let horizontal = b0 === 31;
+                        for (let i = 0; i + 3 < stack.length; i += 4) {
+                            const last = i + 5 === stack.length ? stack[i + 4] : 0;
+                            if (horizontal) {
+                                curveTo(stack[i], 0, stack[i + 1], stack[i + 2], last, stack[i + 3]);
+                            } else {
+                                curveTo(0, stack[i], stack[i + 1], stack[i + 2], stack[i + 3], last);
+                            }
+                            horizontal = !horizontal;
+                        }
+                        stack.length = 0;
+                        break;
+                    }
+                    case 10: // callsubr
+                    case 29: { // callgsubr
+                        const subrs = b0 === 10 ? localSubrs : globalSubrs;
+                        const subr = subrs[stack.pop() + bias(subrs)];
+                        if (subr && depth < 10) run(subr.start, subr.end, depth + 1);
+                        break;
+                    }
+                    case 11: // return
+                        return;
+                    case 14: // endchar
+                        takeWidth(stack.length === 1 || stack.length === 5);
+                        finished = true;
+                        stack.length = 0;
+                        break;
+                    case 12: {
+                        const b1 = cff.getUint8(offset++);
+                        const s = stack;
+                        if (b1 === 35) { // flex
+                            curveTo(s[0], s[1], s[2], s[3], s[4], s[5]);
+                            curveTo(s[6], s[7], s[8], s[9], s[10], s[11]);
+                        } else if (b1 === 34) { // hflex
+                            curveTo(s[0], 0, s[1], s[2], s[3], 0);
+                            curveTo(s[4], 0, s[5], -s[2], s[6], 0);
+                        } else if (b1 === 36) { // hflex1
+                            curveTo(s[0], s[1], s[2], s[3], s[4], 0);
+                            curveTo(s[5], 0, s[6], s[7], s[8], -(s[1] + s[3] + s[7]));
+                        } else if (b1 === 37) { // flex1
+                            const dx = s[0] + s[2] + s[4] + s[6] + s[8];
+                            const dy = s[1] + s[3] + s[5] + s[7] + s[9];
+                            curveTo(s[0], s[1], s[2], s[3], s[4], s[5]);
+                            if (Math.abs(dx) > Math.abs(dy)) {
+                                curveTo(s[6], s[7], s[8], s[9], s[10], -dy);
+                            } else {
+                                curveTo(s[6], s[7], s[8], s[9], -dx, s[10]);
+                            }
+                        }
+                        stack.length = 0;
+                        break;
+                    }
+                    default:
+                        stack.length = 0;
+                }
+            }
+        };
+        
+        run(charString.start, charString.end, 0);
+        if (open) commands.push(['Z']);
+        return commands;
+    }
+    
+    readCmapSubtable(cmap, offset, map) {
+        const format = cmap.getUint16(offset);
+        
+        if (format === 4) {
+            const segCountX2 = cmap.getUint16(offset + 6);
+            const endCodes = offset + 14;
+            const startCodes = endCodes + segCountX2 + 2;
+            const idDeltas = startCodes + segCountX2;
+            const idRangeOffsets = idDeltas + segCountX2;
+            
+            for (let seg = 0; seg < segCountX2; seg += 2) {
+                const end = cmap.getUint16(endCodes + seg);
+                const start = cmap.getUint16(startCodes + seg);
+                const delta = cmap.getInt16(idDeltas + seg);
+                const rangeOffset = cmap.getUint16(idRangeOffsets + seg);
+                
+                for (let code = start; code <= end && code !== 0xFFFF; code++) {
+                    let glyph;
+                    if (rangeOffset === 0) {
+                        glyph = (code + delta) & 0xFFFF;
+                    } else {
+                        glyph = cmap.getUint16(idRangeOffsets + seg + rangeOffset + (code - start) * 2);
+                        if (glyph !== 0) glyph = (glyph + delta) & 0xFFFF;
+                    }
+                    if (glyph !== 0) map.set(code, glyph);
+                }
+            }
+        } else if (format === 12) {
+            const numGroups = cmap.getUint32(offset + 12);
+            
+            for (let i = 0; i < numGroups; i++) {
+                const group = offset + 16 + i * 12;
+                const start = cmap.getUint32(group);
+                const end = cmap.getUint32(group + 4);
+                const startGlyph = cmap.getUint32(group + 8);
+                
+                for (let code = start; code <= end; code++) {
+                    map.set(code, startGlyph + code - start);
+                }
+            }
+        } else if (format === 6) {
+            const firstCode = cmap.getUint16(offset + 6);
+            const entryCount = cmap.getUint16(offset + 8);
+            
+            for (let i = 0; i < entryCount; i++) {
+                const glyph = cmap.getUint16(offset + 10 + i * 2);
+                if (glyph !== 0) map.set(firstCode + i, glyph);
+            }
+        } else if (format === 0) {
+            for (let code = 0; code < 256; code++) {
+                const glyph = cmap.getUint8(offset + 6 + code);
+                if (glyph !== 0) map.set(code, glyph);
+            }
+        }
+    }
+}
+
+// Liang's hyphenation algorithm over TeX patterns, as TeX and browsers use it.
+// Patterns come from hyphenation-patterns.js; a hyphenator is built per language on first use.
+class Hyphenator {
+    constructor({ patterns, exceptions = '', leftMin = 2, rightMin = 2 }) {
+        this.leftMin = leftMin;
+        this.rightMin = rightMin;
+        this.trie = Hyphenator.buildTrie(patterns);
+        this.cache = new Map();
+        
+        // Exception words are written with their breaks, e.g. "as-so-ciate"
+        this.exceptions = new Map(exceptions.split(/\s+/).filter(Boolean).map(entry => {
+            const breaks = [];
+            entry.split('-').reduce((length, part, index) => {
+                if (index > 0) breaks.push(length);
+                return length + Array.from(part).length;
+            }, 0);
+            return [entry.replace(/-/g, ''), breaks];
+        }));
+    }
+    
+    static buildTrie(patterns) {
+        // One node per letter; the node that ends a pattern keeps its digits,
+        // one for each gap around the pattern's letters
+        const root = new Map();
+        patterns.split(/\s+/).forEach(pattern => {
+            if (!pattern) return;
+            let node = root;
+            const points = [0];
+            for (const char of pattern) {
+                if (char >= '0' && char <= '9') {
+                    points[points.length - 1] = Number(char);
+                } else {
+                    if (!node.has(char)) node.set(char, new Map());
+                    node = node.get(char);
+                    points.push(0);
+                }
+            }
+            node.points = points;
+        });
+        return root;
+    }
+    
+    getBreaks(word) {
+        // Character positions where the word may break
+        const letters = Array.from(word.toLowerCase());
+        if (letters.length < this.leftMin + this.rightMin) return [];
+        
+        const key = letters.join('');
+        if (this.exceptions.has(key)) return this.exceptions.get(key);
+        if (this.cache.has(key)) return this.cache.get(key);
+        
+        // Every pattern found in ".word." raises the points it covers; odd points allow a break
+        const chars = ['.', ...letters, '.'];
+        const points = new Array(chars.length + 1).fill(0);
+        for (let start = 0; start < chars.length; start++) {
+            let node = this.trie;
+            for (let end = start; end < chars.length; end++) {
+                node = node.get(chars[end]);
+                if (!node) break;
+                if (node.points) {
+                    node.points.forEach((point, offset) => {
+                        points[start + offset] = Math.max(points[start + offset], point);
+                    });
+                }
+            }
+        }
+        
+        const breaks = [];
+        for (let i = this.leftMin; i <= letters.length - this.rightMin; i++) {
+            if (points[i + 1] % 2 === 1) breaks.push(i);
+        }
+        this.cache.set(key, breaks);
+        return breaks;
+    }
+    
+    hyphenate(text, hyphen = '\u00AD') {
+        return text.replace(/[\p{L}\p{M}]+/gu, word => {
+            const letters = Array.from(word);
+            // Lowercasing that changes the length (such as İ) would shift the breaks
+            if (letters.length !== Array.from(word.toLowerCase()).length) return word;
+            
+            return this.getBreaks(word)
+                .reduceRight((result, position) => {
+                    result.splice(position, 0, hyphen);
+                    return result;
+                }, letters)
+                .join('');
+        });
+    }
+}
+
+// Readability of English prose: Flesch-Kincaid and Gunning Fog, the averages they are
+// built from, and paragraph lengths. Syllables are estimated from vowel groups.
+class ReadabilityAnalyzer {
+    constructor({ longParagraphWords = 150 } = {}) {
+        this.longParagraphWords = longParagraphWords;
+        this.syllableCache = new Map();
+        
+        // Common words the vowel-group rules get wrong, mostly two vowels sounded separately
+        this.syllableExceptions = new Map([
+            ['ago', 2], ['area', 3], ['areas', 3], ['being', 2], ['business', 2], ['create', 2], ['creates', 2],
+            ['created', 3], ['creating', 3], ['creation', 3], ['diet', 2], ['doing', 2], ['going', 2], ['idea', 3],
+            ['ideas', 3], ['lion', 2], ['museum', 3], ['people', 2], ['poem', 2], ['poet', 2], ['poetry', 3],
+            ['quiet', 2], ['react', 2], ['reaction', 3], ['science', 2], ['theory', 3], ['video', 3]
+        ]);
+        
+        // Full stops that end an abbreviation or an initial rather than a sentence; initials are matched
+        // case-sensitively so a sentence ending in "a." still ends, and "I." is a word, not an initial
+        this.abbreviation = /(?:^|[\s(])(?:mr|mrs|ms|dr|prof|sr|jr|st|mt|vs|cf|e\.g|i\.e|a\.m|p\.m|inc|ltd|co|fig|vol|approx)\.$/i;
+        this.initial = /(?:^|[\s(])(?!I\.)\p{Lu}\.$/u;
+    }
+    
+    countSyllables(word) {
+        // Silent final e, -es and -ed (but not -ted or -ded) don't add a syllable; a leading y is a consonant;
+        // i before a or o starts a new syllable except in -cial, -cious, and -ion after c, g, s, t, x, sh, l or n
+        const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+        if (!letters) return 0;
+        if (this.syllableExceptions.has(letters)) return this.syllableExceptions.get(letters);
+        if (letters.length <= 3) return 1;
+        if (this.syllableCache.has(letters)) return this.syllableCache.get(letters);
+        
+        const stem = letters.replace(/(?:[^laeiouy]es|[^laeiouydt]ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+        const hiatus = (stem.match(/(?<![cgstx]|sh)i(?:a|ou)|(?<![cgstxln]|sh)ion|io(?![nu])/g) || []).length;
+        const count = Math.max(1, (stem.match(/[aeiouy]+/g) || []).length + hiatus);
+        this.syllableCache.set(letters, count);
+        return count;
+    }
+    
+    isComplexWord(word) {
+        // Gunning's complex words: three or more syllables, not counting hyphenated compounds,
+        // proper nouns or syllables added by -es, -ed and -ing
+        if (word.includes('-') || /^\p{Lu}/u.test(word)) return false;
+        return this.countSyllables(word.replace(/(?:es|ed|ing)$/i, '')) >= 3;
+    }
+    
+    splitSentences(paragraph) {
+        const sentences = [];
+        paragraph.split(/(?<=[.!?…]["'”’)\]]*)\s+|(?<=[。！？])/u).forEach(piece => {
+            const previous = sentences.length - 1;
+            if (previous >= 0 && (this.abbreviation.test(sentences[previous]) || this.initial.test(sentences[previous]))) {
+                sentences[previous] += ` ${piece}`;
+            } else {
+                sentences.push(piece);
+            }
+        });
+        return sentences.filter(sentence => /[\p{L}\p{N}]/u.test(sentence));
+    }
+    
+    analyze(text) {
+        const paragraphs = text.split(/\n+/)
+            .map(paragraph => paragraph.trim())
+            .filter(Boolean)
+            .map((paragraph, index) => {
+                const words = paragraph.match(/[\p{L}\p{N}][\p{L}\p{M}\p{N}'’-]*/gu) || [];
+                return { index, text: paragraph, words, sentences: this.splitSentences(paragraph).length };
+            });
+        
+        const words = paragraphs.flatMap(paragraph => paragraph.words);
+        const sentences = paragraphs.reduce((sum, paragraph) => sum + paragraph.sentences, 0);
+        const letters = words.reduce((sum, word) => sum + (word.match(/[\p{L}\p{N}]/gu) || []).length, 0);
+        
+        // The formulas only make sense for Latin-script words
+        const latinWords = words.filter(word => /[a-z]/i.test(word));
+        const syllables = latinWords.reduce((sum, word) => sum + this.countSyllables(word), 0);
+        const complexWords = latinWords.filter(word => this.isComplexWord(word)).length;
+        const wordsPerSentence = sentences ? words.length / sentences : 0;
+        const syllablesPerWord = latinWords.length ? syllables / latinWords.length : 0;
+        const scored = latinWords.length > 0 && sentences > 0;
+        
+        return {
+            words: words.length,
+            sentences,
+            syllables,
+            complexWords,
+            averageSentenceLength: wordsPerSentence,
+            averageWordLength: words.length ? letters / words.length : 0,
+            syllablesPerWord,
+            fleschReadingEase: scored ? 206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord : null,
+            fleschKincaidGrade: scored ? 0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59 : null,
+            gunningFog: scored ? 0.4 * (wordsPerSentence + 100 * complexWords / latinWords.length) : null,
+            paragraphs: paragraphs.map(({ index, text: paragraphText, words: paragraphWords, sentences: count }) => ({
+                index,
+                words: paragraphWords.length,
+                sentences: count,
+                preview: paragraphText.split(/\s+/).slice(0, 8).join(' '),
+                long: paragraphWords.length > this.longParagraphWords
+            }))
+        };
+    }
+}
+
 class FontRenderingEngine {
     constructor() {
         this.renderedText = document.getElementById('renderedText');
         this.textInput = document.getElementById('textInput');
         this.currentAlignment = 'left';
-        this.activeFeatures = new Set(['kerning']);
+        this.alignments = ['left', 'center', 'right', 'justify', 'start', 'end'];
+        // Active OpenType features as tag -> value; starts from what browsers enable by default
+        this.activeFeatures = new Map([['kern', 1], ['liga', 1], ['clig', 1], ['calt', 1], ['locl', 1]]);
         this.layoutOptimization = false;
         this.hyphenation = false;
+        // Language of the sample text, applied as lang; hyphenators are built per language on first use
+        this.language = 'en';
+        this.hyphenators = new Map();
+        this.readability = new ReadabilityAnalyzer({ longParagraphWords: 150 });
+        // Direction and writing mode of the sample text; orientation only applies to vertical modes
+        this.direction = 'ltr';
+        this.writingMode = 'horizontal-tb';
+        this.textOrientation = 'mixed';
         this.isFullscreen = false;
         this.isMobileControlsOpen = false;
         
-        // Performance tracking
-        this.renderStartTime = 0;
-        this.layoutScore = 100;
+        // Local font files registered through the FontFace API, keyed by fontSelect value
+        this.loadedFonts = new Map();
+        
+        // Performance tracking
+        this.renderStartTime = 0;
+        this.layoutScore = 100;
+        
+        // Responsive breakpoints
+        this.breakpoints = {
+            mobile: 480,
+            tablet: 768,
+            desktop: 1024
+        };
+        
+        // Registered OpenType features, grouped for the feature catalogue
+        this.featureCategories = [
+            { id: 'ligatures', name: 'Ligatures & Contextual' },
+            { id: 'positioning', name: 'Kerning & Spacing' },
+            { id: 'case', name: 'Letter Case' },
+            { id: 'numerals', name: 'Numerals' },
+            { id: 'alternates', name: 'Alternates & Localization' },
+            { id: 'eastAsian', name: 'East Asian Forms' },
+            { id: 'stylisticSets', name: 'Stylistic Sets' },
+            { id: 'characterVariants', name: 'Character Variants' }
+        ];
+        this.featureRegistry = this.buildFeatureRegistry();
+        this.openFeatureCategories = new Set(['ligatures', 'positioning', 'case', 'numerals']);
+        this.showSupportedFeaturesOnly = false;
+        
+        // Unicode block ranges for grouping glyphs and coverage
+        this.unicodeBlocks = this.buildUnicodeBlocks();
+        
+        // Exemplar characters per language for the coverage report
+        this.languageCharsets = this.buildLanguageCharsets();
+        this.highlightMissingGlyphs = true;
+        this.missingGlyphs = [];
+        this.glyphSupportCache = new Map();
+        
+        // Comparison panes, each holding its own typography state; empty in single view
+        this.comparisonPanes = [];
+        this.activePane = 0;
+        this.lockedParameters = new Set();
+        this.paneLockGroups = {
+            font: ['fontFamily', 'variations'],
+            size: ['fontSize'],
+            weight: ['fontWeight'],
+            spacing: ['letterSpacing', 'wordSpacing', 'lineHeight'],
+            alignment: ['alignment'],
+            features: ['features']
+        };
+        
+        // Style export formats, all generated from the same typography state
+        this.exportFormats = this.buildExportFormats();
+        
+        // Modular type scale, in ratio steps from the base font size
+        this.typeScaleSteps = this.buildTypeScaleSteps();
+        
+        // Contrast levels for the color checker: WCAG 2 ratios and APCA Lc minimums
+        this.contrastLevels = this.buildContrastLevels();
+        
+        // Views of the same settings: the live preview, a size waterfall and a specimen sheet
+        this.currentView = 'preview';
+        this.waterfallSizes = [8, 9, 10, 11, 12, 13, 14, 16, 18, 20, 24, 28, 32, 36, 42, 48, 56, 64, 72, 96];
+        this.specimenFeatureSamples = this.buildSpecimenFeatureSamples();
+        
+        // Sample texts for testing
+        this.sampleTexts = {
+            pangram: "The quick brown fox jumps over the lazy dog. PACK MY BOX WITH FIVE DOZEN LIQUOR JUGS!",
+            lorem: "Lorem ipsum dolor sit amet, consectetur adipiscing elit. Sed do eiusmod tempor incididunt ut labore et dolore magna aliqua. Ut enim ad minim veniam, quis nostrud exercitation ullamco laboris nisi ut aliquip ex ea commodo consequat. Duis aute irure dolor in reprehenderit in voluptate velit esse cillum dolore eu fugiat nulla pariatur.",
+            typography: "Typography is the art and technique of arranging type to make written language legible, readable, and appealing. Ligatures: fi fl ffi ffl ft. Kerning pairs: AV Ta We Yo. Numbers: 1234567890 ½ ¾ ¼ ⅛. Small caps: LOREM IPSUM dolor sit amet, CONSECTETUR adipiscing elit.",
+            numbers: "Regular numbers: 1234567890. Oldstyle figures: 1234567890. Tabular numbers: 1234567890. Fractions: 1/2 3/4 5/8 7/16 13/32. Superscript: E=mc² H₂O CO₂. Mathematical symbols: ∑∆π∞±≠≤≥∫√∂",
+            ligatures: "The office traffic was awful during the staff meeting. We flew to fifty different places for the conference. The waffle was very effective for breakfast, and the coffee was perfectly sufficient.",
+            arabic: "الخط العربي فن يجمع بين الدقة والجمال. تتصل الحروف ببعضها وتتغير أشكالها حسب موقعها في الكلمة، لذلك يحتاج الخط إلى ميزات OpenType مثل init وmedi وfina. الأرقام: ١٢٣٤٥٦٧٨٩٠ و2024.",
+            hebrew: "טיפוגרפיה היא האמנות של סידור אותיות כך שהטקסט יהיה קריא ונעים לעין. עברית נכתבת מימין לשמאל, אבל מספרים כמו 2024 ומילים כמו HTML נשארים משמאל לימין בתוך השורה.",
+            vertical: "吾輩は猫である。名前はまだ無い。どこで生れたかとんと見当がつかぬ。何でも薄暗いじめじめした所でニャーニャー泣いていた事だけは記憶している。縦書きでは、英字のHTMLや数字の2024は横向きに並びます。"
+        };
+        // Samples in other scripts bring the language and writing settings they need
+        this.sampleTextSettings = {
+            arabic: { language: 'ar', direction: 'rtl', writingMode: 'horizontal-tb' },
+            hebrew: { language: 'he', direction: 'rtl', writingMode: 'horizontal-tb' },
+            vertical: { language: 'ja', direction: 'ltr', writingMode: 'vertical-rl' }
+        };
+        // The other samples are English, so they undo whatever a script sample switched on
+        this.defaultSampleTextSettings = { language: 'en', direction: 'ltr', writingMode: 'horizontal-tb' };
+        
+        // Presets: built-in starting points plus the user's own, kept in localStorage
+        this.presetStorageKey = 'fontRenderingEngine.presets';
+        this.builtInPresets = this.buildBuiltInPresets();
+        this.savedPresets = this.loadSavedPresets();
+        
+        // Session persistence; bump the version and add a migration when the saved shape changes
+        this.sessionStorageKey = 'fontRenderingEngine.session';
+        this.sessionVersion = 1;
+        this.sessionMigrations = {};
+        this.scheduleSessionSave = this.debounce(() => this.saveSession(), 500);
+        
+        // Undo history of session snapshots; quick repeats of one change merge into a step
+        this.historyEntries = [];
+        this.historyIndex = -1;
+        this.historyLimit = 100;
+        this.historyMergeWindow = 1000;
+        this.isRestoringHistory = false;
+        this.pendingHistoryLabel = null;
+        
+        // Loaded font files are kept in IndexedDB so they survive reloads offline
+        this.fontCacheName = 'fontRenderingEngine';
+        this.fontCacheStore = 'fonts';
+        this.fontCacheVersion = 1;
+        
+        // Initialize the application
+        this.initializeEventListeners();
+        this.initializeResponsiveFeatures();
+        this.renderLanguageOptions();
+        this.refreshFontPanels();
+        this.defaultSession = this.getSessionState();
+        this.renderPresetLibrary();
+        this.setupKeyboardNavigation();
+        
+        // Cached font files come back first so the session can select them
+        this.restoreCachedFonts().then(() => {
+            this.restoreSession();
+            this.updateRendering();
+        });
+    }
+    
+    initializeEventListeners() {
+        // Mobile navigation toggle
+        const toggleBtn = document.getElementById('toggleControls');
+        const controlsWrapper = document.getElementById('controlsWrapper');
+        
+        if (toggleBtn && controlsWrapper) {
+            toggleBtn.addEventListener('click', () => {
+                this.toggleMobileControls();
+            });
+        }
+        
+        // Font controls with debouncing for better performance
+        this.addEventListenerWithDebounce('fontSelect', 'change', () => {
+            this.refreshFontPanels();
+            this.updateRendering();
+        });
+        this.addRangeListener('fontSize', 'fontSizeValue', 'px');
+        this.addEventListenerWithDebounce('fontWeight', 'change', () => this.updateRendering());
+        this.addRangeListener('letterSpacing', 'letterSpacingValue', 'px');
+        this.addRangeListener('lineHeight', 'lineHeightValue', '');
+        this.addRangeListener('wordSpacing', 'wordSpacingValue', 'px');
+        
+        // Local font files via file picker or drag-and-drop
+        const fontFileInput = document.getElementById('fontFileInput');
+        if (fontFileInput) {
+            fontFileInput.addEventListener('change', (e) => {
+                this.loadFontFiles(e.target.files);
+                e.target.value = '';
+            });
+        }
+        this.setupFontDropTargets();
+        document.getElementById('clearFontCache')?.addEventListener('click', () => this.clearFontCache());
+        
+        // Named instances of variable fonts
+        this.addEventListenerWithDebounce('namedInstance', 'change', (e) => {
+            this.applyNamedInstance(e.target.value);
+        });
+        
+        // OpenType feature catalogue, generated from the registry
+        const featureCatalog = document.getElementById('featureCatalog');
+        if (featureCatalog) {
+            featureCatalog.addEventListener('change', (e) => {
+                const { feature, featureIndex } = e.target.dataset;
+                
+                if (feature) {
+                    const index = featureCatalog.querySelector(`[data-feature-index="${feature}"]`);
+                    this.setFeature(feature, e.target.checked ? parseInt(index?.value || '1') : 0);
+                } else if (featureIndex && this.activeFeatures.has(featureIndex)) {
+                    this.setFeature(featureIndex, parseInt(e.target.value) || 1);
+                }
+            });
+            
+            featureCatalog.addEventListener('toggle', (e) => {
+                const category = e.target.dataset.category;
+                if (category) {
+                    e.target.open ? this.openFeatureCategories.add(category) : this.openFeatureCategories.delete(category);
+                }
+            }, true);
+        }
+        
+        // Glyph browser: click to insert, hover or focus for metrics
+        const glyphBrowser = document.getElementById('glyphBrowserContent');
+        if (glyphBrowser) {
+            glyphBrowser.addEventListener('click', (e) => {
+                const cell = e.target.closest('.glyph-cell');
+                if (cell) {
+                    this.insertCharacter(String.fromCodePoint(parseInt(cell.dataset.codepoint)));
+                }
+            });
+            
+            ['mouseover', 'focusin'].forEach(eventName => {
+                glyphBrowser.addEventListener(eventName, (e) => {
+                    const cell = e.target.closest('.glyph-cell');
+                    if (cell) {
+                        this.updateGlyphInfo(parseInt(cell.dataset.codepoint));
+                    }
+                });
+            });
+        }
+        
+        this.addEventListenerWithDebounce('glyphSearch', 'input', () => this.renderGlyphBrowser(), 200);
+        
+        this.addEventListenerWithDebounce('highlightMissing', 'change', (e) => {
+            this.highlightMissingGlyphs = e.target.checked;
+            this.updateRendering();
+        });
+        
+        // Comparison mode: pane count, shared parameters and pane selection
+        this.addEventListenerWithDebounce('paneCount', 'change', (e) => {
+            this.setPaneCount(parseInt(e.target.value));
+        });
+        
+        document.getElementById('paneLocks')?.addEventListener('change', (e) => {
+            const group = e.target.dataset.lock;
+            if (group) {
+                e.target.checked ? this.lockedParameters.add(group) : this.lockedParameters.delete(group);
+                this.updateRendering();
+            }
+        });
+        
+        document.getElementById('comparisonPanes')?.addEventListener('click', (e) => {
+            const pane = e.target.closest('.comparison-pane');
+            if (pane) {
+                this.selectPane(parseInt(pane.dataset.pane));
+            }
+        });
+        
+        this.addEventListenerWithDebounce('supportedFeaturesOnly', 'change', (e) => {
+            this.showSupportedFeaturesOnly = e.target.checked;
+            this.renderFeatureCatalog();
+        });
+        
+        // Text alignment buttons
+        document.querySelectorAll('.align-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.setActiveAlignment(e.target, e.target.dataset.align);
+            });
+        });
+        
+        // Advanced layout options
+        this.addEventListenerWithDebounce('hyphenation', 'change', (e) => {
+            this.hyphenation = e.target.checked;
+            this.updateRendering();
+        });
+        
+        this.addEventListenerWithDebounce('textLanguage', 'change', (e) => {
+            this.language = e.target.value;
+            this.updateRendering();
+        });
+        
+        // Direction and writing mode
+        [['textDirection', 'direction'], ['writingMode', 'writingMode'], ['textOrientation', 'textOrientation']].forEach(([id, key]) => {
+            this.addEventListenerWithDebounce(id, 'change', (e) => {
+                this.applyWritingSettings({ [key]: e.target.value });
+                this.updateRendering();
+            });
+        });
+        
+        // Colors
+        ['textColor', 'backgroundColor'].forEach(id => {
+            this.addEventListenerWithDebounce(id, 'input', () => this.updateRendering());
+        });
+        document.getElementById('swapColors')?.addEventListener('click', () => {
+            const { foreground, background } = this.getColorSettings();
+            this.applyColorSettings({ foreground: background, background: foreground });
+            this.updateRendering();
+        });
+        
+        this.addEventListenerWithDebounce('optimizeLayout', 'change', (e) => {
+            this.layoutOptimization = e.target.checked;
+            this.updateOpticalSizeControl();
+            this.updateRendering();
+        });
+        
+        // Fluid typography starts from the current settings when switched on
+        this.addEventListenerWithDebounce('fluidEnabled', 'change', (e) => {
+            if (e.target.checked) this.seedFluidSettings();
+            this.updateRendering();
+        });
+        
+        document.getElementById('fluidSettings')?.addEventListener('input', this.debounce((e) => {
+            if (e.target.type === 'number') this.updateRendering();
+        }, 150));
+        this.addRangeListener('simulatedViewport', 'simulatedViewportValue', 'px');
+        
+        // Preview, waterfall and specimen views
+        document.querySelectorAll('.view-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.setView(btn.dataset.view);
+                this.updateRendering();
+            });
+        });
+        document.getElementById('printView')?.addEventListener('click', () => window.print());
+        
+        // Type scale
+        this.addEventListenerWithDebounce('typeScaleEnabled', 'change', () => this.updateRendering());
+        this.addEventListenerWithDebounce('typeScaleRatio', 'change', () => this.updateRendering());
+        this.addEventListenerWithDebounce('typeScaleCustomRatio', 'input', () => this.updateRendering());
+        
+        // Vertical rhythm
+        this.addEventListenerWithDebounce('rhythmEnabled', 'change', () => this.updateRendering());
+        this.addEventListenerWithDebounce('baselineGrid', 'change', () => this.updateRendering());
+        document.getElementById('snapLineHeight')?.addEventListener('click', () => this.snapLineHeightToGrid());
+        // Size and leading animate, so the overlay is measured again once they settle
+        this.renderedText.addEventListener('transitionend', this.debounce(() => {
+            if (this.getRhythmSettings().enabled) this.renderRhythmOverlay(this.measureLines(), this.resolveFluidState(this.getControlValues()));
+        }, 50));
+        
+        // Sample text buttons
+        document.querySelectorAll('.sample-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const sampleType = e.target.dataset.sample;
+                this.loadSampleText(sampleType);
+            });
+        });
+        
+        // Presets library
+        document.getElementById('savePreset')?.addEventListener('click', () => this.savePreset());
+        document.getElementById('presetName')?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.savePreset();
+        });
+        
+        document.getElementById('presetGrid')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-preset-action]');
+            if (!button) return;
+            
+            const id = button.closest('.preset-card').dataset.preset;
+            if (button.dataset.presetAction === 'delete') {
+                this.deletePreset(id);
+            } else {
+                this.applyPreset(id);
+            }
+        });
+        
+        document.getElementById('exportPresets')?.addEventListener('click', () => this.exportPresets());
+        document.getElementById('presetImportFile')?.addEventListener('change', (e) => {
+            if (e.target.files[0]) this.importPresets(e.target.files[0]);
+            e.target.value = '';
+        });
+        
+        // Undo history
+        document.getElementById('undoBtn')?.addEventListener('click', () => this.undo());
+        document.getElementById('redoBtn')?.addEventListener('click', () => this.redo());
+        document.getElementById('historyList')?.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-history]');
+            if (item) this.jumpToHistory(parseInt(item.dataset.history));
+        });
+        
+        // Text input with debouncing for better performance
+        let inputTimeout;
+        this.textInput.addEventListener('input', () => {
+            clearTimeout(inputTimeout);
+            inputTimeout = setTimeout(() => this.updateRendering(), 150);
+        });
+        
+        // Fullscreen toggle
+        const fullscreenBtn = document.getElementById('fullscreenToggle');
+        if (fullscreenBtn) {
+            fullscreenBtn.addEventListener('click', () => this.toggleFullscreen());
+        }
+        
+        // Export buttons
+        document.getElementById('exportCSS')?.addEventListener('click', () => this.exportCSS());
+        document.getElementById('exportImage')?.addEventListener('click', () => this.exportAsImage());
+        document.getElementById('exportSVG')?.addEventListener('click', () => this.exportAsSVG());
+        document.getElementById('exportPDF')?.addEventListener('click', () => this.exportAsPDF());
+        
+        this.addEventListenerWithDebounce('exportBackground', 'change', (e) => {
+            const colorInput = document.getElementById('exportBackgroundColor');
+            if (colorInput) colorInput.disabled = e.target.value !== 'custom';
+        });
+        document.getElementById('copyText')?.addEventListener('click', () => this.copyFormattedText());
+        document.getElementById('copyPermalink')?.addEventListener('click', () => this.copyPermalink());
+        
+        // Export settings are saved with the session too
+        document.querySelector('.export-panel')?.addEventListener('change', () => this.scheduleSessionSave());
+        window.addEventListener('hashchange', () => this.restorePermalink());
+        
+        // CSS import, pasted or from a file
+        document.getElementById('importCSS')?.addEventListener('click', () => {
+            this.importCSS(document.getElementById('cssImportInput')?.value || '');
+        });
+        
+        document.getElementById('cssImportFile')?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            
+            file.text().then(css => {
+                const input = document.getElementById('cssImportInput');
+                if (input) input.value = css;
+                this.importCSS(css);
+            }).catch(() => this.showNotification(`Could not read ${file.name}`, 'error'));
+            e.target.value = '';
+        });
+        
+        // Window resize handler
+        window.addEventListener('resize', this.debounce(() => {
+            this.handleResize();
+        }, 250));
+        
+        // Escape key to exit fullscreen
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isFullscreen) {
+                this.toggleFullscreen();
+            }
+        });
+    }
+    
+    initializeResponsiveFeatures() {
+        // Set initial mobile controls state
+        this.updateMobileControlsState();
+        
+        // Initialize intersection observer for performance
+        if ('IntersectionObserver' in window) {
+            this.setupIntersectionObserver();
+        }
+        
+        // Initialize touch event handlers for mobile
+        this.setupTouchHandlers();
+    }
+    
+    setupFontDropTargets() {
+        const dropTargets = [
+            document.getElementById('fontDropZone'),
+            document.getElementById('renderingCanvas')
+        ].filter(Boolean);
+        
+        dropTargets.forEach(target => {
+            target.addEventListener('dragover', (e) => {
+                if (!e.dataTransfer || !Array.from(e.dataTransfer.types).includes('Files')) return;
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'copy';
+                target.classList.add('drag-over');
+            });
+            
+            target.addEventListener('dragleave', () => {
+                target.classList.remove('drag-over');
+            });
+            
+            target.addEventListener('drop', (e) => {
+                if (!e.dataTransfer || e.dataTransfer.files.length === 0) return;
+                e.preventDefault();
+                target.classList.remove('drag-over');
+                this.loadFontFiles(e.dataTransfer.files);
+            });
+        });
+    }
+    
+    setupKeyboardNavigation() {
+        // Add keyboard navigation for accessibility
+        document.addEventListener('keydown', (e) => {
+            if (e.target.matches('input[type="range"]')) {
+                // Sliders with a fine step for exact values move by a coarser one from the keyboard
+                const keyStep = parseFloat(e.target.dataset.keyStep);
+                const direction = { ArrowRight: 1, ArrowUp: 1, ArrowLeft: -1, ArrowDown: -1 }[e.key];
+                if (keyStep && direction) {
+                    e.preventDefault();
+                    const input = e.target;
+                    const next = Math.round((parseFloat(input.value) + direction * keyStep) / keyStep) * keyStep;
+                    input.value = Math.min(parseFloat(input.max), Math.max(parseFloat(input.min), next));
+                    input.dispatchEvent(new Event('input', { bubbles: true }));
+                    return;
+                }
+                
+                if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+                    // Debounce range input updates
+                    setTimeout(() => this.updateRendering(), 50);
+                }
+            }
+        });
+    }
+    
+    setupTouchHandlers() {
+        // Improve touch interactions on mobile devices
+        let touchStartY = 0;
+        
+        document.addEventListener('touchstart', (e) => {
+            touchStartY = e.touches[0].clientY;
+        }, { passive: true });
+        
+        // Prevent pull-to-refresh on the rendering canvas
+        this.renderedText.addEventListener('touchstart', (e) => {
+            if (window.scrollY === 0) {
+                e.preventDefault();
+            }
+        });
+    }
+    
+    setupIntersectionObserver() {
+        const options = {
+            root: null,
+            rootMargin: '0px',
+            threshold: 0.1
+        };
+        
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    entry.target.classList.add('animate-in');
+                }
+            });
+        }, options);
+        
+        // Observe all major sections
+        document.querySelectorAll('.controls-panel, .opentype-features, .text-alignment, .color-contrast, .fluid-typography, .type-scale, .vertical-rhythm, .sample-texts, .presets-panel, .history-panel, .rendering-area, .metrics-panel, .coverage-panel, .font-inspector, .glyph-browser, .export-panel').forEach(el => {
+            observer.observe(el);
+        });
+    }
+    
+    toggleMobileControls() {
+        const controlsWrapper = document.getElementById('controlsWrapper');
+        const toggleBtn = document.getElementById('toggleControls');
+        
+        this.isMobileControlsOpen = !this.isMobileControlsOpen;
+        
+        if (this.isMobileControlsOpen) {
+            controlsWrapper.classList.add('show');
+            toggleBtn.classList.add('active');
+        } else {
+            controlsWrapper.classList.remove('show');
+            toggleBtn.classList.remove('active');
+        }
+        
+        // Update aria attributes for accessibility
+        controlsWrapper.setAttribute('aria-hidden', !this.isMobileControlsOpen);
+        toggleBtn.setAttribute('aria-expanded', this.isMobileControlsOpen);
+    }
+    
+    updateMobileControlsState() {
+        const isMobile = window.innerWidth <= this.breakpoints.tablet;
+        const controlsWrapper = document.getElementById('controlsWrapper');
+        
+        if (!isMobile && controlsWrapper) {
+            controlsWrapper.classList.add('show');
+            controlsWrapper.setAttribute('aria-hidden', 'false');
+        }
+    }
+    
+    handleResize() {
+        this.updateMobileControlsState();
+        this.updateRendering(); // Re-calculate metrics after resize
+    }
+    
+    addEventListenerWithDebounce(id, event, callback, delay = 100) {
+        const element = document.getElementById(id);
+        if (element) {
+            element.addEventListener(event, this.debounce(callback, delay));
+        }
+    }
+    
+    addRangeListener(inputId, displayId, unit) {
+        const input = document.getElementById(inputId);
+        const display = document.getElementById(displayId);
+        
+        if (input && display) {
+            const updateValue = () => {
+                display.textContent = input.value + unit;
+                this.updateRendering();
+            };
+            
+            input.addEventListener('input', this.debounce(updateValue, 50));
+        }
+    }
+    
+    setActiveAlignment(button, alignment) {
+        document.querySelectorAll('.align-btn').forEach(btn => btn.classList.remove('active'));
+        button.classList.add('active');
+        this.currentAlignment = alignment;
+        this.updateRendering();
+    }
+    
+    loadFontFiles(fileList) {
+        const files = Array.from(fileList || []).filter(file => this.isSupportedFontFile(file));
+        
+        if (files.length === 0) {
+            this.showNotification('Please choose a TTF, OTF, WOFF or WOFF2 font file.', 'warning');
+            return Promise.resolve([]);
+        }
+        
+        if (!('FontFace' in window) || !document.fonts) {
+            this.showNotification('This browser cannot load local font files.', 'error');
+            return Promise.resolve([]);
+        }
+        
+        const loads = files.map(file => this.loadFontFile(file).catch(err => {
+            console.error(`Font loading failed for ${file.name}:`, err);
+            this.showNotification(`Could not load ${file.name}. Is it a valid font file?`, 'error');
+            return null;
+        }));
+        
+        return Promise.all(loads).then(results => {
+            const fonts = results.filter(Boolean);
+            
+            if (fonts.length > 0) {
+                // Preview the most recently loaded font straight away
+                this.selectFontFamily(fonts[fonts.length - 1].cssFamily);
+                this.showNotification(fonts.length === 1
+                    ? `Loaded ${fonts[0].family}`
+                    : `Loaded ${fonts.length} fonts`);
+            }
+            
+            return fonts;
+        });
+    }
+    
+    loadFontFile(file) {
+        return file.arrayBuffer()
+            .then(buffer => this.registerFont(file.name, buffer))
+            .then(font => {
+                this.cacheFont(font);
+                return font;
+            });
+    }
+    
+    registerFont(fileName, buffer) {
+        return Promise.resolve().then(() => {
+            const family = this.getFontFamilyName(fileName);
+            const cssFamily = `"${family}"`;
+            const fontFace = new FontFace(family, buffer);
+            
+            return fontFace.load().then(() => {
+                // Replace an earlier upload of the same family
+                const previous = this.loadedFonts.get(cssFamily);
+                if (previous) {
+                    document.fonts.delete(previous.fontFace);
+                }
+                document.fonts.add(fontFace);
+                
+                const font = {
+                    family,
+                    cssFamily,
+                    fileName,
+                    format: this.detectFontFormat(buffer, fileName),
+                    buffer,
+                    fontFace
+                };
+                
+                this.loadedFonts.set(cssFamily, font);
+                return this.inspectFont(font).then(() => {
+                    this.addFontOption(font);
+                    return font;
+                });
+            });
+        });
+    }
+    
+    openFontCache() {
+        // One shared connection; browsers without IndexedDB just don't keep fonts
+        if (!this.fontCachePromise) {
+            this.fontCachePromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+                
+                const request = indexedDB.open(this.fontCacheName, this.fontCacheVersion);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.fontCacheStore, { keyPath: 'cssFamily' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.fontCachePromise;
+    }
+    
+    runFontCache(mode, operation) {
+        return this.openFontCache().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.fontCacheStore, mode);
+            const request = operation(transaction.objectStore(this.fontCacheStore));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        }));
+    }
+    
+    cacheFont(font) {
+        return this.runFontCache('readwrite', store => store.put({
+            cssFamily: font.cssFamily,
+            fileName: font.fileName,
+            buffer: font.buffer,
+            cachedAt: Date.now()
+        })).then(() => {
+            this.setFontCacheButton(true);
+        }).catch(err => {
+            // Quota or private browsing; the font only lasts for this visit
+            console.warn(`Could not keep ${font.fileName} for offline use:`, err);
+        });
+    }
+    
+    restoreCachedFonts() {
+        return this.runFontCache('readonly', store => store.getAll()).then(records => {
+            records.sort((a, b) => a.cachedAt - b.cachedAt);
+            return Promise.all(records.map(record => this.registerFont(record.fileName, record.buffer).catch(err => {
+                console.warn(`Cached font ${record.fileName} could not be loaded:`, err);
+                return null;
+            })));
+        }).then(fonts => {
+            const restored = fonts.filter(Boolean);
+            this.setFontCacheButton(restored.length > 0);
+            return restored;
+        }).catch(err => {
+            console.warn('Cached fonts unavailable:', err.message);
+            return [];
+        });
+    }
+    
+    clearFontCache() {
+        this.runFontCache('readwrite', store => store.clear()).then(() => {
+            this.setFontCacheButton(false);
+            this.showNotification('Saved font files removed. Fonts loaded now stay until you reload.');
+        }).catch(err => {
+            console.error('Font cache could not be cleared:', err);
+            this.showNotification('Could not remove the saved font files.', 'error');
+        });
+    }
+    
+    setFontCacheButton(visible) {
+        const button = document.getElementById('clearFontCache');
+        if (button) button.hidden = !visible;
+    }
+    
+    inspectFont(font) {
+        return FontParser.parse(font.buffer).then(parser => {
+            font.parser = parser;
+            font.info = parser.getFontInfo();
+            font.axes = parser.getVariationAxes();
+            font.instances = parser.getNamedInstances();
+            font.layout = {
+                GSUB: parser.getLayoutFeatures('GSUB'),
+                GPOS: parser.getLayoutFeatures('GPOS')
+            };
+            
+            // Old-style 'kern' tables still drive kerning in every browser
+            font.featureTags = new Set([
+                ...font.layout.GSUB.features,
+                ...font.layout.GPOS.features,
+                ...(parser.hasTable('kern') ? ['kern'] : [])
+            ]);
+            return font;
+        }).catch(err => {
+            // The font still renders, it just can't offer table-driven controls
+            console.warn(`Font tables unavailable for ${font.fileName}:`, err.message);
+            font.parser = null;
+            font.info = null;
+            font.axes = [];
+            font.instances = [];
+            font.layout = null;
+            font.featureTags = null;
+            return font;
+        });
+    }
+    
+    isSupportedFontFile(file) {
+        return /\.(ttf|otf|woff2?)$/i.test(file.name);
+    }
+    
+    getFontFamilyName(fileName) {
+        const name = fileName.replace(/\.[^.]+$/, '').replace(/["\\]/g, '').trim();
+        return name || 'Custom Font';
+    }
+    
+    detectFontFormat(buffer, fileName) {
+        // Sniff the sfnt/WOFF signature first, the extension can lie
+        const signatures = {
+            0x00010000: 'truetype',
+            0x74727565: 'truetype', // 'true'
+            0x4F54544F: 'opentype', // 'OTTO'
+            0x774F4646: 'woff',     // 'wOFF'
+            0x774F4632: 'woff2'     // 'wOF2'
+        };
+        
+        if (buffer.byteLength >= 4) {
+            const signature = new DataView(buffer).getUint32(0);
+            if (signatures[signature]) {
+                return signatures[signature];
+            }
+        }
+        
+        const extensionFormats = {
+            ttf: 'truetype',
+            otf: 'opentype',
+            woff: 'woff',
+            woff2: 'woff2'
+        };
+        const extension = fileName.split('.').pop().toLowerCase();
+        return extensionFormats[extension] || 'truetype';
+    }
+    
+    addFontOption(font) {
+        const fontSelect = document.getElementById('fontSelect');
+        if (!fontSelect) return;
+        
+        let group = document.getElementById('loadedFontsGroup');
+        if (!group) {
+            group = document.createElement('optgroup');
+            group.id = 'loadedFontsGroup';
+            group.label = 'Loaded Fonts';
+            fontSelect.appendChild(group);
+        }
+        
+        const label = `${font.info?.fullName || font.family} (${font.fileName})`;
+        const existing = Array.from(group.children).find(option => option.value === font.cssFamily);
+        if (existing) {
+            existing.textContent = label;
+        } else {
+            group.appendChild(new Option(label, font.cssFamily));
+        }
+    }
+    
+    selectFontFamily(fontFamily) {
+        const fontSelect = document.getElementById('fontSelect');
+        if (fontSelect) {
+            fontSelect.value = fontFamily;
+            this.refreshFontPanels();
+            this.updateRendering();
+        }
+    }
+    
+    refreshFontPanels() {
+        this.renderVariationControls();
+        this.renderFontInspector();
+        this.renderFeatureCatalog();
+        this.renderGlyphBrowser();
+    }
+    
+    getSelectedFont() {
+        return this.loadedFonts.get(document.getElementById('fontSelect')?.value) || null;
+    }
+    
+    renderVariationControls() {
+        const panel = document.getElementById('variableAxesPanel');
+        const container = document.getElementById('axisControls');
+        const instanceSelect = document.getElementById('namedInstance');
+        if (!panel || !container || !instanceSelect) return;
+        
+        const font = this.getSelectedFont();
+        const axes = font ? font.axes.filter(axis => !axis.hidden) : [];
+        
+        container.innerHTML = '';
+        instanceSelect.innerHTML = '';
+        panel.hidden = axes.length === 0;
+        
+        if (axes.length === 0) return;
+        
+        axes.forEach(axis => {
+            const inputId = `axis-${axis.tag.replace(/[^A-Za-z0-9]/g, '_')}`;
+            const displayId = `${inputId}Value`;
+            const range = axis.max - axis.min;
+            
+            const group = document.createElement('div');
+            group.className = 'control-group';
+            group.innerHTML = `
+                <label for="${inputId}">${this.escapeHTML(axis.name)} (${this.escapeHTML(axis.tag)}):</label>
+                <input type="range" id="${inputId}" min="${axis.min}" max="${axis.max}" step="${range > 50 ? 1 : 0.1}" value="${axis.defaultValue}">
+                <span id="${displayId}" class="value-display">${axis.defaultValue}</span>
+            `;
+            group.querySelector('input').dataset.axis = axis.tag;
+            container.appendChild(group);
+            
+            // Same wiring as the static sliders, plus instance tracking
+            this.addRangeListener(inputId, displayId, '');
+            document.getElementById(inputId).addEventListener('input', () => this.syncNamedInstance());
+        });
+        
+        instanceSelect.appendChild(new Option('Custom', ''));
+        font.instances.forEach((instance, index) => {
+            instanceSelect.appendChild(new Option(instance.name, index));
+        });
+        
+        this.updateOpticalSizeControl();
+        this.syncNamedInstance();
+    }
+    
+    applyNamedInstance(index) {
+        const font = this.getSelectedFont();
+        const instance = font?.instances[index];
+        if (!instance) return;
+        
+        this.setVariationValues(instance.coordinates);
+        this.updateRendering();
+    }
+    
+    setVariationValues(coordinates) {
+        document.querySelectorAll('#axisControls input[data-axis]').forEach(input => {
+            const value = coordinates[input.dataset.axis];
+            if (value !== undefined) {
+                input.value = value;
+                document.getElementById(`${input.id}Value`).textContent = value;
+            }
+        });
+    }
+    
+    syncNamedInstance() {
+        const font = this.getSelectedFont();
+        const instanceSelect = document.getElementById('namedInstance');
+        if (!font || !instanceSelect) return;
+        
+        const inputs = Array.from(document.querySelectorAll('#axisControls input[data-axis]'));
+        const match = font.instances.findIndex(instance => inputs.every(input =>
+            instance.coordinates[input.dataset.axis] === undefined ||
+            Math.abs(instance.coordinates[input.dataset.axis] - parseFloat(input.value)) < 0.01
+        ));
+        
+        instanceSelect.value = match === -1 ? '' : String(match);
+    }
+    
+    updateOpticalSizeControl() {
+        // With Optimize Layout on, font-optical-sizing: auto drives opsz from the font size
+        const opsz = document.querySelector('#axisControls input[data-axis="opsz"]');
+        if (opsz) {
+            opsz.disabled = this.layoutOptimization;
+            opsz.title = this.layoutOptimization ? 'Set automatically from the font size (Optimize Layout)' : '';
+        }
+    }
+    
+    getVariationValues() {
+        const variations = {};
+        document.querySelectorAll('#axisControls input[data-axis]').forEach(input => {
+            if (!input.disabled) {
+                variations[input.dataset.axis] = parseFloat(input.value);
+            }
+        });
+        return variations;
+    }
+    
+    formatVariationSettings(variations) {
+        return Object.entries(variations || {})
+            .map(([tag, value]) => `"${tag}" ${value}`)
+            .join(', ');
+    }
+    
+    buildFeatureRegistry() {
+        // defaultOn marks features browsers apply without being asked;
+        // indexed features take an alternate number instead of on/off;
+        // features sharing an exclusive group replace each other
+        const features = [
+            { tag: 'liga', category: 'ligatures', name: 'Standard Ligatures', description: 'Joins letter pairs such as fi, fl and ffi into single glyphs', defaultOn: true },
+            { tag: 'clig', category: 'ligatures', name: 'Contextual Ligatures', description: 'Ligatures that only apply in certain letter contexts', defaultOn: true },
+            { tag: 'dlig', category: 'ligatures', name: 'Discretionary Ligatures', description: 'Decorative ligatures such as ct and st, for display use' },
+            { tag: 'hlig', category: 'ligatures', name: 'Historical Ligatures', description: 'Obsolete ligatures such as long s combinations' },
+            { tag: 'calt', category: 'ligatures', name: 'Contextual Alternates', description: 'Swaps glyphs for better joins or spacing depending on neighbours', defaultOn: true },
+            
+            { tag: 'kern', category: 'positioning', name: 'Kerning', description: 'Adjusts the space between specific letter pairs such as AV and To', defaultOn: true },
+            { tag: 'cpsp', category: 'positioning', name: 'Capital Spacing', description: 'Adds tracking around capitals for all-caps settings' },
+            { tag: 'palt', category: 'positioning', name: 'Proportional Alternate Widths', description: 'Fits full-width CJK glyphs to their proportional width' },
+            
+            { tag: 'smcp', category: 'case', name: 'Small Capitals', description: 'Turns lowercase letters into small capitals' },
+            { tag: 'c2sc', category: 'case', name: 'Capitals to Small Capitals', description: 'Turns capital letters into small capitals' },
+            { tag: 'pcap', category: 'case', name: 'Petite Capitals', description: 'Turns lowercase letters into petite capitals' },
+            { tag: 'c2pc', category: 'case', name: 'Capitals to Petite Capitals', description: 'Turns capital letters into petite capitals' },
+            { tag: 'unic', category: 'case', name: 'Unicase', description: 'Mixes capital and lowercase forms at a single height' },
+            { tag: 'titl', category: 'case', name: 'Titling Alternates', description: 'Forms designed for large all-caps headlines' },
+            { tag: 'case', category: 'case', name: 'Case-Sensitive Forms', description: 'Raises punctuation and symbols to suit all-caps text' },
+            
+            { tag: 'lnum', category: 'numerals', name: 'Lining Figures', description: 'Figures that sit at cap height', exclusive: 'figureStyle' },
+            { tag: 'onum', category: 'numerals', name: 'Oldstyle Figures', description: 'Figures with ascenders and descenders that blend with lowercase', exclusive: 'figureStyle' },
+            { tag: 'pnum', category: 'numerals', name: 'Proportional Figures', description: 'Figures with individual widths for running text', exclusive: 'figureSpacing' },
+            { tag: 'tnum', category: 'numerals', name: 'Tabular Figures', description: 'Equal-width figures that line up in columns', exclusive: 'figureSpacing' },
+            { tag: 'zero', category: 'numerals', name: 'Slashed Zero', description: 'Distinguishes zero from the letter O' },
+            { tag: 'frac', category: 'numerals', name: 'Fractions', description: 'Builds diagonal fractions from sequences such as 1/2', exclusive: 'fractions' },
+            { tag: 'afrc', category: 'numerals', name: 'Alternative Fractions', description: 'Builds stacked fractions from sequences such as 1/2', exclusive: 'fractions' },
+            { tag: 'ordn', category: 'numerals', name: 'Ordinals', description: 'Raised ordinal forms such as 1st and 2º' },
+            { tag: 'sups', category: 'numerals', name: 'Superscript', description: 'Raised, reduced figures and letters', exclusive: 'position' },
+            { tag: 'subs', category: 'numerals', name: 'Subscript', description: 'Lowered, reduced figures and letters', exclusive: 'position' },
+            { tag: 'sinf', category: 'numerals', name: 'Scientific Inferiors', description: 'Lowered figures for chemical formulas such as H2O', exclusive: 'position' },
+            { tag: 'numr', category: 'numerals', name: 'Numerators', description: 'Raised figures for building fractions' },
+            { tag: 'dnom', category: 'numerals', name: 'Denominators', description: 'Lowered figures for building fractions' },
+            
+            { tag: 'salt', category: 'alternates', name: 'Stylistic Alternates', description: 'Picks one of the font\'s alternate glyph designs', indexed: true, max: 20 },
+            { tag: 'swsh', category: 'alternates', name: 'Swash', description: 'Flourished forms of letters', indexed: true, max: 20 },
+            { tag: 'cswh', category: 'alternates', name: 'Contextual Swash', description: 'Swashes that only apply in certain contexts' },
+            { tag: 'aalt', category: 'alternates', name: 'Access All Alternates', description: 'Shows each alternate the font offers for a glyph', indexed: true, max: 20 },
+            { tag: 'hist', category: 'alternates', name: 'Historical Forms', description: 'Obsolete letterforms such as the long s' },
+            { tag: 'nalt', category: 'alternates', name: 'Alternate Annotation Forms', description: 'Circled, boxed or parenthesised forms', indexed: true, max: 20 },
+            { tag: 'ornm', category: 'alternates', name: 'Ornaments', description: 'Replaces bullets and other characters with ornaments', indexed: true, max: 20 },
+            { tag: 'locl', category: 'alternates', name: 'Localized Forms', description: 'Language-specific glyphs, selected by the lang attribute', defaultOn: true },
+            
+            { tag: 'fwid', category: 'eastAsian', name: 'Full Widths', description: 'Full-width forms of Latin letters and figures', exclusive: 'width' },
+            { tag: 'hwid', category: 'eastAsian', name: 'Half Widths', description: 'Half-width forms of kana and Latin', exclusive: 'width' },
+            { tag: 'pwid', category: 'eastAsian', name: 'Proportional Widths', description: 'Proportional forms of normally monospaced glyphs', exclusive: 'width' },
+            { tag: 'ruby', category: 'eastAsian', name: 'Ruby Notation Forms', description: 'Small kana designed for ruby annotation' },
+            { tag: 'trad', category: 'eastAsian', name: 'Traditional Forms', description: 'Traditional Chinese character forms', exclusive: 'hanForms' },
+            { tag: 'smpl', category: 'eastAsian', name: 'Simplified Forms', description: 'Simplified Chinese character forms', exclusive: 'hanForms' },
+            { tag: 'jp78', category: 'eastAsian', name: 'JIS78 Forms', description: 'Japanese glyph forms from the JIS C 6226-1978 standard', exclusive: 'hanForms' },
+            { tag: 'jp83', category: 'eastAsian', name: 'JIS83 Forms', description: 'Japanese glyph forms from the JIS X 0208-1983 standard', exclusive: 'hanForms' },
+            { tag: 'jp04', category: 'eastAsian', name: 'JIS2004 Forms', description: 'Japanese glyph forms from the JIS X 0213:2004 standard', exclusive: 'hanForms' }
+        ];
+        
+        for (let i = 1; i <= 20; i++) {
+            const number = String(i).padStart(2, '0');
+            features.push({ tag: `ss${number}`, category: 'stylisticSets', name: `Stylistic Set ${i}`, description: `Switches to the font's stylistic set ${i} designs` });
+        }
+        
+        for (let i = 1; i <= 99; i++) {
+            const number = String(i).padStart(2, '0');
+            features.push({ tag: `cv${number}`, category: 'characterVariants', name: `Character Variant ${i}`, description: `Picks a variant for the characters covered by cv${number}`, indexed: true, max: 20 });
+        }
+        
+        return new Map(features.map(feature => [feature.tag, feature]));
+    }
+    
+    setFeature(tag, value) {
+        const feature = this.featureRegistry.get(tag);
+        
+        if (value) {
+            // Turning on one of a mutually exclusive pair turns off the other
+            if (feature?.exclusive) {
+                this.featureRegistry.forEach(other => {
+                    if (other.exclusive === feature.exclusive && other.tag !== tag) {
+                        this.activeFeatures.delete(other.tag);
+                        const checkbox = document.getElementById(`feature-${other.tag}`);
+                        if (checkbox) checkbox.checked = false;
+                    }
+                });
+            }
+            this.activeFeatures.set(tag, value);
+        } else {
+            this.activeFeatures.delete(tag);
+        }
+        
+        this.updateRendering();
+    }
+    
+    buildFeatureSettings(features) {
+        const settings = [];
+        
+        // Registry order keeps the output stable; only departures from browser defaults are written
+        this.featureRegistry.forEach(feature => {
+            if (features.has(feature.tag)) {
+                if (!feature.defaultOn || features.get(feature.tag) !== 1) {
+                    settings.push(`"${feature.tag}" ${features.get(feature.tag)}`);
+                }
+            } else if (feature.defaultOn) {
+                settings.push(`"${feature.tag}" 0`);
+            }
+        });
+        
+        features.forEach((value, tag) => {
+            if (!this.featureRegistry.has(tag)) {
+                settings.push(`"${tag}" ${value}`);
+            }
+        });
+        
+        return settings.join(', ');
+    }
+    
+    isFeatureSupported(tag, font = this.getSelectedFont()) {
+        // System fonts and uninspectable files can't be checked, so assume support
+        if (!font || !font.featureTags) return true;
+        return font.featureTags.has(tag);
+    }
+    
+    renderFeatureCatalog() {
+        const catalog = document.getElementById('featureCatalog');
+        if (!catalog) return;
+        
+        const font = this.getSelectedFont();
+        const fontName = font ? (font.info?.fullName || font.family) : '';
+        const featureNames = font?.layout
+            ? { ...font.layout.GSUB.featureNames, ...font.layout.GPOS.featureNames }
+            : {};
+        
+        const filterToggle = document.getElementById('supportedFeaturesOnly');
+        if (filterToggle) {
+            filterToggle.disabled = !font?.featureTags;
+        }
+        
+        catalog.innerHTML = this.featureCategories.map(category => {
+            const entries = Array.from(this.featureRegistry.values())
+                .filter(feature => feature.category === category.id)
+                .filter(feature => !this.showSupportedFeaturesOnly || this.isFeatureSupported(feature.tag, font));
+            
+            if (entries.length === 0) return '';
+            
+            const items = entries.map(feature => {
+                const supported = this.isFeatureSupported(feature.tag, font);
+                const active = this.activeFeatures.has(feature.tag);
+                const fontLabel = featureNames[feature.tag];
+                const title = supported
+                    ? feature.description
+                    : `${fontName} does not implement ${feature.tag}`;
+                
+                return `
+                    <label class="feature-checkbox${supported ? '' : ' unsupported'}" title="${this.escapeHTML(title)}">
+                        <input type="checkbox" id="feature-${feature.tag}" data-feature="${feature.tag}"${active ? ' checked' : ''}${supported ? '' : ' disabled'}>
+                        <span class="checkmark"></span>
+                        <span class="feature-label">
+                            ${this.escapeHTML(feature.name)} <code>${feature.tag}</code>
+                            <small class="feature-description">${this.escapeHTML(fontLabel || feature.description)}</small>
+                        </span>
+                        ${feature.indexed ? `<input type="number" class="feature-index" data-feature-index="${feature.tag}" min="1" max="${feature.max}" value="${this.activeFeatures.get(feature.tag) || 1}" aria-label="${this.escapeHTML(feature.name)} alternate"${supported ? '' : ' disabled'}>` : ''}
+                    </label>
+                `;
+            }).join('');
+            
+            const activeCount = entries.filter(feature => this.activeFeatures.has(feature.tag)).length;
+            
+            return `
+                <details class="feature-category" data-category="${category.id}"${this.openFeatureCategories.has(category.id) ? ' open' : ''}>
+                    <summary>${category.name} <span class="feature-count">${activeCount}/${entries.length}</span></summary>
+                    <div class="features-grid">${items}</div>
+                </details>
+            `;
+        }).join('');
+    }
+    
+    renderFontInspector() {
+        const container = document.getElementById('fontInspectorContent');
+        if (!container) return;
+        
+        const font = this.getSelectedFont();
+        
+        if (!font) {
+            container.innerHTML = '<p class="inspector-empty">Load a TTF, OTF or WOFF file to inspect its tables. System fonts cannot be read from the browser.</p>';
+            return;
+        }
+        
+        if (!font.info) {
+            container.innerHTML = `<p class="inspector-empty">${this.escapeHTML(font.fileName)} renders, but its tables could not be read. WOFF2 files are compressed with Brotli; load the TTF or OTF version to inspect them.</p>`;
+            return;
+        }
+        
+        const info = font.info;
+        const details = [
+            ['Family', info.family],
+            ['Style', info.subfamily],
+            ['Version', info.version],
+            ['Designer', info.designer || info.manufacturer],
+            ['Vendor', info.vendor],
+            ['Outlines', info.outlines + (info.isVariable ? ', variable' : '')],
+            ['Units per em', info.unitsPerEm],
+            ['Glyphs', info.numGlyphs],
+            ['Mapped characters', font.parser.getCharacterMap().size],
+            ['Weight class', info.weightClass],
+            ['Width class', info.widthClass],
+            ['Ascender / Descender', info.ascender !== null ? `${info.ascender} / ${info.descender}` : null],
+            ['x-height', info.xHeight],
+            ['Cap height', info.capHeight]
+        ].filter(([, value]) => value !== null && value !== undefined && value !== '');
+        
+        container.innerHTML = `
+            <div class="inspector-section">
+                <h4>Font Tables</h4>
+                <dl class="inspector-details">
+                    ${details.map(([label, value]) => `<dt>${label}</dt><dd>${this.escapeHTML(String(value))}</dd>`).join('')}
+                </dl>
+            </div>
+            <div class="inspector-section">
+                <h4>Substitution Features (GSUB)</h4>
+                ${this.renderTagList(font.layout.GSUB.features)}
+            </div>
+            <div class="inspector-section">
+                <h4>Positioning Features (GPOS)</h4>
+                ${this.renderTagList(font.parser.hasTable('kern') ? [...font.layout.GPOS.features, 'kern (legacy table)'] : font.layout.GPOS.features)}
+            </div>
+            <div class="inspector-section">
+                <h4>Scripts &amp; Languages</h4>
+                ${this.renderScriptList(font.layout)}
+            </div>
+        `;
+    }
+    
+    renderTagList(tags) {
+        if (tags.length === 0) {
+            return '<p class="inspector-empty">None</p>';
+        }
+        return `<div class="tag-list">${tags.map(tag => `<span class="tag-chip">${this.escapeHTML(tag)}</span>`).join('')}</div>`;
+    }
+    
+    renderScriptList(layout) {
+        const scriptNames = {
+            DFLT: 'Default', latn: 'Latin', cyrl: 'Cyrillic', grek: 'Greek', arab: 'Arabic',
+            hebr: 'Hebrew', deva: 'Devanagari', beng: 'Bengali', thai: 'Thai', hani: 'CJK Ideographs',
+            kana: 'Kana', hang: 'Hangul', armn: 'Armenian', geor: 'Georgian', ethi: 'Ethiopic'
+        };
+        
+        // GSUB and GPOS list scripts independently, so merge their language systems
+        const scripts = new Map();
+        [...layout.GSUB.scripts, ...layout.GPOS.scripts].forEach(script => {
+            const languages = scripts.get(script.tag) || new Set();
+            script.languages.forEach(language => languages.add(language.tag));
+            scripts.set(script.tag, languages);
+        });
+        
+        if (scripts.size === 0) {
+            return '<p class="inspector-empty">None</p>';
+        }
+        
+        return `<ul class="script-list">${Array.from(scripts).map(([tag, languages]) => `
+            <li>
+                <strong>${this.escapeHTML(scriptNames[tag] || tag)}</strong> <code>${this.escapeHTML(tag)}</code>
+                ${this.renderTagList(Array.from(languages))}
+            </li>`).join('')}
+        </ul>`;
+    }
+    
+    buildUnicodeBlocks() {
+        return [
+            '0000-007F Basic Latin',
+            '0080-00FF Latin-1 Supplement',
+            '0100-017F Latin Extended-A',
+            '0180-024F Latin Extended-B',
+            '0250-02AF IPA Extensions',
+            '02B0-02FF Spacing Modifier Letters',
+            '0300-036F Combining Diacritical Marks',
+            '0370-03FF Greek and Coptic',
+            '0400-04FF Cyrillic',
+            '0500-052F Cyrillic Supplement',
+            '0530-058F Armenian',
+            '0590-05FF Hebrew',
+            '0600-06FF Arabic',
+            '0700-074F Syriac',
+            '0750-077F Arabic Supplement',
+            '0780-07BF Thaana',
+            '07C0-07FF NKo',
+            '0800-083F Samaritan',
+            '0840-085F Mandaic',
+            '0860-086F Syriac Supplement',
+            '0870-089F Arabic Extended-B',
+            '08A0-08FF Arabic Extended-A',
+            '0900-097F Devanagari',
+            '0980-09FF Bengali',
+            '0A00-0A7F Gurmukhi',
+            '0A80-0AFF Gujarati',
+            '0B00-0B7F Oriya',
+            '0B80-0BFF Tamil',
+            '0C00-0C7F Telugu',
+            '0C80-0CFF Kannada',
+            '0D00-0D7F Malayalam',
+            '0D80-0DFF Sinhala',
+            '0E00-0E7F Thai',
+            '0E80-0EFF Lao',
+            '0F00-0FFF Tibetan',
+            '1000-109F Myanmar',
+            '10A0-10FF Georgian',
+            '1100-11FF Hangul Jamo',
+            '1200-137F Ethiopic',
+            '1380-139F Ethiopic Supplement',
+            '13A0-13FF Cherokee',
+            '1400-167F Unified Canadian Aboriginal Syllabics',
+            '1680-169F Ogham',
+            '16A0-16FF Runic',
+            '1700-171F Tagalog',
+            '1720-173F Hanunoo',
+            '1740-175F Buhid',
+            '1760-177F Tagbanwa',
+            '1780-17FF Khmer',
+            '1800-18AF Mongolian',
+            '18B0-18FF Unified Canadian Aboriginal Syllabics Extended',
+            '1900-194F Limbu',
+            '1950-197F Tai Le',
+            '1980-19DF New Tai Lue',
+            '19E0-19FF Khmer Symbols',
+            '1A00-1A1F Buginese',
+            '1A20-1AAF Tai Tham',
+            '1AB0-1AFF Combining Diacritical Marks Extended',
+            '1B00-1B7F Balinese',
+            '1B80-1BBF Sundanese',
+            '1BC0-1BFF Batak',
+            '1C00-1C4F Lepcha',
+            '1C50-1C7F Ol Chiki',
+            '1C80-1C8F Cyrillic Extended-C',
+            '1C90-1CBF Georgian Extended',
+            '1CC0-1CCF Sundanese Supplement',
+            '1CD0-1CFF Vedic Extensions',
+            '1D00-1D7F Phonetic Extensions',
+            '1D80-1DBF Phonetic Extensions Supplement',
+            '1DC0-1DFF Combining Diacritical Marks Supplement',
+            '1E00-1EFF Latin Extended Additional',
+            '1F00-1FFF Greek Extended',
+            '2000-206F General Punctuation',
+            '2070-209F Superscripts and Subscripts',
+            '20A0-20CF Currency Symbols',
+            '20D0-20FF Combining Diacritical Marks for Symbols',
+            '2100-214F Letterlike Symbols',
+            '2150-218F Number Forms',
+            '2190-21FF Arrows',
+            '2200-22FF Mathematical Operators',
+            '2300-23FF Miscellaneous Technical',
+            '2400-243F Control Pictures',
+            '2440-245F Optical Character Recognition',
+            '2460-24FF Enclosed Alphanumerics',
+            '2500-257F Box Drawing',
+            '2580-259F Block Elements',
+            '25A0-25FF Geometric Shapes',
+            '2600-26FF Miscellaneous Symbols',
+            '2700-27BF Dingbats',
+            '27C0-27EF Miscellaneous Mathematical Symbols-A',
+            '27F0-27FF Supplemental Arrows-A',
+            '2800-28FF Braille Patterns',
+            '2900-297F Supplemental Arrows-B',
+            '2980-29FF Miscellaneous Mathematical Symbols-B',
+            '2A00-2AFF Supplemental Mathematical Operators',
+            '2B00-2BFF Miscellaneous Symbols and Arrows',
+            '2C00-2C5F Glagolitic',
+            '2C60-2C7F Latin Extended-C',
+            '2C80-2CFF Coptic',
+            '2D00-2D2F Georgian Supplement',
+            '2D30-2D7F Tifinagh',
+            '2D80-2DDF Ethiopic Extended',
+            '2DE0-2DFF Cyrillic Extended-A',
+            '2E00-2E7F Supplemental Punctuation',
+            '2E80-2EFF CJK Radicals Supplement',
+            '2F00-2FDF Kangxi Radicals',
+            '2FF0-2FFF Ideographic Description Characters',
+            '3000-303F CJK Symbols and Punctuation',
+            '3040-309F Hiragana',
+            '30A0-30FF Katakana',
+            '3100-312F Bopomofo',
+            '3130-318F Hangul Compatibility Jamo',
+            '3190-319F Kanbun',
+            '31A0-31BF Bopomofo Extended',
+            '31C0-31EF CJK Strokes',
+            '31F0-31FF Katakana Phonetic Extensions',
+            '3200-32FF Enclosed CJK Letters and Months',
+            '3300-33FF CJK Compatibility',
+            '3400-4DBF CJK Unified Ideographs Extension A',
+            '4DC0-4DFF Yijing Hexagram Symbols',
+            '4E00-9FFF CJK Unified Ideographs',
+            'A000-A48F Yi Syllables',
+            'A490-A4CF Yi Radicals',
+            'A4D0-A4FF Lisu',
+            'A500-A63F Vai',
+            'A640-A69F Cyrillic Extended-B',
+            'A6A0-A6FF Bamum',
+            'A700-A71F Modifier Tone Letters',
+            'A720-A7FF Latin Extended-D',
+            'A800-A82F Syloti Nagri',
+            'A830-A83F Common Indic Number Forms',
+            'A840-A87F Phags-pa',
+            'A880-A8DF Saurashtra',
+            'A8E0-A8FF Devanagari Extended',
+            'A900-A92F Kayah Li',
+            'A930-A95F Rejang',
+            'A960-A97F Hangul Jamo Extended-A',
+            'A980-A9DF Javanese',
+            'A9E0-A9FF Myanmar Extended-B',
+            'AA00-AA5F Cham',
+            'AA60-AA7F Myanmar Extended-A',
+            'AA80-AADF Tai Viet',
+            'AAE0-AAFF Meetei Mayek Extensions',
+            'AB00-AB2F Ethiopic Extended-A',
+            'AB30-AB6F Latin Extended-E',
+            'AB70-ABBF Cherokee Supplement',
+            'ABC0-ABFF Meetei Mayek',
+            'AC00-D7AF Hangul Syllables',
+            'D7B0-D7FF Hangul Jamo Extended-B',
+            'E000-F8FF Private Use Area',
+            'F900-FAFF CJK Compatibility Ideographs',
+            'FB00-FB4F Alphabetic Presentation Forms',
+            'FB50-FDFF Arabic Presentation Forms-A',
+            'FE00-FE0F Variation Selectors',
+            'FE10-FE1F Vertical Forms',
+            'FE20-FE2F Combining Half Marks',
+            'FE30-FE4F CJK Compatibility Forms',
+            'FE50-FE6F Small Form Variants',
+            'FE70-FEFF Arabic Presentation Forms-B',
+            'FF00-FFEF Halfwidth and Fullwidth Forms',
+            'FFF0-FFFF Specials',
+            '1D400-1D7FF Mathematical Alphanumeric Symbols',
+            '1F000-1F02F Mahjong Tiles',
+            '1F0A0-1F0FF Playing Cards',
+            '1F100-1F1FF Enclosed Alphanumeric Supplement',
+            '1F200-1F2FF Enclosed Ideographic Supplement',
+            '1F300-1F5FF Miscellaneous Symbols and Pictographs',
+            '1F600-1F64F Emoticons',
+            '1F680-1F6FF Transport and Map Symbols',
+            '1F900-1F9FF Supplemental Symbols and Pictographs',
+            '20000-2A6DF CJK Unified Ideographs Extension B',
+            'F0000-FFFFF Supplementary Private Use Area-A'
+        ].map(entry => {
+            const [range, ...name] = entry.split(' ');
+            const [start, end] = range.split('-').map(hex => parseInt(hex, 16));
+            return { start, end, name: name.join(' ') };
+        });
+    }
+    
+    buildLanguageCharsets() {
+        // Letters each language needs beyond what toUpperCase() derives, and the OpenType
+        // language system tag its localized forms are filed under;
+        // CJK entries are samples of the most frequent characters, not full repertoires
+        const basicLatin = 'abcdefghijklmnopqrstuvwxyz';
+        const languages = [
+            { code: 'en', name: 'English', script: 'Latin', opentype: 'ENG', chars: basicLatin },
+            { code: 'fr', name: 'French', script: 'Latin', opentype: 'FRA', chars: basicLatin + 'àâæçéèêëîïôœùûüÿ«»' },
+            { code: 'de', name: 'German', script: 'Latin', opentype: 'DEU', chars: basicLatin + 'äöüß„“' },
+            { code: 'es', name: 'Spanish', script: 'Latin', opentype: 'ESP', chars: basicLatin + 'áéíóúüñ¿¡' },
+            { code: 'pt', name: 'Portuguese', script: 'Latin', opentype: 'PTG', chars: basicLatin + 'áâãàçéêíóôõú' },
+            { code: 'it', name: 'Italian', script: 'Latin', opentype: 'ITA', chars: basicLatin + 'àèéìíîòóùú' },
+            { code: 'nl', name: 'Dutch', script: 'Latin', opentype: 'NLD', chars: basicLatin + 'áéíóúëïöü' },
+            { code: 'ca', name: 'Catalan', script: 'Latin', opentype: 'CAT', chars: basicLatin + 'àçèéíïòóúü·' },
+            { code: 'sv', name: 'Swedish', script: 'Latin', opentype: 'SVE', chars: basicLatin + 'åäö' },
+            { code: 'da', name: 'Danish', script: 'Latin', opentype: 'DAN', chars: basicLatin + 'æøå' },
+            { code: 'nb', name: 'Norwegian', script: 'Latin', opentype: 'NOR', chars: basicLatin + 'æøå' },
+            { code: 'fi', name: 'Finnish', script: 'Latin', opentype: 'FIN', chars: basicLatin + 'äöå' },
+            { code: 'is', name: 'Icelandic', script: 'Latin', opentype: 'ISL', chars: basicLatin + 'áðéíóúýþæö' },
+            { code: 'pl', name: 'Polish', script: 'Latin Extended', opentype: 'PLK', chars: basicLatin + 'ąćęłńóśźż' },
+            { code: 'cs', name: 'Czech', script: 'Latin Extended', opentype: 'CSY', chars: basicLatin + 'áčďéěíňóřšťúůýž' },
+            { code: 'sk', name: 'Slovak', script: 'Latin Extended', opentype: 'SKY', chars: basicLatin + 'áäčďéíĺľňóôŕšťúýž' },
+            { code: 'hu', name: 'Hungarian', script: 'Latin Extended', opentype: 'HUN', chars: basicLatin + 'áéíóöőúüű' },
+            { code: 'ro', name: 'Romanian', script: 'Latin Extended', opentype: 'ROM', chars: basicLatin + 'ăâîșț' },
+            { code: 'hr', name: 'Croatian', script: 'Latin Extended', opentype: 'HRV', chars: basicLatin + 'čćđšž' },
+            { code: 'sl', name: 'Slovenian', script: 'Latin Extended', opentype: 'SLV', chars: basicLatin + 'čšž' },
+            { code: 'lt', name: 'Lithuanian', script: 'Latin Extended', opentype: 'LTH', chars: basicLatin + 'ąčęėįšųūž' },
+            { code: 'lv', name: 'Latvian', script: 'Latin Extended', opentype: 'LVI', chars: basicLatin + 'āčēģīķļņšūž' },
+            { code: 'et', name: 'Estonian', script: 'Latin Extended', opentype: 'ETI', chars: basicLatin + 'äõöüšž' },
+            { code: 'tr', name: 'Turkish', script: 'Latin Extended', opentype: 'TRK', chars: basicLatin + 'çğıöşüİ' },
+            { code: 'vi', name: 'Vietnamese', script: 'Vietnamese', opentype: 'VIT', chars: basicLatin + 'àáảãạăằắẳẵặâầấẩẫậđèéẻẽẹêềếểễệìíỉĩịòóỏõọôồốổỗộơờớởỡợùúủũụưừứửữựỳýỷỹỵ' },
+            { code: 'el', name: 'Greek', script: 'Greek', opentype: 'ELL', chars: 'αβγδεζηθικλμνξοπρσςτυφχψωάέήίόύώϊϋΐΰ' },
+            { code: 'ru', name: 'Russian', script: 'Cyrillic', opentype: 'RUS', chars: 'абвгдеёжзийклмнопрстуфхцчшщъыьэюя' },
+            { code: 'uk', name: 'Ukrainian', script: 'Cyrillic', opentype: 'UKR', chars: 'абвгґдеєжзиіїйклмнопрстуфхцчшщьюя’' },
+            { code: 'bg', name: 'Bulgarian', script: 'Cyrillic', opentype: 'BGR', chars: 'абвгдежзийклмнопрстуфхцчшщъьюя' },
+            { code: 'sr', name: 'Serbian', script: 'Cyrillic', opentype: 'SRB', chars: 'абвгдђежзијклљмнњопрстћуфхцчџш' },
+            { code: 'he', name: 'Hebrew', script: 'Hebrew', opentype: 'IWR', chars: 'אבגדהוזחטיךכלםמןנסעףפץצקרשת' },
+            { code: 'ar', name: 'Arabic', script: 'Arabic', opentype: 'ARA', chars: 'ءآأؤإئابةتثجحخدذرزسشصضطظعغفقكلمنهوىي' },
+            { code: 'hi', name: 'Hindi', script: 'Devanagari', opentype: 'HIN', chars: 'अआइईउऊऋएऐओऔकखगघङचछजझञटठडढणतथदधनपफबभमयरलवशषसहािीुूृेैोौ्ंः' },
+            { code: 'th', name: 'Thai', script: 'Thai', opentype: 'THA', chars: 'กขคฆงจฉชซฌญฎฏฐฑฒณดตถทธนบปผฝพฟภมยรลวศษสหฬอฮะาำิีึืุูเแโใไ่้๊๋' },
+            { code: 'ja', name: 'Japanese (kana)', script: 'CJK', opentype: 'JAN', chars: 'あいうえおかきくけこさしすせそたちつてとなにぬねのはひふへほまみむめもやゆよらりるれろわをんアイウエオカキクケコサシスセソタチツテトナニヌネノハヒフヘホマミムメモヤユヨラリルレロワヲン' },
+            { code: 'zh', name: 'Chinese (sample)', script: 'CJK', opentype: 'ZHS', chars: '的一是不了人我在有他这中大来上国个到说们为子和你地出道也时年' },
+            { code: 'ko', name: 'Korean (sample)', script: 'CJK', opentype: 'KOR', chars: '가나다라마바사아자차카타파하한국어글은는이가을를' }
+        ];
+        
+        return languages.map(language => {
+            const chars = new Set(Array.from(language.chars));
+            Array.from(language.chars).forEach(char => {
+                const upper = char.toUpperCase();
+                if (Array.from(upper).length === 1) chars.add(upper);
+            });
+            return { ...language, codepoints: Array.from(chars).map(char => char.codePointAt(0)) };
+        });
+    }
+    
+    isCoverageRelevant(codepoint) {
+        // Whitespace, controls, format characters and variation selectors never need a visible glyph
+        return !/[\s\p{Cc}\p{Cf}\p{Variation_Selector}]/u.test(String.fromCodePoint(codepoint));
+    }
+    
+    getGlyphSupport(fontFamily = this.getControlValues().fontFamily) {
+        const font = this.loadedFonts.get(fontFamily);
+        
+        // Loaded fonts answer from their cmap
+        if (font?.parser) {
+            const cmap = font.parser.getCharacterMap();
+            return codepoint => cmap.has(codepoint);
+        }
+        
+        // Generic families always resolve to something, so there is nothing to compare against
+        if (['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui'].includes(fontFamily)) {
+            return null;
+        }
+        
+        // Named system fonts: a glyph is present when its width differs from either fallback;
+        // a font can share one fallback's metrics, so matching just one of them proves nothing
+        const ctx = this.getMeasureContext();
+        if (!ctx) return null;
+        
+        return codepoint => {
+            const key = `${fontFamily}|${codepoint}`;
+            if (!this.glyphSupportCache.has(key)) {
+                const char = String.fromCodePoint(codepoint);
+                const supported = ['monospace', 'serif'].some(generic => {
+                    ctx.font = `72px ${generic}`;
+                    const fallbackWidth = ctx.measureText(char).width;
+                    ctx.font = `72px ${fontFamily}, ${generic}`;
+                    return ctx.measureText(char).width !== fallbackWidth;
+                });
+                this.glyphSupportCache.set(key, supported);
+            }
+            return this.glyphSupportCache.get(key);
+        };
+    }
+    
+    findMissingGlyphs(text, fontFamily) {
+        const hasGlyph = this.getGlyphSupport(fontFamily);
+        const missing = new Set();
+        
+        if (hasGlyph) {
+            for (const char of text) {
+                const codepoint = char.codePointAt(0);
+                if (this.isCoverageRelevant(codepoint) && !hasGlyph(codepoint)) {
+                    missing.add(codepoint);
+                }
+            }
+        }
+        
+        return missing;
+    }
+    
+    renderTextContent(text, element = this.renderedText, fontFamily = this.getControlValues().fontFamily) {
+        const missing = this.findMissingGlyphs(text, fontFamily);
+        
+        if (missing.size === 0 || !this.highlightMissingGlyphs) {
+            element.textContent = text;
+            return Array.from(missing);
+        }
+        
+        // Wrap runs of fallback characters so they stand out in the preview
+        const fragment = document.createDocumentFragment();
+        const fontName = this.loadedFonts.get(fontFamily)?.info?.fullName || fontFamily;
+        let run = '';
+        let runMissing = false;
+        
+        const flush = () => {
+            if (!run) return;
+            if (runMissing) {
+                const mark = document.createElement('mark');
+                mark.className = 'missing-glyph';
+                mark.title = `${Array.from(run).map(char => this.formatCodepoint(char.codePointAt(0))).join(' ')} not in ${fontName}`;
+                mark.textContent = run;
+                fragment.appendChild(mark);
+            } else {
+                fragment.appendChild(document.createTextNode(run));
+            }
+            run = '';
+        };
+        
+        for (const char of text) {
+            const isMissing = missing.has(char.codePointAt(0));
+            if (isMissing !== runMissing) {
+                flush();
+                runMissing = isMissing;
+            }
+            run += char;
+        }
+        flush();
+        
+        element.replaceChildren(fragment);
+        return Array.from(missing);
+    }
+    
+    renderCoverageReport(text) {
+        const container = document.getElementById('coverageReport');
+        if (!container) return;
+        
+        const fontFamily = this.getControlValues().fontFamily;
+        const hasGlyph = this.getGlyphSupport(fontFamily);
+        const fontName = this.getSelectedFont()?.info?.fullName || fontFamily;
+        
+        if (!hasGlyph) {
+            container.innerHTML = `<p class="inspector-empty">${this.escapeHTML(fontFamily)} is a generic family that always resolves to some installed font, so coverage can't be measured. Pick a named font or load a font file.</p>`;
+            return;
+        }
+        
+        // Distinct characters in the current text, per Unicode block
+        const blocks = new Map();
+        const seen = new Set();
+        for (const char of text) {
+            const codepoint = char.codePointAt(0);
+            if (seen.has(codepoint) || !this.isCoverageRelevant(codepoint)) continue;
+            seen.add(codepoint);
+            
+            const name = this.getUnicodeBlock(codepoint)?.name || 'Other';
+            const block = blocks.get(name) || { used: 0, missing: [] };
+            block.used++;
+            if (!hasGlyph(codepoint)) block.missing.push(codepoint);
+            blocks.set(name, block);
+        }
+        
+        const missingChips = this.missingGlyphs.map(codepoint => `
+            <span class="tag-chip missing-chip" title="${this.formatCodepoint(codepoint)}">${this.escapeHTML(String.fromCodePoint(codepoint))} <small>${this.formatCodepoint(codepoint)}</small></span>
+        `).join('');
+        
+        const blockRows = Array.from(blocks).map(([name, block]) => `
+            <tr class="${block.missing.length ? 'coverage-gap' : ''}">
+                <td>${this.escapeHTML(name)}</td>
+                <td>${block.used - block.missing.length} / ${block.used}</td>
+            </tr>
+        `).join('');
+        
+        const languageRows = this.languageCharsets.map(language => {
+            const missing = language.codepoints.filter(codepoint => !hasGlyph(codepoint));
+            const percent = Math.floor((language.codepoints.length - missing.length) / language.codepoints.length * 100);
+            const missingText = missing.slice(0, 12).map(codepoint => String.fromCodePoint(codepoint)).join(' ');
+            
+            return `
+                <tr class="${missing.length ? 'coverage-gap' : ''}">
+                    <td>${this.escapeHTML(language.name)} <small>${language.script}</small></td>
+                    <td>
+                        <span class="coverage-bar"><span style="width: ${percent}%"></span></span>
+                        ${percent}%
+                    </td>
+                    <td class="coverage-missing">${this.escapeHTML(missingText)}${missing.length > 12 ? ' …' : ''}</td>
+                </tr>
+            `;
+        }).join('');
+        
+        container.innerHTML = `
+            <div class="inspector-section">
+                <h4>Current Text</h4>
+                <p class="coverage-summary">${seen.size - this.missingGlyphs.length} of ${seen.size} distinct characters render in ${this.escapeHTML(fontName)}</p>
+                ${missingChips ? `<div class="tag-list">${missingChips}</div>` : ''}
+                <table class="coverage-table">
+                    <thead><tr><th>Unicode Block</th><th>Covered</th></tr></thead>
+                    <tbody>${blockRows}</tbody>
+                </table>
+            </div>
+            <div class="inspector-section">
+                <h4>Language Support</h4>
+                <table class="coverage-table">
+                    <thead><tr><th>Language</th><th>Coverage</th><th>Missing</th></tr></thead>
+                    <tbody>${languageRows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+    
+    getUnicodeBlock(codepoint) {
+        return this.unicodeBlocks.find(block => codepoint >= block.start && codepoint <= block.end) || null;
+    }
+    
+    formatCodepoint(codepoint) {
+        return 'U+' + codepoint.toString(16).toUpperCase().padStart(4, '0');
+    }
+    
+    getGlyphGroups(font) {
+        if (font.glyphGroups) return font.glyphGroups;
+        
+        // Group the cmap by Unicode block once per font, in codepoint order
+        const groups = new Map();
+        Array.from(font.parser.getCharacterMap().keys()).sort((a, b) => a - b).forEach(codepoint => {
+            const block = this.getUnicodeBlock(codepoint);
+            const name = block ? block.name : 'Other';
+            if (!groups.has(name)) groups.set(name, []);
+            groups.get(name).push(codepoint);
+        });
+        
+        font.glyphGroups = groups;
+        return groups;
+    }
+    
+    renderGlyphBrowser() {
+        const container = document.getElementById('glyphBrowserContent');
+        const search = document.getElementById('glyphSearch');
+        if (!container) return;
+        
+        const font = this.getSelectedFont();
+        this.updateGlyphInfo(null);
+        
+        if (!font || !font.parser) {
+            if (search) search.disabled = true;
+            container.innerHTML = '<p class="inspector-empty">Load a TTF, OTF or WOFF file to browse the glyphs its cmap maps.</p>';
+            return;
+        }
+        
+        if (search) search.disabled = false;
+        const query = search ? search.value.trim() : '';
+        
+        if (query) {
+            this.renderGlyphSearch(container, font, query);
+            return;
+        }
+        
+        // Blocks fill in when opened, so fonts with thousands of glyphs stay responsive
+        const groups = this.getGlyphGroups(font);
+        container.innerHTML = Array.from(groups).map(([name, codepoints], index) => `
+            <details class="glyph-block" data-block="${this.escapeHTML(name)}"${index === 0 ? ' open' : ''}>
+                <summary>${this.escapeHTML(name)} <span class="feature-count">${codepoints.length}</span></summary>
+                <div class="glyph-grid"></div>
+            </details>
+        `).join('');
+        
+        container.querySelectorAll('.glyph-block').forEach(details => {
+            const fill = () => {
+                const grid = details.querySelector('.glyph-grid');
+                if (details.open && !grid.hasChildNodes()) {
+                    grid.innerHTML = this.renderGlyphCells(font, groups.get(details.dataset.block));
+                }
+            };
+            details.addEventListener('toggle', fill);
+            fill();
+        });
+    }
+    
+    renderGlyphSearch(container, font, query) {
+        const limit = 500;
+        const lowerQuery = query.toLowerCase();
+        const hex = lowerQuery.replace(/^u\+/, '');
+        const matches = [];
+        
+        for (const codepoints of this.getGlyphGroups(font).values()) {
+            codepoints.forEach(code => {
+                const name = font.parser.getGlyphName(font.parser.getCharacterMap().get(code)).toLowerCase();
+                if (String.fromCodePoint(code) === query ||
+                    code.toString(16) === hex.replace(/^0+(?=.)/, '') ||
+                    (lowerQuery.length > 1 && name.includes(lowerQuery))) {
+                    matches.push(code);
+                }
+            });
+        }
+        
+        container.innerHTML = matches.length === 0
+            ? '<p class="inspector-empty">No mapped glyphs match that search.</p>'
+            : `<div class="glyph-grid">${this.renderGlyphCells(font, matches.slice(0, limit))}</div>
+               ${matches.length > limit ? `<p class="inspector-empty">Showing ${limit} of ${matches.length} matches.</p>` : ''}`;
+    }
+    
+    renderGlyphCells(font, codepoints) {
+        const cmap = font.parser.getCharacterMap();
+        
+        return codepoints.map(codepoint => {
+            const glyphId = cmap.get(codepoint);
+            const name = font.parser.getGlyphName(glyphId) || this.getFallbackGlyphName(codepoint);
+            const char = String.fromCodePoint(codepoint);
+            
+            return `
+                <button type="button" class="glyph-cell" data-codepoint="${codepoint}" title="${this.formatCodepoint(codepoint)} ${this.escapeHTML(name)}">
+                    <span class="glyph-char" style="font-family: ${this.escapeHTML(font.cssFamily)}">${this.escapeHTML(char)}</span>
+                    <span class="glyph-code">${this.formatCodepoint(codepoint)}</span>
+                    <span class="glyph-name">${this.escapeHTML(name)}</span>
+                </button>
+            `;
+        }).join('');
+    }
+    
+    getFallbackGlyphName(codepoint) {
+        // Adobe Glyph List naming for fonts without a post table name list
+        const hex = codepoint.toString(16).toUpperCase();
+        return codepoint > 0xFFFF ? `u${hex}` : `uni${hex.padStart(4, '0')}`;
+    }
+    
+    updateGlyphInfo(codepoint) {
+        const info = document.getElementById('glyphInfo');
+        if (!info) return;
+        
+        const font = this.getSelectedFont();
+        if (codepoint === null || !font || !font.parser) {
+            info.innerHTML = '<span class="glyph-info-hint">Hover a glyph to see its metrics, click it to insert it into the text</span>';
+            return;
+        }
+        
+        const glyphId = font.parser.getCharacterMap().get(codepoint);
+        const metrics = font.parser.getGlyphMetrics(glyphId);
+        const name = font.parser.getGlyphName(glyphId) || this.getFallbackGlyphName(codepoint);
+        const unitsPerEm = font.info.unitsPerEm;
+        const fontSize = parseFloat(this.getControlValues().fontSize);
+        
+        // Font units, with the size at the current font size alongside
+        const describe = units => units === null
+            ? 'n/a'
+            : `${units} <small>(${(units * fontSize / unitsPerEm).toFixed(1)}px)</small>`;
+        
+        info.innerHTML = `
+            <span class="glyph-info-char" style="font-family: ${this.escapeHTML(font.cssFamily)}">${this.escapeHTML(String.fromCodePoint(codepoint))}</span>
+            <dl class="inspector-details">
+                <dt>Name</dt><dd>${this.escapeHTML(name)}</dd>
+                <dt>Codepoint</dt><dd>${this.formatCodepoint(codepoint)}</dd>
+                <dt>Glyph ID</dt><dd>${glyphId}</dd>
+                <dt>Advance width</dt><dd>${metrics ? describe(metrics.advanceWidth) : 'n/a'}</dd>
+                <dt>Left side bearing</dt><dd>${metrics ? describe(metrics.lsb) : 'n/a'}</dd>
+                <dt>Right side bearing</dt><dd>${metrics ? describe(metrics.rsb) : 'n/a'}</dd>
+            </dl>
+        `;
+    }
+    
+    insertCharacter(char) {
+        const input = this.textInput;
+        const start = input.selectionStart ?? input.value.length;
+        const end = input.selectionEnd ?? start;
+        
+        input.value = input.value.slice(0, start) + char + input.value.slice(end);
+        input.selectionStart = input.selectionEnd = start + char.length;
+        this.updateRendering();
+    }
+    
+    escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+    
+    loadSampleText(sampleType) {
+        if (this.sampleTexts[sampleType]) {
+            this.textInput.value = this.sampleTexts[sampleType];
+            this.applyWritingSettings(this.sampleTextSettings[sampleType] || this.defaultSampleTextSettings);
+            this.pendingHistoryLabel = 'Sample text';
+            this.updateRendering();
+            
+            // Scroll to rendering area on mobile
+            if (window.innerWidth <= this.breakpoints.tablet) {
+                document.querySelector('.rendering-area').scrollIntoView({ 
+                    behavior: 'smooth',
+                    block: 'start'
+                });
+            }
+        }
+    }
+    
+    buildBuiltInPresets() {
+        const browserDefaults = [['kern', 1], ['liga', 1], ['clig', 1], ['calt', 1], ['locl', 1]];
+        
+        return [
+            {
+                id: 'builtin-body-copy',
+                name: 'Body Copy',
+                typography: { fontFamily: 'Georgia', fontSize: '18', fontWeight: '400', letterSpacing: '0', lineHeight: '1.6', wordSpacing: '0', alignment: 'left', features: [...browserDefaults, ['onum', 1], ['pnum', 1]] },
+                hyphenation: true,
+                layoutOptimization: true,
+                text: 'Good body copy disappears. Around 65 characters per line, generous leading and oldstyle figures such as 1984 or 2025 let the reader forget the type and follow the argument from one paragraph to the next.'
+            },
+            {
+                id: 'builtin-interface',
+                name: 'Interface',
+                typography: { fontFamily: 'sans-serif', fontSize: '14', fontWeight: '500', letterSpacing: '0.1', lineHeight: '1.4', wordSpacing: '0', alignment: 'left', features: browserDefaults },
+                hyphenation: false,
+                layoutOptimization: false,
+                text: 'Sign in to continue\nEmail address\nRemember this device for 30 days\nSave changes · Cancel\n3 unread messages · Updated 2 minutes ago'
+            },
+            {
+                id: 'builtin-display',
+                name: 'Display Headline',
+                typography: { fontFamily: 'Palatino', fontSize: '56', fontWeight: '700', letterSpacing: '-1', lineHeight: '1.1', wordSpacing: '0', alignment: 'left', features: [...browserDefaults, ['dlig', 1]] },
+                hyphenation: false,
+                layoutOptimization: true,
+                text: 'The Shape of Words'
+            },
+            {
+                id: 'builtin-data-table',
+                name: 'Data Table',
+                typography: { fontFamily: 'sans-serif', fontSize: '14', fontWeight: '400', letterSpacing: '0', lineHeight: '1.5', wordSpacing: '0', alignment: 'right', features: [...browserDefaults, ['lnum', 1], ['tnum', 1], ['zero', 1]] },
+                hyphenation: false,
+                layoutOptimization: false,
+                text: 'Q1 revenue 1,204,518.00\nQ2 revenue 987,310.45\nQ3 revenue 1,117,207.50\nQ4 revenue 1,410,880.09\nYear total 4,719,916.04'
+            }
+        ];
+    }
+    
+    loadSavedPresets() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.presetStorageKey) || '[]');
+            return Array.isArray(saved) ? saved.filter(preset => this.isValidPreset(preset)) : [];
+        } catch (err) {
+            console.warn('Could not read saved presets:', err);
+            return [];
+        }
+    }
+    
+    storeSavedPresets() {
+        try {
+            localStorage.setItem(this.presetStorageKey, JSON.stringify(this.savedPresets));
+        } catch (err) {
+            console.warn('Could not save presets:', err);
+        }
+    }
+    
+    isValidPreset(preset) {
+        return Boolean(preset) && typeof preset === 'object' &&
+            typeof preset.name === 'string' && preset.name.trim() !== '' &&
+            Boolean(preset.typography) && typeof preset.typography === 'object';
+    }
+    
+    getPresets() {
+        return [...this.builtInPresets, ...this.savedPresets];
+    }
+    
+    savePreset() {
+        const nameInput = document.getElementById('presetName');
+        const name = nameInput?.value.trim();
+        if (!name) {
+            this.showNotification('Give the preset a name first.', 'warning');
+            nameInput?.focus();
+            return;
+        }
+        
+        const preset = {
+            id: `preset-${Date.now()}`,
+            name,
+            typography: this.serializeTypographyState(this.getTypographyState()),
+            hyphenation: this.hyphenation,
+            layoutOptimization: this.layoutOptimization
+        };
+        if (document.getElementById('presetIncludeText')?.checked) {
+            preset.text = this.textInput.value;
+        }
+        
+        // Saving under an existing name updates that preset
+        const existing = this.savedPresets.findIndex(saved => saved.name === name);
+        if (existing === -1) {
+            this.savedPresets.push(preset);
+        } else {
+            this.savedPresets[existing] = { ...preset, id: this.savedPresets[existing].id };
+        }
+        
+        this.storeSavedPresets();
+        this.renderPresetLibrary();
+        if (nameInput) nameInput.value = '';
+        this.showNotification(existing === -1 ? `Saved preset "${name}"` : `Updated preset "${name}"`);
+    }
+    
+    deletePreset(id) {
+        const preset = this.savedPresets.find(saved => saved.id === id);
+        if (!preset) return;
+        
+        this.savedPresets = this.savedPresets.filter(saved => saved !== preset);
+        this.storeSavedPresets();
+        this.renderPresetLibrary();
+        this.showNotification(`Deleted preset "${preset.name}"`, 'info');
+    }
+    
+    applyPreset(id) {
+        const preset = this.getPresets().find(candidate => candidate.id === id);
+        if (!preset) return;
+        
+        // Presets fill in from the page defaults, like saved sessions
+        const missingFonts = new Set();
+        const base = this.normaliseTypographyState(this.defaultSession.typography, this.getTypographyState());
+        this.applyTypographyState(this.restoreTypographyState(preset.typography, base, missingFonts));
+        
+        [['hyphenation', 'hyphenation'], ['layoutOptimization', 'optimizeLayout']].forEach(([key, inputId]) => {
+            if (typeof preset[key] !== 'boolean') return;
+            this[key] = preset[key];
+            const input = document.getElementById(inputId);
+            if (input) input.checked = preset[key];
+        });
+        if (typeof preset.text === 'string') {
+            this.textInput.value = preset.text;
+        }
+        
+        // A preset's sizes are fixed, so fluid typography would hide them
+        const fluidInput = document.getElementById('fluidEnabled');
+        if (fluidInput) fluidInput.checked = false;
+        
+        this.updateOpticalSizeControl();
+        this.pendingHistoryLabel = `Preset: ${preset.name}`;
+        this.updateRendering();
+        this.notifyMissingFonts(missingFonts);
+        this.announce(`Loaded preset ${preset.name}`);
+    }
+    
+    renderPresetLibrary() {
+        const grid = document.getElementById('presetGrid');
+        if (!grid) return;
+        
+        const presets = this.getPresets();
+        grid.innerHTML = presets.map(preset => {
+            const name = this.escapeHTML(preset.name);
+            const builtIn = this.builtInPresets.includes(preset);
+            return `
+                <div class="preset-card${builtIn ? ' built-in' : ''}" data-preset="${this.escapeHTML(preset.id)}">
+                    <button type="button" class="preset-apply" data-preset-action="apply" aria-label="Load preset ${name}">
+                        <span class="preset-thumbnail"><span class="preset-thumbnail-text"></span></span>
+                        <span class="preset-name">${name}</span>
+                        <span class="preset-meta"></span>
+                    </button>
+                    ${builtIn ? '' : `<button type="button" class="preset-delete" data-preset-action="delete" aria-label="Delete preset ${name}">×</button>`}
+                </div>
+            `;
+        }).join('');
+        
+        // Thumbnails are live text set in each preset's own styles, shown at half size
+        const base = this.normaliseTypographyState(this.defaultSession.typography, this.getTypographyState());
+        grid.querySelectorAll('.preset-card').forEach((card, index) => {
+            const preset = presets[index];
+            const state = this.normaliseTypographyState(preset.typography, base);
+            const thumbnail = card.querySelector('.preset-thumbnail-text');
+            
+            this.applyBasicStyling(state, thumbnail, state.alignment);
+            thumbnail.style.fontFeatureSettings = this.buildFeatureSettings(state.features) || 'normal';
+            thumbnail.style.hyphens = preset.hyphenation ? 'auto' : 'manual';
+            thumbnail.textContent = preset.text || this.sampleTexts.pangram;
+            
+            card.querySelector('.preset-meta').textContent = `${this.getFontLabel(state.fontFamily)} · ${state.fontSize}px · ${state.fontWeight}`;
+        });
+    }
+    
+    exportPresets() {
+        if (this.savedPresets.length === 0) {
+            this.showNotification('Save a preset first; built-in presets are always available.', 'warning');
+            return;
+        }
+        
+        const file = {
+            format: 'font-rendering-presets',
+            version: this.sessionVersion,
+            presets: this.savedPresets
+        };
+        this.downloadFile('font-presets.json', `${JSON.stringify(file, null, 4)}\n`, 'application/json');
+        this.showNotification(`Exported ${this.savedPresets.length} preset${this.savedPresets.length === 1 ? '' : 's'}`);
+    }
+    
+    importPresets(file) {
+        return file.text().then(text => {
+            const data = JSON.parse(text);
+            const presets = (Array.isArray(data) ? data : data?.presets || []).filter(preset => this.isValidPreset(preset));
+            if (presets.length === 0) {
+                throw new Error('No presets in file');
+            }
+            
+            // Imported presets replace saved ones with the same name
+            presets.forEach((preset, index) => {
+                const imported = { ...preset, id: `preset-${Date.now()}-${index}`, name: preset.name.trim() };
+                const existing = this.savedPresets.findIndex(saved => saved.name === imported.name);
+                if (existing === -1) {
+                    this.savedPresets.push(imported);
+                } else {
+                    this.savedPresets[existing] = imported;
+                }
+            });
+            
+            this.storeSavedPresets();
+            this.renderPresetLibrary();
+            this.showNotification(`Imported ${presets.length} preset${presets.length === 1 ? '' : 's'}`);
+        }).catch(err => {
+            console.error('Preset import failed:', err);
+            this.showNotification(`${file.name} is not a presets file.`, 'error');
+        });
+    }
+    
+    updateRendering() {
+        this.renderStartTime = performance.now();
+        
+        const text = this.textInput.value || "Type your text here to see advanced font rendering...";
+        
+        // Get all control values, with fluid sizes resolved at the simulated viewport
+        this.updateFluidPreview();
+        const controls = this.resolveFluidState(this.getControlValues());
+        
+        // Apply basic styling with CSS custom properties for better performance
+        this.applyBasicStyling(controls);
+        
+        // Apply OpenType features
+        this.applyOpenTypeFeatures();
+        
+        // Apply advanced layout optimizations
+        this.applyLayoutOptimizations(text);
+        
+        // Apply the colors and check their contrast at the current size and weight
+        this.applyPreviewColors();
+        this.renderContrastReport(controls);
+        
+        // Update text content, marking characters that fall back to another font
+        this.missingGlyphs = this.renderTextContent(this.hyphenateText(text));
+        
+        // Preview the modular scale built on the current size
+        this.renderTypeScale(text, controls);
+        
+        // Only the view on screen is rebuilt
+        if (this.currentView === 'waterfall') this.renderWaterfall(text, controls);
+        if (this.currentView === 'specimen') this.renderSpecimen(text, controls);
+        
+        // Render the other comparison panes from their own settings
+        if (this.comparisonPanes.length > 0) {
+            this.storeActivePane();
+            this.renderComparisonPanes(text);
+        }
+        
+        // Update metrics
+        this.updateMetrics(text);
+        
+        // Calculate and display performance
+        this.updatePerformanceMetrics();
+        
+        this.recordHistory();
+        this.scheduleSessionSave();
+    }
+    
+    getControlValues() {
+        return {
+            fontFamily: document.getElementById('fontSelect')?.value || 'serif',
+            fontSize: document.getElementById('fontSize')?.value || '18',
+            fontWeight: document.getElementById('fontWeight')?.value || '400',
+            letterSpacing: document.getElementById('letterSpacing')?.value || '0',
+            lineHeight: document.getElementById('lineHeight')?.value || '1.4',
+            wordSpacing: document.getElementById('wordSpacing')?.value || '0',
+            variations: this.getVariationValues()
+        };
+    }
+    
+    getFluidSettings() {
+        const number = (id, fallback) => {
+            const value = parseFloat(document.getElementById(id)?.value);
+            return Number.isFinite(value) ? value : fallback;
+        };
+        const minViewport = number('fluidMinViewport', 320);
+        const maxViewport = number('fluidMaxViewport', 1280);
+        
+        return {
+            enabled: Boolean(document.getElementById('fluidEnabled')?.checked) && maxViewport > minViewport,
+            minViewport,
+            maxViewport,
+            viewport: number('simulatedViewport', maxViewport),
+            fontSize: [number('fluidMinFontSize', 16), number('fluidMaxFontSize', 18)],
+            lineHeight: [number('fluidMinLineHeight', 1.4), number('fluidMaxLineHeight', 1.4)],
+            letterSpacing: [number('fluidMinLetterSpacing', 0), number('fluidMaxLetterSpacing', 0)]
+        };
+    }
+    
+    seedFluidSettings() {
+        // The current settings become the large-screen end; small screens start a step smaller
+        const controls = this.getControlValues();
+        const fontSize = parseFloat(controls.fontSize);
+        const values = {
+            fluidMinFontSize: Math.max(12, Math.round(fontSize * 0.85 * 2) / 2),
+            fluidMaxFontSize: fontSize,
+            fluidMinLineHeight: controls.lineHeight,
+            fluidMaxLineHeight: controls.lineHeight,
+            fluidMinLetterSpacing: controls.letterSpacing,
+            fluidMaxLetterSpacing: controls.letterSpacing
+        };
+        
+        Object.entries(values).forEach(([id, value]) => {
+            const input = document.getElementById(id);
+            if (input) input.value = value;
+        });
+    }
+    
+    getFluidRanges(fluid) {
+        // Line height is interpolated as a length, since vw can't scale a unitless ratio
+        return {
+            fontSize: fluid.fontSize,
+            lineHeight: fluid.lineHeight.map((ratio, i) => ratio * fluid.fontSize[i]),
+            letterSpacing: fluid.letterSpacing
+        };
+    }
+    
+    interpolateFluidValue([min, max], fluid, viewport) {
+        const progress = (viewport - fluid.minViewport) / (fluid.maxViewport - fluid.minViewport);
+        const value = min + (max - min) * Math.min(1, Math.max(0, progress));
+        return Math.round(value * 100) / 100;
+    }
+    
+    resolveFluidState(state, fluid = this.getFluidSettings()) {
+        if (!fluid.enabled) return state;
+        
+        const ranges = this.getFluidRanges(fluid);
+        const fontSize = this.interpolateFluidValue(ranges.fontSize, fluid, fluid.viewport);
+        const lineHeight = this.interpolateFluidValue(ranges.lineHeight, fluid, fluid.viewport);
+        
+        return {
+            ...state,
+            fontSize: String(fontSize),
+            lineHeight: String(Math.round(lineHeight / fontSize * 1000) / 1000),
+            letterSpacing: String(this.interpolateFluidValue(ranges.letterSpacing, fluid, fluid.viewport))
+        };
+    }
+    
+    formatFluidClamp([min, max], fluid) {
+        // Linear between the two viewports, held at the end values outside them
+        const round = value => Math.round(value * 10000) / 10000;
+        if (min === max) return `${round(min)}px`;
+        
+        const slope = (max - min) / (fluid.maxViewport - fluid.minViewport);
+        const intercept = min - slope * fluid.minViewport;
+        const vw = round(slope * 100);
+        const preferred = intercept === 0
+            ? `${vw}vw`
+            : `${round(intercept)}px ${vw < 0 ? '-' : '+'} ${Math.abs(vw)}vw`;
+        
+        return `clamp(${round(Math.min(min, max))}px, ${preferred}, ${round(Math.max(min, max))}px)`;
+    }
+    
+    updateFluidPreview() {
+        const fluid = this.getFluidSettings();
+        const requested = Boolean(document.getElementById('fluidEnabled')?.checked);
+        
+        const settings = document.getElementById('fluidSettings');
+        if (settings) settings.hidden = !requested;
+        
+        // The fluid values replace these sliders until fluid typography is switched off
+        ['fontSize', 'lineHeight', 'letterSpacing'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.disabled = fluid.enabled;
+        });
+        
+        // Panes keep their own values, but the fluid ones are what they render with
+        const paneNote = document.getElementById('paneFluidNote');
+        if (paneNote) paneNote.hidden = !fluid.enabled || this.comparisonPanes.length === 0;
+        
+        const canvas = document.getElementById('renderingCanvas');
+        if (canvas) {
+            canvas.classList.toggle('viewport-simulated', fluid.enabled);
+            canvas.style.maxWidth = fluid.enabled ? `${fluid.viewport}px` : '';
+        }
+        
+        const readout = document.getElementById('fluidReadout');
+        if (readout) {
+            if (!requested) {
+                readout.textContent = '';
+            } else if (!fluid.enabled) {
+                readout.textContent = 'The maximum viewport must be wider than the minimum.';
+            } else {
+                const resolved = this.resolveFluidState(this.getControlValues(), fluid);
+                const lineHeight = Math.round(resolved.fontSize * resolved.lineHeight * 10) / 10;
+                readout.textContent = `At ${fluid.viewport}px: ${resolved.fontSize}px text, ${lineHeight}px line height, ${resolved.letterSpacing}px letter spacing`;
+            }
+        }
+    }
+    
+    buildTypeScaleSteps() {
+        // Steps are powers of the ratio; body sits at the base size
+        return [
+            { id: 'h1', label: 'H1', selector: 'h1', step: 5 },
+            { id: 'h2', label: 'H2', selector: 'h2', step: 4 },
+            { id: 'h3', label: 'H3', selector: 'h3', step: 3 },
+            { id: 'h4', label: 'H4', selector: 'h4', step: 2 },
+            { id: 'h5', label: 'H5', selector: 'h5', step: 1 },
+            { id: 'h6', label: 'H6', selector: 'h6', step: 0 },
+            { id: 'body', label: 'Body', selector: null, step: 0 },
+            { id: 'small', label: 'Small', selector: 'small', step: -1 },
+            { id: 'caption', label: 'Caption', selector: 'figcaption', step: -2 }
+        ];
+    }
+    
+    getTypeScaleSettings() {
+        const select = document.getElementById('typeScaleRatio');
+        const custom = parseFloat(document.getElementById('typeScaleCustomRatio')?.value);
+        const isCustom = select?.value === 'custom';
+        const ratio = isCustom
+            ? (custom > 1 && custom <= 3 ? custom : 1.25)
+            : parseFloat(select?.value) || 1.333;
+        
+        return {
+            enabled: Boolean(document.getElementById('typeScaleEnabled')?.checked),
+            ratio,
+            name: isCustom ? `Custom (${ratio})` : select?.selectedOptions[0]?.textContent || String(ratio)
+        };
+    }
+    
+    getTypeScale(state, ratio) {
+        const base = parseFloat(state.fontSize);
+        const lineHeight = parseFloat(state.lineHeight);
+        const letterSpacing = parseFloat(state.letterSpacing);
+        const round = value => Math.round(value * 100) / 100;
+        // Tracking curve in em after Inter's dynamic metrics, applied relative to the base size
+        const tracking = size => -0.0223 + 0.185 * Math.exp(-0.1745 * size);
+        
+        return this.typeScaleSteps.map(step => {
+            const fontSize = base * Math.pow(ratio, step.step);
+            return {
+                ...step,
+                fontSize: round(fontSize),
+                // Large sizes need less leading and small ones a little more
+                lineHeight: round(1 + (lineHeight - 1) * Math.sqrt(base / fontSize)),
+                letterSpacing: round(letterSpacing + (tracking(fontSize) - tracking(base)) * fontSize)
+            };
+        });
+    }
+    
+    renderTypeScale(text, controls) {
+        const settings = this.getTypeScaleSettings();
+        const panel = document.getElementById('typeScaleSettings');
+        const custom = document.getElementById('typeScaleCustom');
+        const preview = document.getElementById('typeScalePreview');
+        if (panel) panel.hidden = !settings.enabled;
+        if (custom) custom.hidden = document.getElementById('typeScaleRatio')?.value !== 'custom';
+        if (!preview) return;
+        
+        preview.hidden = !settings.enabled || this.currentView !== 'preview';
+        if (preview.hidden) {
+            preview.innerHTML = '';
+            return;
+        }
+        
+        const sample = text.split('\n').find(line => line.trim()) || text;
+        const features = this.buildFeatureSettings(this.activeFeatures) || 'normal';
+        const steps = this.getTypeScale(controls, settings.ratio);
+        
+        preview.innerHTML = `
+            <p class="type-scale-heading">${this.escapeHTML(settings.name)} scale from ${controls.fontSize}px</p>
+            ${steps.map(step => `
+                <div class="type-scale-row">
+                    <div class="type-scale-meta">
+                        <span class="type-scale-name">${step.label}</span>
+                        <span class="type-scale-values">${step.fontSize}px · ${step.lineHeight} · ${step.letterSpacing}px</span>
+                    </div>
+                    <div class="type-scale-sample" data-step="${step.id}">${this.escapeHTML(sample)}</div>
+                </div>
+            `).join('')}
+        `;
+        
+        steps.forEach(step => {
+            const element = preview.querySelector(`[data-step="${step.id}"]`);
+            this.applyBasicStyling({ ...controls, fontSize: step.fontSize, lineHeight: step.lineHeight, letterSpacing: step.letterSpacing }, element, 'left');
+            element.style.fontFeatureSettings = features;
+        });
+    }
+    
+    getRhythmSettings() {
+        return {
+            enabled: Boolean(document.getElementById('rhythmEnabled')?.checked),
+            grid: parseInt(document.getElementById('baselineGrid')?.value) || 8
+        };
+    }
+    
+    getGridFit(fontSize, lineHeight, grid) {
+        // Line heights are kept to three decimals, so anything within 0.05px counts as on the grid
+        const input = document.getElementById('lineHeight');
+        const min = parseFloat(input?.min) || 1;
+        const max = parseFloat(input?.max) || 3;
+        const pitch = fontSize * lineHeight;
+        const nearest = Math.round(pitch / grid) * grid;
+        
+        // The closest multiple of the grid that the line height slider can reach
+        const lowest = Math.ceil(fontSize * min / grid) * grid;
+        const highest = Math.floor(fontSize * max / grid) * grid;
+        const snapped = lowest <= highest ? Math.min(highest, Math.max(lowest, nearest)) : null;
+        
+        return {
+            pitch: Math.round(pitch * 10) / 10,
+            offset: Math.round((pitch - nearest) * 100) / 100,
+            onGrid: Math.abs(pitch - nearest) < 0.05,
+            snapped,
+            lineHeight: snapped === null ? null : Math.round(snapped / fontSize * 1000) / 1000
+        };
+    }
+    
+    snapLineHeightToGrid() {
+        const { grid } = this.getRhythmSettings();
+        const fluid = this.getFluidSettings();
+        
+        // Fluid typography snaps both ends; sizes in between follow the interpolation
+        if (fluid.enabled) {
+            const fits = fluid.fontSize.map((fontSize, i) => this.getGridFit(fontSize, fluid.lineHeight[i], grid));
+            if (fits.some(fit => fit.snapped === null)) return;
+            this.applyFluidSettings({ ...fluid, lineHeight: fits.map(fit => fit.lineHeight) });
+            this.pendingHistoryLabel = `Snap line height to ${fits.map(fit => fit.snapped).join('–')}px`;
+            this.updateRendering();
+            return;
+        }
+        
+        const controls = this.getControlValues();
+        const fit = this.getGridFit(parseFloat(controls.fontSize), parseFloat(controls.lineHeight), grid);
+        if (fit.snapped === null) return;
+        
+        this.setControlValue('lineHeight', fit.lineHeight);
+        const display = document.getElementById('lineHeightValue');
+        if (display) display.textContent = document.getElementById('lineHeight')?.value;
+        this.pendingHistoryLabel = `Snap line height to ${fit.snapped}px`;
+        this.updateRendering();
+    }
+    
+    renderRhythmStatus(state) {
+        const status = document.getElementById('rhythmStatus');
+        const button = document.getElementById('snapLineHeight');
+        const { grid } = this.getRhythmSettings();
+        const fluid = this.getFluidSettings();
+        const fontSize = parseFloat(state.fontSize);
+        const lineHeight = parseFloat(state.lineHeight);
+        const fit = this.getGridFit(fontSize, lineHeight, grid);
+        
+        // Under fluid typography the ends are what gets snapped
+        const fits = fluid.enabled ? fluid.fontSize.map((size, i) => this.getGridFit(size, fluid.lineHeight[i], grid)) : [fit];
+        if (button) button.disabled = fits.every(end => end.onGrid || end.snapped === null);
+        if (!status) return;
+        
+        const at = fluid.enabled ? `At ${fluid.viewport}px, ` : '';
+        const sum = `${fontSize}px × ${lineHeight} = ${fit.pitch}px`;
+        status.classList.toggle('off-grid', !fit.onGrid);
+        if (fit.onGrid) {
+            status.textContent = `${at}${sum}: ${Math.round(fit.pitch / grid)} × ${grid}px, on the grid.`;
+        } else {
+            const snap = fit.snapped === null ? '' : ` The nearest on-grid line height is ${fit.snapped}px (${fit.lineHeight}).`;
+            status.textContent = `⚠️ ${at}${sum} is ${Math.abs(fit.offset)}px off the ${grid}px grid.${snap}`;
+        }
+        if (fluid.enabled && fits.some(end => !end.onGrid)) {
+            status.textContent += ` Snapping fits the line height at ${fluid.fontSize.join('px and ')}px to the grid.`;
+        }
+    }
+    
+    getAscentRatio(state) {
+        // Share of a glyph box above the baseline, from the same ascent and descent the browser lays out with
+        const ctx = this.getMeasureContext();
+        if (ctx) {
+            ctx.font = `${state.fontWeight} 100px ${state.fontFamily}`;
+            const measured = ctx.measureText('x');
+            if (measured.fontBoundingBoxAscent) {
+                return measured.fontBoundingBoxAscent / (measured.fontBoundingBoxAscent + measured.fontBoundingBoxDescent);
+            }
+        }
+        
+        const metrics = this.getVerticalMetrics(state);
+        return metrics.ascender / (metrics.ascender + metrics.descender);
+    }
+    
+    renderRhythmOverlay(lineBoxes, state) {
+        this.renderRhythmStatus(state);
+        
+        const overlay = document.getElementById('rhythmOverlay');
+        const canvas = document.getElementById('renderingCanvas');
+        if (!overlay || !canvas) return;
+        
+        // Vertical columns have no baselines to stack, and nothing is measured without layout
+        const settings = this.getRhythmSettings();
+        const element = this.renderedText;
+        overlay.hidden = !settings.enabled || lineBoxes.length === 0 || this.isVerticalWritingMode(this.getWritingMode(element));
+        if (overlay.hidden) {
+            overlay.innerHTML = '';
+            return;
+        }
+        
+        // Cover the text's content box, in the canvas's scrolling coordinates
+        const canvasRect = canvas.getBoundingClientRect();
+        const rect = element.getBoundingClientRect();
+        const style = getComputedStyle(element);
+        const padding = side => parseFloat(style[`padding${side}`]) || 0;
+        const contentLeft = rect.left + element.clientLeft + padding('Left');
+        const contentTop = rect.top + element.clientTop + padding('Top');
+        overlay.style.left = `${contentLeft - canvasRect.left - canvas.clientLeft + canvas.scrollLeft}px`;
+        overlay.style.top = `${contentTop - canvasRect.top - canvas.clientTop + canvas.scrollTop}px`;
+        overlay.style.width = `${element.clientWidth - padding('Left') - padding('Right')}px`;
+        overlay.style.height = `${element.clientHeight - padding('Top') - padding('Bottom')}px`;
+        
+        const fontSize = parseFloat(state.fontSize);
+        const metrics = this.getVerticalMetrics(state);
+        const ascent = this.getAscentRatio(state);
+        const baselines = lineBoxes.map(line => line.top + (line.bottom - line.top) * ascent - contentTop);
+        
+        // The grid runs through the first baseline; later baselines drift off it when the leading is off-grid
+        const grid = settings.grid;
+        const onGrid = baseline => {
+            const distance = ((baseline - baselines[0]) % grid + grid) % grid;
+            return Math.min(distance, grid - distance) < 0.5;
+        };
+        overlay.style.setProperty('--rhythm-grid', `${grid}px`);
+        overlay.style.backgroundPosition = `0 ${(baselines[0] % grid + grid) % grid}px`;
+        
+        const guide = (name, y) => `<div class="rhythm-line ${name}" style="top: ${Math.round(y * 100) / 100}px"></div>`;
+        overlay.innerHTML = baselines.map(baseline => [
+            guide('ascender', baseline - metrics.ascender * fontSize),
+            guide('cap-height', baseline - metrics.capHeight * fontSize),
+            guide('x-height', baseline - metrics.xHeight * fontSize),
+            guide(`baseline${onGrid(baseline) ? '' : ' off-grid'}`, baseline),
+            guide('descender', baseline + metrics.descender * fontSize)
+        ].join('')).join('');
+    }
+    
+    buildSpecimenFeatureSamples() {
+        // Text that shows each feature off, where the font supports it
+        const samples = {
+            liga: 'fi fl ffi ffl ff',
+            dlig: 'ct st sp Th',
+            kern: 'AV To Wa Yo LT',
+            calt: 'Hello Goodbye',
+            smcp: 'Small Capitals',
+            c2sc: 'FULL CAPITALS',
+            case: '(H) [A-Z] {X} «O» ¿Q?',
+            lnum: 'Rates 1234567890',
+            onum: 'Rates 1234567890',
+            tnum: '1111 8888 0101',
+            zero: '0 O 100 OO',
+            frac: '1/2 3/4 5/8 7/16',
+            ordn: '1a 2o 3rd No',
+            sups: 'E=mc2 x2',
+            sinf: 'H2O CO2',
+            salt: 'agy Gaq',
+            swsh: 'Quest ReAl',
+            hist: 'suffice ss'
+        };
+        for (let i = 1; i <= 20; i++) {
+            samples[`ss${String(i).padStart(2, '0')}`] = 'Hamburgefonstiv agy 1234';
+        }
+        return samples;
+    }
+    
+    setView(view) {
+        this.currentView = ['waterfall', 'specimen'].includes(view) ? view : 'preview';
+        document.body.dataset.view = this.currentView;
+        
+        document.querySelectorAll('.view-btn').forEach(btn => {
+            const active = btn.dataset.view === this.currentView;
+            btn.classList.toggle('active', active);
+            btn.setAttribute('aria-pressed', active);
+        });
+        
+        const isPreview = this.currentView === 'preview';
+        const canvas = document.getElementById('renderingCanvas');
+        const toolbar = document.querySelector('.comparison-toolbar');
+        const waterfall = document.getElementById('waterfallView');
+        const specimen = document.getElementById('specimenView');
+        if (canvas) canvas.hidden = !isPreview;
+        if (toolbar) toolbar.hidden = !isPreview;
+        if (waterfall) waterfall.hidden = this.currentView !== 'waterfall';
+        if (specimen) specimen.hidden = this.currentView !== 'specimen';
+    }
+    
+    showPreviewForExport() {
+        // Exports measure the live preview, which needs to be laid out; the returned
+        // function switches back to the view that was showing once the export is measured
+        const previous = this.currentView;
+        if (previous === 'preview') return () => {};
+        
+        this.setView('preview');
+        this.updateRendering();
+        return () => {
+            // Unless the user has already picked another view while an export was running
+            if (this.currentView !== 'preview') return;
+            this.setView(previous);
+            this.updateRendering();
+        };
+    }
+    
+    styleSpecimenElements(container, styles, controls) {
+        // Samples are tagged with an index into styles; everything else follows the controls
+        container.querySelectorAll('[data-sample-style]').forEach(element => {
+            const style = styles[parseInt(element.dataset.sampleStyle)];
+            this.applyBasicStyling({ ...controls, ...style }, element, style.alignment || 'left');
+            element.style.fontFeatureSettings = style.features || this.buildFeatureSettings(this.activeFeatures) || 'normal';
+        });
+    }
+    
+    renderWaterfall(text, controls) {
+        const container = document.getElementById('waterfallView');
+        if (!container) return;
+        
+        const sample = text.split('\n').find(line => line.trim()) || text;
+        const styles = this.waterfallSizes.map(size => ({ fontSize: size, lineHeight: 1.2 }));
+        
+        container.innerHTML = `
+            <p class="view-heading">${this.escapeHTML(this.getFontLabel(controls.fontFamily))} · ${controls.fontWeight}</p>
+            ${this.waterfallSizes.map((size, index) => `
+                <div class="waterfall-row">
+                    <span class="waterfall-size">${size}px</span>
+                    <div class="waterfall-line" data-sample-style="${index}">${this.escapeHTML(sample)}</div>
+                </div>
+            `).join('')}
+        `;
+        this.styleSpecimenElements(container, styles, controls);
+    }
+    
+    getSpecimenWeights(controls) {
+        const font = this.loadedFonts.get(controls.fontFamily);
+        const weightAxis = font?.axes?.find(axis => axis.tag === 'wght');
+        const options = Array.from(document.getElementById('fontWeight')?.options || [])
+            .map(option => ({ label: option.textContent, weight: parseInt(option.value) }));
+        
+        // A variable font covers its wght range; a single static file has just its own weight
+        if (weightAxis) {
+            return options
+                .filter(option => option.weight >= weightAxis.min && option.weight <= weightAxis.max)
+                .map(option => ({ ...option, variations: { ...controls.variations, wght: option.weight } }));
+        }
+        if (font) {
+            const weight = font.info?.weightClass || 400;
+            const match = options.find(option => option.weight === weight);
+            return [{ label: match ? match.label : `Weight ${weight}`, weight }];
+        }
+        return options;
+    }
+    
+    renderSpecimen(text, controls) {
+        const container = document.getElementById('specimenView');
+        if (!container) return;
+        
+        const font = this.loadedFonts.get(controls.fontFamily) || null;
+        const info = font?.info;
+        const styles = [];
+        // Each sample gets a style entry and points at it by index
+        const sample = (content, style, className = 'specimen-sample') => {
+            styles.push(style);
+            return `<div class="${className}" data-sample-style="${styles.length - 1}">${this.escapeHTML(content)}</div>`;
+        };
+        const display = { fontSize: 40, lineHeight: 1.25 };
+        
+        const meta = [
+            info?.designer,
+            info?.manufacturer,
+            info?.version,
+            info?.numGlyphs ? `${info.numGlyphs} glyphs` : ''
+        ].filter(Boolean);
+        
+        const weights = this.getSpecimenWeights(controls).map(weight => `
+            <div class="specimen-row">
+                <span class="specimen-label">${this.escapeHTML(weight.label)}</span>
+                ${sample('Hamburgefonstiv 1234', { fontSize: 28, lineHeight: 1.25, fontWeight: weight.weight, ...(weight.variations && { variations: weight.variations }) })}
+            </div>
+        `).join('');
+        
+        const features = Object.entries(this.specimenFeatureSamples)
+            // Stylistic sets differ in every font, so they only show when the font is known to have them
+            .filter(([tag]) => this.featureRegistry.has(tag) && this.isFeatureSupported(tag, font) && (font?.featureTags || !tag.startsWith('ss')))
+            .map(([tag, content]) => {
+                const off = new Map(this.activeFeatures);
+                const on = new Map(this.activeFeatures);
+                // Explicitly off, since browsers apply some features such as kern unasked
+                off.set(tag, 0);
+                on.set(tag, 1);
+                const style = features => ({ fontSize: 24, lineHeight: 1.3, features: this.buildFeatureSettings(features) || 'normal' });
+                return `
+                    <div class="specimen-row">
+                        <span class="specimen-label">${this.escapeHTML(this.featureRegistry.get(tag).name)} <code>${tag}</code></span>
+                        <div class="specimen-feature">
+                            ${sample(content, style(off))}
+                            <span class="specimen-arrow" aria-hidden="true">→</span>
+                            ${sample(content, style(on))}
+                        </div>
+                    </div>
+                `;
+            }).join('');
+        
+        container.innerHTML = `
+            <header class="specimen-header">
+                ${sample(info?.fullName || font?.family || this.getFontLabel(controls.fontFamily), { fontSize: 56, lineHeight: 1.1 }, 'specimen-title')}
+                ${meta.length ? `<p class="specimen-meta">${meta.map(item => this.escapeHTML(item)).join(' · ')}</p>` : ''}
+            </header>
+            <section class="specimen-section">
+                <h4>Alphabet</h4>
+                ${sample('ABCDEFGHIJKLMNOPQRSTUVWXYZ', display)}
+                ${sample('abcdefghijklmnopqrstuvwxyz', display)}
+            </section>
+            <section class="specimen-section">
+                <h4>Figures</h4>
+                ${sample('0123456789 ½ ¼ ¾ % ‰', display)}
+            </section>
+            <section class="specimen-section">
+                <h4>Punctuation &amp; Symbols</h4>
+                ${sample('. , : ; … ! ? ¡ ¿ \' " ‘ ’ “ ” « » ‹ › - – — ( ) [ ] { } / \\ | @ & * # § ¶ † ‡ © ® ™ ° + − × ÷ = ≠ < > ± $ € £ ¥ ¢', { fontSize: 32, lineHeight: 1.4 })}
+            </section>
+            <section class="specimen-section">
+                <h4>Weights</h4>
+                ${weights}
+            </section>
+            ${features ? `
+                <section class="specimen-section">
+                    <h4>OpenType Features</h4>
+                    ${features}
+                </section>
+            ` : ''}
+            <section class="specimen-section">
+                <h4>Paragraph · ${controls.fontSize}px / ${controls.lineHeight}</h4>
+                ${sample(this.hyphenateText(text), { alignment: this.currentAlignment }, 'specimen-paragraph')}
+            </section>
+        `;
+        this.styleSpecimenElements(container, styles, controls);
+    }
+    
+    getTypographyState() {
+        return {
+            ...this.getControlValues(),
+            alignment: this.currentAlignment,
+            features: new Map(this.activeFeatures)
+        };
+    }
+    
+    cloneTypographyState(state) {
+        return { ...state, variations: { ...state.variations }, features: new Map(state.features) };
+    }
+    
+    applyTypographyState(state) {
+        // Push a saved state back into the controls; the caller re-renders
+        const fontSelect = document.getElementById('fontSelect');
+        if (fontSelect) fontSelect.value = state.fontFamily;
+        
+        const fontWeight = document.getElementById('fontWeight');
+        if (fontWeight) fontWeight.value = state.fontWeight;
+        
+        [['fontSize', 'px'], ['letterSpacing', 'px'], ['lineHeight', ''], ['wordSpacing', 'px']].forEach(([id, unit]) => {
+            const input = document.getElementById(id);
+            const display = document.getElementById(`${id}Value`);
+            if (input) input.value = state[id];
+            if (display) display.textContent = state[id] + unit;
+        });
+        
+        this.currentAlignment = state.alignment;
+        document.querySelectorAll('.align-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.align === state.alignment);
+        });
+        
+        this.activeFeatures = new Map(state.features);
+        
+        this.refreshFontPanels();
+        this.setVariationValues(state.variations);
+        this.syncNamedInstance();
+    }
+    
+    setPaneCount(count) {
+        if (count <= 1) {
+            // Back to single view with whatever the active pane holds
+            this.comparisonPanes = [];
+            this.activePane = 0;
+        } else {
+            const current = this.getTypographyState();
+            if (this.comparisonPanes.length === 0) {
+                this.comparisonPanes = [current];
+            }
+            while (this.comparisonPanes.length < count) {
+                this.comparisonPanes.push(this.cloneTypographyState(current));
+            }
+            this.comparisonPanes = this.comparisonPanes.slice(0, count);
+            
+            if (this.activePane >= count) {
+                this.activePane = count - 1;
+                this.applyTypographyState(this.comparisonPanes[this.activePane]);
+            }
+        }
+        
+        const paneLocks = document.getElementById('paneLocks');
+        if (paneLocks) paneLocks.hidden = count <= 1;
+        
+        this.renderComparisonLayout();
+        this.updateRendering();
+    }
+    
+    selectPane(index) {
+        if (index === this.activePane || !this.comparisonPanes[index]) return;
+        
+        this.storeActivePane();
+        this.activePane = index;
+        this.applyTypographyState(this.comparisonPanes[index]);
+        this.renderComparisonLayout();
+        this.updateRendering();
+        this.announce(`Editing pane ${this.getPaneName(index)}`);
+    }
+    
+    storeActivePane() {
+        const state = this.getTypographyState();
+        this.comparisonPanes[this.activePane] = state;
+        
+        // Locked parameters follow the pane being edited; each pane gets its own copy so
+        // nested values such as feature settings are never shared between panes
+        const lockedKeys = [...this.lockedParameters].flatMap(group => this.paneLockGroups[group]);
+        if (lockedKeys.length === 0) return;
+        
+        this.comparisonPanes.forEach((pane, index) => {
+            if (index === this.activePane) return;
+            const copy = this.cloneTypographyState(state);
+            lockedKeys.forEach(key => {
+                pane[key] = copy[key];
+            });
+        });
+    }
+    
+    getPaneName(index) {
+        return String.fromCharCode(65 + index);
+    }
+    
+    getFontLabel(fontFamily) {
+        const option = Array.from(document.getElementById('fontSelect')?.options || [])
+            .find(option => option.value === fontFamily);
+        return option ? option.text : fontFamily;
+    }
+    
+    renderComparisonLayout() {
+        const canvas = document.getElementById('renderingCanvas');
+        const container = document.getElementById('comparisonPanes');
+        if (!canvas || !container) return;
+        
+        if (this.comparisonPanes.length === 0) {
+            container.hidden = true;
+            container.innerHTML = '';
+            canvas.appendChild(this.renderedText);
+            return;
+        }
+        
+        // The active pane hosts the live preview; the others are styled copies
+        canvas.appendChild(this.renderedText);
+        container.hidden = false;
+        container.dataset.panes = this.comparisonPanes.length;
+        container.innerHTML = this.comparisonPanes.map((pane, index) => `
+            <div class="comparison-pane${index === this.activePane ? ' active' : ''}" data-pane="${index}">
+                <button type="button" class="pane-header" aria-pressed="${index === this.activePane}">
+                    <span class="pane-name">${this.getPaneName(index)}</span>
+                    <span class="pane-summary"></span>
+                </button>
+                <div class="pane-body">${index === this.activePane ? '' : '<div class="rendered-text" aria-hidden="true"></div>'}</div>
+            </div>
+        `).join('');
+        
+        container.querySelector('.comparison-pane.active .pane-body').appendChild(this.renderedText);
+        canvas.appendChild(container);
+    }
+    
+    renderComparisonPanes(text) {
+        document.querySelectorAll('.comparison-pane').forEach(paneElement => {
+            const index = parseInt(paneElement.dataset.pane);
+            const state = this.comparisonPanes[index];
+            if (!state) return;
+            
+            const resolved = this.resolveFluidState(state);
+            const summary = paneElement.querySelector('.pane-summary');
+            summary.textContent = `${this.getFontLabel(state.fontFamily)} · ${resolved.fontSize}px · ${state.fontWeight}`;
+            
+            if (index === this.activePane) return;
+            
+            // Start from the live preview so global layout options carry over
+            const element = paneElement.querySelector('.rendered-text');
+            element.style.cssText = this.renderedText.style.cssText;
+            this.applyBasicStyling(resolved, element, state.alignment);
+            element.style.fontFeatureSettings = this.buildFeatureSettings(state.features) || 'normal';
+            this.renderTextContent(this.hyphenateText(text), element, state.fontFamily);
+        });
+    }
+    
+    renderComparisonMetrics(text, readability) {
+        const container = document.getElementById('comparisonMetrics');
+        if (!container) return;
+        
+        container.hidden = this.comparisonPanes.length === 0;
+        if (container.hidden) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        const paneElements = document.querySelectorAll('.comparison-pane');
+        const results = this.comparisonPanes.map((state, index) => {
+            const element = paneElements[index]?.querySelector('.rendered-text') || this.renderedText;
+            const font = this.loadedFonts.get(state.fontFamily) || null;
+            const textMetrics = this.calculateTextMetrics(text, element);
+            const resolved = this.resolveFluidState(state);
+            return {
+                font: this.getFontLabel(state.fontFamily),
+                size: `${resolved.fontSize}px / ${resolved.lineHeight}`,
+                lines: textMetrics.lines,
+                averageLineLength: textMetrics.averageLineLength,
+                layoutScore: this.scoreLayout(text, textMetrics, resolved).score,
+                readingTime: this.estimateReadingTime(readability, textMetrics, resolved).seconds,
+                missingGlyphs: this.findMissingGlyphs(text, state.fontFamily).size,
+                features: Array.from(state.features.keys()).filter(tag => this.isFeatureSupported(tag, font)).length
+            };
+        });
+        
+        const rows = [
+            { key: 'font', label: 'Font' },
+            { key: 'size', label: 'Size / Line Height' },
+            { key: 'lines', label: 'Lines', numeric: true },
+            { key: 'averageLineLength', label: 'Chars / Line', numeric: true },
+            { key: 'layoutScore', label: 'Layout Score', numeric: true, better: 'higher' },
+            { key: 'readingTime', label: 'Reading Time (s)', numeric: true, better: 'lower' },
+            { key: 'missingGlyphs', label: 'Missing Glyphs', numeric: true, better: 'lower' },
+            { key: 'features', label: 'Features', numeric: true }
+        ];
+        
+        // Every pane is compared against pane A
+        const body = rows.map(row => {
+            const baseline = results[0][row.key];
+            const cells = results.map((result, index) => {
+                const value = result[row.key];
+                if (index === 0 || value === baseline) {
+                    return `<td>${this.escapeHTML(String(value))}</td>`;
+                }
+                if (!row.numeric) {
+                    return `<td class="differs">${this.escapeHTML(String(value))}</td>`;
+                }
+                
+                const delta = value - baseline;
+                let verdict = '';
+                if (row.better) {
+                    verdict = (row.better === 'higher') === (delta > 0) ? ' better' : ' worse';
+                }
+                return `<td class="differs">${value} <span class="metric-delta${verdict}">${delta > 0 ? '+' : '−'}${Math.abs(delta)}</span></td>`;
+            }).join('');
+            
+            return `<tr><th scope="row">${row.label}</th>${cells}</tr>`;
+        }).join('');
+        
+        container.innerHTML = `
+            <table class="comparison-table">
+                <thead>
+                    <tr><th></th>${results.map((result, index) => `<th scope="col">${this.getPaneName(index)}</th>`).join('')}</tr>
+                </thead>
+                <tbody>${body}</tbody>
+            </table>
+        `;
+    }
+    
+    applyBasicStyling(controls, element = this.renderedText, alignment = this.currentAlignment) {
+        const style = element.style;
+        style.fontFamily = controls.fontFamily;
+        style.fontSize = controls.fontSize + 'px';
+        style.fontWeight = controls.fontWeight;
+        style.letterSpacing = controls.letterSpacing + 'px';
+        style.lineHeight = controls.lineHeight;
+        style.wordSpacing = controls.wordSpacing + 'px';
+        style.textAlign = alignment;
+        style.fontVariationSettings = this.formatVariationSettings(controls.variations) || 'normal';
+        
+        // Direction goes on the dir attribute, which also isolates the text for the bidi algorithm
+        element.dir = this.direction;
+        
+        // Only the running-text previews turn vertical; waterfall lines, scale steps
+        // and preset thumbnails stay rows so those views keep their shape
+        const vertical = this.isVerticalWritingMode() && element.classList.contains('rendered-text');
+        style.writingMode = vertical ? this.writingMode : '';
+        style.textOrientation = vertical ? this.textOrientation : '';
+        element.classList.toggle('vertical-text', vertical);
+    }
+    
+    isVerticalWritingMode(writingMode = this.writingMode) {
+        return writingMode.startsWith('vertical');
+    }
+    
+    applyWritingSettings(settings) {
+        // Language, direction and writing mode together, as samples, imports and sessions set them
+        const controls = { language: 'textLanguage', direction: 'textDirection', writingMode: 'writingMode', textOrientation: 'textOrientation' };
+        Object.entries(controls).forEach(([key, id]) => {
+            if (settings[key] === undefined) return;
+            this[key] = settings[key];
+            this.setControlValue(id, settings[key]);
+        });
+        
+        const orientation = document.getElementById('textOrientation');
+        if (orientation) orientation.disabled = !this.isVerticalWritingMode();
+    }
+    
+    applyOpenTypeFeatures() {
+        this.renderedText.style.fontFeatureSettings = this.buildFeatureSettings(this.activeFeatures) || 'normal';
+        
+        // Update active features count, leaving out features the font doesn't implement
+        const activeCount = document.getElementById('activeFeatures');
+        if (activeCount) {
+            const font = this.getSelectedFont();
+            activeCount.textContent = Array.from(this.activeFeatures.keys())
+                .filter(tag => this.isFeatureSupported(tag, font)).length;
+        }
+        
+        // Keep the per-category counters in the catalogue in step
+        document.querySelectorAll('.feature-category').forEach(details => {
+            const inputs = details.querySelectorAll('input[data-feature]');
+            const active = Array.from(inputs).filter(input => this.activeFeatures.has(input.dataset.feature)).length;
+            const counter = details.querySelector('.feature-count');
+            if (counter) counter.textContent = `${active}/${inputs.length}`;
+        });
+    }
+    
+    applyLayoutOptimizations(text) {
+        const style = this.renderedText.style;
+        
+        // The language drives the browser's hyphenation and the font's localized forms;
+        // the preview keeps its own lang so exported copies carry it too
+        document.querySelector('.rendering-area')?.setAttribute('lang', this.language);
+        this.renderedText.lang = this.language;
+        this.updateLanguageInfo();
+        
+        // Apply hyphenation; bundled patterns insert soft hyphens, so the browser's own is only a fallback
+        if (this.hyphenation) {
+            style.hyphens = this.getHyphenator() ? 'manual' : 'auto';
+            style.hyphenateCharacter = '‐';
+        } else {
+            style.hyphens = 'manual';
+        }
+        
+        // Apply layout optimization
+        if (this.layoutOptimization) {
+            style.textRendering = 'optimizeLegibility';
+            style.fontOpticalSizing = 'auto';
+            style.fontVariantLigatures = 'common-ligatures contextual';
+        } else {
+            style.textRendering = 'auto';
+            style.fontOpticalSizing = 'none';
+            style.fontVariantLigatures = 'normal';
+        }
+    }
+    
+    renderLanguageOptions() {
+        const select = document.getElementById('textLanguage');
+        if (!select) return;
+        
+        // Languages with bundled patterns hyphenate the same everywhere; the rest rely on the browser
+        const patterns = this.getHyphenationPatterns();
+        const groups = [
+            ['Bundled hyphenation', this.languageCharsets.filter(language => patterns[language.code])],
+            ['Browser hyphenation', this.languageCharsets.filter(language => !patterns[language.code])]
+        ].filter(([, languages]) => languages.length > 0);
+        
+        select.innerHTML = groups.map(([label, languages]) => `
+            <optgroup label="${label}">
+                ${languages.map(language => `<option value="${language.code}">${this.escapeHTML(language.name)}</option>`).join('')}
+            </optgroup>
+        `).join('');
+        select.value = this.language;
+    }
+    
+    getLanguage(code = this.language) {
+        return this.languageCharsets.find(language => language.code === code) || this.languageCharsets[0];
+    }
+    
+    getHyphenationPatterns() {
+        // hyphenation-patterns.js is optional; without it every language falls back to the browser
+        return typeof HYPHENATION_PATTERNS === 'undefined' ? {} : HYPHENATION_PATTERNS;
+    }
+    
+    getHyphenator(code = this.language) {
+        if (!this.hyphenators.has(code)) {
+            const patterns = this.getHyphenationPatterns()[code];
+            this.hyphenators.set(code, patterns ? new Hyphenator(patterns) : null);
+        }
+        return this.hyphenators.get(code);
+    }
+    
+    hyphenateText(text) {
+        const hyphenator = this.hyphenation && this.getHyphenator();
+        return hyphenator ? hyphenator.hyphenate(text) : text;
+    }
+    
+    getLocalizedForms(fontFamily = this.getControlValues().fontFamily, code = this.language) {
+        // Whether a loaded font has locl substitutions for the language; null when unknown
+        const layout = this.loadedFonts.get(fontFamily)?.layout;
+        if (!layout) return null;
+        
+        const tag = this.getLanguage(code).opentype;
+        return ['GSUB', 'GPOS'].some(table => layout[table].scripts.some(script =>
+            script.languages.some(language => language.tag === tag && language.features.includes('locl'))
+        ));
+    }
+    
+    getLanguageOverride(fontFamily) {
+        // Pins localized forms even where the page's lang differs; not needed for English, and
+        // only written for loaded fonts whose layout tables list locl for the language
+        const language = this.getLanguage();
+        return language.code !== 'en' && this.getLocalizedForms(fontFamily) === true ? language.opentype : '';
+    }
+    
+    updateLanguageInfo() {
+        const info = document.getElementById('languageInfo');
+        if (!info) return;
+        
+        const language = this.getLanguage();
+        const patterns = this.getHyphenationPatterns()[language.code];
+        const notes = [
+            patterns
+                ? `Hyphenation: bundled ${patterns.source} patterns`
+                : 'Hyphenation: browser dictionary, where available'
+        ];
+        const localized = this.getLocalizedForms();
+        if (localized !== null) {
+            notes.push(localized
+                ? `Localized forms (locl) for ${language.opentype}`
+                : `No localized forms for ${language.opentype}`);
+        }
+        info.textContent = notes.join(' · ');
+    }
+    
+    scoreLayout(text, metrics, state) {
+        // Every check reports its finding and the points it costs; the score is what's left of 100
+        const fontSize = parseFloat(state.fontSize);
+        const lineHeight = parseFloat(state.lineHeight);
+        const lines = metrics.lineBoxes;
+        const checks = [];
+        const addCheck = (name, detail, penalty) => {
+            checks.push({ name, detail, penalty: Math.max(0, Math.round(penalty)) });
+        };
+        
+        // Measure: 45-75 characters per line is the classic range for running text
+        const bodyLines = lines.filter(line => !line.paragraphEnd);
+        if (bodyLines.length === 0) {
+            addCheck('Measure', 'Not enough wrapped lines to judge the measure', 0);
+        } else {
+            const measure = Math.round(bodyLines.reduce((sum, line) => sum + line.length, 0) / bodyLines.length);
+            const distance = measure < 45 ? 45 - measure : measure > 75 ? measure - 75 : 0;
+            addCheck('Measure', `${measure} characters per full line (aim for 45–75)`, Math.min(20, distance / 2));
+        }
+        
+        // Word gaps: justification stretches spaces, so compare them with the font's own space
+        const naturalSpace = this.getSpaceWidth(state);
+        if (state.alignment === 'justify') {
+            const looseLines = bodyLines.filter(line => line.gaps.some(gap => gap.right - gap.left > naturalSpace * 2)).length;
+            addCheck('Word gaps', looseLines
+                ? `${looseLines} justified line${looseLines === 1 ? '' : 's'} with spaces over twice the normal width`
+                : 'Justified spaces stay within twice the normal width', Math.min(15, looseLines * 2));
+        }
+        
+        // Rivers: gaps that line up down three or more consecutive lines
+        const rivers = this.countRivers(lines, naturalSpace / 2);
+        addCheck('Rivers', rivers
+            ? `${rivers} river${rivers === 1 ? '' : 's'} of aligned word spaces`
+            : 'No aligned word spaces across lines', Math.min(15, rivers * 5));
+        
+        // Widows and orphans: a paragraph ending on a lone word, or on a last line of two
+        // words or less than 15% of the measure; a lone word only counts as a widow
+        const multiLine = lines.filter(line => !(line.paragraphStart && line.paragraphEnd));
+        const fullWidth = Math.max(0, ...lines.map(line => line.width));
+        const lastLines = multiLine.filter(line => line.paragraphEnd);
+        const widows = lastLines.filter(line => line.words === 1).length;
+        const orphans = lastLines.filter(line => line.words > 1 && (line.words <= 2 || line.width < fullWidth * 0.15)).length;
+        addCheck('Widows', widows
+            ? `${widows} paragraph${widows === 1 ? ' ends' : 's end'} with a single word on the last line`
+            : 'No single-word last lines', Math.min(10, widows * 3));
+        addCheck('Orphans', orphans
+            ? `${orphans} paragraph${orphans === 1 ? ' ends' : 's end'} on a short last line of two words or under 15% of the measure`
+            : 'No short last lines', Math.min(10, orphans * 3));
+        
+        // Consecutive hyphens: more than two hyphenated lines in a row form a ladder
+        let run = 0;
+        let ladderLines = 0;
+        lines.forEach(line => {
+            run = line.hyphenated ? run + 1 : 0;
+            if (run > 2) ladderLines++;
+        });
+        addCheck('Consecutive hyphens', ladderLines
+            ? `${ladderLines} hyphenated line${ladderLines === 1 ? '' : 's'} beyond two in a row`
+            : `${metrics.hyphenatedBreaks} hyphenated break${metrics.hyphenatedBreaks === 1 ? '' : 's'}, never more than two in a row`, Math.min(10, ladderLines * 4));
+        
+        // Line height: a large x-height needs more leading; display sizes can run tighter
+        const xHeight = this.getVerticalMetrics(state).xHeight;
+        const ideal = 1 + xHeight * 0.9 - (fontSize >= 32 ? 0.2 : 0);
+        const leadingDistance = lineHeight < ideal - 0.1 ? ideal - 0.1 - lineHeight : lineHeight > ideal + 0.2 ? lineHeight - ideal - 0.2 : 0;
+        addCheck('Line height', `${lineHeight} for an x-height of ${xHeight.toFixed(2)} em (aim for about ${ideal.toFixed(2)})`, Math.min(15, leadingDistance * 30));
+        
+        // Letter spacing beyond a tenth of an em hurts word shapes
+        const tracking = Math.abs(parseFloat(state.letterSpacing)) / fontSize;
+        addCheck('Letter spacing', `${state.letterSpacing}px is ${tracking.toFixed(2)} em`, tracking > 0.1 ? 5 : 0);
+        
+        // Ligatures switched off in text that needs them
+        const font = this.loadedFonts.get(state.fontFamily) || null;
+        if (this.hasCommonLigatures(text) && this.isFeatureSupported('liga', font)) {
+            addCheck('Ligatures', state.features.has('liga')
+                ? 'Standard ligatures on for fi/fl combinations'
+                : 'Text has fi/fl combinations but standard ligatures are off', state.features.has('liga') ? 0 : 3);
+        }
+        
+        const penalty = checks.reduce((sum, check) => sum + check.penalty, 0);
+        return { score: Math.max(0, 100 - penalty), checks };
+    }
+    
+    countRivers(lines, tolerance) {
+        // Longest chain of overlapping gaps ending at each gap, line by line
+        let rivers = 0;
+        let previous = [];
+        
+        lines.forEach(line => {
+            const current = line.gaps.map(gap => {
+                const above = previous.filter(other => gap.left - tolerance < other.right && gap.right + tolerance > other.left);
+                return { ...gap, chain: 1 + Math.max(0, ...above.map(other => other.chain)) };
+            });
+            rivers += current.filter(gap => gap.chain === 3).length;
+            previous = current;
+        });
+        
+        return rivers;
+    }
+    
+    getSpaceWidth(state) {
+        const ctx = this.getMeasureContext();
+        const fontSize = parseFloat(state.fontSize);
+        const extra = parseFloat(state.wordSpacing) + parseFloat(state.letterSpacing);
+        if (!ctx) return fontSize * 0.25 + extra;
+        
+        ctx.font = `${state.fontWeight} ${fontSize}px ${state.fontFamily}`;
+        return (ctx.measureText(' ').width || fontSize * 0.25) + extra;
+    }
+    
+    getVerticalMetrics(state) {
+        // Proportions of the em: from the font's own tables when loaded, otherwise measured
+        const info = this.loadedFonts.get(state.fontFamily)?.info;
+        if (info?.xHeight && info.capHeight) {
+            return {
+                xHeight: info.xHeight / info.unitsPerEm,
+                capHeight: info.capHeight / info.unitsPerEm,
+                ascender: info.ascender / info.unitsPerEm,
+                descender: Math.abs(info.descender) / info.unitsPerEm
+            };
+        }
+        
+        const ctx = this.getMeasureContext();
+        const measured = { xHeight: 0.5, capHeight: 0.7, ascender: 0.8, descender: 0.2 };
+        if (!ctx) return measured;
+        
+        ctx.font = `${state.fontWeight} 100px ${state.fontFamily}`;
+        const x = ctx.measureText('x');
+        const cap = ctx.measureText('H');
+        const glyphs = ctx.measureText('dp');
+        return {
+            xHeight: x.actualBoundingBoxAscent ? x.actualBoundingBoxAscent / 100 : measured.xHeight,
+            capHeight: cap.actualBoundingBoxAscent ? cap.actualBoundingBoxAscent / 100 : measured.capHeight,
+            ascender: glyphs.actualBoundingBoxAscent ? glyphs.actualBoundingBoxAscent / 100 : measured.ascender,
+            descender: glyphs.actualBoundingBoxDescent ? glyphs.actualBoundingBoxDescent / 100 : measured.descender
+        };
+    }
+    
+    getMeasureContext() {
+        if (!this.measureContext) {
+            this.measureContext = document.createElement('canvas').getContext('2d');
+        }
+        return this.measureContext;
+    }
+    
+    renderScoreBreakdown(analysis) {
+        const container = document.getElementById('scoreBreakdownContent');
+        if (!container) return;
+        
+        const rows = analysis.checks.map(check => `
+            <tr class="${check.penalty ? 'coverage-gap' : ''}">
+                <td>${check.penalty ? '✗' : '✓'} ${check.name}</td>
+                <td>${this.escapeHTML(check.detail)}</td>
+                <td class="score-penalty">${check.penalty ? `−${check.penalty}` : '0'}</td>
+            </tr>
+        `).join('');
+        
+        container.innerHTML = `
+            <table class="coverage-table">
+                <thead><tr><th>Check</th><th>Finding</th><th>Points</th></tr></thead>
+                <tbody>${rows}</tbody>
+                <tfoot><tr><th colspan="2">Score</th><th class="score-penalty">${analysis.score}</th></tr></tfoot>
+            </table>
+        `;
+    }
+    
+    estimateReadingTime(readability, metrics, state) {
+        // 238 words a minute is the average silent reading rate for non-fiction (Brysbaert, 2019);
+        // small type, tight leading and a poor measure each slow readers down a little
+        const fontSize = parseFloat(state.fontSize);
+        const lineHeight = parseFloat(state.lineHeight);
+        const factors = [];
+        if (fontSize < 14) factors.push({ reason: `${fontSize}px text is below 14px`, factor: 0.9 });
+        if (lineHeight < 1.3) factors.push({ reason: `Line height ${lineHeight} is below 1.3`, factor: 0.95 });
+        if (metrics.lineBoxes.length > 1 && (metrics.averageLineLength < 45 || metrics.averageLineLength > 75)) {
+            factors.push({ reason: `${metrics.averageLineLength} characters per line is outside 45–75`, factor: 0.95 });
+        }
+        
+        const wordsPerMinute = Math.round(factors.reduce((rate, { factor }) => rate * factor, 238));
+        return {
+            wordsPerMinute,
+            seconds: readability.words ? Math.max(1, Math.round(readability.words / wordsPerMinute * 60)) : 0,
+            factors
+        };
+    }
+    
+    formatDuration(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        return minutes ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+    }
+    
+    renderReadability(readability, readingTime) {
+        // These are decimals and durations, so they're written directly rather than animated
+        const format = value => value === null ? '–' : value.toFixed(1);
+        const setMetric = (id, value, title) => {
+            const element = document.getElementById(id);
+            if (!element) return;
+            element.textContent = value;
+            if (title !== undefined) element.closest('.metric')?.setAttribute('title', title);
+        };
+        
+        const longParagraphs = readability.paragraphs.filter(paragraph => paragraph.long);
+        setMetric('readingTime', this.formatDuration(readingTime.seconds), `At ${readingTime.wordsPerMinute} words per minute`);
+        setMetric('fleschKincaid', format(readability.fleschKincaidGrade));
+        setMetric('gunningFog', format(readability.gunningFog));
+        setMetric('avgSentenceLength', format(readability.averageSentenceLength));
+        setMetric('avgWordLength', format(readability.averageWordLength));
+        setMetric('longParagraphs', String(longParagraphs.length), longParagraphs.length
+            ? longParagraphs.map(paragraph => `Paragraph ${paragraph.index + 1}: ${paragraph.words} words`).join('\n')
+            : `No paragraph over ${this.readability.longParagraphWords} words`);
+        
+        const container = document.getElementById('readabilityContent');
+        if (!container) return;
+        
+        if (readability.words === 0) {
+            container.innerHTML = '<p class="inspector-empty">Type some text to analyse its readability.</p>';
+            return;
+        }
+        
+        const ease = readability.fleschReadingEase;
+        const findings = [
+            ['Flesch-Kincaid grade', format(readability.fleschKincaidGrade), 'US school grade needed to follow the text'],
+            ['Flesch reading ease', format(ease), ease === null ? 'Needs English sentences' : ease >= 60 ? 'Plain English (60 and up)' : ease >= 30 ? 'Fairly difficult' : 'Very difficult'],
+            ['Gunning Fog', format(readability.gunningFog), `${readability.complexWords} word${readability.complexWords === 1 ? '' : 's'} of three or more syllables`],
+            ['Sentences', String(readability.sentences), `${format(readability.averageSentenceLength)} words each on average`],
+            ['Syllables per word', readability.syllables ? readability.syllablesPerWord.toFixed(2) : '–', `${readability.syllables} syllables in total`],
+            ['Reading time', this.formatDuration(readingTime.seconds), readingTime.factors.length
+                ? `${readingTime.wordsPerMinute} wpm: ${readingTime.factors.map(({ reason }) => reason).join('; ')}`
+                : `${readingTime.wordsPerMinute} wpm at the current settings`]
+        ].map(([name, value, detail]) => `
+            <tr>
+                <td>${name}</td>
+                <td>${value}</td>
+                <td>${this.escapeHTML(detail)}</td>
+            </tr>
+        `).join('');
+        
+        const paragraphs = readability.paragraphs.map(paragraph => `
+            <tr class="${paragraph.long ? 'coverage-gap' : ''}">
+                <td>${paragraph.index + 1}</td>
+                <td>${paragraph.words}${paragraph.long ? ' ⚠️' : ''}</td>
+                <td>${paragraph.sentences}</td>
+                <td class="line-text" title="${this.escapeHTML(paragraph.preview)}">${this.escapeHTML(paragraph.preview)}${paragraph.words > 8 ? '…' : ''}</td>
+            </tr>
+        `).join('');
+        
+        container.innerHTML = `
+            <table class="coverage-table">
+                <thead><tr><th>Measure</th><th>Value</th><th>Notes</th></tr></thead>
+                <tbody>${findings}</tbody>
+            </table>
+            <table class="coverage-table line-table">
+                <thead><tr><th>¶</th><th>Words</th><th>Sentences</th><th>Opening</th></tr></thead>
+                <tbody>${paragraphs}</tbody>
+            </table>
+            <p class="inspector-empty">Grade formulas are calibrated for English. Paragraphs over ${this.readability.longParagraphWords} words are flagged.</p>
+        `;
+    }
+    
+    hasCommonLigatures(text) {
+        const commonLigatures = ['fi', 'fl', 'ff', 'ffi', 'ffl'];
+        return commonLigatures.some(lig => text.includes(lig));
+    }
+    
+    updateMetrics(text) {
+        const metrics = this.calculateTextMetrics(text);
+        const state = this.resolveFluidState(this.getTypographyState());
+        const analysis = this.scoreLayout(text, metrics, state);
+        const readability = this.readability.analyze(text);
+        this.layoutScore = analysis.score;
+        
+        // Update metric displays
+        this.updateMetricDisplay('charCount', metrics.characters);
+        this.updateMetricDisplay('wordCount', metrics.words);
+        this.updateMetricDisplay('lineCount', metrics.lines);
+        this.updateMetricDisplay('avgLineLength', metrics.averageLineLength);
+        this.updateMetricDisplay('shortestLine', metrics.shortestLine);
+        this.updateMetricDisplay('longestLine', metrics.longestLine);
+        this.updateMetricDisplay('lastLineLength', metrics.lastLineLength);
+        this.updateMetricDisplay('hyphenatedBreaks', metrics.hyphenatedBreaks);
+        this.updateMetricDisplay('layoutScore', this.layoutScore);
+        this.updateMetricDisplay('missingGlyphs', this.missingGlyphs.length);
+        
+        this.renderLineBreakdown(metrics);
+        this.renderRhythmOverlay(metrics.lineBoxes, state);
+        this.renderScoreBreakdown(analysis);
+        this.renderReadability(readability, this.estimateReadingTime(readability, metrics, state));
+        this.renderCoverageReport(text);
+        this.renderComparisonMetrics(text, readability);
+    }
+    
+    calculateTextMetrics(text, element = this.renderedText) {
+        // More accurate word counting that handles various languages
+        const words = text.trim() === '' ? 0 : text.trim().split(/\s+/).length;
+        
+        // Line boxes as the browser laid them out
+        const lineBoxes = this.measureLines(element);
+        const lengths = lineBoxes.map(line => line.length);
+        
+        // The last line is naturally short, so it only counts towards its own metric
+        const bodyLengths = lengths.length > 1 ? lengths.slice(0, -1) : lengths;
+        
+        return {
+            characters: text.length,
+            words: words,
+            // Without layout (hidden or not yet rendered) only hard breaks are known
+            lines: lineBoxes.length || text.split('\n').length,
+            lineBoxes: lineBoxes,
+            averageLineLength: lengths.length ? Math.round(lengths.reduce((sum, length) => sum + length, 0) / lengths.length) : 0,
+            shortestLine: bodyLengths.length ? Math.min(...bodyLengths) : 0,
+            longestLine: lengths.length ? Math.max(...lengths) : 0,
+            lastLineLength: lengths.length ? lengths[lengths.length - 1] : 0,
+            hyphenatedBreaks: lineBoxes.filter(line => line.hyphenated).length
+        };
+    }
+    
+    forEachCharacterBox(element, callback) {
+        // Walk every character, including the ones inside missing-glyph marks, with its first client rect
+        const range = document.createRange();
+        if (typeof range.getClientRects !== 'function' || !element.isConnected) return false;
+        
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            let offset = 0;
+            for (const char of node.data) {
+                range.setStart(node, offset);
+                range.setEnd(node, offset + char.length);
+                offset += char.length;
+                callback(char, range.getClientRects()[0] || null);
+            }
+        }
+        return true;
+    }
+    
+    forEachWordBox(element, callback) {
+        // Cheaper walk for line maths: one client rect per word or space. Words the browser
+        // split across lines get one rect per character so each part lands on its own line
+        const range = document.createRange();
+        if (typeof range.getClientRects !== 'function' || !element.isConnected) return false;
+        
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            let offset = 0;
+            for (const segment of node.data.match(/\s|\S+/g) || []) {
+                const start = offset;
+                offset += segment.length;
+                range.setStart(node, start);
+                range.setEnd(node, offset);
+                const rects = range.getClientRects();
+                
+                if (rects.length <= 1) {
+                    // Unbroken soft hyphens render nothing, so they don't count towards the line
+                    const text = segment.replace(/\u00AD/g, '');
+                    if (text !== '') callback(text, rects[0] || null);
+                    continue;
+                }
+                
+                let charOffset = start;
+                for (const char of segment) {
+                    range.setStart(node, charOffset);
+                    range.setEnd(node, charOffset + char.length);
+                    charOffset += char.length;
+                    callback(char, range.getClientRects()[0] || null);
+                }
+            }
+        }
+        return true;
+    }
+    
+    getWritingMode(element) {
+        return getComputedStyle(element).writingMode || element.style.writingMode || 'horizontal-tb';
+    }
+    
+    toLineRect(rect, writingMode) {
+        // Line maths works in inline and block terms: vertical columns are turned into rows,
+        // stacked in the order the columns are read
+        if (!rect || !this.isVerticalWritingMode(writingMode)) return rect;
+        const [top, bottom] = writingMode === 'vertical-rl' ? [-rect.right, -rect.left] : [rect.left, rect.right];
+        return { left: rect.top, right: rect.bottom, top, bottom, width: rect.height, height: rect.width };
+    }
+    
+    measureLines(element = this.renderedText) {
+        const hyphensAuto = element.style.hyphens === 'auto';
+        const writingMode = this.getWritingMode(element);
+        const lines = [];
+        let current = null;
+        let previousText = '';
+        let hardBreak = false;
         
-        // Responsive breakpoints
-        this.breakpoints = {
-            mobile: 480,
-            tablet: 768,
-            desktop: 1024
+        // Start a new line whenever a word's centre drops below the current line box;
+        // in vertical modes "below" is the next column and widths are column heights
+        this.forEachWordBox(element, (segment, box) => {
+            const rect = this.toLineRect(box, writingMode);
+            const isSpace = /\s/.test(segment);
+            if (segment === '\n') hardBreak = true;
+            
+            // Soft hyphens only take up room where the line breaks at them
+            if (!rect || ((isSpace || segment === '\u00AD') && rect.width === 0)) {
+                previousText = segment;
+                return;
+            }
+            
+            if (!current || rect.top + rect.height / 2 > current.bottom) {
+                if (current) {
+                    // A break between two non-space pieces means the word was split
+                    const lastChar = current.text.trimEnd().slice(-1);
+                    const midWord = !isSpace && previousText !== '' && !/\s/.test(previousText);
+                    current.hyphenated = /[-\u00AD\u2010]/.test(lastChar) || (midWord && hyphensAuto);
+                    current.paragraphEnd = hardBreak;
+                }
+                
+                current = {
+                    text: '',
+                    left: Infinity,
+                    right: -Infinity,
+                    top: rect.top,
+                    bottom: rect.bottom,
+                    gaps: [],
+                    hyphenated: false,
+                    paragraphStart: !current || hardBreak,
+                    paragraphEnd: true
+                };
+                lines.push(current);
+            }
+            
+            current.text += segment;
+            current.bottom = Math.max(current.bottom, rect.bottom);
+            if (isSpace) {
+                current.gaps.push({ left: rect.left, right: rect.right });
+            } else {
+                current.left = Math.min(current.left, rect.left);
+                current.right = Math.max(current.right, rect.right);
+            }
+            previousText = segment;
+            hardBreak = false;
+        });
+        
+        return lines.map(line => {
+            const text = line.text.trim();
+            const hasGlyphs = line.right > line.left;
+            return {
+                text: text,
+                length: Array.from(text).length,
+                words: text === '' ? 0 : text.split(/\s+/).length,
+                width: hasGlyphs ? Math.round(line.right - line.left) : 0,
+                left: hasGlyphs ? line.left : 0,
+                right: hasGlyphs ? line.right : 0,
+                top: line.top,
+                bottom: line.bottom,
+                // Word spaces between the first and last glyph; hanging spaces don't count
+                gaps: line.gaps.filter(gap => gap.left >= line.left && gap.right <= line.right),
+                hyphenated: line.hyphenated,
+                paragraphStart: line.paragraphStart,
+                paragraphEnd: line.paragraphEnd
+            };
+        });
+    }
+    
+    renderLineBreakdown(metrics, element = this.renderedText) {
+        const container = document.getElementById('lineBreakdownContent');
+        if (!container) return;
+        
+        if (metrics.lineBoxes.length === 0) {
+            container.innerHTML = '<p class="inspector-empty">Line boxes are measured once the preview is visible.</p>';
+            return;
+        }
+        
+        const measure = this.isVerticalWritingMode(this.getWritingMode(element)) ? element.clientHeight : element.clientWidth;
+        const rows = metrics.lineBoxes.map((line, index) => `
+            <tr${line.hyphenated ? ' class="hyphenated-line"' : ''}>
+                <td>${index + 1}</td>
+                <td>${line.length}</td>
+                <td>${line.width}px</td>
+                <td>
+                    <span class="coverage-bar"><span style="width: ${measure ? Math.min(100, Math.round(line.width / measure * 100)) : 0}%"></span></span>
+                </td>
+                <td class="line-text" title="${this.escapeHTML(line.text)}">${this.escapeHTML(line.text)}${line.hyphenated ? ' <span class="hyphen-flag">‐</span>' : ''}</td>
+            </tr>
+        `).join('');
+        
+        container.innerHTML = `
+            <table class="coverage-table line-table">
+                <thead><tr><th>#</th><th>Chars</th><th>Width</th><th>Fill</th><th>Text</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+    
+    updateMetricDisplay(id, value) {
+        const element = document.getElementById(id);
+        if (element) {
+            // Animate number changes
+            const currentValue = parseInt(element.textContent) || 0;
+            if (currentValue !== value) {
+                this.animateValue(element, currentValue, value, 300);
+            }
+        }
+    }
+    
+    animateValue(element, start, end, duration) {
+        const startTime = performance.now();
+        const difference = end - start;
+        
+        const updateValue = (currentTime) => {
+            const elapsed = currentTime - startTime;
+            const progress = Math.min(elapsed / duration, 1);
+            const currentValue = Math.round(start + (difference * this.easeOutQuart(progress)));
+            
+            element.textContent = currentValue;
+            
+            if (progress < 1) {
+                requestAnimationFrame(updateValue);
+            }
         };
         
-        // Sample texts for testing
-        this.sampleTexts = {
-            pangram: "The quick brown fox jumps over the lazy dog. PACK MY BOX WITH FIVE DOZEN LIQUOR JUGS!",
-            lorem: "Lorem ipsum dolor sit amet, consectetur adipiscing elit. Sed do eiusmod tempor incididunt ut labore et dolore magna aliqua. Ut enim ad minim veniam, quis nostrud exercitation ullamco laboris nisi ut aliquip ex ea commodo consequat. Duis aute irure dolor in reprehenderit in voluptate velit esse cillum dolore eu fugiat nulla pariatur.",
-            typography: "Typography is the art and technique of arranging type to make written language legible, readable, and appealing. Ligatures: fi fl ffi ffl ft. Kerning pairs: AV Ta We Yo. Numbers: 1234567890 ½ ¾ ¼ ⅛. Small caps: LOREM IPSUM dolor sit amet, CONSECTETUR adipiscing elit.",
-            numbers: "Regular numbers: 1234567890. Oldstyle figures: 1234567890. Tabular numbers: 1234567890. Fractions: 1/2 3/4 5/8 7/16 13/32. Superscript: E=mc² H₂O CO₂. Mathematical symbols: ∑∆π∞±≠≤≥∫√∂",
-            ligatures: "The office traffic was awful during the staff meeting. We flew to fifty different places for the conference. The waffle was very effective for breakfast, and the coffee was perfectly sufficient."
+        requestAnimationFrame(updateValue);
+    }
+    
+    easeOutQuart(t) {
+        return 1 - Math.pow(1 - t, 4);
+    }
+    
+    updatePerformanceMetrics() {
+        const renderTime = Math.round(performance.now() - this.renderStartTime);
+        this.updateMetricDisplay('renderTime', renderTime + 'ms');
+    }
+    
+    toggleFullscreen() {
+        const renderingArea = document.querySelector('.rendering-area');
+        const fullscreenBtn = document.getElementById('fullscreenToggle');
+        
+        if (!this.isFullscreen) {
+            renderingArea.classList.add('fullscreen-mode');
+            fullscreenBtn.textContent = '⛞';
+            fullscreenBtn.setAttribute('aria-label', 'Exit fullscreen');
+            this.isFullscreen = true;
+        } else {
+            renderingArea.classList.remove('fullscreen-mode');
+            fullscreenBtn.textContent = '⛶';
+            fullscreenBtn.setAttribute('aria-label', 'Enter fullscreen');
+            this.isFullscreen = false;
+        }
+    }
+    
+    exportCSS() {
+        const formatId = document.getElementById('exportFormat')?.value || 'css';
+        const format = this.exportFormats[formatId] || this.exportFormats.css;
+        // The type scale is exported with the typography it was built on
+        const state = { ...this.getTypographyState(), typeScale: this.getTypeScaleSettings() };
+        const output = format.generate(state, this.getExportName());
+        
+        this.downloadFile(format.fileName, output, format.mimeType);
+        this.showNotification(`${format.name} exported successfully!`);
+    }
+    
+    buildExportFormats() {
+        return {
+            css: { name: 'CSS', fileName: 'font-styles.css', mimeType: 'text/css', generate: (state, name) => this.generateCSS(state, name) },
+            scss: { name: 'SCSS mixin', fileName: 'font-styles.scss', mimeType: 'text/x-scss', generate: (state, name) => this.generateSCSS(state, name) },
+            tailwind: { name: 'Tailwind config', fileName: 'tailwind.typography.js', mimeType: 'text/javascript', generate: (state, name) => this.generateTailwindConfig(state, name) },
+            tokens: { name: 'Design tokens', fileName: 'typography.tokens.json', mimeType: 'application/json', generate: (state, name) => this.generateDesignTokens(state, name) },
+            variables: { name: 'CSS custom properties', fileName: 'font-variables.css', mimeType: 'text/css', generate: (state, name) => this.generateCustomProperties(state, name) }
         };
+    }
+    
+    getExportName() {
+        // A bare name becomes a class selector; anything else is used as written
+        const value = document.getElementById('exportName')?.value.trim() || 'custom-typography';
+        const slug = value.replace(/^[^a-z0-9]+/i, '').replace(/[^a-z0-9_-]+/gi, '-').replace(/-+$/, '').toLowerCase() || 'custom-typography';
+        const selector = /^-?[a-z_][\w-]*$/i.test(value) ? `.${value}` : value;
         
-        // Initialize the application
-        this.initializeEventListeners();
-        this.initializeResponsiveFeatures();
-        this.updateRendering();
-        this.setupKeyboardNavigation();
+        return { selector, slug };
     }
     
-    initializeEventListeners() {
-        // Mobile navigation toggle
-        const toggleBtn = document.getElementById('toggleControls');
-        const controlsWrapper = document.getElementById('controlsWrapper');
+    getSizeValues(state) {
+        // Fixed values, or clamp() expressions when fluid typography is on
+        const fluid = this.getFluidSettings();
+        if (!fluid.enabled) {
+            return {
+                fontSize: `${state.fontSize}px`,
+                lineHeight: String(state.lineHeight),
+                letterSpacing: `${state.letterSpacing}px`
+            };
+        }
         
-        if (toggleBtn && controlsWrapper) {
-            toggleBtn.addEventListener('click', () => {
-                this.toggleMobileControls();
+        const ranges = this.getFluidRanges(fluid);
+        return {
+            fontSize: this.formatFluidClamp(ranges.fontSize, fluid),
+            lineHeight: this.formatFluidClamp(ranges.lineHeight, fluid),
+            letterSpacing: this.formatFluidClamp(ranges.letterSpacing, fluid)
+        };
+    }
+    
+    getStyleDeclarations(state) {
+        const fontFeatures = this.buildFeatureSettings(state.features);
+        const variationSettings = this.formatVariationSettings(state.variations);
+        const sizes = this.getSizeValues(state);
+        const languageOverride = this.getLanguageOverride(state.fontFamily);
+        const colors = this.getColorSettings();
+        
+        return [
+            ['font-family', state.fontFamily],
+            ['font-size', sizes.fontSize],
+            ['font-weight', state.fontWeight],
+            ['letter-spacing', sizes.letterSpacing],
+            ['line-height', sizes.lineHeight],
+            ['word-spacing', `${state.wordSpacing}px`],
+            ['text-align', state.alignment],
+            ['color', colors.foreground],
+            ['background-color', colors.background],
+            fontFeatures && ['font-feature-settings', fontFeatures],
+            variationSettings && ['font-variation-settings', variationSettings],
+            this.hyphenation && ['hyphens', 'auto'],
+            languageOverride && ['font-language-override', `"${languageOverride}"`],
+            ...this.getWritingDeclarations(),
+            ...(this.layoutOptimization ? [
+                ['text-rendering', 'optimizeLegibility'],
+                ['font-optical-sizing', 'auto'],
+                ['font-variant-ligatures', 'common-ligatures contextual']
+            ] : [])
+        ].filter(Boolean);
+    }
+    
+    getWritingDeclarations() {
+        // Defaults are left out; dir="auto" has no CSS equivalent and is noted in a comment instead
+        const vertical = this.isVerticalWritingMode();
+        return [
+            this.direction === 'rtl' && ['direction', 'rtl'],
+            vertical && ['writing-mode', this.writingMode],
+            vertical && this.textOrientation !== 'mixed' && ['text-orientation', this.textOrientation]
+        ].filter(Boolean);
+    }
+    
+    formatDeclarations(declarations, indent, format = ([property, value]) => `${property}: ${value};`) {
+        return declarations.map(declaration => indent + format(declaration)).join('\n');
+    }
+    
+    getExportComments() {
+        const fluid = this.getFluidSettings();
+        const language = this.getLanguage();
+        
+        return [
+            fluid.enabled && `Sizes scale fluidly between ${fluid.minViewport}px and ${fluid.maxViewport}px viewports`,
+            // CSS can't set the language; hyphens: auto and locl both depend on lang in the markup
+            (this.hyphenation || language.code !== 'en') && `Set lang="${language.code}" on the element for ${language.name} hyphenation and localized forms`,
+            this.direction !== 'ltr' && `Set dir="${this.direction}" on the element so mixed-direction text is ordered as in the preview`
+        ].filter(Boolean);
+    }
+    
+    generateCSS(state, { selector } = this.getExportName()) {
+        const comments = this.getExportComments().map(comment => `/* ${comment} */\n`).join('');
+        
+        return `/* Advanced Font Rendering Styles */
+${comments}${this.generateFontFaceCSS(state.fontFamily)}${selector} {
+${this.formatDeclarations(this.getStyleDeclarations(state), '    ')}
+}
+${this.generateTypeScaleCSS(state, selector)}`;
+    }
+    
+    generateTypeScaleCSS(state, selector) {
+        const settings = state.typeScale;
+        if (!settings?.enabled) return '';
+        
+        // Fluid sizes scale both ends of the clamp(); spacing follows the large-screen size
+        const fluid = this.getFluidSettings();
+        const base = fluid.enabled ? { ...state, fontSize: fluid.fontSize[1], lineHeight: fluid.lineHeight[1], letterSpacing: fluid.letterSpacing[1] } : state;
+        const rules = this.getTypeScale(base, settings.ratio)
+            .filter(step => step.selector)
+            .map(step => {
+                const factor = Math.pow(settings.ratio, step.step);
+                const fontSize = fluid.enabled
+                    ? this.formatFluidClamp(fluid.fontSize.map(size => size * factor), fluid)
+                    : `${step.fontSize}px`;
+                const declarations = [
+                    ['font-size', fontSize],
+                    ['line-height', step.lineHeight],
+                    ['letter-spacing', `${step.letterSpacing}px`]
+                ];
+                return `${selector} ${step.selector} {\n${this.formatDeclarations(declarations, '    ')}\n}`;
             });
-        }
         
-        // Font controls with debouncing for better performance
-        this.addEventListenerWithDebounce('fontSelect', 'change', () => this.updateRendering());
-        this.addRangeListener('fontSize', 'fontSizeValue', 'px');
-        this.addEventListenerWithDebounce('fontWeight', 'change', () => this.updateRendering());
-        this.addRangeListener('letterSpacing', 'letterSpacingValue', 'px');
-        this.addRangeListener('lineHeight', 'lineHeightValue', '');
-        this.addRangeListener('wordSpacing', 'wordSpacingValue', 'px');
+        return `
+/* Type scale: ${settings.name} */
+${rules.join('\n\n')}
+`;
+    }
+    
+    generateSCSS(state, { slug }) {
+        // Values become variables so the mixin can be tuned without editing it
+        const declarations = this.getStyleDeclarations(state);
+        const variables = this.formatDeclarations(declarations, '', ([property, value]) => `$${slug}-${property}: ${value} !default;`);
+        const body = this.formatDeclarations(declarations, '    ', ([property]) => `${property}: $${slug}-${property};`);
+        const comments = this.getExportComments().map(comment => `// ${comment}\n`).join('');
         
-        // OpenType feature checkboxes
-        const featureCheckboxes = [
-            'kerning', 'ligatures', 'smallCaps', 'oldstyleNums', 
-            'tabularNums', 'fractions'
-        ];
+        return `// Advanced Font Rendering Styles
+// Usage: .element { @include ${slug}; }
+${comments}${this.generateFontFaceCSS(state.fontFamily)}${variables}
+
+@mixin ${slug} {
+${body}
+}
+`;
+    }
+    
+    parseFontFamilyList(fontFamily) {
+        return fontFamily.split(',')
+            .map(name => name.trim().replace(/^(["'])(.*)\1$/, '$2'))
+            .filter(Boolean);
+    }
+    
+    generateTailwindConfig(state, { slug }) {
+        const fontFeatures = this.buildFeatureSettings(state.features);
+        const variationSettings = this.formatVariationSettings(state.variations);
+        const languageOverride = this.getLanguageOverride(state.fontFamily);
+        const colors = this.getColorSettings();
+        const familyOptions = {
+            ...(fontFeatures && { fontFeatureSettings: fontFeatures }),
+            ...(variationSettings && { fontVariationSettings: variationSettings })
+        };
+        const families = this.parseFontFamilyList(state.fontFamily);
+        const sizes = this.getSizeValues(state);
         
-        featureCheckboxes.forEach(feature => {
-            const checkbox = document.getElementById(feature);
-            if (checkbox) {
-                checkbox.addEventListener('change', (e) => {
-                    if (e.target.checked) {
-                        this.activeFeatures.add(feature);
-                    } else {
-                        this.activeFeatures.delete(feature);
+        const config = {
+            theme: {
+                extend: {
+                    fontFamily: {
+                        [slug]: Object.keys(familyOptions).length ? [families, familyOptions] : families
+                    },
+                    fontSize: {
+                        [slug]: [sizes.fontSize, {
+                            lineHeight: sizes.lineHeight,
+                            letterSpacing: sizes.letterSpacing,
+                            fontWeight: String(state.fontWeight)
+                        }]
                     }
-                    this.updateRendering();
-                });
+                }
+            }
+        };
+        
+        // Properties the theme has no key for are applied as utility classes
+        const utilities = [
+            `font-${slug}`,
+            `text-${slug}`,
+            `text-${state.alignment}`,
+            `text-[${colors.foreground}]`,
+            `bg-[${colors.background}]`,
+            parseFloat(state.wordSpacing) !== 0 ? `[word-spacing:${state.wordSpacing}px]` : '',
+            this.hyphenation ? 'hyphens-auto' : '',
+            languageOverride ? `[font-language-override:'${languageOverride}']` : '',
+            ...this.getWritingDeclarations().map(([property, value]) => `[${property}:${value}]`),
+            this.layoutOptimization ? 'optimize-legibility [font-optical-sizing:auto] [font-variant-ligatures:common-ligatures_contextual]' : ''
+        ].filter(Boolean).join(' ');
+        const fontFace = this.generateFontFaceCSS(state.fontFamily);
+        
+        return `// Advanced Font Rendering Styles - merge into tailwind.config.js
+// Usage: class="${utilities}"
+${fontFace ? `/* Add to your CSS:\n${fontFace.trimEnd()}\n*/\n` : ''}module.exports = ${JSON.stringify(config, null, 4)};
+`;
+    }
+    
+    generateDesignTokens(state, { slug }) {
+        // W3C Design Tokens typography composite; the rest goes in $extensions
+        const fontFeatures = this.buildFeatureSettings(state.features);
+        const variationSettings = this.formatVariationSettings(state.variations);
+        const languageOverride = this.getLanguageOverride(state.fontFamily);
+        const colors = this.getColorSettings();
+        const dimension = value => ({ value: Math.round(parseFloat(value) * 10000) / 10000, unit: 'px' });
+        const fluid = this.getFluidSettings();
+        const ranges = this.getFluidRanges(fluid);
+        // Fluid tokens carry their large-screen values, with the range alongside
+        const sizes = fluid.enabled
+            ? { fontSize: fluid.fontSize[1], lineHeight: fluid.lineHeight[1], letterSpacing: fluid.letterSpacing[1] }
+            : state;
+        const fluidExtension = fluid.enabled && {
+            fluid: {
+                minViewport: dimension(fluid.minViewport),
+                maxViewport: dimension(fluid.maxViewport),
+                fontSize: ranges.fontSize.map(dimension),
+                lineHeight: ranges.lineHeight.map(dimension),
+                letterSpacing: ranges.letterSpacing.map(dimension),
+                css: this.getSizeValues(state)
+            }
+        };
+        
+        const tokens = {
+            [slug]: {
+                $type: 'typography',
+                $value: {
+                    fontFamily: this.parseFontFamilyList(state.fontFamily),
+                    fontSize: dimension(sizes.fontSize),
+                    fontWeight: parseInt(state.fontWeight),
+                    letterSpacing: dimension(sizes.letterSpacing),
+                    lineHeight: parseFloat(sizes.lineHeight)
+                },
+                $extensions: {
+                    'com.font-rendering-engine': {
+                        wordSpacing: dimension(state.wordSpacing),
+                        textAlign: state.alignment,
+                        ...(fontFeatures && { fontFeatureSettings: fontFeatures }),
+                        ...(variationSettings && { fontVariationSettings: variationSettings }),
+                        ...(this.hyphenation && { hyphens: 'auto' }),
+                        ...(languageOverride && { lang: this.language, fontLanguageOverride: languageOverride }),
+                        ...(this.direction !== 'ltr' && { direction: this.direction }),
+                        ...(this.isVerticalWritingMode() && { writingMode: this.writingMode, textOrientation: this.textOrientation }),
+                        ...fluidExtension
+                    }
+                }
+            },
+            [`${slug}-color`]: { $type: 'color', $value: colors.foreground },
+            [`${slug}-background`]: { $type: 'color', $value: colors.background }
+        };
+        
+        return `${JSON.stringify(tokens, null, 4)}\n`;
+    }
+    
+    generateCustomProperties(state, { selector, slug }) {
+        const declarations = this.getStyleDeclarations(state);
+        const variables = this.formatDeclarations(declarations, '    ', ([property, value]) => `--${slug}-${property}: ${value};`);
+        const usage = this.formatDeclarations(declarations, '    ', ([property]) => `${property}: var(--${slug}-${property});`);
+        
+        return `/* Advanced Font Rendering Styles */
+${this.generateFontFaceCSS(state.fontFamily)}:root {
+${variables}
+}
+
+${selector} {
+${usage}
+}
+`;
+    }
+    
+    importCSS(source) {
+        const { selector, declarations } = this.parseCSSRule(source);
+        const report = { selector, imported: 0, notes: [] };
+        const properties = new Map(declarations);
+        
+        if (properties.size === 0) {
+            this.renderImportReport(report);
+            this.showNotification('No CSS declarations found to import.', 'warning');
+            return;
+        }
+        
+        const state = this.getTypographyState();
+        const fixed = value => [parseFloat(value), parseFloat(value)];
+        const fluid = {
+            ...this.getFluidSettings(),
+            enabled: false,
+            fontSize: fixed(state.fontSize),
+            lineHeight: fixed(state.lineHeight),
+            letterSpacing: fixed(state.letterSpacing)
+        };
+        const take = property => {
+            const value = properties.get(property);
+            properties.delete(property);
+            return value;
+        };
+        const note = (property, value, message, skipped = false) => {
+            report.notes.push({ property, value, message, skipped });
+        };
+        const fit = (property, value, id, unit) => {
+            const fitted = this.fitToRange(id, value);
+            if (fitted !== value) note(property, `${value}${unit}`, `set to ${fitted}${unit}, the nearest slider value`);
+            return String(fitted);
+        };
+        const apply = (property, handler) => {
+            const value = take(property);
+            if (value === undefined) return;
+            if (handler(value) === false) {
+                note(property, value, 'could not be read', true);
+            } else {
+                report.imported++;
             }
+        };
+        
+        apply('font-family', value => {
+            const match = this.matchFontFamily(value);
+            if (!match) return false;
+            if (this.parseFontFamilyList(value)[0] !== this.parseFontFamilyList(match)[0]) {
+                note('font-family', value, `uses ${this.getFontLabel(match)}; load the font file for the exact family`);
+            }
+            state.fontFamily = match;
         });
         
-        // Text alignment buttons
-        document.querySelectorAll('.align-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                this.setActiveAlignment(e.target, e.target.dataset.align);
+        // Font size first, so em-based spacing can be resolved against it
+        let fontSize = parseFloat(state.fontSize);
+        apply('font-size', value => {
+            const clamp = this.parseFluidClamp(value);
+            if (clamp) {
+                Object.assign(fluid, { enabled: true, minViewport: clamp.minViewport, maxViewport: clamp.maxViewport, fontSize: clamp.range });
+                fontSize = clamp.range[1];
+            } else {
+                const size = this.parseCSSLength(value);
+                if (size === null || size <= 0) return false;
+                fontSize = size;
+                fluid.fontSize = [size, size];
+            }
+            state.fontSize = fit('font-size', Math.round(fontSize), 'fontSize', 'px');
+        });
+        
+        apply('font-weight', value => {
+            const weight = { normal: 400, bold: 700 }[value.toLowerCase()] ?? parseFloat(value);
+            if (!Number.isFinite(weight)) return false;
+            
+            // The select offers fixed steps; variable fonts also get the exact wght
+            const options = Array.from(document.getElementById('fontWeight')?.options || []).map(option => parseInt(option.value));
+            const nearest = options.reduce((best, option) => Math.abs(option - weight) < Math.abs(best - weight) ? option : best, 400);
+            if (nearest !== weight) note('font-weight', value, `set to ${nearest}, the nearest weight in the list`);
+            state.fontWeight = String(nearest);
+            state.variations = { ...state.variations, wght: weight };
+        });
+        
+        // A fixed length or a clamp() range; the large-screen end goes to the slider
+        const readLength = (value, key, toRange = range => range) => {
+            const clamp = this.parseFluidClamp(value, fontSize);
+            if (clamp) {
+                if (!fluid.enabled) {
+                    Object.assign(fluid, { enabled: true, minViewport: clamp.minViewport, maxViewport: clamp.maxViewport });
+                }
+                fluid[key] = toRange(clamp.range);
+                return clamp.range[1];
+            }
+            
+            const length = value === 'normal' ? 0 : this.parseCSSLength(value, fontSize);
+            if (length !== null) fluid[key] = toRange([length, length]);
+            return length;
+        };
+        
+        apply('letter-spacing', value => {
+            const spacing = readLength(value, 'letterSpacing');
+            if (spacing === null) return false;
+            state.letterSpacing = fit('letter-spacing', spacing, 'letterSpacing', 'px');
+        });
+        
+        apply('word-spacing', value => {
+            const spacing = value === 'normal' ? 0 : this.parseCSSLength(value, fontSize);
+            if (spacing === null) return false;
+            state.wordSpacing = fit('word-spacing', spacing, 'wordSpacing', 'px');
+        });
+        
+        apply('line-height', value => {
+            // Unitless and percentage values are ratios; lengths are divided by the size
+            let ratio = value === 'normal' ? 1.2 : null;
+            if (/^[\d.]+$/.test(value)) ratio = parseFloat(value);
+            else if (/%$/.test(value)) ratio = parseFloat(value) / 100;
+            
+            if (ratio !== null) {
+                fluid.lineHeight = [ratio, ratio];
+            } else {
+                const toRatios = range => range.map((length, i) => Math.round(length / fluid.fontSize[i] * 1000) / 1000);
+                const length = readLength(value, 'lineHeight', toRatios);
+                if (length === null) return false;
+                ratio = length / fontSize;
+            }
+            state.lineHeight = fit('line-height', Math.round(ratio * 1000) / 1000, 'lineHeight', '');
+        });
+        
+        apply('text-align', value => {
+            if (!this.alignments.includes(value)) return false;
+            state.alignment = value;
+        });
+        
+        apply('font-feature-settings', value => {
+            const features = this.parseFeatureSettings(value);
+            if (!features) return false;
+            state.features = features;
+        });
+        
+        apply('font-variation-settings', value => {
+            if (value === 'normal') return;
+            const settings = value.split(',').map(setting => /^["']([\x20-\x7e]{4})["']\s+(-?[\d.]+)$/.exec(setting.trim()));
+            if (settings.some(setting => !setting)) return false;
+            settings.forEach(([, tag, coordinate]) => {
+                state.variations = { ...state.variations, [tag]: parseFloat(coordinate) };
             });
         });
         
-        // Advanced layout options
-        this.addEventListenerWithDebounce('hyphenation', 'change', (e) => {
-            this.hyphenation = e.target.checked;
-            this.updateRendering();
+        let hyphenation = this.hyphenation;
+        ['hyphens', '-webkit-hyphens'].forEach(property => apply(property, value => {
+            if (!['auto', 'manual', 'none'].includes(value)) return false;
+            hyphenation = value === 'auto';
+        }));
+        
+        // The OpenType language tag picks the matching language, as lang would
+        let language = this.language;
+        apply('font-language-override', value => {
+            if (value === 'normal') return;
+            const tag = /^["']([a-z]{2,4})\s*["']$/i.exec(value)?.[1].toUpperCase();
+            const match = this.languageCharsets.find(candidate => candidate.opentype === tag);
+            if (!match) return false;
+            language = match.code;
         });
         
-        this.addEventListenerWithDebounce('optimizeLayout', 'change', (e) => {
-            this.layoutOptimization = e.target.checked;
-            this.updateRendering();
+        // Colors in any CSS syntax, stored as the hex a color input takes
+        const colors = {};
+        [['color', 'foreground'], ['background-color', 'background'], ['background', 'background']].forEach(([property, key]) => {
+            apply(property, value => {
+                const color = this.normalizeColor(value);
+                if (!color) return false;
+                colors[key] = color;
+            });
         });
         
-        // Sample text buttons
-        document.querySelectorAll('.sample-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const sampleType = e.target.dataset.sample;
-                this.loadSampleText(sampleType);
+        // Writing settings only take values their controls offer
+        const writing = {};
+        [['direction', 'direction', 'textDirection'], ['writing-mode', 'writingMode', 'writingMode'], ['text-orientation', 'textOrientation', 'textOrientation']].forEach(([property, key, id]) => {
+            apply(property, value => {
+                if (!Array.from(document.getElementById(id)?.options || []).some(option => option.value === value)) return false;
+                writing[key] = value;
             });
         });
         
-        // Text input with debouncing for better performance
-        let inputTimeout;
-        this.textInput.addEventListener('input', () => {
-            clearTimeout(inputTimeout);
-            inputTimeout = setTimeout(() => this.updateRendering(), 150);
+        let layoutOptimization = this.layoutOptimization;
+        apply('text-rendering', value => {
+            layoutOptimization = value.toLowerCase() === 'optimizelegibility';
         });
         
-        // Fullscreen toggle
-        const fullscreenBtn = document.getElementById('fullscreenToggle');
-        if (fullscreenBtn) {
-            fullscreenBtn.addEventListener('click', () => this.toggleFullscreen());
+        // Written alongside text-rendering by Optimize Layout and hyphenation
+        ['font-optical-sizing', 'font-variant-ligatures', 'hyphenate-character'].forEach(property => {
+            if (properties.has(property)) apply(property, () => {});
+        });
+        
+        properties.forEach((value, property) => note(property, value, 'has no matching control', true));
+        
+        // Push everything into the controls, then re-render once
+        this.applyTypographyState(state);
+        this.hyphenation = hyphenation;
+        this.layoutOptimization = layoutOptimization;
+        this.applyWritingSettings({ language, ...writing });
+        this.applyColorSettings({ ...this.getColorSettings(), ...colors });
+        const hyphenationInput = document.getElementById('hyphenation');
+        if (hyphenationInput) hyphenationInput.checked = hyphenation;
+        const optimizeInput = document.getElementById('optimizeLayout');
+        if (optimizeInput) optimizeInput.checked = layoutOptimization;
+        this.applyFluidSettings(fluid);
+        
+        if (selector && !selector.startsWith(':root')) {
+            const exportName = document.getElementById('exportName');
+            if (exportName) exportName.value = selector.replace(/^\.(?=-?[a-z_][\w-]*$)/i, '');
+        }
+        
+        this.updateOpticalSizeControl();
+        this.pendingHistoryLabel = 'Imported CSS';
+        this.updateRendering();
+        this.renderImportReport(report);
+        
+        const skipped = report.notes.filter(item => item.skipped).length;
+        this.showNotification(
+            skipped ? `Imported ${report.imported} properties, ${skipped} skipped` : `Imported ${report.imported} properties`,
+            skipped ? 'warning' : 'success'
+        );
+    }
+    
+    parseCSSRule(source) {
+        // The first rule with ordinary declarations is imported; custom properties from
+        // any rule (such as :root) are substituted for var() references in it
+        const css = source.replace(/\/\*[\s\S]*?\*\//g, '');
+        const rules = [];
+        let depth = 0;
+        let start = 0;
+        let prelude = '';
+        let quote = null;
+        
+        for (let i = 0; i < css.length; i++) {
+            const char = css[i];
+            if (quote) {
+                if (char === quote && css[i - 1] !== '\\') quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '{') {
+                if (depth === 0) {
+                    prelude = css.slice(start, i).split(';').pop().trim();
+                    start = i + 1;
+                }
+                depth++;
+            } else if (char === '}' && depth > 0) {
+                depth--;
+                if (depth === 0) {
+                    rules.push({ prelude, body: css.slice(start, i) });
+                    start = i + 1;
+                }
+            }
         }
         
-        // Export buttons
-        document.getElementById('exportCSS')?.addEventListener('click', () => this.exportCSS());
-        document.getElementById('exportImage')?.addEventListener('click', () => this.exportAsImage());
-        document.getElementById('copyText')?.addEventListener('click', () => this.copyFormattedText());
+        // A bare declaration list counts as one rule without a selector
+        if (rules.length === 0) rules.push({ prelude: '', body: css });
         
-        // Window resize handler
-        window.addEventListener('resize', this.debounce(() => {
-            this.handleResize();
-        }, 250));
+        const styleRules = rules
+            .filter(rule => !rule.prelude.startsWith('@'))
+            .map(rule => ({ selector: rule.prelude, declarations: this.parseCSSDeclarations(rule.body) }));
         
-        // Escape key to exit fullscreen
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && this.isFullscreen) {
-                this.toggleFullscreen();
+        const customProperties = new Map();
+        styleRules.forEach(rule => rule.declarations.forEach(([property, value]) => {
+            if (property.startsWith('--')) customProperties.set(property, value);
+        }));
+        
+        const resolve = value => {
+            for (let i = 0; i < 5 && value.includes('var('); i++) {
+                value = value.replace(/var\(\s*(--[\w-]+)\s*(?:,\s*([^()]*))?\)/g,
+                    (match, name, fallback) => customProperties.get(name) ?? fallback?.trim() ?? match);
             }
-        });
+            return value;
+        };
+        
+        const target = styleRules.find(rule => rule.declarations.some(([property]) => !property.startsWith('--')));
+        
+        return {
+            selector: target?.selector || null,
+            declarations: (target?.declarations || [])
+                .filter(([property]) => !property.startsWith('--'))
+                .map(([property, value]) => [property, resolve(value)])
+        };
     }
     
-    initializeResponsiveFeatures() {
-        // Set initial mobile controls state
-        this.updateMobileControlsState();
+    parseCSSDeclarations(body) {
+        // Split on semicolons outside strings and brackets, then on the first colon
+        const declarations = [];
+        let depth = 0;
+        let quote = null;
+        let start = 0;
         
-        // Initialize intersection observer for performance
-        if ('IntersectionObserver' in window) {
-            this.setupIntersectionObserver();
+        const push = end => {
+            const text = body.slice(start, end);
+            const colon = text.indexOf(':');
+            if (colon > 0) {
+                const property = text.slice(0, colon).trim().toLowerCase();
+                const value = text.slice(colon + 1).replace(/!important\s*$/i, '').trim();
+                if (property && value) declarations.push([property, value]);
+            }
+            start = end + 1;
+        };
+        
+        for (let i = 0; i < body.length; i++) {
+            const char = body[i];
+            if (quote) {
+                if (char === quote && body[i - 1] !== '\\') quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '(') {
+                depth++;
+            } else if (char === ')') {
+                depth = Math.max(0, depth - 1);
+            } else if (char === ';' && depth === 0) {
+                push(i);
+            }
         }
+        push(body.length);
         
-        // Initialize touch event handlers for mobile
-        this.setupTouchHandlers();
+        return declarations;
     }
     
-    setupKeyboardNavigation() {
-        // Add keyboard navigation for accessibility
-        document.addEventListener('keydown', (e) => {
-            if (e.target.matches('input[type="range"]')) {
-                if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
-                    // Debounce range input updates
-                    setTimeout(() => this.updateRendering(), 50);
-                }
-            }
-        });
+    parseCSSLength(value, fontSize = 16) {
+        // Lengths in px, rem, em, pt or %, converted to px; rem assumes a 16px root
+        const match = /^(-?\d*\.?\d+)(px|rem|em|pt|%)?$/i.exec(value.trim());
+        if (!match) return null;
+        
+        const number = parseFloat(match[1]);
+        const unit = (match[2] || '').toLowerCase();
+        const factors = { px: 1, rem: 16, em: fontSize, pt: 4 / 3, '%': fontSize / 100 };
+        if (!unit) return number === 0 ? 0 : null;
+        
+        return Math.round(number * factors[unit] * 100) / 100;
     }
     
-    setupTouchHandlers() {
-        // Improve touch interactions on mobile devices
-        let touchStartY = 0;
+    parseFluidClamp(value, fontSize = 16) {
+        // clamp(min, intercept ± slope vw, max), the form formatFluidClamp writes
+        const match = /^clamp\(\s*([^,]+?)\s*,\s*(?:([-\d.]+[a-z%]*)\s*([+-])\s*)?(\d*\.?\d+)vw\s*,\s*([^,]+?)\s*\)$/i.exec(value.trim());
+        if (!match) return null;
         
-        document.addEventListener('touchstart', (e) => {
-            touchStartY = e.touches[0].clientY;
-        }, { passive: true });
+        const min = this.parseCSSLength(match[1], fontSize);
+        const max = this.parseCSSLength(match[5], fontSize);
+        const intercept = match[2] ? this.parseCSSLength(match[2], fontSize) : 0;
+        const slope = parseFloat(match[4]) / 100 * (match[3] === '-' ? -1 : 1);
+        if (min === null || max === null || intercept === null || slope === 0) return null;
         
-        // Prevent pull-to-refresh on the rendering canvas
-        this.renderedText.addEventListener('touchstart', (e) => {
-            if (window.scrollY === 0) {
-                e.preventDefault();
-            }
-        });
+        // The viewports where the preferred value meets each bound
+        const viewports = [(min - intercept) / slope, (max - intercept) / slope].sort((a, b) => a - b);
+        const valueAt = viewport => Math.round((intercept + slope * viewport) * 100) / 100;
+        
+        return {
+            minViewport: Math.round(viewports[0]),
+            maxViewport: Math.round(viewports[1]),
+            range: viewports.map(valueAt)
+        };
     }
     
-    setupIntersectionObserver() {
-        const options = {
-            root: null,
-            rootMargin: '0px',
-            threshold: 0.1
-        };
+    parseFeatureSettings(value) {
+        // Browser defaults stay on unless the rule switches them off
+        const features = new Map();
+        this.featureRegistry.forEach(feature => {
+            if (feature.defaultOn) features.set(feature.tag, 1);
+        });
+        if (value === 'normal') return features;
         
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    entry.target.classList.add('animate-in');
-                }
-            });
-        }, options);
+        const settings = value.split(',').map(setting => /^["']([\x20-\x7e]{4})["'](?:\s+(on|off|\d+))?$/i.exec(setting.trim()));
+        if (settings.some(setting => !setting)) return null;
         
-        // Observe all major sections
-        document.querySelectorAll('.controls-panel, .opentype-features, .text-alignment, .sample-texts, .rendering-area, .metrics-panel, .export-panel').forEach(el => {
-            observer.observe(el);
+        settings.forEach(([, tag, state = '1']) => {
+            const featureValue = { on: 1, off: 0 }[state.toLowerCase()] ?? parseInt(state);
+            if (featureValue === 0) {
+                features.delete(tag);
+            } else {
+                features.set(tag, featureValue);
+            }
         });
+        
+        return features;
     }
     
-    toggleMobileControls() {
-        const controlsWrapper = document.getElementById('controlsWrapper');
-        const toggleBtn = document.getElementById('toggleControls');
+    matchFontFamily(value) {
+        // The first family in the list that the selector offers, else a generic fallback
+        const normalise = name => name.replace(/["']/g, '').replace(/\s*,\s*/g, ',').trim().toLowerCase();
+        const options = Array.from(document.getElementById('fontSelect')?.options || []);
         
-        this.isMobileControlsOpen = !this.isMobileControlsOpen;
+        const exact = options.find(option => normalise(option.value) === normalise(value));
+        if (exact) return exact.value;
         
-        if (this.isMobileControlsOpen) {
-            controlsWrapper.classList.add('show');
-            toggleBtn.classList.add('active');
-        } else {
-            controlsWrapper.classList.remove('show');
-            toggleBtn.classList.remove('active');
+        for (const name of this.parseFontFamilyList(value)) {
+            const option = options.find(option =>
+                normalise(option.value) === normalise(name) ||
+                normalise(option.textContent).split(' (')[0] === normalise(name)
+            );
+            if (option) return option.value;
+            
+            const font = Array.from(this.loadedFonts.values()).find(loaded =>
+                [loaded.family, loaded.info?.family, loaded.info?.fullName].some(family => family && normalise(family) === normalise(name))
+            );
+            if (font) return font.cssFamily;
         }
         
-        // Update aria attributes for accessibility
-        controlsWrapper.setAttribute('aria-hidden', !this.isMobileControlsOpen);
-        toggleBtn.setAttribute('aria-expanded', this.isMobileControlsOpen);
+        return null;
     }
     
-    updateMobileControlsState() {
-        const isMobile = window.innerWidth <= this.breakpoints.tablet;
-        const controlsWrapper = document.getElementById('controlsWrapper');
+    fitToRange(id, value) {
+        // Clamp to a slider's range and snap to its step
+        const input = document.getElementById(id);
+        if (!input) return value;
         
-        if (!isMobile && controlsWrapper) {
-            controlsWrapper.classList.add('show');
-            controlsWrapper.setAttribute('aria-hidden', 'false');
-        }
+        const min = parseFloat(input.min);
+        const max = parseFloat(input.max);
+        const step = parseFloat(input.step) || 1;
+        const clamped = Math.min(max, Math.max(min, value));
+        
+        return Math.round((Math.round((clamped - min) / step) * step + min) * 1000) / 1000;
     }
     
-    handleResize() {
-        this.updateMobileControlsState();
-        this.updateRendering(); // Re-calculate metrics after resize
+    applyFluidSettings(fluid) {
+        const values = {
+            fluidMinViewport: fluid.minViewport,
+            fluidMaxViewport: fluid.maxViewport,
+            fluidMinFontSize: fluid.fontSize[0],
+            fluidMaxFontSize: fluid.fontSize[1],
+            fluidMinLineHeight: fluid.lineHeight[0],
+            fluidMaxLineHeight: fluid.lineHeight[1],
+            fluidMinLetterSpacing: fluid.letterSpacing[0],
+            fluidMaxLetterSpacing: fluid.letterSpacing[1]
+        };
+        
+        Object.entries(values).forEach(([id, value]) => {
+            const input = document.getElementById(id);
+            if (input) input.value = value;
+        });
+        
+        const enabled = document.getElementById('fluidEnabled');
+        if (enabled) enabled.checked = fluid.enabled;
     }
     
-    addEventListenerWithDebounce(id, event, callback, delay = 100) {
-        const element = document.getElementById(id);
-        if (element) {
-            element.addEventListener(event, this.debounce(callback, delay));
-        }
+    renderImportReport(report) {
+        const container = document.getElementById('cssImportReport');
+        if (!container) return;
+        
+        const source = report.selector ? ` from <code>${this.escapeHTML(report.selector)}</code>` : '';
+        const summary = report.imported || report.notes.length
+            ? `Imported ${report.imported} propert${report.imported === 1 ? 'y' : 'ies'}${source}.`
+            : 'No declarations found. Paste a rule such as <code>.text { font-size: 18px; }</code>.';
+        
+        const notes = report.notes.map(item => `
+            <li class="${item.skipped ? 'import-skipped' : 'import-adjusted'}">
+                <code>${this.escapeHTML(`${item.property}: ${item.value}`)}</code> ${this.escapeHTML(item.message)}
+            </li>
+        `).join('');
+        
+        container.innerHTML = `
+            <p class="import-summary">${summary}</p>
+            ${notes ? `<ul class="import-notes">${notes}</ul>` : ''}
+        `;
     }
     
-    addRangeListener(inputId, displayId, unit) {
-        const input = document.getElementById(inputId);
-        const display = document.getElementById(displayId);
+    generateFontFaceCSS(fontFamily, embed = false) {
+        const font = this.loadedFonts.get(fontFamily);
+        if (!font) return '';
         
-        if (input && display) {
-            const updateValue = () => {
-                display.textContent = input.value + unit;
-                this.updateRendering();
-            };
-            
-            input.addEventListener('input', this.debounce(updateValue, 50));
-        }
+        const fileUrl = font.fileName.replace(/["\\]/g, '\\$&');
+        // Embedded copies carry the font data for documents that can't reach the file
+        const mimeTypes = { truetype: 'font/ttf', opentype: 'font/otf', woff: 'font/woff', woff2: 'font/woff2' };
+        const src = embed
+            ? `url("data:${mimeTypes[font.format]};base64,${this.arrayBufferToBase64(font.buffer)}") format("${font.format}")`
+            : `local(${font.cssFamily}),
+         url("${fileUrl}") format("${font.format}")`;
+        
+        // Variable fonts advertise their weight and width ranges to the cascade
+        const axes = font.axes || [];
+        const wght = axes.find(axis => axis.tag === 'wght');
+        const wdth = axes.find(axis => axis.tag === 'wdth');
+        const ranges = [
+            wght ? `\n    font-weight: ${wght.min} ${wght.max};` : '',
+            wdth ? `\n    font-stretch: ${wdth.min}% ${wdth.max}%;` : ''
+        ].join('');
+        
+        return `@font-face {
+    font-family: ${font.cssFamily};
+    src: ${src};${ranges}
+    font-display: swap;
+}
+
+`;
     }
     
-    setActiveAlignment(button, alignment) {
-        document.querySelectorAll('.align-btn').forEach(btn => btn.classList.remove('active'));
-        button.classList.add('active');
-        this.currentAlignment = alignment;
-        this.updateRendering();
+    exportAsImage() {
+        const restoreView = this.showPreviewForExport();
+        const options = this.getImageExportOptions();
+        
+        this.renderPreviewImage(options)
+            .finally(restoreView)
+            .then(canvas => new Promise((resolve, reject) => {
+                canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Empty image')), 'image/png');
+            }))
+            .then(blob => {
+                const url = URL.createObjectURL(blob);
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = 'font-rendering-preview.png';
+                document.body.appendChild(a);
+                a.click();
+                document.body.removeChild(a);
+                URL.revokeObjectURL(url);
+                
+                this.showNotification('Image exported successfully!');
+            })
+            .catch(err => {
+                console.error('Image export failed:', err);
+                this.showNotification('Image export failed in this browser.', 'error');
+            });
     }
     
-    loadSampleText(sampleType) {
-        if (this.sampleTexts[sampleType]) {
-            this.textInput.value = this.sampleTexts[sampleType];
-            this.updateRendering();
-            
-            // Scroll to rendering area on mobile
-            if (window.innerWidth <= this.breakpoints.tablet) {
-                document.querySelector('.rendering-area').scrollIntoView({ 
-                    behavior: 'smooth',
-                    block: 'start'
-                });
-            }
-        }
+    getImageExportOptions() {
+        const background = document.getElementById('exportBackground')?.value || 'preview';
+        const choices = {
+            preview: () => this.getColorSettings().background,
+            custom: () => document.getElementById('exportBackgroundColor')?.value || '#ffffff'
+        };
+        return {
+            scale: parseFloat(document.getElementById('exportScale')?.value) || 2,
+            background: choices[background] ? choices[background]() : background,
+            padding: 20
+        };
     }
     
-    updateRendering() {
-        this.renderStartTime = performance.now();
+    renderPreviewImage(options) {
+        const element = this.renderedText;
+        const width = Math.ceil(element.getBoundingClientRect().width) || element.offsetWidth || 600;
+        // The full content height, so long texts grow the image instead of being clipped
+        const height = Math.ceil(element.scrollHeight) || element.offsetHeight || 100;
+        const size = { width: width + options.padding * 2, height: height + options.padding * 2 };
         
-        const text = this.textInput.value || "Type your text here to see advanced font rendering...";
+        const createCanvas = () => {
+            const canvas = document.createElement('canvas');
+            const ctx = canvas.getContext('2d');
+            if (!ctx) return null;
+            
+            canvas.width = Math.round(size.width * options.scale);
+            canvas.height = Math.round(size.height * options.scale);
+            ctx.scale(options.scale, options.scale);
+            ctx.imageSmoothingEnabled = true;
+            ctx.imageSmoothingQuality = 'high';
+            return { canvas, ctx };
+        };
+        const paintBackground = ctx => {
+            if (options.background !== 'transparent') {
+                ctx.fillStyle = options.background;
+                ctx.fillRect(0, 0, size.width, size.height);
+            }
+        };
         
-        // Get all control values
-        const controls = this.getControlValues();
+        const surface = createCanvas();
+        if (!surface) return Promise.reject(new Error('Canvas is not available'));
+        paintBackground(surface.ctx);
         
-        // Apply basic styling with CSS custom properties for better performance
-        this.applyBasicStyling(controls);
+        // Let the browser lay the text out again inside an SVG image, so features,
+        // hyphenation and justification come out exactly as in the preview
+        const svg = this.buildPreviewSVG(element, width, height, options.padding);
+        const image = new Image();
         
-        // Apply OpenType features
-        this.applyOpenTypeFeatures();
+        return new Promise((resolve, reject) => {
+            image.onload = () => resolve();
+            image.onerror = () => reject(new Error('Preview could not be rendered as SVG'));
+            image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+        }).then(() => {
+            surface.ctx.drawImage(image, 0, 0, size.width, size.height);
+            // Some browsers taint the canvas after drawing foreignObject; reading one pixel finds out now
+            surface.ctx.getImageData(0, 0, 1, 1);
+            return surface.canvas;
+        }).catch(err => {
+            // A tainted canvas stays tainted, so fall back on a fresh one, drawing each
+            // character where the preview placed it
+            console.warn('Falling back to measured glyph drawing:', err);
+            const fallback = createCanvas();
+            if (!fallback) throw err;
+            paintBackground(fallback.ctx);
+            this.drawMeasuredText(fallback.ctx, element, options.padding);
+            return fallback.canvas;
+        });
+    }
+    
+    buildPreviewSVG(element, width, height, padding) {
+        // Snapshot the computed style so the copy doesn't depend on this page's stylesheet
+        const computed = getComputedStyle(element);
+        const clone = element.cloneNode(false);
+        clone.removeAttribute('id');
+        clone.style.cssText = Array.from(computed)
+            .map(property => `${property}: ${computed.getPropertyValue(property)}`)
+            .join('; ');
+        clone.style.width = `${width}px`;
+        clone.style.margin = '0';
+        clone.style.transition = 'none';
+        clone.style.animation = 'none';
+        // Plain text: missing-glyph highlights are for the preview only
+        clone.textContent = element.textContent;
         
-        // Apply advanced layout optimizations
-        this.applyLayoutOptimizations(text);
+        const wrapper = document.createElement('div');
+        wrapper.style.padding = `${padding}px`;
         
-        // Update text content
-        this.renderedText.textContent = text;
+        // Fonts loaded from files aren't visible inside an SVG image, so embed them
+        const fontFace = this.generateFontFaceCSS(this.getControlValues().fontFamily, true);
+        if (fontFace) {
+            const style = document.createElement('style');
+            style.textContent = fontFace;
+            wrapper.appendChild(style);
+        }
+        wrapper.appendChild(clone);
         
-        // Update metrics
-        this.updateMetrics(text);
+        const totalWidth = width + padding * 2;
+        const totalHeight = height + padding * 2;
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${totalWidth}" height="${totalHeight}" viewBox="0 0 ${totalWidth} ${totalHeight}">` +
+            `<foreignObject x="0" y="0" width="100%" height="100%">${new XMLSerializer().serializeToString(wrapper)}</foreignObject>` +
+            '</svg>';
+    }
+    
+    drawMeasuredText(ctx, element, padding) {
+        const layout = this.getSpecimenLayout(element, padding);
+        const computed = layout.computed;
         
-        // Calculate and display performance
-        this.updatePerformanceMetrics();
+        ctx.font = `${computed.fontStyle} ${computed.fontWeight} ${computed.fontSize} ${computed.fontFamily}`;
+        ctx.fillStyle = layout.color;
+        ctx.textBaseline = 'alphabetic';
+        
+        // Positions already include spacing, kerning, justification and line breaks;
+        // only glyph substitutions such as ligatures are lost this way
+        layout.runs.forEach(run => {
+            ctx.save();
+            if (run.rtl) {
+                // Right-to-left words are drawn whole so their letters still join
+                ctx.direction = 'rtl';
+                ctx.textAlign = 'right';
+                ctx.fillText(run.text, run.right, run.top + layout.ascent);
+            } else if (layout.vertical) {
+                run.chars.forEach(({ char, left, right, top, sideways }) => {
+                    if (sideways) {
+                        // Turned a quarter clockwise, with the glyph's top towards the right of the column
+                        ctx.translate(right - layout.ascent, top);
+                        ctx.rotate(Math.PI / 2);
+                        ctx.fillText(char, 0, 0);
+                    } else {
+                        ctx.textAlign = 'center';
+                        ctx.fillText(char, (left + right) / 2, top + layout.ascent);
+                    }
+                });
+            } else {
+                run.chars.forEach(({ char, left }) => ctx.fillText(char, left, run.top + layout.ascent));
+            }
+            ctx.restore();
+        });
     }
     
-    getControlValues() {
+    getSpecimenLayout(element = this.renderedText, padding = 20) {
+        const computed = getComputedStyle(element);
+        const origin = element.getBoundingClientRect();
+        const writingMode = this.getWritingMode(element);
+        
         return {
-            fontFamily: document.getElementById('fontSelect')?.value || 'serif',
-            fontSize: document.getElementById('fontSize')?.value || '18',
-            fontWeight: document.getElementById('fontWeight')?.value || '400',
-            letterSpacing: document.getElementById('letterSpacing')?.value || '0',
-            lineHeight: document.getElementById('lineHeight')?.value || '1.4',
-            wordSpacing: document.getElementById('wordSpacing')?.value || '0'
+            computed,
+            vertical: this.isVerticalWritingMode(writingMode),
+            width: Math.ceil(origin.width || element.offsetWidth) + padding * 2,
+            height: Math.ceil(element.scrollHeight || element.offsetHeight) + padding * 2,
+            fontSize: parseFloat(computed.fontSize),
+            ascent: this.getContentAscent(computed),
+            color: computed.color || this.getColorSettings().foreground,
+            runs: this.collectTextRuns(element, origin.left - padding, origin.top - padding, writingMode)
         };
     }
     
-    applyBasicStyling(controls) {
-        const style = this.renderedText.style;
-        style.fontFamily = controls.fontFamily;
-        style.fontSize = controls.fontSize + 'px';
-        style.fontWeight = controls.fontWeight;
-        style.letterSpacing = controls.letterSpacing + 'px';
-        style.lineHeight = controls.lineHeight;
-        style.wordSpacing = controls.wordSpacing + 'px';
-        style.textAlign = this.currentAlignment;
-    }
-    
-    applyOpenTypeFeatures() {
-        const features = [];
-        const featureMap = {
-            'kerning': '"kern" 1',
-            'ligatures': '"liga" 1, "clig" 1',
-            'smallCaps': '"smcp" 1',
-            'oldstyleNums': '"onum" 1',
-            'tabularNums': '"tnum" 1, "lnum" 1',
-            'fractions': '"frac" 1'
-        };
+    collectTextRuns(element, originX, originY, writingMode = this.getWritingMode(element)) {
+        // Words as laid out: each run is a stretch of non-space characters on one line,
+        // with every character's box relative to the export origin. Vertical text is kept
+        // a character per run, each marked upright or turned sideways as the browser set it.
+        const hyphensAuto = element.style.hyphens === 'auto';
+        const vertical = this.isVerticalWritingMode(writingMode);
+        const orientation = getComputedStyle(element).textOrientation || this.textOrientation;
+        const runs = [];
+        let run = null;
+        let lineBottom = -Infinity;
+        let previousChar = '';
         
-        this.activeFeatures.forEach(feature => {
-            if (featureMap[feature]) {
-                features.push(featureMap[feature]);
+        this.forEachCharacterBox(element, (char, rect) => {
+            const isSpace = /\s/.test(char);
+            
+            if (rect && !(isSpace && rect.width === 0)) {
+                if (vertical) {
+                    run = null;
+                } else if (rect.top + rect.height / 2 > lineBottom) {
+                    // Words split by hyphens: auto get the hyphen the browser drew
+                    const splitWord = run && !isSpace && previousChar && !/[\s\u00AD\u2010-]/.test(previousChar);
+                    if (splitWord && hyphensAuto) {
+                        const last = run.chars[run.chars.length - 1];
+                        run.chars.push({ char: '\u2010', left: last.right, right: last.right });
+                        run.text += '\u2010';
+                    }
+                    run = null;
+                    lineBottom = rect.bottom;
+                }
+                lineBottom = Math.max(lineBottom, rect.bottom);
+                
+                // A soft hyphen only shows, as a real hyphen, where the line breaks
+                const visibleChar = char === '\u00AD' ? (rect.width > 0 ? '\u2010' : '') : char;
+                
+                if (isSpace) {
+                    run = null;
+                } else if (visibleChar) {
+                    const left = rect.left - originX;
+                    const right = rect.right - originX;
+                    if (!run) {
+                        run = { text: '', left, right, top: rect.top - originY, rtl: false, chars: [] };
+                        runs.push(run);
+                    }
+                    run.text += visibleChar;
+                    run.left = Math.min(run.left, left);
+                    run.right = Math.max(run.right, right);
+                    run.chars.push({
+                        char: visibleChar,
+                        left,
+                        right,
+                        top: rect.top - originY,
+                        sideways: vertical && this.isSidewaysInVertical(visibleChar, orientation)
+                    });
+                }
             }
+            previousChar = char;
         });
         
-        this.renderedText.style.fontFeatureSettings = features.join(', ') || 'normal';
-        
-        // Update active features count
-        const activeCount = document.getElementById('activeFeatures');
-        if (activeCount) {
-            activeCount.textContent = this.activeFeatures.size;
+        runs.forEach(textRun => {
+            textRun.rtl = !vertical && /[\p{Script=Arabic}\p{Script=Hebrew}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}]/u.test(textRun.text);
+        });
+        return runs;
+    }
+    
+    isSidewaysInVertical(char, orientation) {
+        // text-orientation: mixed keeps CJK, kana, Hangul and full-width forms upright and turns the rest
+        if (orientation === 'upright') return false;
+        if (orientation === 'sideways') return true;
+        return !/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Bopomofo}\u3000-\u303f\uff00-\uffef]/u.test(char);
+    }
+    
+    getContentAscent(computed) {
+        // Glyph rects span the font's ascent and descent, so the baseline sits one ascent down
+        const ctx = this.getMeasureContext();
+        if (ctx) {
+            ctx.font = `${computed.fontStyle} ${computed.fontWeight} ${computed.fontSize} ${computed.fontFamily}`;
+            const ascent = ctx.measureText('Hg').fontBoundingBoxAscent;
+            if (ascent) return ascent;
         }
+        return parseFloat(computed.fontSize) * 0.8;
     }
     
-    applyLayoutOptimizations(text) {
-        const style = this.renderedText.style;
+    parseColor(color) {
+        // Hex or rgb()/rgba() as returned by getComputedStyle, to 0-255 channels
+        const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color.trim());
+        if (hex) {
+            const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+            return {
+                r: parseInt(digits.slice(0, 2), 16),
+                g: parseInt(digits.slice(2, 4), 16),
+                b: parseInt(digits.slice(4, 6), 16),
+                a: 1
+            };
+        }
         
-        // Apply hyphenation
-        if (this.hyphenation) {
-            style.hyphens = 'auto';
-            style.hyphenateCharacter = '‐';
-        } else {
-            style.hyphens = 'manual';
+        const rgb = /rgba?\(([^)]+)\)/.exec(color);
+        if (rgb) {
+            const [r, g, b, a = 1] = rgb[1].split(/[\s,/]+/).filter(Boolean).map(parseFloat);
+            return { r, g, b, a };
         }
         
-        // Apply layout optimization
-        if (this.layoutOptimization) {
-            style.textRendering = 'optimizeLegibility';
-            style.fontOpticalSizing = 'auto';
-            style.fontVariantLigatures = 'common-ligatures contextual';
-        } else {
-            style.textRendering = 'auto';
-            style.fontOpticalSizing = 'none';
-            style.fontVariantLigatures = 'normal';
+        return { r: 0, g: 0, b: 0, a: 1 };
+    }
+    
+    buildContrastLevels() {
+        // WCAG 2 large text is 18pt, or 14pt bold; APCA levels follow its Bronze simple mode,
+        // each with the smallest size and weight pairs it allows
+        return {
+            wcag: [
+                { name: 'AA body text', ratio: 4.5, large: false },
+                { name: 'AA large text', ratio: 3, large: true },
+                { name: 'AAA body text', ratio: 7, large: false },
+                { name: 'AAA large text', ratio: 4.5, large: true }
+            ],
+            apca: [
+                { name: 'APCA fluent body text', lc: 90, fonts: [[18, 300], [14, 500]] },
+                { name: 'APCA body text', lc: 75, fonts: [[24, 300], [18, 400], [16, 500], [14, 700]] },
+                { name: 'APCA content text', lc: 60, fonts: [[48, 200], [36, 300], [24, 400], [21, 500], [18, 600], [16, 700]] },
+                { name: 'APCA headlines', lc: 45, fonts: [[36, 400], [24, 700]] }
+            ]
+        };
+    }
+    
+    getColorSettings() {
+        return {
+            foreground: document.getElementById('textColor')?.value || '#2c3e50',
+            background: document.getElementById('backgroundColor')?.value || '#ffffff'
+        };
+    }
+    
+    applyColorSettings(colors) {
+        // Only #rrggbb, the one format color inputs accept
+        [['foreground', 'textColor'], ['background', 'backgroundColor']].forEach(([key, id]) => {
+            const input = document.getElementById(id);
+            if (input && /^#[0-9a-f]{6}$/i.test(colors[key] || '')) input.value = colors[key].toLowerCase();
+        });
+    }
+    
+    applyPreviewColors() {
+        // Inline, so the chosen colors also win over the dark theme
+        const { foreground, background } = this.getColorSettings();
+        document.querySelectorAll('.rendering-canvas, .waterfall-view, .specimen-view, .type-scale-preview').forEach(element => {
+            element.style.color = foreground;
+            element.style.backgroundColor = background;
+        });
+        this.renderedText.style.color = foreground;
+    }
+    
+    formatHexColor({ r, g, b }) {
+        return `#${[r, g, b].map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+    }
+    
+    normalizeColor(value) {
+        // The canvas parses any CSS color and reads it back as hex, or rgba() when translucent
+        const ctx = this.getMeasureContext();
+        if (!ctx) return /^#[0-9a-f]{6}$/i.test(value) ? value.toLowerCase() : null;
+        
+        ctx.fillStyle = '#000000';
+        ctx.fillStyle = value;
+        const parsed = ctx.fillStyle;
+        ctx.fillStyle = '#ffffff';
+        ctx.fillStyle = value;
+        // An unparseable value leaves the previous fill in place both times
+        if (ctx.fillStyle !== parsed) return null;
+        const color = this.parseColor(parsed);
+        return color.a === 0 ? null : this.formatHexColor(color);
+    }
+    
+    getRelativeLuminance({ r, g, b }) {
+        // WCAG 2 relative luminance of sRGB channels
+        const linear = channel => {
+            const value = channel / 255;
+            return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+        };
+        return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+    }
+    
+    getContrastRatio(foreground, background) {
+        const [lighter, darker] = [foreground, background]
+            .map(color => this.getRelativeLuminance(this.parseColor(color)))
+            .sort((a, b) => b - a);
+        return (lighter + 0.05) / (darker + 0.05);
+    }
+    
+    getAPCAContrast(foreground, background) {
+        // APCA-W3 0.0.98G lightness contrast, Lc; negative for light text on a dark background
+        const luminance = color => {
+            const { r, g, b } = this.parseColor(color);
+            const y = [[r, 0.2126729], [g, 0.7151522], [b, 0.0721750]]
+                .reduce((sum, [channel, coefficient]) => sum + Math.pow(channel / 255, 2.4) * coefficient, 0);
+            // Soft clamp near black, where screens flare
+            return y > 0.022 ? y : y + Math.pow(0.022 - y, 1.414);
+        };
+        const text = luminance(foreground);
+        const back = luminance(background);
+        if (Math.abs(back - text) < 0.0005) return 0;
+        
+        if (back > text) {
+            const contrast = (Math.pow(back, 0.56) - Math.pow(text, 0.57)) * 1.14;
+            return contrast < 0.1 ? 0 : (contrast - 0.027) * 100;
         }
-        
-        // Calculate layout score based on various factors
-        this.calculateLayoutScore(text);
+        const contrast = (Math.pow(back, 0.65) - Math.pow(text, 0.62)) * 1.14;
+        return contrast > -0.1 ? 0 : (contrast + 0.027) * 100;
     }
     
-    calculateLayoutScore(text) {
-        let score = 100;
+    renderContrastReport(controls) {
+        const table = document.getElementById('contrastTable');
+        if (!table) return;
         
-        // Penalty for very long lines (reduces readability)
-        const avgLineLength = text.length / (text.split('\n').length || 1);
-        if (avgLineLength > 80) score -= 10;
+        const { foreground, background } = this.getColorSettings();
+        const ratio = this.getContrastRatio(foreground, background);
+        const lc = this.getAPCAContrast(foreground, background);
+        const fontSize = parseFloat(controls.fontSize);
+        // A variable font's weight axis is the weight actually drawn
+        const fontWeight = parseFloat(controls.variations?.wght ?? controls.fontWeight);
+        const large = fontSize >= 24 || (fontSize >= 18.66 && fontWeight >= 700);
+        const fits = fonts => fonts.some(([size, weight]) => fontSize >= size && fontWeight >= weight);
         
-        // Bonus for optimal line height
-        const lineHeight = parseFloat(document.getElementById('lineHeight').value);
-        if (lineHeight >= 1.4 && lineHeight <= 1.6) score += 5;
+        const ratioDisplay = document.getElementById('contrastRatio');
+        if (ratioDisplay) ratioDisplay.textContent = `${(Math.floor(ratio * 100) / 100).toFixed(2)}:1`;
+        const apcaDisplay = document.getElementById('apcaScore');
+        if (apcaDisplay) apcaDisplay.textContent = `Lc ${lc.toFixed(1)}`;
         
-        // Bonus for using ligatures with appropriate text
-        if (this.activeFeatures.has('ligatures') && this.hasCommonLigatures(text)) {
-            score += 5;
+        const bodyLevel = this.contrastLevels.apca.slice(0, 2).reverse().find(level => fits(level.fonts));
+        const summary = document.getElementById('contrastSummary');
+        if (summary) {
+            summary.textContent = `${fontSize}px at weight ${Math.round(fontWeight)} is ${large ? 'large' : 'body'} text for WCAG; ` +
+                (bodyLevel ? `APCA needs Lc ${bodyLevel.lc} for body text at this size` : 'APCA considers it too small for body text');
         }
         
-        // Penalty for extreme letter spacing
-        const letterSpacing = parseFloat(document.getElementById('letterSpacing').value);
-        if (Math.abs(letterSpacing) > 2) score -= 5;
-        
-        this.layoutScore = Math.max(0, Math.min(100, score));
+        const row = (level, needs, passed, current, note = '') => `
+            <tr${current ? ' class="current-level"' : ''}>
+                <td>${level}</td>
+                <td>${needs}</td>
+                <td class="${passed ? 'contrast-pass' : 'contrast-fail'}">${passed ? '✓ Pass' : `✗ ${note || 'Fail'}`}</td>
+            </tr>
+        `;
+        table.innerHTML = [
+            ...this.contrastLevels.wcag.map(level => row(level.name, `${level.ratio}:1`, ratio >= level.ratio, level.large === large)),
+            ...this.contrastLevels.apca.map(level => {
+                const sized = fits(level.fonts);
+                return row(level.name, `Lc ${level.lc}`, sized && Math.abs(lc) >= level.lc, level === bodyLevel, sized ? '' : 'Text too small');
+            })
+        ].join('');
     }
     
-    hasCommonLigatures(text) {
-        const commonLigatures = ['fi', 'fl', 'ff', 'ffi', 'ffl'];
-        return commonLigatures.some(lig => text.includes(lig));
+    exportAsSVG() {
+        const restoreView = this.showPreviewForExport();
+        try {
+            this.downloadPreviewSVG();
+        } finally {
+            restoreView();
+        }
     }
     
-    updateMetrics(text) {
-        const metrics = this.calculateTextMetrics(text);
+    downloadPreviewSVG() {
+        const mode = document.getElementById('svgTextMode')?.value || 'text';
+        const options = this.getImageExportOptions();
+        const font = this.getSelectedFont();
+        const layout = this.getSpecimenLayout(this.renderedText, options.padding);
         
-        // Update metric displays
-        this.updateMetricDisplay('charCount', metrics.characters);
-        this.updateMetricDisplay('wordCount', metrics.words);
-        this.updateMetricDisplay('lineCount', metrics.lines);
-        this.updateMetricDisplay('layoutScore', this.layoutScore);
-    }
-    
-    calculateTextMetrics(text) {
-        // More accurate word counting that handles various languages
-        const words = text.trim() === '' ? 0 : text.trim().split(/\s+/).length;
+        if (layout.runs.length === 0) {
+            this.showNotification('Nothing to export: the preview has not been laid out yet.', 'warning');
+            return;
+        }
+        if (mode === 'outlines' && !font?.parser?.hasOutlines()) {
+            this.showNotification('Outlines need a loaded TTF, OTF or WOFF file. Use live text for system fonts.', 'warning');
+            return;
+        }
         
-        // Calculate approximate line count based on container width
-        const containerWidth = this.renderedText.offsetWidth;
-        const fontSize = parseInt(document.getElementById('fontSize').value);
-        const avgCharWidth = fontSize * 0.6; // Approximate character width
-        const charsPerLine = Math.floor(containerWidth / avgCharWidth) || 1;
-        const lines = Math.ceil(text.length / charsPerLine) || 1;
+        const svg = mode === 'outlines'
+            ? this.buildOutlineSVG(layout, font, options)
+            : this.buildTextSVG(layout, options);
         
-        return {
-            characters: text.length,
-            words: words,
-            lines: lines
-        };
+        this.downloadFile('font-rendering-preview.svg', svg, 'image/svg+xml');
+        this.showNotification(mode === 'outlines' ? 'SVG exported with outlined text!' : 'SVG exported with live text!');
     }
     
-    updateMetricDisplay(id, value) {
-        const element = document.getElementById(id);
-        if (element) {
-            // Animate number changes
-            const currentValue = parseInt(element.textContent) || 0;
-            if (currentValue !== value) {
-                this.animateValue(element, currentValue, value, 300);
-            }
-        }
+    buildSVGDocument(layout, options, content, defs = '') {
+        const background = options.background === 'transparent'
+            ? ''
+            : `\n    <rect width="100%" height="100%" fill="${this.escapeHTML(options.background)}"/>`;
+        
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" lang="${this.language}" width="${layout.width}" height="${layout.height}" viewBox="0 0 ${layout.width} ${layout.height}">${defs}${background}
+${content}
+</svg>`;
     }
     
-    animateValue(element, start, end, duration) {
-        const startTime = performance.now();
-        const difference = end - start;
+    buildTextSVG(layout, options) {
+        const computed = layout.computed;
+        const controls = this.getControlValues();
+        const round = value => Math.round(value * 100) / 100;
         
-        const updateValue = (currentTime) => {
-            const elapsed = currentTime - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-            const currentValue = Math.round(start + (difference * this.easeOutQuart(progress)));
-            
-            element.textContent = currentValue;
-            
-            if (progress < 1) {
-                requestAnimationFrame(updateValue);
+        // Every word sits where the preview put it, so justification and breaks survive;
+        // within a word the font's own shaping and features apply
+        const fontFace = this.generateFontFaceCSS(controls.fontFamily, true);
+        const defs = fontFace ? `\n    <defs>\n        <style><![CDATA[\n${fontFace}]]></style>\n    </defs>` : '';
+        const style = [
+            `font-feature-settings: ${computed.fontFeatureSettings || 'normal'}`,
+            `font-variation-settings: ${computed.fontVariationSettings || 'normal'}`,
+            `font-kerning: ${computed.fontKerning || 'auto'}`,
+            `letter-spacing: ${computed.letterSpacing}`
+        ].join('; ');
+        
+        // Right-to-left words are anchored at their right edge; vertical text is placed a character at a time
+        const spans = layout.runs.flatMap(run => {
+            if (run.rtl) {
+                return [`        <tspan x="${round(run.right)}" y="${round(run.top + layout.ascent)}" text-anchor="end">${this.escapeHTML(run.text)}</tspan>`];
             }
-        };
+            if (layout.vertical) {
+                return run.chars.map(({ char, left, right, top, sideways }) => sideways
+                    ? `        <tspan x="${round(right - layout.ascent)}" y="${round(top)}" rotate="90">${this.escapeHTML(char)}</tspan>`
+                    : `        <tspan x="${round((left + right) / 2)}" y="${round(top + layout.ascent)}" text-anchor="middle">${this.escapeHTML(char)}</tspan>`);
+            }
+            return [`        <tspan x="${round(run.left)}" y="${round(run.top + layout.ascent)}">${this.escapeHTML(run.text)}</tspan>`];
+        }).join('\n');
         
-        requestAnimationFrame(updateValue);
+        const content = `    <text font-family="${this.escapeHTML(computed.fontFamily)}" font-size="${layout.fontSize}" font-weight="${computed.fontWeight}" font-style="${computed.fontStyle}" fill="${this.escapeHTML(layout.color)}" style="${this.escapeHTML(style)}" xml:space="preserve">
+${spans}
+    </text>`;
+        
+        return this.buildSVGDocument(layout, options, content, defs);
     }
     
-    easeOutQuart(t) {
-        return 1 - Math.pow(1 - t, 4);
+    buildOutlinePath(layout, font, format) {
+        // One path for the whole specimen: each character's cmap glyph, scaled and flipped
+        // onto its measured position. Substitutions such as ligatures and Arabic joining
+        // forms are not applied.
+        const parser = font.parser;
+        const cmap = parser.getCharacterMap();
+        const scale = layout.fontSize / (font.info?.unitsPerEm || 1000);
+        const round = value => Math.round(value * 100) / 100;
+        const parts = [];
+        let skipped = 0;
+        
+        layout.runs.forEach(run => {
+            run.chars.forEach(({ char, left, right, top, sideways }) => {
+                const glyphId = cmap.get(char.codePointAt(0));
+                if (glyphId === undefined) {
+                    skipped++;
+                    return;
+                }
+                
+                // Sideways glyphs in vertical text run down the column with their top to the right;
+                // upright ones are centred in it
+                let point;
+                if (sideways) {
+                    point = (x, y) => [round(right - layout.ascent + y * scale), round(top + x * scale)];
+                } else {
+                    const advance = layout.vertical ? (parser.getGlyphMetrics(glyphId)?.advanceWidth || 0) * scale : 0;
+                    const originX = layout.vertical ? (left + right - advance) / 2 : left;
+                    const baseline = (layout.vertical ? top : run.top) + layout.ascent;
+                    point = (x, y) => [round(originX + x * scale), round(baseline - y * scale)];
+                }
+                let current = [0, 0];
+                
+                parser.getGlyphOutline(glyphId).forEach(([type, ...coordinates]) => {
+                    const points = [];
+                    for (let i = 0; i < coordinates.length; i += 2) {
+                        points.push(point(coordinates[i], coordinates[i + 1]));
+                    }
+                    
+                    if (format === 'pdf') {
+                        if (type === 'M') parts.push(`${points[0].join(' ')} m`);
+                        else if (type === 'L') parts.push(`${points[0].join(' ')} l`);
+                        else if (type === 'C') parts.push(`${points.flat().join(' ')} c`);
+                        else if (type === 'Q') {
+                            // PDF only has cubic curves; raise the quadratic's degree
+                            const [control, end] = points;
+                            const c1 = current.map((value, i) => round(value + (control[i] - value) * 2 / 3));
+                            const c2 = end.map((value, i) => round(value + (control[i] - value) * 2 / 3));
+                            parts.push(`${c1.join(' ')} ${c2.join(' ')} ${end.join(' ')} c`);
+                        } else if (type === 'Z') parts.push('h');
+                    } else {
+                        parts.push(type === 'Z' ? 'Z' : `${type}${points.flat().join(' ')}`);
+                    }
+                    
+                    if (points.length) current = points[points.length - 1];
+                });
+            });
+        });
+        
+        return { path: parts.join(format === 'pdf' ? '\n' : ''), skipped };
     }
     
-    updatePerformanceMetrics() {
-        const renderTime = Math.round(performance.now() - this.renderStartTime);
-        this.updateMetricDisplay('renderTime', renderTime + 'ms');
+    buildOutlineSVG(layout, font, options) {
+        const { path, skipped } = this.buildOutlinePath(layout, font, 'svg');
+        if (skipped) {
+            this.showNotification(`${skipped} character${skipped === 1 ? ' is' : 's are'} not in ${font.family} and were left out.`, 'warning');
+        }
+        
+        const content = `    <path fill="${this.escapeHTML(layout.color)}" d="${path}"/>`;
+        return this.buildSVGDocument(layout, options, content);
     }
     
-    toggleFullscreen() {
-        const renderingArea = document.querySelector('.rendering-area');
-        const fullscreenBtn = document.getElementById('fullscreenToggle');
+    exportAsPDF() {
+        const restoreView = this.showPreviewForExport();
+        const options = this.getImageExportOptions();
+        const font = this.getSelectedFont();
+        const layout = this.getSpecimenLayout(this.renderedText, options.padding);
+        const vector = Boolean(font?.parser?.hasOutlines()) && layout.runs.length > 0;
         
-        if (!this.isFullscreen) {
-            renderingArea.classList.add('fullscreen-mode');
-            fullscreenBtn.textContent = '⛞';
-            fullscreenBtn.setAttribute('aria-label', 'Exit fullscreen');
-            this.isFullscreen = true;
-        } else {
-            renderingArea.classList.remove('fullscreen-mode');
-            fullscreenBtn.textContent = '⛶';
-            fullscreenBtn.setAttribute('aria-label', 'Enter fullscreen');
-            this.isFullscreen = false;
-        }
+        // Vector outlines when the font's glyph data is available, otherwise an embedded image
+        const pdf = vector
+            ? Promise.resolve(this.buildVectorPDF(layout, font, options))
+            : this.buildRasterPDF(layout, options);
+        
+        pdf.finally(restoreView).then(bytes => {
+            this.downloadFile('font-rendering-preview.pdf', bytes, 'application/pdf');
+            this.showNotification(vector
+                ? 'PDF exported with outlined text!'
+                : 'PDF exported as an image; load a font file for vector outlines.', vector ? 'success' : 'info');
+        }).catch(err => {
+            console.error('PDF export failed:', err);
+            this.showNotification('PDF export failed in this browser.', 'error');
+        });
     }
     
-    exportCSS() {
-        const controls = this.getControlValues();
-        const features = Array.from(this.activeFeatures);
+    formatPDFColor(color, operator) {
+        const { r, g, b } = this.parseColor(color);
+        return `${[r, g, b].map(channel => (channel / 255).toFixed(3)).join(' ')} ${operator}`;
+    }
+    
+    buildVectorPDF(layout, font, options) {
+        const { path } = this.buildOutlinePath(layout, font, 'pdf');
         
-        const css = this.generateCSS(controls, features);
+        // Flip to a top-left origin in CSS pixels, 0.75pt each
+        const content = [
+            `0.75 0 0 -0.75 0 ${layout.height * 0.75} cm`,
+            options.background === 'transparent'
+                ? ''
+                : `${this.formatPDFColor(options.background, 'rg')}\n0 0 ${layout.width} ${layout.height} re f`,
+            this.formatPDFColor(layout.color, 'rg'),
+            path,
+            'f'
+        ].filter(Boolean).join('\n');
         
-        this.downloadFile('font-styles.css', css, 'text/css');
-        this.showNotification('CSS exported successfully!');
+        return this.buildPDF(layout.width * 0.75, layout.height * 0.75, content);
     }
     
-    generateCSS(controls, features) {
-        const featureMap = {
-            'kerning': '"kern" 1',
-            'ligatures': '"liga" 1, "clig" 1',
-            'smallCaps': '"smcp" 1',
-            'oldstyleNums': '"onum" 1',
-            'tabularNums': '"tnum" 1, "lnum" 1',
-            'fractions': '"frac" 1'
-        };
+    buildRasterPDF(layout, options) {
+        // JPEG has no alpha, so a transparent background becomes white
+        const background = options.background === 'transparent' ? '#ffffff' : options.background;
         
-        const fontFeatures = features
-            .map(feature => featureMap[feature])
-            .filter(Boolean)
-            .join(', ');
-            
-        return `/* Advanced Font Rendering Styles */
-.custom-typography {
-    font-family: ${controls.fontFamily};
-    font-size: ${controls.fontSize}px;
-    font-weight: ${controls.fontWeight};
-    letter-spacing: ${controls.letterSpacing}px;
-    line-height: ${controls.lineHeight};
-    word-spacing: ${controls.wordSpacing}px;
-    text-align: ${this.currentAlignment};
-    ${fontFeatures ? `font-feature-settings: ${fontFeatures};` : ''}
-    ${this.hyphenation ? 'hyphens: auto;' : ''}
-    ${this.layoutOptimization ? `
-    text-rendering: optimizeLegibility;
-    font-optical-sizing: auto;
-    font-variant-ligatures: common-ligatures contextual;` : ''}
-}
-
-/* Responsive adjustments */
-@media (max-width: 768px) {
-    .custom-typography {
-        font-size: ${Math.max(14, parseInt(controls.fontSize) * 0.9)}px;
-        line-height: ${Math.max(1.2, parseFloat(controls.lineHeight) * 0.95)};
-    }
-}
-
-@media (max-width: 480px) {
-    .custom-typography {
-        font-size: ${Math.max(12, parseInt(controls.fontSize) * 0.8)}px;
-        letter-spacing: ${Math.max(0, parseFloat(controls.letterSpacing) * 0.8)}px;
-    }
-}`;
+        return this.renderPreviewImage({ ...options, background, scale: 3 })
+            .then(canvas => new Promise((resolve, reject) => {
+                canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Empty image')), 'image/jpeg', 0.95);
+            }))
+            .then(blob => blob.arrayBuffer().then(buffer => ({ buffer, width: Math.round(layout.width * 3), height: Math.round(layout.height * 3) })))
+            .then(image => {
+                const pageWidth = layout.width * 0.75;
+                const pageHeight = layout.height * 0.75;
+                const content = `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Im0 Do Q`;
+                return this.buildPDF(pageWidth, pageHeight, content, image);
+            });
     }
     
-    exportAsImage() {
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        const renderingCanvas = document.querySelector('.rendering-canvas');
-        const text = this.textInput.value || "Sample text";
-        
-        // Set canvas size based on content
-        const devicePixelRatio = window.devicePixelRatio || 1;
-        canvas.width = renderingCanvas.offsetWidth * devicePixelRatio;
-        canvas.height = renderingCanvas.offsetHeight * devicePixelRatio;
-        
-        // Scale context for high DPI displays
-        ctx.scale(devicePixelRatio, devicePixelRatio);
-        ctx.imageSmoothingEnabled = true;
-        ctx.imageSmoothingQuality = 'high';
-        
-        // Set background
-        ctx.fillStyle = '#ffffff';
-        ctx.fillRect(0, 0, canvas.width / devicePixelRatio, canvas.height / devicePixelRatio);
+    buildPDF(pageWidth, pageHeight, content, image = null) {
+        // A minimal single-page PDF 1.4; objects are strings or, for the JPEG, raw bytes
+        const encoder = new TextEncoder();
+        const resources = image ? '/Resources << /XObject << /Im0 5 0 R >> >>' : '/Resources << >>';
+        const objects = [
+            `<< /Type /Catalog /Pages 2 0 R /Lang (${this.language}) >>`,
+            '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth.toFixed(2)} ${pageHeight.toFixed(2)}] ${resources} /Contents 4 0 R >>`,
+            `<< /Length ${encoder.encode(content).length} >>\nstream\n${content}\nendstream`
+        ];
+        if (image) {
+            objects.push([
+                `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.buffer.byteLength} >>\nstream\n`,
+                new Uint8Array(image.buffer),
+                '\nendstream'
+            ]);
+        }
+        objects.push('<< /Title (Font Rendering Preview) /Producer (Advanced Font Rendering Engine) >>');
+        const infoId = objects.length;
         
-        // Apply text styles
-        const controls = this.getControlValues();
-        ctx.font = `${controls.fontWeight} ${controls.fontSize}px ${controls.fontFamily}`;
-        ctx.fillStyle = '#2c3e50';
-        ctx.textBaseline = 'top';
-        
-        // Draw text with proper line wrapping
-        this.drawWrappedText(ctx, text, 20, 20, canvas.width / devicePixelRatio - 40, parseInt(controls.fontSize) * parseFloat(controls.lineHeight));
-        
-        // Convert to blob and download
-        canvas.toBlob(blob => {
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = 'font-rendering-preview.png';
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-            
-            this.showNotification('Image exported successfully!');
-        }, 'image/png', 0.9);
-    }
-    
-    drawWrappedText(ctx, text, x, y, maxWidth, lineHeight) {
-        const words = text.split(' ');
-        let line = '';
-        let currentY = y;
-        
-        for (let i = 0; i < words.length; i++) {
-            const testLine = line + words[i] + ' ';
-            const metrics = ctx.measureText(testLine);
-            const testWidth = metrics.width;
-            
-            if (testWidth > maxWidth && i > 0) {
-                ctx.fillText(line, x, currentY);
-                line = words[i] + ' ';
-                currentY += lineHeight;
-            } else {
-                line = testLine;
-            }
+        const chunks = [];
+        const offsets = [];
+        let length = 0;
+        const write = part => {
+            const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+            chunks.push(bytes);
+            length += bytes.length;
+        };
+        
+        write('%PDF-1.4\n%\u00E2\u00E3\u00CF\u00D3\n');
+        objects.forEach((object, index) => {
+            offsets.push(length);
+            write(`${index + 1} 0 obj\n`);
+            [].concat(object).forEach(write);
+            write('\nendobj\n');
+        });
+        
+        const xref = length;
+        write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+        offsets.forEach(offset => write(`${String(offset).padStart(10, '0')} 00000 n \n`));
+        write(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${infoId} 0 R >>\nstartxref\n${xref}\n%%EOF`);
+        
+        const pdf = new Uint8Array(length);
+        let position = 0;
+        chunks.forEach(chunk => {
+            pdf.set(chunk, position);
+            position += chunk.length;
+        });
+        return pdf;
+    }
+    
+    arrayBufferToBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        // Chunked so large fonts don't overflow the argument list
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
         }
-        ctx.fillText(line, x, currentY);
+        return btoa(binary);
     }
     
     copyFormattedText() {
@@ -620,7 +6270,8 @@ class FontRenderingEngine {
         // Create a temporary element with the same styling
         const tempDiv = document.createElement('div');
         tempDiv.style.cssText = this.renderedText.style.cssText;
-        tempDiv.textContent = text;
+        tempDiv.lang = this.language;
+        tempDiv.textContent = this.hyphenateText(text);
         tempDiv.style.position = 'absolute';
         tempDiv.style.left = '-9999px';
         document.body.appendChild(tempDiv);
@@ -647,7 +6298,7 @@ class FontRenderingEngine {
         document.body.removeChild(tempDiv);
     }
     
-    fallbackCopyText(text) {
+    fallbackCopyText(text, message = 'Text copied!') {
         const textArea = document.createElement('textarea');
         textArea.value = text;
         textArea.style.position = 'fixed';
@@ -658,7 +6309,7 @@ class FontRenderingEngine {
         
         try {
             document.execCommand('copy');
-            this.showNotification('Text copied!');
+            this.showNotification(message);
         } catch (err) {
             this.showNotification('Copy failed. Please select and copy manually.', 'error');
         }
@@ -666,6 +6317,461 @@ class FontRenderingEngine {
         document.body.removeChild(textArea);
     }
     
+    getSessionState() {
+        const value = id => document.getElementById(id)?.value;
+        const fluid = this.getFluidSettings();
+        
+        return {
+            version: this.sessionVersion,
+            text: this.textInput.value,
+            typography: this.serializeTypographyState(this.getTypographyState()),
+            panes: this.comparisonPanes.map(state => this.serializeTypographyState(state)),
+            activePane: this.activePane,
+            lockedParameters: Array.from(this.lockedParameters),
+            hyphenation: this.hyphenation,
+            layoutOptimization: this.layoutOptimization,
+            language: this.language,
+            direction: this.direction,
+            writingMode: this.writingMode,
+            textOrientation: this.textOrientation,
+            view: this.currentView,
+            fluid: {
+                enabled: Boolean(document.getElementById('fluidEnabled')?.checked),
+                minViewport: fluid.minViewport,
+                maxViewport: fluid.maxViewport,
+                viewport: fluid.viewport,
+                fontSize: fluid.fontSize,
+                lineHeight: fluid.lineHeight,
+                letterSpacing: fluid.letterSpacing
+            },
+            typeScale: {
+                enabled: Boolean(document.getElementById('typeScaleEnabled')?.checked),
+                ratio: value('typeScaleRatio'),
+                customRatio: value('typeScaleCustomRatio')
+            },
+            colors: this.getColorSettings(),
+            rhythm: this.getRhythmSettings(),
+            export: {
+                format: value('exportFormat'),
+                name: value('exportName'),
+                scale: value('exportScale'),
+                background: value('exportBackground'),
+                backgroundColor: value('exportBackgroundColor'),
+                svgTextMode: value('svgTextMode')
+            }
+        };
+    }
+    
+    serializeTypographyState(state) {
+        return { ...state, variations: { ...state.variations }, features: Array.from(state.features) };
+    }
+    
+    normaliseTypographyState(raw, base) {
+        // Anything missing or malformed keeps the value from base
+        const state = this.cloneTypographyState(base);
+        if (!raw || typeof raw !== 'object') return state;
+        
+        if (typeof raw.fontFamily === 'string') state.fontFamily = raw.fontFamily;
+        ['fontSize', 'fontWeight', 'letterSpacing', 'lineHeight', 'wordSpacing'].forEach(key => {
+            if (Number.isFinite(parseFloat(raw[key]))) state[key] = String(parseFloat(raw[key]));
+        });
+        if (this.alignments.includes(raw.alignment)) state.alignment = raw.alignment;
+        
+        if (Array.isArray(raw.features)) {
+            state.features = new Map(raw.features.filter(entry =>
+                Array.isArray(entry) && typeof entry[0] === 'string' && entry[0].length === 4 && Number.isInteger(entry[1])
+            ));
+        }
+        if (raw.variations && typeof raw.variations === 'object') {
+            state.variations = Object.fromEntries(Object.entries(raw.variations).filter(([, coordinate]) => Number.isFinite(coordinate)));
+        }
+        
+        return state;
+    }
+    
+    migrateSessionState(data) {
+        // Each migration lifts a state by one version; fields a state lacks keep their defaults,
+        // so states from before a control existed still load
+        if (!data || typeof data !== 'object' || !Number.isInteger(data.version)) return null;
+        
+        let session = data;
+        while (session.version < this.sessionVersion && this.sessionMigrations[session.version]) {
+            session = { ...this.sessionMigrations[session.version](session), version: session.version + 1 };
+        }
+        return session;
+    }
+    
+    setControlValue(id, value) {
+        // Only values the control offers, so a stale state can't blank a select
+        const control = document.getElementById(id);
+        if (!control || value === undefined || value === null) return;
+        if (control.tagName === 'SELECT' && !Array.from(control.options).some(option => option.value === String(value))) return;
+        control.value = value;
+    }
+    
+    applySessionState(data) {
+        const migrated = this.migrateSessionState(data);
+        if (!migrated) return false;
+        
+        // Start from the defaults the page opened with, not whatever is on screen
+        const defaults = this.defaultSession;
+        const section = key => (migrated[key] && typeof migrated[key] === 'object' ? migrated[key] : {});
+        const session = {
+            ...defaults,
+            ...migrated,
+            fluid: { ...defaults.fluid, ...section('fluid') },
+            typeScale: { ...defaults.typeScale, ...section('typeScale') },
+            colors: { ...defaults.colors, ...section('colors') },
+            rhythm: { ...defaults.rhythm, ...section('rhythm') },
+            export: { ...defaults.export, ...section('export') }
+        };
+        
+        const base = this.normaliseTypographyState(defaults.typography, this.getTypographyState());
+        const missingFonts = new Set();
+        const restore = raw => this.restoreTypographyState(raw, base, missingFonts);
+        
+        this.textInput.value = typeof session.text === 'string' ? session.text : defaults.text;
+        
+        [['hyphenation', 'hyphenation'], ['layoutOptimization', 'optimizeLayout']].forEach(([key, id]) => {
+            this[key] = typeof session[key] === 'boolean' ? session[key] : defaults[key];
+            const input = document.getElementById(id);
+            if (input) input.checked = this[key];
+        });
+        
+        // Language and writing settings fall back to their defaults unless a control offers the saved value
+        const offered = (id, value) => Array.from(document.getElementById(id)?.options || []).some(option => option.value === value);
+        this.applyWritingSettings({
+            language: offered('textLanguage', session.language) ? session.language : defaults.language,
+            direction: offered('textDirection', session.direction) ? session.direction : defaults.direction,
+            writingMode: offered('writingMode', session.writingMode) ? session.writingMode : defaults.writingMode,
+            textOrientation: offered('textOrientation', session.textOrientation) ? session.textOrientation : defaults.textOrientation
+        });
+        
+        const hex = (value, fallback) => /^#[0-9a-f]{6}$/i.test(value || '') ? value : fallback;
+        this.applyColorSettings({
+            foreground: hex(session.colors.foreground, defaults.colors.foreground),
+            background: hex(session.colors.background, defaults.colors.background)
+        });
+        
+        const fluid = session.fluid;
+        const pair = (value, fallback) => Array.isArray(value) && value.length === 2 && value.every(Number.isFinite) ? value : fallback;
+        const number = (value, fallback) => Number.isFinite(value) ? value : fallback;
+        this.applyFluidSettings({
+            enabled: fluid.enabled === true,
+            minViewport: number(fluid.minViewport, defaults.fluid.minViewport),
+            maxViewport: number(fluid.maxViewport, defaults.fluid.maxViewport),
+            fontSize: pair(fluid.fontSize, defaults.fluid.fontSize),
+            lineHeight: pair(fluid.lineHeight, defaults.fluid.lineHeight),
+            letterSpacing: pair(fluid.letterSpacing, defaults.fluid.letterSpacing)
+        });
+        this.setControlValue('simulatedViewport', number(fluid.viewport, defaults.fluid.viewport));
+        const viewportDisplay = document.getElementById('simulatedViewportValue');
+        if (viewportDisplay) viewportDisplay.textContent = `${document.getElementById('simulatedViewport')?.value}px`;
+        
+        this.setView(session.view);
+        
+        const typeScaleInput = document.getElementById('typeScaleEnabled');
+        if (typeScaleInput) typeScaleInput.checked = session.typeScale.enabled === true;
+        this.setControlValue('typeScaleRatio', session.typeScale.ratio);
+        this.setControlValue('typeScaleCustomRatio', session.typeScale.customRatio);
+        
+        const rhythmInput = document.getElementById('rhythmEnabled');
+        if (rhythmInput) rhythmInput.checked = session.rhythm.enabled === true;
+        this.setControlValue('baselineGrid', session.rhythm.grid);
+        
+        this.setControlValue('exportFormat', session.export.format);
+        this.setControlValue('exportName', session.export.name);
+        this.setControlValue('exportScale', session.export.scale);
+        this.setControlValue('exportBackground', session.export.background);
+        this.setControlValue('exportBackgroundColor', session.export.backgroundColor);
+        this.setControlValue('svgTextMode', session.export.svgTextMode);
+        const colorInput = document.getElementById('exportBackgroundColor');
+        if (colorInput) colorInput.disabled = document.getElementById('exportBackground')?.value !== 'custom';
+        
+        // Comparison panes come back with their locks, or a single view from the typography
+        const panes = Array.isArray(session.panes) ? session.panes.slice(0, 4).map(restore) : [];
+        if (panes.length > 1) {
+            this.comparisonPanes = panes;
+            this.activePane = Math.min(Math.max(0, parseInt(session.activePane) || 0), panes.length - 1);
+            this.lockedParameters = new Set((Array.isArray(session.lockedParameters) ? session.lockedParameters : []).filter(group => this.paneLockGroups[group]));
+            document.querySelectorAll('#paneLocks input[data-lock]').forEach(input => {
+                input.checked = this.lockedParameters.has(input.dataset.lock);
+            });
+            this.applyTypographyState(panes[this.activePane]);
+        } else {
+            this.comparisonPanes = [];
+            this.activePane = 0;
+            this.applyTypographyState(restore(session.typography));
+        }
+        
+        this.setControlValue('paneCount', String(Math.max(1, this.comparisonPanes.length)));
+        const paneLocks = document.getElementById('paneLocks');
+        if (paneLocks) paneLocks.hidden = this.comparisonPanes.length === 0;
+        this.renderComparisonLayout();
+        this.updateOpticalSizeControl();
+        
+        this.notifyMissingFonts(missingFonts);
+        return true;
+    }
+    
+    restoreTypographyState(raw, base, missingFonts) {
+        // Saved states can name loaded fonts that this session doesn't have
+        const state = this.normaliseTypographyState(raw, base);
+        const available = Array.from(document.getElementById('fontSelect')?.options || [])
+            .some(option => option.value === state.fontFamily);
+        
+        if (!available) {
+            missingFonts.add(state.fontFamily);
+            state.fontFamily = base.fontFamily;
+        }
+        return state;
+    }
+    
+    notifyMissingFonts(missingFonts) {
+        if (missingFonts.size === 0) return;
+        
+        const names = Array.from(missingFonts).map(family => family.replace(/"/g, '')).join(', ');
+        this.showNotification(`Load ${names} to see the saved settings in that font.`, 'warning');
+    }
+    
+    getHistoryState() {
+        // Export options and the view are preferences, not part of the typography being undone
+        const { export: exportOptions, view, ...state } = this.getSessionState();
+        return state;
+    }
+    
+    recordHistory() {
+        if (this.isRestoringHistory) return;
+        
+        const state = this.getHistoryState();
+        const json = JSON.stringify(state);
+        const current = this.historyEntries[this.historyIndex];
+        if (current && current.json === json) return;
+        
+        const change = current
+            ? this.describeHistoryChange(current.state, state)
+            : { key: null, label: 'Opened' };
+        if (this.pendingHistoryLabel) {
+            change.key = null;
+            change.label = this.pendingHistoryLabel;
+            this.pendingHistoryLabel = null;
+        }
+        
+        // Anything after the current step is a redo branch the new change replaces
+        this.historyEntries = this.historyEntries.slice(0, this.historyIndex + 1);
+        const now = Date.now();
+        const entry = { state, json, key: change.key, label: change.label, time: now };
+        const previous = this.historyEntries[this.historyIndex - 1];
+        
+        if (current && previous && change.key && change.key === current.key && now - current.time < this.historyMergeWindow) {
+            // A slider drag or burst of typing extends the last step, or cancels it if it ends where it began
+            if (previous.json === json) {
+                this.historyEntries.pop();
+            } else {
+                this.historyEntries[this.historyIndex] = entry;
+            }
+        } else {
+            this.historyEntries.push(entry);
+            if (this.historyEntries.length > this.historyLimit) {
+                this.historyEntries.shift();
+            }
+        }
+        
+        this.historyIndex = this.historyEntries.length - 1;
+        this.renderHistoryPanel();
+    }
+    
+    describeHistoryChange(before, after) {
+        const typography = after.typography;
+        const labels = {
+            fontFamily: () => `Font: ${this.getFontLabel(typography.fontFamily)}`,
+            fontSize: () => `Font size ${typography.fontSize}px`,
+            fontWeight: () => `Weight ${typography.fontWeight}`,
+            letterSpacing: () => `Letter spacing ${typography.letterSpacing}px`,
+            lineHeight: () => `Line height ${typography.lineHeight}`,
+            wordSpacing: () => `Word spacing ${typography.wordSpacing}px`,
+            alignment: () => `Align ${typography.alignment}`,
+            variations: () => 'Variable axes',
+            features: () => {
+                const was = new Map(before.typography.features);
+                const now = new Map(typography.features);
+                const tag = [...new Set([...was.keys(), ...now.keys()])].find(key => was.get(key) !== now.get(key));
+                return tag ? `${tag} ${now.has(tag) ? (now.get(tag) === 1 ? 'on' : now.get(tag)) : 'off'}` : 'Features';
+            },
+            text: () => 'Edit text',
+            hyphenation: () => `Hyphenation ${after.hyphenation ? 'on' : 'off'}`,
+            layoutOptimization: () => `Optimize Layout ${after.layoutOptimization ? 'on' : 'off'}`,
+            language: () => `Language: ${this.getLanguage(after.language).name}`,
+            direction: () => `Direction ${after.direction}`,
+            writingMode: () => `Writing mode ${after.writingMode}`,
+            textOrientation: () => `Text orientation ${after.textOrientation}`,
+            fluid: () => `Fluid typography${after.fluid.enabled ? '' : ' off'}`,
+            typeScale: () => `Type scale${after.typeScale.enabled ? '' : ' off'}`,
+            colors: () => 'Colors',
+            rhythm: () => after.rhythm.enabled ? `Baseline grid ${after.rhythm.grid}px` : 'Baseline grid off',
+            paneCount: () => after.panes.length ? `Compare ${after.panes.length} panes` : 'Single view',
+            activePane: () => `Edit pane ${this.getPaneName(after.activePane)}`,
+            lockedParameters: () => 'Pane locks',
+            panes: () => 'Comparison panes'
+        };
+        
+        const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+        const otherPanes = state => state.panes.filter((pane, index) => index !== state.activePane);
+        const changed = [
+            ...['fontFamily', 'fontSize', 'fontWeight', 'letterSpacing', 'lineHeight', 'wordSpacing', 'alignment', 'variations', 'features']
+                .filter(key => !same(before.typography[key], typography[key])),
+            ...['text', 'hyphenation', 'layoutOptimization', 'language', 'direction', 'writingMode', 'textOrientation', 'colors', 'fluid', 'typeScale', 'rhythm', 'activePane', 'lockedParameters']
+                .filter(key => !same(before[key], after[key]))
+        ];
+        if (before.panes.length !== after.panes.length) {
+            changed.unshift('paneCount');
+        } else if (changed.length === 0 && !same(otherPanes(before), otherPanes(after))) {
+            // Other panes only change on their own when nothing else did; locks copy edits across
+            changed.push('panes');
+        }
+        
+        if (changed.length === 1 || changed[0] === 'paneCount') {
+            return { key: changed[0], label: labels[changed[0]]() };
+        }
+        return { key: changed.join(','), label: `${changed.length} settings changed` };
+    }
+    
+    undo() {
+        if (this.historyIndex > 0) this.jumpToHistory(this.historyIndex - 1);
+    }
+    
+    redo() {
+        if (this.historyIndex < this.historyEntries.length - 1) this.jumpToHistory(this.historyIndex + 1);
+    }
+    
+    jumpToHistory(index) {
+        const entry = this.historyEntries[index];
+        if (!entry || index === this.historyIndex) return;
+        
+        const undoing = index < this.historyIndex;
+        const step = undoing ? this.historyEntries[this.historyIndex] : entry;
+        
+        // Restore without recording, keeping the current view and export options as they are
+        this.isRestoringHistory = true;
+        this.applySessionState({ ...entry.state, view: this.currentView, export: this.getSessionState().export });
+        this.updateRendering();
+        this.isRestoringHistory = false;
+        
+        this.historyIndex = index;
+        this.renderHistoryPanel();
+        this.announce(`${undoing ? 'Undo' : 'Redo'}: ${step.label}`);
+    }
+    
+    renderHistoryPanel() {
+        const undoBtn = document.getElementById('undoBtn');
+        const redoBtn = document.getElementById('redoBtn');
+        if (undoBtn) undoBtn.disabled = this.historyIndex <= 0;
+        if (redoBtn) redoBtn.disabled = this.historyIndex >= this.historyEntries.length - 1;
+        
+        const list = document.getElementById('historyList');
+        if (!list) return;
+        
+        // Newest first; steps after the current one can still be redone
+        list.innerHTML = this.historyEntries.map((entry, index) => {
+            const state = index === this.historyIndex ? ' aria-current="step" class="current"' : (index > this.historyIndex ? ' class="redo-step"' : '');
+            const time = new Date(entry.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+            return `
+                <li${state}>
+                    <button type="button" data-history="${index}">
+                        <span class="history-label">${this.escapeHTML(entry.label)}</span>
+                        <span class="history-time">${time}</span>
+                    </button>
+                </li>
+            `;
+        }).reverse().join('');
+    }
+    
+    saveSession() {
+        try {
+            localStorage.setItem(this.sessionStorageKey, JSON.stringify(this.getSessionState()));
+        } catch (err) {
+            // Private browsing or a full quota; the session just isn't kept
+            console.warn('Could not save the session:', err);
+        }
+    }
+    
+    restoreSession() {
+        // The last session first, then a permalink on top of it
+        try {
+            const saved = localStorage.getItem(this.sessionStorageKey);
+            if (saved) this.applySessionState(JSON.parse(saved));
+        } catch (err) {
+            console.warn('Could not restore the saved session:', err);
+        }
+        
+        this.restorePermalink();
+    }
+    
+    restorePermalink() {
+        const encoded = new URLSearchParams(location.hash.slice(1)).get('state');
+        if (!encoded) return Promise.resolve(false);
+        
+        return this.decodeSessionState(encoded).then(session => {
+            if (!this.applySessionState(session)) {
+                throw new Error('Unrecognised session state');
+            }
+            
+            // Drop the hash so later edits aren't shadowed by the link on reload
+            history.replaceState(null, '', location.pathname + location.search);
+            this.pendingHistoryLabel = 'Opened link';
+            this.updateRendering();
+            this.showNotification('Settings restored from the link');
+            return true;
+        }).catch(err => {
+            console.error('Permalink could not be read:', err);
+            this.showNotification('This link could not be read. It may have been cut off.', 'error');
+            return false;
+        });
+    }
+    
+    encodeSessionState(session) {
+        // Deflated JSON in base64url; the leading letter says whether it was compressed
+        const bytes = new TextEncoder().encode(JSON.stringify(session));
+        if (typeof CompressionStream === 'undefined') {
+            return Promise.resolve(`j${this.toBase64Url(bytes)}`);
+        }
+        
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+        return new Response(stream).arrayBuffer().then(buffer => `z${this.toBase64Url(buffer)}`);
+    }
+    
+    decodeSessionState(encoded) {
+        // Inside the chain so a mangled link rejects instead of throwing
+        return Promise.resolve(encoded)
+            .then(text => Uint8Array.from(atob(text.slice(1).replace(/-/g, '+').replace(/_/g, '/')), char => char.charCodeAt(0)))
+            .then(bytes => encoded[0] === 'z' ? FontParser.inflate(bytes) : bytes)
+            .then(buffer => JSON.parse(new TextDecoder().decode(buffer)));
+    }
+    
+    toBase64Url(buffer) {
+        return this.arrayBufferToBase64(buffer).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+    
+    copyPermalink() {
+        this.encodeSessionState(this.getSessionState()).then(encoded => {
+            const url = `${location.href.split('#')[0]}#state=${encoded}`;
+            const message = this.loadedFonts.size > 0
+                ? 'Link copied! Loaded font files are not included.'
+                : 'Link copied!';
+            
+            if (navigator.clipboard?.writeText) {
+                navigator.clipboard.writeText(url)
+                    .then(() => this.showNotification(message))
+                    .catch(() => this.fallbackCopyText(url, message));
+            } else {
+                this.fallbackCopyText(url, message);
+            }
+        }).catch(err => {
+            console.error('Permalink could not be created:', err);
+            this.showNotification('Could not create a link in this browser.', 'error');
+        });
+    }
+    
     downloadFile(filename, content, mimeType) {
         const blob = new Blob([content], { type: mimeType });
         const url = URL.createObjectURL(blob);
@@ -779,6 +6885,18 @@ class FontRenderingEngine {
                             this.copyFormattedText();
                         }
                         break;
+                    case 'z':
+                    case 'Z':
+                    case 'y':
+                        // Other text fields keep their own undo; the preview text uses the history
+                        if (e.target.matches?.('input[type="text"], input[type="number"], textarea:not(#textInput)')) break;
+                        e.preventDefault();
+                        if (e.key === 'y' || e.shiftKey) {
+                            this.redo();
+                        } else {
+                            this.undo();
+                        }
+                        break;
                 }
             }
             
@@ -861,7 +6979,8 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Add service worker for offline functionality (if available)
     if ('serviceWorker' in navigator) {
-        navigator.serviceWorker.register('/sw.js').catch(err => {
+        // Relative, so the app also works offline from a subdirectory
+        navigator.serviceWorker.register('sw.js').catch(err => {
             console.log('Service Worker registration failed:', err);
         });
     }
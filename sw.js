@@ -0,0 +1,60 @@
+// Advanced Font Rendering Engine - offline support
+// Bump the version whenever the app shell changes so old caches are dropped
+const CACHE_NAME = 'font-rendering-engine-v3';
+const APP_SHELL = [
+    './',
+    'index.html',
+    'script.js',
+    'hyphenation-patterns.js',
+    'style.css',
+    'print.css',
+    'manifest.webmanifest',
+    'icon.svg'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+    
+    // Serve from the cache straight away and refresh it in the background
+    event.respondWith(
+        caches.open(CACHE_NAME).then(cache => {
+            const lookup = request.mode === 'navigate'
+                ? cache.match(request, { ignoreSearch: true }).then(response => response || cache.match('index.html'))
+                : cache.match(request);
+            
+            const refresh = fetch(request).then(response => {
+                if (response.ok && response.type === 'basic') {
+                    cache.put(request, response.clone());
+                }
+                return response;
+            });
+            
+            return lookup.then(cached => {
+                if (cached) {
+                    event.waitUntil(refresh.catch(() => {}));
+                    return cached;
+                }
+                return refresh;
+            });
+        })
+    );
+});
\ No newline at end of file
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./load-script');
+
+const { FontRenderingEngine } = loadScript();
+
+function createEngine() {
+    // Just the feature state, without a page to render into
+    const engine = Object.create(FontRenderingEngine.prototype);
+    engine.featureRegistry = engine.buildFeatureRegistry();
+    engine.activeFeatures = new Map([['kern', 1], ['liga', 1], ['clig', 1], ['calt', 1], ['locl', 1]]);
+    engine.updateRendering = () => {};
+    return engine;
+}
+
+test('browser defaults are left out of font-feature-settings', () => {
+    const engine = createEngine();
+    assert.strictEqual(engine.buildFeatureSettings(engine.activeFeatures), '');
+});
+
+test('unticking kerning writes "kern" 0', () => {
+    const engine = createEngine();
+    engine.setFeature('kern', 0);
+    assert.match(engine.buildFeatureSettings(engine.activeFeatures), /"kern" 0/);
+});
+
+test('features that are off by default are written when switched on', () => {
+    const engine = createEngine();
+    engine.setFeature('smcp', 1);
+    assert.strictEqual(engine.buildFeatureSettings(engine.activeFeatures), '"smcp" 1');
+});
\ No newline at end of file
@@ -0,0 +1,13 @@
+// Loads script.js outside the browser so its classes can be tested with node --test
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function loadScript() {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'script.js'), 'utf8');
+    // The page only touches the DOM once it has loaded, so registering the listener is all that runs
+    const context = vm.createContext({ document: { addEventListener() {} }, console });
+    return vm.runInContext(`${source}\n;({ FontParser, Hyphenator, ReadabilityAnalyzer, FontRenderingEngine })`, context);
+}
+
+module.exports = { loadScript };
\ No newline at end of file
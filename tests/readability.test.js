@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./load-script');
+
+const { ReadabilityAnalyzer } = loadScript();
+const analyzer = new ReadabilityAnalyzer({ longParagraphWords: 150 });
+
+test('syllable counts for words the vowel-group rules get wrong', () => {
+    const expected = { create: 2, area: 3, idea: 3, people: 2, Australian: 4, reptilian: 4, radio: 3, period: 3, creature: 2, beautiful: 3, nation: 2, million: 2, champion: 3, ratio: 3, fashion: 2, special: 2, gracious: 2, curious: 3 };
+    Object.entries(expected).forEach(([word, syllables]) => {
+        assert.strictEqual(analyzer.countSyllables(word), syllables, word);
+    });
+});
+
+test('Flesch-Kincaid grade matches the platypus example (13.1)', () => {
+    // Reference sentence and score from Wikipedia's Flesch-Kincaid readability tests article
+    const result = analyzer.analyze('The Australian platypus is seemingly a hybrid of a mammal and reptilian creature.');
+    assert.strictEqual(result.words, 13);
+    assert.strictEqual(result.syllables, 26);
+    assert.strictEqual(result.fleschKincaidGrade.toFixed(1), '13.1');
+});
+
+test('Gunning Fog leaves proper nouns out of the complex words', () => {
+    // platypus, seemingly and reptilian are complex; Australian is a proper noun: 0.4 × (13 + 100 × 3 / 13)
+    const result = analyzer.analyze('The Australian platypus is seemingly a hybrid of a mammal and reptilian creature.');
+    assert.strictEqual(result.complexWords, 3);
+    assert.strictEqual(result.gunningFog.toFixed(1), '14.4');
+});
+
+test('Flesch reading ease matches "The cat sat on the mat." (116)', () => {
+    assert.strictEqual(Math.round(analyzer.analyze('The cat sat on the mat.').fleschReadingEase), 116);
+});
+
+test('abbreviations and initials do not end sentences', () => {
+    assert.strictEqual(analyzer.splitSentences('Dr. Smith met Mr. Jones at 9 a.m. on Monday. They talked about J. R. R. Tolkien, e.g. his letters.').length, 2);
+    assert.strictEqual(analyzer.splitSentences('No. It was raining. We stayed in!').length, 3);
+    assert.strictEqual(analyzer.splitSentences('My favourite vowel is a. The next one is e. Done.').length, 3);
+    assert.strictEqual(analyzer.splitSentences('So do I. Then we left.').length, 2);
+});
+
+test('paragraphs over the limit are flagged', () => {
+    const long = Array(151).fill('word').join(' ');
+    const result = analyzer.analyze(`Short one.\n${long}.`);
+    assert.deepStrictEqual([...result.paragraphs].map(paragraph => paragraph.long), [false, true]);
+});
+
+test('text without Latin words has no English scores', () => {
+    const result = analyzer.analyze('東京は大きい。日本語です。');
+    assert.strictEqual(result.sentences, 2);
+    assert.strictEqual(result.fleschKincaidGrade, null);
+    assert.strictEqual(result.gunningFog, null);
+});
\ No newline at end of file